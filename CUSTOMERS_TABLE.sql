@@ -0,0 +1,120 @@
+-- Customers and priority scores
+-- The user's own customers (plan, MRR, account size, churn risk), added by
+-- hand, imported from CSV or synced from Stripe. Feedback is matched to a
+-- customer by the reporter's email, or by the company domain of it, and gets a
+-- 0-100 priority score from customer value, number of reports, urgency,
+-- sentiment and recency (libs/scoring).
+-- Run this SQL in your Supabase SQL editor after FEEDBACK_DUPLICATES_MIGRATION.sql
+
+CREATE TABLE IF NOT EXISTS customers (
+  -- Primary key
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+
+  -- Owner
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+
+  -- Lowercased email, or the domain for company-wide accounts - imports and
+  -- Stripe syncs update the customer with the same key
+  customer_key TEXT NOT NULL,
+  email TEXT,
+  -- Company domain: feedback from anyone at it counts for this customer
+  domain TEXT,
+  name TEXT,
+
+  plan TEXT,
+  -- Monthly recurring revenue in the user's currency
+  mrr NUMERIC(12, 2) NOT NULL DEFAULT 0 CHECK (mrr >= 0),
+  -- Seats / users on the account
+  account_size INTEGER CHECK (account_size >= 0),
+  churn_risk TEXT NOT NULL DEFAULT 'low'
+    CHECK (churn_risk IN ('low', 'medium', 'high')),
+
+  source TEXT NOT NULL DEFAULT 'manual'
+    CHECK (source IN ('manual', 'import', 'stripe')),
+  -- Stripe customer id for synced customers
+  external_id TEXT,
+
+  metadata JSONB NOT NULL DEFAULT '{}',
+
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+  UNIQUE (user_id, customer_key)
+);
+
+-- Indexes for performance
+CREATE INDEX IF NOT EXISTS idx_customers_user_mrr
+ON customers(user_id, mrr DESC);
+
+CREATE INDEX IF NOT EXISTS idx_customers_user_domain
+ON customers(user_id, domain)
+WHERE domain IS NOT NULL;
+
+-- Row Level Security (RLS) policies
+ALTER TABLE customers ENABLE ROW LEVEL SECURITY;
+
+-- Policy: Users can view their own customers
+CREATE POLICY "Users can view own customers" ON customers
+  FOR SELECT USING (auth.uid() = user_id);
+
+-- Policy: Users can create their own customers
+CREATE POLICY "Users can insert own customers" ON customers
+  FOR INSERT WITH CHECK (auth.uid() = user_id);
+
+-- Policy: Users can update their own customers
+CREATE POLICY "Users can update own customers" ON customers
+  FOR UPDATE USING (auth.uid() = user_id);
+
+-- Policy: Users can delete their own customers
+CREATE POLICY "Users can delete own customers" ON customers
+  FOR DELETE USING (auth.uid() = user_id);
+
+-- Feedback → customer of the reporter, and its priority score
+ALTER TABLE raw_feedback ADD COLUMN IF NOT EXISTS customer_id UUID
+  REFERENCES customers(id) ON DELETE SET NULL;
+-- 0-100; duplicates are scored through their canonical item and stay at 0
+ALTER TABLE raw_feedback ADD COLUMN IF NOT EXISTS priority_score NUMERIC(4, 1) NOT NULL DEFAULT 0;
+-- What the score is made of: {"value": 0.8, "frequency": 0.5, ..., "mrr": 1200, "reports": 4}
+ALTER TABLE raw_feedback ADD COLUMN IF NOT EXISTS priority_factors JSONB;
+-- NULL until first scored; old scores are refreshed because recency decays
+ALTER TABLE raw_feedback ADD COLUMN IF NOT EXISTS scored_at TIMESTAMP WITH TIME ZONE;
+
+CREATE INDEX IF NOT EXISTS idx_raw_feedback_customer
+ON raw_feedback(customer_id)
+WHERE customer_id IS NOT NULL;
+
+-- Scores of many items in one statement (libs/scoring), p_scores:
+-- [{"id": "...", "priority_score": 42.5, "priority_factors": {...}, "customer_id": null}, ...]
+-- Runs with the caller's rights, so RLS still limits users to their own feedback
+CREATE OR REPLACE FUNCTION save_priority_scores(
+  p_user_id UUID,
+  p_scores JSONB,
+  p_scored_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+)
+RETURNS INTEGER AS $$
+DECLARE
+  saved INTEGER;
+BEGIN
+  UPDATE raw_feedback
+  SET priority_score = scores.priority_score,
+      priority_factors = scores.priority_factors,
+      customer_id = scores.customer_id,
+      scored_at = p_scored_at
+  FROM jsonb_to_recordset(p_scores)
+    AS scores(id UUID, priority_score NUMERIC, priority_factors JSONB, customer_id UUID)
+  WHERE raw_feedback.id = scores.id
+    AND raw_feedback.user_id = p_user_id;
+
+  GET DIAGNOSTICS saved = ROW_COUNT;
+  RETURN saved;
+END;
+$$ LANGUAGE plpgsql;
+
+-- "Highest score" sort (keyset pagination, like FEEDBACK_QUERY_INDEXES.sql)
+CREATE INDEX IF NOT EXISTS idx_raw_feedback_user_priority_score_id
+ON raw_feedback(user_id, priority_score DESC, id DESC);
+
+-- Saved views can sort by score
+ALTER TABLE feedback_views DROP CONSTRAINT IF EXISTS feedback_views_sort_by_check;
+ALTER TABLE feedback_views ADD CONSTRAINT feedback_views_sort_by_check
+  CHECK (sort_by IN ('created_at', 'updated_at', 'duplicate_count', 'priority_score'));
@@ -0,0 +1,52 @@
+-- Feedback Duplicates
+-- Near-duplicate feedback is linked to one canonical item (duplicate_of), so the
+-- same request reported by several people counts as one item with N reports.
+-- duplicate_count on the canonical item is kept up to date by a trigger.
+-- Run this SQL in your Supabase SQL editor after FEEDBACK_TRIAGE_MIGRATION.sql
+
+ALTER TABLE raw_feedback ADD COLUMN IF NOT EXISTS duplicate_of UUID
+  REFERENCES raw_feedback(id) ON DELETE SET NULL;
+-- Similarity of an automatic link (NULL when merged by hand)
+ALTER TABLE raw_feedback ADD COLUMN IF NOT EXISTS duplicate_score REAL;
+-- Number of items linked to this one
+ALTER TABLE raw_feedback ADD COLUMN IF NOT EXISTS duplicate_count INTEGER NOT NULL DEFAULT 0;
+
+-- Duplicates of a canonical item
+CREATE INDEX IF NOT EXISTS idx_raw_feedback_duplicate_of
+ON raw_feedback(duplicate_of)
+WHERE duplicate_of IS NOT NULL;
+
+-- "Most reported" sort (keyset pagination, like FEEDBACK_QUERY_INDEXES.sql)
+CREATE INDEX IF NOT EXISTS idx_raw_feedback_user_duplicate_count_id
+ON raw_feedback(user_id, duplicate_count DESC, id DESC);
+
+-- Recount the canonical items a row was linked to and is linked to now.
+-- Deleting a canonical item unlinks its duplicates (ON DELETE SET NULL).
+CREATE OR REPLACE FUNCTION refresh_feedback_duplicate_count()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF TG_OP IN ('UPDATE', 'DELETE') AND OLD.duplicate_of IS NOT NULL THEN
+    UPDATE raw_feedback
+    SET duplicate_count = (SELECT COUNT(*) FROM raw_feedback WHERE duplicate_of = OLD.duplicate_of)
+    WHERE id = OLD.duplicate_of;
+  END IF;
+
+  IF TG_OP IN ('INSERT', 'UPDATE') AND NEW.duplicate_of IS NOT NULL THEN
+    UPDATE raw_feedback
+    SET duplicate_count = (SELECT COUNT(*) FROM raw_feedback WHERE duplicate_of = NEW.duplicate_of)
+    WHERE id = NEW.duplicate_of;
+  END IF;
+
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS raw_feedback_duplicate_count ON raw_feedback;
+CREATE TRIGGER raw_feedback_duplicate_count
+AFTER INSERT OR DELETE OR UPDATE OF duplicate_of ON raw_feedback
+FOR EACH ROW EXECUTE FUNCTION refresh_feedback_duplicate_count();
+
+-- Saved views can sort by "Most reported"
+ALTER TABLE feedback_views DROP CONSTRAINT IF EXISTS feedback_views_sort_by_check;
+ALTER TABLE feedback_views ADD CONSTRAINT feedback_views_sort_by_check
+  CHECK (sort_by IN ('created_at', 'updated_at', 'duplicate_count'));
@@ -0,0 +1,40 @@
+-- Feedback Embeddings Migration
+-- Stores one embedding per raw_feedback row and makes feedback_clusters
+-- long-lived (stable ids, updated incrementally instead of regenerated)
+-- Run this SQL in your Supabase SQL editor after FEEDBACK_CLUSTERS_TABLE.sql
+
+-- 1. pgvector extension (available on all Supabase projects)
+CREATE EXTENSION IF NOT EXISTS vector;
+
+-- 2. Embedding columns on raw_feedback
+-- Dimension is not fixed: it depends on the configured AI provider
+-- (1536 for text-embedding-3-small, 256 for local hashed embeddings, ...)
+ALTER TABLE raw_feedback ADD COLUMN IF NOT EXISTS embedding vector;
+ALTER TABLE raw_feedback ADD COLUMN IF NOT EXISTS embedding_model TEXT;
+ALTER TABLE raw_feedback ADD COLUMN IF NOT EXISTS embedded_at TIMESTAMP WITH TIME ZONE;
+
+COMMENT ON COLUMN raw_feedback.embedding IS 'Content embedding used for clustering and similarity search';
+COMMENT ON COLUMN raw_feedback.embedding_model IS 'Model that produced the embedding; rows are re-embedded when the model changes';
+
+-- Find rows that still need an embedding
+CREATE INDEX IF NOT EXISTS idx_raw_feedback_user_embedding_model
+ON raw_feedback (user_id, embedding_model);
+
+-- 3. Cluster centroid and update tracking
+ALTER TABLE feedback_clusters ADD COLUMN IF NOT EXISTS centroid vector;
+ALTER TABLE feedback_clusters ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW();
+
+-- 4. Clusters are no longer a 24h cache - they are updated in place
+ALTER TABLE feedback_clusters ALTER COLUMN expires_at DROP DEFAULT;
+UPDATE feedback_clusters SET expires_at = NULL;
+
+-- Verify columns
+SELECT
+  table_name,
+  column_name,
+  data_type,
+  is_nullable
+FROM information_schema.columns
+WHERE table_name IN ('raw_feedback', 'feedback_clusters')
+  AND column_name IN ('embedding', 'embedding_model', 'embedded_at', 'centroid', 'updated_at', 'expires_at')
+ORDER BY table_name, ordinal_position;
@@ -0,0 +1,69 @@
+-- Bulk Feedback Import
+-- CSV / JSON / JSONL imports of historical feedback. The file is parsed in the
+-- browser and sent in chunks; each import keeps its progress so an interrupted
+-- upload continues from the next row.
+-- Run this SQL in your Supabase SQL editor after JOBS_TABLE.sql
+
+-- Normalized content hash (whitespace collapsed) to skip feedback that already exists.
+-- Must match contentHash() in libs/import/index.js
+ALTER TABLE raw_feedback ADD COLUMN IF NOT EXISTS content_hash TEXT
+GENERATED ALWAYS AS (md5(btrim(regexp_replace(content, '\s+', ' ', 'g')))) STORED;
+
+CREATE INDEX IF NOT EXISTS idx_raw_feedback_content_hash
+ON raw_feedback (user_id, content_hash);
+
+CREATE TABLE IF NOT EXISTS feedback_imports (
+  -- Primary key
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+
+  -- Owner
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+
+  -- File: name, "<name>:<size>:<lastModified>" to recognize it when resuming, csv/json/jsonl
+  file_name TEXT NOT NULL,
+  file_fingerprint TEXT NOT NULL,
+  format TEXT NOT NULL CHECK (format IN ('csv', 'json', 'jsonl')),
+  total_rows INTEGER NOT NULL,
+
+  -- Column per field: { fields: { content: "Description", date: "Created" }, defaults: { source, priority, category } }
+  mapping JSONB NOT NULL DEFAULT '{}',
+
+  status TEXT NOT NULL DEFAULT 'in_progress'
+    CHECK (status IN ('in_progress', 'completed')),
+
+  -- Progress: rows before processed_rows are done, the next chunk starts there
+  processed_rows INTEGER NOT NULL DEFAULT 0,
+  created_count INTEGER NOT NULL DEFAULT 0,
+  duplicate_count INTEGER NOT NULL DEFAULT 0,
+  error_count INTEGER NOT NULL DEFAULT 0,
+
+  -- Row errors (first 500): [{ row, errors: [...] }]
+  errors JSONB NOT NULL DEFAULT '[]',
+
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  completed_at TIMESTAMP WITH TIME ZONE
+);
+
+-- Indexes for performance
+CREATE INDEX IF NOT EXISTS idx_feedback_imports_user
+ON feedback_imports(user_id, created_at DESC);
+
+-- Row Level Security (RLS) policies
+ALTER TABLE feedback_imports ENABLE ROW LEVEL SECURITY;
+
+-- Policy: Users can view their own imports
+CREATE POLICY "Users can view own imports" ON feedback_imports
+  FOR SELECT USING (auth.uid() = user_id);
+
+-- Policy: Users can create their own imports
+CREATE POLICY "Users can insert own imports" ON feedback_imports
+  FOR INSERT WITH CHECK (auth.uid() = user_id);
+
+-- Policy: Users can update their own imports
+CREATE POLICY "Users can update own imports" ON feedback_imports
+  FOR UPDATE USING (auth.uid() = user_id);
+
+-- Policy: Users can delete their own imports
+CREATE POLICY "Users can delete own imports" ON feedback_imports
+  FOR DELETE USING (auth.uid() = user_id);
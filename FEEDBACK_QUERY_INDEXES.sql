@@ -0,0 +1,28 @@
+-- Feedback List Indexes
+-- GET /api/feedback filters, sorts and pages feedback in the database
+-- (applyFeedbackFilters / getPageForUser in libs/database/db-utils.js).
+-- Run this SQL in your Supabase SQL editor.
+
+-- Keyset pagination: (sort column, id) per user
+CREATE INDEX IF NOT EXISTS idx_raw_feedback_user_created_id
+ON raw_feedback (user_id, created_at DESC, id DESC);
+
+-- Rows without updated_at would never appear when sorting by it
+UPDATE raw_feedback SET updated_at = created_at WHERE updated_at IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_raw_feedback_user_updated_id
+ON raw_feedback (user_id, updated_at DESC, id DESC);
+
+-- Category, priority and sentiment filters
+CREATE INDEX IF NOT EXISTS idx_raw_feedback_category
+ON raw_feedback (user_id, (metadata->>'category'));
+
+CREATE INDEX IF NOT EXISTS idx_raw_feedback_priority
+ON raw_feedback (user_id, (metadata->>'priority'));
+
+CREATE INDEX IF NOT EXISTS idx_raw_feedback_sentiment
+ON raw_feedback (user_id, (ai_analysis->>'sentiment'));
+
+-- Tag filter (metadata @> '{"tags": ["..."]}')
+CREATE INDEX IF NOT EXISTS idx_raw_feedback_metadata
+ON raw_feedback USING GIN (metadata jsonb_path_ops);
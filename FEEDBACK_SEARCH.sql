@@ -0,0 +1,67 @@
+-- Feedback Search
+-- Full-text search over title, content and tags (ranked), and similarity
+-- search over the stored embeddings ("find feedback like this one").
+-- Used by libs/search/index.js (GET /api/feedback/search).
+-- Run this SQL in your Supabase SQL editor after FEEDBACK_EMBEDDINGS_MIGRATION.sql
+
+-- 1. Search document: title (weight A), content (B) and tags (C).
+-- The 'simple' configuration doesn't stem, so it works for any language;
+-- queries match word prefixes instead (see buildTsQuery).
+ALTER TABLE raw_feedback ADD COLUMN IF NOT EXISTS search_vector tsvector
+GENERATED ALWAYS AS (
+  setweight(to_tsvector('simple', coalesce(metadata->>'title', '')), 'A') ||
+  setweight(to_tsvector('simple', coalesce(content, '')), 'B') ||
+  setweight(jsonb_to_tsvector('simple', coalesce(metadata->'tags', '[]'::jsonb), '["string"]'), 'C')
+) STORED;
+
+CREATE INDEX IF NOT EXISTS idx_raw_feedback_search_vector
+ON raw_feedback USING GIN (search_vector);
+
+-- 2. Ranked full-text matches of a user's feedback
+-- p_query is a to_tsquery expression ("login:* & fail:*")
+CREATE OR REPLACE FUNCTION search_feedback(
+  p_user_id UUID,
+  p_query TEXT,
+  p_limit INTEGER DEFAULT 500
+)
+RETURNS TABLE (id UUID, rank REAL) AS $$
+  SELECT f.id, ts_rank_cd(f.search_vector, q) AS rank
+  FROM raw_feedback f, to_tsquery('simple', p_query) q
+  WHERE f.user_id = p_user_id
+    AND f.search_vector @@ q
+  ORDER BY rank DESC, f.created_at DESC
+  LIMIT p_limit;
+$$ LANGUAGE sql STABLE;
+
+-- 3. Feedback closest to an embedding (cosine similarity).
+-- Only rows embedded with the same model are comparable. The embedding
+-- dimension depends on the AI provider, so there's no ivfflat/hnsw index:
+-- the scan is per user.
+CREATE OR REPLACE FUNCTION match_feedback(
+  p_user_id UUID,
+  p_embedding vector,
+  p_model TEXT,
+  p_limit INTEGER DEFAULT 500,
+  p_min_similarity REAL DEFAULT 0,
+  p_exclude_id UUID DEFAULT NULL,
+  p_ids UUID[] DEFAULT NULL
+)
+RETURNS TABLE (id UUID, similarity REAL) AS $$
+  SELECT f.id, (1 - (f.embedding <=> p_embedding))::REAL AS similarity
+  FROM raw_feedback f
+  WHERE f.user_id = p_user_id
+    AND f.embedding IS NOT NULL
+    AND f.embedding_model = p_model
+    AND (p_exclude_id IS NULL OR f.id <> p_exclude_id)
+    AND (p_ids IS NULL OR f.id = ANY(p_ids))
+    AND 1 - (f.embedding <=> p_embedding) >= p_min_similarity
+  ORDER BY f.embedding <=> p_embedding
+  LIMIT p_limit;
+$$ LANGUAGE sql STABLE;
+
+-- Both run with the caller's permissions, so RLS on raw_feedback still applies
+GRANT EXECUTE ON FUNCTION search_feedback(UUID, TEXT, INTEGER) TO authenticated, service_role;
+GRANT EXECUTE ON FUNCTION match_feedback(UUID, vector, TEXT, INTEGER, REAL, UUID, UUID[]) TO authenticated, service_role;
+
+-- Verify
+SELECT id, rank FROM search_feedback(auth.uid(), 'test:*', 5);
@@ -0,0 +1,54 @@
+-- Feedback Triage Workflow
+-- Status (New → Triaged → Planned → In progress → Shipped / Won't do), assignee,
+-- due date and internal notes on raw_feedback, plus a history of status changes.
+-- The processed flag stays in step: it is true for every status except 'new'.
+-- Run this SQL in your Supabase SQL editor after FEEDBACK_VIEWS_TABLE.sql
+
+ALTER TABLE raw_feedback ADD COLUMN IF NOT EXISTS status TEXT NOT NULL DEFAULT 'new'
+  CHECK (status IN ('new', 'triaged', 'planned', 'in_progress', 'shipped', 'wont_do'));
+ALTER TABLE raw_feedback ADD COLUMN IF NOT EXISTS assignee TEXT;
+ALTER TABLE raw_feedback ADD COLUMN IF NOT EXISTS due_date DATE;
+ALTER TABLE raw_feedback ADD COLUMN IF NOT EXISTS notes TEXT;
+
+-- Feedback already marked as processed has been looked at
+UPDATE raw_feedback SET status = 'triaged' WHERE processed = TRUE AND status = 'new';
+
+-- Status filter and the board
+CREATE INDEX IF NOT EXISTS idx_raw_feedback_user_status
+ON raw_feedback(user_id, status, created_at DESC);
+
+-- Status changes, newest first per feedback item
+CREATE TABLE IF NOT EXISTS feedback_status_history (
+  -- Primary key
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+
+  feedback_id UUID NOT NULL REFERENCES raw_feedback(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+
+  -- NULL for the first recorded status
+  from_status TEXT,
+  to_status TEXT NOT NULL,
+  note TEXT,
+
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Indexes for performance
+CREATE INDEX IF NOT EXISTS idx_feedback_status_history_feedback
+ON feedback_status_history(feedback_id, created_at DESC);
+
+-- Row Level Security (RLS) policies
+ALTER TABLE feedback_status_history ENABLE ROW LEVEL SECURITY;
+
+-- Policy: Users can view their own status history
+CREATE POLICY "Users can view own status history" ON feedback_status_history
+  FOR SELECT USING (auth.uid() = user_id);
+
+-- Policy: Users can record their own status changes (history is never edited)
+CREATE POLICY "Users can insert own status history" ON feedback_status_history
+  FOR INSERT WITH CHECK (auth.uid() = user_id);
+
+-- Saved views can use the board layout
+ALTER TABLE feedback_views DROP CONSTRAINT IF EXISTS feedback_views_view_mode_check;
+ALTER TABLE feedback_views ADD CONSTRAINT feedback_views_view_mode_check
+  CHECK (view_mode IN ('list', 'groups', 'board'));
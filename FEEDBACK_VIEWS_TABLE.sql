@@ -0,0 +1,58 @@
+-- Saved Feedback Views
+-- Named filter + sort + layout combinations of the feedback page. Views are
+-- queried live, so a view with a relative date ("from": "7d") is a smart
+-- segment that picks up new feedback as it arrives.
+-- Run this SQL in your Supabase SQL editor after FEEDBACK_QUERY_INDEXES.sql
+
+CREATE TABLE IF NOT EXISTS feedback_views (
+  -- Primary key
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+
+  -- Owner
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+
+  -- Feedback filters that differ from the defaults (libs/feedback-filters.js),
+  -- e.g. {"priority": "urgent", "sentiment": "negative", "from": "7d"}
+  filters JSONB NOT NULL DEFAULT '{}',
+
+  sort_by TEXT NOT NULL DEFAULT 'created_at'
+    CHECK (sort_by IN ('created_at', 'updated_at', 'duplicate_count', 'priority_score')),
+  sort_order TEXT NOT NULL DEFAULT 'desc'
+    CHECK (sort_order IN ('asc', 'desc')),
+  view_mode TEXT NOT NULL DEFAULT 'list'
+    CHECK (view_mode IN ('list', 'groups', 'board')),
+
+  -- Listed with its count in the dashboard navigation
+  show_in_nav BOOLEAN NOT NULL DEFAULT TRUE,
+  position INTEGER NOT NULL DEFAULT 0,
+
+  -- Feedback created after this is counted as new
+  last_viewed_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Indexes for performance
+CREATE INDEX IF NOT EXISTS idx_feedback_views_user
+ON feedback_views(user_id, position, created_at);
+
+-- Row Level Security (RLS) policies
+ALTER TABLE feedback_views ENABLE ROW LEVEL SECURITY;
+
+-- Policy: Users can view their own views
+CREATE POLICY "Users can view own feedback views" ON feedback_views
+  FOR SELECT USING (auth.uid() = user_id);
+
+-- Policy: Users can create their own views
+CREATE POLICY "Users can insert own feedback views" ON feedback_views
+  FOR INSERT WITH CHECK (auth.uid() = user_id);
+
+-- Policy: Users can update their own views
+CREATE POLICY "Users can update own feedback views" ON feedback_views
+  FOR UPDATE USING (auth.uid() = user_id);
+
+-- Policy: Users can delete their own views
+CREATE POLICY "Users can delete own feedback views" ON feedback_views
+  FOR DELETE USING (auth.uid() = user_id);
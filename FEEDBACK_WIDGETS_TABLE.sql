@@ -0,0 +1,67 @@
+-- Embeddable Feedback Widget
+-- Widgets (one per product/project) that end users open from your product to
+-- send feedback to /api/widget/<public_key>. Submissions land in raw_feedback
+-- with platform 'website'; screenshots go to the feedback-screenshots bucket.
+-- Run this SQL in your Supabase SQL editor after JOBS_TABLE.sql
+
+CREATE TABLE IF NOT EXISTS feedback_widgets (
+  -- Primary key
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+
+  -- Owner
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+
+  -- Public identifier used in the embed snippet (not a secret)
+  public_key TEXT NOT NULL UNIQUE,
+
+  -- Sites allowed to embed the widget, e.g. {https://app.example.com}; empty = any
+  allowed_origins TEXT[] NOT NULL DEFAULT '{}',
+
+  -- Appearance and fields: { title, button_label, color, position, collect_email, screenshots }
+  settings JSONB NOT NULL DEFAULT '{}',
+
+  enabled BOOLEAN NOT NULL DEFAULT TRUE,
+
+  -- Usage
+  submissions_count INTEGER NOT NULL DEFAULT 0,
+  last_submission_at TIMESTAMP WITH TIME ZONE,
+
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Indexes for performance
+CREATE INDEX IF NOT EXISTS idx_feedback_widgets_user
+ON feedback_widgets(user_id, created_at DESC);
+
+-- Rate limiting counts recent submissions per widget and per (hashed) client IP
+CREATE INDEX IF NOT EXISTS idx_raw_feedback_widget_submissions
+ON raw_feedback ((metadata->'widget'->>'widget_id'), created_at DESC)
+WHERE platform = 'website';
+
+-- Row Level Security (RLS) policies
+-- The public /api/widget routes read widgets with the service role
+ALTER TABLE feedback_widgets ENABLE ROW LEVEL SECURITY;
+
+-- Policy: Users can view their own widgets
+CREATE POLICY "Users can view own widgets" ON feedback_widgets
+  FOR SELECT USING (auth.uid() = user_id);
+
+-- Policy: Users can create their own widgets
+CREATE POLICY "Users can insert own widgets" ON feedback_widgets
+  FOR INSERT WITH CHECK (auth.uid() = user_id);
+
+-- Policy: Users can update their own widgets
+CREATE POLICY "Users can update own widgets" ON feedback_widgets
+  FOR UPDATE USING (auth.uid() = user_id);
+
+-- Policy: Users can delete their own widgets
+CREATE POLICY "Users can delete own widgets" ON feedback_widgets
+  FOR DELETE USING (auth.uid() = user_id);
+
+-- Screenshot storage: private bucket, files at <user_id>/<widget_id>/<uuid>.<ext>.
+-- Uploads and signed URLs are created server-side with the service role.
+INSERT INTO storage.buckets (id, name, public, file_size_limit, allowed_mime_types)
+VALUES ('feedback-screenshots', 'feedback-screenshots', FALSE, 2097152, ARRAY['image/png', 'image/jpeg', 'image/webp'])
+ON CONFLICT (id) DO NOTHING;
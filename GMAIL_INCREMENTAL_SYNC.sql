@@ -0,0 +1,23 @@
+-- Incremental Gmail Sync
+-- Stores each integration's sync cursor so syncs only fetch what's new
+-- (Gmail: last historyId plus messages left over from the previous run)
+-- Run this SQL in your Supabase SQL editor after INTEGRATION_SYNC_TABLE.sql
+
+-- Example for Gmail:
+--   { "history_id": "1234567", "pending_message_ids": ["18c2...", "18c3..."] }
+ALTER TABLE integrations ADD COLUMN IF NOT EXISTS sync_state JSONB NOT NULL DEFAULT '{}';
+
+COMMENT ON COLUMN integrations.sync_state IS 'Platform sync cursor, written by successful syncs; reset on reconnect';
+
+-- Imports look up already-imported messages by source_id in batches
+CREATE INDEX IF NOT EXISTS idx_raw_feedback_user_platform_source
+ON raw_feedback (user_id, platform, source_id);
+
+-- Verify column creation
+SELECT
+  table_name,
+  column_name,
+  data_type,
+  is_nullable
+FROM information_schema.columns
+WHERE table_name = 'integrations' AND column_name = 'sync_state';
@@ -0,0 +1,63 @@
+-- Inbound Feedback Webhooks
+-- Endpoints external tools (Zapier, Typeform, your backend) POST feedback to:
+-- /api/ingest/<token>. Each endpoint has its own token, optional HMAC signing
+-- secret and field mapping onto the feedback form's fields.
+-- Run this SQL in your Supabase SQL editor after JOBS_TABLE.sql
+
+CREATE TABLE IF NOT EXISTS ingest_endpoints (
+  -- Primary key
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+
+  -- Owner
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+
+  -- The URL token is only shown when it is created; SHA-256 of it is stored
+  token_hash TEXT NOT NULL UNIQUE,
+  token_prefix TEXT NOT NULL,
+
+  -- HMAC-SHA256 secret; with require_signature every request must be signed
+  signing_secret TEXT NOT NULL,
+  require_signature BOOLEAN NOT NULL DEFAULT FALSE,
+
+  -- Payload path per feedback field, e.g. { "content": "form_response.answers.0.text" }
+  field_mapping JSONB NOT NULL DEFAULT '{}',
+  -- Values for fields the payload does not have, e.g. { "source": "survey" }
+  defaults JSONB NOT NULL DEFAULT '{}',
+
+  enabled BOOLEAN NOT NULL DEFAULT TRUE,
+
+  -- Usage
+  items_received INTEGER NOT NULL DEFAULT 0,
+  last_used_at TIMESTAMP WITH TIME ZONE,
+
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+COMMENT ON COLUMN ingest_endpoints.token_hash IS 'SHA-256 (hex) of the token in the endpoint URL';
+COMMENT ON COLUMN ingest_endpoints.field_mapping IS 'Dot paths into each payload item for title, content, source, priority, category, userEmail, tags, externalId and metadata';
+
+-- Indexes for performance
+CREATE INDEX IF NOT EXISTS idx_ingest_endpoints_user
+ON ingest_endpoints(user_id, created_at DESC);
+
+-- Row Level Security (RLS) policies
+-- The public /api/ingest route looks tokens up with the service role
+ALTER TABLE ingest_endpoints ENABLE ROW LEVEL SECURITY;
+
+-- Policy: Users can view their own endpoints
+CREATE POLICY "Users can view own ingest endpoints" ON ingest_endpoints
+  FOR SELECT USING (auth.uid() = user_id);
+
+-- Policy: Users can create their own endpoints
+CREATE POLICY "Users can insert own ingest endpoints" ON ingest_endpoints
+  FOR INSERT WITH CHECK (auth.uid() = user_id);
+
+-- Policy: Users can update their own endpoints
+CREATE POLICY "Users can update own ingest endpoints" ON ingest_endpoints
+  FOR UPDATE USING (auth.uid() = user_id);
+
+-- Policy: Users can delete their own endpoints
+CREATE POLICY "Users can delete own ingest endpoints" ON ingest_endpoints
+  FOR DELETE USING (auth.uid() = user_id);
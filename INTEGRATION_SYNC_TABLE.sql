@@ -0,0 +1,90 @@
+-- Integration Sync Scheduling
+-- Scheduled auto-sync for connected integrations: per-integration schedule,
+-- failure backoff and a history of every sync run
+-- Run this SQL in your Supabase SQL editor after JOBS_TABLE.sql
+
+-- 1. Scheduling state on integrations
+-- The interval itself lives in integrations.config:
+--   { "auto_sync": true, "sync_interval_minutes": 60 }
+ALTER TABLE integrations ADD COLUMN IF NOT EXISTS next_sync_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE integrations ADD COLUMN IF NOT EXISTS sync_failures INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE integrations ADD COLUMN IF NOT EXISTS last_sync_status TEXT;
+ALTER TABLE integrations ADD COLUMN IF NOT EXISTS last_sync_error TEXT;
+
+COMMENT ON COLUMN integrations.next_sync_at IS 'When the scheduler syncs this integration next (NULL = as soon as possible)';
+COMMENT ON COLUMN integrations.sync_failures IS 'Consecutive failed syncs; the schedule backs off exponentially';
+
+CREATE INDEX IF NOT EXISTS idx_integrations_due
+ON integrations (status, next_sync_at);
+
+-- 2. Sync run history
+CREATE TABLE IF NOT EXISTS integration_sync_runs (
+  -- Primary key
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+
+  -- Owner and integration
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  integration_id UUID NOT NULL REFERENCES integrations(id) ON DELETE CASCADE,
+  platform TEXT NOT NULL,
+
+  -- What started the run
+  trigger TEXT NOT NULL DEFAULT 'schedule' CHECK (trigger IN ('schedule', 'manual')),
+
+  status TEXT NOT NULL DEFAULT 'running' CHECK (status IN ('running', 'succeeded', 'failed')),
+
+  started_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  finished_at TIMESTAMP WITH TIME ZONE,
+
+  -- Items seen at the source vs. new feedback rows created
+  items_found INTEGER NOT NULL DEFAULT 0,
+  items_imported INTEGER NOT NULL DEFAULT 0,
+
+  -- Per-item errors are counted; a run-level error fails the run
+  error_count INTEGER NOT NULL DEFAULT 0,
+  error TEXT,
+
+  -- Platform-specific details (search query, skipped counts, ...)
+  details JSONB NOT NULL DEFAULT '{}'
+);
+
+-- Indexes for performance
+CREATE INDEX IF NOT EXISTS idx_integration_sync_runs_integration
+ON integration_sync_runs(integration_id, started_at DESC);
+CREATE INDEX IF NOT EXISTS idx_integration_sync_runs_user
+ON integration_sync_runs(user_id, started_at DESC);
+
+-- Row Level Security (RLS) policies
+ALTER TABLE integration_sync_runs ENABLE ROW LEVEL SECURITY;
+
+-- Policy: Users can view their own sync history
+CREATE POLICY "Users can view own sync runs" ON integration_sync_runs
+  FOR SELECT USING (auth.uid() = user_id);
+
+-- Policy: Manual syncs record runs with the user's session
+CREATE POLICY "Users can insert own sync runs" ON integration_sync_runs
+  FOR INSERT WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can update own sync runs" ON integration_sync_runs
+  FOR UPDATE USING (auth.uid() = user_id);
+
+-- Optional: Keep 90 days of history
+CREATE OR REPLACE FUNCTION cleanup_old_sync_runs()
+RETURNS void AS $$
+BEGIN
+  DELETE FROM integration_sync_runs WHERE started_at < NOW() - INTERVAL '90 days';
+END;
+$$ LANGUAGE plpgsql;
+
+-- Optional: Schedule cleanup to run periodically (requires pg_cron extension)
+-- SELECT cron.schedule('cleanup-sync-runs', '30 3 * * *', 'SELECT cleanup_old_sync_runs();');
+
+-- Verify table creation
+SELECT
+  table_name,
+  column_name,
+  data_type,
+  is_nullable
+FROM information_schema.columns
+WHERE table_name = 'integration_sync_runs'
+   OR (table_name = 'integrations' AND column_name IN ('next_sync_at', 'sync_failures', 'last_sync_status', 'last_sync_error'))
+ORDER BY table_name, ordinal_position;
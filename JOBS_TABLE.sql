@@ -0,0 +1,178 @@
+-- Jobs Table
+-- Persistent background job queue: feedback analysis, clustering and spec
+-- generation run here instead of inside API requests
+-- Run this SQL in your Supabase SQL editor after FEEDBACK_EMBEDDINGS_MIGRATION.sql
+
+CREATE TABLE IF NOT EXISTS jobs (
+  -- Primary key
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+
+  -- Owner of the job (the worker acts on this user's data)
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+
+  -- Handler name (analyze_feedback, update_clusters, generate_spec, ...)
+  type TEXT NOT NULL,
+
+  -- Handler input
+  payload JSONB NOT NULL DEFAULT '{}',
+
+  -- queued -> running -> succeeded
+  --                   -> queued again (retry with backoff)
+  --                   -> dead (retries exhausted, kept for inspection)
+  status TEXT NOT NULL DEFAULT 'queued'
+    CHECK (status IN ('queued', 'running', 'succeeded', 'dead', 'cancelled')),
+
+  -- Higher runs first
+  priority INTEGER NOT NULL DEFAULT 0,
+
+  -- Retry bookkeeping
+  attempts INTEGER NOT NULL DEFAULT 0,
+  max_attempts INTEGER NOT NULL DEFAULT 5,
+  run_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  last_error TEXT,
+
+  -- Jobs with the same key are coalesced while one is still queued
+  dedupe_key TEXT,
+
+  -- Worker lock; a running job whose lock is older than the lock timeout is reclaimed
+  locked_by TEXT,
+  locked_at TIMESTAMP WITH TIME ZONE,
+
+  -- Handler output, returned to the dashboard
+  result JSONB,
+
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  started_at TIMESTAMP WITH TIME ZONE,
+  completed_at TIMESTAMP WITH TIME ZONE
+);
+
+-- Indexes for performance
+CREATE INDEX IF NOT EXISTS idx_jobs_claim ON jobs(status, run_at);
+CREATE INDEX IF NOT EXISTS idx_jobs_user_created ON jobs(user_id, created_at DESC);
+
+-- At most one queued job per dedupe key
+CREATE UNIQUE INDEX IF NOT EXISTS idx_jobs_dedupe
+ON jobs(user_id, type, dedupe_key)
+WHERE status = 'queued' AND dedupe_key IS NOT NULL;
+
+-- Row Level Security (RLS) policies
+ALTER TABLE jobs ENABLE ROW LEVEL SECURITY;
+
+-- Policy: Users can see their own jobs (the dashboard polls job status)
+CREATE POLICY "Users can view own jobs" ON jobs
+  FOR SELECT USING (auth.uid() = user_id);
+
+-- Policy: Users can enqueue their own jobs
+CREATE POLICY "Users can insert own jobs" ON jobs
+  FOR INSERT WITH CHECK (auth.uid() = user_id);
+
+-- No update policy: users retry and cancel through retry_job() and
+-- cancel_job() below, which allow nothing else. Existing installs drop the
+-- policy earlier versions of this script created.
+DROP POLICY IF EXISTS "Users can update own jobs" ON jobs;
+
+-- Claim due jobs for a worker. FOR UPDATE SKIP LOCKED lets several workers
+-- poll the same table without handing out a job twice.
+CREATE OR REPLACE FUNCTION claim_jobs(
+  p_worker_id TEXT,
+  p_limit INTEGER DEFAULT 5,
+  p_types TEXT[] DEFAULT NULL,
+  p_lock_timeout_seconds INTEGER DEFAULT 600
+)
+RETURNS SETOF jobs AS $$
+BEGIN
+  RETURN QUERY
+  UPDATE jobs
+  SET status = 'running',
+      locked_by = p_worker_id,
+      locked_at = NOW(),
+      started_at = NOW(),
+      attempts = jobs.attempts + 1,
+      updated_at = NOW()
+  WHERE jobs.id IN (
+    SELECT candidate.id
+    FROM jobs candidate
+    WHERE (
+        (candidate.status = 'queued' AND candidate.run_at <= NOW())
+        OR (candidate.status = 'running'
+            AND candidate.locked_at < NOW() - make_interval(secs => p_lock_timeout_seconds))
+      )
+      AND (p_types IS NULL OR candidate.type = ANY(p_types))
+    ORDER BY candidate.priority DESC, candidate.run_at ASC
+    LIMIT p_limit
+    FOR UPDATE SKIP LOCKED
+  )
+  RETURNING jobs.*;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Only the worker (service role) may claim jobs
+REVOKE EXECUTE ON FUNCTION claim_jobs(TEXT, INTEGER, TEXT[], INTEGER) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION claim_jobs(TEXT, INTEGER, TEXT[], INTEGER) TO service_role;
+
+-- Put one of the caller's dead or cancelled jobs back in the queue with a
+-- fresh set of attempts. Returns no row when the job can't be retried.
+CREATE OR REPLACE FUNCTION retry_job(p_job_id UUID)
+RETURNS SETOF jobs AS $$
+BEGIN
+  RETURN QUERY
+  UPDATE jobs
+  SET status = 'queued',
+      attempts = 0,
+      run_at = NOW(),
+      completed_at = NULL,
+      locked_by = NULL,
+      locked_at = NULL,
+      updated_at = NOW()
+  WHERE jobs.id = p_job_id
+    AND jobs.user_id = auth.uid()
+    AND jobs.status IN ('dead', 'cancelled')
+  RETURNING jobs.*;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Cancel one of the caller's jobs that hasn't started yet. Returns no row
+-- when the job can't be cancelled.
+CREATE OR REPLACE FUNCTION cancel_job(p_job_id UUID)
+RETURNS SETOF jobs AS $$
+BEGIN
+  RETURN QUERY
+  UPDATE jobs
+  SET status = 'cancelled',
+      completed_at = NOW(),
+      updated_at = NOW()
+  WHERE jobs.id = p_job_id
+    AND jobs.user_id = auth.uid()
+    AND jobs.status = 'queued'
+  RETURNING jobs.*;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+REVOKE EXECUTE ON FUNCTION retry_job(UUID) FROM PUBLIC, anon;
+REVOKE EXECUTE ON FUNCTION cancel_job(UUID) FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION retry_job(UUID) TO authenticated;
+GRANT EXECUTE ON FUNCTION cancel_job(UUID) TO authenticated;
+
+-- Optional: Remove finished jobs after 30 days
+CREATE OR REPLACE FUNCTION cleanup_finished_jobs()
+RETURNS void AS $$
+BEGIN
+  DELETE FROM jobs
+  WHERE status IN ('succeeded', 'cancelled')
+    AND completed_at < NOW() - INTERVAL '30 days';
+END;
+$$ LANGUAGE plpgsql;
+
+-- Optional: Schedule cleanup to run periodically (requires pg_cron extension)
+-- SELECT cron.schedule('cleanup-finished-jobs', '0 3 * * *', 'SELECT cleanup_finished_jobs();');
+
+-- Verify table creation
+SELECT
+  table_name,
+  column_name,
+  data_type,
+  is_nullable
+FROM information_schema.columns
+WHERE table_name = 'jobs'
+ORDER BY ordinal_position;
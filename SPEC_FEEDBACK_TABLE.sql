@@ -0,0 +1,67 @@
+-- Spec Feedback
+-- Which feedback items each spec (generated_specs) was generated from, across
+-- all of its versions. Deleting a feedback item or a spec removes its links;
+-- feedback merged into a linked item counts as a source of the spec through
+-- the duplicate group (libs/specs).
+-- Run this SQL in your Supabase SQL editor after SPEC_VERSIONS_TABLE.sql
+
+CREATE TABLE IF NOT EXISTS spec_feedback (
+  spec_id UUID NOT NULL REFERENCES generated_specs(id) ON DELETE CASCADE,
+  feedback_id UUID NOT NULL REFERENCES raw_feedback(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+
+  -- Versions of the spec generated from the item
+  first_version INTEGER NOT NULL DEFAULT 1,
+  last_version INTEGER NOT NULL DEFAULT 1,
+
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+  PRIMARY KEY (spec_id, feedback_id)
+);
+
+-- Indexes for performance
+CREATE INDEX IF NOT EXISTS idx_spec_feedback_feedback ON spec_feedback(user_id, feedback_id);
+
+-- Existing specs: the feedback of their versions, and the item of single-feedback specs
+INSERT INTO spec_feedback (spec_id, feedback_id, user_id, first_version, last_version)
+SELECT spec_versions.spec_id, linked.feedback_id, spec_versions.user_id, MIN(spec_versions.version), MAX(spec_versions.version)
+FROM spec_versions
+CROSS JOIN LATERAL unnest(spec_versions.feedback_ids) AS linked(feedback_id)
+WHERE EXISTS (SELECT 1 FROM raw_feedback WHERE raw_feedback.id = linked.feedback_id)
+GROUP BY spec_versions.spec_id, linked.feedback_id, spec_versions.user_id
+ON CONFLICT (spec_id, feedback_id) DO NOTHING;
+
+INSERT INTO spec_feedback (spec_id, feedback_id, user_id, first_version, last_version)
+SELECT id, feedback_id, user_id, 1, current_version
+FROM generated_specs
+WHERE feedback_id IS NOT NULL
+ON CONFLICT (spec_id, feedback_id) DO NOTHING;
+
+-- Single-feedback specs used to name their item in the title
+-- ("Spec for ... [feedback_id:<id>]"); the links above replace it
+UPDATE generated_specs
+SET title = regexp_replace(title, '\s*\[feedback_id:[^\]]+\]\s*$', '')
+WHERE title ~ '\[feedback_id:[^\]]+\]\s*$';
+
+UPDATE spec_versions
+SET title = regexp_replace(title, '\s*\[feedback_id:[^\]]+\]\s*$', '')
+WHERE title ~ '\[feedback_id:[^\]]+\]\s*$';
+
+-- Row Level Security (RLS) policies
+ALTER TABLE spec_feedback ENABLE ROW LEVEL SECURITY;
+
+-- Policy: Users can view their own spec feedback links
+CREATE POLICY "Users can view own spec feedback" ON spec_feedback
+  FOR SELECT USING (auth.uid() = user_id);
+
+-- Policy: Users can create their own spec feedback links
+CREATE POLICY "Users can insert own spec feedback" ON spec_feedback
+  FOR INSERT WITH CHECK (auth.uid() = user_id);
+
+-- Policy: Users can update their own spec feedback links
+CREATE POLICY "Users can update own spec feedback" ON spec_feedback
+  FOR UPDATE USING (auth.uid() = user_id);
+
+-- Policy: Users can delete their own spec feedback links
+CREATE POLICY "Users can delete own spec feedback" ON spec_feedback
+  FOR DELETE USING (auth.uid() = user_id);
@@ -0,0 +1,95 @@
+-- Spec Issues
+-- Issues created from specs in GitHub Issues, Linear or Jira ("send to
+-- tracker"): one issue per spec and tracker, or an epic with child tasks
+-- derived from the spec's feedback. Their tracker state is synced back, and
+-- the spec's feedback moves to "shipped" when the issue closes (libs/trackers).
+--
+-- Tracker connections are integrations rows (platform 'github_issues',
+-- 'linear' or 'jira') holding the token in access_token and the target repo,
+-- team or project in config - see ISSUE_TRACKERS_GUIDE.md.
+-- Run this SQL in your Supabase SQL editor after SPEC_FEEDBACK_TABLE.sql
+
+CREATE TABLE IF NOT EXISTS spec_issues (
+  -- Primary key
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+
+  -- Owner and spec
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  spec_id UUID NOT NULL REFERENCES generated_specs(id) ON DELETE CASCADE,
+
+  -- Tracker platform (the integration can be disconnected later)
+  provider TEXT NOT NULL CHECK (provider IN ('github_issues', 'linear', 'jira')),
+
+  -- An issue, or an epic and its child tasks (parent_id = the epic)
+  kind TEXT NOT NULL DEFAULT 'issue' CHECK (kind IN ('issue', 'epic', 'task')),
+  parent_id UUID REFERENCES spec_issues(id) ON DELETE CASCADE,
+
+  -- The issue in the tracker: its id (GitHub: "owner/name#42"), its key as
+  -- people write it ("#42", "ENG-42", "PROJ-42") and its web page. Empty
+  -- while the row is pending
+  external_id TEXT,
+  external_key TEXT,
+  url TEXT,
+  title TEXT NOT NULL,
+
+  -- Spec version the issue was created from
+  spec_version INTEGER,
+
+  -- Tracker state: open, done (completed) or canceled (closed as not planned,
+  -- won't do, duplicate...) and the tracker's own status name. A send first
+  -- reserves the row as pending, then fills in the issue it created
+  state TEXT NOT NULL DEFAULT 'open',
+  external_status TEXT,
+  closed_at TIMESTAMP WITH TIME ZONE,
+
+  -- Last status sync and its error, if it failed
+  synced_at TIMESTAMP WITH TIME ZONE,
+  sync_error TEXT,
+
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Pending reservations (also for tables created before them)
+ALTER TABLE spec_issues ALTER COLUMN external_id DROP NOT NULL;
+ALTER TABLE spec_issues ALTER COLUMN external_key DROP NOT NULL;
+ALTER TABLE spec_issues ALTER COLUMN url DROP NOT NULL;
+
+ALTER TABLE spec_issues DROP CONSTRAINT IF EXISTS spec_issues_state_check;
+ALTER TABLE spec_issues ADD CONSTRAINT spec_issues_state_check
+CHECK (state IN ('pending', 'open', 'done', 'canceled'));
+
+ALTER TABLE spec_issues DROP CONSTRAINT IF EXISTS spec_issues_created_check;
+ALTER TABLE spec_issues ADD CONSTRAINT spec_issues_created_check
+CHECK (state = 'pending' OR (external_id IS NOT NULL AND external_key IS NOT NULL AND url IS NOT NULL));
+
+-- One issue (or epic) per spec and tracker
+CREATE UNIQUE INDEX IF NOT EXISTS idx_spec_issues_spec_provider
+ON spec_issues(spec_id, provider) WHERE parent_id IS NULL;
+
+-- Indexes for performance
+CREATE INDEX IF NOT EXISTS idx_spec_issues_parent
+ON spec_issues(parent_id);
+
+-- Open issues due for a status sync
+CREATE INDEX IF NOT EXISTS idx_spec_issues_sync
+ON spec_issues(state, synced_at);
+
+-- Row Level Security (RLS) policies
+ALTER TABLE spec_issues ENABLE ROW LEVEL SECURITY;
+
+-- Policy: Users can view their own spec issues
+CREATE POLICY "Users can view own spec issues" ON spec_issues
+  FOR SELECT USING (auth.uid() = user_id);
+
+-- Policy: Users can create their own spec issues
+CREATE POLICY "Users can insert own spec issues" ON spec_issues
+  FOR INSERT WITH CHECK (auth.uid() = user_id);
+
+-- Policy: Users can update their own spec issues
+CREATE POLICY "Users can update own spec issues" ON spec_issues
+  FOR UPDATE USING (auth.uid() = user_id);
+
+-- Policy: Users can delete their own spec issues
+CREATE POLICY "Users can delete own spec issues" ON spec_issues
+  FOR DELETE USING (auth.uid() = user_id);
@@ -0,0 +1,65 @@
+-- Spec Templates
+-- User-defined structures for generated specifications: sections (with
+-- required headings), tone and target format (Cursor rules, CLAUDE.md, PRD,
+-- user story, RFC). Used by /api/generate-spec, /api/generate-individual-spec
+-- and the bulk "Generate spec" action (libs/spec-templates).
+-- Run this SQL in your Supabase SQL editor
+
+CREATE TABLE IF NOT EXISTS spec_templates (
+  -- Primary key
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+
+  -- Owner
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  description TEXT,
+
+  target TEXT NOT NULL DEFAULT 'generic'
+    CHECK (target IN ('generic', 'cursor_rules', 'claude_md', 'prd', 'user_story', 'rfc')),
+  tone TEXT,
+
+  -- Ordered sections: [{"heading": "Acceptance Criteria", "instructions": "...", "required": true}]
+  sections JSONB NOT NULL DEFAULT '[]',
+  instructions TEXT,
+
+  -- Used when a spec is generated without a templateId
+  is_default BOOLEAN NOT NULL DEFAULT FALSE,
+
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Indexes for performance
+CREATE INDEX IF NOT EXISTS idx_spec_templates_user
+ON spec_templates(user_id, created_at);
+
+-- One default template per user
+CREATE UNIQUE INDEX IF NOT EXISTS idx_spec_templates_default
+ON spec_templates(user_id) WHERE is_default;
+
+-- Row Level Security (RLS) policies
+ALTER TABLE spec_templates ENABLE ROW LEVEL SECURITY;
+
+-- Policy: Users can view their own templates
+CREATE POLICY "Users can view own spec templates" ON spec_templates
+  FOR SELECT USING (auth.uid() = user_id);
+
+-- Policy: Users can create their own templates
+CREATE POLICY "Users can insert own spec templates" ON spec_templates
+  FOR INSERT WITH CHECK (auth.uid() = user_id);
+
+-- Policy: Users can update their own templates
+CREATE POLICY "Users can update own spec templates" ON spec_templates
+  FOR UPDATE USING (auth.uid() = user_id);
+
+-- Policy: Users can delete their own templates
+CREATE POLICY "Users can delete own spec templates" ON spec_templates
+  FOR DELETE USING (auth.uid() = user_id);
+
+-- Template a spec was generated with: a spec_templates id or a built-in
+-- target key (no foreign key - built-ins aren't rows, and specs outlive
+-- deleted templates)
+ALTER TABLE generated_specs ADD COLUMN IF NOT EXISTS template_id TEXT;
+
+-- Required sections still missing after the re-prompts
+ALTER TABLE generated_specs ADD COLUMN IF NOT EXISTS missing_sections JSONB;
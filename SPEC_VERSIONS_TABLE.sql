@@ -0,0 +1,98 @@
+-- Spec Versions
+-- Every spec generation is kept as a version of its spec (generated_specs),
+-- with the model, prompt, template and feedback it was generated from. One
+-- version per spec can be pinned as approved (libs/specs).
+-- Run this SQL in your Supabase SQL editor after SPEC_TEMPLATES_TABLE.sql
+
+-- Specs of a single feedback item (their title still ends with [feedback_id:<id>])
+ALTER TABLE generated_specs
+ADD COLUMN IF NOT EXISTS feedback_id UUID REFERENCES raw_feedback(id) ON DELETE SET NULL;
+
+UPDATE generated_specs
+SET feedback_id = substring(title from '\[feedback_id:([0-9a-fA-F-]{36})\]')::uuid
+WHERE feedback_id IS NULL
+  AND cluster_id IS NULL
+  AND title ~ '\[feedback_id:[0-9a-fA-F-]{36}\]'
+  AND EXISTS (
+    SELECT 1 FROM raw_feedback
+    WHERE raw_feedback.id = substring(generated_specs.title from '\[feedback_id:([0-9a-fA-F-]{36})\]')::uuid
+  );
+
+ALTER TABLE generated_specs ADD COLUMN IF NOT EXISTS current_version INTEGER NOT NULL DEFAULT 1;
+ALTER TABLE generated_specs ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW();
+
+CREATE TABLE IF NOT EXISTS spec_versions (
+  -- Primary key
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+
+  spec_id UUID NOT NULL REFERENCES generated_specs(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  version INTEGER NOT NULL,
+
+  title TEXT NOT NULL,
+  content TEXT NOT NULL,
+
+  -- How it was generated
+  provider TEXT,
+  model TEXT,
+  template_id TEXT,
+  template_name TEXT,
+  -- Messages of the first request: [{"role": "system", "content": "..."}, ...]
+  prompt JSONB,
+  feedback_ids UUID[] NOT NULL DEFAULT '{}',
+  missing_sections JSONB,
+
+  -- Updates with new feedback: {"baseVersionId", "baseVersion", "newFeedbackIds", "newRequirements"}
+  change_summary JSONB,
+
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+  UNIQUE(spec_id, version)
+);
+
+-- Indexes for performance
+CREATE INDEX IF NOT EXISTS idx_spec_versions_user ON spec_versions(user_id, created_at DESC);
+
+-- Existing specs become their version 1
+INSERT INTO spec_versions (spec_id, user_id, version, title, content, template_id, missing_sections, created_at)
+SELECT id, user_id, 1, COALESCE(title, 'Untitled spec'), COALESCE(content, ''), template_id, missing_sections, created_at
+FROM generated_specs
+WHERE NOT EXISTS (SELECT 1 FROM spec_versions WHERE spec_versions.spec_id = generated_specs.id);
+
+-- The approved version
+ALTER TABLE generated_specs
+ADD COLUMN IF NOT EXISTS approved_version_id UUID REFERENCES spec_versions(id) ON DELETE SET NULL;
+ALTER TABLE generated_specs ADD COLUMN IF NOT EXISTS approved_at TIMESTAMP WITH TIME ZONE;
+
+-- Next version number of a spec (libs/specs saveSpecVersion). The update locks
+-- the spec row, so concurrent saves get different numbers.
+-- Runs with the caller's rights, so RLS still limits users to their own specs
+CREATE OR REPLACE FUNCTION next_spec_version(p_user_id UUID, p_spec_id UUID)
+RETURNS INTEGER AS $$
+  UPDATE generated_specs
+  SET current_version = GREATEST(
+    current_version,
+    (SELECT COALESCE(MAX(version), 0) FROM spec_versions WHERE spec_id = p_spec_id)
+  ) + 1
+  WHERE id = p_spec_id
+    AND user_id = p_user_id
+  RETURNING current_version;
+$$ LANGUAGE sql;
+
+CREATE INDEX IF NOT EXISTS idx_generated_specs_cluster ON generated_specs(user_id, cluster_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_generated_specs_feedback ON generated_specs(user_id, feedback_id, created_at DESC);
+
+-- Row Level Security (RLS) policies
+ALTER TABLE spec_versions ENABLE ROW LEVEL SECURITY;
+
+-- Policy: Users can view their own spec versions
+CREATE POLICY "Users can view own spec versions" ON spec_versions
+  FOR SELECT USING (auth.uid() = user_id);
+
+-- Policy: Users can create their own spec versions
+CREATE POLICY "Users can insert own spec versions" ON spec_versions
+  FOR INSERT WITH CHECK (auth.uid() = user_id);
+
+-- Policy: Users can delete their own spec versions
+CREATE POLICY "Users can delete own spec versions" ON spec_versions
+  FOR DELETE USING (auth.uid() = user_id);
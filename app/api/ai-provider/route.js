@@ -0,0 +1,63 @@
+import { NextResponse } from "next/server";
+import {
+  createAuthenticatedSupabaseClient,
+  getAuthenticatedUser,
+} from "../../../libs/auth/server-auth.js";
+import { withErrorHandler, createAuthError } from "../../../libs/errors/error-handler.js";
+import { deleteAISettings, getAISettings, saveAISettings } from "../../../libs/ai/settings.js";
+
+export const dynamic = "force-dynamic";
+
+// GET /api/ai-provider - The user's own AI provider (no key) and the environment provider
+export const GET = withErrorHandler(async () => {
+  const supabase = createAuthenticatedSupabaseClient();
+  const user = await getAuthenticatedUser();
+
+  if (!user) {
+    throw createAuthError();
+  }
+
+  return NextResponse.json({
+    success: true,
+    data: await getAISettings(supabase, user.id),
+    message: "AI provider retrieved successfully",
+  });
+});
+
+// PUT /api/ai-provider - { provider, apiKey?, model?, baseUrl?, endpoint?, deployment?,
+// apiVersion?, embeddingModel?, embeddingDeployment? } Check and save the user's provider.
+// A missing apiKey keeps the saved one.
+export const PUT = withErrorHandler(async (request) => {
+  const supabase = createAuthenticatedSupabaseClient();
+  const user = await getAuthenticatedUser();
+
+  if (!user) {
+    throw createAuthError();
+  }
+
+  const settings = await saveAISettings(supabase, user.id, await request.json());
+
+  return NextResponse.json({
+    success: true,
+    data: await getAISettings(supabase, user.id),
+    message: `${settings.label} connected`,
+  });
+});
+
+// DELETE /api/ai-provider - Go back to the environment provider
+export const DELETE = withErrorHandler(async () => {
+  const supabase = createAuthenticatedSupabaseClient();
+  const user = await getAuthenticatedUser();
+
+  if (!user) {
+    throw createAuthError();
+  }
+
+  await deleteAISettings(supabase, user.id);
+
+  return NextResponse.json({
+    success: true,
+    data: await getAISettings(supabase, user.id),
+    message: "AI provider removed",
+  });
+});
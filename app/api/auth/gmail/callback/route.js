@@ -90,6 +90,12 @@ export async function GET(request) {
           expires_at: tokens.expiry_date ? new Date(tokens.expiry_date).toISOString() : null
         },
         last_sync: null,
+        // Reconnecting clears the failure backoff; the scheduler picks it up right away
+        next_sync_at: null,
+        sync_failures: 0,
+        last_sync_error: null,
+        // Possibly a different mailbox - start over with a full sync
+        sync_state: {},
         created_at: new Date().toISOString(),
         updated_at: new Date().toISOString()
       }, {
@@ -0,0 +1,114 @@
+import { NextResponse } from 'next/server';
+import { createClient } from '../../../../../libs/supabase/server.js';
+const { SlackService, exchangeSlackCode } = require('../../../../../libs/services/slack.js');
+
+// How long the user has to finish the Slack consent screen
+const STATE_MAX_AGE_MS = 15 * 60 * 1000;
+
+/**
+ * Slack OAuth callback route
+ * GET /api/auth/slack/callback - Stores the workspace bot token as the user's Slack integration
+ */
+export async function GET(request) {
+  const failed = (reason) => NextResponse.redirect(new URL(`/dashboard/integrations?error=${reason}`, request.url));
+
+  try {
+    const { searchParams } = request.nextUrl;
+    const code = searchParams.get('code');
+    const error = searchParams.get('error');
+    const state = searchParams.get('state');
+
+    if (error || !code) {
+      console.error('Slack OAuth error or missing code:', error);
+      return failed('slack_auth_failed');
+    }
+
+    let userContext;
+    try {
+      userContext = JSON.parse(state);
+    } catch (e) {
+      console.error('Invalid state parameter:', e);
+      return failed('slack_auth_failed');
+    }
+
+    if (!userContext?.timestamp || Date.now() - userContext.timestamp > STATE_MAX_AGE_MS) {
+      console.error('Expired Slack OAuth state');
+      return failed('slack_auth_failed');
+    }
+
+    const clientId = process.env.SLACK_CLIENT_ID;
+    const clientSecret = process.env.SLACK_CLIENT_SECRET;
+    const redirectUri = process.env.SLACK_REDIRECT_URI || 'http://localhost:3000/api/auth/slack/callback';
+
+    if (!clientId || !clientSecret) {
+      console.error('Slack OAuth credentials not properly configured');
+      return failed('slack_oauth_not_configured');
+    }
+
+    const supabase = createClient();
+
+    // Verify the user from state matches current session
+    const { data: { user }, error: userError } = await supabase.auth.getUser();
+
+    if (userError || !user || user.id !== userContext.userId) {
+      console.error('User authentication error or mismatch:', userError);
+      return failed('slack_auth_failed');
+    }
+
+    const oauth = await exchangeSlackCode({ clientId, clientSecret, code, redirectUri });
+
+    // auth.test gives the workspace URL used for message links
+    const workspace = await new SlackService(oauth.access_token).authTest();
+
+    const { data: existing } = await supabase
+      .from('integrations')
+      .select('config')
+      .eq('user_id', user.id)
+      .eq('platform', 'slack')
+      .maybeSingle();
+
+    // Reinstalling into the same workspace keeps the channel selection and schedule
+    const sameTeam = !!existing?.config?.team_id && existing.config.team_id === oauth.team?.id;
+
+    const integration = {
+      user_id: user.id,
+      platform: 'slack',
+      status: 'connected',
+      access_token: oauth.access_token,
+      refresh_token: oauth.refresh_token || null,
+      config: {
+        ...(sameTeam ? existing.config : { channel_ids: [], channel_names: {}, keywords: [] }),
+        team_id: oauth.team?.id || workspace.teamId,
+        team_name: oauth.team?.name || workspace.team,
+        workspace_url: workspace.url,
+        bot_user_id: oauth.bot_user_id || workspace.botUserId,
+        scope: oauth.scope || ''
+      },
+      // Reconnecting clears the failure backoff; the scheduler picks it up right away
+      next_sync_at: null,
+      sync_failures: 0,
+      last_sync_error: null,
+      updated_at: new Date().toISOString()
+    };
+    if (!sameTeam) {
+      // A different workspace starts over
+      integration.last_sync = null;
+      integration.sync_state = {};
+    }
+
+    const { error: upsertError } = await supabase
+      .from('integrations')
+      .upsert(integration, { onConflict: 'user_id,platform' });
+
+    if (upsertError) {
+      console.error('Error saving Slack integration:', upsertError);
+      return failed('slack_auth_failed');
+    }
+
+    return NextResponse.redirect(new URL('/dashboard/integrations?success=slack_connected', request.url));
+
+  } catch (error) {
+    console.error('Slack OAuth callback error:', error);
+    return failed('slack_auth_failed');
+  }
+}
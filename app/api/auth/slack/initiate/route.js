@@ -0,0 +1,43 @@
+import { NextResponse } from 'next/server';
+import { createClient } from '../../../../../libs/supabase/server.js';
+const { getSlackAuthUrl } = require('../../../../../libs/services/slack.js');
+
+/**
+ * Slack OAuth initiation with user-specific state
+ * POST /api/auth/slack/initiate - Creates the "Add to Slack" URL with user context
+ */
+export async function POST() {
+  try {
+    const supabase = createClient();
+
+    // Verify user authentication
+    const { data: { user }, error: userError } = await supabase.auth.getUser();
+    if (userError || !user) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const clientId = process.env.SLACK_CLIENT_ID;
+    const redirectUri = process.env.SLACK_REDIRECT_URI || 'http://localhost:3000/api/auth/slack/callback';
+
+    if (!clientId) {
+      console.error('SLACK_CLIENT_ID is not set');
+      return NextResponse.json({
+        error: 'Slack OAuth not configured. Please set SLACK_CLIENT_ID in your environment variables.'
+      }, { status: 500 });
+    }
+
+    // Create state parameter with user context
+    const state = JSON.stringify({
+      userId: user.id,
+      timestamp: Date.now()
+    });
+
+    const authUrl = getSlackAuthUrl({ clientId, redirectUri, state });
+
+    return NextResponse.json({ authUrl });
+
+  } catch (error) {
+    console.error('Error creating Slack OAuth URL:', error);
+    return NextResponse.json({ error: 'Failed to create authorization URL' }, { status: 500 });
+  }
+}
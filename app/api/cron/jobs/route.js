@@ -0,0 +1,46 @@
+import { NextResponse } from 'next/server';
+import { createAdminClient } from '../../../../libs/supabase/admin.js';
+import { isAuthorizedCronRequest } from '../../../../libs/auth/server-auth.js';
+import { runWorker } from '../../../../libs/jobs/index.js';
+
+export const dynamic = 'force-dynamic';
+export const maxDuration = 300;
+
+/**
+ * Job worker entrypoint
+ * GET  /api/cron/jobs - Called by Vercel Cron every minute
+ * POST /api/cron/jobs - Same, for external schedulers and `npm run worker`
+ *
+ * Drains due jobs for up to ~5 minutes, then returns. Runs overlap; each
+ * claims its own jobs.
+ */
+async function handleWorkerRun(request) {
+  if (!isAuthorizedCronRequest(request)) {
+    return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+  }
+
+  try {
+    const url = new URL(request.url);
+    const types = url.searchParams.get('types');
+
+    const stats = await runWorker(createAdminClient(), {
+      types: types ? types.split(',') : null,
+    });
+
+    if (stats.claimed > 0) {
+      console.log(`⚙️ Job worker finished: ${stats.succeeded} succeeded, ${stats.retried} retried, ${stats.dead} dead, ${stats.running} still running`);
+    }
+
+    return NextResponse.json({ success: true, ...stats });
+  } catch (error) {
+    console.error('❌ Job worker failed:', error);
+
+    return NextResponse.json({
+      error: 'Job worker failed',
+      details: error.message
+    }, { status: 500 });
+  }
+}
+
+export const GET = handleWorkerRun;
+export const POST = handleWorkerRun;
@@ -0,0 +1,76 @@
+import { NextResponse } from 'next/server';
+import { createAdminClient } from '../../../../libs/supabase/admin.js';
+import { isAuthorizedCronRequest } from '../../../../libs/auth/server-auth.js';
+import { jobQueue, JOB_TYPES, kickWorker } from '../../../../libs/jobs/index.js';
+const { integrationSyncService } = require('../../../../libs/services/integration-sync.js');
+
+export const dynamic = 'force-dynamic';
+
+/**
+ * Integration sync scheduler
+ * GET  /api/cron/sync - Called by Vercel Cron every 5 minutes
+ * POST /api/cron/sync - Same, for external schedulers
+ *
+ * Queues a sync_integration job for every connected integration whose
+ * next_sync_at has passed. The job worker (/api/cron/jobs) runs the syncs.
+ */
+async function handleScheduleRun(request) {
+  if (!isAuthorizedCronRequest(request)) {
+    return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+  }
+
+  try {
+    const supabase = createAdminClient();
+    const now = new Date();
+    const integrations = await integrationSyncService.findDueIntegrations(supabase, { now });
+
+    const scheduled = [];
+    const failed = [];
+
+    for (const integration of integrations) {
+      try {
+        // Push the schedule forward first so the next tick doesn't queue it again
+        // while the job is running; the sync itself sets the real next run
+        await supabase
+          .from('integrations')
+          .update({ next_sync_at: integrationSyncService.getNextSyncAt(integration, { from: now }).toISOString() })
+          .eq('id', integration.id);
+
+        const job = await jobQueue.enqueue(
+          supabase,
+          integration.user_id,
+          JOB_TYPES.SYNC_INTEGRATION,
+          { integrationId: integration.id },
+          { dedupeKey: integration.id, maxAttempts: 1 }
+        );
+
+        scheduled.push({ integrationId: integration.id, platform: integration.platform, jobId: job.id });
+      } catch (error) {
+        console.error(`Failed to schedule sync for integration ${integration.id}:`, error.message);
+        failed.push({ integrationId: integration.id, error: error.message });
+      }
+    }
+
+    if (scheduled.length > 0) {
+      console.log(`🗓️ Scheduled ${scheduled.length} integration syncs`);
+      kickWorker();
+    }
+
+    return NextResponse.json({
+      success: true,
+      due: integrations.length,
+      scheduled,
+      failed
+    });
+  } catch (error) {
+    console.error('❌ Sync scheduler failed:', error);
+
+    return NextResponse.json({
+      error: 'Sync scheduler failed',
+      details: error.message
+    }, { status: 500 });
+  }
+}
+
+export const GET = handleScheduleRun;
+export const POST = handleScheduleRun;
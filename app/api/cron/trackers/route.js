@@ -0,0 +1,69 @@
+import { NextResponse } from 'next/server';
+import { createAdminClient } from '../../../../libs/supabase/admin.js';
+import { isAuthorizedCronRequest } from '../../../../libs/auth/server-auth.js';
+import { jobQueue, JOB_TYPES, kickWorker } from '../../../../libs/jobs/index.js';
+import { findDueIssueSyncs } from '../../../../libs/trackers/index.js';
+
+export const dynamic = 'force-dynamic';
+
+/**
+ * Spec issue sync scheduler
+ * GET  /api/cron/trackers - Called by Vercel Cron every 15 minutes
+ * POST /api/cron/trackers - Same, for external schedulers
+ *
+ * Queues a sync_spec_issues job for every user with open issues in GitHub
+ * Issues, Linear or Jira that weren't synced for 30 minutes. The job worker
+ * (/api/cron/jobs) polls the trackers and ships the feedback of closed specs.
+ */
+async function handleScheduleRun(request) {
+  if (!isAuthorizedCronRequest(request)) {
+    return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+  }
+
+  try {
+    const supabase = createAdminClient();
+    const userIds = await findDueIssueSyncs(supabase);
+
+    const scheduled = [];
+    const failed = [];
+
+    for (const userId of userIds) {
+      try {
+        const job = await jobQueue.enqueue(
+          supabase,
+          userId,
+          JOB_TYPES.SYNC_SPEC_ISSUES,
+          {},
+          { dedupeKey: 'spec_issues', maxAttempts: 1 }
+        );
+
+        scheduled.push({ userId, jobId: job.id });
+      } catch (error) {
+        console.error(`Failed to schedule spec issue sync for user ${userId}:`, error.message);
+        failed.push({ userId, error: error.message });
+      }
+    }
+
+    if (scheduled.length > 0) {
+      console.log(`🗓️ Scheduled ${scheduled.length} spec issue syncs`);
+      kickWorker();
+    }
+
+    return NextResponse.json({
+      success: true,
+      due: userIds.length,
+      scheduled,
+      failed
+    });
+  } catch (error) {
+    console.error('❌ Spec issue sync scheduler failed:', error);
+
+    return NextResponse.json({
+      error: 'Spec issue sync scheduler failed',
+      details: error.message
+    }, { status: 500 });
+  }
+}
+
+export const GET = handleScheduleRun;
+export const POST = handleScheduleRun;
@@ -0,0 +1,60 @@
+import { NextResponse } from "next/server";
+import {
+  createAuthenticatedSupabaseClient,
+  getAuthenticatedUser,
+} from "../../../../libs/auth/server-auth.js";
+import {
+  withErrorHandler,
+  createAuthError,
+} from "../../../../libs/errors/error-handler.js";
+import { validateUUID } from "../../../../libs/validation/validators.js";
+import { deleteCustomer, updateCustomer } from "../../../../libs/customers/index.js";
+import { enqueueFollowUpJobs, enqueuePriorityScoring, formatJob } from "../../../../libs/jobs/index.js";
+
+// PUT /api/customers/:id - { email?, domain?, name?, plan?, mrr?, accountSize?, churnRisk? }
+export const PUT = withErrorHandler(async (request, { params }) => {
+  const supabase = createAuthenticatedSupabaseClient();
+  const user = await getAuthenticatedUser();
+
+  if (!user) {
+    throw createAuthError();
+  }
+
+  validateUUID(params.id, "Customer ID");
+
+  const customer = await updateCustomer(supabase, user.id, params.id, await request.json());
+  const scoringJob = formatJob(
+    await enqueueFollowUpJobs(user.id, () => enqueuePriorityScoring(supabase, user.id), "PUT /api/customers/:id")
+  );
+
+  return NextResponse.json({
+    success: true,
+    data: customer,
+    jobs: { scoring: scoringJob },
+    message: "Customer updated successfully",
+  });
+});
+
+// DELETE /api/customers/:id
+export const DELETE = withErrorHandler(async (request, { params }) => {
+  const supabase = createAuthenticatedSupabaseClient();
+  const user = await getAuthenticatedUser();
+
+  if (!user) {
+    throw createAuthError();
+  }
+
+  validateUUID(params.id, "Customer ID");
+
+  await deleteCustomer(supabase, user.id, params.id);
+  const scoringJob = formatJob(
+    await enqueueFollowUpJobs(user.id, () => enqueuePriorityScoring(supabase, user.id), "DELETE /api/customers/:id")
+  );
+
+  return NextResponse.json({
+    success: true,
+    data: { id: params.id },
+    jobs: { scoring: scoringJob },
+    message: "Customer deleted successfully",
+  });
+});
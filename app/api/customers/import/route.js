@@ -0,0 +1,42 @@
+import { NextResponse } from "next/server";
+import {
+  createAuthenticatedSupabaseClient,
+  getAuthenticatedUser,
+} from "../../../../libs/auth/server-auth.js";
+import {
+  withErrorHandler,
+  createAuthError,
+} from "../../../../libs/errors/error-handler.js";
+import { importCustomers } from "../../../../libs/customers/index.js";
+import { enqueueFollowUpJobs, enqueuePriorityScoring, formatJob } from "../../../../libs/jobs/index.js";
+
+// POST /api/customers/import - { records: [...], offset?, last? }
+// Records parsed from a CSV/JSON file in the browser (libs/import/client.js),
+// in chunks of up to 1000. Scores are recomputed after the last chunk.
+export const POST = withErrorHandler(async (request) => {
+  const supabase = createAuthenticatedSupabaseClient();
+  const user = await getAuthenticatedUser();
+
+  if (!user) {
+    throw createAuthError();
+  }
+
+  const { records, offset = 0, last = true } = await request.json();
+  const { customers, errors } = await importCustomers(supabase, user.id, records, {
+    offset: Number.isInteger(offset) && offset > 0 ? offset : 0,
+  });
+
+  let scoringJob = null;
+  if (last !== false && customers.length > 0) {
+    scoringJob = formatJob(
+      await enqueueFollowUpJobs(user.id, () => enqueuePriorityScoring(supabase, user.id), "POST /api/customers/import")
+    );
+  }
+
+  return NextResponse.json({
+    success: true,
+    data: { imported: customers.length, errors },
+    jobs: { scoring: scoringJob },
+    message: `${customers.length} customers imported`,
+  });
+});
@@ -0,0 +1,73 @@
+import { NextResponse } from "next/server";
+import {
+  createAuthenticatedSupabaseClient,
+  getAuthenticatedUser,
+} from "../../../libs/auth/server-auth.js";
+import {
+  withErrorHandler,
+  createAuthError,
+} from "../../../libs/errors/error-handler.js";
+import {
+  formatCustomer,
+  getStripeStatus,
+  loadCustomers,
+  upsertCustomers,
+  validateCustomer,
+} from "../../../libs/customers/index.js";
+import { enqueueFollowUpJobs, enqueuePriorityScoring, formatJob } from "../../../libs/jobs/index.js";
+
+export const dynamic = "force-dynamic";
+
+// GET /api/customers - The user's customers (highest MRR first), totals and Stripe status
+export const GET = withErrorHandler(async () => {
+  const supabase = createAuthenticatedSupabaseClient();
+  const user = await getAuthenticatedUser();
+
+  if (!user) {
+    throw createAuthError();
+  }
+
+  const [customers, stripe] = await Promise.all([
+    loadCustomers(supabase, user.id),
+    getStripeStatus(supabase, user.id),
+  ]);
+
+  return NextResponse.json({
+    success: true,
+    data: customers.map(formatCustomer),
+    totals: {
+      count: customers.length,
+      mrr: Math.round(customers.reduce((sum, customer) => sum + Number(customer.mrr || 0), 0) * 100) / 100,
+    },
+    stripe,
+    message: "Customers retrieved successfully",
+  });
+});
+
+// POST /api/customers - { email?, domain?, name?, plan?, mrr?, accountSize?, churnRisk? }
+// A customer with the same email (or domain) is updated
+export const POST = withErrorHandler(async (request) => {
+  const supabase = createAuthenticatedSupabaseClient();
+  const user = await getAuthenticatedUser();
+
+  if (!user) {
+    throw createAuthError();
+  }
+
+  const customer = validateCustomer(await request.json());
+  const [saved] = await upsertCustomers(supabase, user.id, [{ ...customer, source: "manual" }]);
+  // Customer value is part of every priority score
+  const scoringJob = formatJob(
+    await enqueueFollowUpJobs(user.id, () => enqueuePriorityScoring(supabase, user.id), "POST /api/customers")
+  );
+
+  return NextResponse.json(
+    {
+      success: true,
+      data: saved,
+      jobs: { scoring: scoringJob },
+      message: "Customer saved successfully",
+    },
+    { status: 201 }
+  );
+});
@@ -0,0 +1,101 @@
+import { NextResponse } from "next/server";
+import {
+  createAuthenticatedSupabaseClient,
+  getAuthenticatedUser,
+} from "../../../../libs/auth/server-auth.js";
+import {
+  withErrorHandler,
+  createAuthError,
+} from "../../../../libs/errors/error-handler.js";
+import {
+  connectStripe,
+  disconnectStripe,
+  getStripeStatus,
+  syncStripeCustomers,
+} from "../../../../libs/customers/index.js";
+import { enqueueFollowUpJobs, enqueuePriorityScoring, formatJob } from "../../../../libs/jobs/index.js";
+
+export const dynamic = "force-dynamic";
+export const maxDuration = 60;
+
+// GET /api/customers/stripe - Whether the user's Stripe account is connected
+export const GET = withErrorHandler(async () => {
+  const supabase = createAuthenticatedSupabaseClient();
+  const user = await getAuthenticatedUser();
+
+  if (!user) {
+    throw createAuthError();
+  }
+
+  return NextResponse.json({
+    success: true,
+    data: await getStripeStatus(supabase, user.id),
+    message: "Stripe status retrieved successfully",
+  });
+});
+
+// PUT /api/customers/stripe - { apiKey } Connect the user's Stripe account.
+// A restricted key with read access to customers and subscriptions is enough.
+export const PUT = withErrorHandler(async (request) => {
+  const supabase = createAuthenticatedSupabaseClient();
+  const user = await getAuthenticatedUser();
+
+  if (!user) {
+    throw createAuthError();
+  }
+
+  const { apiKey } = await request.json();
+  await connectStripe(supabase, user.id, apiKey);
+
+  return NextResponse.json({
+    success: true,
+    data: await getStripeStatus(supabase, user.id),
+    message: "Stripe connected",
+  });
+});
+
+// POST /api/customers/stripe - Sync customers (plan, MRR, seats, churn risk) from Stripe subscriptions
+export const POST = withErrorHandler(async () => {
+  const supabase = createAuthenticatedSupabaseClient();
+  const user = await getAuthenticatedUser();
+
+  if (!user) {
+    throw createAuthError();
+  }
+
+  const sync = await syncStripeCustomers(supabase, user.id);
+
+  const scoringJob = formatJob(
+    await enqueueFollowUpJobs(user.id, () => enqueuePriorityScoring(supabase, user.id), "POST /api/customers/stripe")
+  );
+
+  return NextResponse.json({
+    success: true,
+    data: {
+      synced: sync.customers.length,
+      ended: sync.ended,
+      subscriptions: sync.subscriptions,
+      truncated: sync.truncated,
+    },
+    jobs: { scoring: scoringJob },
+    message: `${sync.customers.length} customers synced from Stripe`,
+  });
+});
+
+// DELETE /api/customers/stripe - Disconnect Stripe (synced customers are kept)
+export const DELETE = withErrorHandler(async () => {
+  const supabase = createAuthenticatedSupabaseClient();
+  const user = await getAuthenticatedUser();
+
+  if (!user) {
+    throw createAuthError();
+  }
+
+  await disconnectStripe(supabase, user.id);
+
+  return NextResponse.json({
+    success: true,
+    data: { connected: false },
+    message: "Stripe disconnected",
+  });
+});
@@ -0,0 +1,33 @@
+import { NextResponse } from "next/server";
+import {
+  createAuthenticatedSupabaseClient,
+  getAuthenticatedUser,
+} from "../../../../../libs/auth/server-auth.js";
+import {
+  withErrorHandler,
+  createAuthError,
+} from "../../../../../libs/errors/error-handler.js";
+import { validateUUID } from "../../../../../libs/validation/validators.js";
+import { listFeedbackSpecs } from "../../../../../libs/specs/index.js";
+
+export const dynamic = "force-dynamic";
+
+// GET /api/feedback/:id/specs - Specs generated from a feedback item or its duplicate group
+export const GET = withErrorHandler(async (request, { params }) => {
+  const supabase = createAuthenticatedSupabaseClient();
+  const user = await getAuthenticatedUser();
+
+  if (!user) {
+    throw createAuthError();
+  }
+
+  validateUUID(params.id, "Feedback ID");
+
+  const specs = await listFeedbackSpecs(supabase, user.id, params.id);
+
+  return NextResponse.json({
+    success: true,
+    data: specs,
+    message: "Feedback specs retrieved successfully",
+  });
+});
@@ -0,0 +1,102 @@
+import { NextResponse } from "next/server";
+import {
+  createAuthenticatedSupabaseClient,
+  getAuthenticatedUser,
+} from "../../../../libs/auth/server-auth.js";
+import {
+  withErrorHandler,
+  createAuthError,
+  createExternalServiceError,
+} from "../../../../libs/errors/error-handler.js";
+import { runBatchAction, validateBatchRequest } from "../../../../libs/batch/index.js";
+import {
+  enqueueClusterUpdate,
+  enqueueDuplicateUpdate,
+  enqueueFeedbackProcessing,
+  enqueueFollowUpJobs,
+  formatJob,
+  jobQueue,
+  kickWorker,
+  JOB_TYPES,
+} from "../../../../libs/jobs/index.js";
+
+// POST /api/feedback/batch - One action on many feedback items
+// { ids: [...], action, status? | priority? | category? | tags? | clusterId? | title? }
+// Actions: mark_processed, set_status, set_priority, set_category, add_tags, remove_tags,
+// merge_cluster, merge_duplicates, delete, reanalyze, generate_spec
+export const POST = withErrorHandler(async (request) => {
+  const supabase = createAuthenticatedSupabaseClient();
+  const user = await getAuthenticatedUser();
+
+  if (!user) {
+    throw createAuthError();
+  }
+
+  const batch = validateBatchRequest(await request.json());
+
+  if (batch.action === "reanalyze" || batch.action === "generate_spec") {
+    const { isAIConfigured, configureAIForUser } = await import("../../../../libs/ai/index.js");
+    await configureAIForUser(supabase, user.id);
+    if (!isAIConfigured(user.id)) {
+      const purpose = batch.action === "reanalyze" ? "analysis" : "spec generation";
+      throw createExternalServiceError("openai", `AI provider is not configured for ${purpose}`);
+    }
+  }
+
+  const { refreshClusters, feedbackIds, ...result } = await runBatchAction(supabase, user.id, batch);
+
+  // The combined spec is generated by a generate_spec job, polled via /api/jobs/:id
+  if (batch.action === "generate_spec") {
+    const job = await jobQueue.enqueue(
+      supabase,
+      user.id,
+      JOB_TYPES.GENERATE_SPEC,
+      { feedbackIds, theme: result.spec.theme, templateId: result.spec.templateId },
+      { priority: 10 }
+    );
+    kickWorker();
+
+    return NextResponse.json(
+      {
+        success: true,
+        data: { ...result, job: formatJob(job) },
+        message: "Specification generation queued",
+      },
+      { status: 202 }
+    );
+  }
+
+  // One analysis job per item, then a single cluster refresh for the whole batch
+  const jobs = {};
+  if (batch.action === "reanalyze") {
+    const processing = await enqueueFollowUpJobs(
+      user.id,
+      () => enqueueFeedbackProcessing(supabase, user.id, feedbackIds),
+      "POST /api/feedback/batch"
+    );
+    jobs.analysis = (processing?.analysisJobs || []).map(formatJob);
+    jobs.clustering = formatJob(processing?.clusterJob);
+  } else if (batch.action === "merge_duplicates") {
+    // The canonical item's report count changed, and with it its priority
+    const processing = await enqueueFollowUpJobs(
+      user.id,
+      () => enqueueDuplicateUpdate(supabase, user.id, [result.canonicalId]),
+      "POST /api/feedback/batch"
+    );
+    jobs.analysis = (processing?.analysisJobs || []).map(formatJob);
+  } else if (refreshClusters) {
+    jobs.clustering = formatJob(
+      await enqueueFollowUpJobs(user.id, () => enqueueClusterUpdate(supabase, user.id), "POST /api/feedback/batch")
+    );
+  }
+
+  const skipped = result.missing.length + result.failed.length;
+
+  return NextResponse.json({
+    success: true,
+    data: { ...result, jobs },
+    message: `${result.succeeded} of ${result.requested} feedback items updated${
+      skipped > 0 ? ` (${skipped} skipped)` : ""
+    }`,
+  });
+});
@@ -0,0 +1,93 @@
+import { NextResponse } from "next/server";
+import {
+  createAuthenticatedSupabaseClient,
+  getAuthenticatedUser,
+} from "../../../../libs/auth/server-auth.js";
+import {
+  withErrorHandler,
+  createAuthError,
+} from "../../../../libs/errors/error-handler.js";
+import { validateUUID } from "../../../../libs/validation/validators.js";
+import {
+  getDuplicates,
+  linkDuplicates,
+  unlinkDuplicate,
+  validateMergeRequest,
+} from "../../../../libs/duplicates/index.js";
+import { enqueueDuplicateUpdate, enqueueFollowUpJobs, formatJob } from "../../../../libs/jobs/index.js";
+
+// GET /api/feedback/duplicates?id=<feedbackId> - The item's canonical item, its duplicates and reporters
+export const GET = withErrorHandler(async (request) => {
+  const supabase = createAuthenticatedSupabaseClient();
+  const user = await getAuthenticatedUser();
+
+  if (!user) {
+    throw createAuthError();
+  }
+
+  const feedbackId = new URL(request.url).searchParams.get("id");
+  validateUUID(feedbackId, "Feedback ID");
+
+  const duplicates = await getDuplicates(supabase, user.id, feedbackId);
+
+  return NextResponse.json({
+    success: true,
+    data: duplicates,
+    message: "Duplicates retrieved successfully",
+  });
+});
+
+// POST /api/feedback/duplicates - Merge feedback into a canonical item
+// { canonicalId, ids: [...] }
+export const POST = withErrorHandler(async (request) => {
+  const supabase = createAuthenticatedSupabaseClient();
+  const user = await getAuthenticatedUser();
+
+  if (!user) {
+    throw createAuthError();
+  }
+
+  const { canonicalId, ids } = validateMergeRequest(await request.json());
+  const merge = await linkDuplicates(supabase, user.id, canonicalId, ids);
+
+  // The canonical item's report count is part of its priority
+  const processing = await enqueueFollowUpJobs(
+    user.id,
+    () => enqueueDuplicateUpdate(supabase, user.id, [merge.canonicalId]),
+    "POST /api/feedback/duplicates"
+  );
+  const analysis = (processing?.analysisJobs || []).map(formatJob);
+
+  return NextResponse.json({
+    success: true,
+    data: { ...merge, jobs: { analysis } },
+    message: `${merge.linked.length} feedback items merged`,
+  });
+});
+
+// DELETE /api/feedback/duplicates?id=<feedbackId> - Unmerge a duplicate from its canonical item
+export const DELETE = withErrorHandler(async (request) => {
+  const supabase = createAuthenticatedSupabaseClient();
+  const user = await getAuthenticatedUser();
+
+  if (!user) {
+    throw createAuthError();
+  }
+
+  const feedbackId = new URL(request.url).searchParams.get("id");
+  validateUUID(feedbackId, "Feedback ID");
+
+  const { feedback, canonicalId } = await unlinkDuplicate(supabase, user.id, feedbackId);
+  const processing = await enqueueFollowUpJobs(
+    user.id,
+    () => enqueueDuplicateUpdate(supabase, user.id, [canonicalId]),
+    "DELETE /api/feedback/duplicates"
+  );
+  const analysis = (processing?.analysisJobs || []).map(formatJob);
+
+  return NextResponse.json({
+    success: true,
+    data: { feedback, canonicalId, jobs: { analysis } },
+    message: "Feedback unmerged",
+  });
+});
@@ -0,0 +1,46 @@
+import {
+  createAuthenticatedSupabaseClient,
+  getAuthenticatedUser,
+} from "../../../../libs/auth/server-auth.js";
+import {
+  withErrorHandler,
+  createAuthError,
+  createValidationError,
+} from "../../../../libs/errors/error-handler.js";
+import { parseFeedbackFilters } from "../../../../libs/feedback-filters.js";
+import {
+  EXPORT_FORMATS,
+  createExportStream,
+  exportFileName,
+} from "../../../../libs/export/index.js";
+
+export const dynamic = "force-dynamic";
+
+// GET /api/feedback/export?format=csv|jsonl|markdown&search=&category=&priority=&source=&processed=
+// Streams feedback (with its clusters and specs for jsonl and markdown) as a download
+export const GET = withErrorHandler(async (request) => {
+  const supabase = createAuthenticatedSupabaseClient();
+  const user = await getAuthenticatedUser();
+
+  if (!user) {
+    throw createAuthError();
+  }
+
+  const { searchParams } = new URL(request.url);
+  const format = searchParams.get("format") || "csv";
+
+  if (!EXPORT_FORMATS[format]) {
+    throw createValidationError(`Format must be one of: ${Object.keys(EXPORT_FORMATS).join(", ")}`);
+  }
+
+  const filters = parseFeedbackFilters(searchParams);
+  const stream = await createExportStream(supabase, user.id, format, filters);
+
+  return new Response(stream, {
+    headers: {
+      "Content-Type": EXPORT_FORMATS[format].contentType,
+      "Content-Disposition": `attachment; filename="${exportFileName(format)}"`,
+      "Cache-Control": "no-store",
+    },
+  });
+});
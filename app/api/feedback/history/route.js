@@ -0,0 +1,29 @@
+import { NextResponse } from "next/server";
+import {
+  createAuthenticatedSupabaseClient,
+  getAuthenticatedUser,
+} from "../../../../libs/auth/server-auth.js";
+import { withErrorHandler, createAuthError } from "../../../../libs/errors/error-handler.js";
+import { validateUUID } from "../../../../libs/validation/validators.js";
+import { getStatusHistory } from "../../../../libs/triage/index.js";
+
+// GET /api/feedback/history?id=<feedbackId> - Triage status changes, newest first
+export const GET = withErrorHandler(async (request) => {
+  const supabase = createAuthenticatedSupabaseClient();
+  const user = await getAuthenticatedUser();
+
+  if (!user) {
+    throw createAuthError();
+  }
+
+  const feedbackId = new URL(request.url).searchParams.get("id");
+  validateUUID(feedbackId, "Feedback ID");
+
+  const history = await getStatusHistory(supabase, user.id, feedbackId);
+
+  return NextResponse.json({
+    success: true,
+    data: history,
+    message: "Status history retrieved successfully",
+  });
+});
@@ -0,0 +1,44 @@
+import { NextResponse } from "next/server";
+import {
+  createAuthenticatedSupabaseClient,
+  getAuthenticatedUser,
+} from "../../../../../libs/auth/server-auth.js";
+import {
+  withErrorHandler,
+  createAuthError,
+  createDatabaseError,
+  AppError,
+  ERROR_CODES,
+} from "../../../../../libs/errors/error-handler.js";
+import { validateUUID } from "../../../../../libs/validation/validators.js";
+
+// DELETE /api/feedback/imports/:id - Forget an import (or stop resuming it); imported feedback is kept
+export const DELETE = withErrorHandler(async (request, { params }) => {
+  const supabase = createAuthenticatedSupabaseClient();
+  const user = await getAuthenticatedUser();
+
+  if (!user) {
+    throw createAuthError();
+  }
+
+  validateUUID(params.id, "Import ID");
+
+  const { data, error } = await supabase
+    .from("feedback_imports")
+    .delete()
+    .eq("id", params.id)
+    .eq("user_id", user.id)
+    .select("id");
+
+  if (error) {
+    throw createDatabaseError("Failed to delete import", error.message);
+  }
+  if (!data || data.length === 0) {
+    throw new AppError(ERROR_CODES.RECORD_NOT_FOUND, "Import not found");
+  }
+
+  return NextResponse.json({
+    success: true,
+    message: "Import deleted successfully",
+  });
+});
@@ -0,0 +1,108 @@
+import { NextResponse } from "next/server";
+import {
+  createAuthenticatedSupabaseClient,
+  getAuthenticatedUser,
+} from "../../../../../../libs/auth/server-auth.js";
+import {
+  withErrorHandler,
+  createAuthError,
+  createValidationError,
+  createDatabaseError,
+  AppError,
+  ERROR_CODES,
+} from "../../../../../../libs/errors/error-handler.js";
+import { validateUUID } from "../../../../../../libs/validation/validators.js";
+import {
+  importChunk,
+  importProgress,
+  IMPORT_COLUMNS,
+  MAX_CHUNK_ROWS,
+} from "../../../../../../libs/import/index.js";
+import { enqueueFollowUpJobs, enqueueImportAnalysis } from "../../../../../../libs/jobs/index.js";
+
+// POST /api/feedback/imports/:id/rows - { offset, rows: [...] }
+// Chunks must arrive in order: offset is the import's processed_rows. A chunk
+// that was already imported (a retry after a lost response) is skipped.
+export const POST = withErrorHandler(async (request, { params }) => {
+  const supabase = createAuthenticatedSupabaseClient();
+  const user = await getAuthenticatedUser();
+
+  if (!user) {
+    throw createAuthError();
+  }
+
+  validateUUID(params.id, "Import ID");
+
+  const { offset, rows } = await request.json();
+  if (!Number.isInteger(offset) || offset < 0) {
+    throw createValidationError("Offset must be a non-negative integer");
+  }
+  if (!Array.isArray(rows) || rows.length === 0 || rows.length > MAX_CHUNK_ROWS) {
+    throw createValidationError(`Send 1-${MAX_CHUNK_ROWS} rows per request`);
+  }
+
+  const { data: feedbackImport, error: loadError } = await supabase
+    .from("feedback_imports")
+    .select(`${IMPORT_COLUMNS}, user_id`)
+    .eq("id", params.id)
+    .eq("user_id", user.id)
+    .maybeSingle();
+
+  if (loadError) {
+    throw createDatabaseError("Failed to load import", loadError.message);
+  }
+  if (!feedbackImport) {
+    throw new AppError(ERROR_CODES.RECORD_NOT_FOUND, "Import not found");
+  }
+
+  if (offset < feedbackImport.processed_rows || feedbackImport.status === "completed") {
+    return NextResponse.json({
+      success: true,
+      data: feedbackImport,
+      skipped: true,
+      message: "These rows were already imported",
+    });
+  }
+  if (offset > feedbackImport.processed_rows) {
+    throw createValidationError(`Rows must continue at row ${feedbackImport.processed_rows + 1}`);
+  }
+  if (offset + rows.length > feedbackImport.total_rows) {
+    throw createValidationError(`The import has ${feedbackImport.total_rows} rows`);
+  }
+
+  const chunk = await importChunk(supabase, feedbackImport, rows, { offset });
+
+  // Only advances if no other request moved the import on meanwhile
+  const { data: updated, error } = await supabase
+    .from("feedback_imports")
+    .update(importProgress(feedbackImport, rows.length, chunk))
+    .eq("id", feedbackImport.id)
+    .eq("processed_rows", feedbackImport.processed_rows)
+    .select(IMPORT_COLUMNS)
+    .maybeSingle();
+
+  if (error) {
+    throw createDatabaseError("Failed to save import progress", error.message);
+  }
+
+  // One analysis job per import - later chunks find it queued - and only
+  // when the user has an AI provider
+  if (chunk.createdIds.length > 0) {
+    await enqueueFollowUpJobs(
+      user.id,
+      () => enqueueFollowUpJobs, enqueueImportAnalysis(supabase, user.id, feedbackImport.id),
+      "POST /api/feedback/imports"
+    );
+  }
+
+  return NextResponse.json({
+    success: true,
+    data: updated || feedbackImport,
+    chunk: {
+      created: chunk.createdIds.length,
+      duplicates: chunk.duplicates,
+      errors: chunk.errors,
+    },
+    message: `Imported ${chunk.createdIds.length} of ${rows.length} rows`,
+  });
+});
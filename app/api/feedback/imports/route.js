@@ -0,0 +1,71 @@
+import { NextResponse } from "next/server";
+import {
+  createAuthenticatedSupabaseClient,
+  getAuthenticatedUser,
+} from "../../../../libs/auth/server-auth.js";
+import {
+  withErrorHandler,
+  createAuthError,
+  createDatabaseError,
+} from "../../../../libs/errors/error-handler.js";
+import { validateImportRequest, IMPORT_COLUMNS } from "../../../../libs/import/index.js";
+
+// GET /api/feedback/imports - The user's recent imports (unfinished ones can be resumed)
+export const GET = withErrorHandler(async () => {
+  const supabase = createAuthenticatedSupabaseClient();
+  const user = await getAuthenticatedUser();
+
+  if (!user) {
+    throw createAuthError();
+  }
+
+  const { data, error } = await supabase
+    .from("feedback_imports")
+    .select(IMPORT_COLUMNS)
+    .eq("user_id", user.id)
+    .order("created_at", { ascending: false })
+    .limit(20);
+
+  if (error) {
+    throw createDatabaseError("Failed to load imports", error.message);
+  }
+
+  return NextResponse.json({
+    success: true,
+    data: data || [],
+    message: "Imports retrieved successfully",
+  });
+});
+
+// POST /api/feedback/imports - { fileName, fingerprint, format, totalRows, mapping, defaults? }
+// Rows are sent afterwards in chunks to /api/feedback/imports/:id/rows
+export const POST = withErrorHandler(async (request) => {
+  const supabase = createAuthenticatedSupabaseClient();
+  const user = await getAuthenticatedUser();
+
+  if (!user) {
+    throw createAuthError();
+  }
+
+  const body = await request.json();
+  const settings = validateImportRequest(body);
+
+  const { data: feedbackImport, error } = await supabase
+    .from("feedback_imports")
+    .insert({ user_id: user.id, ...settings })
+    .select(IMPORT_COLUMNS)
+    .single();
+
+  if (error) {
+    throw createDatabaseError("Failed to start import", error.message);
+  }
+
+  return NextResponse.json(
+    {
+      success: true,
+      data: feedbackImport,
+      message: "Import started",
+    },
+    { status: 201 }
+  );
+});
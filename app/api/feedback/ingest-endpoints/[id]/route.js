@@ -0,0 +1,105 @@
+import { NextResponse } from "next/server";
+import {
+  createAuthenticatedSupabaseClient,
+  getAuthenticatedUser,
+} from "../../../../../libs/auth/server-auth.js";
+import {
+  withErrorHandler,
+  createAuthError,
+  createValidationError,
+  createDatabaseError,
+  AppError,
+  ERROR_CODES,
+} from "../../../../../libs/errors/error-handler.js";
+import { validateUUID } from "../../../../../libs/validation/validators.js";
+import {
+  generateIngestToken,
+  generateSigningSecret,
+  validateEndpointSettings,
+  ingestUrl,
+  INGEST_ENDPOINT_COLUMNS,
+} from "../../../../../libs/ingest/index.js";
+
+// PUT /api/feedback/ingest-endpoints/:id - { name?, fieldMapping?, defaults?, requireSignature?, enabled?, rotate? }
+// rotate: "token" issues a new URL (the old one stops working), "secret" a new signing secret
+export const PUT = withErrorHandler(async (request, { params }) => {
+  const supabase = createAuthenticatedSupabaseClient();
+  const user = await getAuthenticatedUser();
+
+  if (!user) {
+    throw createAuthError();
+  }
+
+  validateUUID(params.id, "Endpoint ID");
+
+  const body = await request.json();
+  if (body.rotate !== undefined && !["token", "secret"].includes(body.rotate)) {
+    throw createValidationError('Rotate must be "token" or "secret"');
+  }
+
+  const update = { ...validateEndpointSettings(body), updated_at: new Date().toISOString() };
+
+  let token = null;
+  if (body.rotate === "token") {
+    const generated = generateIngestToken();
+    token = generated.token;
+    update.token_hash = generated.tokenHash;
+    update.token_prefix = generated.tokenPrefix;
+  } else if (body.rotate === "secret") {
+    update.signing_secret = generateSigningSecret();
+  }
+
+  const { data: endpoint, error } = await supabase
+    .from("ingest_endpoints")
+    .update(update)
+    .eq("id", params.id)
+    .eq("user_id", user.id)
+    .select(INGEST_ENDPOINT_COLUMNS)
+    .maybeSingle();
+
+  if (error) {
+    throw createDatabaseError("Failed to update ingest endpoint", error.message);
+  }
+  if (!endpoint) {
+    throw new AppError(ERROR_CODES.RECORD_NOT_FOUND, "Ingest endpoint not found");
+  }
+
+  return NextResponse.json({
+    success: true,
+    data: token ? { ...endpoint, url: ingestUrl(request, token) } : endpoint,
+    message: token
+      ? "New endpoint URL created. Copy it now - it is not shown again"
+      : "Ingest endpoint updated successfully",
+  });
+});
+
+// DELETE /api/feedback/ingest-endpoints/:id - Feedback received through it is kept
+export const DELETE = withErrorHandler(async (request, { params }) => {
+  const supabase = createAuthenticatedSupabaseClient();
+  const user = await getAuthenticatedUser();
+
+  if (!user) {
+    throw createAuthError();
+  }
+
+  validateUUID(params.id, "Endpoint ID");
+
+  const { data, error } = await supabase
+    .from("ingest_endpoints")
+    .delete()
+    .eq("id", params.id)
+    .eq("user_id", user.id)
+    .select("id");
+
+  if (error) {
+    throw createDatabaseError("Failed to delete ingest endpoint", error.message);
+  }
+  if (!data || data.length === 0) {
+    throw new AppError(ERROR_CODES.RECORD_NOT_FOUND, "Ingest endpoint not found");
+  }
+
+  return NextResponse.json({
+    success: true,
+    message: "Ingest endpoint deleted successfully",
+  });
+});
@@ -0,0 +1,101 @@
+import { NextResponse } from "next/server";
+import {
+  createAuthenticatedSupabaseClient,
+  getAuthenticatedUser,
+} from "../../../../libs/auth/server-auth.js";
+import {
+  withErrorHandler,
+  createAuthError,
+  createValidationError,
+  createDatabaseError,
+} from "../../../../libs/errors/error-handler.js";
+import {
+  generateIngestToken,
+  generateSigningSecret,
+  validateEndpointSettings,
+  ingestUrl,
+  INGEST_ENDPOINT_COLUMNS,
+} from "../../../../libs/ingest/index.js";
+
+const MAX_ENDPOINTS = 10;
+
+// GET /api/feedback/ingest-endpoints - The user's inbound webhook endpoints
+export const GET = withErrorHandler(async () => {
+  const supabase = createAuthenticatedSupabaseClient();
+  const user = await getAuthenticatedUser();
+
+  if (!user) {
+    throw createAuthError();
+  }
+
+  const { data, error } = await supabase
+    .from("ingest_endpoints")
+    .select(INGEST_ENDPOINT_COLUMNS)
+    .eq("user_id", user.id)
+    .order("created_at", { ascending: false });
+
+  if (error) {
+    throw createDatabaseError("Failed to load ingest endpoints", error.message);
+  }
+
+  return NextResponse.json({
+    success: true,
+    data: data || [],
+    message: "Ingest endpoints retrieved successfully",
+  });
+});
+
+// POST /api/feedback/ingest-endpoints - { name, fieldMapping?, defaults?, requireSignature? }
+// The response has the endpoint URL with its token - it is not shown again
+export const POST = withErrorHandler(async (request) => {
+  const supabase = createAuthenticatedSupabaseClient();
+  const user = await getAuthenticatedUser();
+
+  if (!user) {
+    throw createAuthError();
+  }
+
+  const body = await request.json();
+  const settings = validateEndpointSettings({ name: body.name ?? "", ...body, enabled: true });
+
+  const { count, error: countError } = await supabase
+    .from("ingest_endpoints")
+    .select("id", { count: "exact", head: true })
+    .eq("user_id", user.id);
+
+  if (countError) {
+    throw createDatabaseError("Failed to count ingest endpoints", countError.message);
+  }
+  if (count >= MAX_ENDPOINTS) {
+    throw createValidationError(`At most ${MAX_ENDPOINTS} ingest endpoints are allowed`);
+  }
+
+  const { token, tokenHash, tokenPrefix } = generateIngestToken();
+
+  const { data: endpoint, error } = await supabase
+    .from("ingest_endpoints")
+    .insert({
+      user_id: user.id,
+      field_mapping: {},
+      defaults: {},
+      ...settings,
+      token_hash: tokenHash,
+      token_prefix: tokenPrefix,
+      signing_secret: generateSigningSecret(),
+    })
+    .select(INGEST_ENDPOINT_COLUMNS)
+    .single();
+
+  if (error) {
+    throw createDatabaseError("Failed to create ingest endpoint", error.message);
+  }
+
+  return NextResponse.json(
+    {
+      success: true,
+      data: { ...endpoint, url: ingestUrl(request, token) },
+      message: "Ingest endpoint created. Copy the URL now - it is not shown again",
+    },
+    { status: 201 }
+  );
+});
@@ -3,12 +3,7 @@ import {
   createAuthenticatedSupabaseClient,
   getAuthenticatedUser,
 } from "../../../libs/auth/server-auth.js";
-import {
-  analyzeFeedback,
-  findDuplicateFeedback,
-  groupSimilarFeedback,
-} from "../../../libs/ai/index.js";
-import { EnhancedFeedbackAnalyzer } from "../../../libs/ai/enhanced-analyzer.js";
+import { feedbackClusterer } from "../../../libs/ai/feedback-clusterer.js";
 import {
   withErrorHandler,
   createValidationError,
@@ -22,355 +17,67 @@ import {
   validateRequired,
   validateUUID,
 } from "../../../libs/validation/validators.js";
-import { feedbackDB } from "../../../libs/database/db-utils.js";
-
-
-// Helper function to update feedback clusters automatically
-async function updateFeedbackClusters(supabase, userId) {
-  const { isAIConfigured } = await import("../../../libs/ai/index.js");
-  if (!isAIConfigured()) {
-    console.log("⚠️ OpenAI API key not configured - skipping clustering");
-    return null;
-  }
-
-  if (!userId) {
-    console.error("❌ User ID is required for clustering");
+import { feedbackDB, formatFeedback } from "../../../libs/database/db-utils.js";
+import { parseFeedbackFilters } from "../../../libs/feedback-filters.js";
+import { updateFeedbackTriage, validateTriageUpdate } from "../../../libs/triage/index.js";
+import {
+  enqueueFeedbackProcessing,
+  enqueueClusterUpdate,
+  enqueuePriorityScoring,
+  enqueueFollowUpJobs,
+  formatJob,
+} from "../../../libs/jobs/index.js";
+import { hasStaleScores } from "../../../libs/scoring/index.js";
+
+
+// Helper function to read feedback clusters; updates run in the job queue
+async function getFeedbackClusters(supabase, userId, { rebuild = false } = {}) {
+  const { isAIConfigured, configureAIForUser } = await import("../../../libs/ai/index.js");
+  await configureAIForUser(supabase, userId);
+  if (!isAIConfigured(userId)) {
+    console.log("⚠️ AI provider not configured - skipping clustering");
     return null;
   }
 
   try {
-    // Get all feedback for this user
-    const { data: feedbackData, error: fetchError } = await supabase
-      .from("raw_feedback")
-      .select("*")
-      .eq("user_id", userId)
-      .order("created_at", { ascending: false });
-
-    if (fetchError) {
-      console.error("❌ Failed to fetch feedback for clustering:", {
-        error: fetchError.message,
-        userId: userId,
-        code: fetchError.code,
-      });
-      return null;
-    }
-
-    if (!feedbackData || feedbackData.length < 2) {
-      console.log(
-        `ℹ️ Not enough feedback for clustering (${
-          feedbackData?.length || 0
-        } items)`
-      );
-      return null;
-    }
-
-    // Transform feedback data with error handling
-    const transformedFeedback = feedbackData
-      .map((item) => {
-        try {
-          return {
-            id: item.id,
-            title: item.metadata?.title || "Untitled",
-            content: item.content || "",
-            source: item.platform || "unknown",
-            priority: item.metadata?.priority || "medium",
-            category: item.metadata?.category || "other",
-            tags: Array.isArray(item.metadata?.tags) ? item.metadata.tags : [],
-            aiAnalysis: item.ai_analysis || null,
-          };
-        } catch (transformError) {
-          console.error("❌ Error transforming feedback item:", {
-            itemId: item.id,
-            error: transformError.message,
-          });
-          return null;
-        }
-      })
-      .filter(Boolean); // Remove null items
-
-    if (transformedFeedback.length < 2) {
-      console.log("ℹ️ Not enough valid feedback after transformation");
-      return null;
-    }
-
-    console.log(
-      `🔗 Updating feedback clusters for ${transformedFeedback.length} items...`
-    );
-
-    // Generate new clusters using AI with timeout
-    const clusteringTimeout = new Promise((_, reject) => {
-      setTimeout(
-        () => reject(new Error("Clustering timeout after 30 seconds")),
-        30000
-      );
-    });
-
-    // Check if we already have valid clusters and whether they need updating
-    console.log("🔍 Checking for existing clusters for user:", userId);
-    const { data: existingClusters, error: checkError } = await supabase
-      .from("feedback_clusters")
-      .select("*")
-      .eq("user_id", userId)
-      .order("created_at", { ascending: false });
-
-    console.log("🔍 Existing clusters check result:", {
-      count: existingClusters?.length || 0,
-      error: checkError?.message || null,
-      clusters:
-        existingClusters?.map((c) => ({
-          id: c.id,
-          theme: c.cluster_data?.theme,
-        })) || [],
-    });
+    const feedbackGroups = await feedbackClusterer.getClusters(supabase, userId);
 
-    // Determine if we should update clusters
-    let shouldUpdateClusters = false;
-    
-    if (!existingClusters || existingClusters.length === 0) {
-      console.log("🔍 No existing clusters found, will generate new ones");
-      shouldUpdateClusters = true;
-    } else {
-      // Check if the feedback count has changed since last clustering
-      const lastCluster = existingClusters[0];
-      const lastClusterFeedbackCount = lastCluster.total_feedback_count || 0;
-      const currentFeedbackCount = transformedFeedback.length;
-      
-      // Check if clusters are older than 24 hours
-      const lastClusterTime = new Date(lastCluster.created_at).getTime();
-      const now = new Date().getTime();
-      const hoursSinceLastCluster = (now - lastClusterTime) / (1000 * 60 * 60);
-      
-      console.log("🔍 Cluster freshness check:", {
-        lastClusterFeedbackCount,
-        currentFeedbackCount,
-        hoursSinceLastCluster: Math.round(hoursSinceLastCluster * 100) / 100,
-        feedbackCountChange: currentFeedbackCount - lastClusterFeedbackCount,
-      });
-      
-      // Update clusters if:
-      // 1. Feedback count has increased by 1 or more items
-      // 2. Clusters are older than 24 hours and feedback count has changed
-      const feedbackCountIncrease = currentFeedbackCount - lastClusterFeedbackCount;
-      
-      if (feedbackCountIncrease >= 1) {
-        console.log("🔄 Updating clusters due to new feedback");
-        shouldUpdateClusters = true;
-      } else if (hoursSinceLastCluster > 24 && feedbackCountIncrease > 0) {
-        console.log("🔄 Updating clusters due to age and feedback changes");
-        shouldUpdateClusters = true;
-      }
+    // New/deleted feedback since the last update (or an explicit rebuild):
+    // hand the work to the worker and serve the stored clusters meanwhile
+    if (rebuild || feedbackGroups.summary.stale) {
+      const job = await enqueueClusterUpdate(supabase, userId, { rebuild });
+      feedbackGroups.clusteringJob = formatJob(job);
     }
-    
-    // If clusters don't need updating, return them
-    if (!shouldUpdateClusters && existingClusters && existingClusters.length > 0) {
-      console.log(`✅ Using existing ${existingClusters.length} clusters`);
-      return {
-        groups: existingClusters.map((cluster) => ({
-          ...cluster.cluster_data,
-          clusterId: cluster.id,
-        })),
-        summary: {
-          totalGroups: existingClusters.length,
-          largestGroupSize: Math.max(
-            ...existingClusters.map((c) => c.feedback_ids?.length || 0)
-          ),
-          mostCommonTheme:
-            existingClusters[0]?.cluster_data?.theme || "Unknown",
-        },
-        ungrouped: [],
-        storedClusters: existingClusters,
-      };
-    }
-
-    console.log("🔍 Generating updated clusters with AI");
 
-    const feedbackGroups = await Promise.race([
-      groupSimilarFeedback(transformedFeedback, userId),
-      clusteringTimeout,
-    ]);
-
-    if (!feedbackGroups || !feedbackGroups.groups) {
-      console.log("ℹ️ No clusters generated by AI");
-      return null;
-    }
-
-    // Update existing clusters or create new ones
-    const newClusters = feedbackGroups.groups.filter((group) => group && group.theme);
-    
-    if (newClusters.length > 0) {
-      if (existingClusters && existingClusters.length > 0) {
-        console.log("🔄 Updating existing clusters with new feedback");
-        
-        // Update existing clusters with new feedback data
-        const updatePromises = newClusters.map(async (newCluster, index) => {
-          const existingCluster = existingClusters[index];
-          
-          if (existingCluster) {
-            // Update existing cluster
-            const { error: updateError } = await supabase
-              .from("feedback_clusters")
-              .update({
-                cluster_data: newCluster,
-                feedback_ids: newCluster.feedbackIds || [],
-                total_feedback_count: transformedFeedback.length,
-              })
-              .eq("id", existingCluster.id);
-              
-            if (updateError) {
-              console.error("❌ Failed to update cluster:", updateError.message);
-              return null;
-            }
-            
-            return { ...existingCluster, cluster_data: newCluster };
-          } else {
-            // Create new cluster if we have more new clusters than existing ones
-            const { data: newClusterData, error: insertError } = await supabase
-              .from("feedback_clusters")
-              .insert({
-                user_id: userId,
-                cluster_data: newCluster,
-                feedback_ids: newCluster.feedbackIds || [],
-                total_feedback_count: transformedFeedback.length,
-              })
-              .select()
-              .single();
-              
-            if (insertError) {
-              console.error("❌ Failed to create new cluster:", insertError.message);
-              return null;
-            }
-            
-            return newClusterData;
-          }
-        });
-        
-        const updatedClusters = await Promise.all(updatePromises);
-        const successfulUpdates = updatedClusters.filter(Boolean);
-        
-        console.log(`✅ Successfully updated ${successfulUpdates.length} clusters`);
-      } else {
-        // Create all new clusters
-        console.log("🔄 Creating new clusters");
-        
-        const clusterInserts = newClusters.map((group) => ({
-          user_id: userId,
-          cluster_data: group,
-          feedback_ids: group.feedbackIds || [],
-          total_feedback_count: transformedFeedback.length,
-        }));
-
-        const { error: insertError } = await supabase
-          .from("feedback_clusters")
-          .insert(clusterInserts);
-
-        if (insertError) {
-          console.error("❌ Failed to insert new clusters:", {
-            error: insertError.message,
-            userId: userId,
-            code: insertError.code,
-            clusterCount: clusterInserts.length,
-          });
-          return null;
-        }
-
-        console.log(`✅ Successfully created ${clusterInserts.length} new clusters`);
-      }
-    } else {
-      console.log("ℹ️ No valid clusters to create or update");
-    }
-
-    // Also try to retrieve existing clusters from database for UI
-    const { data: storedClusters, error: retrieveError } = await supabase
-      .from("feedback_clusters")
-      .select("*")
-      .eq("user_id", userId)
-      .order("created_at", { ascending: false });
-
-    if (retrieveError) {
-      console.error("❌ Failed to retrieve stored clusters:", {
-        error: retrieveError.message,
-        userId: userId,
-        code: retrieveError.code,
-      });
-    }
-
-    // Return both the AI response and the stored clusters
-    return {
-      groups: (storedClusters || []).map((cluster) => ({
-        ...cluster.cluster_data,
-        clusterId: cluster.id,
-      })),
-      summary: feedbackGroups.summary,
-      ungrouped: feedbackGroups.ungrouped,
-      storedClusters: storedClusters || [],
-    };
+    return feedbackGroups;
   } catch (error) {
-    console.error("❌ Critical error in feedback clustering:", {
+    console.error("❌ Failed to load feedback clusters:", {
       error: error.message,
-      stack: error.stack,
       userId: userId,
       timestamp: new Date().toISOString(),
     });
+    await logErrorToMonitoring(error, "GET /api/feedback - clusters", userId);
+    return null;
+  }
+}
 
-    // Try to log to a monitoring service if available
-    if (process.env.MONITORING_ENDPOINT) {
-      try {
-        await fetch(process.env.MONITORING_ENDPOINT, {
-          method: "POST",
-          headers: { "Content-Type": "application/json" },
-          body: JSON.stringify({
-            level: "error",
-            message: "Feedback clustering failed",
-            error: error.message,
-            userId: userId,
-            timestamp: new Date().toISOString(),
-          }),
-        });
-      } catch (monitoringError) {
-        console.error(
-          "Failed to send error to monitoring:",
-          monitoringError.message
-        );
-      }
-    }
-
-    // Even if clustering fails, try to return existing clusters
-    try {
-      const { data: storedClusters } = await supabase
-        .from("feedback_clusters")
-        .select("*")
-        .eq("user_id", userId)
-        .order("created_at", { ascending: false });
-
-      if (storedClusters && storedClusters.length > 0) {
-        return {
-          groups: storedClusters.map((cluster) => ({
-            ...cluster.cluster_data,
-            clusterId: cluster.id,
-          })),
-          storedClusters: storedClusters,
-          summary: {
-            totalGroups: storedClusters.length,
-            largestGroupSize: Math.max(
-              ...storedClusters.map((c) => c.feedback_ids?.length || 0)
-            ),
-            mostCommonTheme:
-              storedClusters[0]?.cluster_data?.theme || "Unknown",
-          },
-        };
-      }
-    } catch (fallbackError) {
-      console.error(
-        "❌ Failed to retrieve fallback clusters:",
-        fallbackError.message
-      );
-    }
-
+// Recency is part of the priority score, so scores older than a day (or
+// missing) are recomputed in the background; the page shows the stored ones
+async function refreshStaleScores(supabase, userId) {
+  try {
+    if (!(await hasStaleScores(supabase, userId))) return null;
+    return formatJob(await enqueuePriorityScoring(supabase, userId));
+  } catch (error) {
+    console.error("❌ Failed to refresh priority scores:", error.message);
+    await logErrorToMonitoring(error, "GET /api/feedback - scores", userId);
     return null;
   }
 }
 
-// GET /api/feedback - Get all feedback for the authenticated user
+// GET /api/feedback - A page of the user's feedback
+// ?search=&category=&priority=&source=&processed=&status=&assignee=&duplicates=&sentiment=&cluster=&tag=&from=&to=
+// &sortBy=created_at|updated_at|duplicate_count|priority_score&sortOrder=desc|asc&limit=50&cursor=<pagination.nextCursor>
+// Clusters and statistics come with the first page (no cursor)
 export const GET = withErrorHandler(async (request) => {
   const supabase = createAuthenticatedSupabaseClient();
   const user = await getAuthenticatedUser();
@@ -379,12 +86,33 @@ export const GET = withErrorHandler(async (request) => {
     throw createAuthError();
   }
 
+  const { searchParams } = new URL(request.url);
+  const cursor = searchParams.get("cursor");
+  const limit = searchParams.has("limit") ? Number(searchParams.get("limit")) : undefined;
+
   // Get feedback using centralized database utilities
-  const feedbackResult = await feedbackDB.instance.getAllForUser(user.id);
-  const transformedFeedback = feedbackResult.data;
+  const feedbackResult = await feedbackDB.instance.getPageForUser(user.id, {
+    filters: parseFeedbackFilters(searchParams),
+    cursor,
+    limit,
+    sortBy: searchParams.get("sortBy") || undefined,
+    sortOrder: searchParams.get("sortOrder") || undefined,
+  });
+
+  if (cursor) {
+    return NextResponse.json({
+      success: true,
+      data: feedbackResult.data,
+      pagination: feedbackResult.pagination,
+      message: "Feedback retrieved successfully",
+    });
+  }
+
+  // Get feedback clusters (?recluster=true forces a full rebuild)
+  const rebuild = searchParams.get("recluster") === "true";
+  const feedbackGroups = await getFeedbackClusters(supabase, user.id, { rebuild });
 
-  // Get feedback clusters from database
-  const feedbackGroups = await updateFeedbackClusters(supabase, user.id);
+  const scoringJob = await refreshStaleScores(supabase, user.id);
 
   // Get AI-powered statistics using centralized database utilities
   const aiStats = await feedbackDB.instance.getStats(user.id);
@@ -394,9 +122,11 @@ export const GET = withErrorHandler(async (request) => {
 
   return NextResponse.json({
     success: true,
-    data: transformedFeedback,
+    data: feedbackResult.data,
+    pagination: feedbackResult.pagination,
     feedbackGroups: feedbackGroups,
     aiStats: aiStats,
+    scoringJob,
     message: "Feedback retrieved successfully",
   });
 });
@@ -466,151 +196,25 @@ export const POST = withErrorHandler(async (request) => {
     processed: false,
   };
 
-  // Check for duplicate feedback before saving
-  let duplicateCheck = null;
-  const { isAIConfigured } = await import("../../../libs/ai/index.js");
-  if (isAIConfigured()) {
-    try {
-      // Get existing feedback to check for duplicates
-      const { data: existingFeedback } = await supabase
-        .from("raw_feedback")
-        .select("id, content")
-        .eq("user_id", user.id)
-        .limit(20); // Check against recent feedback only
-
-      if (existingFeedback && existingFeedback.length > 0) {
-        duplicateCheck = await findDuplicateFeedback(
-          sanitizedData.content,
-          existingFeedback,
-          user.id
-        );
-      }
-    } catch (error) {
-      console.error("Warning: Duplicate check failed:", error.message);
-      // Continue anyway
-    }
-  }
-
   // Save to database using centralized database utilities
   const insertedData = await feedbackDB.instance.create("raw_feedback", feedbackData, "Create feedback");
 
-    // Update feedback clusters after adding new feedback
-    await updateFeedbackClusters(supabase, user.id);
+  // AI analysis, duplicate check and clustering run in the background;
+  // the dashboard polls /api/jobs for the returned job ids
+  const { isAIConfigured, configureAIForUser } = await import("../../../libs/ai/index.js");
+  await configureAIForUser(supabase, user.id);
+  const aiEnabled = isAIConfigured(user.id) && !!insertedData.content?.trim();
 
-    // Perform Enhanced AI Analysis on the feedback
-    let aiAnalysis = null;
-    if (isAIConfigured() && insertedData.content) {
-      console.log("🧠 Performing enhanced AI analysis on feedback...");
+  const jobs = await enqueueFollowUpJobs(
+    user.id,
+    () =>
+      aiEnabled
+        ? enqueueFeedbackProcessing(supabase, user.id, [insertedData.id], { checkDuplicates: true })
+        : enqueueClusterUpdate(supabase, user.id).then((clusterJob) => ({ analysisJobs: [], clusterJob })),
+    "POST /api/feedback"
+  );
 
-      try {
-        // Validate content before analysis
-        if (!insertedData.content.trim()) {
-          console.warn("⚠️ Empty content - skipping AI analysis");
-        } else {
-          // Create timeout for AI analysis
-          const aiTimeout = new Promise((_, reject) => {
-            setTimeout(
-              () => reject(new Error("Enhanced AI analysis timeout after 20 seconds")),
-              20000
-            );
-          });
-
-          // Initialize enhanced analyzer
-          const enhancedAnalyzer = new EnhancedFeedbackAnalyzer();
-
-          // Analyze the feedback content with enhanced analysis and timeout
-          aiAnalysis = await Promise.race([
-            enhancedAnalyzer.analyzeFeedback(
-              insertedData.content, 
-              insertedData.platform, 
-              insertedData.metadata
-            ),
-            aiTimeout,
-          ]);
-
-          if (aiAnalysis) {
-            console.log(
-              `✅ Enhanced AI Analysis completed: ${aiAnalysis.sentiment} sentiment, ${aiAnalysis.priority} priority, ${aiAnalysis.confidence} confidence, ${aiAnalysis.business_impact} business impact`
-            );
-
-            // Enhanced analysis already includes validation and fallback values
-            // No need to modify the structure as it's handled by EnhancedFeedbackAnalyzer
-
-            // Update the feedback record with AI analysis
-            try {
-              const { error: updateError } = await supabase
-                .from("raw_feedback")
-                .update({
-                  ai_analysis: aiAnalysis,
-                })
-                .eq("id", insertedData.id);
-
-              if (updateError) {
-                console.error(
-                  "❌ Failed to update feedback with AI analysis:",
-                  {
-                    error: updateError.message,
-                    feedbackId: insertedData.id,
-                    code: updateError.code,
-                  }
-                );
-                // Continue anyway - we still have the analysis for the response
-              }
-            } catch (updateError) {
-              console.error(
-                "❌ Critical error updating feedback with AI analysis:",
-                {
-                  error: updateError.message,
-                  feedbackId: insertedData.id,
-                  stack: updateError.stack,
-                }
-              );
-              // Continue anyway
-            }
-          } else {
-            console.warn("⚠️ AI analysis returned empty result");
-          }
-        }
-      } catch (aiError) {
-        console.error("❌ AI analysis failed:", {
-          error: aiError.message,
-          feedbackId: insertedData.id,
-          contentLength: insertedData.content?.length || 0,
-          stack: aiError.stack,
-        });
-
-        // Try to log to monitoring service
-        if (process.env.MONITORING_ENDPOINT) {
-          try {
-            await fetch(process.env.MONITORING_ENDPOINT, {
-              method: "POST",
-              headers: { "Content-Type": "application/json" },
-              body: JSON.stringify({
-                level: "error",
-                message: "AI analysis failed",
-                error: aiError.message,
-                feedbackId: insertedData.id,
-                userId: user.id,
-                timestamp: new Date().toISOString(),
-              }),
-            });
-          } catch (monitoringError) {
-            console.error(
-              "Failed to send AI error to monitoring:",
-              monitoringError.message
-            );
-          }
-        }
-
-        // Continue anyway - feedback was saved successfully, just without AI analysis
-      }
-    } else {
-      if (!isAIConfigured()) {
-        console.log("ℹ️ OpenAI API key not configured - skipping AI analysis");
-      } else if (!insertedData.content) {
-        console.warn("⚠️ No content provided - skipping AI analysis");
-      }
-    }
+  const analysisJob = jobs?.analysisJobs?.[0] || null;
 
     // Transform the response to match frontend format
     const responseData = {
@@ -626,8 +230,11 @@ export const POST = withErrorHandler(async (request) => {
       processed: insertedData.processed,
       submittedBy: insertedData.user_id,
       metadata: insertedData.metadata,
-      aiAnalysis: aiAnalysis, // Include AI analysis in response
-      duplicateCheck: duplicateCheck, // Include duplicate check results
+      aiAnalysis: null, // Filled in by the analysis job
+      jobs: {
+        analysis: formatJob(analysisJob),
+        clustering: formatJob(jobs?.clusterJob),
+      },
     };
 
     const response = {
@@ -636,30 +243,20 @@ export const POST = withErrorHandler(async (request) => {
       message: "Feedback created successfully",
     };
 
-    // Add AI analysis status to response
-    if (aiAnalysis) {
-      response.message = "Feedback created and analyzed successfully";
-      response.aiAnalysisStatus = "completed";
-    } else if (isAIConfigured()) {
+    if (analysisJob) {
+      response.message = "Feedback created, AI analysis queued";
+      response.aiAnalysisStatus = "queued";
+    } else if (aiEnabled) {
       response.aiAnalysisStatus = "failed";
     } else {
       response.aiAnalysisStatus = "disabled";
     }
 
-    // Add duplicate warning if needed
-    if (duplicateCheck?.isDuplicate && duplicateCheck.similarityScore > 0.7) {
-      response.duplicateWarning = {
-        message: "Similar feedback already exists",
-        similarityScore: duplicateCheck.similarityScore,
-        explanation: duplicateCheck.explanation,
-        suggestedAction: duplicateCheck.suggestedAction,
-      };
-    }
-
   return NextResponse.json(response, { status: 201 });
 });
 
 // PUT /api/feedback - Update existing feedback
+// { id, status?, processed?, assignee?, dueDate?, notes?, statusNote?, metadata? }
 export const PUT = withErrorHandler(async (request) => {
   const supabase = createAuthenticatedSupabaseClient();
   const user = await getAuthenticatedUser();
@@ -673,39 +270,39 @@ export const PUT = withErrorHandler(async (request) => {
   validateRequired(body, ["id"]);
   validateUUID(body.id, "Feedback ID");
 
-    // Prepare update data
-    const updateData = {};
-
-    // Handle processed status update
-    if (typeof body.processed === "boolean") {
-      updateData.processed = body.processed;
-    }
+  // Triage fields: status, processed, assignee, dueDate, notes
+  const { update: updateData, statusNote } = validateTriageUpdate(body);
 
     // Handle metadata updates
     if (body.metadata) {
       updateData.metadata = body.metadata;
     }
 
-  // Update the feedback in database using centralized database utilities
-  const updatedData = await feedbackDB.instance.update("raw_feedback", body.id, user.id, updateData, "Update feedback");
+  if (Object.keys(updateData).length === 0) {
+    throw createValidationError("Nothing to update");
+  }
+
+  // Update the feedback, keeping processed in step with the status and recording the change
+  const { feedback: updatedData, statusChange } = await updateFeedbackTriage(
+    supabase,
+    user.id,
+    body.id,
+    updateData,
+    { statusNote }
+  );
 
     // Update feedback clusters after feedback was updated
-    await updateFeedbackClusters(supabase, user.id);
+    const clusterJob = await enqueueFollowUpJobs(
+      user.id,
+      () => enqueueClusterUpdate(supabase, user.id),
+      "PUT /api/feedback"
+    );
 
     // Transform the response to match frontend format
     const responseData = {
-      id: updatedData.id,
-      title: updatedData.metadata?.title || "Untitled",
-      content: updatedData.content,
-      source: updatedData.platform,
-      priority: updatedData.metadata?.priority || "medium",
-      category: updatedData.metadata?.category || "other",
-      userEmail: updatedData.metadata?.userEmail || null,
-      tags: updatedData.metadata?.tags || [],
-      submittedAt: updatedData.created_at,
-      processed: updatedData.processed,
-      submittedBy: updatedData.user_id,
-      metadata: updatedData.metadata,
+      ...formatFeedback(updatedData),
+      statusChange,
+      jobs: { clustering: formatJob(clusterJob) },
     };
 
   return NextResponse.json({
@@ -737,10 +334,15 @@ export const DELETE = withErrorHandler(async (request) => {
   await feedbackDB.instance.delete("raw_feedback", feedbackId, user.id, "Delete feedback");
 
   // Update feedback clusters after feedback was deleted
-  await updateFeedbackClusters(supabase, user.id);
+  const clusterJob = await enqueueFollowUpJobs(
+    user.id,
+    () => enqueueClusterUpdate(supabase, user.id),
+    "DELETE /api/feedback"
+  );
 
   return NextResponse.json({
     success: true,
+    jobs: { clustering: formatJob(clusterJob) },
     message: "Feedback deleted successfully",
   });
 });
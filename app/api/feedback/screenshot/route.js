@@ -0,0 +1,51 @@
+import { NextResponse } from "next/server";
+import {
+  createAuthenticatedSupabaseClient,
+  getAuthenticatedUser,
+} from "../../../../libs/auth/server-auth.js";
+import {
+  withErrorHandler,
+  createAuthError,
+  createDatabaseError,
+  AppError,
+  ERROR_CODES,
+} from "../../../../libs/errors/error-handler.js";
+import { validateUUID } from "../../../../libs/validation/validators.js";
+import { createAdminClient } from "../../../../libs/supabase/admin.js";
+import { getScreenshotUrl } from "../../../../libs/widget/index.js";
+
+// GET /api/feedback/screenshot?id=<feedbackId> - Short-lived link to a widget screenshot
+export const GET = withErrorHandler(async (request) => {
+  const supabase = createAuthenticatedSupabaseClient();
+  const user = await getAuthenticatedUser();
+
+  if (!user) {
+    throw createAuthError();
+  }
+
+  const feedbackId = new URL(request.url).searchParams.get("id");
+  validateUUID(feedbackId, "Feedback ID");
+
+  // Ownership is checked here - the bucket is private and signed with the service role
+  const { data: feedback, error } = await supabase
+    .from("raw_feedback")
+    .select("metadata")
+    .eq("id", feedbackId)
+    .eq("user_id", user.id)
+    .maybeSingle();
+
+  if (error) {
+    throw createDatabaseError("Failed to load feedback", error.message);
+  }
+
+  const path = feedback?.metadata?.widget?.screenshot_path;
+  if (!path) {
+    throw new AppError(ERROR_CODES.RECORD_NOT_FOUND, "Screenshot not found");
+  }
+
+  return NextResponse.json({
+    success: true,
+    data: { url: await getScreenshotUrl(createAdminClient(), path) },
+    message: "Screenshot link created",
+  });
+});
@@ -0,0 +1,44 @@
+import { NextResponse } from "next/server";
+import {
+  createAuthenticatedSupabaseClient,
+  getAuthenticatedUser,
+} from "../../../../libs/auth/server-auth.js";
+import {
+  withErrorHandler,
+  createAuthError,
+} from "../../../../libs/errors/error-handler.js";
+import { parseFeedbackFilters } from "../../../../libs/feedback-filters.js";
+import { searchFeedback } from "../../../../libs/search/index.js";
+
+export const dynamic = "force-dynamic";
+
+// GET /api/feedback/search?q=&mode=text|semantic&limit=20&offset=0
+// GET /api/feedback/search?similarTo=<feedback id> - feedback like this one
+// Takes the dashboard filters too (category=&priority=&source=&processed=&sentiment=&cluster=&tag=&from=&to=)
+export const GET = withErrorHandler(async (request) => {
+  const supabase = createAuthenticatedSupabaseClient();
+  const user = await getAuthenticatedUser();
+
+  if (!user) {
+    throw createAuthError();
+  }
+
+  const { searchParams } = new URL(request.url);
+
+  const result = await searchFeedback(supabase, user.id, {
+    query: searchParams.get("q") || "",
+    mode: searchParams.get("mode") || "text",
+    similarTo: searchParams.get("similarTo") || null,
+    filters: parseFeedbackFilters(searchParams),
+    limit: searchParams.has("limit") ? Number(searchParams.get("limit")) : undefined,
+    offset: searchParams.has("offset") ? Number(searchParams.get("offset")) : undefined,
+  });
+
+  return NextResponse.json({
+    success: true,
+    data: result.data,
+    pagination: result.pagination,
+    mode: result.mode,
+    message: "Search completed successfully",
+  });
+});
@@ -0,0 +1,90 @@
+import { NextResponse } from "next/server";
+import {
+  createAuthenticatedSupabaseClient,
+  getAuthenticatedUser,
+} from "../../../../../libs/auth/server-auth.js";
+import {
+  withErrorHandler,
+  createAuthError,
+  createValidationError,
+  createDatabaseError,
+  AppError,
+  ERROR_CODES,
+} from "../../../../../libs/errors/error-handler.js";
+import { validateUUID } from "../../../../../libs/validation/validators.js";
+import { VIEW_COLUMNS, formatView, validateView } from "../../../../../libs/views/index.js";
+
+// PUT /api/feedback/views/:id - { name?, filters?, sortBy?, sortOrder?, viewMode?, showInNav?, position? }
+// { viewed: true } marks the view as opened, which resets its new feedback count
+export const PUT = withErrorHandler(async (request, { params }) => {
+  const supabase = createAuthenticatedSupabaseClient();
+  const user = await getAuthenticatedUser();
+
+  if (!user) {
+    throw createAuthError();
+  }
+
+  validateUUID(params.id, "View ID");
+
+  const { viewed, ...body } = await request.json();
+  const now = new Date().toISOString();
+  const update = validateView(body);
+
+  if (Object.keys(update).length > 0) update.updated_at = now;
+  if (viewed === true) update.last_viewed_at = now;
+  if (Object.keys(update).length === 0) {
+    throw createValidationError("Nothing to update");
+  }
+
+  const { data: view, error } = await supabase
+    .from("feedback_views")
+    .update(update)
+    .eq("id", params.id)
+    .eq("user_id", user.id)
+    .select(VIEW_COLUMNS)
+    .maybeSingle();
+
+  if (error) {
+    throw createDatabaseError("Failed to update feedback view", error.message);
+  }
+  if (!view) {
+    throw new AppError(ERROR_CODES.RECORD_NOT_FOUND, "Feedback view not found");
+  }
+
+  return NextResponse.json({
+    success: true,
+    data: formatView(view),
+    message: "Feedback view updated successfully",
+  });
+});
+
+// DELETE /api/feedback/views/:id
+export const DELETE = withErrorHandler(async (request, { params }) => {
+  const supabase = createAuthenticatedSupabaseClient();
+  const user = await getAuthenticatedUser();
+
+  if (!user) {
+    throw createAuthError();
+  }
+
+  validateUUID(params.id, "View ID");
+
+  const { data, error } = await supabase
+    .from("feedback_views")
+    .delete()
+    .eq("id", params.id)
+    .eq("user_id", user.id)
+    .select("id");
+
+  if (error) {
+    throw createDatabaseError("Failed to delete feedback view", error.message);
+  }
+  if (!data || data.length === 0) {
+    throw new AppError(ERROR_CODES.RECORD_NOT_FOUND, "Feedback view not found");
+  }
+
+  return NextResponse.json({
+    success: true,
+    message: "Feedback view deleted successfully",
+  });
+});
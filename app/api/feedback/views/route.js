@@ -0,0 +1,110 @@
+import { NextResponse } from "next/server";
+import {
+  createAuthenticatedSupabaseClient,
+  getAuthenticatedUser,
+} from "../../../../libs/auth/server-auth.js";
+import {
+  withErrorHandler,
+  createAuthError,
+  createValidationError,
+  createDatabaseError,
+} from "../../../../libs/errors/error-handler.js";
+import {
+  MAX_VIEWS,
+  SMART_SEGMENTS,
+  VIEW_COLUMNS,
+  formatView,
+  validateView,
+  withViewCounts,
+} from "../../../../libs/views/index.js";
+
+export const dynamic = "force-dynamic";
+
+// GET /api/feedback/views?counts=true - The user's saved feedback views
+// (with live counts) and the smart segments that can be added
+export const GET = withErrorHandler(async (request) => {
+  const supabase = createAuthenticatedSupabaseClient();
+  const user = await getAuthenticatedUser();
+
+  if (!user) {
+    throw createAuthError();
+  }
+
+  const { data, error } = await supabase
+    .from("feedback_views")
+    .select(VIEW_COLUMNS)
+    .eq("user_id", user.id)
+    .order("position", { ascending: true })
+    .order("created_at", { ascending: true });
+
+  if (error) {
+    throw createDatabaseError("Failed to load feedback views", error.message);
+  }
+
+  let views = (data || []).map(formatView);
+  if (new URL(request.url).searchParams.get("counts") === "true") {
+    views = await withViewCounts(supabase, user.id, views);
+  }
+
+  return NextResponse.json({
+    success: true,
+    data: views,
+    segments: SMART_SEGMENTS,
+    message: "Feedback views retrieved successfully",
+  });
+});
+
+// POST /api/feedback/views - { name, filters?, sortBy?, sortOrder?, viewMode?, showInNav? }
+// or { segment: <smart segment key>, name? } to save one of SMART_SEGMENTS
+export const POST = withErrorHandler(async (request) => {
+  const supabase = createAuthenticatedSupabaseClient();
+  const user = await getAuthenticatedUser();
+
+  if (!user) {
+    throw createAuthError();
+  }
+
+  const body = await request.json();
+  let input = body;
+
+  if (body.segment !== undefined) {
+    const segment = SMART_SEGMENTS.find((item) => item.key === body.segment);
+    if (!segment) {
+      throw createValidationError("Unknown smart segment");
+    }
+    input = { name: body.name || segment.name, filters: segment.filters };
+  }
+
+  const view = validateView({ name: input.name ?? "", filters: {}, ...input });
+
+  const { count, error: countError } = await supabase
+    .from("feedback_views")
+    .select("id", { count: "exact", head: true })
+    .eq("user_id", user.id);
+
+  if (countError) {
+    throw createDatabaseError("Failed to count feedback views", countError.message);
+  }
+  if (count >= MAX_VIEWS) {
+    throw createValidationError(`At most ${MAX_VIEWS} saved views are allowed`);
+  }
+
+  const { data, error } = await supabase
+    .from("feedback_views")
+    .insert({ position: count, ...view, user_id: user.id })
+    .select(VIEW_COLUMNS)
+    .single();
+
+  if (error) {
+    throw createDatabaseError("Failed to save feedback view", error.message);
+  }
+
+  return NextResponse.json(
+    {
+      success: true,
+      data: formatView(data),
+      message: "Feedback view saved successfully",
+    },
+    { status: 201 }
+  );
+});
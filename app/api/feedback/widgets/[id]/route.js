@@ -0,0 +1,103 @@
+import { NextResponse } from "next/server";
+import {
+  createAuthenticatedSupabaseClient,
+  getAuthenticatedUser,
+} from "../../../../../libs/auth/server-auth.js";
+import {
+  withErrorHandler,
+  createAuthError,
+  createDatabaseError,
+  AppError,
+  ERROR_CODES,
+} from "../../../../../libs/errors/error-handler.js";
+import { validateUUID } from "../../../../../libs/validation/validators.js";
+import {
+  validateWidgetSettings,
+  widgetSettings,
+  WIDGET_COLUMNS,
+} from "../../../../../libs/widget/index.js";
+
+// PUT /api/feedback/widgets/:id - { name?, allowedOrigins?, settings?, enabled? }
+// settings are merged into the saved ones, so a single field can be changed
+export const PUT = withErrorHandler(async (request, { params }) => {
+  const supabase = createAuthenticatedSupabaseClient();
+  const user = await getAuthenticatedUser();
+
+  if (!user) {
+    throw createAuthError();
+  }
+
+  validateUUID(params.id, "Widget ID");
+
+  const body = await request.json();
+  const update = { ...validateWidgetSettings(body), updated_at: new Date().toISOString() };
+
+  if (update.settings) {
+    const { data: current, error: loadError } = await supabase
+      .from("feedback_widgets")
+      .select("settings")
+      .eq("id", params.id)
+      .eq("user_id", user.id)
+      .maybeSingle();
+
+    if (loadError) {
+      throw createDatabaseError("Failed to load feedback widget", loadError.message);
+    }
+    if (!current) {
+      throw new AppError(ERROR_CODES.RECORD_NOT_FOUND, "Feedback widget not found");
+    }
+    update.settings = { ...widgetSettings(current), ...update.settings };
+  }
+
+  const { data: widget, error } = await supabase
+    .from("feedback_widgets")
+    .update(update)
+    .eq("id", params.id)
+    .eq("user_id", user.id)
+    .select(WIDGET_COLUMNS)
+    .maybeSingle();
+
+  if (error) {
+    throw createDatabaseError("Failed to update feedback widget", error.message);
+  }
+  if (!widget) {
+    throw new AppError(ERROR_CODES.RECORD_NOT_FOUND, "Feedback widget not found");
+  }
+
+  return NextResponse.json({
+    success: true,
+    data: widget,
+    message: "Feedback widget updated successfully",
+  });
+});
+
+// DELETE /api/feedback/widgets/:id - Feedback sent through it (and its screenshots) is kept
+export const DELETE = withErrorHandler(async (request, { params }) => {
+  const supabase = createAuthenticatedSupabaseClient();
+  const user = await getAuthenticatedUser();
+
+  if (!user) {
+    throw createAuthError();
+  }
+
+  validateUUID(params.id, "Widget ID");
+
+  const { data, error } = await supabase
+    .from("feedback_widgets")
+    .delete()
+    .eq("id", params.id)
+    .eq("user_id", user.id)
+    .select("id");
+
+  if (error) {
+    throw createDatabaseError("Failed to delete feedback widget", error.message);
+  }
+  if (!data || data.length === 0) {
+    throw new AppError(ERROR_CODES.RECORD_NOT_FOUND, "Feedback widget not found");
+  }
+
+  return NextResponse.json({
+    success: true,
+    message: "Feedback widget deleted successfully",
+  });
+});
@@ -0,0 +1,95 @@
+import { NextResponse } from "next/server";
+import {
+  createAuthenticatedSupabaseClient,
+  getAuthenticatedUser,
+} from "../../../../libs/auth/server-auth.js";
+import {
+  withErrorHandler,
+  createAuthError,
+  createValidationError,
+  createDatabaseError,
+} from "../../../../libs/errors/error-handler.js";
+import {
+  generateWidgetKey,
+  validateWidgetSettings,
+  DEFAULT_WIDGET_SETTINGS,
+  WIDGET_COLUMNS,
+} from "../../../../libs/widget/index.js";
+
+const MAX_WIDGETS = 10;
+
+// GET /api/feedback/widgets - The user's embeddable feedback widgets
+export const GET = withErrorHandler(async () => {
+  const supabase = createAuthenticatedSupabaseClient();
+  const user = await getAuthenticatedUser();
+
+  if (!user) {
+    throw createAuthError();
+  }
+
+  const { data, error } = await supabase
+    .from("feedback_widgets")
+    .select(WIDGET_COLUMNS)
+    .eq("user_id", user.id)
+    .order("created_at", { ascending: false });
+
+  if (error) {
+    throw createDatabaseError("Failed to load feedback widgets", error.message);
+  }
+
+  return NextResponse.json({
+    success: true,
+    data: data || [],
+    message: "Feedback widgets retrieved successfully",
+  });
+});
+
+// POST /api/feedback/widgets - { name, allowedOrigins?, settings? }
+export const POST = withErrorHandler(async (request) => {
+  const supabase = createAuthenticatedSupabaseClient();
+  const user = await getAuthenticatedUser();
+
+  if (!user) {
+    throw createAuthError();
+  }
+
+  const body = await request.json();
+  const settings = validateWidgetSettings({ name: body.name ?? "", ...body, enabled: true });
+
+  const { count, error: countError } = await supabase
+    .from("feedback_widgets")
+    .select("id", { count: "exact", head: true })
+    .eq("user_id", user.id);
+
+  if (countError) {
+    throw createDatabaseError("Failed to count feedback widgets", countError.message);
+  }
+  if (count >= MAX_WIDGETS) {
+    throw createValidationError(`At most ${MAX_WIDGETS} feedback widgets are allowed`);
+  }
+
+  const { data: widget, error } = await supabase
+    .from("feedback_widgets")
+    .insert({
+      user_id: user.id,
+      allowed_origins: [],
+      ...settings,
+      settings: { ...DEFAULT_WIDGET_SETTINGS, ...(settings.settings || {}) },
+      public_key: generateWidgetKey(),
+    })
+    .select(WIDGET_COLUMNS)
+    .single();
+
+  if (error) {
+    throw createDatabaseError("Failed to create feedback widget", error.message);
+  }
+
+  return NextResponse.json(
+    {
+      success: true,
+      data: widget,
+      message: "Feedback widget created successfully",
+    },
+    { status: 201 }
+  );
+});
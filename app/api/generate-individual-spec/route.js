@@ -3,7 +3,7 @@ import {
   createAuthenticatedSupabaseClient,
   getAuthenticatedUser,
 } from "../../../libs/auth/server-auth.js";
-import { generateImplementationSpec } from "../../../libs/ai/index.js";
+import { generateSpecWithTemplate } from "../../../libs/ai/index.js";
 import {
   withErrorHandler,
   createAuthError,
@@ -17,6 +17,14 @@ import {
   validateRequired,
   validateUUID,
 } from "../../../libs/validation/validators.js";
+import {
+  jobQueue,
+  formatJob,
+  kickWorker,
+  JOB_TYPES,
+} from "../../../libs/jobs/index.js";
+import { resolveSpecTemplate } from "../../../libs/spec-templates/index.js";
+import { feedbackSpecInput, saveSpecVersion } from "../../../libs/specs/index.js";
 
 
 // POST /api/generate-individual-spec - Generate specification from individual feedback
@@ -28,10 +36,11 @@ export const POST = withErrorHandler(async (request) => {
     throw createAuthError();
   }
 
-  // Check if OpenAI API key is configured
-  const { isAIConfigured } = await import("../../../libs/ai/index.js");
-  if (!isAIConfigured()) {
-    throw createExternalServiceError("openai", "OpenAI API key is not configured for spec generation");
+  // Check if an AI provider is configured (user settings or environment)
+  const { isAIConfigured, configureAIForUser } = await import("../../../libs/ai/index.js");
+  await configureAIForUser(supabase, user.id);
+  if (!isAIConfigured(user.id)) {
+    throw createExternalServiceError("openai", "AI provider is not configured for spec generation");
   }
 
     const body = await request.json();
@@ -40,6 +49,30 @@ export const POST = withErrorHandler(async (request) => {
   validateRequired(body, ["feedbackId"]);
   validateUUID(feedbackId, "Feedback ID");
 
+  // templateId: a spec template or built-in target; the user's default template otherwise
+  const template = await resolveSpecTemplate(supabase, user.id, body.templateId);
+
+  // { async: true } queues generation and returns a job to poll via /api/jobs/:id
+  if (body.async) {
+    const job = await jobQueue.enqueue(
+      supabase,
+      user.id,
+      JOB_TYPES.GENERATE_INDIVIDUAL_SPEC,
+      { feedbackId, templateId: template?.id || null },
+      { dedupeKey: feedbackId, priority: 10 }
+    );
+    kickWorker();
+
+    return NextResponse.json(
+      {
+        success: true,
+        data: { job: formatJob(job) },
+        message: "Specification generation queued",
+      },
+      { status: 202 }
+    );
+  }
+
     // Get the feedback item from database
     const { data: feedback, error: feedbackError } = await supabase
       .from("raw_feedback")
@@ -68,12 +101,8 @@ export const POST = withErrorHandler(async (request) => {
 
     // Generate specification using AI
     try {
-      const generatedSpec = await generateImplementationSpec(
-        issueType,
-        description,
-        priority,
-        user.id
-      );
+      const generated = await generateSpecWithTemplate(template, feedbackSpecInput(feedback), user.id);
+      const { content: generatedSpec, missingSections } = generated;
 
     if (!generatedSpec) {
       throw createExternalServiceError("openai", "AI service returned empty response");
@@ -81,29 +110,20 @@ export const POST = withErrorHandler(async (request) => {
 
       console.log("✅ Specification generated successfully");
 
-      // Save the generated spec to database for caching
+      // Save the generated spec as the feedback spec's next version
+      let saved = null;
       try {
-        const { error: saveError } = await supabase
-          .from("generated_specs")
-          .upsert({
-            user_id: user.id,
-            cluster_id: null, // Individual specs don't have a cluster
-            title: `Spec for ${title} [feedback_id:${feedbackId}]`,
-            content: generatedSpec,
-          });
-
-        if (saveError) {
-          console.warn("Failed to save generated spec to database:", saveError);
-          console.warn("SaveError details:", saveError);
-          // Continue anyway - the spec was generated successfully
-        } else {
-          console.log(
-            "✅ Generated individual spec saved to database successfully"
-          );
-        }
+        saved = await saveSpecVersion(supabase, user.id, {
+          feedbackId,
+          title: `Spec for ${title}`,
+          generated,
+          template,
+          feedbackIds: [feedbackId],
+        });
+        console.log(`✅ Generated individual spec saved to database as version ${saved.version.version}`);
       } catch (saveError) {
         console.warn("Error saving generated spec:", saveError);
-        // Continue anyway
+        // Continue anyway - the spec was generated successfully
       }
 
       return NextResponse.json({
@@ -117,6 +137,10 @@ export const POST = withErrorHandler(async (request) => {
           priority: priority,
           source: feedback.platform,
         },
+        specId: saved?.spec.id || null,
+        version: saved?.version.version || null,
+        template: template ? { id: template.id, name: template.name } : null,
+        missingSections,
         message: "Specification generated successfully",
       });
   } catch (specError) {
@@ -144,10 +168,10 @@ export const GET = withErrorHandler(async (request) => {
       .is("cluster_id", null) // Only individual specs (not cluster specs)
       .order("created_at", { ascending: false });
 
-    // Note: Individual specs don't have a direct relationship to feedback items
-    // since the generated_specs table doesn't have a feedback_id column
-    // If you need to track which feedback item the spec was generated from,
-    // you'll need to add a feedback_id column to the generated_specs table
+    if (feedbackId) {
+      validateUUID(feedbackId, "Feedback ID");
+      query = query.eq("feedback_id", feedbackId);
+    }
 
     const { data: specs, error: fetchError } = await query;
 
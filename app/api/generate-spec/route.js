@@ -3,7 +3,7 @@ import {
   createAuthenticatedSupabaseClient,
   getAuthenticatedUser,
 } from "../../../libs/auth/server-auth.js";
-import { generateSpec } from "../../../libs/ai/index.js";
+import { generateSpecWithTemplate } from "../../../libs/ai/index.js";
 import {
   withErrorHandler,
   createAuthError,
@@ -17,7 +17,15 @@ import {
   validateRequired,
   validateUUID,
 } from "../../../libs/validation/validators.js";
-
+import {
+  jobQueue,
+  formatJob,
+  kickWorker,
+  JOB_TYPES,
+} from "../../../libs/jobs/index.js";
+import { clusterSpecFeedback } from "../../../libs/search/index.js";
+import { resolveSpecTemplate } from "../../../libs/spec-templates/index.js";
+import { saveSpecVersion } from "../../../libs/specs/index.js";
 
 // POST /api/generate-spec - Generate specification from feedback cluster
 export const POST = withErrorHandler(async (request) => {
@@ -28,15 +36,45 @@ export const POST = withErrorHandler(async (request) => {
     throw createAuthError();
   }
 
-  // Check if OpenAI API key is configured
-  const { isAIConfigured } = await import("../../../libs/ai/index.js");
-  if (!isAIConfigured()) {
-    throw createExternalServiceError("openai", "OpenAI API key is not configured for spec generation");
+  // Check if an AI provider is configured (user settings or environment)
+  const { isAIConfigured, configureAIForUser } = await import("../../../libs/ai/index.js");
+  await configureAIForUser(supabase, user.id);
+  if (!isAIConfigured(user.id)) {
+    throw createExternalServiceError("openai", "AI provider is not configured for spec generation");
   }
 
     const body = await request.json();
     const { clusterId, theme, feedbackList } = body;
 
+  // templateId: a spec template or built-in target; the user's default template otherwise
+  const template = await resolveSpecTemplate(supabase, user.id, body.templateId);
+
+  // { async: true } queues generation and returns a job to poll via /api/jobs/:id
+  if (body.async) {
+    validateUUID(clusterId, "Cluster ID");
+    if (feedbackList !== undefined && (!Array.isArray(feedbackList) || feedbackList.length === 0)) {
+      throw createValidationError("Feedback list must be a non-empty array");
+    }
+
+    const job = await jobQueue.enqueue(
+      supabase,
+      user.id,
+      JOB_TYPES.GENERATE_SPEC,
+      { clusterId, theme: theme || null, feedbackList: feedbackList || null, templateId: template?.id || null },
+      { dedupeKey: clusterId, priority: 10 }
+    );
+    kickWorker();
+
+    return NextResponse.json(
+      {
+        success: true,
+        data: { job: formatJob(job) },
+        message: "Specification generation queued",
+      },
+      { status: 202 }
+    );
+  }
+
     // Handle direct cluster spec generation (new format)
     if (theme && feedbackList && clusterId) {
       // Validate the cluster spec generation data
@@ -52,7 +90,8 @@ export const POST = withErrorHandler(async (request) => {
 
       // Generate specification using AI
       try {
-        const generatedSpec = await generateSpec(theme, feedbackList, user.id);
+        const generated = await generateSpecWithTemplate(template, { theme, feedbackList }, user.id);
+        const { content: generatedSpec, missingSections } = generated;
 
         if (!generatedSpec) {
           throw createExternalServiceError("openai", "AI service returned empty response");
@@ -60,38 +99,25 @@ export const POST = withErrorHandler(async (request) => {
 
         console.log("✅ Specification generated successfully");
 
-        // Save the generated spec to database for caching
+        // Save the generated spec as the cluster spec's next version
+        let saved = null;
         try {
-          const specData = {
-            user_id: user.id,
-            cluster_id: clusterId,
-            title: `Spec for ${theme}`,
-            content: generatedSpec,
-          };
-
           console.log("💾 Saving spec to database:", {
             user_id: user.id,
             cluster_id: clusterId,
-            title: specData.title,
+            title: `Spec for ${theme}`,
           });
 
-          const { error: saveError } = await supabase
-            .from("generated_specs")
-            .upsert(specData);
-
-          if (saveError) {
-            console.warn(
-              "Failed to save generated spec to database:",
-              saveError
-            );
-            console.warn("SaveError details:", saveError);
-            // Continue anyway - the spec was generated successfully
-          } else {
-            console.log("✅ Generated spec saved to database successfully");
-          }
+          saved = await saveSpecVersion(supabase, user.id, {
+            clusterId,
+            title: `Spec for ${theme}`,
+            generated,
+            template,
+          });
+          console.log(`✅ Generated spec saved to database as version ${saved.version.version}`);
         } catch (saveError) {
           console.warn("Error saving generated spec:", saveError);
-          // Continue anyway
+          // Continue anyway - the spec was generated successfully
         }
 
         return NextResponse.json({
@@ -103,6 +129,10 @@ export const POST = withErrorHandler(async (request) => {
             feedbackCount: feedbackList.length,
           },
           feedbackUsed: feedbackList.length,
+          specId: saved?.spec.id || null,
+          version: saved?.version.version || null,
+          template: template ? { id: template.id, name: template.name } : null,
+          missingSections,
           message: "Specification generated successfully",
         });
       } catch (specError) {
@@ -135,22 +165,16 @@ export const POST = withErrorHandler(async (request) => {
     throw createValidationError("Cluster not found or unauthorized");
   }
 
-    // Get feedback associated with this cluster
-    // Note: This assumes there's a way to link feedback to clusters
-    // If not, we'll use all feedback for this user as a fallback
-    const { data: feedbackData, error: feedbackError } = await supabase
-      .from("raw_feedback")
-      .select("*")
-      .eq("user_id", user.id)
-      .order("created_at", { ascending: false })
-      .limit(20); // Limit to recent feedback
-
-  if (feedbackError) {
-    await logErrorToMonitoring(feedbackError, "POST /api/generate-spec - fetch feedback", user.id);
-    throw createDatabaseError("Failed to fetch feedback", feedbackError.message);
-  }
+    // The cluster's most representative feedback (closest to its centroid)
+    let feedbackData;
+    try {
+      feedbackData = await clusterSpecFeedback(supabase, user.id, cluster);
+    } catch (feedbackError) {
+      await logErrorToMonitoring(feedbackError, "POST /api/generate-spec - fetch feedback", user.id);
+      throw feedbackError;
+    }
 
-  if (!feedbackData || feedbackData.length === 0) {
+  if (feedbackData.length === 0) {
     throw createValidationError("No feedback found for this cluster");
   }
 
@@ -167,11 +191,12 @@ export const POST = withErrorHandler(async (request) => {
 
     // Generate specification using AI
     try {
-      const generatedSpec = await generateSpec(
-        clusterTheme,
-        clusterFeedbackList,
+      const generated = await generateSpecWithTemplate(
+        template,
+        { theme: clusterTheme, feedbackList: clusterFeedbackList },
         user.id
       );
+      const { content: generatedSpec, missingSections } = generated;
 
     if (!generatedSpec) {
       throw createExternalServiceError("openai", "AI service returned empty response");
@@ -179,27 +204,20 @@ export const POST = withErrorHandler(async (request) => {
 
       console.log("✅ Specification generated successfully");
 
-      // Save the generated spec to database for caching
+      // Save the generated spec as the cluster spec's next version
+      let saved = null;
       try {
-        const { error: saveError } = await supabase
-          .from("generated_specs")
-          .upsert({
-            user_id: user.id,
-            cluster_id: clusterId,
-            title: `Spec for ${clusterTheme}`,
-            content: generatedSpec,
-          });
-
-        if (saveError) {
-          console.warn("Failed to save generated spec to database:", saveError);
-          console.warn("SaveError details:", saveError);
-          // Continue anyway - the spec was generated successfully
-        } else {
-          console.log("✅ Generated spec saved to database successfully");
-        }
+        saved = await saveSpecVersion(supabase, user.id, {
+          clusterId,
+          title: `Spec for ${clusterTheme}`,
+          generated,
+          template,
+          feedbackIds: feedbackData.map((item) => item.id),
+        });
+        console.log(`✅ Generated spec saved to database as version ${saved.version.version}`);
       } catch (saveError) {
         console.warn("Error saving generated spec:", saveError);
-        // Continue anyway
+        // Continue anyway - the spec was generated successfully
       }
 
       return NextResponse.json({
@@ -216,6 +234,10 @@ export const POST = withErrorHandler(async (request) => {
           feedbackCount: cluster.feedback_ids?.length || 0,
         },
         feedbackUsed: clusterFeedbackList.length,
+        specId: saved?.spec.id || null,
+        version: saved?.version.version || null,
+        template: template ? { id: template.id, name: template.name } : null,
+        missingSections,
         message: "Specification generated successfully",
       });
   } catch (specError) {
@@ -0,0 +1,130 @@
+import { NextResponse } from "next/server";
+import { createAdminClient } from "../../../../libs/supabase/admin.js";
+import {
+  withErrorHandler,
+  createValidationError,
+  createAuthError,
+  createDatabaseError,
+} from "../../../../libs/errors/error-handler.js";
+import {
+  findIngestEndpoint,
+  verifySignature,
+  extractItems,
+  prepareIngestBatch,
+  MAX_BATCH_SIZE,
+  MAX_BODY_BYTES,
+} from "../../../../libs/ingest/index.js";
+import { enqueueFollowUpJobs, enqueueSubmittedFeedback, formatJob } from "../../../../libs/jobs/index.js";
+
+export const dynamic = "force-dynamic";
+
+/**
+ * Inbound feedback webhook
+ * POST /api/ingest/:token - One feedback item, a JSON array of items or { items: [...] }
+ *
+ * Public: the token in the URL identifies the ingest endpoint (and its user).
+ * Endpoints with require_signature also need an HMAC-SHA256 signature of the
+ * body. Items are mapped with the endpoint's field mapping, validated like the
+ * dashboard form, and queued for the same AI analysis and duplicate check.
+ */
+export const POST = withErrorHandler(async (request, { params }) => {
+  const supabase = createAdminClient();
+
+  const endpoint = await findIngestEndpoint(supabase, params.token);
+  if (!endpoint || !endpoint.enabled) {
+    throw createAuthError("Invalid or disabled ingest token");
+  }
+
+  const rawBody = await request.text();
+  if (Buffer.byteLength(rawBody) > MAX_BODY_BYTES) {
+    throw createValidationError(`Request body must be smaller than ${MAX_BODY_BYTES / 1024} KB`);
+  }
+
+  // Signatures are checked whenever one is sent, and required if the endpoint says so
+  const signature = verifySignature(endpoint.signing_secret, rawBody, request.headers);
+  if ((endpoint.require_signature || signature.signed) && !signature.valid) {
+    throw createAuthError(signature.reason);
+  }
+
+  let body;
+  try {
+    body = JSON.parse(rawBody);
+  } catch (error) {
+    throw createValidationError("Request body must be valid JSON");
+  }
+
+  const items = extractItems(body, endpoint.field_mapping || {});
+  if (items.length === 0) {
+    throw createValidationError("No feedback items in the request");
+  }
+  if (items.length > MAX_BATCH_SIZE) {
+    throw createValidationError(`At most ${MAX_BATCH_SIZE} items can be sent per request`);
+  }
+
+  const { rows, results } = await prepareIngestBatch(supabase, endpoint, items);
+
+  let inserted = [];
+  if (rows.length > 0) {
+    const { data, error } = await supabase
+      .from("raw_feedback")
+      .insert(rows.map((candidate) => candidate.row))
+      .select("id, platform, created_at");
+
+    if (error) {
+      throw createDatabaseError("Failed to save feedback", error.message);
+    }
+    inserted = data || [];
+  }
+
+  inserted.forEach((row, position) => {
+    results.push({ index: rows[position].index, status: "created", id: row.id });
+  });
+  results.sort((a, b) => a.index - b.index);
+
+  // AI analysis, duplicate check and clustering, as for the dashboard form
+  let jobs = null;
+  if (inserted.length > 0) {
+    // The feedback is stored - a queue failure must not make the sender retry
+    jobs = await enqueueFollowUpJobs(
+      endpoint.user_id,
+      () => enqueueFollowUpJobs, enqueueSubmittedFeedback(supabase, endpoint.user_id, inserted.map((row) => row.id)),
+      "POST /api/ingest"
+    );
+
+    await supabase
+      .from("ingest_endpoints")
+      .update({
+        items_received: (endpoint.items_received || 0) + inserted.length,
+        last_used_at: new Date().toISOString(),
+      })
+      .eq("id", endpoint.id);
+  }
+
+  const count = (status) => results.filter((result) => result.status === status).length;
+  const summary = {
+    received: items.length,
+    created: inserted.length,
+    duplicates: count("duplicate"),
+    invalid: count("invalid"),
+  };
+
+  // Nothing usable in the request - a client error, so the sender shows it
+  const status = summary.created > 0 ? 201 : summary.invalid === items.length ? 400 : 200;
+
+  return NextResponse.json(
+    {
+      success: status !== 400,
+      ...summary,
+      results,
+      jobs: {
+        analysis: (jobs?.analysisJobs || []).map(formatJob),
+        clustering: formatJob(jobs?.clusterJob),
+      },
+      message:
+        status === 400
+          ? "No valid feedback items in the request"
+          : `Received ${summary.created} new feedback item(s)`,
+    },
+    { status }
+  );
+});
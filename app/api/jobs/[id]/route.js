@@ -0,0 +1,75 @@
+import { NextResponse } from "next/server";
+import {
+  createAuthenticatedSupabaseClient,
+  getAuthenticatedUser,
+} from "../../../../libs/auth/server-auth.js";
+import {
+  withErrorHandler,
+  createAuthError,
+  createValidationError,
+  AppError,
+  ERROR_CODES,
+} from "../../../../libs/errors/error-handler.js";
+import { validateUUID } from "../../../../libs/validation/validators.js";
+import { jobQueue, formatJob, kickWorker } from "../../../../libs/jobs/index.js";
+
+// GET /api/jobs/:id - Status of a single job
+export const GET = withErrorHandler(async (request, { params }) => {
+  const supabase = createAuthenticatedSupabaseClient();
+  const user = await getAuthenticatedUser();
+
+  if (!user) {
+    throw createAuthError();
+  }
+
+  validateUUID(params.id, "Job ID");
+
+  const job = await jobQueue.getJob(supabase, user.id, params.id);
+  if (!job) {
+    throw new AppError(ERROR_CODES.RECORD_NOT_FOUND, "Job not found");
+  }
+
+  return NextResponse.json({
+    success: true,
+    data: formatJob(job),
+    message: "Job retrieved successfully",
+  });
+});
+
+// POST /api/jobs/:id - { action: "retry" } re-runs a dead job, { action: "cancel" } drops a queued one
+export const POST = withErrorHandler(async (request, { params }) => {
+  const supabase = createAuthenticatedSupabaseClient();
+  const user = await getAuthenticatedUser();
+
+  if (!user) {
+    throw createAuthError();
+  }
+
+  validateUUID(params.id, "Job ID");
+
+  const { action } = await request.json();
+
+  let job;
+  if (action === "retry") {
+    job = await jobQueue.retry(supabase, params.id);
+    if (job) kickWorker();
+  } else if (action === "cancel") {
+    job = await jobQueue.cancel(supabase, params.id);
+  } else {
+    throw createValidationError('Action must be "retry" or "cancel"');
+  }
+
+  if (!job) {
+    throw createValidationError(
+      action === "retry"
+        ? "Only dead or cancelled jobs can be retried"
+        : "Only queued jobs can be cancelled"
+    );
+  }
+
+  return NextResponse.json({
+    success: true,
+    data: formatJob(job),
+    message: action === "retry" ? "Job queued for retry" : "Job cancelled",
+  });
+});
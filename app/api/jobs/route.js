@@ -0,0 +1,59 @@
+import { NextResponse } from "next/server";
+import {
+  createAuthenticatedSupabaseClient,
+  getAuthenticatedUser,
+} from "../../../libs/auth/server-auth.js";
+import {
+  withErrorHandler,
+  createAuthError,
+  createValidationError,
+} from "../../../libs/errors/error-handler.js";
+import { validateUUID } from "../../../libs/validation/validators.js";
+import { jobQueue, formatJob, JOB_STATUS, JOB_TYPES } from "../../../libs/jobs/index.js";
+
+// GET /api/jobs - Background job status for the dashboard
+// ?ids=a,b,c to poll specific jobs, ?status=queued,running and ?type=... to filter
+export const GET = withErrorHandler(async (request) => {
+  const supabase = createAuthenticatedSupabaseClient();
+  const user = await getAuthenticatedUser();
+
+  if (!user) {
+    throw createAuthError();
+  }
+
+  const url = new URL(request.url);
+  const ids = url.searchParams.get("ids")?.split(",").filter(Boolean) || [];
+  const status = url.searchParams.get("status")?.split(",").filter(Boolean) || [];
+  const type = url.searchParams.get("type");
+  const limit = parseInt(url.searchParams.get("limit") || "50", 10);
+
+  ids.forEach((id) => validateUUID(id, "Job ID"));
+
+  const statuses = Object.values(JOB_STATUS);
+  if (status.some((value) => !statuses.includes(value))) {
+    throw createValidationError(`Status must be one of: ${statuses.join(", ")}`);
+  }
+  if (type && !Object.values(JOB_TYPES).includes(type)) {
+    throw createValidationError("Unknown job type");
+  }
+
+  const jobs = await jobQueue.listJobs(supabase, user.id, {
+    ids,
+    status: status.length > 0 ? status : null,
+    type,
+    limit: Number.isFinite(limit) && limit > 0 ? limit : 50,
+  });
+
+  const counts = jobs.reduce((acc, job) => {
+    acc[job.status] = (acc[job.status] || 0) + 1;
+    return acc;
+  }, {});
+
+  return NextResponse.json({
+    success: true,
+    data: jobs.map(formatJob),
+    counts,
+    pending: (counts[JOB_STATUS.QUEUED] || 0) + (counts[JOB_STATUS.RUNNING] || 0),
+    message: "Jobs retrieved successfully",
+  });
+});
@@ -0,0 +1,94 @@
+import { NextResponse } from "next/server";
+import {
+  createAuthenticatedSupabaseClient,
+  getAuthenticatedUser,
+} from "../../../../libs/auth/server-auth.js";
+import {
+  withErrorHandler,
+  createAuthError,
+  createValidationError,
+  createDatabaseError,
+  AppError,
+  ERROR_CODES,
+} from "../../../../libs/errors/error-handler.js";
+import { validateUUID } from "../../../../libs/validation/validators.js";
+import {
+  TEMPLATE_COLUMNS,
+  clearDefaultSpecTemplate,
+  formatSpecTemplate,
+  validateSpecTemplate,
+} from "../../../../libs/spec-templates/index.js";
+
+// PUT /api/spec-templates/:id - { name?, description?, target?, tone?, sections?, instructions?, isDefault? }
+export const PUT = withErrorHandler(async (request, { params }) => {
+  const supabase = createAuthenticatedSupabaseClient();
+  const user = await getAuthenticatedUser();
+
+  if (!user) {
+    throw createAuthError();
+  }
+
+  validateUUID(params.id, "Template ID");
+
+  const update = validateSpecTemplate(await request.json(), { partial: true });
+  if (Object.keys(update).length === 0) {
+    throw createValidationError("Nothing to update");
+  }
+  update.updated_at = new Date().toISOString();
+
+  if (update.is_default) {
+    await clearDefaultSpecTemplate(supabase, user.id, params.id);
+  }
+
+  const { data: template, error } = await supabase
+    .from("spec_templates")
+    .update(update)
+    .eq("id", params.id)
+    .eq("user_id", user.id)
+    .select(TEMPLATE_COLUMNS)
+    .maybeSingle();
+
+  if (error) {
+    throw createDatabaseError("Failed to update spec template", error.message);
+  }
+  if (!template) {
+    throw new AppError(ERROR_CODES.RECORD_NOT_FOUND, "Spec template not found");
+  }
+
+  return NextResponse.json({
+    success: true,
+    data: formatSpecTemplate(template),
+    message: "Spec template updated successfully",
+  });
+});
+
+// DELETE /api/spec-templates/:id - Specs generated with it are kept
+export const DELETE = withErrorHandler(async (request, { params }) => {
+  const supabase = createAuthenticatedSupabaseClient();
+  const user = await getAuthenticatedUser();
+
+  if (!user) {
+    throw createAuthError();
+  }
+
+  validateUUID(params.id, "Template ID");
+
+  const { data, error } = await supabase
+    .from("spec_templates")
+    .delete()
+    .eq("id", params.id)
+    .eq("user_id", user.id)
+    .select("id");
+
+  if (error) {
+    throw createDatabaseError("Failed to delete spec template", error.message);
+  }
+  if (!data || data.length === 0) {
+    throw new AppError(ERROR_CODES.RECORD_NOT_FOUND, "Spec template not found");
+  }
+
+  return NextResponse.json({
+    success: true,
+    message: "Spec template deleted successfully",
+  });
+});
@@ -0,0 +1,98 @@
+import { NextResponse } from "next/server";
+import {
+  createAuthenticatedSupabaseClient,
+  getAuthenticatedUser,
+} from "../../../libs/auth/server-auth.js";
+import {
+  withErrorHandler,
+  createAuthError,
+  createValidationError,
+  createDatabaseError,
+} from "../../../libs/errors/error-handler.js";
+import {
+  BUILT_IN_TEMPLATES,
+  MAX_TEMPLATES,
+  SPEC_TARGETS,
+  TEMPLATE_COLUMNS,
+  clearDefaultSpecTemplate,
+  formatSpecTemplate,
+  validateSpecTemplate,
+} from "../../../libs/spec-templates/index.js";
+
+export const dynamic = "force-dynamic";
+
+// GET /api/spec-templates - The user's spec templates, the built-in ones and the targets
+export const GET = withErrorHandler(async () => {
+  const supabase = createAuthenticatedSupabaseClient();
+  const user = await getAuthenticatedUser();
+
+  if (!user) {
+    throw createAuthError();
+  }
+
+  const { data, error } = await supabase
+    .from("spec_templates")
+    .select(TEMPLATE_COLUMNS)
+    .eq("user_id", user.id)
+    .order("created_at", { ascending: true });
+
+  if (error) {
+    throw createDatabaseError("Failed to load spec templates", error.message);
+  }
+
+  return NextResponse.json({
+    success: true,
+    data: (data || []).map(formatSpecTemplate),
+    builtIn: BUILT_IN_TEMPLATES,
+    targets: Object.entries(SPEC_TARGETS).map(([key, target]) => ({ key, label: target.label })),
+    message: "Spec templates retrieved successfully",
+  });
+});
+
+// POST /api/spec-templates - { name, description?, target?, tone?, sections?, instructions?, isDefault? }
+// Without sections, the template starts from the target's built-in sections
+export const POST = withErrorHandler(async (request) => {
+  const supabase = createAuthenticatedSupabaseClient();
+  const user = await getAuthenticatedUser();
+
+  if (!user) {
+    throw createAuthError();
+  }
+
+  const template = validateSpecTemplate(await request.json());
+
+  const { count, error: countError } = await supabase
+    .from("spec_templates")
+    .select("id", { count: "exact", head: true })
+    .eq("user_id", user.id);
+
+  if (countError) {
+    throw createDatabaseError("Failed to count spec templates", countError.message);
+  }
+  if (count >= MAX_TEMPLATES) {
+    throw createValidationError(`At most ${MAX_TEMPLATES} spec templates are allowed`);
+  }
+
+  if (template.is_default) {
+    await clearDefaultSpecTemplate(supabase, user.id);
+  }
+
+  const { data, error } = await supabase
+    .from("spec_templates")
+    .insert({ ...template, user_id: user.id })
+    .select(TEMPLATE_COLUMNS)
+    .single();
+
+  if (error) {
+    throw createDatabaseError("Failed to save spec template", error.message);
+  }
+
+  return NextResponse.json(
+    {
+      success: true,
+      data: formatSpecTemplate(data),
+      message: "Spec template saved successfully",
+    },
+    { status: 201 }
+  );
+});
@@ -0,0 +1,63 @@
+import { NextResponse } from "next/server";
+import {
+  createAuthenticatedSupabaseClient,
+  getAuthenticatedUser,
+} from "../../../../../libs/auth/server-auth.js";
+import { withErrorHandler, createAuthError } from "../../../../../libs/errors/error-handler.js";
+import { validateRequired, validateUUID } from "../../../../../libs/validation/validators.js";
+import { listSpecIssues, sendSpecToTracker, TRACKER_PROVIDERS } from "../../../../../libs/trackers/index.js";
+
+export const dynamic = "force-dynamic";
+export const maxDuration = 60;
+
+// GET /api/specs/:id/issues - Tracker issues created from the spec, with the tasks of each epic
+export const GET = withErrorHandler(async (request, { params }) => {
+  const supabase = createAuthenticatedSupabaseClient();
+  const user = await getAuthenticatedUser();
+
+  if (!user) {
+    throw createAuthError();
+  }
+
+  validateUUID(params.id, "Spec ID");
+
+  return NextResponse.json({
+    success: true,
+    data: await listSpecIssues(supabase, user.id, params.id),
+    message: "Spec issues retrieved successfully",
+  });
+});
+
+// POST /api/specs/:id/issues - { provider, mode: "issue" | "epic" } Send the spec to a tracker,
+// as one issue or as an epic with AI-derived child tasks
+export const POST = withErrorHandler(async (request, { params }) => {
+  const supabase = createAuthenticatedSupabaseClient();
+  const user = await getAuthenticatedUser();
+
+  if (!user) {
+    throw createAuthError();
+  }
+
+  validateUUID(params.id, "Spec ID");
+
+  const body = await request.json();
+  validateRequired(body, ["provider"]);
+
+  const { issue, failedTasks } = await sendSpecToTracker(supabase, user.id, params.id, {
+    provider: body.provider,
+    mode: body.mode || "issue",
+  });
+
+  const label = TRACKER_PROVIDERS[body.provider].label;
+  return NextResponse.json(
+    {
+      success: true,
+      data: { issue, failedTasks },
+      message:
+        failedTasks.length > 0
+          ? `Created ${issue.key} in ${label}, but ${failedTasks.length} of its tasks failed`
+          : `Created ${issue.key} in ${label}`,
+    },
+    { status: 201 }
+  );
+});
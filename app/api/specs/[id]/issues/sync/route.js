@@ -0,0 +1,34 @@
+import { NextResponse } from "next/server";
+import {
+  createAuthenticatedSupabaseClient,
+  getAuthenticatedUser,
+} from "../../../../../../libs/auth/server-auth.js";
+import { withErrorHandler, createAuthError } from "../../../../../../libs/errors/error-handler.js";
+import { validateUUID } from "../../../../../../libs/validation/validators.js";
+import { listSpecIssues, syncSpecIssues } from "../../../../../../libs/trackers/index.js";
+
+export const maxDuration = 60;
+
+// POST /api/specs/:id/issues/sync - Refresh the tracker state of the spec's open issues now;
+// a closed issue ships the spec's feedback, like the scheduled sync
+export const POST = withErrorHandler(async (request, { params }) => {
+  const supabase = createAuthenticatedSupabaseClient();
+  const user = await getAuthenticatedUser();
+
+  if (!user) {
+    throw createAuthError();
+  }
+
+  validateUUID(params.id, "Spec ID");
+
+  const sync = await syncSpecIssues(supabase, user.id, { specId: params.id });
+
+  return NextResponse.json({
+    success: true,
+    data: { sync, issues: await listSpecIssues(supabase, user.id, params.id) },
+    message:
+      sync.shipped > 0
+        ? `Issue closed - ${sync.shipped} feedback items marked as shipped`
+        : `Checked ${sync.checked} issues`,
+  });
+});
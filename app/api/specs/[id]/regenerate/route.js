@@ -0,0 +1,43 @@
+import { NextResponse } from "next/server";
+import {
+  createAuthenticatedSupabaseClient,
+  getAuthenticatedUser,
+} from "../../../../../libs/auth/server-auth.js";
+import {
+  withErrorHandler,
+  createAuthError,
+} from "../../../../../libs/errors/error-handler.js";
+import { validateUUID } from "../../../../../libs/validation/validators.js";
+import { regenerateSpec } from "../../../../../libs/specs/index.js";
+
+export const maxDuration = 60;
+
+// POST /api/specs/:id/regenerate - { mode?: "full" | "changes", templateId? }
+// "changes" updates the approved (else latest) version with the feedback that
+// arrived since it and lists the new requirements in the version's changeSummary
+export const POST = withErrorHandler(async (request, { params }) => {
+  const supabase = createAuthenticatedSupabaseClient();
+  const user = await getAuthenticatedUser();
+
+  if (!user) {
+    throw createAuthError();
+  }
+
+  validateUUID(params.id, "Spec ID");
+
+  const body = await request.json().catch(() => ({}));
+
+  const { spec, version } = await regenerateSpec(supabase, user.id, params.id, {
+    mode: body.mode || "full",
+    templateId: body.templateId,
+  });
+
+  return NextResponse.json(
+    {
+      success: true,
+      data: { spec, version },
+      message: `Spec regenerated as version ${version.version}`,
+    },
+    { status: 201 }
+  );
+});
@@ -0,0 +1,56 @@
+import { NextResponse } from "next/server";
+import {
+  createAuthenticatedSupabaseClient,
+  getAuthenticatedUser,
+} from "../../../../../libs/auth/server-auth.js";
+import {
+  configureAIForUser,
+  isAIConfigured,
+  rewriteSpecSection,
+} from "../../../../../libs/ai/index.js";
+import {
+  withErrorHandler,
+  createAuthError,
+  createExternalServiceError,
+} from "../../../../../libs/errors/error-handler.js";
+import { validateRequired, validateUUID } from "../../../../../libs/validation/validators.js";
+import { loadSpec } from "../../../../../libs/specs/index.js";
+
+export const maxDuration = 60;
+
+// POST /api/specs/:id/rewrite-section - { section, action } → { section }
+// Rewrites one section of the spec for a section action of the spec editor
+// (libs/spec-sections); nothing is saved until the editor puts it in the spec
+export const POST = withErrorHandler(async (request, { params }) => {
+  const supabase = createAuthenticatedSupabaseClient();
+  const user = await getAuthenticatedUser();
+
+  if (!user) {
+    throw createAuthError();
+  }
+
+  validateUUID(params.id, "Spec ID");
+
+  const body = await request.json();
+  validateRequired(body, ["section", "action"]);
+
+  const spec = await loadSpec(supabase, user.id, params.id);
+
+  await configureAIForUser(supabase, user.id);
+  if (!isAIConfigured(user.id)) {
+    throw createExternalServiceError("openai", "AI provider is not configured for spec generation");
+  }
+
+  const section = await rewriteSpecSection(
+    body.section,
+    body.action,
+    { title: spec.title },
+    user.id
+  );
+
+  return NextResponse.json({
+    success: true,
+    data: { section, action: body.action },
+    message: "Section rewritten",
+  });
+});
@@ -0,0 +1,86 @@
+import { NextResponse } from "next/server";
+import {
+  createAuthenticatedSupabaseClient,
+  getAuthenticatedUser,
+} from "../../../../libs/auth/server-auth.js";
+import {
+  withErrorHandler,
+  createAuthError,
+  createValidationError,
+} from "../../../../libs/errors/error-handler.js";
+import { validateUUID } from "../../../../libs/validation/validators.js";
+import {
+  approveSpecVersion,
+  formatSpec,
+  listSpecFeedback,
+  listSpecVersions,
+  loadSpec,
+  saveSpecEdit,
+} from "../../../../libs/specs/index.js";
+
+export const dynamic = "force-dynamic";
+
+// GET /api/specs/:id - A spec, its versions (newest first) and the feedback it was generated from
+export const GET = withErrorHandler(async (request, { params }) => {
+  const supabase = createAuthenticatedSupabaseClient();
+  const user = await getAuthenticatedUser();
+
+  if (!user) {
+    throw createAuthError();
+  }
+
+  validateUUID(params.id, "Spec ID");
+
+  const spec = await loadSpec(supabase, user.id, params.id);
+  const versions = await listSpecVersions(supabase, user.id, params.id);
+  const feedback = await listSpecFeedback(supabase, user.id, params.id);
+
+  return NextResponse.json({
+    success: true,
+    data: { spec: formatSpec(spec), versions, feedback },
+    message: "Spec retrieved successfully",
+  });
+});
+
+// PUT /api/specs/:id - { content, asVersion? } saves an edit (asVersion: as the
+// next version too); { approvedVersionId } pins a version as approved (null unpins)
+export const PUT = withErrorHandler(async (request, { params }) => {
+  const supabase = createAuthenticatedSupabaseClient();
+  const user = await getAuthenticatedUser();
+
+  if (!user) {
+    throw createAuthError();
+  }
+
+  validateUUID(params.id, "Spec ID");
+
+  const body = await request.json();
+
+  if (body.content !== undefined) {
+    const saved = await saveSpecEdit(supabase, user.id, params.id, body.content, {
+      asVersion: body.asVersion === true,
+      expectedUpdatedAt: typeof body.expectedUpdatedAt === "string" ? body.expectedUpdatedAt : null,
+    });
+
+    return NextResponse.json({
+      success: true,
+      data: saved,
+      message: saved.version ? `Saved as version ${saved.version.version}` : "Spec saved",
+    });
+  }
+
+  if (body.approvedVersionId === undefined) {
+    throw createValidationError("Nothing to update");
+  }
+  if (body.approvedVersionId !== null) {
+    validateUUID(body.approvedVersionId, "Version ID");
+  }
+
+  const spec = await approveSpecVersion(supabase, user.id, params.id, body.approvedVersionId);
+
+  return NextResponse.json({
+    success: true,
+    data: spec,
+    message: body.approvedVersionId ? "Spec version approved" : "Spec approval removed",
+  });
+});
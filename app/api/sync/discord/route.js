@@ -0,0 +1,75 @@
+import { NextResponse } from 'next/server';
+import { createClient } from '../../../../libs/supabase/server.js';
+import { enqueueImportedFeedback, formatJob } from '../../../../libs/jobs/index.js';
+const { integrationSyncService } = require('../../../../libs/services/integration-sync.js');
+
+/**
+ * Discord sync route
+ * POST /api/sync/discord - Imports new messages from the selected Discord channels as feedback
+ *
+ * Same sync the scheduler runs (libs/services/integration-sync.js), recorded
+ * in the integration's run history with trigger "manual".
+ */
+export async function POST() {
+  try {
+    const supabase = createClient();
+
+    // Проверить авторизацию пользователя
+    const { data: { user }, error: userError } = await supabase.auth.getUser();
+
+    if (userError || !user) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    // Получить Discord интеграцию
+    const { data: integration, error: integrationError } = await supabase
+      .from('integrations')
+      .select('*')
+      .eq('user_id', user.id)
+      .eq('platform', 'discord')
+      .eq('status', 'connected')
+      .single();
+
+    if (integrationError || !integration) {
+      return NextResponse.json({ error: 'Discord not connected' }, { status: 400 });
+    }
+
+    const sync = await integrationSyncService.runSync(supabase, integration, { trigger: 'manual' });
+
+    if (sync.error) {
+      // Ошибки конфигурации и доступа возвращаем с их статусом
+      if (sync.error.statusCode && sync.error.name === 'SyncError') {
+        return NextResponse.json({ error: sync.error.message }, { status: sync.error.statusCode });
+      }
+      throw sync.error;
+    }
+
+    // Поставить новые сообщения в очередь на AI анализ
+    let jobs = null;
+    try {
+      jobs = await enqueueImportedFeedback(supabase, user.id, sync.importedIds);
+    } catch (jobError) {
+      console.error('Failed to enqueue analysis for synced Discord messages:', jobError.message);
+    }
+
+    console.log(`Processed ${sync.importedIds.length} new Discord messages out of ${sync.found} total`);
+
+    return NextResponse.json({
+      success: true,
+      processed: sync.importedIds.length,
+      total: sync.found,
+      channelErrors: sync.details?.channelErrors || [],
+      runId: sync.run?.id || null,
+      analysisJobs: (jobs?.analysisJobs || []).map(formatJob),
+      message: `Successfully processed ${sync.importedIds.length} new Discord messages`
+    });
+
+  } catch (error) {
+    console.error('Discord sync error:', error);
+
+    return NextResponse.json({
+      error: `Discord sync failed: ${error.message}`,
+      details: process.env.NODE_ENV === 'development' ? error.stack : undefined
+    }, { status: 500 });
+  }
+}
@@ -0,0 +1,211 @@
+import { NextResponse } from 'next/server';
+import { createClient } from '../../../../../libs/supabase/server.js';
+const { DiscordService } = require('../../../../../libs/services/discord.js');
+
+const MAX_CHANNELS = 50;
+const MAX_KEYWORDS = 20;
+
+// Everything the setup UI needs - the bot token never goes back to the browser
+const INTEGRATION_FIELDS = 'id, platform, status, config, last_sync, next_sync_at, sync_failures, last_sync_status, last_sync_error';
+
+async function getDiscordIntegration(supabase, userId) {
+  const { data: integration, error } = await supabase
+    .from('integrations')
+    .select('*')
+    .eq('user_id', userId)
+    .eq('platform', 'discord')
+    .single();
+
+  return error ? null : integration;
+}
+
+/**
+ * Discord API errors that are the user's to fix, as a response (null for anything else)
+ */
+function discordErrorResponse(error) {
+  if (error.code === 401) {
+    return NextResponse.json({ error: 'Invalid Discord bot token' }, { status: 400 });
+  }
+  if (error.code === 403) {
+    return NextResponse.json({ error: 'The bot has no access to this server. Check that it was added with the "Read Message History" permission.' }, { status: 403 });
+  }
+  if (error.code === 429) {
+    return NextResponse.json({ error: 'Discord API rate limit exceeded. Please try again shortly.' }, { status: 429 });
+  }
+  return null;
+}
+
+function cleanList(value) {
+  return Array.isArray(value)
+    ? [...new Set(value.filter(item => typeof item === 'string').map(item => item.trim()).filter(Boolean))]
+    : [];
+}
+
+/**
+ * Discord connection setup
+ * POST /api/sync/discord/setup - { botToken?, guildId? }
+ * Servers the bot is in and, for the chosen (or only) server, its channels.
+ * Without botToken the connected integration's token is used. Nothing is saved.
+ */
+export async function POST(request) {
+  try {
+    const supabase = createClient();
+
+    const { data: { user }, error: userError } = await supabase.auth.getUser();
+    if (userError || !user) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const body = await request.json().catch(() => ({}));
+    let botToken = typeof body.botToken === 'string' ? body.botToken.trim() : '';
+
+    if (!botToken) {
+      const integration = await getDiscordIntegration(supabase, user.id);
+      botToken = integration?.access_token || '';
+    }
+    if (!botToken) {
+      return NextResponse.json({ error: 'Discord bot token is required' }, { status: 400 });
+    }
+
+    const discordService = new DiscordService(botToken);
+
+    try {
+      const bot = await discordService.getCurrentUser();
+      const guilds = await discordService.getGuilds();
+      const guildId = body.guildId || (guilds.length === 1 ? guilds[0].id : null);
+
+      if (guildId && !guilds.some(guild => guild.id === guildId)) {
+        return NextResponse.json({ error: 'The bot is not a member of this server' }, { status: 400 });
+      }
+
+      const channels = guildId ? await discordService.getChannels(guildId) : [];
+
+      return NextResponse.json({
+        success: true,
+        data: { bot, guilds, guildId, channels }
+      });
+    } catch (discordError) {
+      const response = discordErrorResponse(discordError);
+      if (response) return response;
+      throw discordError;
+    }
+  } catch (error) {
+    console.error('Error loading Discord channels:', error);
+
+    return NextResponse.json({
+      error: 'Failed to load Discord channels',
+      details: error.message
+    }, { status: 500 });
+  }
+}
+
+/**
+ * PUT /api/sync/discord/setup - { botToken?, guildId, channelIds, includeThreads?, includeBots?, keywords? }
+ * Connects Discord (or updates its channels). botToken is only needed for the
+ * first connection or to replace the token.
+ */
+export async function PUT(request) {
+  try {
+    const supabase = createClient();
+
+    const { data: { user }, error: userError } = await supabase.auth.getUser();
+    if (userError || !user) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const body = await request.json();
+    const channelIds = cleanList(body.channelIds);
+    const keywords = cleanList(body.keywords);
+
+    if (!body.guildId || typeof body.guildId !== 'string') {
+      return NextResponse.json({ error: 'guildId is required' }, { status: 400 });
+    }
+    if (channelIds.length === 0 || channelIds.length > MAX_CHANNELS) {
+      return NextResponse.json({ error: `Select between 1 and ${MAX_CHANNELS} channels` }, { status: 400 });
+    }
+    if (keywords.length > MAX_KEYWORDS) {
+      return NextResponse.json({ error: `At most ${MAX_KEYWORDS} keywords are allowed` }, { status: 400 });
+    }
+
+    const existing = await getDiscordIntegration(supabase, user.id);
+    const botToken = (typeof body.botToken === 'string' && body.botToken.trim()) || existing?.access_token;
+    if (!botToken) {
+      return NextResponse.json({ error: 'Discord bot token is required' }, { status: 400 });
+    }
+
+    // Check the token and that every channel belongs to the server before saving
+    const discordService = new DiscordService(botToken);
+    let guild;
+    let bot;
+    try {
+      bot = await discordService.getCurrentUser();
+      const guilds = await discordService.getGuilds();
+      guild = guilds.find(item => item.id === body.guildId);
+      if (!guild) {
+        return NextResponse.json({ error: 'The bot is not a member of this server' }, { status: 400 });
+      }
+
+      const channels = await discordService.getChannels(guild.id);
+      const unknown = channelIds.filter(id => !channels.some(channel => channel.id === id));
+      if (unknown.length > 0) {
+        return NextResponse.json({ error: `Unknown channels: ${unknown.join(', ')}` }, { status: 400 });
+      }
+    } catch (discordError) {
+      const response = discordErrorResponse(discordError);
+      if (response) return response;
+      throw discordError;
+    }
+
+    // Another bot or server starts the channel cursors over
+    const sameSource = existing?.access_token === botToken && existing?.config?.guild_id === guild.id;
+    const now = new Date().toISOString();
+
+    const { data: integration, error } = await supabase
+      .from('integrations')
+      .upsert({
+        user_id: user.id,
+        platform: 'discord',
+        status: 'connected',
+        access_token: botToken,
+        config: {
+          // Keep the sync schedule when channels are changed
+          ...(existing?.config || {}),
+          bot_id: bot.id,
+          bot_username: bot.username,
+          guild_id: guild.id,
+          guild_name: guild.name,
+          channel_ids: channelIds,
+          include_threads: body.includeThreads !== false,
+          include_bots: body.includeBots === true,
+          keywords
+        },
+        sync_state: sameSource ? existing.sync_state || {} : {},
+        next_sync_at: null,
+        sync_failures: 0,
+        last_sync_error: null,
+        created_at: existing?.created_at || now,
+        updated_at: now
+      }, {
+        onConflict: 'user_id,platform'
+      })
+      .select(INTEGRATION_FIELDS)
+      .single();
+
+    if (error) {
+      throw error;
+    }
+
+    return NextResponse.json({
+      success: true,
+      data: { integration },
+      message: 'Discord connected'
+    });
+  } catch (error) {
+    console.error('Error saving Discord setup:', error);
+
+    return NextResponse.json({
+      error: 'Failed to save Discord setup',
+      details: error.message
+    }, { status: 500 });
+  }
+}
@@ -0,0 +1,78 @@
+import { NextResponse } from 'next/server';
+import { createClient } from '../../../../libs/supabase/server.js';
+import { enqueueImportedFeedback, formatJob } from '../../../../libs/jobs/index.js';
+const { integrationSyncService } = require('../../../../libs/services/integration-sync.js');
+
+/**
+ * GitHub sync route
+ * POST /api/sync/github - Imports new issues, comments and discussions of the linked repositories as feedback
+ * and updates the ones imported before (edits, closures, labels, reactions)
+ *
+ * Same sync the scheduler runs (libs/services/integration-sync.js), recorded
+ * in the integration's run history with trigger "manual".
+ */
+export async function POST() {
+  try {
+    const supabase = createClient();
+
+    // Проверить авторизацию пользователя
+    const { data: { user }, error: userError } = await supabase.auth.getUser();
+
+    if (userError || !user) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    // Получить GitHub интеграцию
+    const { data: integration, error: integrationError } = await supabase
+      .from('integrations')
+      .select('*')
+      .eq('user_id', user.id)
+      .eq('platform', 'github')
+      .eq('status', 'connected')
+      .single();
+
+    if (integrationError || !integration) {
+      return NextResponse.json({ error: 'GitHub not connected' }, { status: 400 });
+    }
+
+    const sync = await integrationSyncService.runSync(supabase, integration, { trigger: 'manual' });
+
+    if (sync.error) {
+      // Ошибки конфигурации и доступа возвращаем с их статусом
+      if (sync.error.statusCode && sync.error.name === 'SyncError') {
+        return NextResponse.json({ error: sync.error.message }, { status: sync.error.statusCode });
+      }
+      throw sync.error;
+    }
+
+    // Поставить новые и изменённые записи в очередь на AI анализ
+    const feedbackIds = [...sync.importedIds, ...sync.updatedIds];
+    let jobs = null;
+    try {
+      jobs = await enqueueImportedFeedback(supabase, user.id, feedbackIds);
+    } catch (jobError) {
+      console.error('Failed to enqueue analysis for synced GitHub items:', jobError.message);
+    }
+
+    console.log(`Processed ${sync.importedIds.length} new and ${sync.updatedIds.length} edited GitHub items out of ${sync.found} total`);
+
+    return NextResponse.json({
+      success: true,
+      processed: sync.importedIds.length,
+      updated: sync.updatedIds.length,
+      total: sync.found,
+      repoErrors: sync.details?.repoErrors || [],
+      runId: sync.run?.id || null,
+      analysisJobs: (jobs?.analysisJobs || []).map(formatJob),
+      message: `Successfully processed ${sync.importedIds.length} new GitHub items`
+    });
+
+  } catch (error) {
+    console.error('GitHub sync error:', error);
+
+    return NextResponse.json({
+      error: `GitHub sync failed: ${error.message}`,
+      details: process.env.NODE_ENV === 'development' ? error.stack : undefined
+    }, { status: 500 });
+  }
+}
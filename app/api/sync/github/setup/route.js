@@ -0,0 +1,219 @@
+import { NextResponse } from 'next/server';
+import { createClient } from '../../../../../libs/supabase/server.js';
+const { GitHubService, parseRepositoryName } = require('../../../../../libs/services/github.js');
+
+const MAX_REPOSITORIES = 10;
+const MAX_LABELS = 20;
+
+// Everything the setup UI needs - the access token never goes back to the browser
+const INTEGRATION_FIELDS = 'id, platform, status, config, last_sync, next_sync_at, sync_failures, last_sync_status, last_sync_error';
+
+async function getGithubIntegration(supabase, userId) {
+  const { data: integration, error } = await supabase
+    .from('integrations')
+    .select('*')
+    .eq('user_id', userId)
+    .eq('platform', 'github')
+    .single();
+
+  return error ? null : integration;
+}
+
+/**
+ * GitHub API errors that are the user's to fix, as a response (null for anything else)
+ */
+function githubErrorResponse(error, repository) {
+  if (error.code === 401) {
+    return NextResponse.json({ error: 'Invalid GitHub access token' }, { status: 400 });
+  }
+  if (error.code === 'ratelimited') {
+    return NextResponse.json({ error: 'GitHub API rate limit exceeded. Please try again later.' }, { status: 429 });
+  }
+  if (error.code === 404 || error.code === 403) {
+    return NextResponse.json({
+      error: `${repository ? `Repository ${repository}` : 'The repository'} was not found or the token has no access to it`
+    }, { status: 400 });
+  }
+  return null;
+}
+
+function cleanList(value) {
+  return Array.isArray(value)
+    ? [...new Set(value.filter(item => typeof item === 'string').map(item => item.trim()).filter(Boolean))]
+    : [];
+}
+
+/**
+ * GitHub connection setup
+ * POST /api/sync/github/setup - { token?, repository? }
+ * Checks the token and, if given, that it can read the repository.
+ * Without token the connected integration's token is used. Nothing is saved.
+ */
+export async function POST(request) {
+  try {
+    const supabase = createClient();
+
+    const { data: { user }, error: userError } = await supabase.auth.getUser();
+    if (userError || !user) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const body = await request.json().catch(() => ({}));
+    let token = typeof body.token === 'string' ? body.token.trim() : '';
+
+    if (!token) {
+      const integration = await getGithubIntegration(supabase, user.id);
+      token = integration?.access_token || '';
+    }
+    if (!token) {
+      return NextResponse.json({ error: 'GitHub access token is required' }, { status: 400 });
+    }
+
+    const repositoryName = body.repository ? parseRepositoryName(body.repository) : null;
+    if (body.repository && !repositoryName) {
+      return NextResponse.json({ error: 'Repository must look like owner/name' }, { status: 400 });
+    }
+
+    const githubService = new GitHubService(token);
+
+    try {
+      const account = await githubService.getAuthenticatedUser();
+      const repository = repositoryName ? await githubService.getRepository(repositoryName) : null;
+
+      return NextResponse.json({
+        success: true,
+        data: { account, repository }
+      });
+    } catch (githubError) {
+      const response = githubErrorResponse(githubError, repositoryName);
+      if (response) return response;
+      throw githubError;
+    }
+  } catch (error) {
+    console.error('Error checking GitHub repository:', error);
+
+    return NextResponse.json({
+      error: 'Failed to check GitHub repository',
+      details: error.message
+    }, { status: 500 });
+  }
+}
+
+/**
+ * PUT /api/sync/github/setup - { token?, repositories, includeComments?, includeDiscussions?, includeBots?, labels?, discussionCategories? }
+ * Connects GitHub (or updates the linked repositories). token is only needed
+ * for the first connection or to replace the token.
+ */
+export async function PUT(request) {
+  try {
+    const supabase = createClient();
+
+    const { data: { user }, error: userError } = await supabase.auth.getUser();
+    if (userError || !user) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const body = await request.json();
+    const requested = cleanList(body.repositories);
+    const labels = cleanList(body.labels);
+    const discussionCategories = cleanList(body.discussionCategories);
+
+    const invalid = requested.filter(repository => !parseRepositoryName(repository));
+    if (invalid.length > 0) {
+      return NextResponse.json({ error: `Repositories must look like owner/name: ${invalid.join(', ')}` }, { status: 400 });
+    }
+    if (requested.length === 0 || requested.length > MAX_REPOSITORIES) {
+      return NextResponse.json({ error: `Link between 1 and ${MAX_REPOSITORIES} repositories` }, { status: 400 });
+    }
+    if (labels.length > MAX_LABELS || discussionCategories.length > MAX_LABELS) {
+      return NextResponse.json({ error: `At most ${MAX_LABELS} labels and categories are allowed` }, { status: 400 });
+    }
+
+    const existing = await getGithubIntegration(supabase, user.id);
+    const token = (typeof body.token === 'string' && body.token.trim()) || existing?.access_token;
+    if (!token) {
+      return NextResponse.json({ error: 'GitHub access token is required' }, { status: 400 });
+    }
+
+    // Check the token and every repository before saving
+    const githubService = new GitHubService(token);
+    let account;
+    const repositories = [];
+    let current = null;
+    try {
+      account = await githubService.getAuthenticatedUser();
+      for (const name of requested.map(parseRepositoryName)) {
+        current = name;
+        const repository = await githubService.getRepository(name);
+        // Canonical owner/name casing, so source ids stay stable
+        if (!repositories.includes(repository.fullName)) repositories.push(repository.fullName);
+      }
+    } catch (githubError) {
+      const response = githubErrorResponse(githubError, current);
+      if (response) return response;
+      throw githubError;
+    }
+
+    const includeComments = body.includeComments !== false;
+    const includeDiscussions = body.includeDiscussions !== false;
+    const includeBots = body.includeBots === true;
+
+    // Changed filters read the import window again - items skipped before may match now
+    const previous = existing?.config || {};
+    const sameFilters = !!existing &&
+      JSON.stringify(previous.labels || []) === JSON.stringify(labels) &&
+      JSON.stringify(previous.discussion_categories || []) === JSON.stringify(discussionCategories) &&
+      (previous.include_comments !== false) === includeComments &&
+      (previous.include_discussions !== false) === includeDiscussions &&
+      !!previous.include_bots === includeBots;
+    const now = new Date().toISOString();
+
+    const { data: integration, error } = await supabase
+      .from('integrations')
+      .upsert({
+        user_id: user.id,
+        platform: 'github',
+        status: 'connected',
+        access_token: token,
+        config: {
+          // Keep the sync schedule when repositories are changed
+          ...previous,
+          login: account.login,
+          repositories,
+          include_comments: includeComments,
+          include_discussions: includeDiscussions,
+          include_bots: includeBots,
+          labels,
+          discussion_categories: discussionCategories
+        },
+        // Per-repository cursors - newly linked repositories start without one
+        sync_state: sameFilters ? existing.sync_state || {} : {},
+        next_sync_at: null,
+        sync_failures: 0,
+        last_sync_error: null,
+        created_at: existing?.created_at || now,
+        updated_at: now
+      }, {
+        onConflict: 'user_id,platform'
+      })
+      .select(INTEGRATION_FIELDS)
+      .single();
+
+    if (error) {
+      throw error;
+    }
+
+    return NextResponse.json({
+      success: true,
+      data: { integration },
+      message: 'GitHub connected'
+    });
+  } catch (error) {
+    console.error('Error saving GitHub setup:', error);
+
+    return NextResponse.json({
+      error: 'Failed to save GitHub setup',
+      details: error.message
+    }, { status: 500 });
+  }
+}
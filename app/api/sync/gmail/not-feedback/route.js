@@ -0,0 +1,103 @@
+import { NextResponse } from 'next/server';
+import { createClient } from '../../../../../libs/supabase/server.js';
+import { enqueueClusterUpdate, formatJob } from '../../../../../libs/jobs/index.js';
+const { learnNonFeedbackSender, parseSender } = require('../../../../../libs/services/gmail-rules.js');
+
+/**
+ * Mark an imported email as not feedback
+ * POST /api/sync/gmail/not-feedback - { feedbackId }
+ *
+ * Deletes the feedback and teaches the Gmail filter to skip its sender
+ * (and the sender's company domain after repeated marks).
+ */
+export async function POST(request) {
+  try {
+    const supabase = createClient();
+
+    const { data: { user }, error: userError } = await supabase.auth.getUser();
+    if (userError || !user) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const { feedbackId } = await request.json();
+    if (!feedbackId) {
+      return NextResponse.json({ error: 'feedbackId is required' }, { status: 400 });
+    }
+
+    const { data: feedback } = await supabase
+      .from('raw_feedback')
+      .select('id, platform, metadata')
+      .eq('id', feedbackId)
+      .eq('user_id', user.id)
+      .maybeSingle();
+
+    if (!feedback) {
+      return NextResponse.json({ error: 'Feedback not found' }, { status: 404 });
+    }
+    if (feedback.platform !== 'gmail' || !feedback.metadata?.from) {
+      return NextResponse.json({ error: 'Only emails imported from Gmail can be marked as not feedback' }, { status: 400 });
+    }
+
+    const { data: integration } = await supabase
+      .from('integrations')
+      .select('id, config')
+      .eq('user_id', user.id)
+      .eq('platform', 'gmail')
+      .maybeSingle();
+
+    let learned = null;
+    if (integration) {
+      learned = learnNonFeedbackSender(integration.config?.learned_filter, feedback.metadata.from);
+
+      const { error: updateError } = await supabase
+        .from('integrations')
+        .update({
+          config: { ...(integration.config || {}), learned_filter: learned },
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', integration.id);
+
+      if (updateError) {
+        throw updateError;
+      }
+    }
+
+    const { error: deleteError } = await supabase
+      .from('raw_feedback')
+      .delete()
+      .eq('id', feedback.id)
+      .eq('user_id', user.id);
+
+    if (deleteError) {
+      throw deleteError;
+    }
+
+    // Clusters drop the deleted item on their next update
+    let clusterJob = null;
+    try {
+      clusterJob = await enqueueClusterUpdate(supabase, user.id);
+    } catch (jobError) {
+      console.error('Failed to enqueue cluster update:', jobError.message);
+    }
+
+    const sender = parseSender(feedback.metadata.from);
+
+    return NextResponse.json({
+      success: true,
+      data: {
+        sender: sender.address,
+        domainBlocked: !!learned?.domains.includes(sender.domain),
+        learned: learned ? { senders: learned.senders, domains: learned.domains } : null,
+        jobs: { clustering: formatJob(clusterJob) }
+      },
+      message: `Emails from ${sender.address} will be skipped by the non-feedback filter`
+    });
+  } catch (error) {
+    console.error('Error marking email as not feedback:', error);
+
+    return NextResponse.json({
+      error: 'Failed to mark email as not feedback',
+      details: error.message
+    }, { status: 500 });
+  }
+}
@@ -0,0 +1,75 @@
+import { NextResponse } from 'next/server';
+import { createClient } from '../../../../../libs/supabase/server.js';
+const { previewGmailImport } = require('../../../../../libs/services/integration-sync.js');
+const {
+  getGmailRules,
+  validateGmailRules,
+  RuleValidationError
+} = require('../../../../../libs/services/gmail-rules.js');
+
+const MAX_PREVIEW_MESSAGES = 50;
+
+/**
+ * Gmail rules dry run
+ * POST /api/sync/gmail/preview - { rules?, limit? }
+ *
+ * Evaluates the given (unsaved) rules, or the saved ones, against the latest
+ * messages in the watched labels and reports what would be imported. Nothing is written.
+ */
+export async function POST(request) {
+  try {
+    const supabase = createClient();
+
+    const { data: { user }, error: userError } = await supabase.auth.getUser();
+    if (userError || !user) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const body = await request.json().catch(() => ({}));
+    const limit = Math.min(Math.max(parseInt(body.limit, 10) || 25, 1), MAX_PREVIEW_MESSAGES);
+
+    const { data: integration, error: integrationError } = await supabase
+      .from('integrations')
+      .select('*')
+      .eq('user_id', user.id)
+      .eq('platform', 'gmail')
+      .eq('status', 'connected')
+      .single();
+
+    if (integrationError || !integration) {
+      return NextResponse.json({ error: 'Gmail not connected' }, { status: 400 });
+    }
+
+    let rules;
+    try {
+      rules = body.rules ? validateGmailRules(body.rules) : getGmailRules(integration.config);
+    } catch (validationError) {
+      if (validationError instanceof RuleValidationError) {
+        return NextResponse.json({ error: validationError.message }, { status: 400 });
+      }
+      throw validationError;
+    }
+
+    try {
+      const preview = await previewGmailImport(supabase, integration, rules, { limit });
+
+      return NextResponse.json({
+        success: true,
+        data: preview,
+        message: `${preview.summary.wouldImport} of ${preview.summary.total} recent emails would be imported`
+      });
+    } catch (previewError) {
+      if (previewError.statusCode && previewError.statusCode < 500) {
+        return NextResponse.json({ error: previewError.message }, { status: previewError.statusCode });
+      }
+      throw previewError;
+    }
+  } catch (error) {
+    console.error('Gmail rules preview error:', error);
+
+    return NextResponse.json({
+      error: 'Preview failed',
+      details: error.message
+    }, { status: 500 });
+  }
+}
@@ -0,0 +1,142 @@
+import { NextResponse } from 'next/server';
+import { createClient } from '../../../../../libs/supabase/server.js';
+const { createGmailService } = require('../../../../../libs/services/integration-sync.js');
+const {
+  getGmailRules,
+  validateGmailRules,
+  RuleValidationError
+} = require('../../../../../libs/services/gmail-rules.js');
+
+async function getGmailIntegration(supabase, userId) {
+  const { data: integration, error } = await supabase
+    .from('integrations')
+    .select('*')
+    .eq('user_id', userId)
+    .eq('platform', 'gmail')
+    .single();
+
+  return error ? null : integration;
+}
+
+function formatLearned(learned = {}) {
+  return {
+    senders: learned.senders || [],
+    domains: learned.domains || []
+  };
+}
+
+/**
+ * Gmail ingestion rules
+ * GET /api/sync/gmail/rules - Current rules, learned "not feedback" senders and the mailbox labels
+ */
+export async function GET() {
+  try {
+    const supabase = createClient();
+
+    const { data: { user }, error: userError } = await supabase.auth.getUser();
+    if (userError || !user) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const integration = await getGmailIntegration(supabase, user.id);
+    if (!integration) {
+      return NextResponse.json({ error: 'Gmail not connected' }, { status: 400 });
+    }
+
+    // Labels are only needed for the editor - rules still load if Gmail is unreachable
+    let labels = [];
+    try {
+      labels = await createGmailService(integration).getLabels();
+    } catch (labelsError) {
+      console.error('Failed to load Gmail labels:', labelsError.message);
+    }
+
+    return NextResponse.json({
+      success: true,
+      data: {
+        rules: getGmailRules(integration.config),
+        learned: formatLearned(integration.config?.learned_filter),
+        labels
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching Gmail rules:', error);
+
+    return NextResponse.json({
+      error: 'Failed to fetch Gmail rules',
+      details: error.message
+    }, { status: 500 });
+  }
+}
+
+/**
+ * PUT /api/sync/gmail/rules - { rules, learned? }
+ * `learned` can only remove senders/domains from the learned filter.
+ */
+export async function PUT(request) {
+  try {
+    const supabase = createClient();
+
+    const { data: { user }, error: userError } = await supabase.auth.getUser();
+    if (userError || !user) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const body = await request.json();
+
+    let rules;
+    try {
+      rules = validateGmailRules(body.rules);
+    } catch (validationError) {
+      if (validationError instanceof RuleValidationError) {
+        return NextResponse.json({ error: validationError.message }, { status: 400 });
+      }
+      throw validationError;
+    }
+
+    const integration = await getGmailIntegration(supabase, user.id);
+    if (!integration) {
+      return NextResponse.json({ error: 'Gmail not connected' }, { status: 400 });
+    }
+
+    const config = { ...(integration.config || {}), rules, keywords: rules.keywords };
+
+    if (body.learned) {
+      const current = config.learned_filter || {};
+      const keep = new Set([...(body.learned.senders || []), ...(body.learned.domains || [])]);
+      config.learned_filter = {
+        ...current,
+        senders: (current.senders || []).filter(sender => keep.has(sender)),
+        domains: (current.domains || []).filter(domain => keep.has(domain))
+      };
+    }
+
+    const { error } = await supabase
+      .from('integrations')
+      .update({
+        config,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', integration.id);
+
+    if (error) {
+      throw error;
+    }
+
+    return NextResponse.json({
+      success: true,
+      data: {
+        rules,
+        learned: formatLearned(config.learned_filter)
+      },
+      message: 'Gmail rules saved'
+    });
+  } catch (error) {
+    console.error('Error saving Gmail rules:', error);
+
+    return NextResponse.json({
+      error: 'Failed to save Gmail rules',
+      details: error.message
+    }, { status: 500 });
+  }
+}
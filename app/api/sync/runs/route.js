@@ -0,0 +1,36 @@
+import { NextResponse } from 'next/server';
+import { createClient } from '../../../../libs/supabase/server.js';
+const { integrationSyncService } = require('../../../../libs/services/integration-sync.js');
+
+/**
+ * Sync run history
+ * GET /api/sync/runs?platform=gmail&limit=20 - Recent manual and scheduled syncs, newest first
+ */
+export async function GET(request) {
+  try {
+    const supabase = createClient();
+
+    const { data: { user }, error: userError } = await supabase.auth.getUser();
+    if (userError || !user) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const url = new URL(request.url);
+    const platform = url.searchParams.get('platform');
+    const limit = parseInt(url.searchParams.get('limit') || '20', 10);
+
+    const runs = await integrationSyncService.getRuns(supabase, user.id, {
+      platform: platform || undefined,
+      limit: Number.isFinite(limit) && limit > 0 ? limit : 20
+    });
+
+    return NextResponse.json({ success: true, data: runs });
+  } catch (error) {
+    console.error('Error fetching sync runs:', error);
+
+    return NextResponse.json({
+      error: 'Failed to fetch sync runs',
+      details: error.message
+    }, { status: 500 });
+  }
+}
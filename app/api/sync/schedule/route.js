@@ -0,0 +1,84 @@
+import { NextResponse } from 'next/server';
+import { createClient } from '../../../../libs/supabase/server.js';
+const {
+  integrationSyncService,
+  MIN_SYNC_INTERVAL_MINUTES
+} = require('../../../../libs/services/integration-sync.js');
+
+const MAX_SYNC_INTERVAL_MINUTES = 7 * 24 * 60;
+
+/**
+ * Scheduled sync settings
+ * PUT /api/sync/schedule - { platform, autoSync?, intervalMinutes? }
+ *
+ * Stored in integrations.config (auto_sync, sync_interval_minutes).
+ * Changing the schedule resets the failure backoff.
+ */
+export async function PUT(request) {
+  try {
+    const supabase = createClient();
+
+    const { data: { user }, error: userError } = await supabase.auth.getUser();
+    if (userError || !user) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const { platform, autoSync, intervalMinutes } = await request.json();
+
+    if (!integrationSyncService.isSupported(platform)) {
+      return NextResponse.json({ error: `Scheduled sync is not supported for ${platform}` }, { status: 400 });
+    }
+
+    if (intervalMinutes !== undefined) {
+      const minutes = Number(intervalMinutes);
+      if (!Number.isInteger(minutes) || minutes < MIN_SYNC_INTERVAL_MINUTES || minutes > MAX_SYNC_INTERVAL_MINUTES) {
+        return NextResponse.json({
+          error: `intervalMinutes must be a whole number between ${MIN_SYNC_INTERVAL_MINUTES} and ${MAX_SYNC_INTERVAL_MINUTES}`
+        }, { status: 400 });
+      }
+    }
+
+    const { data: integration, error: integrationError } = await supabase
+      .from('integrations')
+      .select('*')
+      .eq('user_id', user.id)
+      .eq('platform', platform)
+      .single();
+
+    if (integrationError || !integration) {
+      return NextResponse.json({ error: `${platform} not connected` }, { status: 400 });
+    }
+
+    const config = { ...(integration.config || {}) };
+    if (autoSync !== undefined) config.auto_sync = !!autoSync;
+    if (intervalMinutes !== undefined) config.sync_interval_minutes = Number(intervalMinutes);
+
+    const updated = { ...integration, config, sync_failures: 0 };
+    const from = integration.last_sync ? new Date(integration.last_sync) : new Date();
+
+    const { data, error } = await supabase
+      .from('integrations')
+      .update({
+        config,
+        sync_failures: 0,
+        next_sync_at: integrationSyncService.getNextSyncAt(updated, { from }).toISOString(),
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', integration.id)
+      .select('id, platform, status, config, last_sync, next_sync_at, sync_failures, last_sync_status, last_sync_error')
+      .single();
+
+    if (error) {
+      throw error;
+    }
+
+    return NextResponse.json({ success: true, data });
+  } catch (error) {
+    console.error('Error updating sync schedule:', error);
+
+    return NextResponse.json({
+      error: 'Failed to update sync schedule',
+      details: error.message
+    }, { status: 500 });
+  }
+}
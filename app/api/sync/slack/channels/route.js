@@ -0,0 +1,174 @@
+import { NextResponse } from 'next/server';
+import { createClient } from '../../../../../libs/supabase/server.js';
+const { SlackService } = require('../../../../../libs/services/slack.js');
+
+const MAX_CHANNELS = 50;
+const MAX_KEYWORDS = 20;
+
+async function getSlackIntegration(supabase, userId) {
+  const { data: integration, error } = await supabase
+    .from('integrations')
+    .select('*')
+    .eq('user_id', userId)
+    .eq('platform', 'slack')
+    .eq('status', 'connected')
+    .single();
+
+  return error ? null : integration;
+}
+
+/**
+ * Slack API errors that are the user's to fix, as a response (null for anything else)
+ */
+function slackErrorResponse(error) {
+  if (error.authFailed) {
+    return NextResponse.json({ error: 'Slack access was revoked or expired. Please reconnect Slack.' }, { status: 401 });
+  }
+  if (error.code === 'ratelimited') {
+    return NextResponse.json({ error: 'Slack API rate limit exceeded. Please try again shortly.' }, { status: 429 });
+  }
+  return null;
+}
+
+function cleanList(value) {
+  return Array.isArray(value)
+    ? [...new Set(value.filter(item => typeof item === 'string').map(item => item.trim()).filter(Boolean))]
+    : [];
+}
+
+/**
+ * Slack channel picker
+ * GET /api/sync/slack/channels - Channels in the connected workspace and the current selection
+ */
+export async function GET() {
+  try {
+    const supabase = createClient();
+
+    const { data: { user }, error: userError } = await supabase.auth.getUser();
+    if (userError || !user) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const integration = await getSlackIntegration(supabase, user.id);
+    if (!integration) {
+      return NextResponse.json({ error: 'Slack not connected' }, { status: 400 });
+    }
+
+    let channels;
+    try {
+      channels = await new SlackService(integration.access_token).listChannels();
+    } catch (slackError) {
+      const response = slackErrorResponse(slackError);
+      if (response) return response;
+      throw slackError;
+    }
+
+    return NextResponse.json({
+      success: true,
+      data: {
+        channels,
+        channelIds: integration.config?.channel_ids || [],
+        keywords: integration.config?.keywords || []
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching Slack channels:', error);
+
+    return NextResponse.json({
+      error: 'Failed to fetch Slack channels',
+      details: error.message
+    }, { status: 500 });
+  }
+}
+
+/**
+ * PUT /api/sync/slack/channels - { channelIds, keywords? }
+ * Public channels the bot isn't in yet are joined; private channels need an
+ * /invite of the bot first.
+ */
+export async function PUT(request) {
+  try {
+    const supabase = createClient();
+
+    const { data: { user }, error: userError } = await supabase.auth.getUser();
+    if (userError || !user) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const body = await request.json();
+    const channelIds = cleanList(body.channelIds);
+    const keywords = cleanList(body.keywords);
+
+    if (channelIds.length === 0 || channelIds.length > MAX_CHANNELS) {
+      return NextResponse.json({ error: `Select between 1 and ${MAX_CHANNELS} channels` }, { status: 400 });
+    }
+    if (keywords.length > MAX_KEYWORDS) {
+      return NextResponse.json({ error: `At most ${MAX_KEYWORDS} keywords are allowed` }, { status: 400 });
+    }
+
+    const integration = await getSlackIntegration(supabase, user.id);
+    if (!integration) {
+      return NextResponse.json({ error: 'Slack not connected' }, { status: 400 });
+    }
+
+    const slackService = new SlackService(integration.access_token);
+    const selected = [];
+    try {
+      const channels = await slackService.listChannels();
+
+      for (const channelId of channelIds) {
+        const channel = channels.find(item => item.id === channelId);
+        if (!channel) {
+          return NextResponse.json({ error: `Unknown channel: ${channelId}` }, { status: 400 });
+        }
+        if (!channel.isMember) {
+          if (channel.isPrivate) {
+            return NextResponse.json({
+              error: `Invite the bot to #${channel.name} first (/invite in the channel)`
+            }, { status: 400 });
+          }
+          await slackService.joinChannel(channel.id);
+        }
+        selected.push(channel);
+      }
+    } catch (slackError) {
+      const response = slackErrorResponse(slackError);
+      if (response) return response;
+      throw slackError;
+    }
+
+    const config = {
+      ...(integration.config || {}),
+      channel_ids: selected.map(channel => channel.id),
+      channel_names: Object.fromEntries(selected.map(channel => [channel.id, channel.name])),
+      keywords
+    };
+
+    const { data: updated, error } = await supabase
+      .from('integrations')
+      .update({
+        config,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', integration.id)
+      .select('id, platform, status, config, last_sync, next_sync_at, sync_failures, last_sync_status, last_sync_error')
+      .single();
+
+    if (error) {
+      throw error;
+    }
+
+    return NextResponse.json({
+      success: true,
+      data: { integration: updated },
+      message: 'Slack channels saved'
+    });
+  } catch (error) {
+    console.error('Error saving Slack channels:', error);
+
+    return NextResponse.json({
+      error: 'Failed to save Slack channels',
+      details: error.message
+    }, { status: 500 });
+  }
+}
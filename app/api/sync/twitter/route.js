@@ -1,10 +1,14 @@
 import { NextResponse } from 'next/server';
 import { createClient } from '../../../../libs/supabase/server.js';
-const { TwitterService } = require('../../../../libs/services/twitter.js');
+import { enqueueImportedFeedback, formatJob } from '../../../../libs/jobs/index.js';
+const { integrationSyncService } = require('../../../../libs/services/integration-sync.js');
 
 /**
  * Twitter sync route
  * POST /api/sync/twitter - Synchronizes Twitter tweets and saves as feedback
+ *
+ * Same sync the scheduler runs (libs/services/integration-sync.js), recorded
+ * in the integration's run history with trigger "manual".
  */
 export async function POST(request) {
   try {
@@ -33,159 +37,43 @@ export async function POST(request) {
       return NextResponse.json({ error: 'Twitter not connected' }, { status: 400 });
     }
     
-    // Проверить наличие keywords в config
-    const keywords = integration.config?.keywords || [];
-    if (!keywords || keywords.length === 0) {
-      return NextResponse.json({ error: 'No keywords configured for Twitter monitoring' }, { status: 400 });
-    }
-    
-    console.log('Starting Twitter sync...');
-    console.log('Keywords:', keywords);
-    
-    // Инициализировать TwitterService
-    const twitterService = new TwitterService();
-    
-    // Проверить конфигурацию Twitter сервиса
-    if (!twitterService.isConfigured()) {
-      return NextResponse.json({ 
-        error: 'Twitter service not configured. Please set TWITTER_BEARER_TOKEN in environment variables.' 
-      }, { status: 500 });
-    }
+    const sync = await integrationSyncService.runSync(supabase, integration, { trigger: 'manual' });
     
-    // Получить твиты
-    console.log('Fetching tweets from Twitter...');
-    let tweetsResult;
-    try {
-      tweetsResult = await twitterService.searchTweets(keywords, 50);
-      console.log('Retrieved tweets successfully:', tweetsResult);
-    } catch (twitterError) {
-      console.error('Twitter API error details:', twitterError);
-      console.error('Twitter API error message:', twitterError.message);
-      
-      // Handle specific Twitter API errors
-      if (twitterError.message && twitterError.message.includes('rate limit exceeded')) {
+    if (sync.error) {
+      if (sync.error.statusCode === 429) {
         return NextResponse.json({ 
-          error: 'Twitter API rate limit exceeded',
-          message: twitterError.message,
+          error: sync.error.message,
+          message: sync.error.cause?.message,
           retryAfter: 'Please wait before trying again'
         }, { status: 429 });
       }
       
-      if (twitterError.message && twitterError.message.includes('401')) {
-        return NextResponse.json({ 
-          error: 'Twitter authentication failed. Please check TWITTER_BEARER_TOKEN.' 
-        }, { status: 401 });
-      }
-      
-      if (twitterError.message && twitterError.message.includes('403')) {
-        return NextResponse.json({ 
-          error: 'Twitter API access forbidden. Please check your Twitter API permissions.' 
-        }, { status: 403 });
+      // Ошибки конфигурации и доступа возвращаем с их статусом
+      if (sync.error.statusCode && sync.error.name === 'SyncError') {
+        return NextResponse.json({ error: sync.error.message }, { status: sync.error.statusCode });
       }
-      
-      throw twitterError; // Re-throw to be caught by outer catch
+      throw sync.error;
     }
     
-    if (!tweetsResult || !tweetsResult.tweets) {
-      console.log('No tweets found');
-      return NextResponse.json({
-        success: true,
-        processed: 0,
-        total: 0,
-        message: 'No tweets found for the specified keywords'
-      });
-    }
-    
-    const tweets = tweetsResult.tweets;
-    console.log(`Processing ${tweets.length} tweets...`);
-    
-    // Инициализировать счетчик
-    let processedCount = 0;
-    
-    // Для каждого твита проверить дубликаты и сохранить
-    for (const tweet of tweets) {
-      try {
-        console.log(`Processing tweet: ${tweet.id}`);
-        
-        // Запрос к raw_feedback для проверки дубликатов
-        const { data: existing } = await supabase
-          .from('raw_feedback')
-          .select('id')
-          .eq('platform', 'twitter')
-          .eq('source_id', tweet.id)
-          .single();
-        
-        // Если existing, пропустить итерацию
-        if (existing) {
-          console.log(`Tweet ${tweet.id} already exists, skipping`);
-          continue;
-        }
-        
-        // Format the date properly
-        let formattedDate;
-        try {
-          if (tweet.created_at) {
-            formattedDate = new Date(tweet.created_at).toISOString();
-          } else {
-            formattedDate = new Date().toISOString();
-          }
-        } catch (dateError) {
-          formattedDate = new Date().toISOString();
-        }
-        
-        // Вставить в raw_feedback
-        const { error: insertError } = await supabase
-          .from('raw_feedback')
-          .insert({
-            user_id: user.id,
-            platform: 'twitter',
-            source_id: tweet.id,
-            content: tweet.text || '',
-            metadata: {
-              author: tweet.author?.username || 'unknown',
-              author_id: tweet.author?.id || '',
-              followers: tweet.author?.followers || 0,
-              created_at: formattedDate,
-              retweets: tweet.metrics?.retweet_count || 0,
-              likes: tweet.metrics?.like_count || 0,
-              replies: tweet.metrics?.reply_count || 0,
-              quotes: tweet.metrics?.quote_count || 0,
-              keywords_searched: keywords
-            }
-          });
-        
-        if (!insertError) {
-          // Увеличить processedCount только если вставка успешна
-          processedCount++;
-          console.log(`Successfully processed tweet: ${tweet.id}`);
-        } else {
-          console.error('Error inserting tweet:', insertError);
-        }
-      } catch (tweetError) {
-        console.error('Error processing tweet:', tweetError);
-        // Continue with next tweet instead of failing the entire sync
-        continue;
-      }
+    // Поставить новые твиты в очередь на AI анализ
+    let jobs = null;
+    try {
+      jobs = await enqueueImportedFeedback(supabase, user.id, sync.importedIds);
+    } catch (jobError) {
+      console.error('Failed to enqueue analysis for synced tweets:', jobError.message);
     }
     
-    console.log(`Processed ${processedCount} new tweets out of ${tweets.length} total`);
-    
-    // Обновить время последней синхронизации
-    await supabase
-      .from('integrations')
-      .update({
-        last_sync: new Date().toISOString(),
-        status: 'connected'
-      })
-      .eq('id', integration.id);
+    console.log(`Processed ${sync.importedIds.length} new tweets out of ${sync.found} total`);
     
     // Вернуть результат
     return NextResponse.json({
       success: true,
-      processed: processedCount,
-      total: tweets.length,
-      searchQuery: tweetsResult.searchQuery,
-      message: `Successfully processed ${processedCount} new tweets`
+      processed: sync.importedIds.length,
+      total: sync.found,
+      searchQuery: sync.details?.searchQuery,
+      runId: sync.run?.id || null,
+      analysisJobs: (jobs?.analysisJobs || []).map(formatJob),
+      message: `Successfully processed ${sync.importedIds.length} new tweets`
     });
     
   } catch (error) {
@@ -204,4 +92,4 @@ export async function POST(request) {
       details: process.env.NODE_ENV === 'development' ? error.stack : undefined
     }, { status: 500 });
   }
-}
\ No newline at end of file
+}
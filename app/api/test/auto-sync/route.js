@@ -3,43 +3,7 @@ import { createClient } from '../../../../libs/supabase/server.js';
 import { EnhancedFeedbackAnalyzer } from '../../../../libs/ai/enhanced-analyzer.js';
 const { GmailService } = require('../../../../libs/services/gmail.js');
 const { google } = require('googleapis');
-
-/**
- * Check if email is obviously not feedback (marketing, notifications, etc.)
- */
-function checkObviousNonFeedback(emailDetails) {
-  const subject = (emailDetails.subject || '').toLowerCase();
-  const body = (emailDetails.body || emailDetails.snippet || '').toLowerCase();
-  const from = (emailDetails.from || '').toLowerCase();
-
-  // Common marketing/notification patterns
-  const marketingPatterns = [
-    'unsubscribe', 'newsletter', 'promotion', 'sale', 'discount', 'offer',
-    'marketing', 'advertisement', 'spam', 'noreply', 'no-reply',
-    'password reset', 'verify', 'confirmation', 'welcome to',
-    'thank you for signing up', 'activate your account',
-    'privacy policy', 'terms of service', 'terms & conditions',
-    'pinterest.com', 'facebook.com', 'twitter.com', 'instagram.com',
-    'linkedin.com', 'youtube.com', 'tiktok.com',
-    'to view this content', 'open the following url',
-    'help centre', 'support@', 'notifications@'
-  ];
-
-  // Check subject and body for marketing patterns
-  const hasMarketingPattern = marketingPatterns.some(pattern => 
-    subject.includes(pattern) || body.includes(pattern) || from.includes(pattern)
-  );
-
-  // Check for excessive URLs (typical in marketing emails)
-  const urlCount = (body.match(/https?:\/\//g) || []).length;
-  const hasExcessiveUrls = urlCount > 5;
-
-  // Check if it's mostly links with little actual content
-  const textContent = body.replace(/https?:\/\/[^\s]+/g, '').trim();
-  const isMainlyLinks = urlCount > 3 && textContent.length < 200;
-
-  return hasMarketingPattern || hasExcessiveUrls || isMainlyLinks;
-}
+const { isLikelyNonFeedback } = require('../../../../libs/services/gmail-rules.js');
 
 /**
  * Test auto-sync route
@@ -168,7 +132,7 @@ export async function POST(request) {
         const emailDetails = await gmailService.getEmail(message.id);
 
         // Pre-filter obvious non-feedback emails
-        const isObviousNonFeedback = checkObviousNonFeedback(emailDetails);
+        const isObviousNonFeedback = isLikelyNonFeedback(emailDetails);
         if (isObviousNonFeedback) {
           processedEmails.push({
             id: message.id,
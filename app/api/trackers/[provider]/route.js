@@ -0,0 +1,45 @@
+import { NextResponse } from "next/server";
+import {
+  createAuthenticatedSupabaseClient,
+  getAuthenticatedUser,
+} from "../../../../libs/auth/server-auth.js";
+import { withErrorHandler, createAuthError } from "../../../../libs/errors/error-handler.js";
+import { connectTracker, disconnectTracker, TRACKER_PROVIDERS } from "../../../../libs/trackers/index.js";
+
+// PUT /api/trackers/:provider - Connect github_issues ({ token?, repo, labels? }),
+// linear ({ token, teamKey }) or jira ({ token, siteUrl, email, projectKey, issueType? }).
+// The token and target are checked against the tracker; a missing token keeps the saved one.
+export const PUT = withErrorHandler(async (request, { params }) => {
+  const supabase = createAuthenticatedSupabaseClient();
+  const user = await getAuthenticatedUser();
+
+  if (!user) {
+    throw createAuthError();
+  }
+
+  const tracker = await connectTracker(supabase, user.id, params.provider, await request.json());
+
+  return NextResponse.json({
+    success: true,
+    data: tracker,
+    message: `${tracker.label} connected`,
+  });
+});
+
+// DELETE /api/trackers/:provider - Disconnect a tracker; issues already sent stay linked to their specs
+export const DELETE = withErrorHandler(async (request, { params }) => {
+  const supabase = createAuthenticatedSupabaseClient();
+  const user = await getAuthenticatedUser();
+
+  if (!user) {
+    throw createAuthError();
+  }
+
+  await disconnectTracker(supabase, user.id, params.provider);
+
+  return NextResponse.json({
+    success: true,
+    data: { provider: params.provider },
+    message: `${TRACKER_PROVIDERS[params.provider].label} disconnected`,
+  });
+});
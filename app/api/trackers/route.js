@@ -0,0 +1,25 @@
+import { NextResponse } from "next/server";
+import {
+  createAuthenticatedSupabaseClient,
+  getAuthenticatedUser,
+} from "../../../libs/auth/server-auth.js";
+import { withErrorHandler, createAuthError } from "../../../libs/errors/error-handler.js";
+import { listTrackers } from "../../../libs/trackers/index.js";
+
+export const dynamic = "force-dynamic";
+
+// GET /api/trackers - The user's GitHub Issues, Linear and Jira connections (no tokens)
+export const GET = withErrorHandler(async () => {
+  const supabase = createAuthenticatedSupabaseClient();
+  const user = await getAuthenticatedUser();
+
+  if (!user) {
+    throw createAuthError();
+  }
+
+  return NextResponse.json({
+    success: true,
+    data: await listTrackers(supabase, user.id),
+    message: "Trackers retrieved successfully",
+  });
+});
@@ -0,0 +1,156 @@
+import { NextResponse } from "next/server";
+import { createAdminClient } from "../../../../libs/supabase/admin.js";
+import {
+  withErrorHandler,
+  createValidationError,
+  createAuthError,
+  createDatabaseError,
+  AppError,
+  ERROR_CODES,
+} from "../../../../libs/errors/error-handler.js";
+import {
+  findWidget,
+  isOriginAllowed,
+  normalizeOrigin,
+  createEmbedToken,
+  verifyEmbedToken,
+  corsHeaders,
+  hashClientIp,
+  detectSpam,
+  checkRateLimit,
+  buildWidgetFeedback,
+  decodeScreenshot,
+  uploadScreenshot,
+} from "../../../../libs/widget/index.js";
+import { enqueueFollowUpJobs, enqueueSubmittedFeedback } from "../../../../libs/jobs/index.js";
+
+export const dynamic = "force-dynamic";
+
+// Message, page and browser details plus a screenshot of up to 2 MB as a data URL
+const MAX_BODY_BYTES = 3 * 1024 * 1024;
+
+/**
+ * Embed token for the site showing the widget
+ * GET /api/widget/:key - called by public/widget.js from the embedding page
+ *
+ * The browser sets the Origin header, so a token is only issued to the
+ * widget's allowed sites. The iframe sends it back with each submission.
+ */
+export const GET = withErrorHandler(async (request, { params }) => {
+  const widget = await findWidget(createAdminClient(), params.key);
+  if (!widget || !widget.enabled) {
+    throw createAuthError("Invalid or disabled feedback widget");
+  }
+
+  const origin = request.headers.get("origin");
+  if (!normalizeOrigin(origin) || !isOriginAllowed(widget, origin)) {
+    throw new AppError(ERROR_CODES.FORBIDDEN, "This feedback widget is not enabled for this site");
+  }
+
+  const { token, expiresAt } = createEmbedToken(widget, origin);
+
+  return NextResponse.json(
+    { success: true, data: { embedToken: token, expiresAt } },
+    { headers: { ...corsHeaders(origin), "Cache-Control": "no-store" } }
+  );
+});
+
+/**
+ * Feedback widget submissions
+ * POST /api/widget/:key - { message, email?, pageUrl?, pageTitle?, referrer?, browser?, screenshot?, embedToken?, openedAt?, website? }
+ *
+ * Public: the key identifies the widget (and its user). The widget iframe posts
+ * from this app's origin with the embed token of the site it's on; sites that
+ * call the API directly are checked by their Origin header. Requests without
+ * an Origin header are refused. Spam is dropped silently, and submissions are
+ * rate limited per client and per widget.
+ */
+export const POST = withErrorHandler(async (request, { params }) => {
+  const supabase = createAdminClient();
+
+  const widget = await findWidget(supabase, params.key);
+  if (!widget || !widget.enabled) {
+    throw createAuthError("Invalid or disabled feedback widget");
+  }
+
+  const rawBody = await request.text();
+  if (Buffer.byteLength(rawBody) > MAX_BODY_BYTES) {
+    throw createValidationError(`Request body must be smaller than ${MAX_BODY_BYTES / 1024 / 1024} MB`);
+  }
+
+  let body;
+  try {
+    body = JSON.parse(rawBody);
+  } catch (error) {
+    throw createValidationError("Request body must be valid JSON");
+  }
+
+  const origin = request.headers.get("origin");
+  if (!origin) {
+    throw new AppError(ERROR_CODES.FORBIDDEN, "Feedback widget submissions must come from a browser");
+  }
+
+  // The iframe (or the standalone page) is on this app's origin: the site is
+  // the one its embed token was issued to, none without a token
+  const siteOrigin = origin === new URL(request.url).origin ? verifyEmbedToken(widget, body.embedToken) : origin;
+  if (!isOriginAllowed(widget, siteOrigin)) {
+    throw new AppError(ERROR_CODES.FORBIDDEN, "This feedback widget is not enabled for this site");
+  }
+
+  // Bots get the normal answer so they don't adapt
+  const spamReason = detectSpam(body);
+  if (spamReason) {
+    console.log(`🛡️ Dropped widget submission for ${widget.id}: ${spamReason}`);
+    return NextResponse.json(
+      { success: true, message: "Thanks for your feedback!" },
+      { status: 201, headers: corsHeaders(origin) }
+    );
+  }
+
+  const ipHash = hashClientIp(request, widget);
+  await checkRateLimit(supabase, widget, ipHash);
+
+  const row = buildWidgetFeedback(widget, body, { request, ipHash });
+  const screenshot = body.screenshot && widget.settings?.screenshots !== false
+    ? decodeScreenshot(body.screenshot)
+    : null;
+
+  if (screenshot) {
+    row.metadata.widget.screenshot_path = await uploadScreenshot(supabase, widget, screenshot);
+  }
+
+  const { data: feedback, error } = await supabase
+    .from("raw_feedback")
+    .insert(row)
+    .select("id, created_at")
+    .single();
+
+  if (error) {
+    throw createDatabaseError("Failed to save feedback", error.message);
+  }
+
+  // The feedback is stored - the person who sent it doesn't need to know
+  await enqueueFollowUpJobs(
+    widget.user_id,
+    () => enqueueFollowUpJobs, enqueueSubmittedFeedback(supabase, widget.user_id, [feedback.id]),
+    "POST /api/widget"
+  );
+
+  await supabase
+    .from("feedback_widgets")
+    .update({
+      submissions_count: (widget.submissions_count || 0) + 1,
+      last_submission_at: new Date().toISOString(),
+    })
+    .eq("id", widget.id);
+
+  return NextResponse.json(
+    { success: true, id: feedback.id, message: "Thanks for your feedback!" },
+    { status: 201, headers: corsHeaders(origin) }
+  );
+});
+
+// CORS preflight for sites that post to the API directly
+export async function OPTIONS(request) {
+  return new NextResponse(null, { status: 204, headers: corsHeaders(request.headers.get("origin")) });
+}
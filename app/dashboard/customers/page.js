@@ -0,0 +1,34 @@
+"use client";
+
+import { useRouter } from "next/navigation";
+import CustomersManager from "../../../components/CustomersManager.js";
+
+export const dynamic = "force-dynamic";
+
+export default function CustomersPage() {
+  const router = useRouter();
+
+  return (
+    <div className="p-6 space-y-6 lg:pl-8">
+      <div className="max-w-7xl mx-auto">
+        {/* Header */}
+        <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4 mb-8">
+          <div>
+            <h1 className="text-3xl md:text-4xl font-bold">Customers</h1>
+            <p className="text-base-content/70 mt-2">
+              Plans and MRR of your customers weigh the priority score of their feedback
+            </p>
+          </div>
+          <div className="flex gap-2">
+            <button onClick={() => router.push("/dashboard/feedback?sortBy=priority_score&sortOrder=desc")} className="btn btn-outline">
+              <span className="text-lg">💬</span>
+              Feedback by score
+            </button>
+          </div>
+        </div>
+
+        <CustomersManager />
+      </div>
+    </div>
+  );
+}
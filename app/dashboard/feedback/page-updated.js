@@ -1,20 +1,23 @@
 "use client";
 
-import { useState } from "react";
-import { useFeedback, useFeedbackFilters, useSpecs } from "../../../hooks/index.js";
+import { useState, useCallback } from "react";
+import { useFeedback, useFeedbackPages, useFeedbackFilters, useSpecs } from "../../../hooks/index.js";
 import { 
   LoadingSpinner, 
   ErrorBoundary, 
   EmptyFeedback, 
   EmptySearchResults,
-  FeedbackCard,
   Card,
   CardHeader,
   CardBody 
 } from "../../../components/ui/index.js";
 import FeedbackForm from "../../../components/FeedbackForm.js";
+import OptimizedFeedbackList from "../../../components/OptimizedFeedbackList.js";
+import FeedbackBulkActions from "../../../components/FeedbackBulkActions.js";
 import ReactMarkdown from "react-markdown";
 import toast from "react-hot-toast";
+import { waitForJobs } from "../../../libs/jobs/client.js";
+import { FEEDBACK_STATUSES, FEEDBACK_STATUS_LABELS } from "../../../libs/feedback-filters.js";
 
 export default function FeedbackPage() {
   const [showForm, setShowForm] = useState(false);
@@ -22,26 +25,36 @@ export default function FeedbackPage() {
   const [viewMode, setViewMode] = useState("list"); // 'list' or 'groups'
   const [showSpecModal, setShowSpecModal] = useState(false);
   const [currentSpec, setCurrentSpec] = useState(null);
+  const [sort, setSort] = useState("created_at:desc");
+  const [bulkSelection, setBulkSelection] = useState([]);
 
   // Use centralized hooks
+  const {
+    filters,
+    updateFilter,
+    resetFilters,
+  } = useFeedbackFilters();
+
+  // Filtering, sorting and paging happen on the server
+  const [sortBy, sortOrder] = sort.split(":");
   const {
     feedback,
     feedbackGroups,
     aiStats,
+    total,
+    hasMore,
     loading,
+    loadingMore,
     error,
+    loadMore,
+    refetch: refetchFeedback,
+  } = useFeedbackPages(filters, { sortBy, sortOrder });
+
+  const {
     addFeedback,
     updateFeedback,
     deleteFeedback,
-    refetchFeedback,
-  } = useFeedback();
-
-  const {
-    filters,
-    filteredFeedback,
-    updateFilter,
-    resetFilters,
-  } = useFeedbackFilters(feedback);
+  } = useFeedback({ autoFetch: false });
 
   const {
     generateSpecFromFeedback,
@@ -54,6 +67,7 @@ export default function FeedbackPage() {
   const handleFormSubmit = async (formData) => {
     try {
       await addFeedback(formData);
+      await refetchFeedback();
       setShowForm(false);
       toast.success("Feedback added successfully!");
     } catch (error) {
@@ -65,6 +79,7 @@ export default function FeedbackPage() {
   const handleDeleteFeedback = async (feedbackItem) => {
     try {
       await deleteFeedback(feedbackItem.id);
+      await refetchFeedback();
       toast.success("Feedback deleted successfully!");
     } catch (error) {
       toast.error("Failed to delete feedback");
@@ -95,20 +110,55 @@ export default function FeedbackPage() {
     }
   };
 
+  const handleToggleSelect = useCallback((feedbackItem) => {
+    setBulkSelection((prev) =>
+      prev.includes(feedbackItem.id)
+        ? prev.filter((id) => id !== feedbackItem.id)
+        : [...prev, feedbackItem.id]
+    );
+  }, []);
+
+  // After a bulk action: show a combined spec, otherwise reload the list
+  const handleBulkDone = async (action, data) => {
+    if (action === "generate_spec") {
+      try {
+        const [job] = await waitForJobs([data.job.id], { timeoutMs: 180000 });
+        if (job?.status !== "succeeded") {
+          throw new Error(job?.lastError || "Spec generation is taking longer than expected");
+        }
+        const response = await fetch(`/api/specs/${job.result.specId}`);
+        const result = await response.json();
+        if (!response.ok || !result.success) {
+          throw new Error(result.message || `HTTP error! status: ${response.status}`);
+        }
+        setCurrentSpec(result.data.spec.content);
+        setShowSpecModal(true);
+      } catch (error) {
+        toast.error(`Failed to generate the combined spec: ${error.message}`);
+      }
+      return;
+    }
+    if (action === "delete" || action === "merge_cluster" || action === "merge_duplicates") {
+      setBulkSelection([]);
+    }
+    await refetchFeedback();
+  };
+
   // Handle feedback processing toggle
   const handleProcessFeedback = async (feedbackItem) => {
     try {
       await updateFeedback(feedbackItem.id, {
         processed: !feedbackItem.processed,
       });
+      await refetchFeedback();
       toast.success("Feedback updated successfully!");
     } catch (error) {
       toast.error("Failed to update feedback");
     }
   };
 
-  // Show loading state
-  if (loading) {
+  // Show loading state (first page only - filter changes keep the page)
+  if (loading && !aiStats && !error) {
     return (
       <div className="container mx-auto px-4 py-8">
         <LoadingSpinner size="lg" text="Loading feedback..." />
@@ -148,7 +198,7 @@ export default function FeedbackPage() {
           <div>
             <h1 className="text-3xl font-bold text-gray-900">Feedback</h1>
             <p className="text-gray-600 mt-2">
-              {feedback.length} feedback items
+              {total ?? feedback.length} feedback items
               {filters.search && ` matching "${filters.search}"`}
             </p>
           </div>
@@ -225,6 +275,37 @@ export default function FeedbackPage() {
                 <option value="high">High</option>
                 <option value="urgent">Urgent</option>
               </select>
+              <select
+                value={filters.sentiment}
+                onChange={(e) => updateFilter("sentiment", e.target.value)}
+                className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary"
+              >
+                <option value="all">All Sentiments</option>
+                <option value="positive">Positive</option>
+                <option value="neutral">Neutral</option>
+                <option value="negative">Negative</option>
+              </select>
+              <select
+                value={filters.status}
+                onChange={(e) => updateFilter("status", e.target.value)}
+                className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary"
+              >
+                <option value="all">All Statuses</option>
+                {FEEDBACK_STATUSES.map((status) => (
+                  <option key={status} value={status}>
+                    {FEEDBACK_STATUS_LABELS[status]}
+                  </option>
+                ))}
+              </select>
+              <select
+                value={sort}
+                onChange={(e) => setSort(e.target.value)}
+                className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary"
+              >
+                <option value="created_at:desc">Newest first</option>
+                <option value="created_at:asc">Oldest first</option>
+                <option value="updated_at:desc">Recently updated</option>
+              </select>
               <button
                 onClick={resetFilters}
                 className="px-3 py-2 bg-gray-100 text-gray-700 rounded-md hover:bg-gray-200 transition-colors"
@@ -238,7 +319,7 @@ export default function FeedbackPage() {
         {/* Content */}
         {viewMode === "list" ? (
           <div className="space-y-4">
-            {filteredFeedback.length === 0 ? (
+            {feedback.length === 0 && !loading ? (
               filters.search ? (
                 <EmptySearchResults 
                   searchTerm={filters.search}
@@ -248,10 +329,20 @@ export default function FeedbackPage() {
                 <EmptyFeedback onAddFeedback={() => setShowForm(true)} />
               )
             ) : (
-              filteredFeedback.map((feedbackItem) => (
-                <FeedbackCard
-                  key={feedbackItem.id}
-                  feedback={feedbackItem}
+              <>
+                <FeedbackBulkActions
+                  selectedIds={bulkSelection}
+                  clusters={feedbackGroups?.groups || []}
+                  onDone={handleBulkDone}
+                  onClear={() => setBulkSelection([])}
+                />
+                <OptimizedFeedbackList
+                  feedback={feedback}
+                  selectedIds={bulkSelection}
+                  onToggleSelect={handleToggleSelect}
+                  hasMore={hasMore}
+                  loadMore={loadMore}
+                  loadingMore={loadingMore}
                   onEdit={(feedback) => {
                     setSelectedFeedback(feedback);
                     setShowForm(true);
@@ -259,7 +350,7 @@ export default function FeedbackPage() {
                   onDelete={handleDeleteFeedback}
                   onGenerateSpec={handleGenerateSpec}
                 />
-              ))
+              </>
             )}
           </div>
         ) : (
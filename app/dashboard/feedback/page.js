@@ -1,27 +1,85 @@
 "use client";
 
-import { useState, useEffect } from "react";
+import { useState, useEffect, useRef } from "react";
+import { useRouter, usePathname, useSearchParams } from "next/navigation";
 import FeedbackForm from "../../../components/FeedbackForm.js";
+import FeedbackImport from "../../../components/FeedbackImport.js";
+import FeedbackExport from "../../../components/FeedbackExport.js";
+import FeedbackSearch from "../../../components/FeedbackSearch.js";
+import FeedbackViewBar from "../../../components/FeedbackViewBar.js";
+import FeedbackKanban, { STATUS_BADGES } from "../../../components/FeedbackKanban.js";
+import FeedbackTriage from "../../../components/FeedbackTriage.js";
+import FeedbackDuplicates from "../../../components/FeedbackDuplicates.js";
+import FeedbackScore from "../../../components/FeedbackScore.js";
+import FeedbackSpecs from "../../../components/FeedbackSpecs.js";
+import FeedbackBulkActions from "../../../components/FeedbackBulkActions.js";
 import toast from "react-hot-toast";
+import { waitForJobs } from "../../../libs/jobs/client.js";
 import ReactMarkdown from "react-markdown";
+import {
+  DEFAULT_FEEDBACK_FILTERS,
+  DEFAULT_FEEDBACK_VIEW,
+  FEEDBACK_STATUS_LABELS,
+  feedbackStatus,
+  feedbackViewToParams,
+  hasActiveFeedbackFilters,
+  parseFeedbackView,
+} from "../../../libs/feedback-filters.js";
+
+// A URL with nothing but ?view=<id> opens that saved view
+function onlyViewParam(searchParams) {
+  return searchParams.has("view") && [...searchParams.keys()].every((key) => key === "view");
+}
 
 export default function FeedbackPage() {
+  const router = useRouter();
+  const pathname = usePathname();
+  const searchParams = useSearchParams();
   const [feedbackList, setFeedbackList] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loadingMore, setLoadingMore] = useState(false);
   const [feedbackGroups, setFeedbackGroups] = useState(null);
   const [aiStats, setAiStats] = useState(null);
   const [loading, setLoading] = useState(true);
   const [showForm, setShowForm] = useState(false);
+  const [showImport, setShowImport] = useState(false);
+  const [showExport, setShowExport] = useState(false);
   const [selectedFeedback, setSelectedFeedback] = useState(null);
-  const [viewMode, setViewMode] = useState("list"); // 'list' or 'groups'
+  const [similarTo, setSimilarTo] = useState(null);
+  const [searchActive, setSearchActive] = useState(false);
+  const [screenshotUrl, setScreenshotUrl] = useState(null);
+  const [viewMode, setViewMode] = useState(() => parseFeedbackView(searchParams).viewMode); // 'list', 'groups' or 'board'
+  // Filters and sort of the list, kept in the URL so it can be shared
+  const [filters, setFilters] = useState(() => parseFeedbackView(searchParams).filters);
+  const [sort, setSort] = useState(() => {
+    const { sortBy, sortOrder } = parseFeedbackView(searchParams);
+    return { sortBy, sortOrder };
+  });
+  const [activeViewId, setActiveViewId] = useState(() => searchParams.get("view"));
+  const [requestedViewId, setRequestedViewId] = useState(() =>
+    onlyViewParam(searchParams) ? searchParams.get("view") : null
+  );
   const [processingId, setProcessingId] = useState(null);
+  const [bulkSelection, setBulkSelection] = useState([]);
   const [deletingId, setDeletingId] = useState(null);
   const [generatingSpecId, setGeneratingSpecId] = useState(null);
   const [generatedSpecs, setGeneratedSpecs] = useState({});
   const [showSpecModal, setShowSpecModal] = useState(false);
   const [currentSpec, setCurrentSpec] = useState(null);
   const [generatedClusterSpecs, setGeneratedClusterSpecs] = useState({});
+  // Saved spec IDs by feedback or cluster ID, for the spec editor
+  const [savedSpecIds, setSavedSpecIds] = useState({});
   const [generatingClusterSpecId, setGeneratingClusterSpecId] = useState(null);
 
+  // Responses for outdated filters are dropped
+  const feedbackRequestId = useRef(0);
+
+  const listQuery = feedbackViewToParams({ filters, ...sort }).toString();
+  const urlParams = feedbackViewToParams({ filters, ...sort, viewMode });
+  if (activeViewId) urlParams.set("view", activeViewId);
+  const urlQuery = urlParams.toString();
+  const urlViewId = searchParams.get("view");
+
   // Helper function to handle API errors consistently
   const handleApiError = (error, context = "operation") => {
     console.error(`Error during ${context}:`, {
@@ -43,22 +101,57 @@ export default function FeedbackPage() {
     }
   };
 
-  // Fetch feedback and existing specs from API
+  // Fetch existing specs from API
   useEffect(() => {
-    fetchFeedback();
     loadExistingSpecs();
     loadExistingClusterSpecs();
   }, []);
 
+  // Fetch feedback from the first page whenever filters or sort change
+  // (a bulk selection only covers the list it was made in)
+  useEffect(() => {
+    setBulkSelection([]);
+    fetchFeedback();
+  }, [listQuery]);
+
+  // Keep the URL in step with the view on screen
+  useEffect(() => {
+    if (urlQuery !== searchParams.toString()) {
+      router.replace(urlQuery ? `${pathname}?${urlQuery}` : pathname, { scroll: false });
+    }
+  }, [urlQuery, searchParams, pathname, router]);
+
+  // A saved view opened from elsewhere (the navigation) while on this page
+  useEffect(() => {
+    if (urlViewId && urlViewId !== activeViewId) setRequestedViewId(urlViewId);
+  }, [urlViewId]);
+
+  const applyView = (view) => {
+    const next = view || { filters: DEFAULT_FEEDBACK_FILTERS, ...DEFAULT_FEEDBACK_VIEW };
+    setActiveViewId(view?.id || null);
+    setFilters(next.filters);
+    setSort({ sortBy: next.sortBy, sortOrder: next.sortOrder });
+    setViewMode(next.viewMode);
+  };
+
+  const changeView = (changes) => {
+    if (changes.filters) setFilters(changes.filters);
+    if (changes.sortBy) setSort({ sortBy: changes.sortBy, sortOrder: changes.sortOrder });
+    if (changes.viewMode) setViewMode(changes.viewMode);
+  };
+
   const fetchFeedback = async (preserveAiAnalysis = false) => {
+    const requestId = ++feedbackRequestId.current;
+
     try {
-      const response = await fetch("/api/feedback");
+      const response = await fetch(`/api/feedback${listQuery ? `?${listQuery}` : ""}`);
 
       if (!response.ok) {
         throw new Error(`HTTP error! status: ${response.status}`);
       }
 
       const result = await response.json();
+      if (requestId !== feedbackRequestId.current) return;
 
       if (result.success) {
         if (preserveAiAnalysis) {
@@ -91,6 +184,7 @@ export default function FeedbackPage() {
         } else {
           setFeedbackList(result.data || []);
         }
+        setNextCursor(result.pagination?.nextCursor || null);
         setFeedbackGroups(result.feedbackGroups);
         setAiStats(result.aiStats);
         console.log("🤖 AI Stats:", result.aiStats);
@@ -125,6 +219,35 @@ export default function FeedbackPage() {
     }
   };
 
+  // Next page of the list (GET /api/feedback returns 50 items per page)
+  const loadMoreFeedback = async () => {
+    if (!nextCursor || loadingMore) return;
+
+    try {
+      setLoadingMore(true);
+      const requestId = feedbackRequestId.current;
+      const response = await fetch(
+        `/api/feedback?${listQuery ? `${listQuery}&` : ""}cursor=${encodeURIComponent(nextCursor)}`
+      );
+      const result = await response.json();
+      if (requestId !== feedbackRequestId.current) return;
+
+      if (!response.ok || !result.success) {
+        throw new Error(result.message || `HTTP error! status: ${response.status}`);
+      }
+
+      setFeedbackList((prev) => {
+        const loaded = new Set(prev.map((feedback) => feedback.id));
+        return [...prev, ...result.data.filter((feedback) => !loaded.has(feedback.id))];
+      });
+      setNextCursor(result.pagination?.nextCursor || null);
+    } catch (error) {
+      handleApiError(error, "loading more feedback");
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
   const loadExistingSpecs = async () => {
     try {
       const response = await fetch("/api/generate-individual-spec");
@@ -137,18 +260,19 @@ export default function FeedbackPage() {
 
       if (result.success && result.data) {
         const specsMap = {};
+        const idsMap = {};
 
-        // Parse existing specs and map them to feedback IDs
+        // Map existing specs to their feedback IDs
         result.data.forEach((spec) => {
-          // Extract feedback ID from title (format: "Spec for [title] [feedback_id:uuid]")
-          const feedbackIdMatch = spec.title.match(/\[feedback_id:([^\]]+)\]/);
-          if (feedbackIdMatch) {
-            const feedbackId = feedbackIdMatch[1];
+          const feedbackId = spec.feedback_id;
+          if (feedbackId && !specsMap[feedbackId]) {
             specsMap[feedbackId] = spec.content;
+            idsMap[feedbackId] = spec.id;
           }
         });
 
         setGeneratedSpecs(specsMap);
+        setSavedSpecIds((prev) => ({ ...prev, ...idsMap }));
         console.log("✅ Loaded existing specs:", Object.keys(specsMap).length);
       }
     } catch (error) {
@@ -170,11 +294,13 @@ export default function FeedbackPage() {
 
       if (result.success && result.data) {
         const clusterSpecsMap = {};
+        const idsMap = {};
 
         // Map cluster specs to cluster IDs
         result.data.forEach((spec) => {
           if (spec.cluster_id) {
             clusterSpecsMap[spec.cluster_id] = spec.content;
+            idsMap[spec.cluster_id] = spec.id;
             console.log(
               `📋 Loaded cluster spec for ID: ${spec.cluster_id}, Title: ${spec.title}`
             );
@@ -182,6 +308,7 @@ export default function FeedbackPage() {
         });
 
         setGeneratedClusterSpecs(clusterSpecsMap);
+        setSavedSpecIds((prev) => ({ ...prev, ...idsMap }));
         console.log(
           "✅ Total cluster specs loaded:",
           Object.keys(clusterSpecsMap).length
@@ -214,13 +341,11 @@ export default function FeedbackPage() {
     setGeneratingClusterSpecId(clusterId);
 
     try {
-      // Get feedback content for this cluster
+      // Get feedback content for this cluster; merged duplicates count as reports of their canonical item
       const clusterFeedback = group.feedbackIds
-        .map((feedbackId) => {
-          const feedback = feedbackList.find((f) => f.id === feedbackId);
-          return feedback ? feedback.content : null;
-        })
-        .filter(Boolean);
+        .map((feedbackId) => feedbackList.find((f) => f.id === feedbackId))
+        .filter((feedback) => feedback?.content && !group.feedbackIds.includes(feedback.duplicateOf))
+        .map((feedback) => ({ content: feedback.content, reports: 1 + (feedback.duplicateCount || 0) }));
 
       if (clusterFeedback.length === 0) {
         toast.error("No feedback content found for this cluster");
@@ -257,10 +382,14 @@ export default function FeedbackPage() {
         }));
         console.log(`✅ Saved cluster spec for ID: ${clusterId}`);
 
+        if (result.specId) {
+          setSavedSpecIds((prev) => ({ ...prev, [clusterId]: result.specId }));
+        }
         setCurrentSpec({
           clusterId: clusterId,
           clusterTheme: group.theme,
           spec: result.spec,
+          specId: result.specId,
         });
         setShowSpecModal(true);
         toast.success("Cluster specification generated successfully!");
@@ -282,48 +411,79 @@ export default function FeedbackPage() {
     setFeedbackList((prev) => [feedbackData, ...prev]);
     setShowForm(false);
 
-    // Check for duplicate warnings
-    if (
-      feedbackData.duplicateCheck?.isDuplicate &&
-      feedbackData.duplicateCheck.similarityScore > 0.7
-    ) {
-      toast(
-        `Similar feedback detected: ${feedbackData.duplicateCheck.explanation}`,
-        {
+    toast.success("Feedback submitted successfully!");
+
+    // Analysis, duplicate check and clustering run as background jobs
+    const analysisJobId = feedbackData.jobs?.analysis?.id;
+    if (analysisJobId) {
+      toast.loading("🤖 AI analysis in progress...", { id: "ai-analysis" });
+    }
+
+    try {
+      const jobs = await waitForJobs([
+        analysisJobId,
+        feedbackData.jobs?.clustering?.id,
+      ]);
+      const analysisJob = jobs.find((job) => job.id === analysisJobId);
+
+      // Check for duplicate warnings
+      const duplicateCheck = analysisJob?.result?.duplicateCheck;
+      if (duplicateCheck?.linkedTo) {
+        toast.success("Merged into existing feedback as a duplicate", { icon: "🔗", duration: 5000 });
+      } else if (duplicateCheck?.isDuplicate && duplicateCheck.similarityScore > 0.7) {
+        toast(`Similar feedback detected: ${duplicateCheck.explanation}`, {
           icon: "⚠️",
           style: {
             borderColor: "#f59e0b",
             color: "#f59e0b",
           },
-        }
-      );
-    }
+        });
+      }
 
-    // Show AI analysis status
-    if (feedbackData.aiAnalysis) {
-      toast.success(
-        `Feedback submitted and analyzed! AI detected ${feedbackData.aiAnalysis.sentiment} sentiment.`
-      );
-    } else {
-      toast.success("Feedback submitted successfully!");
-      // Show AI analysis loading message
-      toast.loading("🤖 AI analysis in progress...", {
-        duration: 5000,
-        id: "ai-analysis",
-      });
+      if (analysisJob?.status === "dead") {
+        toast.error("AI analysis failed - it can be retried later", {
+          id: "ai-analysis",
+        });
+      } else if (analysisJob) {
+        toast.success(
+          `Feedback analyzed! AI detected ${analysisJob.result?.analysis?.sentiment} sentiment.`,
+          { id: "ai-analysis" }
+        );
+      }
+    } catch (error) {
+      console.error("Failed to poll background jobs:", error);
+      toast.dismiss("ai-analysis");
     }
 
-    // Refresh data to get updated grouping
-    // Give more time for AI analysis to be saved on server
-    setTimeout(() => {
-      fetchFeedback(true); // Preserve AI analysis if server doesn't have it yet
-    }, 3000); // Increased from 1 second to 3 seconds
+    // Refresh data to get the analysis and updated grouping
+    fetchFeedback(true);
 
     console.log("New feedback submitted:", feedbackData);
   };
 
   const handleFeedbackClick = (feedback) => {
     setSelectedFeedback(feedback);
+    setScreenshotUrl(null);
+
+    if (feedback.metadata?.widget?.screenshot_path) {
+      loadScreenshot(feedback.id);
+    }
+  };
+
+  // Widget screenshots are private - the link is signed on request
+  const loadScreenshot = async (id) => {
+    try {
+      const response = await fetch(`/api/feedback/screenshot?id=${id}`);
+      const result = await response.json();
+
+      if (!response.ok) {
+        throw new Error(result.message || "Failed to load screenshot");
+      }
+
+      setScreenshotUrl(result.data.url);
+    } catch (error) {
+      console.error("Error loading screenshot:", error);
+    }
   };
 
   const handleMarkAsProcessed = async (id) => {
@@ -354,11 +514,8 @@ export default function FeedbackPage() {
       const result = await response.json();
 
       if (result.success) {
-        setFeedbackList((prev) =>
-          prev.map((feedback) =>
-            feedback.id === id ? { ...feedback, processed: true } : feedback
-          )
-        );
+        // Marking new feedback processed also moves it to triaged
+        mergeFeedback(id, result.data);
         toast.success("Feedback marked as processed");
       } else {
         const errorMessage =
@@ -373,6 +530,124 @@ export default function FeedbackPage() {
     }
   };
 
+  // Apply an updated item from PUT /api/feedback to the list and details panel
+  const mergeFeedback = (id, data) => {
+    const updated = { ...data };
+    delete updated.jobs;
+    delete updated.statusChange;
+    setFeedbackList((prev) =>
+      prev.map((feedback) => (feedback.id === id ? { ...feedback, ...updated } : feedback))
+    );
+    setSelectedFeedback((prev) => (prev?.id === id ? { ...prev, ...updated } : prev));
+  };
+
+  // Triage changes: status, assignee, due date, notes
+  const handleTriageUpdate = async (id, changes) => {
+    const response = await fetch("/api/feedback", {
+      method: "PUT",
+      headers: {
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify({ id, ...changes }),
+    });
+    const result = await response.json().catch(() => ({}));
+
+    if (!response.ok || !result.success) {
+      throw new Error(result.message || `HTTP error! status: ${response.status}`);
+    }
+
+    mergeFeedback(id, result.data);
+    return result.data;
+  };
+
+  // A card dropped in another column of the board
+  const handleStatusChange = async (feedback, status) => {
+    setProcessingId(feedback.id);
+
+    try {
+      await handleTriageUpdate(feedback.id, { status });
+      toast.success(`Moved to ${FEEDBACK_STATUS_LABELS[status]}`);
+    } catch (error) {
+      toast.error(`Failed to update status: ${error.message}`);
+    } finally {
+      setProcessingId(null);
+    }
+  };
+
+  // After a merge or unmerge in the details panel: report counts change on other items too
+  const handleDuplicatesChange = (items) => {
+    items.forEach((item) => mergeFeedback(item.id, item));
+    fetchFeedback(true);
+  };
+
+  const toggleBulkSelection = (id) => {
+    setBulkSelection((prev) =>
+      prev.includes(id) ? prev.filter((selectedId) => selectedId !== id) : [...prev, id]
+    );
+  };
+
+  // After a bulk action on the selected items (FeedbackBulkActions)
+  const handleBulkDone = async (action, data) => {
+    // The combined spec is generated by a background job; show it once saved
+    if (action === "generate_spec") {
+      toast.loading("📋 Generating the combined spec...", { id: "combined-spec" });
+      try {
+        const [job] = await waitForJobs([data.job.id], { timeoutMs: 180000 });
+        if (job?.status !== "succeeded") {
+          throw new Error(job?.lastError || "Spec generation is taking longer than expected - find it in your specs later");
+        }
+
+        const response = await fetch(`/api/specs/${job.result.specId}`);
+        const result = await response.json();
+        if (!response.ok || !result.success) {
+          throw new Error(result.message || `HTTP error! status: ${response.status}`);
+        }
+
+        setCurrentSpec({
+          feedbackTitle: `${job.result.feedbackUsed} selected items`,
+          spec: result.data.spec.content,
+          specId: job.result.specId,
+        });
+        setShowSpecModal(true);
+        toast.success("Combined spec generated", { id: "combined-spec" });
+      } catch (error) {
+        toast.error(`Failed to generate the combined spec: ${error.message}`, { id: "combined-spec" });
+      }
+      return;
+    }
+
+    if (data.feedback) {
+      const updated = new Map(data.feedback.map((item) => [item.id, item]));
+      setFeedbackList((prev) =>
+        prev.map((feedback) => (updated.has(feedback.id) ? { ...feedback, ...updated.get(feedback.id) } : feedback))
+      );
+      setSelectedFeedback((prev) => (prev && updated.has(prev.id) ? { ...prev, ...updated.get(prev.id) } : prev));
+    }
+
+    if (action === "delete") {
+      const deleted = new Set(data.deleted);
+      setFeedbackList((prev) => prev.filter((feedback) => !deleted.has(feedback.id)));
+      setSelectedFeedback((prev) => (prev && deleted.has(prev.id) ? null : prev));
+      setBulkSelection([]);
+    }
+
+    // Groups and report counts change with a merge, and with re-analysis once its jobs are done
+    if (action === "merge_cluster" || action === "merge_duplicates") {
+      setBulkSelection([]);
+      fetchFeedback(true);
+    } else if (action === "reanalyze") {
+      try {
+        await waitForJobs([
+          ...(data.jobs.analysis || []).map((job) => job.id),
+          data.jobs.clustering?.id,
+        ]);
+      } catch (error) {
+        console.error("Failed to poll background jobs:", error);
+      }
+      fetchFeedback(true);
+    }
+  };
+
   const handleDeleteFeedback = async (id) => {
     if (!id) {
       toast.error("Invalid feedback ID");
@@ -427,6 +702,36 @@ export default function FeedbackPage() {
     }
   };
 
+  // Gmail only: removes the item and teaches the import filter to skip its sender
+  const handleNotFeedback = async (id) => {
+    if (!id || deletingId === id) {
+      return;
+    }
+
+    setDeletingId(id);
+
+    try {
+      const response = await fetch("/api/sync/gmail/not-feedback", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ feedbackId: id }),
+      });
+      const result = await response.json();
+
+      if (!response.ok) {
+        throw new Error(result.error || `HTTP error! status: ${response.status}`);
+      }
+
+      setFeedbackList((prev) => prev.filter((feedback) => feedback.id !== id));
+      setSelectedFeedback(null);
+      toast.success(result.message);
+    } catch (error) {
+      handleApiError(error, "marking email as not feedback");
+    } finally {
+      setDeletingId(null);
+    }
+  };
+
   const handleGenerateSpec = async (feedback) => {
     if (!feedback) {
       toast.error("Invalid feedback");
@@ -459,10 +764,14 @@ export default function FeedbackPage() {
           ...prev,
           [feedback.id]: result.spec,
         }));
+        if (result.specId) {
+          setSavedSpecIds((prev) => ({ ...prev, [feedback.id]: result.specId }));
+        }
         setCurrentSpec({
           feedbackId: feedback.id,
           feedbackTitle: feedback.title,
           spec: result.spec,
+          specId: result.specId,
         });
         setShowSpecModal(true);
         toast.success("Specification generated successfully!");
@@ -584,18 +893,35 @@ export default function FeedbackPage() {
     return "нейтральный";
   };
 
+  // Totals come from the server: the list only holds the loaded pages
   const stats = {
-    total: feedbackList.length,
-    processed: feedbackList.filter((f) => f.processed).length,
-    pending: feedbackList.filter((f) => !f.processed).length,
-    highPriority: feedbackList.filter(
-      (f) => f.priority === "high" || f.priority === "urgent"
-    ).length,
+    total: aiStats?.total ?? feedbackList.length,
+    processed: aiStats?.processed ?? feedbackList.filter((f) => f.processed).length,
+    pending: aiStats?.unprocessed ?? feedbackList.filter((f) => !f.processed).length,
+    highPriority: aiStats?.byPriority
+      ? (aiStats.byPriority.high || 0) + (aiStats.byPriority.urgent || 0)
+      : feedbackList.filter((f) => f.priority === "high" || f.priority === "urgent").length,
     aiAnalyzed: aiStats?.totalAnalyzed || 0,
     negativeSentiment: aiStats?.sentimentDistribution?.negative || 0,
     groups: feedbackGroups?.summary?.totalGroups || 0,
   };
 
+  const loadMoreButton = nextCursor && (
+    <div className="text-center pt-2">
+      <button
+        onClick={loadMoreFeedback}
+        className="btn btn-sm btn-ghost"
+        disabled={loadingMore}
+      >
+        {loadingMore ? (
+          <span className="loading loading-spinner loading-xs"></span>
+        ) : (
+          `Load more (${feedbackList.length} of ${stats.total})`
+        )}
+      </button>
+    </div>
+  );
+
   if (loading) {
     return (
       <div className="flex items-center justify-center min-h-screen">
@@ -641,7 +967,23 @@ export default function FeedbackPage() {
             >
               🔗 Groups ({stats.groups})
             </button>
+            <button
+              className={`btn btn-sm ${
+                viewMode === "board" ? "btn-active" : ""
+              }`}
+              onClick={() => setViewMode("board")}
+            >
+              📋 Board
+            </button>
           </div>
+          <button onClick={() => setShowImport(true)} className="btn btn-outline">
+            <span className="text-lg">📥</span>
+            Import
+          </button>
+          <button onClick={() => setShowExport(true)} className="btn btn-outline">
+            <span className="text-lg">📤</span>
+            Export
+          </button>
           <button onClick={() => setShowForm(true)} className="btn btn-primary">
             <span className="text-lg">➕</span>
             Add Feedback
@@ -724,6 +1066,18 @@ export default function FeedbackPage() {
         </div>
       </div>
 
+      {/* Saved views and filters */}
+      <FeedbackViewBar
+        current={{ filters, ...sort, viewMode }}
+        activeViewId={activeViewId}
+        requestedViewId={requestedViewId}
+        onRequestHandled={() => setRequestedViewId(null)}
+        sources={Object.keys(aiStats?.bySource || {}).sort()}
+        refreshKey={stats.total}
+        onChange={changeView}
+        onSelectView={applyView}
+      />
+
       {/* Main Content */}
       <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
         {/* Feedback List */}
@@ -731,21 +1085,80 @@ export default function FeedbackPage() {
           <div className="card bg-base-200 shadow-xl">
             <div className="card-body">
               <h2 className="card-title text-xl mb-4">
-                {viewMode === "list" ? "Recent Feedback" : "Grouped Feedback"}
+                {viewMode === "list"
+                  ? "Recent Feedback"
+                  : viewMode === "board"
+                  ? "Triage Board"
+                  : "Grouped Feedback"}
                 {feedbackGroups && (
                   <span className="badge badge-sm badge-info">
                     {feedbackGroups.summary.totalGroups} groups
                   </span>
                 )}
+                {feedbackGroups?.summary.truncated && viewMode === "groups" && (
+                  <span
+                    className="badge badge-sm badge-ghost"
+                    title="Only the newest 2,000 feedback items are grouped"
+                  >
+                    newest 2,000 items
+                  </span>
+                )}
               </h2>
 
-              {feedbackList.length === 0 ? (
+              {viewMode === "list" && (
+                <div className="mb-4">
+                  <FeedbackSearch
+                    similarTo={similarTo}
+                    onClearSimilar={() => setSimilarTo(null)}
+                    onSelect={handleFeedbackClick}
+                    onActiveChange={setSearchActive}
+                    selectedId={selectedFeedback?.id}
+                  />
+                </div>
+              )}
+
+              {viewMode === "list" && !searchActive && feedbackList.length > 0 && (
+                <>
+                  <label className="flex items-center gap-2 text-sm mb-2 cursor-pointer w-fit">
+                    <input
+                      type="checkbox"
+                      checked={feedbackList.every((feedback) => bulkSelection.includes(feedback.id))}
+                      onChange={(e) =>
+                        setBulkSelection(e.target.checked ? feedbackList.map((feedback) => feedback.id) : [])
+                      }
+                      className="checkbox checkbox-sm"
+                    />
+                    Select all loaded ({feedbackList.length})
+                  </label>
+                  <FeedbackBulkActions
+                    selectedIds={bulkSelection}
+                    clusters={feedbackGroups?.groups || []}
+                    onDone={handleBulkDone}
+                    onClear={() => setBulkSelection([])}
+                  />
+                </>
+              )}
+
+              {viewMode === "list" && searchActive ? null : feedbackList.length === 0 ? (
                 <div className="text-center py-8">
                   <div className="text-6xl mb-4">📝</div>
                   <p className="text-base-content/70">
-                    No feedback yet. Add your first feedback item!
+                    {hasActiveFeedbackFilters(filters)
+                      ? "No feedback matches these filters."
+                      : "No feedback yet. Add your first feedback item!"}
                   </p>
                 </div>
+              ) : viewMode === "board" ? (
+                <div className="space-y-4">
+                  <FeedbackKanban
+                    feedback={feedbackList}
+                    selectedId={selectedFeedback?.id}
+                    updatingId={processingId}
+                    onSelect={handleFeedbackClick}
+                    onStatusChange={handleStatusChange}
+                  />
+                  {loadMoreButton}
+                </div>
               ) : viewMode === "groups" && feedbackGroups ? (
                 <div className="space-y-4">
                   {console.log(
@@ -986,6 +1399,14 @@ export default function FeedbackPage() {
                       onClick={() => handleFeedbackClick(feedback)}
                     >
                       <div className="flex items-start justify-between gap-3">
+                        <input
+                          type="checkbox"
+                          checked={bulkSelection.includes(feedback.id)}
+                          onChange={() => toggleBulkSelection(feedback.id)}
+                          onClick={(e) => e.stopPropagation()}
+                          className="checkbox checkbox-sm mt-0.5"
+                          aria-label={`Select "${feedback.title}"`}
+                        />
                         <div className="flex-1">
                           <div className="flex items-center gap-2 mb-2">
                             <span className="text-sm font-medium">
@@ -1033,13 +1454,24 @@ export default function FeedbackPage() {
                             </span>
                             <span
                               className={`badge badge-xs ${
-                                feedback.processed
-                                  ? "badge-success"
-                                  : "badge-warning"
+                                STATUS_BADGES[feedbackStatus(feedback)]
                               }`}
                             >
-                              {feedback.processed ? "Processed" : "Pending"}
+                              {FEEDBACK_STATUS_LABELS[feedbackStatus(feedback)]}
                             </span>
+                            {typeof feedback.priorityScore === "number" && !feedback.duplicateOf && (
+                              <span className="badge badge-xs badge-primary" title="Priority score">
+                                ⚡ {Math.round(feedback.priorityScore)}
+                              </span>
+                            )}
+                            {feedback.duplicateCount > 0 && (
+                              <span className="badge badge-xs badge-accent" title="Merged duplicates">
+                                +{feedback.duplicateCount} similar
+                              </span>
+                            )}
+                            {feedback.duplicateOf && (
+                              <span className="badge badge-xs badge-ghost">duplicate</span>
+                            )}
                           </div>
                           {feedback.tags && feedback.tags.length > 0 && (
                             <div className="flex flex-wrap gap-1 mt-2">
@@ -1097,6 +1529,7 @@ export default function FeedbackPage() {
                       </div>
                     </div>
                   ))}
+                  {loadMoreButton}
                 </div>
               )}
             </div>
@@ -1149,12 +1582,10 @@ export default function FeedbackPage() {
                       <span className="font-medium">Status:</span>
                       <span
                         className={`badge ${
-                          selectedFeedback.processed
-                            ? "badge-success"
-                            : "badge-warning"
+                          STATUS_BADGES[feedbackStatus(selectedFeedback)]
                         }`}
                       >
-                        {selectedFeedback.processed ? "Processed" : "Pending"}
+                        {FEEDBACK_STATUS_LABELS[feedbackStatus(selectedFeedback)]}
                       </span>
                     </div>
                     {selectedFeedback.userEmail && (
@@ -1175,6 +1606,153 @@ export default function FeedbackPage() {
                     </div>
                   </div>
 
+                  {/* Slack thread the message started */}
+                  {selectedFeedback.metadata?.thread?.replies?.length > 0 && (
+                    <>
+                      <div className="divider">
+                        <span className="text-xs">
+                          🧵 Thread ({selectedFeedback.metadata.thread.reply_count} replies)
+                        </span>
+                      </div>
+                      <div className="space-y-2 max-h-64 overflow-y-auto">
+                        {selectedFeedback.metadata.thread.replies.map((reply) => (
+                          <div key={reply.ts} className="text-sm bg-base-200 rounded p-2">
+                            <span className="font-medium">{reply.author}:</span>{" "}
+                            {reply.text}
+                          </div>
+                        ))}
+                      </div>
+                      {selectedFeedback.metadata.url && (
+                        <a
+                          href={selectedFeedback.metadata.url}
+                          target="_blank"
+                          rel="noopener noreferrer"
+                          className="link link-primary text-sm"
+                        >
+                          Open in Slack
+                        </a>
+                      )}
+                    </>
+                  )}
+
+                  {/* Page and browser the widget was opened on */}
+                  {selectedFeedback.metadata?.widget && (
+                    <>
+                      <div className="divider">
+                        <span className="text-xs">🌐 Feedback widget</span>
+                      </div>
+                      <div className="space-y-2 text-sm">
+                        <div className="flex justify-between">
+                          <span className="font-medium">Widget:</span>
+                          <span>{selectedFeedback.metadata.widget.widget_name}</span>
+                        </div>
+                        {selectedFeedback.metadata.widget.page_url && (
+                          <div className="flex justify-between gap-2">
+                            <span className="font-medium">Page:</span>
+                            <a
+                              href={selectedFeedback.metadata.widget.page_url}
+                              target="_blank"
+                              rel="noopener noreferrer"
+                              className="link link-primary truncate"
+                            >
+                              {selectedFeedback.metadata.widget.page_title ||
+                                selectedFeedback.metadata.widget.page_url}
+                            </a>
+                          </div>
+                        )}
+                        {selectedFeedback.metadata.widget.browser?.user_agent && (
+                          <div className="text-xs opacity-70 break-words">
+                            {selectedFeedback.metadata.widget.browser.user_agent}
+                            {selectedFeedback.metadata.widget.browser.viewport &&
+                              ` · ${selectedFeedback.metadata.widget.browser.viewport}`}
+                            {selectedFeedback.metadata.widget.browser.language &&
+                              ` · ${selectedFeedback.metadata.widget.browser.language}`}
+                          </div>
+                        )}
+                        {screenshotUrl && (
+                          <a href={screenshotUrl} target="_blank" rel="noopener noreferrer">
+                            {/* eslint-disable-next-line @next/next/no-img-element */}
+                            <img
+                              src={screenshotUrl}
+                              alt="Screenshot sent with the feedback"
+                              className="rounded border border-base-300 max-h-64"
+                            />
+                          </a>
+                        )}
+                      </div>
+                    </>
+                  )}
+
+                  {/* GitHub issue / discussion the feedback came from */}
+                  {selectedFeedback.source === "github" && selectedFeedback.metadata?.url && (
+                    <>
+                      <div className="divider">
+                        <span className="text-xs">🐙 GitHub</span>
+                      </div>
+                      <div className="space-y-2 text-sm">
+                        <div className="flex justify-between">
+                          <span className="font-medium">
+                            {selectedFeedback.metadata.repository}
+                          </span>
+                          <span>
+                            @{selectedFeedback.metadata.author}
+                            {selectedFeedback.metadata.state &&
+                              ` · ${selectedFeedback.metadata.state}`}
+                            {selectedFeedback.metadata.reactions?.total > 0 &&
+                              ` · ${selectedFeedback.metadata.reactions.total} reactions`}
+                          </span>
+                        </div>
+                        {selectedFeedback.metadata.labels?.length > 0 && (
+                          <div className="flex flex-wrap gap-1">
+                            {selectedFeedback.metadata.labels.map((label) => (
+                              <span key={label} className="badge badge-outline badge-sm">
+                                {label}
+                              </span>
+                            ))}
+                          </div>
+                        )}
+                        <a
+                          href={selectedFeedback.metadata.url}
+                          target="_blank"
+                          rel="noopener noreferrer"
+                          className="link link-primary"
+                        >
+                          Open on GitHub
+                        </a>
+                      </div>
+                    </>
+                  )}
+
+                  {/* Triage: status, assignee, due date, notes and status history */}
+                  <div className="divider">
+                    <span className="text-xs">📋 Triage</span>
+                  </div>
+                  <FeedbackTriage
+                    feedback={selectedFeedback}
+                    onSave={(changes) => handleTriageUpdate(selectedFeedback.id, changes)}
+                  />
+
+                  {/* Priority score: customer value, reports, urgency, sentiment, recency */}
+                  <div className="divider">
+                    <span className="text-xs">⚡ Priority score</span>
+                  </div>
+                  <FeedbackScore feedback={selectedFeedback} />
+
+                  {/* Duplicates: canonical item, merged reports and reporters */}
+                  <div className="divider">
+                    <span className="text-xs">
+                      🔗 Duplicates
+                      {selectedFeedback.duplicateCount > 0 && ` (+${selectedFeedback.duplicateCount})`}
+                    </span>
+                  </div>
+                  <FeedbackDuplicates feedback={selectedFeedback} onChange={handleDuplicatesChange} />
+
+                  {/* Specs generated from this item or its duplicate group */}
+                  <div className="divider">
+                    <span className="text-xs">📝 Specs</span>
+                  </div>
+                  <FeedbackSpecs feedback={selectedFeedback} latestSpec={generatedSpecs[selectedFeedback.id]} />
+
                   {/* AI Analysis Section */}
                   {selectedFeedback.aiAnalysis && (
                     <>
@@ -1308,6 +1886,17 @@ export default function FeedbackPage() {
                         </>
                       )}
                     </button>
+                    <button
+                      onClick={() => {
+                        setViewMode("list");
+                        setSimilarTo(selectedFeedback);
+                      }}
+                      className="btn btn-outline btn-sm w-full"
+                      title="Feedback with a similar meaning"
+                    >
+                      <span className="text-sm">🔗</span>
+                      Find Similar
+                    </button>
                     {generatedSpecs[selectedFeedback.id] && (
                       <button
                         onClick={() => {
@@ -1344,6 +1933,16 @@ export default function FeedbackPage() {
                         )}
                       </button>
                     )}
+                    {selectedFeedback.source === "gmail" && (
+                      <button
+                        onClick={() => handleNotFeedback(selectedFeedback.id)}
+                        disabled={deletingId === selectedFeedback.id}
+                        className="btn btn-outline btn-sm w-full"
+                      >
+                        <span className="text-sm">🚫</span>
+                        Not Feedback
+                      </button>
+                    )}
                     <button
                       onClick={() => handleDeleteFeedback(selectedFeedback.id)}
                       disabled={deletingId === selectedFeedback.id}
@@ -1387,6 +1986,37 @@ export default function FeedbackPage() {
         </div>
       )}
 
+      {/* Import Modal */}
+      {showImport && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+          <div className="max-w-3xl w-full max-h-[90vh] overflow-y-auto">
+            <FeedbackImport
+              onComplete={(result) => {
+                toast.success(`Imported ${result.created_count} feedback items`);
+                fetchFeedback();
+              }}
+              onCancel={() => {
+                setShowImport(false);
+                fetchFeedback();
+              }}
+            />
+          </div>
+        </div>
+      )}
+
+      {/* Export Modal */}
+      {showExport && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+          <div className="max-w-2xl w-full max-h-[90vh] overflow-y-auto">
+            <FeedbackExport
+              sources={Object.keys(aiStats?.bySource || {}).sort()}
+              filters={filters}
+              onClose={() => setShowExport(false)}
+            />
+          </div>
+        </div>
+      )}
+
       {/* Spec Modal */}
       {showSpecModal && currentSpec && (
         <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
@@ -1434,6 +2064,19 @@ export default function FeedbackPage() {
                 </div>
 
                 <div className="flex justify-end gap-2 mt-4">
+                  {(currentSpec.specId || savedSpecIds[currentSpec.feedbackId || currentSpec.clusterId]) && (
+                    <button
+                      onClick={() =>
+                        router.push(
+                          `/dashboard/specs/${currentSpec.specId || savedSpecIds[currentSpec.feedbackId || currentSpec.clusterId]}`
+                        )
+                      }
+                      className="btn btn-outline"
+                    >
+                      <span className="text-lg">✏️</span>
+                      Edit
+                    </button>
+                  )}
                   <button
                     onClick={() => copySpecToClipboard(currentSpec.spec)}
                     className="btn btn-primary"
@@ -16,6 +16,15 @@ export default function IntegrationsPage() {
       setNotification({ type: 'success', message: 'Gmail connected successfully!' });
     } else if (error === 'gmail_auth_failed') {
       setNotification({ type: 'error', message: 'Gmail connection failed. Please try again.' });
+    } else if (success === 'slack_connected') {
+      setNotification({ type: 'success', message: 'Slack connected! Pick the channels to monitor.' });
+    } else if (error === 'slack_auth_failed') {
+      setNotification({ type: 'error', message: 'Slack connection failed. Please try again.' });
+    } else if (error === 'slack_oauth_not_configured') {
+      setNotification({
+        type: 'error',
+        message: 'Slack OAuth not configured. Please set up SLACK_CLIENT_ID and SLACK_CLIENT_SECRET in your environment variables.'
+      });
     } else if (error === 'oauth_not_configured') {
       setNotification({ 
         type: 'error', 
@@ -7,6 +7,7 @@ import ButtonAccount from "../../components/ButtonAccount.js";
 import FeedbackForm from "../../components/FeedbackForm.js";
 import SpecGenerator from "../../components/SpecGenerator.js";
 import toast from "react-hot-toast";
+import { waitForJobs } from "../../libs/jobs/client.js";
 import ReactMarkdown from "react-markdown";
 
 export const dynamic = "force-dynamic";
@@ -183,55 +184,62 @@ export default function Dashboard() {
     }
   };
 
+  // Follow the background jobs queued for new feedback, then refresh
+  const trackFeedbackJobs = async (feedbackData) => {
+    const analysisJobId = feedbackData.jobs?.analysis?.id;
+
+    try {
+      if (analysisJobId) {
+        toast.loading("🤖 AI analysis in progress...", { id: "ai-analysis" });
+      }
+
+      const jobs = await waitForJobs([
+        analysisJobId,
+        feedbackData.jobs?.clustering?.id,
+      ]);
+      const analysisJob = jobs.find((job) => job.id === analysisJobId);
+
+      // Check for duplicate warnings
+      const duplicateCheck = analysisJob?.result?.duplicateCheck;
+      if (duplicateCheck?.linkedTo) {
+        toast.success("Merged into existing feedback as a duplicate", { icon: "🔗", duration: 5000 });
+      } else if (duplicateCheck?.isDuplicate && duplicateCheck.similarityScore > 0.7) {
+        toast(`Similar feedback detected: ${duplicateCheck.explanation}`, {
+          icon: "⚠️",
+          duration: 5000,
+        });
+      }
+
+      if (analysisJob?.status === "dead") {
+        toast.error("AI analysis failed - it can be retried later", {
+          id: "ai-analysis",
+        });
+      } else {
+        toast.dismiss("ai-analysis");
+      }
+    } catch (error) {
+      console.error("Failed to poll background jobs:", error);
+      toast.dismiss("ai-analysis");
+    }
+
+    // Refresh data to get the analysis and updated grouping
+    fetchFeedback(true);
+  };
+
   // Enhanced feedback submission with progress tracking
   const handleFeedbackSubmit = async (feedbackData) => {
     try {
-      // Show processing status
-      toast.loading("Processing feedback...", { id: "feedback-processing" });
-
       // Add to list immediately for instant feedback
       setFeedbackList((prev) => [feedbackData, ...prev]);
       setShowForm(false);
       setActiveTab("feedback");
 
-      // Update toast for AI analysis
-      toast.loading("🤖 AI analysis in progress...", {
+      toast.success("Feedback submitted successfully!", {
         id: "feedback-processing",
       });
 
-      // Check for duplicate warnings
-      if (
-        feedbackData.duplicateCheck?.isDuplicate &&
-        feedbackData.duplicateCheck.similarityScore > 0.7
-      ) {
-        toast.warning(
-          `Similar feedback detected: ${feedbackData.duplicateCheck.explanation}`,
-          { duration: 5000 }
-        );
-      }
-
-      // Show AI analysis result
-      if (feedbackData.aiAnalysis) {
-        toast.success(
-          `Feedback submitted! AI detected ${feedbackData.aiAnalysis.sentiment} sentiment.`,
-          { id: "feedback-processing" }
-        );
-      } else {
-        toast.success("Feedback submitted successfully!", {
-          id: "feedback-processing",
-        });
-        // Continue showing AI analysis progress
-        toast.loading("🤖 AI analysis in progress...", {
-          id: "ai-analysis",
-          duration: 10000,
-        });
-      }
-
-      // Refresh data to get updated grouping with delay for AI processing
-      setTimeout(() => {
-        fetchFeedback(true);
-        toast.dismiss("ai-analysis");
-      }, 3000);
+      // Analysis, duplicate check and clustering run as background jobs
+      trackFeedbackJobs(feedbackData);
 
       console.log("✅ Feedback submitted successfully:", feedbackData);
     } catch (error) {
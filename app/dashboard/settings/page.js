@@ -0,0 +1,21 @@
+"use client";
+
+import AIProviderSettings from "../../../components/AIProviderSettings.js";
+
+export const dynamic = "force-dynamic";
+
+export default function SettingsPage() {
+  return (
+    <div className="p-6 space-y-6 lg:pl-8">
+      <div className="max-w-4xl mx-auto">
+        {/* Header */}
+        <div className="mb-8">
+          <h1 className="text-3xl md:text-4xl font-bold">Settings</h1>
+          <p className="text-base-content/70 mt-2">Account & preferences</p>
+        </div>
+
+        <AIProviderSettings />
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,38 @@
+"use client";
+
+import { useRouter } from "next/navigation";
+import SpecEditor from "../../../../components/SpecEditor.js";
+
+export const dynamic = "force-dynamic";
+
+export default function SpecEditorPage({ params }) {
+  const router = useRouter();
+
+  return (
+    <div className="p-6 space-y-6 lg:pl-8">
+      <div className="max-w-7xl mx-auto">
+        {/* Header */}
+        <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4 mb-8">
+          <div>
+            <h1 className="text-3xl md:text-4xl font-bold">Spec Editor</h1>
+            <p className="text-base-content/70 mt-2">
+              Edit the spec in Markdown - changes are saved as you type
+            </p>
+          </div>
+          <div className="flex gap-2">
+            <button onClick={() => router.push("/dashboard/specs")} className="btn btn-outline">
+              <span className="text-lg">📝</span>
+              Specs
+            </button>
+            <button onClick={() => router.push("/dashboard/feedback")} className="btn btn-outline">
+              <span className="text-lg">💬</span>
+              Feedback
+            </button>
+          </div>
+        </div>
+
+        <SpecEditor specId={params.id} />
+      </div>
+    </div>
+  );
+}
@@ -3,6 +3,11 @@
 import { useState, useEffect } from "react";
 import { createClient } from "../../libs/supabase/client.js";
 import GmailSetup from "../../components/integrations/GmailSetup.js";
+import DiscordSetup from "../../components/integrations/DiscordSetup.js";
+import SlackSetup from "../../components/integrations/SlackSetup.js";
+import GitHubSetup from "../../components/integrations/GitHubSetup.js";
+import WebhookSetup from "../../components/integrations/WebhookSetup.js";
+import WidgetSetup from "../../components/integrations/WidgetSetup.js";
 import ButtonAccount from "../../components/ButtonAccount.js";
 
 export default function IntegrationsPage() {
@@ -81,6 +86,67 @@ export default function IntegrationsPage() {
               </div>
             </div>
 
+            {/* Discord Integration */}
+            <div className="bg-white rounded-lg shadow-md">
+              <div className="p-6 border-b">
+                <h3 className="text-xl font-semibold text-gray-900">
+                  Сообщества
+                </h3>
+                <p className="text-gray-600 mt-1">
+                  Собирайте обратную связь из каналов Slack и Discord
+                </p>
+              </div>
+              <div className="p-6 space-y-6">
+                <SlackSetup />
+                <DiscordSetup />
+              </div>
+            </div>
+
+            {/* GitHub Integration */}
+            <div className="bg-white rounded-lg shadow-md">
+              <div className="p-6 border-b">
+                <h3 className="text-xl font-semibold text-gray-900">
+                  Репозитории
+                </h3>
+                <p className="text-gray-600 mt-1">
+                  Импортируйте issues и обсуждения GitHub вместе с остальной обратной связью
+                </p>
+              </div>
+              <div className="p-6">
+                <GitHubSetup />
+              </div>
+            </div>
+
+            {/* Inbound Webhooks */}
+            <div className="bg-white rounded-lg shadow-md">
+              <div className="p-6 border-b">
+                <h3 className="text-xl font-semibold text-gray-900">
+                  Webhooks
+                </h3>
+                <p className="text-gray-600 mt-1">
+                  Отправляйте обратную связь из Zapier, Typeform или своего бэкенда
+                </p>
+              </div>
+              <div className="p-6">
+                <WebhookSetup />
+              </div>
+            </div>
+
+            {/* Embeddable Widget */}
+            <div className="bg-white rounded-lg shadow-md">
+              <div className="p-6 border-b">
+                <h3 className="text-xl font-semibold text-gray-900">
+                  Виджет обратной связи
+                </h3>
+                <p className="text-gray-600 mt-1">
+                  Собирайте отзывы со скриншотами прямо в вашем продукте
+                </p>
+              </div>
+              <div className="p-6">
+                <WidgetSetup />
+              </div>
+            </div>
+
             {/* Future Integrations */}
             <div className="bg-white rounded-lg shadow-md opacity-60">
               <div className="p-6 border-b">
@@ -93,20 +159,6 @@ export default function IntegrationsPage() {
               </div>
               <div className="p-6">
                 <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
-                  {/* Slack */}
-                  <div className="p-4 border border-gray-200 rounded-lg text-center opacity-50">
-                    <div className="text-2xl mb-2">💬</div>
-                    <h4 className="font-medium text-gray-900">Slack</h4>
-                    <p className="text-sm text-gray-500">Скоро</p>
-                  </div>
-
-                  {/* Discord */}
-                  <div className="p-4 border border-gray-200 rounded-lg text-center opacity-50">
-                    <div className="text-2xl mb-2">🎮</div>
-                    <h4 className="font-medium text-gray-900">Discord</h4>
-                    <p className="text-sm text-gray-500">Скоро</p>
-                  </div>
-
                   {/* Telegram */}
                   <div className="p-4 border border-gray-200 rounded-lg text-center opacity-50">
                     <div className="text-2xl mb-2">✈️</div>
@@ -121,13 +173,6 @@ export default function IntegrationsPage() {
                     <p className="text-sm text-gray-500">Скоро</p>
                   </div>
 
-                  {/* GitHub */}
-                  <div className="p-4 border border-gray-200 rounded-lg text-center opacity-50">
-                    <div className="text-2xl mb-2">🐙</div>
-                    <h4 className="font-medium text-gray-900">GitHub</h4>
-                    <p className="text-sm text-gray-500">Скоро</p>
-                  </div>
-
                   {/* Zendesk */}
                   <div className="p-4 border border-gray-200 rounded-lg text-center opacity-50">
                     <div className="text-2xl mb-2">🎫</div>
@@ -0,0 +1,30 @@
+import { notFound } from "next/navigation";
+import { createAdminClient } from "../../../libs/supabase/admin.js";
+import { findWidget, widgetSettings } from "../../../libs/widget/index.js";
+import FeedbackWidgetForm from "../../../components/FeedbackWidgetForm.js";
+
+export const dynamic = "force-dynamic";
+
+export const metadata = {
+  title: "Feedback",
+  robots: { index: false, follow: false },
+};
+
+/**
+ * Feedback widget, loaded in an iframe by public/widget.js
+ */
+export default async function WidgetPage({ params }) {
+  const widget = await findWidget(createAdminClient(), params.key);
+
+  if (!widget || !widget.enabled) {
+    notFound();
+  }
+
+  return (
+    <FeedbackWidgetForm
+      publicKey={widget.public_key}
+      settings={widgetSettings(widget)}
+      allowedOrigins={widget.allowed_origins || []}
+    />
+  );
+}
@@ -1,5 +1,6 @@
 import { useState } from "react";
 import toast from "react-hot-toast";
+import { waitForJobs } from "../libs/jobs/client.js";
 
 export default function AIDemoComponent() {
   const [demoFeedback, setDemoFeedback] = useState("");
@@ -45,7 +46,14 @@ export default function AIDemoComponent() {
       const result = await response.json();
 
       if (result.success) {
-        setResults(result.data);
+        // Analysis runs as a background job - wait for it
+        const [job] = await waitForJobs([result.data.jobs?.analysis?.id]);
+        setResults({
+          ...result.data,
+          aiAnalysis: job?.result?.analysis || null,
+          duplicateCheck: job?.result?.duplicateCheck || null,
+          aiAnalysisStatus: job?.status || result.aiAnalysisStatus,
+        });
         toast.success("AI анализ завершен!");
       } else {
         toast.error("Ошибка при анализе: " + result.message);
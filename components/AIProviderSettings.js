@@ -0,0 +1,221 @@
+"use client";
+
+import { useState, useEffect, useCallback } from "react";
+import toast from "react-hot-toast";
+
+// Providers a user can bring, with their settings fields
+const PROVIDERS = [
+  {
+    provider: "openai",
+    label: "OpenAI",
+    fields: [
+      { key: "apiKey", placeholder: "API key (sk-...)", secret: true },
+      { key: "model", placeholder: "Model (default: gpt-4)" },
+      { key: "embeddingModel", placeholder: "Embedding model (default: text-embedding-3-small)" },
+    ],
+  },
+  {
+    provider: "anthropic",
+    label: "Anthropic",
+    fields: [
+      { key: "apiKey", placeholder: "API key (sk-ant-...)", secret: true },
+      { key: "model", placeholder: "Model (default: claude-3-5-sonnet-latest)" },
+    ],
+  },
+  {
+    provider: "azure",
+    label: "Azure OpenAI",
+    fields: [
+      { key: "endpoint", placeholder: "Endpoint (https://your-resource.openai.azure.com)", required: true },
+      { key: "deployment", placeholder: "Chat deployment", required: true },
+      { key: "apiKey", placeholder: "API key", secret: true },
+      { key: "apiVersion", placeholder: "API version (default: 2024-06-01)" },
+      { key: "embeddingDeployment", placeholder: "Embedding deployment (optional)" },
+    ],
+  },
+  {
+    provider: "openai-compatible",
+    label: "OpenAI-compatible server",
+    fields: [
+      { key: "baseUrl", placeholder: "Base URL (https://openrouter.ai/api/v1)", required: true },
+      { key: "apiKey", placeholder: "API key (if the server needs one)", secret: true },
+      { key: "model", placeholder: "Model", required: true },
+      { key: "embeddingModel", placeholder: "Embedding model (optional)" },
+    ],
+  },
+];
+
+async function request(url, options = {}) {
+  const response = await fetch(url, {
+    ...options,
+    headers: { "Content-Type": "application/json", ...(options.headers || {}) },
+  });
+  const result = await response.json().catch(() => ({}));
+  if (!response.ok || !result.success) {
+    throw new Error(result.message || `HTTP error! status: ${response.status}`);
+  }
+  return result;
+}
+
+const emptyValues = (option, saved) =>
+  Object.fromEntries(
+    option.fields.map((field) => [field.key, (!field.secret && saved?.provider === option.provider && saved[field.key]) || ""])
+  );
+
+/**
+ * The AI provider analysis, clustering and spec generation run on. Without
+ * settings of their own, users get the environment provider; the key is
+ * checked with a short request when saved and never comes back to the browser.
+ */
+export default function AIProviderSettings() {
+  const [state, setState] = useState(null);
+  const [form, setForm] = useState(null);
+  const [busy, setBusy] = useState(null);
+
+  const load = useCallback(async () => {
+    try {
+      const result = await request("/api/ai-provider");
+      setState(result.data);
+    } catch (error) {
+      toast.error(`Failed to load the AI provider: ${error.message}`);
+    }
+  }, []);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const openForm = (provider) => {
+    const option = PROVIDERS.find((item) => item.provider === provider);
+    setForm({ provider, values: emptyValues(option, state.settings) });
+  };
+
+  const save = async (event) => {
+    event.preventDefault();
+    try {
+      setBusy("save");
+      const result = await request("/api/ai-provider", {
+        method: "PUT",
+        body: JSON.stringify({ provider: form.provider, ...form.values }),
+      });
+      setState(result.data);
+      setForm(null);
+      toast.success(result.message);
+    } catch (error) {
+      toast.error(error.message);
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const remove = async () => {
+    if (!window.confirm("Remove your AI provider? AI features go back to the default provider.")) return;
+    try {
+      setBusy("remove");
+      const result = await request("/api/ai-provider", { method: "DELETE" });
+      setState(result.data);
+      setForm(null);
+      toast.success(result.message);
+    } catch (error) {
+      toast.error(error.message);
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  if (!state) {
+    return <span className="loading loading-spinner loading-md"></span>;
+  }
+
+  const { settings, environment } = state;
+  const formOption = form && PROVIDERS.find((item) => item.provider === form.provider);
+
+  return (
+    <div className="card bg-base-200 shadow-xl">
+      <div className="card-body space-y-4">
+        <div>
+          <h3 className="card-title">🤖 AI Provider</h3>
+          <p className="text-sm text-base-content/70">
+            Run feedback analysis, clustering and spec generation on your own AI account.
+          </p>
+        </div>
+
+        <div className="flex items-center justify-between gap-2 p-3 bg-base-100 rounded-lg">
+          <div className="min-w-0">
+            {settings ? (
+              <>
+                <div className="font-medium">
+                  {settings.label}
+                  <span className="badge badge-success badge-sm ml-2">your account</span>
+                </div>
+                <div className="text-xs text-base-content/60 truncate">
+                  {[settings.model || settings.deployment, settings.baseUrl || settings.endpoint].filter(Boolean).join(" · ") ||
+                    "Default model"}
+                </div>
+              </>
+            ) : (
+              <>
+                <div className="font-medium">Default provider ({environment.label})</div>
+                <div className="text-xs text-base-content/60">
+                  {environment.configured ? "Set up for this app" : "Not configured - AI features are off until you add a provider"}
+                </div>
+              </>
+            )}
+          </div>
+          {settings && (
+            <button className="btn btn-ghost btn-xs text-error shrink-0" disabled={!!busy} onClick={remove}>
+              Remove
+            </button>
+          )}
+        </div>
+
+        <div className="flex flex-wrap gap-2">
+          {PROVIDERS.map((option) => (
+            <button
+              key={option.provider}
+              className={`btn btn-sm ${form?.provider === option.provider ? "btn-primary" : "btn-outline"}`}
+              onClick={() => openForm(option.provider)}
+            >
+              {settings?.provider === option.provider ? `Edit ${option.label}` : `Use ${option.label}`}
+            </button>
+          ))}
+        </div>
+
+        {formOption && (
+          <form onSubmit={save} className="space-y-3 p-4 bg-base-100 rounded-lg">
+            <div className="text-sm font-medium">{formOption.label}</div>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+              {formOption.fields.map((field) => (
+                <input
+                  key={field.key}
+                  className="input input-bordered input-sm"
+                  type={field.secret ? "password" : "text"}
+                  autoComplete="off"
+                  placeholder={
+                    field.secret && settings?.provider === form.provider
+                      ? `${field.placeholder} (leave empty to keep)`
+                      : field.placeholder
+                  }
+                  value={form.values[field.key]}
+                  required={field.required}
+                  onChange={(event) => setForm({ ...form, values: { ...form.values, [field.key]: event.target.value } })}
+                />
+              ))}
+            </div>
+            <p className="text-xs text-base-content/60">
+              Addresses must be https on a public host. A short test request is sent when you save.
+            </p>
+            <div className="flex justify-end gap-2">
+              <button type="button" className="btn btn-ghost btn-sm" onClick={() => setForm(null)}>
+                Cancel
+              </button>
+              <button type="submit" className="btn btn-primary btn-sm" disabled={busy === "save"}>
+                {busy === "save" ? "Checking..." : "Save"}
+              </button>
+            </div>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,422 @@
+"use client";
+
+import { useState, useEffect, useCallback } from "react";
+import toast from "react-hot-toast";
+import { parseImportFile } from "../libs/import/client.js";
+
+// Records per import request; the server accepts up to 1000
+const CHUNK_SIZE = 500;
+
+const CHURN_RISKS = ["low", "medium", "high"];
+
+const RISK_BADGES = { low: "badge-ghost", medium: "badge-warning", high: "badge-error" };
+
+const EMPTY_FORM = { email: "", domain: "", name: "", plan: "", mrr: "", accountSize: "", churnRisk: "low" };
+
+async function request(url, options = {}) {
+  const response = await fetch(url, {
+    ...options,
+    headers: { "Content-Type": "application/json", ...(options.headers || {}) },
+  });
+  const result = await response.json().catch(() => ({}));
+  if (!response.ok || !result.success) {
+    throw new Error(result.message || `HTTP error! status: ${response.status}`);
+  }
+  return result;
+}
+
+const formatMoney = (value) => `$${Number(value || 0).toLocaleString(undefined, { maximumFractionDigits: 2 })}`;
+
+/**
+ * The user's customers - added by hand, imported from CSV/JSON or synced from
+ * Stripe. Their MRR, account size and churn risk weigh the priority score of
+ * the feedback they send.
+ */
+export default function CustomersManager() {
+  const [customers, setCustomers] = useState([]);
+  const [totals, setTotals] = useState({ count: 0, mrr: 0 });
+  const [stripe, setStripe] = useState({ connected: false, lastSync: null });
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState(null);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [editingId, setEditingId] = useState(null);
+  const [stripeKey, setStripeKey] = useState("");
+  const [importErrors, setImportErrors] = useState([]);
+  const [search, setSearch] = useState("");
+
+  const loadCustomers = useCallback(async () => {
+    try {
+      const result = await request("/api/customers");
+      setCustomers(result.data);
+      setTotals(result.totals);
+      setStripe(result.stripe);
+    } catch (error) {
+      toast.error(`Failed to load customers: ${error.message}`);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadCustomers();
+  }, [loadCustomers]);
+
+  const run = async (key, action) => {
+    try {
+      setBusy(key);
+      await action();
+    } catch (error) {
+      toast.error(error.message);
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const saveCustomer = (event) => {
+    event.preventDefault();
+    run("save", async () => {
+      const body = {
+        ...form,
+        mrr: form.mrr === "" ? 0 : form.mrr,
+        accountSize: form.accountSize === "" ? null : Number(form.accountSize),
+      };
+      await request(editingId ? `/api/customers/${editingId}` : "/api/customers", {
+        method: editingId ? "PUT" : "POST",
+        body: JSON.stringify(body),
+      });
+      toast.success(editingId ? "Customer updated" : "Customer saved");
+      setForm(EMPTY_FORM);
+      setEditingId(null);
+      await loadCustomers();
+    });
+  };
+
+  const editCustomer = (customer) => {
+    setEditingId(customer.id);
+    setForm({
+      email: customer.email || "",
+      domain: customer.domain || "",
+      name: customer.name || "",
+      plan: customer.plan || "",
+      mrr: String(customer.mrr),
+      accountSize: customer.accountSize === null ? "" : String(customer.accountSize),
+      churnRisk: customer.churnRisk,
+    });
+  };
+
+  const deleteCustomer = (customer) => {
+    if (!window.confirm(`Delete ${customer.name || customer.email || customer.domain}?`)) return;
+    run(customer.id, async () => {
+      await request(`/api/customers/${customer.id}`, { method: "DELETE" });
+      toast.success("Customer deleted");
+      await loadCustomers();
+    });
+  };
+
+  const importFile = (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = "";
+    if (!file) return;
+
+    run("import", async () => {
+      const { records } = await parseImportFile(file);
+      if (records.length === 0) throw new Error("The file has no rows");
+
+      let imported = 0;
+      const errors = [];
+      for (let offset = 0; offset < records.length; offset += CHUNK_SIZE) {
+        const result = await request("/api/customers/import", {
+          method: "POST",
+          body: JSON.stringify({
+            records: records.slice(offset, offset + CHUNK_SIZE),
+            offset,
+            last: offset + CHUNK_SIZE >= records.length,
+          }),
+        });
+        imported += result.data.imported;
+        errors.push(...result.data.errors);
+      }
+
+      setImportErrors(errors);
+      toast.success(`${imported} customers imported${errors.length ? `, ${errors.length} rows skipped` : ""}`);
+      await loadCustomers();
+    });
+  };
+
+  const connectStripe = (event) => {
+    event.preventDefault();
+    run("stripe", async () => {
+      const result = await request("/api/customers/stripe", {
+        method: "PUT",
+        body: JSON.stringify({ apiKey: stripeKey }),
+      });
+      setStripe(result.data);
+      setStripeKey("");
+      toast.success("Stripe connected");
+    });
+  };
+
+  const syncStripe = () =>
+    run("stripe", async () => {
+      const result = await request("/api/customers/stripe", { method: "POST" });
+      toast.success(result.message);
+      await loadCustomers();
+    });
+
+  const disconnectStripe = () => {
+    if (!window.confirm("Disconnect Stripe? Synced customers are kept.")) return;
+    run("stripe", async () => {
+      await request("/api/customers/stripe", { method: "DELETE" });
+      setStripe({ connected: false, lastSync: null });
+      toast.success("Stripe disconnected");
+    });
+  };
+
+  const term = search.trim().toLowerCase();
+  const visible = term
+    ? customers.filter((customer) =>
+        [customer.email, customer.domain, customer.name, customer.plan].some((value) => value?.toLowerCase().includes(term))
+      )
+    : customers;
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-12">
+        <span className="loading loading-spinner loading-lg"></span>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="stats shadow w-full">
+        <div className="stat">
+          <div className="stat-title">Customers</div>
+          <div className="stat-value">{totals.count}</div>
+        </div>
+        <div className="stat">
+          <div className="stat-title">Total MRR</div>
+          <div className="stat-value">{formatMoney(totals.mrr)}</div>
+        </div>
+      </div>
+
+      <div className="grid gap-6 md:grid-cols-2">
+        <div className="card bg-base-100 shadow">
+          <div className="card-body">
+            <h2 className="card-title">💳 Stripe</h2>
+            {stripe.connected ? (
+              <>
+                <p className="text-sm text-base-content/70">
+                  Connected{stripe.livemode ? "" : " (test mode)"}.{" "}
+                  {stripe.lastSync ? `Last synced ${new Date(stripe.lastSync).toLocaleString()}.` : "Not synced yet."}
+                </p>
+                <div className="card-actions">
+                  <button onClick={syncStripe} disabled={Boolean(busy)} className="btn btn-primary btn-sm">
+                    {busy === "stripe" ? <span className="loading loading-spinner loading-xs"></span> : "Sync customers"}
+                  </button>
+                  <button onClick={disconnectStripe} disabled={Boolean(busy)} className="btn btn-ghost btn-sm">
+                    Disconnect
+                  </button>
+                </div>
+              </>
+            ) : (
+              <form onSubmit={connectStripe} className="space-y-2">
+                <p className="text-sm text-base-content/70">
+                  Plans, MRR and seats come from your subscriptions. A restricted key with read access to
+                  customers and subscriptions is enough.
+                </p>
+                <input
+                  type="password"
+                  value={stripeKey}
+                  onChange={(event) => setStripeKey(event.target.value)}
+                  placeholder="rk_live_..."
+                  className="input input-bordered input-sm w-full"
+                />
+                <button type="submit" disabled={Boolean(busy) || !stripeKey} className="btn btn-primary btn-sm">
+                  {busy === "stripe" ? <span className="loading loading-spinner loading-xs"></span> : "Connect"}
+                </button>
+              </form>
+            )}
+          </div>
+        </div>
+
+        <div className="card bg-base-100 shadow">
+          <div className="card-body">
+            <h2 className="card-title">📥 Import</h2>
+            <p className="text-sm text-base-content/70">
+              CSV or JSON with columns like email, domain, company, plan, mrr, seats and churn_risk. Existing
+              customers with the same email or domain are updated.
+            </p>
+            <input
+              type="file"
+              accept=".csv,.tsv,.txt,.json,.jsonl"
+              onChange={importFile}
+              disabled={Boolean(busy)}
+              className="file-input file-input-bordered file-input-sm w-full"
+            />
+            {busy === "import" && <span className="loading loading-spinner loading-sm"></span>}
+            {importErrors.length > 0 && (
+              <ul className="text-xs text-error max-h-24 overflow-y-auto">
+                {importErrors.slice(0, 50).map((error) => (
+                  <li key={error.row}>
+                    Row {error.row}: {error.message}
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        </div>
+      </div>
+
+      <form onSubmit={saveCustomer} className="card bg-base-100 shadow">
+        <div className="card-body">
+          <h2 className="card-title">{editingId ? "Edit customer" : "Add customer"}</h2>
+          <div className="grid gap-2 md:grid-cols-4">
+            <input
+              value={form.email}
+              onChange={(event) => setForm({ ...form, email: event.target.value })}
+              placeholder="Email"
+              className="input input-bordered input-sm"
+            />
+            <input
+              value={form.domain}
+              onChange={(event) => setForm({ ...form, domain: event.target.value })}
+              placeholder="Domain (acme.com)"
+              className="input input-bordered input-sm"
+            />
+            <input
+              value={form.name}
+              onChange={(event) => setForm({ ...form, name: event.target.value })}
+              placeholder="Name / company"
+              className="input input-bordered input-sm"
+            />
+            <input
+              value={form.plan}
+              onChange={(event) => setForm({ ...form, plan: event.target.value })}
+              placeholder="Plan"
+              className="input input-bordered input-sm"
+            />
+            <input
+              type="number"
+              min="0"
+              step="0.01"
+              value={form.mrr}
+              onChange={(event) => setForm({ ...form, mrr: event.target.value })}
+              placeholder="MRR"
+              className="input input-bordered input-sm"
+            />
+            <input
+              type="number"
+              min="0"
+              step="1"
+              value={form.accountSize}
+              onChange={(event) => setForm({ ...form, accountSize: event.target.value })}
+              placeholder="Seats"
+              className="input input-bordered input-sm"
+            />
+            <select
+              value={form.churnRisk}
+              onChange={(event) => setForm({ ...form, churnRisk: event.target.value })}
+              className="select select-bordered select-sm"
+            >
+              {CHURN_RISKS.map((risk) => (
+                <option key={risk} value={risk}>
+                  {risk} churn risk
+                </option>
+              ))}
+            </select>
+            <div className="flex gap-2">
+              <button
+                type="submit"
+                disabled={Boolean(busy) || (!form.email.trim() && !form.domain.trim())}
+                className="btn btn-primary btn-sm"
+              >
+                {busy === "save" ? <span className="loading loading-spinner loading-xs"></span> : "Save"}
+              </button>
+              {editingId && (
+                <button
+                  type="button"
+                  onClick={() => {
+                    setEditingId(null);
+                    setForm(EMPTY_FORM);
+                  }}
+                  className="btn btn-ghost btn-sm"
+                >
+                  Cancel
+                </button>
+              )}
+            </div>
+          </div>
+        </div>
+      </form>
+
+      <div className="card bg-base-100 shadow">
+        <div className="card-body">
+          <div className="flex items-center justify-between gap-4">
+            <h2 className="card-title">Customers</h2>
+            <input
+              value={search}
+              onChange={(event) => setSearch(event.target.value)}
+              placeholder="Search..."
+              className="input input-bordered input-sm w-48"
+            />
+          </div>
+          {visible.length === 0 ? (
+            <p className="text-sm text-base-content/60 py-4">
+              {customers.length === 0
+                ? "No customers yet. Connect Stripe, import a file or add one above."
+                : "No customers match the search."}
+            </p>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="table table-sm">
+                <thead>
+                  <tr>
+                    <th>Customer</th>
+                    <th>Plan</th>
+                    <th className="text-right">MRR</th>
+                    <th className="text-right">Seats</th>
+                    <th>Churn risk</th>
+                    <th>Source</th>
+                    <th></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {visible.map((customer) => (
+                    <tr key={customer.id}>
+                      <td>
+                        <div className="font-medium">{customer.name || customer.email || customer.domain}</div>
+                        <div className="text-xs text-base-content/60">
+                          {[customer.email, customer.domain].filter(Boolean).join(" · ")}
+                        </div>
+                      </td>
+                      <td>{customer.plan || "—"}</td>
+                      <td className="text-right">{formatMoney(customer.mrr)}</td>
+                      <td className="text-right">{customer.accountSize ?? "—"}</td>
+                      <td>
+                        <span className={`badge badge-sm ${RISK_BADGES[customer.churnRisk]}`}>{customer.churnRisk}</span>
+                      </td>
+                      <td className="text-xs">{customer.source}</td>
+                      <td className="whitespace-nowrap text-right">
+                        <button onClick={() => editCustomer(customer)} disabled={Boolean(busy)} className="btn btn-xs btn-ghost">
+                          Edit
+                        </button>
+                        <button
+                          onClick={() => deleteCustomer(customer)}
+                          disabled={Boolean(busy)}
+                          className="btn btn-xs btn-ghost text-error"
+                        >
+                          {busy === customer.id ? <span className="loading loading-spinner loading-xs"></span> : "Delete"}
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
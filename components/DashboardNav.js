@@ -1,13 +1,19 @@
 "use client";
 
-import { useRouter, usePathname } from "next/navigation";
+import { useRouter, usePathname, useSearchParams } from "next/navigation";
 import { createClient } from "../libs/supabase/client.js";
-import { useState } from "react";
+import { useState, useEffect, useCallback } from "react";
+import { FEEDBACK_VIEWS_CHANGED } from "./FeedbackViewBar.js";
+
+// Saved view counts are refreshed this often, so new feedback shows up in the navigation
+const VIEW_COUNTS_INTERVAL = 60 * 1000;
 
 export default function DashboardNav() {
   const router = useRouter();
   const pathname = usePathname();
+  const searchParams = useSearchParams();
   const [isOpen, setIsOpen] = useState(false);
+  const [feedbackViews, setFeedbackViews] = useState([]);
 
   const supabase = createClient();
 
@@ -30,6 +36,12 @@ export default function DashboardNav() {
       icon: "📊",
       description: "View detailed analytics",
     },
+    {
+      name: "Customers",
+      href: "/dashboard/customers",
+      icon: "💳",
+      description: "Plans and MRR for prioritization",
+    },
     {
       name: "Integrations",
       href: "/dashboard/integrations",
@@ -50,6 +62,29 @@ export default function DashboardNav() {
     },
   ];
 
+  const loadFeedbackViews = useCallback(async () => {
+    try {
+      const response = await fetch("/api/feedback/views?counts=true");
+      const result = await response.json();
+      if (response.ok && result.success) {
+        setFeedbackViews(result.data.filter((view) => view.showInNav));
+      }
+    } catch (error) {
+      console.error("Failed to load feedback views:", error.message);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadFeedbackViews();
+    const timer = setInterval(loadFeedbackViews, VIEW_COUNTS_INTERVAL);
+    window.addEventListener(FEEDBACK_VIEWS_CHANGED, loadFeedbackViews);
+
+    return () => {
+      clearInterval(timer);
+      window.removeEventListener(FEEDBACK_VIEWS_CHANGED, loadFeedbackViews);
+    };
+  }, [loadFeedbackViews]);
+
   const handleSignOut = async () => {
     await supabase.auth.signOut();
     router.push("/");
@@ -104,7 +139,7 @@ export default function DashboardNav() {
         </div>
 
         {/* Navigation Items */}
-        <nav className="p-4">
+        <nav className="p-4 overflow-y-auto max-h-[calc(100%-15rem)]">
           <div className="space-y-2">
             {navItems.map((item) => (
               <button
@@ -126,6 +161,37 @@ export default function DashboardNav() {
                 </div>
               </button>
             ))}
+
+            {/* Saved feedback views with live counts */}
+            {feedbackViews.length > 0 && (
+              <div className="pt-2">
+                <div className="px-3 pb-1 text-xs font-semibold uppercase opacity-60">
+                  Saved views
+                </div>
+                {feedbackViews.map((view) => (
+                  <button
+                    key={view.id}
+                    onClick={() => {
+                      router.push(`/dashboard/feedback?view=${view.id}`);
+                      setIsOpen(false);
+                    }}
+                    className={`w-full flex items-center gap-2 px-3 py-1.5 rounded-lg text-left text-sm transition-colors ${
+                      pathname === "/dashboard/feedback" && searchParams.get("view") === view.id
+                        ? "bg-base-300 font-medium"
+                        : "hover:bg-base-300"
+                    }`}
+                  >
+                    <span className="flex-1 truncate">{view.name}</span>
+                    {view.newCount > 0 && (
+                      <span className="badge badge-xs badge-secondary" title="New since you last opened it">
+                        +{view.newCount}
+                      </span>
+                    )}
+                    {view.count !== null && <span className="badge badge-sm badge-ghost">{view.count}</span>}
+                  </button>
+                ))}
+              </div>
+            )}
           </div>
         </nav>
 
@@ -0,0 +1,141 @@
+"use client";
+
+import { useState } from "react";
+import toast from "react-hot-toast";
+import { FEEDBACK_STATUSES, FEEDBACK_STATUS_LABELS } from "../libs/feedback-filters.js";
+
+const PRIORITIES = ["low", "medium", "high", "urgent"];
+const CATEGORIES = ["feature", "bug", "improvement", "complaint", "praise", "question", "suggestion", "other"];
+
+/**
+ * Toolbar for the selected feedback items: one POST /api/feedback/batch per
+ * action. onDone(action, data) gets the batch result so the page can update
+ * its list (data.feedback for field changes and merged duplicates, data.deleted, data.job for a combined spec).
+ * clusters are the feedback groups ({ clusterId, theme }) to merge into.
+ */
+export default function FeedbackBulkActions({ selectedIds, clusters = [], onDone, onClear }) {
+  const [running, setRunning] = useState(null);
+
+  const run = async (action, params = {}) => {
+    try {
+      setRunning(action);
+      const response = await fetch("/api/feedback/batch", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ ids: selectedIds, action, ...params }),
+      });
+      const result = await response.json().catch(() => ({}));
+
+      if (!response.ok || !result.success) {
+        throw new Error(result.message || `HTTP error! status: ${response.status}`);
+      }
+
+      toast.success(result.message);
+      onDone(action, result.data);
+    } catch (error) {
+      toast.error(`Bulk action failed: ${error.message}`);
+    } finally {
+      setRunning(null);
+    }
+  };
+
+  const editTags = (action) => {
+    const input = prompt(action === "add_tags" ? "Tags to add (comma-separated)" : "Tags to remove (comma-separated)");
+    const tags = (input || "").split(",").map((tag) => tag.trim()).filter(Boolean);
+    if (tags.length > 0) run(action, { tags });
+  };
+
+  const remove = () => {
+    if (confirm(`Delete ${selectedIds.length} feedback items? This action cannot be undone.`)) run("delete");
+  };
+
+  const mergeDuplicates = () => {
+    if (confirm(`Merge ${selectedIds.length} feedback items into one? The most reported item is kept as the canonical one.`)) {
+      run("merge_duplicates");
+    }
+  };
+
+  const generateSpec = () => {
+    const title = prompt("Title of the combined spec", "");
+    if (title === null) return;
+    run("generate_spec", title.trim() ? { title: title.trim() } : {});
+  };
+
+  // Selects run their action once and go back to the placeholder
+  const actionSelect = (label, options, onPick) => (
+    <select
+      value=""
+      onChange={(e) => e.target.value && onPick(e.target.value)}
+      disabled={Boolean(running)}
+      className="select select-bordered select-xs"
+    >
+      <option value="">{label}</option>
+      {options.map((option) => (
+        <option key={option.value} value={option.value}>
+          {option.label}
+        </option>
+      ))}
+    </select>
+  );
+
+  if (selectedIds.length === 0) return null;
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 p-2 mb-4 rounded-lg bg-primary/10 border border-primary/30 text-sm">
+      <span className="font-medium">{selectedIds.length} selected</span>
+      <button onClick={onClear} className="btn btn-xs btn-ghost" disabled={Boolean(running)}>
+        Clear
+      </button>
+
+      <div className="flex-1" />
+
+      {running && <span className="loading loading-spinner loading-xs"></span>}
+      <button onClick={() => run("mark_processed")} disabled={Boolean(running)} className="btn btn-xs btn-success">
+        ✅ Processed
+      </button>
+      {actionSelect(
+        "Status…",
+        FEEDBACK_STATUSES.map((status) => ({ value: status, label: FEEDBACK_STATUS_LABELS[status] })),
+        (status) => run("set_status", { status })
+      )}
+      {actionSelect(
+        "Priority…",
+        PRIORITIES.map((priority) => ({ value: priority, label: priority })),
+        (priority) => run("set_priority", { priority })
+      )}
+      {actionSelect(
+        "Category…",
+        CATEGORIES.map((category) => ({ value: category, label: category })),
+        (category) => run("set_category", { category })
+      )}
+      {actionSelect(
+        "Tags…",
+        [
+          { value: "add_tags", label: "Add tags" },
+          { value: "remove_tags", label: "Remove tags" },
+        ],
+        editTags
+      )}
+      {clusters.length > 0 &&
+        actionSelect(
+          "Move to group…",
+          clusters.map((cluster) => ({ value: cluster.clusterId, label: cluster.theme || "Untitled" })),
+          (clusterId) => run("merge_cluster", { clusterId })
+        )}
+      {selectedIds.length > 1 && (
+        <button onClick={mergeDuplicates} disabled={Boolean(running)} className="btn btn-xs btn-outline">
+          🔗 Merge duplicates
+        </button>
+      )}
+      <button onClick={() => run("reanalyze")} disabled={Boolean(running)} className="btn btn-xs btn-outline">
+        🤖 Re-analyze
+      </button>
+      <button onClick={generateSpec} disabled={Boolean(running)} className="btn btn-xs btn-outline">
+        🎯 Combined spec
+      </button>
+      <button onClick={remove} disabled={Boolean(running)} className="btn btn-xs btn-error btn-outline">
+        🗑️ Delete
+      </button>
+    </div>
+  );
+}
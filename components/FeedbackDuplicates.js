@@ -0,0 +1,172 @@
+"use client";
+
+import { useState, useEffect, useCallback } from "react";
+import toast from "react-hot-toast";
+
+async function request(url, options) {
+  const response = await fetch(url, options);
+  const result = await response.json().catch(() => ({}));
+  if (!response.ok || !result.success) {
+    throw new Error(result.message || `HTTP error! status: ${response.status}`);
+  }
+  return result;
+}
+
+/**
+ * Duplicate group of one feedback item: the canonical item it's merged into,
+ * its duplicates and everyone who reported it, with unmerge and a lookup of
+ * similar feedback to merge by hand. onChange(items) gets the items a merge or
+ * unmerge changed, so the page can update them and reload its report counts.
+ */
+export default function FeedbackDuplicates({ feedback, onChange }) {
+  const [group, setGroup] = useState(null);
+  const [suggestions, setSuggestions] = useState(null);
+  const [busyId, setBusyId] = useState(null);
+
+  const loadGroup = useCallback(async () => {
+    try {
+      const result = await request(`/api/feedback/duplicates?id=${feedback.id}`);
+      setGroup(result.data);
+    } catch (error) {
+      console.error("Failed to load duplicates:", error.message);
+      setGroup(null);
+    }
+  }, [feedback.id]);
+
+  useEffect(() => {
+    setSuggestions(null);
+    loadGroup();
+  }, [loadGroup, feedback.duplicateOf, feedback.duplicateCount]);
+
+  const findSimilar = async () => {
+    try {
+      setBusyId("similar");
+      const result = await request(`/api/feedback/search?similarTo=${feedback.id}&limit=5`);
+      const grouped = new Set([group?.canonical.id, ...(group?.duplicates || []).map((item) => item.id)]);
+      setSuggestions(result.data.filter((item) => !grouped.has(item.id)));
+    } catch (error) {
+      toast.error(`Failed to find similar feedback: ${error.message}`);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const merge = async (item) => {
+    try {
+      setBusyId(item.id);
+      const result = await request("/api/feedback/duplicates", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ canonicalId: group?.canonical.id || feedback.id, ids: [item.id] }),
+      });
+      toast.success("Merged as a duplicate");
+      setSuggestions((prev) => prev?.filter((suggestion) => suggestion.id !== item.id) || null);
+      await loadGroup();
+      onChange(result.data.linked);
+    } catch (error) {
+      toast.error(`Failed to merge: ${error.message}`);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const unmerge = async (item) => {
+    try {
+      setBusyId(item.id);
+      const result = await request(`/api/feedback/duplicates?id=${item.id}`, { method: "DELETE" });
+      toast.success("Unmerged");
+      await loadGroup();
+      onChange([result.data.feedback]);
+    } catch (error) {
+      toast.error(`Failed to unmerge: ${error.message}`);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const canonical = group?.canonical;
+  const isDuplicate = canonical && canonical.id !== feedback.id;
+
+  return (
+    <div className="space-y-2 text-sm">
+      {isDuplicate && (
+        <div className="alert alert-info py-2 text-xs">
+          <span>
+            Merged into <span className="font-medium">{canonical.title}</span>
+          </span>
+          <button
+            onClick={() => unmerge(feedback)}
+            disabled={Boolean(busyId)}
+            className="btn btn-xs btn-ghost"
+          >
+            Unmerge
+          </button>
+        </div>
+      )}
+
+      {group?.reporters.length > 1 && (
+        <div>
+          <p className="text-xs font-medium mb-1">Reported by {group.reporters.length} people</p>
+          <ul className="space-y-1">
+            {group.reporters.map((reporter) => (
+              <li key={reporter.feedbackId} className="text-xs text-base-content/70 flex justify-between gap-2">
+                <span className="truncate">
+                  {reporter.email || reporter.name || "Anonymous"} · {reporter.source}
+                </span>
+                <span className="whitespace-nowrap">{new Date(reporter.submittedAt).toLocaleDateString()}</span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {!isDuplicate && group?.duplicates.length > 0 && (
+        <ul className="space-y-1">
+          {group.duplicates.map((item) => (
+            <li key={item.id} className="flex items-start justify-between gap-2 p-2 rounded bg-base-200">
+              <span className="text-xs line-clamp-2">
+                {item.content}
+                {item.duplicateScore !== null && (
+                  <span className="text-base-content/50"> · auto {Math.round(item.duplicateScore * 100)}%</span>
+                )}
+              </span>
+              <button
+                onClick={() => unmerge(item)}
+                disabled={Boolean(busyId)}
+                className="btn btn-xs btn-ghost"
+              >
+                {busyId === item.id ? <span className="loading loading-spinner loading-xs"></span> : "Unmerge"}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {suggestions === null ? (
+        <button onClick={findSimilar} disabled={Boolean(busyId)} className="btn btn-xs btn-outline w-full">
+          {busyId === "similar" ? <span className="loading loading-spinner loading-xs"></span> : "🔍 Find duplicates to merge"}
+        </button>
+      ) : suggestions.length === 0 ? (
+        <p className="text-xs text-base-content/60">No similar feedback found.</p>
+      ) : (
+        <ul className="space-y-1">
+          {suggestions.map((item) => (
+            <li key={item.id} className="flex items-start justify-between gap-2 p-2 rounded border border-base-300">
+              <span className="text-xs line-clamp-2">
+                {item.content}
+                <span className="text-base-content/50"> · {Math.round(item.search.score * 100)}% similar</span>
+              </span>
+              <button
+                onClick={() => merge(item)}
+                disabled={Boolean(busyId)}
+                className="btn btn-xs btn-primary btn-outline"
+              >
+                {busyId === item.id ? <span className="loading loading-spinner loading-xs"></span> : "Merge"}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,105 @@
+"use client";
+
+import { useState } from "react";
+import { DEFAULT_FEEDBACK_FILTERS, feedbackFiltersToParams } from "../libs/feedback-filters.js";
+
+const FORMATS = [
+  { value: "csv", label: "CSV", description: "Feedback only, one row per item - opens in Excel or Sheets" },
+  { value: "jsonl", label: "JSONL", description: "Feedback, clusters and specs, one JSON object per line" },
+  { value: "markdown", label: "Markdown (zip)", description: "A file per spec and per cluster with its feedback" },
+];
+
+const FILTER_OPTIONS = {
+  category: ["feature", "bug", "improvement", "complaint", "praise", "question", "suggestion", "other"],
+  priority: ["low", "medium", "high", "urgent"],
+  processed: ["processed", "unprocessed"],
+};
+
+/**
+ * Export of feedback, clusters and specs. The file is streamed by
+ * /api/feedback/export, so the browser downloads it directly.
+ * Filters start from the feedback page's (filters prop).
+ */
+export default function FeedbackExport({ sources = [], filters: initialFilters = DEFAULT_FEEDBACK_FILTERS, onClose }) {
+  const [format, setFormat] = useState("csv");
+  const [filters, setFilters] = useState(initialFilters);
+
+  const updateFilter = (key, value) => setFilters((prev) => ({ ...prev, [key]: value }));
+
+  const params = feedbackFiltersToParams(filters);
+  params.set("format", format);
+  const exportUrl = `/api/feedback/export?${params}`;
+
+  const selects = { ...FILTER_OPTIONS, source: sources };
+
+  return (
+    <div className="card bg-base-200 shadow-xl">
+      <div className="card-body">
+        <h2 className="card-title text-2xl mb-2">📤 Export</h2>
+
+        <div className="space-y-2">
+          {FORMATS.map((option) => (
+            <label key={option.value} className="flex items-start gap-3 cursor-pointer">
+              <input
+                type="radio"
+                name="export-format"
+                className="radio radio-primary radio-sm mt-1"
+                checked={format === option.value}
+                onChange={() => setFormat(option.value)}
+              />
+              <span>
+                <span className="font-medium">{option.label}</span>
+                <span className="block text-sm opacity-70">{option.description}</span>
+              </span>
+            </label>
+          ))}
+        </div>
+
+        <div className="divider text-sm">Filters</div>
+
+        <input
+          type="text"
+          value={filters.search}
+          onChange={(e) => updateFilter("search", e.target.value)}
+          placeholder="Search title, content or tags"
+          className="input input-bordered input-sm w-full"
+        />
+
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-3 mt-3">
+          {Object.entries(selects).map(([key, options]) => (
+            <label key={key} className="form-control">
+              <span className="label-text text-xs capitalize">{key}</span>
+              <select
+                value={filters[key]}
+                onChange={(e) => updateFilter(key, e.target.value)}
+                className="select select-bordered select-xs"
+              >
+                <option value="all">All</option>
+                {options.map((option) => (
+                  <option key={option} value={option}>
+                    {option}
+                  </option>
+                ))}
+              </select>
+            </label>
+          ))}
+        </div>
+
+        {format !== "csv" && (
+          <p className="text-xs opacity-70 mt-3">
+            With filters, only clusters and specs of the matching feedback are included.
+          </p>
+        )}
+
+        <div className="card-actions justify-end gap-2 mt-4">
+          <button onClick={onClose} className="btn btn-ghost">
+            Close
+          </button>
+          <a href={exportUrl} download className="btn btn-primary">
+            Download
+          </a>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,340 @@
+"use client";
+
+import { useState, useRef } from "react";
+import { parseImportFile, suggestMapping } from "../libs/import/client.js";
+
+// Rows per request; the server accepts up to 500
+const CHUNK_SIZE = 200;
+const MAX_RETRIES = 3;
+
+const FIELDS = [
+  { field: "content", label: "Content *" },
+  { field: "title", label: "Title (or first line of content)" },
+  { field: "source", label: "Source" },
+  { field: "priority", label: "Priority" },
+  { field: "category", label: "Category" },
+  { field: "tags", label: "Tags (comma separated)" },
+  { field: "userEmail", label: "User email" },
+  { field: "date", label: "Date" },
+];
+
+const DEFAULT_OPTIONS = {
+  source: ["other", "support", "survey", "email", "website", "manual", "twitter", "discord", "slack", "github"],
+  priority: ["low", "medium", "high", "urgent"],
+  category: ["other", "feature", "bug", "improvement", "complaint", "praise", "question", "suggestion"],
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Bulk import of historical feedback from CSV, JSON or JSONL files.
+ * The file is parsed here and sent in chunks; an interrupted import can be
+ * resumed by choosing the same file again.
+ */
+export default function FeedbackImport({ onComplete, onCancel }) {
+  const [file, setFile] = useState(null);
+  const [parsed, setParsed] = useState(null);
+  const [mapping, setMapping] = useState({});
+  const [defaults, setDefaults] = useState({ source: "other", priority: "medium", category: "other" });
+  const [resumable, setResumable] = useState(null);
+  const [feedbackImport, setFeedbackImport] = useState(null);
+  const [rowErrors, setRowErrors] = useState([]);
+  const [isParsing, setIsParsing] = useState(false);
+  const [isImporting, setIsImporting] = useState(false);
+  const [error, setError] = useState(null);
+  const pauseRequested = useRef(false);
+
+  const handleFileChange = async (event) => {
+    const selected = event.target.files?.[0];
+    if (!selected) return;
+
+    setFile(selected);
+    setParsed(null);
+    setFeedbackImport(null);
+    setRowErrors([]);
+    setResumable(null);
+    setError(null);
+    setIsParsing(true);
+
+    try {
+      const result = await parseImportFile(selected);
+      if (result.records.length === 0) {
+        throw new Error("The file has no rows");
+      }
+
+      setParsed(result);
+      setMapping(suggestMapping(result.columns));
+
+      // An unfinished import of the same file can continue where it stopped
+      const response = await fetch("/api/feedback/imports");
+      const imports = await response.json();
+      if (response.ok) {
+        setResumable(
+          imports.data.find(
+            (item) => item.status === "in_progress" && item.file_fingerprint === result.fingerprint
+          ) || null
+        );
+      }
+    } catch (error) {
+      console.error("Error reading import file:", error);
+      setError(error.message);
+    } finally {
+      setIsParsing(false);
+    }
+  };
+
+  /**
+   * Send the remaining rows chunk by chunk, retrying network and server errors
+   */
+  const runImport = async (current) => {
+    pauseRequested.current = false;
+    setIsImporting(true);
+    setError(null);
+
+    let state = current;
+    try {
+      while (state.processed_rows < state.total_rows) {
+        if (pauseRequested.current) return;
+
+        const offset = state.processed_rows;
+        const rows = parsed.records.slice(offset, offset + CHUNK_SIZE);
+
+        let result;
+        for (let attempt = 1; ; attempt++) {
+          try {
+            const response = await fetch(`/api/feedback/imports/${state.id}/rows`, {
+              method: "POST",
+              headers: { "Content-Type": "application/json" },
+              body: JSON.stringify({ offset, rows }),
+            });
+            result = await response.json();
+
+            if (!response.ok) {
+              const retryable = response.status >= 500;
+              throw Object.assign(new Error(result.message || "Failed to import rows"), { retryable });
+            }
+            break;
+          } catch (error) {
+            if (error.retryable === false || attempt >= MAX_RETRIES) throw error;
+            await sleep(1000 * 2 ** attempt);
+          }
+        }
+
+        state = result.data;
+        setFeedbackImport(state);
+        if (result.chunk?.errors?.length) {
+          setRowErrors((prev) => [...prev, ...result.chunk.errors]);
+        }
+      }
+
+      onComplete?.(state);
+    } catch (error) {
+      console.error("Error importing feedback:", error);
+      setError(`${error.message}. Continue to resume from row ${state.processed_rows + 1}.`);
+    } finally {
+      setIsImporting(false);
+    }
+  };
+
+  const startImport = async () => {
+    try {
+      setError(null);
+      const response = await fetch("/api/feedback/imports", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          fileName: file.name,
+          fingerprint: parsed.fingerprint,
+          format: parsed.format,
+          totalRows: parsed.records.length,
+          mapping,
+          defaults,
+        }),
+      });
+      const result = await response.json();
+
+      if (!response.ok) {
+        throw new Error(result.message || "Failed to start import");
+      }
+
+      setFeedbackImport(result.data);
+      await runImport(result.data);
+    } catch (error) {
+      console.error("Error starting import:", error);
+      setError(error.message);
+    }
+  };
+
+  const resumeImport = async () => {
+    setFeedbackImport(resumable);
+    setRowErrors(resumable.errors || []);
+    setResumable(null);
+    await runImport(resumable);
+  };
+
+  const progress = feedbackImport
+    ? Math.round((feedbackImport.processed_rows / feedbackImport.total_rows) * 100)
+    : 0;
+  const completed = feedbackImport?.status === "completed";
+  const preview = parsed?.records.slice(0, 3) || [];
+
+  return (
+    <div className="card bg-base-200 shadow-xl">
+      <div className="card-body">
+        <h2 className="card-title text-2xl mb-2">📥 Import Feedback</h2>
+        <p className="text-sm opacity-70 mb-4">
+          CSV, JSON or JSONL with one feedback item per row. Rows whose content already exists are skipped.
+        </p>
+
+        {!feedbackImport && (
+          <div className="space-y-4">
+            <input
+              type="file"
+              accept=".csv,.tsv,.txt,.json,.jsonl,.ndjson"
+              onChange={handleFileChange}
+              className="file-input file-input-bordered w-full"
+              disabled={isParsing}
+            />
+
+            {isParsing && <span className="loading loading-spinner loading-sm"></span>}
+
+            {resumable && (
+              <div className="alert alert-info text-sm">
+                <span>
+                  This file was imported before up to row {resumable.processed_rows} of{" "}
+                  {resumable.total_rows}.
+                </span>
+                <button onClick={resumeImport} className="btn btn-sm btn-primary">
+                  Resume from row {resumable.processed_rows + 1}
+                </button>
+              </div>
+            )}
+
+            {parsed && (
+              <>
+                <div className="text-sm">
+                  <span className="badge badge-outline mr-2">{parsed.format.toUpperCase()}</span>
+                  {parsed.records.length} rows · {parsed.columns.length} columns
+                </div>
+
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+                  {FIELDS.map(({ field, label }) => (
+                    <label key={field} className="form-control">
+                      <span className="label-text text-sm">{label}</span>
+                      <select
+                        value={mapping[field] || ""}
+                        onChange={(e) => setMapping((prev) => ({ ...prev, [field]: e.target.value }))}
+                        className="select select-bordered select-sm"
+                      >
+                        <option value="">{field === "content" ? "Choose a column" : "Not in the file"}</option>
+                        {parsed.columns.map((column) => (
+                          <option key={column} value={column}>
+                            {column}
+                          </option>
+                        ))}
+                      </select>
+                    </label>
+                  ))}
+                </div>
+
+                <div className="grid grid-cols-3 gap-3">
+                  {Object.entries(DEFAULT_OPTIONS).map(([field, options]) => (
+                    <label key={field} className="form-control">
+                      <span className="label-text text-xs">Default {field}</span>
+                      <select
+                        value={defaults[field]}
+                        onChange={(e) => setDefaults((prev) => ({ ...prev, [field]: e.target.value }))}
+                        className="select select-bordered select-xs"
+                      >
+                        {options.map((option) => (
+                          <option key={option} value={option}>
+                            {option}
+                          </option>
+                        ))}
+                      </select>
+                    </label>
+                  ))}
+                </div>
+
+                {mapping.content && (
+                  <div className="card bg-base-300 shadow-sm">
+                    <div className="card-body p-4 text-sm space-y-2">
+                      <h3 className="font-semibold">Preview</h3>
+                      {preview.map((record, index) => (
+                        <div key={index} className="border-b border-base-100 pb-2 last:border-0">
+                          <div className="font-medium truncate">
+                            {(mapping.title && record[mapping.title]) || String(record[mapping.content] ?? "").split("\n")[0]}
+                          </div>
+                          <div className="opacity-70 line-clamp-2">{String(record[mapping.content] ?? "")}</div>
+                        </div>
+                      ))}
+                    </div>
+                  </div>
+                )}
+              </>
+            )}
+          </div>
+        )}
+
+        {feedbackImport && (
+          <div className="space-y-3">
+            <div className="flex justify-between text-sm">
+              <span>
+                {feedbackImport.processed_rows} / {feedbackImport.total_rows} rows
+              </span>
+              <span>{progress}%</span>
+            </div>
+            <progress className="progress progress-primary w-full" value={progress} max="100"></progress>
+            <div className="flex gap-2 text-sm">
+              <span className="badge badge-success">{feedbackImport.created_count} imported</span>
+              <span className="badge badge-ghost">{feedbackImport.duplicate_count} duplicates</span>
+              <span className="badge badge-error">{feedbackImport.error_count} errors</span>
+            </div>
+
+            {rowErrors.length > 0 && (
+              <div className="bg-base-300 rounded-lg p-3 max-h-48 overflow-y-auto text-xs space-y-1">
+                {rowErrors.slice(0, 200).map((rowError) => (
+                  <div key={rowError.row}>
+                    <span className="font-medium">Row {rowError.row}:</span> {rowError.errors.join(", ")}
+                  </div>
+                ))}
+                {feedbackImport.error_count > 200 && (
+                  <div className="opacity-70">…and {feedbackImport.error_count - 200} more</div>
+                )}
+              </div>
+            )}
+
+            {completed && <div className="alert alert-success text-sm">Import finished</div>}
+          </div>
+        )}
+
+        {error && <div className="alert alert-error text-sm mt-4">{error}</div>}
+
+        <div className="card-actions justify-end gap-2 mt-4">
+          {isImporting && (
+            <button onClick={() => (pauseRequested.current = true)} className="btn btn-ghost">
+              Pause
+            </button>
+          )}
+          {!isImporting && feedbackImport && !completed && parsed && (
+            <button onClick={() => runImport(feedbackImport)} className="btn btn-primary">
+              Continue
+            </button>
+          )}
+          <button onClick={onCancel} className="btn btn-ghost" disabled={isImporting}>
+            {completed ? "Close" : "Cancel"}
+          </button>
+          {!feedbackImport && (
+            <button
+              onClick={startImport}
+              className="btn btn-primary"
+              disabled={!parsed || !mapping.content || isParsing}
+            >
+              Import {parsed ? `${parsed.records.length} rows` : ""}
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
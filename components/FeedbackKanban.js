@@ -0,0 +1,116 @@
+"use client";
+
+import { useState } from "react";
+import {
+  FEEDBACK_STATUSES,
+  FEEDBACK_STATUS_LABELS,
+  feedbackStatus,
+} from "../libs/feedback-filters.js";
+
+export const STATUS_BADGES = {
+  new: "badge-warning",
+  triaged: "badge-info",
+  planned: "badge-primary",
+  in_progress: "badge-secondary",
+  shipped: "badge-success",
+  wont_do: "badge-ghost",
+};
+
+const PRIORITY_BADGES = {
+  low: "badge-info",
+  medium: "badge-warning",
+  high: "badge-error",
+  urgent: "badge-error",
+};
+
+function isOverdue(item) {
+  if (!item.dueDate || ["shipped", "wont_do"].includes(feedbackStatus(item))) return false;
+  return item.dueDate < new Date().toISOString().slice(0, 10);
+}
+
+/**
+ * Triage board: one column per status. Cards are dragged between columns,
+ * which calls onStatusChange(item, status); clicking a card calls onSelect.
+ * updatingId marks the card whose change is being saved.
+ */
+export default function FeedbackKanban({ feedback = [], selectedId, updatingId, onSelect, onStatusChange }) {
+  const [draggedId, setDraggedId] = useState(null);
+  const [overStatus, setOverStatus] = useState(null);
+
+  const columns = FEEDBACK_STATUSES.map((status) => ({
+    status,
+    items: feedback.filter((item) => feedbackStatus(item) === status),
+  }));
+
+  const drop = (status) => {
+    const item = feedback.find((entry) => entry.id === draggedId);
+    setDraggedId(null);
+    setOverStatus(null);
+    if (item && feedbackStatus(item) !== status) onStatusChange(item, status);
+  };
+
+  return (
+    <div className="flex gap-3 overflow-x-auto pb-2">
+      {columns.map(({ status, items }) => (
+        <div
+          key={status}
+          onDragOver={(e) => {
+            e.preventDefault();
+            setOverStatus(status);
+          }}
+          onDragLeave={() => setOverStatus((current) => (current === status ? null : current))}
+          onDrop={(e) => {
+            e.preventDefault();
+            drop(status);
+          }}
+          className={`flex-shrink-0 w-56 rounded-lg p-2 transition-colors ${
+            overStatus === status && draggedId ? "bg-primary/10" : "bg-base-300/50"
+          }`}
+        >
+          <div className="flex items-center justify-between mb-2 px-1">
+            <span className={`badge badge-sm ${STATUS_BADGES[status]}`}>{FEEDBACK_STATUS_LABELS[status]}</span>
+            <span className="text-xs text-base-content/60">{items.length}</span>
+          </div>
+
+          <div className="space-y-2 min-h-[4rem]">
+            {items.map((item) => (
+              <div
+                key={item.id}
+                draggable={updatingId !== item.id}
+                onDragStart={(e) => {
+                  e.dataTransfer.effectAllowed = "move";
+                  e.dataTransfer.setData("text/plain", item.id);
+                  setDraggedId(item.id);
+                }}
+                onDragEnd={() => {
+                  setDraggedId(null);
+                  setOverStatus(null);
+                }}
+                onClick={() => onSelect(item)}
+                className={`rounded-lg border p-2 bg-base-100 cursor-pointer text-sm ${
+                  selectedId === item.id ? "border-primary" : "border-base-300 hover:border-base-content/30"
+                } ${updatingId === item.id || draggedId === item.id ? "opacity-50" : ""}`}
+              >
+                <p className="font-medium line-clamp-2">{item.title}</p>
+                <div className="flex flex-wrap items-center gap-1 mt-1">
+                  <span className={`badge badge-xs ${PRIORITY_BADGES[item.priority] || "badge-ghost"}`}>
+                    {item.priority}
+                  </span>
+                  {item.assignee && <span className="badge badge-xs badge-outline">@{item.assignee}</span>}
+                  {item.dueDate && (
+                    <span
+                      className={`text-xs ${isOverdue(item) ? "text-error" : "text-base-content/60"}`}
+                      title={isOverdue(item) ? "Overdue" : "Due date"}
+                    >
+                      📅 {item.dueDate}
+                    </span>
+                  )}
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,49 @@
+"use client";
+
+// Factor order and labels of libs/scoring SCORE_WEIGHTS
+const FACTORS = [
+  { key: "value", label: "Customer value", weight: 35 },
+  { key: "frequency", label: "Reports", weight: 25 },
+  { key: "urgency", label: "Urgency", weight: 20 },
+  { key: "sentiment", label: "Sentiment", weight: 10 },
+  { key: "recency", label: "Recency", weight: 10 },
+];
+
+/**
+ * Priority score of a feedback item and what it's made of: the MRR of the
+ * customers who reported it, how often it was reported, urgency, sentiment
+ * and how recent the latest report is
+ */
+export default function FeedbackScore({ feedback }) {
+  if (feedback.duplicateOf) {
+    return <p className="text-xs text-base-content/60">Scored with the item it&apos;s merged into.</p>;
+  }
+  if (typeof feedback.priorityScore !== "number" || !feedback.priorityFactors) {
+    return <p className="text-xs text-base-content/60">Not scored yet - scores are updated in the background.</p>;
+  }
+
+  const factors = feedback.priorityFactors;
+
+  return (
+    <div className="space-y-2 text-sm">
+      <div className="flex items-baseline justify-between">
+        <span className="text-2xl font-bold">{Math.round(feedback.priorityScore)}</span>
+        <span className="text-xs text-base-content/60">
+          {factors.mrr > 0
+            ? `$${factors.mrr.toLocaleString()} MRR from ${factors.customers} customer${factors.customers === 1 ? "" : "s"}`
+            : "No matched paying customers"}
+          {" · "}
+          {factors.reports} report{factors.reports === 1 ? "" : "s"}
+        </span>
+      </div>
+      {FACTORS.map((factor) => (
+        <div key={factor.key} className="flex items-center gap-2 text-xs">
+          <span className="w-28 shrink-0">
+            {factor.label} <span className="text-base-content/50">({factor.weight}%)</span>
+          </span>
+          <progress className="progress progress-primary" value={Math.round((factors[factor.key] || 0) * 100)} max="100"></progress>
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,228 @@
+"use client";
+
+import { useState, useEffect, useRef } from "react";
+
+const MODES = [
+  { value: "text", label: "Keywords", placeholder: 'Search feedback - "exact phrase", -exclude' },
+  { value: "semantic", label: "Meaning", placeholder: "Describe what you're looking for" },
+];
+
+const PAGE_SIZE = 20;
+
+/**
+ * Snippet segments from /api/feedback/search with matches highlighted
+ */
+export function Highlighted({ segments, fallback = "" }) {
+  if (!segments || segments.length === 0) return fallback;
+
+  return segments.map((segment, index) =>
+    segment.match ? (
+      <mark key={index} className="bg-warning/40 text-inherit rounded px-0.5">
+        {segment.text}
+      </mark>
+    ) : (
+      <span key={index}>{segment.text}</span>
+    )
+  );
+}
+
+/**
+ * Ranked feedback search (GET /api/feedback/search): keywords, meaning, or
+ * feedback similar to one item (similarTo). Results are shown below the
+ * input; renderActions adds buttons to each result.
+ */
+export default function FeedbackSearch({
+  filters = null,
+  similarTo = null,
+  onClearSimilar,
+  onSelect,
+  onActiveChange,
+  renderActions,
+  selectedId = null,
+}) {
+  const [query, setQuery] = useState("");
+  const [mode, setMode] = useState("text");
+  const [results, setResults] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [resultMode, setResultMode] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Responses of outdated queries are dropped
+  const requestId = useRef(0);
+
+  const active = Boolean(similarTo || query.trim());
+
+  const search = async (offset = 0) => {
+    const params = new URLSearchParams(filters || undefined);
+    if (similarTo) {
+      params.set("similarTo", similarTo.id);
+    } else {
+      params.set("q", query.trim());
+      params.set("mode", mode);
+    }
+    params.set("limit", String(PAGE_SIZE));
+    params.set("offset", String(offset));
+
+    const id = ++requestId.current;
+    setLoading(true);
+    setError(null);
+
+    try {
+      const response = await fetch(`/api/feedback/search?${params}`);
+      const result = await response.json().catch(() => ({}));
+      if (id !== requestId.current) return;
+
+      if (!response.ok || !result.success) {
+        throw new Error(result.message || `HTTP ${response.status}: ${response.statusText}`);
+      }
+
+      setResults((prev) => (offset === 0 ? result.data : [...prev, ...result.data]));
+      setPagination(result.pagination);
+      setResultMode(result.mode);
+    } catch (err) {
+      if (id === requestId.current) {
+        setError(err.message);
+        if (offset === 0) setResults([]);
+      }
+    } finally {
+      if (id === requestId.current) setLoading(false);
+    }
+  };
+
+  // Keyword searches run as you type; meaning searches embed the query, so they wait for Enter
+  useEffect(() => {
+    if (!active) {
+      requestId.current++;
+      setResults([]);
+      setPagination(null);
+      setError(null);
+      setLoading(false);
+      return;
+    }
+    if (mode === "semantic" && !similarTo) return;
+
+    const timer = setTimeout(() => search(0), 300);
+    return () => clearTimeout(timer);
+  }, [query, mode, similarTo?.id, filters]);
+
+  useEffect(() => {
+    onActiveChange?.(active);
+  }, [active, onActiveChange]);
+
+  const clear = () => {
+    setQuery("");
+    onClearSimilar?.();
+  };
+
+  const current = MODES.find((option) => option.value === mode);
+
+  return (
+    <div className="space-y-3">
+      {similarTo ? (
+        <div className="alert py-2">
+          <span className="text-sm">
+            🔗 Feedback similar to <strong>{similarTo.title}</strong>
+          </span>
+          <button onClick={clear} className="btn btn-xs btn-ghost">
+            ✕ Clear
+          </button>
+        </div>
+      ) : (
+        <form
+          className="join w-full"
+          onSubmit={(e) => {
+            e.preventDefault();
+            if (active) search(0);
+          }}
+        >
+          <input
+            type="search"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            placeholder={current.placeholder}
+            maxLength={200}
+            className="input input-bordered input-sm join-item flex-1"
+          />
+          <select
+            value={mode}
+            onChange={(e) => setMode(e.target.value)}
+            className="select select-bordered select-sm join-item"
+            title="Match keywords, or feedback with a similar meaning"
+          >
+            {MODES.map((option) => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+          <button type="submit" className="btn btn-sm btn-primary join-item" disabled={!active || loading}>
+            🔍
+          </button>
+        </form>
+      )}
+
+      {error && <div className="alert alert-error py-2 text-sm">{error}</div>}
+
+      {active && !error && (
+        <div className="space-y-2">
+          {pagination && (
+            <p className="text-xs text-base-content/60">
+              {pagination.total === 0
+                ? "No matching feedback"
+                : `${pagination.total} result${pagination.total === 1 ? "" : "s"}, best matches first`}
+            </p>
+          )}
+
+          {results.map((item) => (
+            <div
+              key={item.id}
+              className={`border rounded-lg p-3 transition-all ${onSelect ? "cursor-pointer" : ""} ${
+                selectedId === item.id ? "border-primary bg-primary/10" : "border-base-300 hover:bg-base-300/50"
+              }`}
+              onClick={() => onSelect?.(item)}
+            >
+              <div className="flex items-start justify-between gap-3">
+                <div className="flex-1 min-w-0">
+                  <div className="flex items-center gap-2 mb-1">
+                    <span className="text-sm font-medium truncate">
+                      <Highlighted segments={item.search?.titleSnippet} fallback={item.title} />
+                    </span>
+                    <span className="badge badge-xs badge-ghost" title="Relevance">
+                      {resultMode === "text"
+                        ? item.search?.score
+                        : `${Math.round((item.search?.score || 0) * 100)}%`}
+                    </span>
+                  </div>
+                  <p className="text-xs text-base-content/80 line-clamp-3">
+                    <Highlighted segments={item.search?.snippet} fallback={item.content} />
+                  </p>
+                  <div className="flex items-center gap-2 mt-1 text-xs text-base-content/60">
+                    <span>{item.source}</span>
+                    <span>{new Date(item.submittedAt).toLocaleDateString()}</span>
+                    <span>{item.category}</span>
+                  </div>
+                </div>
+                {renderActions && <div className="flex flex-col gap-1">{renderActions(item)}</div>}
+              </div>
+            </div>
+          ))}
+
+          {loading && (
+            <div className="text-center py-2">
+              <span className="loading loading-spinner loading-sm"></span>
+            </div>
+          )}
+
+          {!loading && pagination?.hasMore && (
+            <div className="text-center">
+              <button onClick={() => search(pagination.offset + pagination.limit)} className="btn btn-sm btn-ghost">
+                More results
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
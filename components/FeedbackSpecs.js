@@ -0,0 +1,75 @@
+"use client";
+
+import { useState, useEffect, useCallback } from "react";
+import Link from "next/link";
+
+const VIA_LABELS = {
+  canonical: "via the item it's merged into",
+  duplicate: "via a merged duplicate",
+};
+
+async function request(url, options) {
+  const response = await fetch(url, options);
+  const result = await response.json().catch(() => ({}));
+  if (!response.ok || !result.success) {
+    throw new Error(result.message || `HTTP error! status: ${response.status}`);
+  }
+  return result;
+}
+
+/**
+ * Specs generated from a feedback item, including the specs of the other
+ * items of its duplicate group, with links to each spec's versions and editor.
+ * latestSpec is the spec the page just generated for the item, so the list
+ * reloads after a generation.
+ */
+export default function FeedbackSpecs({ feedback, latestSpec }) {
+  const [specs, setSpecs] = useState(null);
+
+  const loadSpecs = useCallback(async () => {
+    try {
+      const result = await request(`/api/feedback/${feedback.id}/specs`);
+      setSpecs(result.data);
+    } catch (error) {
+      console.error("Failed to load feedback specs:", error.message);
+      setSpecs([]);
+    }
+  }, [feedback.id]);
+
+  useEffect(() => {
+    loadSpecs();
+  }, [loadSpecs, feedback.duplicateOf, feedback.duplicateCount, latestSpec]);
+
+  if (!specs) {
+    return <span className="loading loading-spinner loading-xs"></span>;
+  }
+  if (specs.length === 0) {
+    return <p className="text-xs text-base-content/60">No specs generated from this feedback yet.</p>;
+  }
+
+  return (
+    <ul className="space-y-1 text-sm">
+      {specs.map((spec) => (
+        <li key={spec.id} className="flex items-center justify-between gap-2 p-2 rounded bg-base-200">
+          <div className="min-w-0">
+            <div className="text-xs font-medium truncate">{spec.title}</div>
+            <div className="text-xs text-base-content/60">
+              v{spec.currentVersion}
+              {spec.approvedVersionId && <span className="badge badge-success badge-xs ml-1">approved</span>}
+              {VIA_LABELS[spec.via] && ` · ${VIA_LABELS[spec.via]}`}
+              {spec.lastVersion < spec.currentVersion && ` · used up to v${spec.lastVersion}`}
+            </div>
+          </div>
+          <div className="flex shrink-0">
+            <Link href={`/dashboard/specs?spec=${spec.id}`} className="btn btn-xs btn-ghost">
+              Open
+            </Link>
+            <Link href={`/dashboard/specs/${spec.id}`} className="btn btn-xs btn-ghost">
+              Edit
+            </Link>
+          </div>
+        </li>
+      ))}
+    </ul>
+  );
+}
@@ -0,0 +1,162 @@
+"use client";
+
+import { useState, useEffect, useCallback } from "react";
+import toast from "react-hot-toast";
+import {
+  FEEDBACK_STATUSES,
+  FEEDBACK_STATUS_LABELS,
+  feedbackStatus,
+} from "../libs/feedback-filters.js";
+
+function formFor(feedback) {
+  return {
+    status: feedbackStatus(feedback),
+    assignee: feedback.assignee || "",
+    dueDate: feedback.dueDate || "",
+    notes: feedback.notes || "",
+    statusNote: "",
+  };
+}
+
+/**
+ * Triage fields of one feedback item - status, assignee, due date and internal
+ * notes - with its status history. onSave(changes) sends the changed fields
+ * (PUT /api/feedback) and resolves once the feedback is updated.
+ */
+export default function FeedbackTriage({ feedback, onSave }) {
+  const [form, setForm] = useState(() => formFor(feedback));
+  const [history, setHistory] = useState([]);
+  const [saving, setSaving] = useState(false);
+
+  const loadHistory = useCallback(async () => {
+    try {
+      const response = await fetch(`/api/feedback/history?id=${feedback.id}`);
+      const result = await response.json();
+      if (!response.ok || !result.success) {
+        throw new Error(result.message || `HTTP error! status: ${response.status}`);
+      }
+      setHistory(result.data);
+    } catch (error) {
+      console.error("Failed to load status history:", error.message);
+      setHistory([]);
+    }
+  }, [feedback.id]);
+
+  // Reset when another item is selected or the item changes elsewhere (e.g. on the board)
+  useEffect(() => {
+    setForm(formFor(feedback));
+  }, [feedback.id, feedback.status, feedback.assignee, feedback.dueDate, feedback.notes]);
+
+  useEffect(() => {
+    loadHistory();
+  }, [loadHistory, feedback.status]);
+
+  const saved = formFor(feedback);
+  const changes = {};
+  if (form.status !== saved.status) changes.status = form.status;
+  if (form.assignee.trim() !== saved.assignee) changes.assignee = form.assignee.trim() || null;
+  if (form.dueDate !== saved.dueDate) changes.dueDate = form.dueDate || null;
+  if (form.notes.trim() !== saved.notes) changes.notes = form.notes.trim() || null;
+  const hasChanges = Object.keys(changes).length > 0;
+
+  const save = async () => {
+    if (changes.status && form.statusNote.trim()) changes.statusNote = form.statusNote.trim();
+
+    try {
+      setSaving(true);
+      await onSave(changes);
+      toast.success("Triage saved");
+    } catch (error) {
+      toast.error(`Failed to save triage: ${error.message}`);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const update = (key, value) => setForm((prev) => ({ ...prev, [key]: value }));
+
+  return (
+    <div className="space-y-2 text-sm">
+      <div className="grid grid-cols-2 gap-2">
+        <label className="form-control">
+          <span className="label-text text-xs">Status</span>
+          <select
+            value={form.status}
+            onChange={(e) => update("status", e.target.value)}
+            className="select select-bordered select-sm"
+          >
+            {FEEDBACK_STATUSES.map((status) => (
+              <option key={status} value={status}>
+                {FEEDBACK_STATUS_LABELS[status]}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="form-control">
+          <span className="label-text text-xs">Due date</span>
+          <input
+            type="date"
+            value={form.dueDate}
+            onChange={(e) => update("dueDate", e.target.value)}
+            className="input input-bordered input-sm"
+          />
+        </label>
+      </div>
+
+      <label className="form-control">
+        <span className="label-text text-xs">Assignee</span>
+        <input
+          type="text"
+          value={form.assignee}
+          onChange={(e) => update("assignee", e.target.value)}
+          placeholder="Name or email"
+          maxLength={100}
+          className="input input-bordered input-sm"
+        />
+      </label>
+
+      {form.status !== saved.status && (
+        <input
+          type="text"
+          value={form.statusNote}
+          onChange={(e) => update("statusNote", e.target.value)}
+          placeholder="Why the status changed (optional)"
+          maxLength={500}
+          className="input input-bordered input-sm w-full"
+        />
+      )}
+
+      <label className="form-control">
+        <span className="label-text text-xs">Internal notes</span>
+        <textarea
+          value={form.notes}
+          onChange={(e) => update("notes", e.target.value)}
+          placeholder="Only visible to your team"
+          maxLength={5000}
+          rows={3}
+          className="textarea textarea-bordered textarea-sm"
+        />
+      </label>
+
+      {hasChanges && (
+        <button onClick={save} disabled={saving} className="btn btn-primary btn-sm w-full">
+          {saving ? <span className="loading loading-spinner loading-xs"></span> : "💾 Save triage"}
+        </button>
+      )}
+
+      {history.length > 0 && (
+        <ul className="space-y-1 pt-1">
+          {history.map((entry) => (
+            <li key={entry.id} className="text-xs text-base-content/70">
+              <span className="font-medium">
+                {FEEDBACK_STATUS_LABELS[entry.fromStatus] || "—"} → {FEEDBACK_STATUS_LABELS[entry.toStatus]}
+              </span>{" "}
+              · {new Date(entry.changedAt).toLocaleString()}
+              {entry.note && <p className="italic">{entry.note}</p>}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,380 @@
+"use client";
+
+import { useState, useEffect, useCallback } from "react";
+import toast from "react-hot-toast";
+import {
+  DEFAULT_FEEDBACK_FILTERS,
+  FEEDBACK_CUSTOMER_FILTERS,
+  FEEDBACK_DUPLICATE_FILTERS,
+  FEEDBACK_STATUSES,
+  FEEDBACK_STATUS_LABELS,
+  RELATIVE_DATE_OPTIONS,
+  UNASSIGNED,
+  feedbackViewToParams,
+} from "../libs/feedback-filters.js";
+
+// Sent after views change so every list of views (DashboardNav) reloads
+export const FEEDBACK_VIEWS_CHANGED = "feedback-views-changed";
+
+const FILTER_OPTIONS = {
+  category: ["feature", "bug", "improvement", "complaint", "praise", "question", "suggestion", "other"],
+  priority: ["low", "medium", "high", "urgent"],
+  processed: ["processed", "unprocessed"],
+  duplicates: FEEDBACK_DUPLICATE_FILTERS,
+  sentiment: ["positive", "neutral", "negative"],
+  customer: FEEDBACK_CUSTOMER_FILTERS,
+};
+
+const SORT_OPTIONS = [
+  { value: "created_at:desc", label: "Newest first" },
+  { value: "created_at:asc", label: "Oldest first" },
+  { value: "updated_at:desc", label: "Recently updated" },
+  { value: "duplicate_count:desc", label: "Most reported" },
+  { value: "priority_score:desc", label: "Highest score" },
+];
+
+function viewKey(view) {
+  return feedbackViewToParams(view).toString();
+}
+
+async function request(url, options = {}) {
+  const response = await fetch(url, {
+    ...options,
+    headers: { "Content-Type": "application/json", ...(options.headers || {}) },
+  });
+  const result = await response.json().catch(() => ({}));
+
+  if (!response.ok || !result.success) {
+    throw new Error(result.message || `HTTP ${response.status}: ${response.statusText}`);
+  }
+  return result;
+}
+
+/**
+ * Saved views, smart segments and filters of the feedback page.
+ * `current` is the page's { filters, sortBy, sortOrder, viewMode }; changes go
+ * through onChange, and picking a saved view through onSelectView (null = all feedback).
+ * requestedViewId opens a saved view once the views are loaded (?view=<id>).
+ */
+export default function FeedbackViewBar({
+  current,
+  activeViewId,
+  requestedViewId,
+  onRequestHandled,
+  sources = [],
+  refreshKey,
+  onChange,
+  onSelectView,
+}) {
+  const [views, setViews] = useState(null);
+  const [segments, setSegments] = useState([]);
+  const [saving, setSaving] = useState(false);
+  const [assignee, setAssignee] = useState(current.filters.assignee);
+
+  useEffect(() => {
+    setAssignee(current.filters.assignee);
+  }, [current.filters.assignee]);
+
+  const loadViews = useCallback(async () => {
+    try {
+      const result = await request("/api/feedback/views?counts=true");
+      setViews(result.data);
+      setSegments(result.segments || []);
+    } catch (error) {
+      console.error("Failed to load feedback views:", error.message);
+      setViews([]);
+    }
+  }, []);
+
+  const viewsChanged = useCallback(async () => {
+    await loadViews();
+    window.dispatchEvent(new Event(FEEDBACK_VIEWS_CHANGED));
+  }, [loadViews]);
+
+  // Counts follow the feedback list (refreshKey changes when feedback is added or removed)
+  useEffect(() => {
+    loadViews();
+  }, [loadViews, refreshKey]);
+
+  const activeView = views?.find((view) => view.id === activeViewId) || null;
+  const modified = activeView && viewKey(activeView) !== viewKey(current);
+
+  const selectView = async (view) => {
+    onSelectView(view);
+    if (!view) return;
+
+    // Opening a view resets its count of new feedback
+    try {
+      await request(`/api/feedback/views/${view.id}`, {
+        method: "PUT",
+        body: JSON.stringify({ viewed: true }),
+      });
+      await viewsChanged();
+    } catch (error) {
+      console.error("Failed to mark feedback view as viewed:", error.message);
+    }
+  };
+
+  // A view asked for by URL (?view=<id>, e.g. from the navigation)
+  useEffect(() => {
+    if (!requestedViewId || !views) return;
+    onRequestHandled();
+    const view = views.find((item) => item.id === requestedViewId);
+    if (view) {
+      selectView(view);
+    } else {
+      toast.error("That saved view doesn't exist anymore");
+    }
+  }, [requestedViewId, views]);
+
+  const saveView = async () => {
+    const name = prompt("Name of the view", activeView ? `${activeView.name} (copy)` : "");
+    if (!name?.trim()) return;
+
+    try {
+      setSaving(true);
+      const result = await request("/api/feedback/views", {
+        method: "POST",
+        body: JSON.stringify({ name, ...current }),
+      });
+      await viewsChanged();
+      onSelectView(result.data);
+      toast.success(`View "${result.data.name}" saved`);
+    } catch (error) {
+      toast.error(`Failed to save view: ${error.message}`);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const updateView = async () => {
+    try {
+      setSaving(true);
+      await request(`/api/feedback/views/${activeView.id}`, {
+        method: "PUT",
+        body: JSON.stringify(current),
+      });
+      await viewsChanged();
+      toast.success(`View "${activeView.name}" updated`);
+    } catch (error) {
+      toast.error(`Failed to update view: ${error.message}`);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const deleteView = async (view) => {
+    if (!confirm(`Delete the view "${view.name}"? Its feedback is not affected.`)) return;
+
+    try {
+      await request(`/api/feedback/views/${view.id}`, { method: "DELETE" });
+      if (view.id === activeViewId) onSelectView(null);
+      await viewsChanged();
+    } catch (error) {
+      toast.error(`Failed to delete view: ${error.message}`);
+    }
+  };
+
+  const addSegment = async (segment) => {
+    try {
+      const result = await request("/api/feedback/views", {
+        method: "POST",
+        body: JSON.stringify({ segment: segment.key }),
+      });
+      await viewsChanged();
+      selectView(result.data);
+    } catch (error) {
+      toast.error(`Failed to add segment: ${error.message}`);
+    }
+  };
+
+  const copyLink = async () => {
+    const params = feedbackViewToParams(current);
+    if (activeViewId && !modified) params.set("view", activeViewId);
+
+    try {
+      await navigator.clipboard.writeText(`${window.location.origin}/dashboard/feedback${params.toString() ? `?${params}` : ""}`);
+      toast.success("Link copied");
+    } catch (error) {
+      toast.error("Failed to copy link");
+    }
+  };
+
+  const updateFilter = (key, value) => onChange({ filters: { ...current.filters, [key]: value } });
+
+  const selects = { ...FILTER_OPTIONS, source: sources };
+  const savedSegmentNames = new Set((views || []).map((view) => view.name));
+
+  return (
+    <div className="card bg-base-200 shadow-xl">
+      <div className="card-body p-4 space-y-3">
+        {/* Saved views */}
+        <div className="flex flex-wrap items-center gap-2">
+          <button
+            onClick={() => selectView(null)}
+            className={`btn btn-sm ${!activeViewId ? "btn-primary" : "btn-ghost"}`}
+          >
+            All feedback
+          </button>
+          {(views || []).map((view) => (
+            <div key={view.id} className="join">
+              <button
+                onClick={() => selectView(view)}
+                className={`btn btn-sm join-item ${view.id === activeViewId ? "btn-primary" : "btn-ghost"}`}
+                title={viewKey(view) ? decodeURIComponent(viewKey(view)).replace(/&/g, " · ") : "All feedback"}
+              >
+                {view.name}
+                {view.count !== null && <span className="badge badge-sm">{view.count}</span>}
+                {view.newCount > 0 && (
+                  <span className="badge badge-sm badge-secondary">+{view.newCount} new</span>
+                )}
+              </button>
+              <button
+                onClick={() => deleteView(view)}
+                className="btn btn-sm btn-ghost join-item px-2"
+                title="Delete view"
+              >
+                ✕
+              </button>
+            </div>
+          ))}
+
+          <div className="flex-1" />
+
+          {segments.length > 0 && (
+            <div className="dropdown dropdown-end">
+              <label tabIndex={0} className="btn btn-sm btn-ghost">
+                ✨ Smart segments
+              </label>
+              <ul tabIndex={0} className="dropdown-content menu p-2 shadow bg-base-100 rounded-box w-80 z-10">
+                {segments.map((segment) => (
+                  <li key={segment.key}>
+                    <button onClick={() => addSegment(segment)} disabled={savedSegmentNames.has(segment.name)}>
+                      {segment.name}
+                      {savedSegmentNames.has(segment.name) && <span className="badge badge-xs">saved</span>}
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+          {modified && (
+            <button onClick={updateView} disabled={saving} className="btn btn-sm btn-outline">
+              💾 Update view
+            </button>
+          )}
+          <button onClick={saveView} disabled={saving} className="btn btn-sm btn-outline">
+            ➕ Save view
+          </button>
+          <button onClick={copyLink} className="btn btn-sm btn-ghost" title="Copy a link to this view">
+            🔗
+          </button>
+        </div>
+
+        {/* Filters */}
+        <div className="flex flex-wrap items-end gap-3">
+          {Object.entries(selects).map(([key, options]) => (
+            <label key={key} className="form-control">
+              <span className="label-text text-xs capitalize">{key}</span>
+              <select
+                value={current.filters[key]}
+                onChange={(e) => updateFilter(key, e.target.value)}
+                className="select select-bordered select-xs"
+              >
+                <option value="all">All</option>
+                {options.map((option) => (
+                  <option key={option} value={option}>
+                    {option}
+                  </option>
+                ))}
+              </select>
+            </label>
+          ))}
+
+          <label className="form-control">
+            <span className="label-text text-xs">Status</span>
+            <select
+              value={current.filters.status}
+              onChange={(e) => updateFilter("status", e.target.value)}
+              className="select select-bordered select-xs"
+            >
+              <option value="all">All</option>
+              {FEEDBACK_STATUSES.map((status) => (
+                <option key={status} value={status}>
+                  {FEEDBACK_STATUS_LABELS[status]}
+                </option>
+              ))}
+            </select>
+          </label>
+
+          {/* Applied on Enter or when leaving the field, not on every keystroke */}
+          <label className="form-control">
+            <span className="label-text text-xs">Assignee</span>
+            <input
+              type="text"
+              value={assignee}
+              onChange={(e) => setAssignee(e.target.value)}
+              onBlur={() => assignee.trim() !== current.filters.assignee && updateFilter("assignee", assignee.trim())}
+              onKeyDown={(e) => e.key === "Enter" && e.currentTarget.blur()}
+              placeholder={`anyone, or "${UNASSIGNED}"`}
+              list="feedback-assignee-options"
+              className="input input-bordered input-xs w-36"
+            />
+            <datalist id="feedback-assignee-options">
+              <option value={UNASSIGNED} />
+            </datalist>
+          </label>
+
+          <label className="form-control">
+            <span className="label-text text-xs">Date</span>
+            <select
+              value={current.filters.from}
+              onChange={(e) => onChange({ filters: { ...current.filters, from: e.target.value, to: "" } })}
+              className="select select-bordered select-xs"
+            >
+              <option value="">Any time</option>
+              {RELATIVE_DATE_OPTIONS.map((option) => (
+                <option key={option.value} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
+              {current.filters.from && !RELATIVE_DATE_OPTIONS.some((option) => option.value === current.filters.from) && (
+                <option value={current.filters.from}>Since {current.filters.from}</option>
+              )}
+            </select>
+          </label>
+
+          <label className="form-control">
+            <span className="label-text text-xs">Sort</span>
+            <select
+              value={`${current.sortBy}:${current.sortOrder}`}
+              onChange={(e) => {
+                const [sortBy, sortOrder] = e.target.value.split(":");
+                onChange({ sortBy, sortOrder });
+              }}
+              className="select select-bordered select-xs"
+            >
+              {SORT_OPTIONS.map((option) => (
+                <option key={option.value} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+          </label>
+
+          {["tag", "cluster", "to"].map(
+            (key) =>
+              current.filters[key] !== DEFAULT_FEEDBACK_FILTERS[key] && (
+                <span key={key} className="badge badge-outline gap-1 mb-1">
+                  {key}: {key === "cluster" ? "selected cluster" : current.filters[key]}
+                  <button onClick={() => updateFilter(key, DEFAULT_FEEDBACK_FILTERS[key])} title={`Remove ${key} filter`}>
+                    ✕
+                  </button>
+                </span>
+              )
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
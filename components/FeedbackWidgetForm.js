@@ -0,0 +1,469 @@
+"use client";
+
+import { useState, useEffect, useRef } from "react";
+
+const MESSAGE_MIN_LENGTH = 10;
+const MESSAGE_MAX_LENGTH = 2000;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Screenshots are downscaled to this width and sent as JPEG to stay under the 2 MB limit
+const SCREENSHOT_MAX_WIDTH = 1600;
+const SCREENSHOT_QUALITY = 0.85;
+const PEN_COLOR = "#ef4444";
+
+/**
+ * Message the embedding page (public/widget.js), e.g. { type: "resize", size: "button" | "panel" | "full" }
+ */
+const postToParent = (message, targetOrigin) => {
+  if (typeof window !== "undefined" && window.parent !== window) {
+    window.parent.postMessage({ source: "feedbackspec", ...message }, targetOrigin || "*");
+  }
+};
+
+/**
+ * Draw an image (or a video frame) on a canvas no wider than SCREENSHOT_MAX_WIDTH
+ */
+const toCanvas = (source, width, height) => {
+  const scale = Math.min(1, SCREENSHOT_MAX_WIDTH / width);
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.round(width * scale);
+  canvas.height = Math.round(height * scale);
+  canvas.getContext("2d").drawImage(source, 0, 0, canvas.width, canvas.height);
+  return canvas;
+};
+
+const loadImage = (src) =>
+  new Promise((resolve, reject) => {
+    const image = new Image();
+    image.onload = () => resolve(image);
+    image.onerror = () => reject(new Error("Could not read the image"));
+    image.src = src;
+  });
+
+/**
+ * Freehand annotation over a screenshot. Strokes are kept separately so they can be undone.
+ */
+function ScreenshotAnnotator({ image, color, onDone, onCancel }) {
+  const canvasRef = useRef(null);
+  const [strokes, setStrokes] = useState([]);
+  const drawing = useRef(null);
+
+  const redraw = (allStrokes) => {
+    const canvas = canvasRef.current;
+    if (!canvas || !image) return;
+    const context = canvas.getContext("2d");
+    context.drawImage(image, 0, 0, canvas.width, canvas.height);
+    context.strokeStyle = PEN_COLOR;
+    context.lineWidth = Math.max(3, canvas.width / 300);
+    context.lineCap = "round";
+    context.lineJoin = "round";
+    allStrokes.forEach((stroke) => {
+      context.beginPath();
+      stroke.forEach(([x, y], index) => (index === 0 ? context.moveTo(x, y) : context.lineTo(x, y)));
+      context.stroke();
+    });
+  };
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    canvas.width = image.width;
+    canvas.height = image.height;
+    redraw(strokes);
+  }, [image]);
+
+  const pointFromEvent = (event) => {
+    const canvas = canvasRef.current;
+    const rect = canvas.getBoundingClientRect();
+    return [
+      ((event.clientX - rect.left) / rect.width) * canvas.width,
+      ((event.clientY - rect.top) / rect.height) * canvas.height,
+    ];
+  };
+
+  const handlePointerDown = (event) => {
+    event.currentTarget.setPointerCapture(event.pointerId);
+    drawing.current = [pointFromEvent(event)];
+  };
+
+  const handlePointerMove = (event) => {
+    if (!drawing.current) return;
+    drawing.current.push(pointFromEvent(event));
+    redraw([...strokes, drawing.current]);
+  };
+
+  const handlePointerUp = () => {
+    if (!drawing.current) return;
+    const next = [...strokes, drawing.current];
+    drawing.current = null;
+    setStrokes(next);
+    redraw(next);
+  };
+
+  const undo = () => {
+    const next = strokes.slice(0, -1);
+    setStrokes(next);
+    redraw(next);
+  };
+
+  return (
+    <div className="flex flex-col h-full bg-base-100 rounded-xl shadow-2xl overflow-hidden">
+      <div className="flex items-center justify-between px-4 py-2 border-b border-base-300">
+        <span className="text-sm font-medium">Draw on the screenshot to highlight the problem</span>
+        <div className="flex gap-2">
+          <button type="button" className="btn btn-ghost btn-xs" onClick={undo} disabled={strokes.length === 0}>
+            Undo
+          </button>
+          <button type="button" className="btn btn-ghost btn-xs" onClick={onCancel}>
+            Cancel
+          </button>
+          <button
+            type="button"
+            className="btn btn-xs text-white border-none"
+            style={{ backgroundColor: color }}
+            onClick={() => onDone(canvasRef.current.toDataURL("image/jpeg", SCREENSHOT_QUALITY))}
+          >
+            Done
+          </button>
+        </div>
+      </div>
+      <div className="flex-1 overflow-auto p-3 bg-base-200">
+        <canvas
+          ref={canvasRef}
+          className="max-w-full h-auto mx-auto cursor-crosshair touch-none rounded shadow"
+          onPointerDown={handlePointerDown}
+          onPointerMove={handlePointerMove}
+          onPointerUp={handlePointerUp}
+          onPointerCancel={handlePointerUp}
+        />
+      </div>
+    </div>
+  );
+}
+
+/**
+ * The feedback widget that end users see. Runs in an iframe created by
+ * public/widget.js, which sends the page context and resizes the iframe;
+ * opened directly it works as a standalone feedback page.
+ */
+export default function FeedbackWidgetForm({ publicKey, settings, allowedOrigins }) {
+  const [embedded, setEmbedded] = useState(false);
+  const [isOpen, setIsOpen] = useState(false);
+  const [embedOrigin, setEmbedOrigin] = useState(null);
+  const [embedToken, setEmbedToken] = useState(null);
+  const [pageContext, setPageContext] = useState({});
+  const [blocked, setBlocked] = useState(false);
+
+  const [message, setMessage] = useState("");
+  const [email, setEmail] = useState("");
+  const [website, setWebsite] = useState(""); // Honeypot - hidden from people
+  const [openedAt, setOpenedAt] = useState(null);
+  const [screenshot, setScreenshot] = useState(null);
+  const [draftImage, setDraftImage] = useState(null);
+
+  const [isSending, setIsSending] = useState(false);
+  const [sent, setSent] = useState(false);
+  const [error, setError] = useState(null);
+  const fileInputRef = useRef(null);
+
+  useEffect(() => {
+    const inIframe = window.parent !== window;
+    setEmbedded(inIframe);
+
+    // Transparent page so only the button and panel show over the host site
+    if (inIframe) {
+      document.documentElement.style.background = "transparent";
+      document.body.style.background = "transparent";
+    } else {
+      setIsOpen(true);
+      setOpenedAt(Date.now());
+      setPageContext({ pageUrl: document.referrer || null });
+    }
+
+    const handleMessage = (event) => {
+      if (event.source !== window.parent || event.data?.source !== "feedbackspec") return;
+
+      if (event.data.type === "context") {
+        setEmbedOrigin(event.origin);
+        setEmbedToken(event.data.embedToken || null);
+        setPageContext(event.data.context || {});
+        setBlocked(allowedOrigins.length > 0 && !allowedOrigins.includes(event.origin));
+      } else if (event.data.type === "open") {
+        openPanel(event.origin);
+      }
+    };
+
+    window.addEventListener("message", handleMessage);
+    postToParent({ type: "ready", position: settings.position });
+
+    return () => window.removeEventListener("message", handleMessage);
+  }, []);
+
+  const openPanel = (targetOrigin = embedOrigin) => {
+    setIsOpen(true);
+    setOpenedAt((current) => current || Date.now());
+    postToParent({ type: "resize", size: "panel", position: settings.position }, targetOrigin);
+  };
+
+  const closePanel = () => {
+    setIsOpen(false);
+    setDraftImage(null);
+    postToParent({ type: "resize", size: "button", position: settings.position }, embedOrigin);
+
+    // Start over after a sent message
+    if (sent) {
+      setSent(false);
+      setMessage("");
+      setScreenshot(null);
+      setOpenedAt(null);
+    }
+  };
+
+  const startAnnotating = (image) => {
+    setDraftImage(image);
+    postToParent({ type: "resize", size: "full", position: settings.position }, embedOrigin);
+  };
+
+  const finishAnnotating = (dataUrl) => {
+    if (dataUrl) setScreenshot(dataUrl);
+    setDraftImage(null);
+    postToParent({ type: "resize", size: "panel", position: settings.position }, embedOrigin);
+  };
+
+  /**
+   * Capture the screen with the browser's screen sharing prompt (the user picks the tab)
+   */
+  const captureScreen = async () => {
+    setError(null);
+    let stream;
+    try {
+      stream = await navigator.mediaDevices.getDisplayMedia({
+        video: { displaySurface: "browser" },
+        audio: false,
+        preferCurrentTab: true,
+      });
+
+      const video = document.createElement("video");
+      video.srcObject = stream;
+      video.muted = true;
+      await video.play();
+      await new Promise((resolve) => requestAnimationFrame(resolve));
+
+      const canvas = toCanvas(video, video.videoWidth, video.videoHeight);
+      startAnnotating(await loadImage(canvas.toDataURL("image/png")));
+    } catch (error) {
+      if (error.name !== "NotAllowedError") {
+        console.error("Screen capture failed:", error);
+        setError("Screen capture is not available here - attach an image instead");
+      }
+    } finally {
+      stream?.getTracks().forEach((track) => track.stop());
+    }
+  };
+
+  const handleFileChange = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = "";
+    if (!file) return;
+
+    if (!file.type.startsWith("image/")) {
+      setError("Please attach an image");
+      return;
+    }
+
+    try {
+      const reader = new FileReader();
+      const dataUrl = await new Promise((resolve, reject) => {
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(new Error("Could not read the file"));
+        reader.readAsDataURL(file);
+      });
+      const image = await loadImage(dataUrl);
+      const canvas = toCanvas(image, image.width, image.height);
+      startAnnotating(await loadImage(canvas.toDataURL("image/png")));
+    } catch (error) {
+      setError(error.message);
+    }
+  };
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setError(null);
+
+    const text = message.trim();
+    if (text.length < MESSAGE_MIN_LENGTH || text.length > MESSAGE_MAX_LENGTH) {
+      setError(`Please write between ${MESSAGE_MIN_LENGTH} and ${MESSAGE_MAX_LENGTH} characters`);
+      return;
+    }
+    if (email.trim() && !EMAIL_PATTERN.test(email.trim())) {
+      setError("Please enter a valid email address");
+      return;
+    }
+
+    setIsSending(true);
+    try {
+      const response = await fetch(`/api/widget/${encodeURIComponent(publicKey)}`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          message: text,
+          email: settings.collect_email ? email.trim() : undefined,
+          pageUrl: pageContext.pageUrl,
+          pageTitle: pageContext.pageTitle,
+          referrer: pageContext.referrer,
+          browser: pageContext.browser || {
+            userAgent: navigator.userAgent,
+            language: navigator.language,
+            viewport: `${window.innerWidth}x${window.innerHeight}`,
+          },
+          screenshot: screenshot || undefined,
+          embedToken,
+          openedAt,
+          website,
+        }),
+      });
+      const result = await response.json();
+
+      if (!response.ok) {
+        throw new Error(result.message || "Failed to send feedback");
+      }
+
+      setSent(true);
+      setMessage("");
+      setScreenshot(null);
+    } catch (error) {
+      setError(error.message);
+    } finally {
+      setIsSending(false);
+    }
+  };
+
+  const color = settings.color;
+  const alignment = settings.position === "bottom-left" ? "items-start" : "items-end";
+
+  if (blocked) {
+    return null;
+  }
+
+  if (draftImage) {
+    return (
+      <div className="fixed inset-0 p-4">
+        <ScreenshotAnnotator
+          image={draftImage}
+          color={color}
+          onDone={finishAnnotating}
+          onCancel={() => finishAnnotating(null)}
+        />
+      </div>
+    );
+  }
+
+  const launcher = (
+    <button
+      type="button"
+      onClick={() => (isOpen ? closePanel() : openPanel())}
+      className="btn btn-sm rounded-full text-white border-none shadow-lg"
+      style={{ backgroundColor: color }}
+    >
+      {isOpen ? "Close" : settings.button_label}
+    </button>
+  );
+
+  if (!isOpen) {
+    return <div className={`fixed inset-0 flex flex-col justify-end p-2 ${alignment}`}>{launcher}</div>;
+  }
+
+  return (
+    <div className={`${embedded ? "fixed inset-0 p-2" : "min-h-screen p-4 bg-base-200"} flex flex-col justify-end gap-2 ${alignment}`}>
+      <div className={`w-full ${embedded ? "flex-1" : "max-w-md mx-auto"} flex flex-col bg-base-100 rounded-xl shadow-2xl overflow-hidden`}>
+        <div className="px-4 py-3 text-white font-semibold" style={{ backgroundColor: color }}>
+          {settings.title}
+        </div>
+
+        {sent ? (
+          <div className="flex-1 flex flex-col items-center justify-center gap-3 p-6 text-center">
+            <div className="text-3xl">🙏</div>
+            <p className="font-medium">Thanks for your feedback!</p>
+            <button type="button" className="btn btn-ghost btn-sm" onClick={() => setSent(false)}>
+              Send more
+            </button>
+          </div>
+        ) : (
+          <form onSubmit={handleSubmit} className="flex-1 flex flex-col gap-3 p-4 overflow-auto">
+            <textarea
+              className="textarea textarea-bordered flex-1 min-h-[120px] text-sm"
+              placeholder="What's on your mind? Tell us what works, what's broken or what you're missing"
+              value={message}
+              onChange={(e) => setMessage(e.target.value)}
+              maxLength={MESSAGE_MAX_LENGTH}
+              autoFocus
+            />
+
+            {settings.collect_email && (
+              <input
+                type="email"
+                className="input input-bordered input-sm"
+                placeholder="Your email (optional, if you'd like a reply)"
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+              />
+            )}
+
+            {/* Honeypot: people don't see or fill this field, bots do */}
+            <input
+              type="text"
+              name="website"
+              tabIndex={-1}
+              autoComplete="off"
+              aria-hidden="true"
+              className="hidden"
+              value={website}
+              onChange={(e) => setWebsite(e.target.value)}
+            />
+
+            {settings.screenshots && (
+              <div className="flex items-center gap-2 text-xs">
+                {screenshot ? (
+                  <>
+                    {/* eslint-disable-next-line @next/next/no-img-element */}
+                    <img src={screenshot} alt="Screenshot" className="h-12 rounded border border-base-300" />
+                    <button type="button" className="btn btn-ghost btn-xs" onClick={async () => startAnnotating(await loadImage(screenshot))}>
+                      Edit
+                    </button>
+                    <button type="button" className="btn btn-ghost btn-xs" onClick={() => setScreenshot(null)}>
+                      Remove
+                    </button>
+                  </>
+                ) : (
+                  <>
+                    {typeof navigator !== "undefined" && navigator.mediaDevices?.getDisplayMedia && (
+                      <button type="button" className="btn btn-outline btn-xs" onClick={captureScreen}>
+                        📸 Screenshot
+                      </button>
+                    )}
+                    <button type="button" className="btn btn-ghost btn-xs" onClick={() => fileInputRef.current?.click()}>
+                      Attach image
+                    </button>
+                    <input ref={fileInputRef} type="file" accept="image/*" className="hidden" onChange={handleFileChange} />
+                  </>
+                )}
+              </div>
+            )}
+
+            {error && <div className="text-xs text-error">{error}</div>}
+
+            <button
+              type="submit"
+              className="btn btn-sm text-white border-none"
+              style={{ backgroundColor: color }}
+              disabled={isSending}
+            >
+              {isSending ? <span className="loading loading-spinner loading-xs"></span> : "Send feedback"}
+            </button>
+          </form>
+        )}
+      </div>
+
+      {embedded && launcher}
+    </div>
+  );
+}
@@ -4,12 +4,18 @@ import { useState, useEffect } from 'react';
 import { createClient } from '../libs/supabase/client.js';
 import GmailSetup from './integrations/GmailSetup.js';
 import TwitterSetup from './integrations/TwitterSetup.js';
+import DiscordSetup from './integrations/DiscordSetup.js';
+import SlackSetup from './integrations/SlackSetup.js';
+import GitHubSetup from './integrations/GitHubSetup.js';
 
 export default function IntegrationsDashboard() {
   const [activeTab, setActiveTab] = useState('gmail');
   const [integrationStats, setIntegrationStats] = useState({
     gmail: { connected: false, lastSync: null, feedbackCount: 0 },
-    twitter: { connected: false, lastSync: null, feedbackCount: 0 }
+    twitter: { connected: false, lastSync: null, feedbackCount: 0 },
+    discord: { connected: false, lastSync: null, feedbackCount: 0 },
+    slack: { connected: false, lastSync: null, feedbackCount: 0 },
+    github: { connected: false, lastSync: null, feedbackCount: 0 }
   });
   const [loading, setLoading] = useState(true);
 
@@ -43,8 +49,29 @@ export default function IntegrationsDashboard() {
         .eq('user_id', user.id)
         .eq('platform', 'twitter');
 
+      const { data: discordFeedback } = await supabase
+        .from('raw_feedback')
+        .select('id')
+        .eq('user_id', user.id)
+        .eq('platform', 'discord');
+
+      const { data: slackFeedback } = await supabase
+        .from('raw_feedback')
+        .select('id')
+        .eq('user_id', user.id)
+        .eq('platform', 'slack');
+
+      const { data: githubFeedback } = await supabase
+        .from('raw_feedback')
+        .select('id')
+        .eq('user_id', user.id)
+        .eq('platform', 'github');
+
       const gmailIntegration = integrations?.find(i => i.platform === 'gmail');
       const twitterIntegration = integrations?.find(i => i.platform === 'twitter');
+      const discordIntegration = integrations?.find(i => i.platform === 'discord');
+      const slackIntegration = integrations?.find(i => i.platform === 'slack');
+      const githubIntegration = integrations?.find(i => i.platform === 'github');
 
       setIntegrationStats({
         gmail: {
@@ -56,6 +83,21 @@ export default function IntegrationsDashboard() {
           connected: twitterIntegration?.status === 'connected',
           lastSync: twitterIntegration?.last_sync,
           feedbackCount: twitterFeedback?.length || 0
+        },
+        discord: {
+          connected: discordIntegration?.status === 'connected',
+          lastSync: discordIntegration?.last_sync,
+          feedbackCount: discordFeedback?.length || 0
+        },
+        slack: {
+          connected: slackIntegration?.status === 'connected',
+          lastSync: slackIntegration?.last_sync,
+          feedbackCount: slackFeedback?.length || 0
+        },
+        github: {
+          connected: githubIntegration?.status === 'connected',
+          lastSync: githubIntegration?.last_sync,
+          feedbackCount: githubFeedback?.length || 0
         }
       });
     } catch (error) {
@@ -80,6 +122,27 @@ export default function IntegrationsDashboard() {
       status: integrationStats.twitter.connected ? 'connected' : 'disconnected',
       description: 'Monitor Twitter for mentions and feedback'
     },
+    { 
+      id: 'discord', 
+      label: 'Discord', 
+      icon: '🎮',
+      status: integrationStats.discord.connected ? 'connected' : 'disconnected',
+      description: 'Collect feedback from server channels'
+    },
+    { 
+      id: 'slack', 
+      label: 'Slack', 
+      icon: '💬',
+      status: integrationStats.slack.connected ? 'connected' : 'disconnected',
+      description: 'Import channel messages with their threads'
+    },
+    { 
+      id: 'github', 
+      label: 'GitHub', 
+      icon: '🐙',
+      status: integrationStats.github.connected ? 'connected' : 'disconnected',
+      description: 'Import issues and Discussions from repositories'
+    },
     { 
       id: 'coming-soon', 
       label: 'More Integrations', 
@@ -90,13 +153,6 @@ export default function IntegrationsDashboard() {
   ];
 
   const comingSoonIntegrations = [
-    {
-      name: 'Discord',
-      icon: '💬',
-      description: 'Monitor servers and channels for feedback',
-      category: 'Communication',
-      features: ['Server monitoring', 'Channel tracking', 'User mentions']
-    },
     {
       name: 'Reddit',
       icon: '📱',
@@ -111,20 +167,6 @@ export default function IntegrationsDashboard() {
       category: 'Product Discovery',
       features: ['Launch tracking', 'Comment monitoring', 'Vote analysis']
     },
-    {
-      name: 'Slack',
-      icon: '🔗',
-      description: 'Monitor workspace channels and DMs',
-      category: 'Communication',
-      features: ['Channel monitoring', 'Direct messages', 'Thread tracking']
-    },
-    {
-      name: 'GitHub',
-      icon: '🐙',
-      description: 'Track issues, PRs, and discussions',
-      category: 'Development',
-      features: ['Issue tracking', 'PR comments', 'Discussion monitoring']
-    },
     {
       name: 'Zendesk',
       icon: '🎫',
@@ -400,6 +442,147 @@ export default function IntegrationsDashboard() {
           </div>
         )}
 
+        {activeTab === 'discord' && (
+          <div className="space-y-6">
+            {/* Discord Integration Header */}
+            <div className="bg-gradient-to-r from-indigo-50 to-indigo-100 border border-indigo-200 rounded-xl p-6">
+              <div className="flex items-center gap-4 mb-4">
+                <div className="text-4xl">🎮</div>
+                <div>
+                  <h2 className="text-2xl font-bold text-indigo-900">Discord Integration</h2>
+                  <p className="text-indigo-700">Import messages from your server&apos;s feedback channels, threads and forums</p>
+                </div>
+                <div className="ml-auto">
+                  <span className={`px-3 py-1 rounded-full text-sm font-medium ${
+                    integrationStats.discord.connected 
+                      ? 'bg-green-100 text-green-800' 
+                      : 'bg-gray-100 text-gray-800'
+                  }`}>
+                    {integrationStats.discord.connected ? '✅ Connected' : '⚪ Setup Required'}
+                  </span>
+                </div>
+              </div>
+              
+              {integrationStats.discord.connected && (
+                <div className="grid grid-cols-2 gap-4 mt-4">
+                  <div className="bg-white/50 rounded-lg p-3">
+                    <div className="text-sm text-indigo-600">Messages Collected</div>
+                    <div className="text-xl font-bold text-indigo-900">{integrationStats.discord.feedbackCount}</div>
+                  </div>
+                  <div className="bg-white/50 rounded-lg p-3">
+                    <div className="text-sm text-indigo-600">Last Sync</div>
+                    <div className="text-sm font-medium text-indigo-900">
+                      {integrationStats.discord.lastSync 
+                        ? new Date(integrationStats.discord.lastSync).toLocaleDateString()
+                        : 'Never'
+                      }
+                    </div>
+                  </div>
+                </div>
+              )}
+            </div>
+
+            {/* Discord Setup Component */}
+            <div className="bg-white border border-gray-200 rounded-xl shadow-sm">
+              <DiscordSetup />
+            </div>
+          </div>
+        )}
+
+        {activeTab === 'slack' && (
+          <div className="space-y-6">
+            {/* Slack Integration Header */}
+            <div className="bg-gradient-to-r from-purple-50 to-purple-100 border border-purple-200 rounded-xl p-6">
+              <div className="flex items-center gap-4 mb-4">
+                <div className="text-4xl">💬</div>
+                <div>
+                  <h2 className="text-2xl font-bold text-purple-900">Slack Integration</h2>
+                  <p className="text-purple-700">Import feedback from your community workspace, with each thread as context</p>
+                </div>
+                <div className="ml-auto">
+                  <span className={`px-3 py-1 rounded-full text-sm font-medium ${
+                    integrationStats.slack.connected 
+                      ? 'bg-green-100 text-green-800' 
+                      : 'bg-gray-100 text-gray-800'
+                  }`}>
+                    {integrationStats.slack.connected ? '✅ Connected' : '⚪ Not Connected'}
+                  </span>
+                </div>
+              </div>
+              
+              {integrationStats.slack.connected && (
+                <div className="grid grid-cols-2 gap-4 mt-4">
+                  <div className="bg-white/50 rounded-lg p-3">
+                    <div className="text-sm text-purple-600">Messages Collected</div>
+                    <div className="text-xl font-bold text-purple-900">{integrationStats.slack.feedbackCount}</div>
+                  </div>
+                  <div className="bg-white/50 rounded-lg p-3">
+                    <div className="text-sm text-purple-600">Last Sync</div>
+                    <div className="text-sm font-medium text-purple-900">
+                      {integrationStats.slack.lastSync 
+                        ? new Date(integrationStats.slack.lastSync).toLocaleDateString()
+                        : 'Never'
+                      }
+                    </div>
+                  </div>
+                </div>
+              )}
+            </div>
+
+            {/* Slack Setup Component */}
+            <div className="bg-white border border-gray-200 rounded-xl shadow-sm">
+              <SlackSetup />
+            </div>
+          </div>
+        )}
+
+        {activeTab === 'github' && (
+          <div className="space-y-6">
+            {/* GitHub Integration Header */}
+            <div className="bg-gradient-to-r from-gray-50 to-gray-100 border border-gray-200 rounded-xl p-6">
+              <div className="flex items-center gap-4 mb-4">
+                <div className="text-4xl">🐙</div>
+                <div>
+                  <h2 className="text-2xl font-bold text-gray-900">GitHub Integration</h2>
+                  <p className="text-gray-700">Cluster feature requests filed on GitHub with the rest of your feedback</p>
+                </div>
+                <div className="ml-auto">
+                  <span className={`px-3 py-1 rounded-full text-sm font-medium ${
+                    integrationStats.github.connected 
+                      ? 'bg-green-100 text-green-800' 
+                      : 'bg-gray-100 text-gray-800'
+                  }`}>
+                    {integrationStats.github.connected ? '✅ Connected' : '⚪ Setup Required'}
+                  </span>
+                </div>
+              </div>
+              
+              {integrationStats.github.connected && (
+                <div className="grid grid-cols-2 gap-4 mt-4">
+                  <div className="bg-white/50 rounded-lg p-3">
+                    <div className="text-sm text-gray-600">Items Collected</div>
+                    <div className="text-xl font-bold text-gray-900">{integrationStats.github.feedbackCount}</div>
+                  </div>
+                  <div className="bg-white/50 rounded-lg p-3">
+                    <div className="text-sm text-gray-600">Last Sync</div>
+                    <div className="text-sm font-medium text-gray-900">
+                      {integrationStats.github.lastSync 
+                        ? new Date(integrationStats.github.lastSync).toLocaleDateString()
+                        : 'Never'
+                      }
+                    </div>
+                  </div>
+                </div>
+              )}
+            </div>
+
+            {/* GitHub Setup Component */}
+            <div className="bg-white border border-gray-200 rounded-xl shadow-sm">
+              <GitHubSetup />
+            </div>
+          </div>
+        )}
+
         {activeTab === 'coming-soon' && (
           <div className="space-y-6">
             <div className="text-center mb-8">
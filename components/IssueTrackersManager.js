@@ -0,0 +1,198 @@
+"use client";
+
+import { useState } from "react";
+import toast from "react-hot-toast";
+
+// Trackers specs can be sent to, with their connection fields
+const TRACKERS = [
+  {
+    provider: "github_issues",
+    label: "GitHub Issues",
+    fields: [
+      { key: "repo", placeholder: "Repository (owner/name)", required: true },
+      { key: "labels", placeholder: "Labels, comma-separated (optional)" },
+      { key: "token", placeholder: "Token with issue write access", secret: true },
+    ],
+    tokenHint: "Leave the token empty to use the one of the GitHub feedback sync.",
+  },
+  {
+    provider: "linear",
+    label: "Linear",
+    fields: [
+      { key: "teamKey", placeholder: "Team key (e.g. ENG)", required: true },
+      { key: "token", placeholder: "Personal API key", secret: true },
+    ],
+  },
+  {
+    provider: "jira",
+    label: "Jira",
+    fields: [
+      { key: "siteUrl", placeholder: "Site (your-team.atlassian.net)", required: true },
+      { key: "email", placeholder: "Account email", required: true },
+      { key: "projectKey", placeholder: "Project key (e.g. PROJ)", required: true },
+      { key: "issueType", placeholder: "Issue type (default: Task)" },
+      { key: "token", placeholder: "API token", secret: true },
+    ],
+  },
+];
+
+async function request(url, options = {}) {
+  const response = await fetch(url, {
+    ...options,
+    headers: { "Content-Type": "application/json", ...(options.headers || {}) },
+  });
+  const result = await response.json().catch(() => ({}));
+  if (!response.ok || !result.success) {
+    throw new Error(result.message || `HTTP error! status: ${response.status}`);
+  }
+  return result;
+}
+
+// Where a connected tracker sends issues
+function trackerTarget(tracker) {
+  if (tracker.provider === "github_issues") {
+    return [tracker.repo, tracker.labels.length > 0 && `labels: ${tracker.labels.join(", ")}`].filter(Boolean).join(" · ");
+  }
+  if (tracker.provider === "linear") return `${tracker.teamName} (${tracker.teamKey})`;
+  return `${tracker.projectName} (${tracker.projectKey}) · ${tracker.issueType}${tracker.epicIssueType ? "" : " · no epics"}`;
+}
+
+/**
+ * The user's GitHub Issues, Linear and Jira connections specs are sent to.
+ * Tokens are checked when saved and never come back to the browser. Trackers
+ * are loaded by SpecGenerator, which reloads them through onChange.
+ */
+export default function IssueTrackersManager({ trackers, onChange }) {
+  const [form, setForm] = useState(null);
+  const [busy, setBusy] = useState(null);
+
+  const connected = (provider) => trackers.find((tracker) => tracker.provider === provider);
+
+  const openForm = (tracker) => {
+    const saved = connected(tracker.provider);
+    setForm({
+      provider: tracker.provider,
+      values: Object.fromEntries(
+        tracker.fields.map((field) => {
+          const value = saved?.[field.key];
+          return [field.key, Array.isArray(value) ? value.join(", ") : value || ""];
+        })
+      ),
+    });
+  };
+
+  const saveTracker = async (event) => {
+    event.preventDefault();
+    try {
+      setBusy("save");
+      const body = { ...form.values };
+      if (form.provider === "github_issues") {
+        body.labels = body.labels.split(",").map((label) => label.trim()).filter(Boolean);
+      }
+      const result = await request(`/api/trackers/${form.provider}`, { method: "PUT", body: JSON.stringify(body) });
+      toast.success(result.message);
+      setForm(null);
+      await onChange();
+    } catch (error) {
+      toast.error(error.message);
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const disconnect = async (tracker) => {
+    if (!window.confirm(`Disconnect ${tracker.label}? Issues already sent stay linked but stop syncing.`)) return;
+    try {
+      setBusy(tracker.provider);
+      const result = await request(`/api/trackers/${tracker.provider}`, { method: "DELETE" });
+      toast.success(result.message);
+      await onChange();
+    } catch (error) {
+      toast.error(error.message);
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const formTracker = form && TRACKERS.find((tracker) => tracker.provider === form.provider);
+
+  return (
+    <div className="card bg-base-200 shadow-xl">
+      <div className="card-body space-y-4">
+        <div>
+          <h3 className="card-title">🎫 Issue Trackers</h3>
+          <p className="text-sm text-base-content/70">
+            Send specs to GitHub Issues, Linear or Jira. When the issue closes, the spec&apos;s feedback moves to
+            shipped.
+          </p>
+        </div>
+
+        <div className="space-y-2">
+          {TRACKERS.map((tracker) => {
+            const saved = connected(tracker.provider);
+            return (
+              <div key={tracker.provider} className="flex items-center justify-between gap-2 p-3 bg-base-100 rounded-lg">
+                <div className="min-w-0">
+                  <div className="font-medium">
+                    {tracker.label}
+                    {saved && <span className="badge badge-success badge-sm ml-2">connected</span>}
+                  </div>
+                  <div className="text-xs text-base-content/60 truncate">
+                    {saved ? trackerTarget(saved) : "Not connected"}
+                  </div>
+                </div>
+                <div className="flex gap-1 shrink-0">
+                  <button className="btn btn-ghost btn-xs" onClick={() => openForm(tracker)}>
+                    {saved ? "Edit" : "Connect"}
+                  </button>
+                  {saved && (
+                    <button
+                      className="btn btn-ghost btn-xs text-error"
+                      disabled={busy === tracker.provider}
+                      onClick={() => disconnect(tracker)}
+                    >
+                      Disconnect
+                    </button>
+                  )}
+                </div>
+              </div>
+            );
+          })}
+        </div>
+
+        {formTracker && (
+          <form onSubmit={saveTracker} className="space-y-3 p-4 bg-base-100 rounded-lg">
+            <div className="text-sm font-medium">{formTracker.label}</div>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+              {formTracker.fields.map((field) => (
+                <input
+                  key={field.key}
+                  className="input input-bordered input-sm"
+                  type={field.secret ? "password" : "text"}
+                  autoComplete="off"
+                  placeholder={
+                    field.secret && connected(form.provider) ? `${field.placeholder} (leave empty to keep)` : field.placeholder
+                  }
+                  value={form.values[field.key]}
+                  required={field.required}
+                  onChange={(event) =>
+                    setForm({ ...form, values: { ...form.values, [field.key]: event.target.value } })
+                  }
+                />
+              ))}
+            </div>
+            {formTracker.tokenHint && <p className="text-xs text-base-content/60">{formTracker.tokenHint}</p>}
+            <div className="flex justify-end gap-2">
+              <button type="button" className="btn btn-ghost btn-sm" onClick={() => setForm(null)}>
+                Cancel
+              </button>
+              <button type="submit" className="btn btn-primary btn-sm" disabled={busy === "save"}>
+                {busy === "save" ? "Checking..." : "Save"}
+              </button>
+            </div>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -5,9 +5,11 @@ import {
   useFilteredData, 
   useSearchResults, 
   VirtualList, 
+  VirtualGrid,
+  InfiniteScroll,
   useComponentPerformance,
   createShallowMemoComponent,
-} from '../libs/performance.js';
+} from '../libs/performance/index.js';
 import { FeedbackCard } from './ui/index.js';
 
 /**
@@ -18,6 +20,8 @@ const FeedbackItem = createShallowMemoComponent(({
   onEdit,
   onDelete,
   onGenerateSpec,
+  onToggleSelect,
+  selected = false,
   style,
 }) => {
   useComponentPerformance('FeedbackItem');
@@ -26,22 +30,45 @@ const FeedbackItem = createShallowMemoComponent(({
   const handleEdit = useCallback(() => onEdit(feedback), [feedback, onEdit]);
   const handleDelete = useCallback(() => onDelete(feedback), [feedback, onDelete]);
   const handleGenerateSpec = useCallback(() => onGenerateSpec(feedback), [feedback, onGenerateSpec]);
+  const handleToggleSelect = useCallback(() => onToggleSelect(feedback), [feedback, onToggleSelect]);
+
+  const card = (
+    <FeedbackCard
+      feedback={feedback}
+      onEdit={handleEdit}
+      onDelete={handleDelete}
+      onGenerateSpec={handleGenerateSpec}
+      className={`mb-4 ${selected ? 'ring-2 ring-primary' : ''}`}
+    />
+  );
+
+  if (!onToggleSelect) {
+    return <div style={style}>{card}</div>;
+  }
 
   return (
-    <div style={style}>
-      <FeedbackCard
-        feedback={feedback}
-        onEdit={handleEdit}
-        onDelete={handleDelete}
-        onGenerateSpec={handleGenerateSpec}
-        className="mb-4"
+    <div style={style} className="flex items-start gap-3">
+      <input
+        type="checkbox"
+        checked={selected}
+        onChange={handleToggleSelect}
+        className="checkbox checkbox-sm mt-6"
+        aria-label={`Select "${feedback.title}"`}
       />
+      <div className="flex-1 min-w-0">{card}</div>
     </div>
   );
 });
 
+// Distance from the bottom (px) at which the next page is requested
+const LOAD_MORE_THRESHOLD = 400;
+
 /**
- * Optimized feedback list component with virtual scrolling
+ * Optimized feedback list component with virtual scrolling.
+ * With loadMore (see useFeedbackPages) the items are pages already filtered
+ * and sorted by the server, and scrolling to the end loads the next page.
+ * With onToggleSelect each item gets a checkbox; selectedIds are the checked
+ * items (for bulk actions, see FeedbackBulkActions).
  */
 const OptimizedFeedbackList = memo(({
   feedback = [],
@@ -50,6 +77,11 @@ const OptimizedFeedbackList = memo(({
   onEdit,
   onDelete,
   onGenerateSpec,
+  selectedIds,
+  onToggleSelect,
+  hasMore = false,
+  loadMore,
+  loadingMore = false,
   className = '',
   itemHeight = 200,
   height = 600,
@@ -57,12 +89,14 @@ const OptimizedFeedbackList = memo(({
 }) => {
   useComponentPerformance('OptimizedFeedbackList');
 
+  const serverSide = typeof loadMore === 'function';
+
   // Memoize search fields to prevent unnecessary recalculations
   const searchFields = useMemo(() => ['title', 'content', 'tags'], []);
 
   // Memoize filter function to prevent unnecessary re-renders
   const filterFn = useMemo(() => {
-    if (!filters || Object.keys(filters).length === 0) return null;
+    if (serverSide || !filters || Object.keys(filters).length === 0) return null;
     
     return (item) => {
       // Category filter
@@ -89,12 +123,19 @@ const OptimizedFeedbackList = memo(({
 
       return true;
     };
-  }, [filters]);
+  }, [filters, serverSide]);
 
   // Memoize sort function
   const sortFn = useMemo(() => {
+    if (serverSide) return null;
+
     return (a, b) => {
-      // Sort by priority first (urgent > high > medium > low)
+      // Scored feedback by its priority score (customer value, demand, urgency...)
+      if (typeof a.priorityScore === "number" && typeof b.priorityScore === "number" && a.priorityScore !== b.priorityScore) {
+        return b.priorityScore - a.priorityScore;
+      }
+
+      // Then by priority (urgent > high > medium > low)
       const priorityOrder = { urgent: 4, high: 3, medium: 2, low: 1 };
       const aPriority = priorityOrder[a.priority] || 0;
       const bPriority = priorityOrder[b.priority] || 0;
@@ -102,16 +143,21 @@ const OptimizedFeedbackList = memo(({
       if (aPriority !== bPriority) {
         return bPriority - aPriority;
       }
+
+      // Then by demand (merged duplicates)
+      if ((a.duplicateCount || 0) !== (b.duplicateCount || 0)) {
+        return (b.duplicateCount || 0) - (a.duplicateCount || 0);
+      }
       
       // Then sort by date (newest first)
       return new Date(b.submittedAt).getTime() - new Date(a.submittedAt).getTime();
     };
-  }, []);
+  }, [serverSide]);
 
   // Apply search with optimized hook
   const searchResults = useSearchResults(
     feedback,
-    searchTerm,
+    serverSide ? '' : searchTerm,
     searchFields,
     [feedback, searchTerm, searchFields]
   );
@@ -124,6 +170,8 @@ const OptimizedFeedbackList = memo(({
     [searchResults, filterFn, sortFn]
   );
 
+  const selectedSet = useMemo(() => new Set(selectedIds || []), [selectedIds]);
+
   // Memoize render function for virtual list
   const renderItem = useCallback(
     (item, index) => (
@@ -133,13 +181,49 @@ const OptimizedFeedbackList = memo(({
         onEdit={onEdit}
         onDelete={onDelete}
         onGenerateSpec={onGenerateSpec}
+        onToggleSelect={onToggleSelect}
+        selected={selectedSet.has(item.id)}
       />
     ),
-    [onEdit, onDelete, onGenerateSpec]
+    [onEdit, onDelete, onGenerateSpec, onToggleSelect, selectedSet]
+  );
+
+  // Next page when the virtual list is scrolled close to its end
+  const handleVirtualScroll = useCallback(
+    (event) => {
+      if (!hasMore || loadingMore) return;
+      const { scrollTop, scrollHeight, clientHeight } = event.currentTarget;
+      if (scrollTop + clientHeight >= scrollHeight - LOAD_MORE_THRESHOLD) loadMore();
+    },
+    [hasMore, loadingMore, loadMore]
+  );
+
+  const loadMoreButton = serverSide && hasMore && (
+    <div className="text-center p-4">
+      <button onClick={loadMore} disabled={loadingMore} className="btn btn-sm btn-ghost">
+        {loadingMore ? 'Loading...' : 'Load more'}
+      </button>
+    </div>
   );
 
   // If there are fewer items, use regular rendering to avoid virtual scrolling overhead
   if (filteredAndSortedFeedback.length <= 10) {
+    if (serverSide) {
+      return (
+        <InfiniteScroll
+          hasMore={hasMore}
+          loadMore={loadMore}
+          threshold={LOAD_MORE_THRESHOLD}
+          className={`space-y-4 overflow-y-auto ${className}`}
+          style={{ maxHeight: height }}
+          {...props}
+        >
+          {filteredAndSortedFeedback.map((item, index) => renderItem(item, index))}
+          {loadMoreButton}
+        </InfiniteScroll>
+      );
+    }
+
     return (
       <div className={`space-y-4 ${className}`} {...props}>
         {filteredAndSortedFeedback.map((item, index) => renderItem(item, index))}
@@ -156,8 +240,10 @@ const OptimizedFeedbackList = memo(({
         height={height}
         renderItem={renderItem}
         overscan={3}
+        onScroll={serverSide ? handleVirtualScroll : undefined}
         className="space-y-4"
       />
+      {loadMoreButton}
     </div>
   );
 });
@@ -213,6 +299,10 @@ export const OptimizedFeedbackGrid = memo(({
 
   const sortFn = useMemo(() => {
     return (a, b) => {
+      if (typeof a.priorityScore === "number" && typeof b.priorityScore === "number" && a.priorityScore !== b.priorityScore) {
+        return b.priorityScore - a.priorityScore;
+      }
+
       const priorityOrder = { urgent: 4, high: 3, medium: 2, low: 1 };
       const aPriority = priorityOrder[a.priority] || 0;
       const bPriority = priorityOrder[b.priority] || 0;
@@ -220,6 +310,10 @@ export const OptimizedFeedbackGrid = memo(({
       if (aPriority !== bPriority) {
         return bPriority - aPriority;
       }
+
+      if ((a.duplicateCount || 0) !== (b.duplicateCount || 0)) {
+        return (b.duplicateCount || 0) - (a.duplicateCount || 0);
+      }
       
       return new Date(b.submittedAt).getTime() - new Date(a.submittedAt).getTime();
     };
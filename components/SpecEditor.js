@@ -0,0 +1,352 @@
+"use client";
+
+import { useState, useEffect, useCallback } from "react";
+import Link from "next/link";
+import toast from "react-hot-toast";
+import ReactMarkdown from "react-markdown";
+import { Prism as SyntaxHighlighter } from "react-syntax-highlighter";
+import { oneDark } from "react-syntax-highlighter/dist/esm/styles/prism";
+import { SECTION_ACTIONS, replaceSection, splitSections } from "../libs/spec-sections.js";
+import { diffLines, foldUnchanged } from "../libs/spec-diff.js";
+
+// Edits are saved this long after the last keystroke
+const AUTOSAVE_DELAY = 1500;
+
+const SAVE_LABELS = {
+  saved: "All changes saved",
+  unsaved: "Unsaved changes",
+  saving: "Saving...",
+  error: "Not saved - retrying on the next edit",
+  conflict: "Not saved - the spec was changed elsewhere",
+};
+
+const LINE_STYLES = {
+  added: "bg-success/15",
+  removed: "bg-error/15 line-through opacity-70",
+  same: "",
+};
+
+// Fenced code blocks with a language are highlighted in the preview
+const markdownComponents = {
+  code({ className, children }) {
+    const language = /language-(\w+)/.exec(className || "")?.[1];
+    if (!language) {
+      return <code className={className}>{children}</code>;
+    }
+    return (
+      <SyntaxHighlighter language={language} style={oneDark} PreTag="div" customStyle={{ margin: 0 }}>
+        {String(children).replace(/\n$/, "")}
+      </SyntaxHighlighter>
+    );
+  },
+};
+
+async function request(url, options = {}) {
+  const response = await fetch(url, {
+    ...options,
+    headers: { "Content-Type": "application/json", ...(options.headers || {}) },
+  });
+  const result = await response.json().catch(() => ({}));
+  if (!response.ok || !result.success) {
+    const error = new Error(result.message || `HTTP error! status: ${response.status}`);
+    error.status = response.status;
+    throw error;
+  }
+  return result;
+}
+
+/**
+ * Markdown editor of a saved spec with a live preview. Edits are autosaved to
+ * the spec; "Save as version" also keeps them in its version history. A
+ * section action rewrites one section with the AI (only that section is
+ * sent) and shows the change to accept or discard.
+ *
+ * Saves carry the updatedAt the edits were made on. When the spec was saved
+ * elsewhere meanwhile (a regeneration, another tab), autosave stops until the
+ * user reloads the spec or saves their text over it.
+ */
+export default function SpecEditor({ specId }) {
+  const [spec, setSpec] = useState(null);
+  const [content, setContent] = useState("");
+  const [savedContent, setSavedContent] = useState("");
+  const [saveState, setSaveState] = useState("saved");
+  const [sectionIndex, setSectionIndex] = useState(0);
+  const [rewrite, setRewrite] = useState(null);
+  const [busy, setBusy] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const loadSpec = async () => {
+      try {
+        const result = await request(`/api/specs/${specId}`);
+        setSpec(result.data.spec);
+        setContent(result.data.spec.content || "");
+        setSavedContent(result.data.spec.content || "");
+      } catch (err) {
+        setError(err.message);
+      }
+    };
+    loadSpec();
+  }, [specId]);
+
+  const save = useCallback(
+    async (text, expectedUpdatedAt) => {
+      try {
+        setSaveState("saving");
+        const result = await request(`/api/specs/${specId}`, {
+          method: "PUT",
+          body: JSON.stringify({ content: text, expectedUpdatedAt }),
+        });
+        setSpec(result.data.spec);
+        setSavedContent(text);
+        setSaveState("saved");
+      } catch (err) {
+        console.error("Failed to save spec:", err.message);
+        setSaveState(err.status === 409 ? "conflict" : "error");
+      }
+    },
+    [specId]
+  );
+
+  // Autosave once typing pauses
+  useEffect(() => {
+    if (saveState === "conflict") return;
+    if (!spec || content === savedContent) {
+      setSaveState((state) => (state === "unsaved" ? "saved" : state));
+      return;
+    }
+    setSaveState((state) => (state === "error" ? state : "unsaved"));
+    const timer = setTimeout(() => save(content, spec.updatedAt), AUTOSAVE_DELAY);
+    return () => clearTimeout(timer);
+  }, [content, savedContent, spec, save, saveState]);
+
+  // Drop the local edits for the spec as it was saved elsewhere
+  const reloadSpec = async () => {
+    try {
+      setBusy("conflict");
+      const result = await request(`/api/specs/${specId}`);
+      setSpec(result.data.spec);
+      setContent(result.data.spec.content || "");
+      setSavedContent(result.data.spec.content || "");
+      setSaveState("saved");
+    } catch (err) {
+      toast.error(`Failed to reload the spec: ${err.message}`);
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  // Save the local edits over the spec as it was saved elsewhere
+  const keepEdits = async () => {
+    try {
+      setBusy("conflict");
+      const result = await request(`/api/specs/${specId}`);
+      setSpec(result.data.spec);
+      await save(content, result.data.spec.updatedAt);
+    } catch (err) {
+      toast.error(`Failed to reload the spec: ${err.message}`);
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  // Warn before leaving with unsaved edits
+  useEffect(() => {
+    if (content === savedContent) return;
+    const warn = (event) => {
+      event.preventDefault();
+      event.returnValue = "";
+    };
+    window.addEventListener("beforeunload", warn);
+    return () => window.removeEventListener("beforeunload", warn);
+  }, [content, savedContent]);
+
+  const sections = splitSections(content);
+  const section = sections[Math.min(sectionIndex, sections.length - 1)];
+
+  const runAction = async (action) => {
+    try {
+      setBusy(action.key);
+      const result = await request(`/api/specs/${specId}/rewrite-section`, {
+        method: "POST",
+        body: JSON.stringify({ section: section.text, action: action.key }),
+      });
+      setRewrite({ original: section.text, replacement: result.data.section, heading: section.heading, action });
+    } catch (err) {
+      toast.error(`Failed to rewrite the section: ${err.message}`);
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const acceptRewrite = () => {
+    const updated = replaceSection(content, rewrite.original, rewrite.replacement);
+    if (updated === null) {
+      toast.error("The section was edited meanwhile - run the action again");
+      return;
+    }
+    setContent(updated);
+    setRewrite(null);
+    toast.success(`${rewrite.action.label}: section updated`);
+  };
+
+  const saveAsVersion = async () => {
+    try {
+      setBusy("version");
+      const result = await request(`/api/specs/${specId}`, {
+        method: "PUT",
+        body: JSON.stringify({ content, asVersion: true, expectedUpdatedAt: spec.updatedAt }),
+      });
+      setSpec(result.data.spec);
+      setSavedContent(content);
+      setSaveState("saved");
+      toast.success(result.message);
+    } catch (err) {
+      if (err.status === 409) setSaveState("conflict");
+      toast.error(`Failed to save the version: ${err.message}`);
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const copyToClipboard = async () => {
+    try {
+      await navigator.clipboard.writeText(content);
+      toast.success("Spec copied to clipboard");
+    } catch (err) {
+      toast.error("Failed to copy to clipboard");
+    }
+  };
+
+  if (error) {
+    return (
+      <div className="alert alert-error">
+        <span>{error}</span>
+      </div>
+    );
+  }
+
+  if (!spec) {
+    return (
+      <div className="flex items-center justify-center min-h-96">
+        <div className="loading loading-spinner loading-lg"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <div className="min-w-0">
+          <h2 className="text-xl font-bold truncate">{spec.title}</h2>
+          <div className="text-xs text-base-content/60">
+            v{spec.currentVersion}
+            {spec.approvedVersionId && <span className="badge badge-success badge-xs ml-1">approved</span>}
+            <span className={`ml-2 ${saveState === "error" || saveState === "conflict" ? "text-error" : ""}`}>{SAVE_LABELS[saveState]}</span>
+          </div>
+        </div>
+        <div className="flex gap-2">
+          <button className="btn btn-sm btn-outline" onClick={copyToClipboard}>
+            📋 Copy
+          </button>
+          <button className="btn btn-sm btn-outline" disabled={!!busy || !content.trim()} onClick={saveAsVersion}>
+            {busy === "version" ? "Saving..." : "Save as version"}
+          </button>
+          <Link href={`/dashboard/specs?spec=${spec.id}`} className="btn btn-sm btn-ghost">
+            🕘 Versions
+          </Link>
+        </div>
+      </div>
+
+      {saveState === "conflict" && (
+        <div className="alert alert-warning">
+          <span>This spec was changed since you opened it, so your edits weren&apos;t saved.</span>
+          <div className="flex gap-2">
+            <button className="btn btn-sm btn-ghost" disabled={!!busy} onClick={reloadSpec}>
+              Reload the spec
+            </button>
+            <button className="btn btn-sm" disabled={!!busy} onClick={keepEdits}>
+              Keep my edits
+            </button>
+          </div>
+        </div>
+      )}
+
+      {sections.length > 0 && (
+        <div className="flex flex-wrap items-center gap-2 p-3 bg-base-200 rounded-lg">
+          <span className="text-sm font-medium">Section</span>
+          <select
+            className="select select-bordered select-sm max-w-xs"
+            value={Math.min(sectionIndex, sections.length - 1)}
+            onChange={(e) => setSectionIndex(Number(e.target.value))}
+          >
+            {sections.map((item, index) => (
+              <option key={index} value={index}>
+                {"  ".repeat(item.level - 1)}
+                {item.heading}
+              </option>
+            ))}
+          </select>
+          {SECTION_ACTIONS.map((action) => (
+            <button
+              key={action.key}
+              className="btn btn-sm btn-outline"
+              disabled={!!busy || !!rewrite}
+              onClick={() => runAction(action)}
+            >
+              {busy === action.key ? <span className="loading loading-spinner loading-xs"></span> : "✨"}
+              {action.label}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {rewrite && (
+        <div className="card bg-base-200">
+          <div className="card-body p-4 space-y-3">
+            <div className="flex flex-wrap items-center justify-between gap-2">
+              <h3 className="font-semibold">
+                {rewrite.action.label}: {rewrite.heading}
+              </h3>
+              <div className="flex gap-2">
+                <button className="btn btn-sm btn-ghost" onClick={() => setRewrite(null)}>
+                  Discard
+                </button>
+                <button className="btn btn-sm btn-primary" onClick={acceptRewrite}>
+                  Replace section
+                </button>
+              </div>
+            </div>
+            <pre className="text-xs bg-base-100 rounded-lg p-3 overflow-x-auto max-h-80">
+              {foldUnchanged(diffLines(rewrite.original, rewrite.replacement)).map((line, index) =>
+                line.type === "skip" ? (
+                  <div key={index} className="text-base-content/40">
+                    ⋯ {line.count} unchanged lines
+                  </div>
+                ) : (
+                  <div key={index} className={LINE_STYLES[line.type]}>
+                    {line.text}
+                  </div>
+                )
+              )}
+            </pre>
+          </div>
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+        <textarea
+          className="textarea textarea-bordered font-mono text-sm w-full h-[70vh] leading-relaxed"
+          value={content}
+          spellCheck={false}
+          onChange={(e) => setContent(e.target.value)}
+        />
+        <div className="bg-base-200 rounded-lg p-4 h-[70vh] overflow-y-auto">
+          <div className="prose prose-sm max-w-none">
+            <ReactMarkdown components={markdownComponents}>{content}</ReactMarkdown>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
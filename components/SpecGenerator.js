@@ -1,22 +1,102 @@
 "use client";
 import { useState, useEffect } from "react";
 import { createClient } from "../libs/supabase/client.js";
+import Link from "next/link";
 import ReactMarkdown from "react-markdown";
+import FeedbackSearch from "./FeedbackSearch.js";
+import SpecTemplatesManager from "./SpecTemplatesManager.js";
+import SpecVersions from "./SpecVersions.js";
+import SpecIssues from "./SpecIssues.js";
+import IssueTrackersManager from "./IssueTrackersManager.js";
 
 export default function SpecGenerator() {
   const [clusters, setClusters] = useState([]);
   const [selectedCluster, setSelectedCluster] = useState(null);
+  const [selectedFeedbackId, setSelectedFeedbackId] = useState(null);
   const [generatedSpec, setGeneratedSpec] = useState("");
   const [isGenerating, setIsGenerating] = useState(false);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [templates, setTemplates] = useState({ data: [], builtIn: [], targets: [] });
+  // "" uses the default template (or the standard structure)
+  const [templateId, setTemplateId] = useState("");
+  const [specTemplate, setSpecTemplate] = useState(null);
+  const [missingSections, setMissingSections] = useState([]);
+  // Saved spec of the shown generation, with its version history
+  const [specId, setSpecId] = useState(null);
+  // GitHub Issues, Linear and Jira connections specs are sent to
+  const [trackers, setTrackers] = useState([]);
 
   const supabase = createClient();
 
   useEffect(() => {
     loadClusters();
+    loadTemplates();
+    loadTrackers();
+    // ?spec=<id> opens a saved spec, e.g. from a feedback item's specs
+    const openId = new URLSearchParams(window.location.search).get("spec");
+    if (openId) openSpec(openId);
   }, []);
 
+  const loadTemplates = async () => {
+    try {
+      const response = await fetch("/api/spec-templates");
+      const result = await response.json();
+      if (response.ok && result.success) {
+        setTemplates({ data: result.data, builtIn: result.builtIn, targets: result.targets });
+        if (templateId && !result.builtIn.concat(result.data).some((template) => template.id === templateId)) {
+          setTemplateId("");
+        }
+      }
+    } catch (err) {
+      console.error("Failed to load spec templates:", err);
+    }
+  };
+
+  const loadTrackers = async () => {
+    try {
+      const response = await fetch("/api/trackers");
+      const result = await response.json();
+      if (response.ok && result.success) {
+        setTrackers(result.data);
+      }
+    } catch (err) {
+      console.error("Failed to load issue trackers:", err);
+    }
+  };
+
+  const showSpec = (data) => {
+    setGeneratedSpec(data.spec);
+    setSpecTemplate(data.template || null);
+    setMissingSections(data.missingSections || []);
+    setSpecId(data.specId || null);
+  };
+
+  const showVersion = (version) => {
+    setGeneratedSpec(version.content);
+    setSpecTemplate(version.templateName ? { id: version.templateId, name: version.templateName } : null);
+    setMissingSections(version.missingSections);
+  };
+
+  const openSpec = async (id) => {
+    try {
+      const response = await fetch(`/api/specs/${id}`);
+      const result = await response.json();
+      if (!response.ok || !result.success) {
+        throw new Error(result.message || "Failed to load spec");
+      }
+      const [latest] = result.data.versions;
+      showSpec({
+        spec: result.data.spec.content,
+        template: latest?.templateName ? { id: latest.templateId, name: latest.templateName } : null,
+        missingSections: result.data.spec.missingSections,
+        specId: result.data.spec.id,
+      });
+    } catch (err) {
+      console.error("Failed to open spec:", err);
+    }
+  };
+
   const loadClusters = async () => {
     try {
       setLoading(true);
@@ -54,12 +134,40 @@ export default function SpecGenerator() {
     try {
       setIsGenerating(true);
       setSelectedCluster(cluster);
+      setSelectedFeedbackId(null);
       setError(null);
 
       const response = await fetch("/api/generate-spec", {
         method: "POST",
         headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ clusterId: cluster.id }),
+        body: JSON.stringify({ clusterId: cluster.id, ...(templateId && { templateId }) }),
+      });
+
+      if (!response.ok) {
+        throw new Error("Failed to generate specification");
+      }
+
+      const data = await response.json();
+      showSpec(data);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsGenerating(false);
+    }
+  };
+
+  // Spec for one feedback item found through search
+  const generateFeedbackSpec = async (feedback) => {
+    try {
+      setIsGenerating(true);
+      setSelectedCluster(null);
+      setSelectedFeedbackId(feedback.id);
+      setError(null);
+
+      const response = await fetch("/api/generate-individual-spec", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ feedbackId: feedback.id, ...(templateId && { templateId }) }),
       });
 
       if (!response.ok) {
@@ -67,7 +175,7 @@ export default function SpecGenerator() {
       }
 
       const data = await response.json();
-      setGeneratedSpec(data.spec);
+      showSpec(data);
     } catch (err) {
       setError(err.message);
     } finally {
@@ -132,9 +240,63 @@ export default function SpecGenerator() {
         </button>
       </div>
 
+      <div className="flex flex-wrap items-center gap-3">
+        <label className="text-sm font-medium" htmlFor="spec-template">
+          Template
+        </label>
+        <select
+          id="spec-template"
+          className="select select-bordered select-sm"
+          value={templateId}
+          onChange={(e) => setTemplateId(e.target.value)}
+        >
+          <option value="">
+            {templates.data.find((template) => template.isDefault)?.name
+              ? `Default (${templates.data.find((template) => template.isDefault).name})`
+              : "Standard"}
+          </option>
+          {templates.data.length > 0 && (
+            <optgroup label="My templates">
+              {templates.data.map((template) => (
+                <option key={template.id} value={template.id}>
+                  {template.name}
+                </option>
+              ))}
+            </optgroup>
+          )}
+          <optgroup label="Built-in">
+            {templates.builtIn.map((template) => (
+              <option key={template.id} value={template.id}>
+                {template.name}
+              </option>
+            ))}
+          </optgroup>
+        </select>
+      </div>
+
       <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
         {/* Clusters List */}
         <div>
+          <h3 className="text-lg font-semibold mb-4">Find Feedback</h3>
+          <div className="card bg-base-200 shadow-xl mb-6">
+            <div className="card-body">
+              <FeedbackSearch
+                selectedId={selectedFeedbackId}
+                renderActions={(feedback) => (
+                  <button
+                    onClick={() => generateFeedbackSpec(feedback)}
+                    disabled={isGenerating}
+                    className="btn btn-primary btn-xs"
+                  >
+                    {isGenerating && selectedFeedbackId === feedback.id
+                      ? "Generating..."
+                      : "Generate Spec"}
+                  </button>
+                )}
+              />
+            </div>
+          </div>
+
           <h3 className="text-lg font-semibold mb-4">Feedback Clusters</h3>
           {clusters.length === 0 ? (
             <div className="card bg-base-200 shadow-xl">
@@ -199,13 +361,21 @@ export default function SpecGenerator() {
           <div className="flex justify-between items-center mb-4">
             <h3 className="text-lg font-semibold">Generated Specification</h3>
             {generatedSpec && (
-              <button
-                onClick={copyToClipboard}
-                className="btn btn-sm btn-outline"
-              >
-                <span className="text-lg">📋</span>
-                Copy
-              </button>
+              <div className="flex gap-2">
+                {specId && (
+                  <Link href={`/dashboard/specs/${specId}`} className="btn btn-sm btn-outline">
+                    <span className="text-lg">✏️</span>
+                    Edit
+                  </Link>
+                )}
+                <button
+                  onClick={copyToClipboard}
+                  className="btn btn-sm btn-outline"
+                >
+                  <span className="text-lg">📋</span>
+                  Copy
+                </button>
+              </div>
             )}
           </div>
 
@@ -221,8 +391,20 @@ export default function SpecGenerator() {
                   </div>
                 </div>
               ) : generatedSpec ? (
-                <div className="prose prose-sm max-w-none">
-                  <ReactMarkdown>{generatedSpec}</ReactMarkdown>
+                <div className="space-y-4">
+                  {specTemplate && (
+                    <div className="text-xs text-base-content/60">Template: {specTemplate.name}</div>
+                  )}
+                  {missingSections.length > 0 && (
+                    <div className="alert alert-warning text-sm">
+                      <span>
+                        Still missing required sections after re-prompting: {missingSections.join(", ")}
+                      </span>
+                    </div>
+                  )}
+                  <div className="prose prose-sm max-w-none">
+                    <ReactMarkdown>{generatedSpec}</ReactMarkdown>
+                  </div>
                 </div>
               ) : selectedCluster ? (
                 <div className="text-center py-20">
@@ -242,8 +424,28 @@ export default function SpecGenerator() {
               )}
             </div>
           </div>
+
+          {specId && !isGenerating && (
+            <div className="mt-6">
+              <SpecVersions key={specId} specId={specId} templateId={templateId} onShowVersion={showVersion} />
+              <div className="card bg-base-200 mt-6">
+                <div className="card-body p-4">
+                  <SpecIssues key={specId} specId={specId} trackers={trackers} />
+                </div>
+              </div>
+            </div>
+          )}
         </div>
       </div>
+
+      <SpecTemplatesManager
+        templates={templates.data}
+        builtIn={templates.builtIn}
+        targets={templates.targets}
+        onChange={loadTemplates}
+      />
+
+      <IssueTrackersManager trackers={trackers} onChange={loadTrackers} />
     </div>
   );
 }
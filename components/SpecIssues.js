@@ -0,0 +1,171 @@
+"use client";
+
+import { useState, useEffect, useCallback } from "react";
+import toast from "react-hot-toast";
+
+const STATE_BADGES = {
+  open: "badge-info",
+  done: "badge-success",
+  canceled: "badge-ghost",
+};
+
+async function request(url, options = {}) {
+  const response = await fetch(url, {
+    ...options,
+    headers: { "Content-Type": "application/json", ...(options.headers || {}) },
+  });
+  const result = await response.json().catch(() => ({}));
+  if (!response.ok || !result.success) {
+    throw new Error(result.message || `HTTP error! status: ${response.status}`);
+  }
+  return result;
+}
+
+function IssueLine({ issue }) {
+  return (
+    <div className="flex items-center gap-2 text-sm min-w-0">
+      <span className={`badge badge-sm ${STATE_BADGES[issue.state]}`}>{issue.status || issue.state}</span>
+      <a href={issue.url} target="_blank" rel="noopener noreferrer" className="link link-primary shrink-0">
+        {issue.key}
+      </a>
+      <span className="truncate">{issue.title}</span>
+      {issue.syncError && (
+        <span className="text-xs text-error shrink-0" title={issue.syncError}>
+          ⚠ sync failed
+        </span>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Issues a spec was sent to in the user's trackers, and the buttons to send
+ * it - as one issue, or as an epic with child tasks the AI derives from the
+ * spec's feedback. Issue states are synced every 30 minutes; "Refresh status"
+ * syncs them now, and a closed issue marks the spec's feedback as shipped.
+ */
+export default function SpecIssues({ specId, trackers }) {
+  const [issues, setIssues] = useState(null);
+  const [mode, setMode] = useState("issue");
+  const [busy, setBusy] = useState(null);
+
+  const loadIssues = useCallback(async () => {
+    try {
+      const result = await request(`/api/specs/${specId}/issues`);
+      setIssues(result.data);
+    } catch (error) {
+      console.error("Failed to load spec issues:", error.message);
+      setIssues([]);
+    }
+  }, [specId]);
+
+  useEffect(() => {
+    loadIssues();
+  }, [loadIssues]);
+
+  const send = async (tracker) => {
+    try {
+      setBusy(tracker.provider);
+      const result = await request(`/api/specs/${specId}/issues`, {
+        method: "POST",
+        body: JSON.stringify({ provider: tracker.provider, mode }),
+      });
+      if (result.data.failedTasks.length > 0) {
+        toast.error(result.message);
+      } else {
+        toast.success(result.message);
+      }
+      await loadIssues();
+    } catch (error) {
+      toast.error(`Failed to send the spec to ${tracker.label}: ${error.message}`);
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const refresh = async () => {
+    try {
+      setBusy("sync");
+      const result = await request(`/api/specs/${specId}/issues/sync`, { method: "POST" });
+      setIssues(result.data.issues);
+      toast.success(result.message);
+    } catch (error) {
+      toast.error(`Failed to refresh the issues: ${error.message}`);
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  if (!issues) {
+    return <span className="loading loading-spinner loading-xs"></span>;
+  }
+
+  const unsent = trackers.filter((tracker) => tracker.connected && !issues.some((issue) => issue.provider === tracker.provider));
+
+  return (
+    <div className="space-y-3">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <h4 className="font-semibold">🎫 Tracker issues</h4>
+        {issues.some((issue) => issue.state === "open" || issue.tasks.some((task) => task.state === "open")) && (
+          <button className="btn btn-xs btn-ghost" disabled={!!busy} onClick={refresh}>
+            {busy === "sync" ? <span className="loading loading-spinner loading-xs"></span> : "🔄"} Refresh status
+          </button>
+        )}
+      </div>
+
+      {issues.length === 0 && (
+        <p className="text-xs text-base-content/60">
+          {trackers.some((tracker) => tracker.connected)
+            ? "Not sent to a tracker yet."
+            : "Connect GitHub Issues, Linear or Jira under Issue Trackers to send this spec."}
+        </p>
+      )}
+
+      {issues.map((issue) => {
+        const done = issue.tasks.filter((task) => task.state !== "open").length;
+        return (
+          <div key={issue.id} className="p-3 bg-base-100 rounded-lg space-y-2">
+            <IssueLine issue={issue} />
+            <div className="text-xs text-base-content/60">
+              {trackers.find((tracker) => tracker.provider === issue.provider)?.label || issue.provider}
+              {issue.kind === "epic" && ` · epic · ${done}/${issue.tasks.length} tasks closed`}
+              {issue.specVersion && ` · from v${issue.specVersion}`}
+              {issue.syncedAt && ` · checked ${new Date(issue.syncedAt).toLocaleString()}`}
+            </div>
+            {issue.tasks.length > 0 && (
+              <div className="pl-4 space-y-1 border-l-2 border-base-300">
+                {issue.tasks.map((task) => (
+                  <IssueLine key={task.id} issue={task} />
+                ))}
+              </div>
+            )}
+          </div>
+        );
+      })}
+
+      {unsent.length > 0 && (
+        <div className="flex flex-wrap items-center gap-2">
+          <select
+            className="select select-bordered select-xs"
+            value={mode}
+            onChange={(event) => setMode(event.target.value)}
+          >
+            <option value="issue">As one issue</option>
+            <option value="epic">As an epic with tasks</option>
+          </select>
+          {unsent.map((tracker) => (
+            <button
+              key={tracker.provider}
+              className="btn btn-xs btn-outline"
+              disabled={!!busy || (mode === "epic" && tracker.provider === "jira" && !tracker.epicIssueType)}
+              onClick={() => send(tracker)}
+            >
+              {busy === tracker.provider ? <span className="loading loading-spinner loading-xs"></span> : "📤"}
+              Send to {tracker.label}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,344 @@
+"use client";
+
+import { useState } from "react";
+import toast from "react-hot-toast";
+
+const TONES = ["Technical and precise", "Concise", "Formal", "Friendly", "Executive summary"];
+
+const newSection = () => ({ heading: "", instructions: "", required: true });
+
+async function request(url, options = {}) {
+  const response = await fetch(url, {
+    ...options,
+    headers: { "Content-Type": "application/json", ...(options.headers || {}) },
+  });
+  const result = await response.json().catch(() => ({}));
+  if (!response.ok || !result.success) {
+    throw new Error(result.message || `HTTP error! status: ${response.status}`);
+  }
+  return result;
+}
+
+/**
+ * The user's spec templates: sections with required headings, tone and
+ * target format. A new template starts from the built-in template of its
+ * target. Templates are loaded by SpecGenerator, which reloads them through
+ * onChange.
+ */
+export default function SpecTemplatesManager({ templates, builtIn, targets, onChange }) {
+  const sectionsOf = (target) => (builtIn.find((template) => template.id === target)?.sections || []).map((item) => ({
+    ...item,
+    instructions: item.instructions || "",
+  }));
+
+  const emptyForm = () => ({
+    name: "",
+    description: "",
+    target: "generic",
+    tone: "",
+    instructions: "",
+    sections: sectionsOf("generic"),
+    isDefault: false,
+  });
+
+  const [form, setForm] = useState(null);
+  const [editingId, setEditingId] = useState(null);
+  const [busy, setBusy] = useState(null);
+
+  const run = async (key, action) => {
+    try {
+      setBusy(key);
+      await action();
+    } catch (error) {
+      toast.error(error.message);
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const editTemplate = (template) => {
+    setEditingId(template.id);
+    setForm({
+      name: template.name,
+      description: template.description || "",
+      target: template.target,
+      tone: template.tone || "",
+      instructions: template.instructions || "",
+      sections: template.sections.map((item) => ({ ...item, instructions: item.instructions || "" })),
+      isDefault: template.isDefault,
+    });
+  };
+
+  const closeForm = () => {
+    setForm(null);
+    setEditingId(null);
+  };
+
+  // New templates follow their target's sections until they are edited
+  const changeTarget = (target) => {
+    setForm((current) => ({
+      ...current,
+      target,
+      sections: !editingId && !current.sectionsEdited ? sectionsOf(target) : current.sections,
+    }));
+  };
+
+  const updateSection = (index, changes) => {
+    setForm((current) => ({
+      ...current,
+      sectionsEdited: true,
+      sections: current.sections.map((item, i) => (i === index ? { ...item, ...changes } : item)),
+    }));
+  };
+
+  const moveSection = (index, offset) => {
+    setForm((current) => {
+      const sections = [...current.sections];
+      const [item] = sections.splice(index, 1);
+      sections.splice(index + offset, 0, item);
+      return { ...current, sectionsEdited: true, sections };
+    });
+  };
+
+  const removeSection = (index) => {
+    setForm((current) => ({
+      ...current,
+      sectionsEdited: true,
+      sections: current.sections.filter((_, i) => i !== index),
+    }));
+  };
+
+  const saveTemplate = (event) => {
+    event.preventDefault();
+    run("save", async () => {
+      const body = { ...form };
+      delete body.sectionsEdited;
+      await request(editingId ? `/api/spec-templates/${editingId}` : "/api/spec-templates", {
+        method: editingId ? "PUT" : "POST",
+        body: JSON.stringify(body),
+      });
+      toast.success(editingId ? "Template updated" : "Template saved");
+      closeForm();
+      await onChange();
+    });
+  };
+
+  const setDefault = (template) => {
+    run(template.id, async () => {
+      await request(`/api/spec-templates/${template.id}`, {
+        method: "PUT",
+        body: JSON.stringify({ isDefault: !template.isDefault }),
+      });
+      toast.success(template.isDefault ? "Default template removed" : `"${template.name}" is now the default`);
+      await onChange();
+    });
+  };
+
+  const deleteTemplate = (template) => {
+    if (!window.confirm(`Delete the template "${template.name}"? Specs generated with it are kept.`)) return;
+    run(template.id, async () => {
+      await request(`/api/spec-templates/${template.id}`, { method: "DELETE" });
+      toast.success("Template deleted");
+      if (editingId === template.id) closeForm();
+      await onChange();
+    });
+  };
+
+  const targetLabel = (key) => targets.find((target) => target.key === key)?.label || key;
+
+  return (
+    <div className="card bg-base-200 shadow-xl">
+      <div className="card-body space-y-4">
+        <div className="flex items-center justify-between">
+          <div>
+            <h3 className="card-title">📐 Spec Templates</h3>
+            <p className="text-sm text-base-content/70">
+              Required sections are checked in every generated spec and asked for again when missing.
+            </p>
+          </div>
+          {!form && (
+            <button className="btn btn-primary btn-sm" onClick={() => setForm(emptyForm())}>
+              New template
+            </button>
+          )}
+        </div>
+
+        {templates.length === 0 && !form && (
+          <p className="text-sm text-base-content/60">
+            No custom templates yet. Specs use the standard structure or the built-in template you pick.
+          </p>
+        )}
+
+        {templates.length > 0 && (
+          <div className="space-y-2">
+            {templates.map((template) => (
+              <div key={template.id} className="flex items-center justify-between gap-2 p-3 bg-base-100 rounded-lg">
+                <div className="min-w-0">
+                  <div className="font-medium truncate">
+                    {template.name}
+                    {template.isDefault && <span className="badge badge-primary badge-sm ml-2">default</span>}
+                  </div>
+                  <div className="text-xs text-base-content/60">
+                    {targetLabel(template.target)} · {template.sections.length} sections
+                    {template.sections.filter((item) => item.required).length !== template.sections.length &&
+                      ` (${template.sections.filter((item) => item.required).length} required)`}
+                  </div>
+                </div>
+                <div className="flex gap-1 shrink-0">
+                  <button className="btn btn-ghost btn-xs" disabled={busy === template.id} onClick={() => setDefault(template)}>
+                    {template.isDefault ? "Unset default" : "Make default"}
+                  </button>
+                  <button className="btn btn-ghost btn-xs" onClick={() => editTemplate(template)}>
+                    Edit
+                  </button>
+                  <button
+                    className="btn btn-ghost btn-xs text-error"
+                    disabled={busy === template.id}
+                    onClick={() => deleteTemplate(template)}
+                  >
+                    Delete
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+
+        {form && (
+          <form onSubmit={saveTemplate} className="space-y-3 p-4 bg-base-100 rounded-lg">
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+              <input
+                className="input input-bordered input-sm"
+                placeholder="Template name"
+                value={form.name}
+                maxLength={100}
+                required
+                onChange={(event) => setForm({ ...form, name: event.target.value })}
+              />
+              <select
+                className="select select-bordered select-sm"
+                value={form.target}
+                onChange={(event) => changeTarget(event.target.value)}
+              >
+                {targets.map((target) => (
+                  <option key={target.key} value={target.key}>
+                    {target.label}
+                  </option>
+                ))}
+              </select>
+              <input
+                className="input input-bordered input-sm"
+                placeholder="Tone (optional)"
+                list="spec-template-tones"
+                value={form.tone}
+                maxLength={200}
+                onChange={(event) => setForm({ ...form, tone: event.target.value })}
+              />
+              <datalist id="spec-template-tones">
+                {TONES.map((tone) => (
+                  <option key={tone} value={tone} />
+                ))}
+              </datalist>
+              <input
+                className="input input-bordered input-sm"
+                placeholder="Description (optional)"
+                value={form.description}
+                maxLength={500}
+                onChange={(event) => setForm({ ...form, description: event.target.value })}
+              />
+            </div>
+
+            <div className="space-y-2">
+              <div className="text-sm font-medium">Sections</div>
+              {form.sections.map((item, index) => (
+                <div key={index} className="flex flex-wrap md:flex-nowrap items-center gap-2">
+                  <input
+                    className="input input-bordered input-sm w-full md:w-56"
+                    placeholder="Heading"
+                    value={item.heading}
+                    maxLength={100}
+                    required
+                    onChange={(event) => updateSection(index, { heading: event.target.value })}
+                  />
+                  <input
+                    className="input input-bordered input-sm flex-1"
+                    placeholder="What the section should contain (optional)"
+                    value={item.instructions}
+                    maxLength={1000}
+                    onChange={(event) => updateSection(index, { instructions: event.target.value })}
+                  />
+                  <label className="label cursor-pointer gap-1">
+                    <input
+                      type="checkbox"
+                      className="checkbox checkbox-sm"
+                      checked={item.required}
+                      onChange={(event) => updateSection(index, { required: event.target.checked })}
+                    />
+                    <span className="label-text text-xs">Required</span>
+                  </label>
+                  <div className="join">
+                    <button
+                      type="button"
+                      className="btn btn-ghost btn-xs join-item"
+                      disabled={index === 0}
+                      onClick={() => moveSection(index, -1)}
+                    >
+                      ↑
+                    </button>
+                    <button
+                      type="button"
+                      className="btn btn-ghost btn-xs join-item"
+                      disabled={index === form.sections.length - 1}
+                      onClick={() => moveSection(index, 1)}
+                    >
+                      ↓
+                    </button>
+                    <button type="button" className="btn btn-ghost btn-xs join-item" onClick={() => removeSection(index)}>
+                      ✕
+                    </button>
+                  </div>
+                </div>
+              ))}
+              <button
+                type="button"
+                className="btn btn-ghost btn-xs"
+                onClick={() => setForm({ ...form, sectionsEdited: true, sections: [...form.sections, newSection()] })}
+              >
+                + Add section
+              </button>
+            </div>
+
+            <textarea
+              className="textarea textarea-bordered textarea-sm w-full"
+              rows={3}
+              placeholder="Additional instructions for the AI (optional), e.g. our stack is Next.js and Supabase"
+              value={form.instructions}
+              maxLength={4000}
+              onChange={(event) => setForm({ ...form, instructions: event.target.value })}
+            />
+
+            <div className="flex items-center justify-between">
+              <label className="label cursor-pointer gap-2">
+                <input
+                  type="checkbox"
+                  className="checkbox checkbox-sm"
+                  checked={form.isDefault}
+                  onChange={(event) => setForm({ ...form, isDefault: event.target.checked })}
+                />
+                <span className="label-text">Use by default</span>
+              </label>
+              <div className="flex gap-2">
+                <button type="button" className="btn btn-ghost btn-sm" onClick={closeForm}>
+                  Cancel
+                </button>
+                <button type="submit" className="btn btn-primary btn-sm" disabled={busy === "save"}>
+                  {busy === "save" ? "Saving..." : editingId ? "Update template" : "Save template"}
+                </button>
+              </div>
+            </div>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,246 @@
+"use client";
+
+import { useState, useEffect, useCallback } from "react";
+import toast from "react-hot-toast";
+import { diffLines, diffStats, foldUnchanged } from "../libs/spec-diff.js";
+
+const LINE_STYLES = {
+  added: "bg-success/15",
+  removed: "bg-error/15 line-through opacity-70",
+  same: "",
+};
+
+const LINE_PREFIX = { added: "+", removed: "-", same: " " };
+
+async function request(url, options = {}) {
+  const response = await fetch(url, {
+    ...options,
+    headers: { "Content-Type": "application/json", ...(options.headers || {}) },
+  });
+  const result = await response.json().catch(() => ({}));
+  if (!response.ok || !result.success) {
+    throw new Error(result.message || `HTTP error! status: ${response.status}`);
+  }
+  return result;
+}
+
+const versionLabel = (version) => `v${version.version} · ${new Date(version.createdAt).toLocaleString()}`;
+
+/**
+ * Version history of a spec: every generation with its model and template,
+ * a diff between any two versions, the approved version, and regeneration -
+ * from scratch or as an update with the feedback that arrived since the
+ * approved (else latest) version. Below it, the feedback quotes the spec was
+ * generated from and the reports merged into them since.
+ */
+export default function SpecVersions({ specId, templateId, onShowVersion }) {
+  const [spec, setSpec] = useState(null);
+  const [versions, setVersions] = useState([]);
+  const [sources, setSources] = useState([]);
+  const [fromId, setFromId] = useState("");
+  const [toId, setToId] = useState("");
+  const [busy, setBusy] = useState(null);
+
+  const loadVersions = useCallback(async () => {
+    try {
+      const result = await request(`/api/specs/${specId}`);
+      setSpec(result.data.spec);
+      setVersions(result.data.versions);
+      setSources(result.data.feedback);
+      // Compare the latest version with the one before it
+      setToId(result.data.versions[0]?.id || "");
+      setFromId(result.data.versions[1]?.id || "");
+    } catch (error) {
+      toast.error(`Failed to load spec versions: ${error.message}`);
+    }
+  }, [specId]);
+
+  useEffect(() => {
+    loadVersions();
+  }, [loadVersions]);
+
+  const run = async (key, action) => {
+    try {
+      setBusy(key);
+      await action();
+    } catch (error) {
+      toast.error(error.message);
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const approve = (version) => {
+    const approved = spec.approvedVersionId === version.id;
+    run(`approve-${version.id}`, async () => {
+      const result = await request(`/api/specs/${specId}`, {
+        method: "PUT",
+        body: JSON.stringify({ approvedVersionId: approved ? null : version.id }),
+      });
+      setSpec(result.data);
+      toast.success(approved ? "Approval removed" : `Version ${version.version} approved`);
+    });
+  };
+
+  const regenerate = (mode) => {
+    run(mode, async () => {
+      const result = await request(`/api/specs/${specId}/regenerate`, {
+        method: "POST",
+        body: JSON.stringify({ mode, ...(templateId && { templateId }) }),
+      });
+      toast.success(result.message);
+      onShowVersion?.(result.data.version);
+      await loadVersions();
+    });
+  };
+
+  if (!spec) return null;
+
+  const from = versions.find((version) => version.id === fromId);
+  const to = versions.find((version) => version.id === toId);
+  const lines = from && to ? diffLines(from.content, to.content) : [];
+  const stats = diffStats(lines);
+  const changes = to?.changeSummary;
+
+  return (
+    <div className="card bg-base-200 shadow-xl">
+      <div className="card-body space-y-4">
+        <div className="flex flex-wrap items-center justify-between gap-2">
+          <h3 className="card-title">🕘 Versions</h3>
+          <div className="flex gap-2">
+            <button className="btn btn-outline btn-sm" disabled={!!busy} onClick={() => regenerate("full")}>
+              {busy === "full" ? "Regenerating..." : "Regenerate"}
+            </button>
+            <button className="btn btn-primary btn-sm" disabled={!!busy} onClick={() => regenerate("changes")}>
+              {busy === "changes" ? "Updating..." : "Update with new feedback"}
+            </button>
+          </div>
+        </div>
+
+        <div className="space-y-1">
+          {versions.map((version) => (
+            <div key={version.id} className="flex items-center justify-between gap-2 p-2 bg-base-100 rounded-lg text-sm">
+              <div className="min-w-0">
+                <span className="font-medium">{versionLabel(version)}</span>
+                {spec.approvedVersionId === version.id && (
+                  <span className="badge badge-success badge-sm ml-2">approved</span>
+                )}
+                {version.changeSummary?.newFeedbackIds && (
+                  <span className="badge badge-info badge-sm ml-2">
+                    +{version.changeSummary.newFeedbackIds.length} feedback
+                  </span>
+                )}
+                {version.changeSummary?.editedFromVersion && (
+                  <span className="badge badge-ghost badge-sm ml-2">edited</span>
+                )}
+                <div className="text-xs text-base-content/60 truncate">
+                  {[
+                    version.model
+                      ? `${version.provider}/${version.model}`
+                      : version.changeSummary?.editedFromVersion && `edited from v${version.changeSummary.editedFromVersion}`,
+                    version.templateName || "Standard",
+                    `${version.feedbackIds.length} feedback`,
+                  ]
+                    .filter(Boolean)
+                    .join(" · ")}
+                </div>
+              </div>
+              <div className="flex gap-1 shrink-0">
+                <button className="btn btn-ghost btn-xs" onClick={() => onShowVersion?.(version)}>
+                  View
+                </button>
+                <button
+                  className="btn btn-ghost btn-xs"
+                  disabled={busy === `approve-${version.id}`}
+                  onClick={() => approve(version)}
+                >
+                  {spec.approvedVersionId === version.id ? "Unapprove" : "Approve"}
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+
+        {versions.length > 1 && (
+          <div className="space-y-3">
+            <div className="flex flex-wrap items-center gap-2 text-sm">
+              <span>Compare</span>
+              <select className="select select-bordered select-xs" value={fromId} onChange={(e) => setFromId(e.target.value)}>
+                {versions.map((version) => (
+                  <option key={version.id} value={version.id}>
+                    v{version.version}
+                  </option>
+                ))}
+              </select>
+              <span>→</span>
+              <select className="select select-bordered select-xs" value={toId} onChange={(e) => setToId(e.target.value)}>
+                {versions.map((version) => (
+                  <option key={version.id} value={version.id}>
+                    v{version.version}
+                  </option>
+                ))}
+              </select>
+              <span className="text-success">+{stats.added}</span>
+              <span className="text-error">-{stats.removed}</span>
+            </div>
+
+            {changes?.newRequirements?.length > 0 && (
+              <div className="alert alert-info text-sm flex-col items-start">
+                <div className="font-medium">
+                  New requirements in v{to.version} (from {changes.newFeedbackIds?.length || 0} new feedback since v
+                  {changes.baseVersion})
+                </div>
+                <ul className="list-disc list-inside">
+                  {changes.newRequirements.map((requirement, index) => (
+                    <li key={index}>{requirement}</li>
+                  ))}
+                </ul>
+              </div>
+            )}
+
+            <pre className="text-xs bg-base-100 rounded-lg p-3 overflow-x-auto max-h-96">
+              {stats.added + stats.removed === 0 ? (
+                <span className="text-base-content/60">No changes between these versions</span>
+              ) : (
+                foldUnchanged(lines).map((line, index) =>
+                  line.type === "skip" ? (
+                    <div key={index} className="text-base-content/40">
+                      ⋯ {line.count} unchanged lines
+                    </div>
+                  ) : (
+                    <div key={index} className={LINE_STYLES[line.type]}>
+                      {LINE_PREFIX[line.type]} {line.text}
+                    </div>
+                  )
+                )
+              )}
+            </pre>
+          </div>
+        )}
+
+        {sources.length > 0 && (
+          <div className="space-y-1">
+            <div className="text-sm font-medium">Source feedback ({sources.length})</div>
+            {sources.map((source) => (
+              <blockquote key={source.id} className="p-2 bg-base-100 rounded-lg text-sm border-l-4 border-base-300">
+                <p className="line-clamp-3">{source.content || source.title || "No content"}</p>
+                <footer className="text-xs text-base-content/60 mt-1">
+                  {[
+                    source.reporter.email || source.reporter.name || "Anonymous",
+                    source.reporter.source,
+                    new Date(source.reporter.submittedAt).toLocaleDateString(),
+                    source.mergedInto
+                      ? "merged in since"
+                      : source.firstVersion === source.lastVersion
+                        ? `v${source.firstVersion}`
+                        : `v${source.firstVersion}–v${source.lastVersion}`,
+                  ].join(" · ")}
+                </footer>
+              </blockquote>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,455 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import { createClient } from '../../libs/supabase/client.js';
+import SyncSchedule from './SyncSchedule.js';
+
+// Same columns /api/sync/discord/setup returns - the bot token stays on the server
+const INTEGRATION_FIELDS = 'id, platform, status, config, last_sync, next_sync_at, sync_failures, last_sync_status, last_sync_error';
+
+const FORUM_CHANNEL_TYPE = 15;
+
+export default function DiscordSetup() {
+  // Состояния компонента
+  const [discordIntegration, setDiscordIntegration] = useState(null);
+  const [botToken, setBotToken] = useState('');
+  const [guilds, setGuilds] = useState([]);
+  const [guildId, setGuildId] = useState('');
+  const [channels, setChannels] = useState([]);
+  const [channelIds, setChannelIds] = useState([]);
+  const [includeThreads, setIncludeThreads] = useState(true);
+  const [keywords, setKeywords] = useState('');
+  const [editing, setEditing] = useState(false);
+  const [isLoading, setIsLoading] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [syncRunsKey, setSyncRunsKey] = useState(0);
+
+  const supabase = createClient();
+  const isConnected = discordIntegration?.status === 'connected';
+
+  useEffect(() => {
+    checkConnection();
+  }, []);
+
+  /**
+   * Проверить существующее подключение Discord
+   */
+  const checkConnection = async () => {
+    try {
+      const { data: { user } } = await supabase.auth.getUser();
+      if (!user) return;
+
+      const { data: integration, error } = await supabase
+        .from('integrations')
+        .select(INTEGRATION_FIELDS)
+        .eq('user_id', user.id)
+        .eq('platform', 'discord')
+        .eq('status', 'connected')
+        .single();
+
+      if (error && error.code !== 'PGRST116') {
+        // PGRST116 = No rows found
+        console.error('Error checking Discord connection:', error);
+      }
+
+      applyIntegration(integration || null);
+    } catch (error) {
+      console.error('Error in checkConnection:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const applyIntegration = (integration) => {
+    setDiscordIntegration(integration);
+    if (integration?.config) {
+      setGuildId(integration.config.guild_id || '');
+      setChannelIds(integration.config.channel_ids || []);
+      setIncludeThreads(integration.config.include_threads !== false);
+      setKeywords((integration.config.keywords || []).join(', '));
+    }
+  };
+
+  /**
+   * Загрузить серверы и каналы, доступные боту
+   */
+  const loadChannels = async (selectedGuildId = guildId) => {
+    try {
+      setIsLoading(true);
+      setError(null);
+
+      const response = await fetch('/api/sync/discord/setup', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ botToken: botToken.trim() || undefined, guildId: selectedGuildId || undefined }),
+      });
+      const result = await response.json();
+
+      if (!response.ok) {
+        throw new Error(result.error || 'Failed to load Discord channels');
+      }
+
+      setGuilds(result.data.guilds);
+      setGuildId(result.data.guildId || '');
+      setChannels(result.data.channels);
+      // Keep only channels that still exist on the chosen server
+      setChannelIds((prev) => prev.filter((id) => result.data.channels.some((channel) => channel.id === id)));
+    } catch (error) {
+      console.error('Error loading Discord channels:', error);
+      setError(error.message);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const toggleChannel = (id) => {
+    setChannelIds((prev) => (prev.includes(id) ? prev.filter((item) => item !== id) : [...prev, id]));
+  };
+
+  /**
+   * Сохранить бота, сервер и каналы
+   */
+  const handleSave = async () => {
+    try {
+      setIsLoading(true);
+      setError(null);
+
+      const response = await fetch('/api/sync/discord/setup', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          botToken: botToken.trim() || undefined,
+          guildId,
+          channelIds,
+          includeThreads,
+          keywords: keywords.split(',').map((word) => word.trim()).filter(Boolean),
+        }),
+      });
+      const result = await response.json();
+
+      if (!response.ok) {
+        throw new Error(result.error || 'Failed to save Discord setup');
+      }
+
+      applyIntegration(result.data.integration);
+      setBotToken('');
+      setEditing(false);
+      setSyncRunsKey((key) => key + 1);
+    } catch (error) {
+      console.error('Error setting up Discord integration:', error);
+      setError(error.message);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  /**
+   * Синхронизировать Discord
+   */
+  const handleSync = async () => {
+    try {
+      setIsLoading(true);
+      setError(null);
+
+      const response = await fetch('/api/sync/discord', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+      });
+      const data = await response.json();
+      setSyncRunsKey((key) => key + 1);
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Discord sync failed');
+      }
+
+      await checkConnection();
+
+      const skippedChannels = data.channelErrors?.length
+        ? ` ${data.channelErrors.length} channel(s) could not be read.`
+        : '';
+      alert(`Discord sync completed! Processed ${data.processed || 0} messages.${skippedChannels}`);
+    } catch (error) {
+      console.error('Error in handleSync:', error);
+      setError(error.message);
+      await checkConnection();
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  /**
+   * Отключить Discord интеграцию
+   */
+  const handleDisconnect = async () => {
+    try {
+      setIsLoading(true);
+
+      const { data: { user } } = await supabase.auth.getUser();
+      if (!user) return;
+
+      const { error } = await supabase
+        .from('integrations')
+        .update({
+          status: 'disconnected',
+          updated_at: new Date().toISOString()
+        })
+        .eq('user_id', user.id)
+        .eq('platform', 'discord');
+
+      if (error) throw error;
+
+      setDiscordIntegration(null);
+      setEditing(false);
+      alert('Discord disconnected successfully');
+    } catch (error) {
+      console.error('Error disconnecting Discord:', error);
+      alert('Error disconnecting Discord');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const startEditing = () => {
+    setEditing(true);
+    loadChannels();
+  };
+
+  if (loading) {
+    return (
+      <div className="p-6 bg-white rounded-lg border">
+        <div className="animate-pulse">
+          <div className="h-4 bg-gray-200 rounded w-1/3 mb-4"></div>
+          <div className="h-4 bg-gray-200 rounded w-2/3"></div>
+        </div>
+      </div>
+    );
+  }
+
+  const config = discordIntegration?.config || {};
+  const showForm = !isConnected || editing;
+
+  return (
+    <div className="p-6 bg-white rounded-lg border">
+      <div className="flex items-center justify-between mb-4">
+        <div className="flex items-center space-x-3">
+          <div className="text-2xl">🎮</div>
+          <div>
+            <h3 className="text-lg font-semibold text-gray-900">Discord</h3>
+            <p className="text-sm text-gray-500">
+              Collect feedback from your Discord server channels and threads
+            </p>
+          </div>
+        </div>
+
+        {isConnected && (
+          <div className="flex items-center space-x-2">
+            <span className="px-2 py-1 text-xs font-medium text-indigo-600 bg-indigo-100 rounded-full">
+              Connected
+            </span>
+            <button
+              onClick={handleSync}
+              disabled={isLoading}
+              className="px-3 py-1 text-sm bg-indigo-500 text-white rounded hover:bg-indigo-600 disabled:opacity-50"
+            >
+              {isLoading ? 'Syncing...' : 'Sync Now'}
+            </button>
+            <button
+              onClick={handleDisconnect}
+              disabled={isLoading}
+              className="px-3 py-1 text-sm text-red-600 border border-red-300 rounded hover:bg-red-50 disabled:opacity-50"
+            >
+              Disconnect
+            </button>
+          </div>
+        )}
+      </div>
+
+      {error && (
+        <div className="mt-4 p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">{error}</div>
+      )}
+
+      {showForm && (
+        <div className="mt-4 p-4 bg-gray-50 rounded-lg">
+          <h4 className="text-sm font-medium text-gray-900 mb-4">Discord Bot Setup</h4>
+
+          <div className="space-y-4 text-sm">
+            <div>
+              <label className="block font-medium text-gray-700 mb-1">
+                Bot Token {isConnected ? '(leave empty to keep the current one)' : '*'}
+              </label>
+              <div className="flex space-x-2">
+                <input
+                  type="password"
+                  value={botToken}
+                  onChange={(e) => setBotToken(e.target.value)}
+                  placeholder="Bot token from the Discord Developer Portal"
+                  className="flex-1 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                  disabled={isLoading}
+                />
+                <button
+                  onClick={() => loadChannels('')}
+                  disabled={isLoading || (!botToken.trim() && !isConnected)}
+                  className="px-3 py-2 border border-indigo-300 text-indigo-600 rounded hover:bg-indigo-50 disabled:opacity-50"
+                >
+                  {isLoading ? 'Loading...' : 'Load servers'}
+                </button>
+              </div>
+              <p className="text-xs text-gray-500 mt-1">
+                Enable the Message Content intent for the bot and add it to your server with the
+                &quot;View Channels&quot; and &quot;Read Message History&quot; permissions
+              </p>
+            </div>
+
+            {guilds.length > 1 && (
+              <label className="block">
+                <span className="font-medium text-gray-700">Server</span>
+                <select
+                  value={guildId}
+                  onChange={(e) => loadChannels(e.target.value)}
+                  className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md"
+                  disabled={isLoading}
+                >
+                  <option value="">Select a server</option>
+                  {guilds.map((guild) => (
+                    <option key={guild.id} value={guild.id}>{guild.name}</option>
+                  ))}
+                </select>
+              </label>
+            )}
+
+            {channels.length > 0 && (
+              <div>
+                <span className="font-medium text-gray-700">Channels to monitor</span>
+                <div className="grid grid-cols-2 gap-1 mt-1">
+                  {channels.map((channel) => (
+                    <label key={channel.id} className="flex items-center space-x-1 text-gray-600">
+                      <input
+                        type="checkbox"
+                        checked={channelIds.includes(channel.id)}
+                        onChange={() => toggleChannel(channel.id)}
+                      />
+                      <span>
+                        {channel.type === FORUM_CHANNEL_TYPE ? '🗂️' : '#'} {channel.name}
+                      </span>
+                    </label>
+                  ))}
+                </div>
+              </div>
+            )}
+
+            {channels.length > 0 && (
+              <>
+                <label className="flex items-center space-x-2 text-gray-600">
+                  <input
+                    type="checkbox"
+                    checked={includeThreads}
+                    onChange={(e) => setIncludeThreads(e.target.checked)}
+                  />
+                  <span>Include active threads in these channels (forum posts are always included)</span>
+                </label>
+
+                <label className="block">
+                  <span className="font-medium text-gray-700">Keywords (optional)</span>
+                  <input
+                    type="text"
+                    value={keywords}
+                    onChange={(e) => setKeywords(e.target.value)}
+                    placeholder="bug, feature, feedback (empty = every message)"
+                    className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md"
+                  />
+                </label>
+              </>
+            )}
+          </div>
+
+          <div className="flex items-center space-x-2 mt-4">
+            <button
+              onClick={handleSave}
+              disabled={isLoading || !guildId || channelIds.length === 0}
+              className="px-4 py-2 bg-indigo-500 text-white rounded hover:bg-indigo-600 disabled:opacity-50"
+            >
+              {isLoading ? 'Saving...' : isConnected ? 'Save channels' : 'Connect Discord'}
+            </button>
+            {editing && (
+              <button
+                onClick={() => setEditing(false)}
+                disabled={isLoading}
+                className="px-4 py-2 text-sm text-gray-600 border border-gray-300 rounded hover:bg-gray-50"
+              >
+                Cancel
+              </button>
+            )}
+          </div>
+        </div>
+      )}
+
+      {isConnected && !editing && (
+        <div className="mt-4 p-4 bg-gray-50 rounded-lg">
+          <h4 className="text-sm font-medium text-gray-900 mb-2">Sync Status</h4>
+          <div className="text-sm text-gray-600 space-y-1">
+            <div>
+              <span className="font-medium">Server:</span> {config.guild_name || config.guild_id}
+              {config.bot_username ? ` (bot @${config.bot_username})` : ''}
+            </div>
+            <div>
+              <span className="font-medium">Channels:</span> {(config.channel_ids || []).length}
+              {config.include_threads !== false ? ' + active threads' : ''}
+            </div>
+            <div>
+              <span className="font-medium">Last sync:</span>{' '}
+              {discordIntegration.last_sync
+                ? new Date(discordIntegration.last_sync).toLocaleString()
+                : <span className="text-gray-400">Never</span>}
+            </div>
+          </div>
+
+          {(config.keywords || []).length > 0 && (
+            <div className="mt-3">
+              <span className="text-sm font-medium text-gray-700">Monitoring keywords:</span>
+              <div className="flex flex-wrap gap-1 mt-1">
+                {config.keywords.map((keyword) => (
+                  <span
+                    key={keyword}
+                    className="inline-flex items-center px-2 py-1 rounded-full text-xs bg-indigo-100 text-indigo-700"
+                  >
+                    {keyword}
+                  </span>
+                ))}
+              </div>
+            </div>
+          )}
+
+          <button
+            onClick={startEditing}
+            disabled={isLoading}
+            className="mt-3 px-3 py-1 text-sm border border-gray-300 text-gray-700 rounded hover:bg-gray-100 disabled:opacity-50"
+          >
+            Edit channels
+          </button>
+        </div>
+      )}
+
+      {isConnected && (
+        <SyncSchedule
+          platform="discord"
+          integration={discordIntegration}
+          onUpdated={setDiscordIntegration}
+          refreshKey={syncRunsKey}
+        />
+      )}
+
+      {!isConnected && (
+        <div className="mt-4 p-4 bg-indigo-50 border border-indigo-200 rounded-lg">
+          <h4 className="text-sm font-medium text-indigo-900 mb-2">What will be monitored:</h4>
+          <ul className="text-sm text-indigo-700 space-y-1">
+            <li>• New messages in the channels you select</li>
+            <li>• Active threads and forum posts in those channels</li>
+            <li>• Optional keyword filter (bot and system messages are skipped)</li>
+            <li>• Automatic feedback categorization</li>
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,407 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import { createClient } from '../../libs/supabase/client.js';
+import SyncSchedule from './SyncSchedule.js';
+
+// Same columns /api/sync/github/setup returns - the access token stays on the server
+const INTEGRATION_FIELDS = 'id, platform, status, config, last_sync, next_sync_at, sync_failures, last_sync_status, last_sync_error';
+
+const splitList = (value) => value.split(/[,\n]/).map((item) => item.trim()).filter(Boolean);
+
+export default function GitHubSetup() {
+  // Состояния компонента
+  const [githubIntegration, setGithubIntegration] = useState(null);
+  const [token, setToken] = useState('');
+  const [repositories, setRepositories] = useState('');
+  const [labels, setLabels] = useState('');
+  const [discussionCategories, setDiscussionCategories] = useState('');
+  const [includeComments, setIncludeComments] = useState(true);
+  const [includeDiscussions, setIncludeDiscussions] = useState(true);
+  const [editing, setEditing] = useState(false);
+  const [isLoading, setIsLoading] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [syncRunsKey, setSyncRunsKey] = useState(0);
+
+  const supabase = createClient();
+  const isConnected = githubIntegration?.status === 'connected';
+
+  useEffect(() => {
+    checkConnection();
+  }, []);
+
+  /**
+   * Проверить существующее подключение GitHub
+   */
+  const checkConnection = async () => {
+    try {
+      const { data: { user } } = await supabase.auth.getUser();
+      if (!user) return;
+
+      const { data: integration, error } = await supabase
+        .from('integrations')
+        .select(INTEGRATION_FIELDS)
+        .eq('user_id', user.id)
+        .eq('platform', 'github')
+        .eq('status', 'connected')
+        .single();
+
+      if (error && error.code !== 'PGRST116') {
+        // PGRST116 = No rows found
+        console.error('Error checking GitHub connection:', error);
+      }
+
+      applyIntegration(integration || null);
+    } catch (error) {
+      console.error('Error in checkConnection:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const applyIntegration = (integration) => {
+    setGithubIntegration(integration);
+    if (integration?.config) {
+      setRepositories((integration.config.repositories || []).join('\n'));
+      setLabels((integration.config.labels || []).join(', '));
+      setDiscussionCategories((integration.config.discussion_categories || []).join(', '));
+      setIncludeComments(integration.config.include_comments !== false);
+      setIncludeDiscussions(integration.config.include_discussions !== false);
+    }
+  };
+
+  /**
+   * Сохранить токен и репозитории
+   */
+  const handleSave = async () => {
+    try {
+      setIsLoading(true);
+      setError(null);
+
+      const response = await fetch('/api/sync/github/setup', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          token: token.trim() || undefined,
+          repositories: splitList(repositories),
+          labels: splitList(labels),
+          discussionCategories: splitList(discussionCategories),
+          includeComments,
+          includeDiscussions,
+        }),
+      });
+      const result = await response.json();
+
+      if (!response.ok) {
+        throw new Error(result.error || 'Failed to save GitHub setup');
+      }
+
+      applyIntegration(result.data.integration);
+      setToken('');
+      setEditing(false);
+      setSyncRunsKey((key) => key + 1);
+    } catch (error) {
+      console.error('Error setting up GitHub integration:', error);
+      setError(error.message);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  /**
+   * Синхронизировать GitHub
+   */
+  const handleSync = async () => {
+    try {
+      setIsLoading(true);
+      setError(null);
+
+      const response = await fetch('/api/sync/github', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+      });
+      const data = await response.json();
+      setSyncRunsKey((key) => key + 1);
+
+      if (!response.ok) {
+        throw new Error(data.error || 'GitHub sync failed');
+      }
+
+      await checkConnection();
+
+      const updated = data.updated ? ` Updated ${data.updated} edited item(s).` : '';
+      const skippedRepos = data.repoErrors?.length
+        ? ` ${data.repoErrors.length} repositor${data.repoErrors.length === 1 ? 'y' : 'ies'} could not be read.`
+        : '';
+      alert(`GitHub sync completed! Processed ${data.processed || 0} issues, comments and discussions.${updated}${skippedRepos}`);
+    } catch (error) {
+      console.error('Error in handleSync:', error);
+      setError(error.message);
+      await checkConnection();
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  /**
+   * Отключить GitHub интеграцию
+   */
+  const handleDisconnect = async () => {
+    try {
+      setIsLoading(true);
+
+      const { data: { user } } = await supabase.auth.getUser();
+      if (!user) return;
+
+      const { error } = await supabase
+        .from('integrations')
+        .update({
+          status: 'disconnected',
+          updated_at: new Date().toISOString()
+        })
+        .eq('user_id', user.id)
+        .eq('platform', 'github');
+
+      if (error) throw error;
+
+      setGithubIntegration(null);
+      setEditing(false);
+      alert('GitHub disconnected successfully');
+    } catch (error) {
+      console.error('Error disconnecting GitHub:', error);
+      alert('Error disconnecting GitHub');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="p-6 bg-white rounded-lg border">
+        <div className="animate-pulse">
+          <div className="h-4 bg-gray-200 rounded w-1/3 mb-4"></div>
+          <div className="h-4 bg-gray-200 rounded w-2/3"></div>
+        </div>
+      </div>
+    );
+  }
+
+  const config = githubIntegration?.config || {};
+  const showForm = !isConnected || editing;
+
+  return (
+    <div className="p-6 bg-white rounded-lg border">
+      <div className="flex items-center justify-between mb-4">
+        <div className="flex items-center space-x-3">
+          <div className="text-2xl">🐙</div>
+          <div>
+            <h3 className="text-lg font-semibold text-gray-900">GitHub</h3>
+            <p className="text-sm text-gray-500">
+              Import feature requests and bug reports from issues and Discussions
+            </p>
+          </div>
+        </div>
+
+        {isConnected && (
+          <div className="flex items-center space-x-2">
+            <span className="px-2 py-1 text-xs font-medium text-gray-700 bg-gray-200 rounded-full">
+              Connected
+            </span>
+            <button
+              onClick={handleSync}
+              disabled={isLoading}
+              className="px-3 py-1 text-sm bg-gray-800 text-white rounded hover:bg-gray-900 disabled:opacity-50"
+            >
+              {isLoading ? 'Syncing...' : 'Sync Now'}
+            </button>
+            <button
+              onClick={handleDisconnect}
+              disabled={isLoading}
+              className="px-3 py-1 text-sm text-red-600 border border-red-300 rounded hover:bg-red-50 disabled:opacity-50"
+            >
+              Disconnect
+            </button>
+          </div>
+        )}
+      </div>
+
+      {error && (
+        <div className="mt-4 p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">{error}</div>
+      )}
+
+      {showForm && (
+        <div className="mt-4 p-4 bg-gray-50 rounded-lg">
+          <h4 className="text-sm font-medium text-gray-900 mb-4">Repository Setup</h4>
+
+          <div className="space-y-4 text-sm">
+            <div>
+              <label className="block font-medium text-gray-700 mb-1">
+                Access Token {isConnected ? '(leave empty to keep the current one)' : '*'}
+              </label>
+              <input
+                type="password"
+                value={token}
+                onChange={(e) => setToken(e.target.value)}
+                placeholder="github_pat_..."
+                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-gray-500"
+                disabled={isLoading}
+              />
+              <p className="text-xs text-gray-500 mt-1">
+                A fine-grained personal access token with read access to Issues and Discussions
+                (public repositories work with any token)
+              </p>
+            </div>
+
+            <label className="block">
+              <span className="font-medium text-gray-700">Repositories *</span>
+              <textarea
+                value={repositories}
+                onChange={(e) => setRepositories(e.target.value)}
+                placeholder={'owner/repo\nhttps://github.com/owner/another-repo'}
+                rows={3}
+                className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md"
+                disabled={isLoading}
+              />
+            </label>
+
+            <div className="space-y-1">
+              <label className="flex items-center space-x-2 text-gray-600">
+                <input
+                  type="checkbox"
+                  checked={includeComments}
+                  onChange={(e) => setIncludeComments(e.target.checked)}
+                />
+                <span>Import issue comments</span>
+              </label>
+              <label className="flex items-center space-x-2 text-gray-600">
+                <input
+                  type="checkbox"
+                  checked={includeDiscussions}
+                  onChange={(e) => setIncludeDiscussions(e.target.checked)}
+                />
+                <span>Import Discussions and their replies</span>
+              </label>
+            </div>
+
+            <label className="block">
+              <span className="font-medium text-gray-700">Labels (optional)</span>
+              <input
+                type="text"
+                value={labels}
+                onChange={(e) => setLabels(e.target.value)}
+                placeholder="enhancement, feature request (empty = every issue)"
+                className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md"
+              />
+            </label>
+
+            {includeDiscussions && (
+              <label className="block">
+                <span className="font-medium text-gray-700">Discussion categories (optional)</span>
+                <input
+                  type="text"
+                  value={discussionCategories}
+                  onChange={(e) => setDiscussionCategories(e.target.value)}
+                  placeholder="Ideas, Q&A (empty = every category)"
+                  className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md"
+                />
+              </label>
+            )}
+          </div>
+
+          <div className="flex items-center space-x-2 mt-4">
+            <button
+              onClick={handleSave}
+              disabled={isLoading || splitList(repositories).length === 0 || (!isConnected && !token.trim())}
+              className="px-4 py-2 bg-gray-800 text-white rounded hover:bg-gray-900 disabled:opacity-50"
+            >
+              {isLoading ? 'Saving...' : isConnected ? 'Save repositories' : 'Connect GitHub'}
+            </button>
+            {editing && (
+              <button
+                onClick={() => setEditing(false)}
+                disabled={isLoading}
+                className="px-4 py-2 text-sm text-gray-600 border border-gray-300 rounded hover:bg-gray-50"
+              >
+                Cancel
+              </button>
+            )}
+          </div>
+        </div>
+      )}
+
+      {isConnected && !editing && (
+        <div className="mt-4 p-4 bg-gray-50 rounded-lg">
+          <h4 className="text-sm font-medium text-gray-900 mb-2">Sync Status</h4>
+          <div className="text-sm text-gray-600 space-y-1">
+            <div>
+              <span className="font-medium">Account:</span> @{config.login}
+            </div>
+            <div>
+              <span className="font-medium">Repositories:</span> {(config.repositories || []).join(', ')}
+            </div>
+            <div>
+              <span className="font-medium">Importing:</span>{' '}
+              {[
+                'issues',
+                config.include_comments !== false && 'comments',
+                config.include_discussions !== false && 'discussions'
+              ].filter(Boolean).join(', ')}
+            </div>
+            <div>
+              <span className="font-medium">Last sync:</span>{' '}
+              {githubIntegration.last_sync
+                ? new Date(githubIntegration.last_sync).toLocaleString()
+                : <span className="text-gray-400">Never</span>}
+            </div>
+          </div>
+
+          {[...(config.labels || []), ...(config.discussion_categories || [])].length > 0 && (
+            <div className="mt-3">
+              <span className="text-sm font-medium text-gray-700">Only labels / categories:</span>
+              <div className="flex flex-wrap gap-1 mt-1">
+                {[...(config.labels || []), ...(config.discussion_categories || [])].map((label) => (
+                  <span
+                    key={label}
+                    className="inline-flex items-center px-2 py-1 rounded-full text-xs bg-gray-200 text-gray-700"
+                  >
+                    {label}
+                  </span>
+                ))}
+              </div>
+            </div>
+          )}
+
+          <button
+            onClick={() => setEditing(true)}
+            disabled={isLoading}
+            className="mt-3 px-3 py-1 text-sm border border-gray-300 text-gray-700 rounded hover:bg-gray-100 disabled:opacity-50"
+          >
+            Edit repositories
+          </button>
+        </div>
+      )}
+
+      {isConnected && (
+        <SyncSchedule
+          platform="github"
+          integration={githubIntegration}
+          onUpdated={setGithubIntegration}
+          refreshKey={syncRunsKey}
+        />
+      )}
+
+      {!isConnected && (
+        <div className="mt-4 p-4 bg-gray-50 border border-gray-200 rounded-lg">
+          <h4 className="text-sm font-medium text-gray-900 mb-2">What will be monitored:</h4>
+          <ul className="text-sm text-gray-700 space-y-1">
+            <li>• Issues with their labels, reactions and author (pull requests are skipped)</li>
+            <li>• Issue comments and Discussions with their replies</li>
+            <li>• Edits and closures, kept in sync with the imported feedback</li>
+            <li>• Automatic categorization and clustering with your other feedback</li>
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,349 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+
+const REASON_LABELS = {
+  matched: 'Matches rules',
+  excluded_label: 'Excluded label',
+  label_not_watched: 'Label not watched',
+  learned_not_feedback: 'Marked as not feedback before',
+  excluded_sender: 'Excluded sender',
+  sender_not_included: 'Sender not in include list',
+  query_not_matched: 'Does not match search query',
+  excluded_subject: 'Excluded subject',
+  subject_not_matched: 'Subject does not match',
+  no_keywords: 'No keywords',
+  non_feedback: 'Looks like a newsletter/notification',
+};
+
+const toText = (list) => (list || []).join(', ');
+const toList = (text) => text.split(',').map((item) => item.trim()).filter(Boolean);
+
+/**
+ * Editor for Gmail ingestion rules with a "what would be imported" dry run
+ * (see /api/sync/gmail/rules and /api/sync/gmail/preview)
+ */
+export default function GmailRulesEditor() {
+  const [form, setForm] = useState(null);
+  const [labels, setLabels] = useState([]);
+  const [learned, setLearned] = useState({ senders: [], domains: [] });
+  const [preview, setPreview] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [previewing, setPreviewing] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    loadRules();
+  }, []);
+
+  const loadRules = async () => {
+    try {
+      const response = await fetch('/api/sync/gmail/rules');
+      const result = await response.json();
+
+      if (!response.ok) {
+        throw new Error(result.error || 'Failed to load rules');
+      }
+
+      const { rules } = result.data;
+      setForm({
+        labels: rules.labels,
+        excludeLabels: rules.excludeLabels,
+        includeSenders: toText(rules.includeSenders),
+        excludeSenders: toText(rules.excludeSenders),
+        query: rules.query,
+        subjectPattern: rules.subjectPattern,
+        excludeSubjectPattern: rules.excludeSubjectPattern,
+        keywords: toText(rules.keywords),
+        filterNonFeedback: rules.filterNonFeedback,
+      });
+      setLabels(result.data.labels || []);
+      setLearned(result.data.learned);
+    } catch (error) {
+      console.error('Error loading Gmail rules:', error);
+      setError(error.message);
+    }
+  };
+
+  const buildRules = () => ({
+    labels: form.labels,
+    excludeLabels: form.excludeLabels,
+    includeSenders: toList(form.includeSenders),
+    excludeSenders: toList(form.excludeSenders),
+    query: form.query,
+    subjectPattern: form.subjectPattern,
+    excludeSubjectPattern: form.excludeSubjectPattern,
+    keywords: toList(form.keywords),
+    filterNonFeedback: form.filterNonFeedback,
+  });
+
+  const updateField = (field, value) => {
+    setForm((prev) => ({ ...prev, [field]: value }));
+  };
+
+  const toggleLabel = (field, labelId) => {
+    setForm((prev) => ({
+      ...prev,
+      [field]: prev[field].includes(labelId)
+        ? prev[field].filter((id) => id !== labelId)
+        : [...prev[field], labelId],
+    }));
+  };
+
+  const handlePreview = async () => {
+    try {
+      setPreviewing(true);
+      setError(null);
+
+      const response = await fetch('/api/sync/gmail/preview', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ rules: buildRules(), limit: 25 }),
+      });
+      const result = await response.json();
+
+      if (!response.ok) {
+        throw new Error(result.error || 'Preview failed');
+      }
+
+      setPreview(result.data);
+    } catch (error) {
+      console.error('Error previewing Gmail rules:', error);
+      setError(error.message);
+    } finally {
+      setPreviewing(false);
+    }
+  };
+
+  const saveRules = async (nextLearned = learned) => {
+    try {
+      setSaving(true);
+      setError(null);
+
+      const response = await fetch('/api/sync/gmail/rules', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ rules: buildRules(), learned: nextLearned }),
+      });
+      const result = await response.json();
+
+      if (!response.ok) {
+        throw new Error(result.error || 'Failed to save rules');
+      }
+
+      setLearned(result.data.learned);
+    } catch (error) {
+      console.error('Error saving Gmail rules:', error);
+      setError(error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const forgetLearned = (field, value) => {
+    saveRules({ ...learned, [field]: learned[field].filter((item) => item !== value) });
+  };
+
+  if (!form) {
+    return error ? (
+      <div className="mt-4 p-4 bg-red-50 rounded-lg text-sm text-red-700">{error}</div>
+    ) : null;
+  }
+
+  // System labels users actually file mail under, plus their own labels
+  const labelOptions = labels.length > 0
+    ? labels.filter((label) => label.type === 'user' || ['INBOX', 'IMPORTANT', 'STARRED', 'UNREAD'].includes(label.id) || label.id.startsWith('CATEGORY_'))
+    : form.labels.map((id) => ({ id, name: id }));
+  const labelName = (id) => labels.find((label) => label.id === id)?.name || id;
+
+  return (
+    <div className="mt-4 p-4 bg-gray-50 rounded-lg">
+      <h4 className="text-sm font-medium text-gray-900 mb-3">Import Rules</h4>
+
+      <div className="space-y-3 text-sm">
+        <div>
+          <span className="font-medium text-gray-700">Watch labels</span>
+          <div className="flex flex-wrap gap-2 mt-1">
+            {labelOptions.map((label) => (
+              <label key={label.id} className="flex items-center space-x-1 text-gray-600">
+                <input
+                  type="checkbox"
+                  checked={form.labels.includes(label.id)}
+                  onChange={() => toggleLabel('labels', label.id)}
+                />
+                <span>{label.name}</span>
+              </label>
+            ))}
+          </div>
+        </div>
+
+        <div>
+          <span className="font-medium text-gray-700">Skip labels</span>
+          <div className="flex flex-wrap gap-2 mt-1">
+            {labelOptions.map((label) => (
+              <label key={label.id} className="flex items-center space-x-1 text-gray-600">
+                <input
+                  type="checkbox"
+                  checked={form.excludeLabels.includes(label.id)}
+                  onChange={() => toggleLabel('excludeLabels', label.id)}
+                />
+                <span>{label.name}</span>
+              </label>
+            ))}
+          </div>
+        </div>
+
+        <label className="block">
+          <span className="font-medium text-gray-700">Only from senders or domains</span>
+          <input
+            type="text"
+            value={form.includeSenders}
+            onChange={(e) => updateField('includeSenders', e.target.value)}
+            placeholder="acme.com, jane@example.com (empty = anyone)"
+            className="mt-1 w-full px-2 py-1 border border-gray-300 rounded"
+          />
+        </label>
+
+        <label className="block">
+          <span className="font-medium text-gray-700">Never from senders or domains</span>
+          <input
+            type="text"
+            value={form.excludeSenders}
+            onChange={(e) => updateField('excludeSenders', e.target.value)}
+            placeholder="mailer.example.com"
+            className="mt-1 w-full px-2 py-1 border border-gray-300 rounded"
+          />
+        </label>
+
+        <label className="block">
+          <span className="font-medium text-gray-700">Gmail search query</span>
+          <input
+            type="text"
+            value={form.query}
+            onChange={(e) => updateField('query', e.target.value)}
+            placeholder="to:support@acme.com -from:me"
+            className="mt-1 w-full px-2 py-1 border border-gray-300 rounded"
+          />
+        </label>
+
+        <div className="grid grid-cols-2 gap-2">
+          <label className="block">
+            <span className="font-medium text-gray-700">Subject matches (regex)</span>
+            <input
+              type="text"
+              value={form.subjectPattern}
+              onChange={(e) => updateField('subjectPattern', e.target.value)}
+              placeholder="bug|feature|feedback"
+              className="mt-1 w-full px-2 py-1 border border-gray-300 rounded"
+            />
+          </label>
+          <label className="block">
+            <span className="font-medium text-gray-700">Subject excludes (regex)</span>
+            <input
+              type="text"
+              value={form.excludeSubjectPattern}
+              onChange={(e) => updateField('excludeSubjectPattern', e.target.value)}
+              placeholder="^(re|fwd):"
+              className="mt-1 w-full px-2 py-1 border border-gray-300 rounded"
+            />
+          </label>
+        </div>
+
+        <label className="block">
+          <span className="font-medium text-gray-700">Keywords</span>
+          <input
+            type="text"
+            value={form.keywords}
+            onChange={(e) => updateField('keywords', e.target.value)}
+            placeholder="feedback, bug, feature request (empty = no keyword filter)"
+            className="mt-1 w-full px-2 py-1 border border-gray-300 rounded"
+          />
+        </label>
+
+        <label className="flex items-center space-x-2 text-gray-600">
+          <input
+            type="checkbox"
+            checked={form.filterNonFeedback}
+            onChange={(e) => updateField('filterNonFeedback', e.target.checked)}
+          />
+          <span>Skip newsletters, notifications and senders marked as not feedback</span>
+        </label>
+
+        {(learned.senders.length > 0 || learned.domains.length > 0) && (
+          <div>
+            <span className="font-medium text-gray-700">Learned as not feedback:</span>
+            <div className="flex flex-wrap gap-1 mt-1">
+              {learned.domains.map((domain) => (
+                <span key={domain} className="inline-flex items-center px-2 py-1 rounded-full text-xs bg-red-100 text-red-700">
+                  *@{domain}
+                  <button onClick={() => forgetLearned('domains', domain)} disabled={saving} className="ml-1" title="Forget">
+                    ✕
+                  </button>
+                </span>
+              ))}
+              {learned.senders.map((sender) => (
+                <span key={sender} className="inline-flex items-center px-2 py-1 rounded-full text-xs bg-red-100 text-red-700">
+                  {sender}
+                  <button onClick={() => forgetLearned('senders', sender)} disabled={saving} className="ml-1" title="Forget">
+                    ✕
+                  </button>
+                </span>
+              ))}
+            </div>
+          </div>
+        )}
+      </div>
+
+      {error && <p className="mt-3 text-sm text-red-600">{error}</p>}
+
+      <div className="flex items-center space-x-2 mt-4">
+        <button
+          onClick={handlePreview}
+          disabled={previewing || saving}
+          className="px-3 py-1 text-sm border border-blue-300 text-blue-600 rounded hover:bg-blue-50 disabled:opacity-50"
+        >
+          {previewing ? 'Checking...' : 'Preview'}
+        </button>
+        <button
+          onClick={() => saveRules()}
+          disabled={saving || form.labels.length === 0}
+          className="px-3 py-1 text-sm bg-blue-500 text-white rounded hover:bg-blue-600 disabled:opacity-50"
+        >
+          {saving ? 'Saving...' : 'Save rules'}
+        </button>
+      </div>
+
+      {preview && (
+        <div className="mt-4">
+          <p className="text-sm text-gray-700 mb-2">
+            <strong>{preview.summary.wouldImport}</strong> of the last {preview.summary.total} emails would be imported
+            {preview.summary.alreadyImported > 0 ? ` (${preview.summary.alreadyImported} already imported)` : ''}
+          </p>
+          <ul className="space-y-1">
+            {preview.messages.map((message) => (
+              <li key={message.id} className="flex items-start justify-between p-2 bg-white rounded border text-xs">
+                <div className="flex-1 min-w-0">
+                  <p className="font-medium text-gray-900 truncate">{message.subject}</p>
+                  <p className="text-gray-500 truncate">
+                    {message.from} · {new Date(message.date).toLocaleString()} · {message.labels.map(labelName).join(', ')}
+                  </p>
+                </div>
+                <span
+                  className={`ml-2 px-2 py-0.5 rounded-full whitespace-nowrap ${
+                    message.alreadyImported
+                      ? 'text-gray-600 bg-gray-100'
+                      : message.include
+                        ? 'text-green-700 bg-green-100'
+                        : 'text-orange-700 bg-orange-100'
+                  }`}
+                >
+                  {message.alreadyImported ? 'Already imported' : REASON_LABELS[message.reason] || message.reason}
+                </span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -2,6 +2,8 @@
 
 import { useState, useEffect } from 'react';
 import { createClient } from '../../libs/supabase/client.js';
+import SyncSchedule from './SyncSchedule.js';
+import GmailRulesEditor from './GmailRulesEditor.js';
 
 export default function GmailSetup() {
   const [gmailIntegration, setGmailIntegration] = useState(null);
@@ -9,11 +11,11 @@ export default function GmailSetup() {
   
   // Состояния компонента
   const [isConnected, setIsConnected] = useState(false);
-  const [keywords, setKeywords] = useState(['feedback', 'bug', 'feature request']);
   const [isLoading, setIsLoading] = useState(false);
   const [lastSync, setLastSync] = useState(null);
   const [testEmails, setTestEmails] = useState([]);
   const [showTestEmails, setShowTestEmails] = useState(false);
+  const [syncRunsKey, setSyncRunsKey] = useState(0);
 
   const supabase = createClient();
 
@@ -54,11 +56,6 @@ export default function GmailSetup() {
         // Сохраняем данные интеграции
         setGmailIntegration(integration);
         
-        // Обновляем keywords из config
-        if (integration.config?.keywords && Array.isArray(integration.config.keywords)) {
-          setKeywords(integration.config.keywords);
-        }
-        
         // Устанавливаем lastSync
         if (integration.last_sync) {
           setLastSync(integration.last_sync);
@@ -134,17 +131,20 @@ export default function GmailSetup() {
         },
       });
       
-      if (!response.ok) {
-        throw new Error('Ошибка синхронизации');
-      }
+      const result = await response.json();
       
-      // Вызвать checkConnection() для обновления статуса
+      // Вызвать checkConnection() для обновления статуса и истории синхронизаций
       await checkConnection();
+      setSyncRunsKey((key) => key + 1);
+      
+      if (!response.ok) {
+        throw new Error(result.error || 'Ошибка синхронизации');
+      }
       
-      alert('Sync completed successfully');
+      alert(`Sync completed successfully: ${result.processed} new of ${result.total} emails`);
     } catch (error) {
       console.error('Error in handleSync:', error);
-      alert('Error during sync');
+      alert(`Error during sync: ${error.message}`);
     } finally {
       // Установить isLoading: false
       setIsLoading(false);
@@ -267,56 +267,6 @@ export default function GmailSetup() {
     }
   };
 
-  const updateKeywords = async (newKeywords) => {
-    try {
-      setIsLoading(true);
-      
-      // Получить пользователя через supabase.auth.getUser()
-      const { data: { user }, error: userError } = await supabase.auth.getUser();
-      
-      if (userError || !user) {
-        throw new Error('User not found');
-      }
-
-      // Обновить config в integrations
-      const { error } = await supabase
-        .from('integrations')
-        .update({ 
-          config: { keywords: newKeywords },
-          updated_at: new Date().toISOString()
-        })
-        .eq('user_id', user.id)
-        .eq('platform', 'gmail');
-
-      if (error) throw error;
-
-      setKeywords(newKeywords);
-      
-      // Обновляем локальное состояние gmailIntegration
-      if (gmailIntegration) {
-        setGmailIntegration({
-          ...gmailIntegration,
-          config: { ...gmailIntegration.config, keywords: newKeywords }
-        });
-      }
-    } catch (error) {
-      console.error('Error updating keywords:', error);
-      alert('Error updating keywords');
-    } finally {
-      setIsLoading(false);
-    }
-  };
-
-  const handleAddKeyword = (keyword) => {
-    if (keyword && !keywords.includes(keyword)) {
-      updateKeywords([...keywords, keyword]);
-    }
-  };
-
-  const handleRemoveKeyword = (keyword) => {
-    updateKeywords(keywords.filter(k => k !== keyword));
-  };
-
   if (loading) {
     return (
       <div className="p-6 bg-white rounded-lg border">
@@ -453,6 +403,18 @@ export default function GmailSetup() {
         </div>
       )}
 
+      {isConnected && (
+        <SyncSchedule
+          platform="gmail"
+          integration={gmailIntegration}
+          onUpdated={setGmailIntegration}
+          refreshKey={syncRunsKey}
+        />
+      )}
+
+      {/* Правила импорта писем с предпросмотром */}
+      {isConnected && <GmailRulesEditor />}
+
       {/* Test Emails Display */}
       {showTestEmails && testEmails.length > 0 && (
         <div className="mt-4 p-4 bg-gray-50 rounded-lg">
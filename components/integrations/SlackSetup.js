@@ -0,0 +1,412 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import { createClient } from '../../libs/supabase/client.js';
+import SyncSchedule from './SyncSchedule.js';
+
+// Same columns /api/sync/slack/channels returns - the bot token stays on the server
+const INTEGRATION_FIELDS = 'id, platform, status, config, last_sync, next_sync_at, sync_failures, last_sync_status, last_sync_error';
+
+export default function SlackSetup() {
+  // Состояния компонента
+  const [slackIntegration, setSlackIntegration] = useState(null);
+  const [channels, setChannels] = useState([]);
+  const [channelIds, setChannelIds] = useState([]);
+  const [keywords, setKeywords] = useState('');
+  const [filter, setFilter] = useState('');
+  const [editing, setEditing] = useState(false);
+  const [isLoading, setIsLoading] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [syncRunsKey, setSyncRunsKey] = useState(0);
+
+  const supabase = createClient();
+  const isConnected = slackIntegration?.status === 'connected';
+
+  useEffect(() => {
+    checkConnection();
+  }, []);
+
+  /**
+   * Проверить существующее подключение Slack
+   */
+  const checkConnection = async () => {
+    try {
+      const { data: { user } } = await supabase.auth.getUser();
+      if (!user) return;
+
+      const { data: integration, error } = await supabase
+        .from('integrations')
+        .select(INTEGRATION_FIELDS)
+        .eq('user_id', user.id)
+        .eq('platform', 'slack')
+        .eq('status', 'connected')
+        .single();
+
+      if (error && error.code !== 'PGRST116') {
+        // PGRST116 = No rows found
+        console.error('Error checking Slack connection:', error);
+      }
+
+      setSlackIntegration(integration || null);
+      // Freshly connected workspaces go straight to the channel picker
+      if (integration && (integration.config?.channel_ids || []).length === 0) {
+        startEditing();
+      }
+    } catch (error) {
+      console.error('Error in checkConnection:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  /**
+   * Подключить Slack через OAuth
+   */
+  const handleConnect = async () => {
+    try {
+      setIsLoading(true);
+
+      const response = await fetch('/api/auth/slack/initiate', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+      });
+      const data = await response.json();
+
+      if (data.authUrl) {
+        // Redirect to Slack OAuth
+        window.location.href = data.authUrl;
+      } else {
+        throw new Error(data.error || 'Failed to get authorization URL');
+      }
+    } catch (error) {
+      console.error('Error initiating Slack connection:', error);
+      setError(error.message);
+      setIsLoading(false);
+    }
+  };
+
+  /**
+   * Загрузить каналы рабочего пространства
+   */
+  const startEditing = async () => {
+    try {
+      setEditing(true);
+      setIsLoading(true);
+      setError(null);
+
+      const response = await fetch('/api/sync/slack/channels');
+      const result = await response.json();
+
+      if (!response.ok) {
+        throw new Error(result.error || 'Failed to load Slack channels');
+      }
+
+      setChannels(result.data.channels);
+      setChannelIds(result.data.channelIds);
+      setKeywords(result.data.keywords.join(', '));
+    } catch (error) {
+      console.error('Error loading Slack channels:', error);
+      setError(error.message);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const toggleChannel = (id) => {
+    setChannelIds((prev) => (prev.includes(id) ? prev.filter((item) => item !== id) : [...prev, id]));
+  };
+
+  /**
+   * Сохранить выбранные каналы
+   */
+  const handleSave = async () => {
+    try {
+      setIsLoading(true);
+      setError(null);
+
+      const response = await fetch('/api/sync/slack/channels', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          channelIds,
+          keywords: keywords.split(',').map((word) => word.trim()).filter(Boolean),
+        }),
+      });
+      const result = await response.json();
+
+      if (!response.ok) {
+        throw new Error(result.error || 'Failed to save Slack channels');
+      }
+
+      setSlackIntegration(result.data.integration);
+      setEditing(false);
+    } catch (error) {
+      console.error('Error saving Slack channels:', error);
+      setError(error.message);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  /**
+   * Синхронизировать Slack
+   */
+  const handleSync = async () => {
+    try {
+      setIsLoading(true);
+      setError(null);
+
+      const response = await fetch('/api/sync/slack', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+      });
+      const data = await response.json();
+      setSyncRunsKey((key) => key + 1);
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Slack sync failed');
+      }
+
+      await checkConnection();
+
+      const updatedThreads = data.threadsUpdated ? ` Updated ${data.threadsUpdated} thread(s).` : '';
+      const skippedChannels = data.channelErrors?.length
+        ? ` ${data.channelErrors.length} channel(s) could not be read.`
+        : '';
+      alert(`Slack sync completed! Processed ${data.processed || 0} messages.${updatedThreads}${skippedChannels}`);
+    } catch (error) {
+      console.error('Error in handleSync:', error);
+      setError(error.message);
+      await checkConnection();
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  /**
+   * Отключить Slack интеграцию
+   */
+  const handleDisconnect = async () => {
+    try {
+      setIsLoading(true);
+
+      const { data: { user } } = await supabase.auth.getUser();
+      if (!user) return;
+
+      const { error } = await supabase
+        .from('integrations')
+        .update({
+          status: 'disconnected',
+          updated_at: new Date().toISOString()
+        })
+        .eq('user_id', user.id)
+        .eq('platform', 'slack');
+
+      if (error) throw error;
+
+      setSlackIntegration(null);
+      setEditing(false);
+      alert('Slack disconnected successfully');
+    } catch (error) {
+      console.error('Error disconnecting Slack:', error);
+      alert('Error disconnecting Slack');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="p-6 bg-white rounded-lg border">
+        <div className="animate-pulse">
+          <div className="h-4 bg-gray-200 rounded w-1/3 mb-4"></div>
+          <div className="h-4 bg-gray-200 rounded w-2/3"></div>
+        </div>
+      </div>
+    );
+  }
+
+  const config = slackIntegration?.config || {};
+  const visibleChannels = channels.filter((channel) => channel.name.includes(filter.trim().toLowerCase()));
+
+  return (
+    <div className="p-6 bg-white rounded-lg border">
+      <div className="flex items-center justify-between mb-4">
+        <div className="flex items-center space-x-3">
+          <div className="text-2xl">💬</div>
+          <div>
+            <h3 className="text-lg font-semibold text-gray-900">Slack</h3>
+            <p className="text-sm text-gray-500">
+              Collect feedback and its discussion threads from Slack channels
+            </p>
+          </div>
+        </div>
+
+        <div className="flex items-center space-x-2">
+          {isConnected ? (
+            <>
+              <span className="px-2 py-1 text-xs font-medium text-purple-600 bg-purple-100 rounded-full">
+                Connected
+              </span>
+              <button
+                onClick={handleSync}
+                disabled={isLoading || (config.channel_ids || []).length === 0}
+                className="px-3 py-1 text-sm bg-purple-500 text-white rounded hover:bg-purple-600 disabled:opacity-50"
+              >
+                {isLoading ? 'Syncing...' : 'Sync Now'}
+              </button>
+              <button
+                onClick={handleDisconnect}
+                disabled={isLoading}
+                className="px-3 py-1 text-sm text-red-600 border border-red-300 rounded hover:bg-red-50 disabled:opacity-50"
+              >
+                Disconnect
+              </button>
+            </>
+          ) : (
+            <button
+              onClick={handleConnect}
+              disabled={isLoading}
+              className="px-4 py-2 bg-purple-500 text-white rounded hover:bg-purple-600 disabled:opacity-50"
+            >
+              {isLoading ? 'Connecting...' : 'Add to Slack'}
+            </button>
+          )}
+        </div>
+      </div>
+
+      {error && (
+        <div className="mt-4 p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">{error}</div>
+      )}
+
+      {isConnected && editing && (
+        <div className="mt-4 p-4 bg-gray-50 rounded-lg text-sm">
+          <h4 className="font-medium text-gray-900 mb-3">Channels to monitor</h4>
+
+          <input
+            type="text"
+            value={filter}
+            onChange={(e) => setFilter(e.target.value)}
+            placeholder="Filter channels"
+            className="w-full px-3 py-2 mb-2 border border-gray-300 rounded-md"
+          />
+          <div className="grid grid-cols-2 gap-1 max-h-64 overflow-y-auto">
+            {visibleChannels.map((channel) => (
+              <label key={channel.id} className="flex items-center space-x-1 text-gray-600">
+                <input
+                  type="checkbox"
+                  checked={channelIds.includes(channel.id)}
+                  onChange={() => toggleChannel(channel.id)}
+                />
+                <span>
+                  {channel.isPrivate ? '🔒' : '#'} {channel.name}
+                  {!channel.isMember && !channel.isPrivate && <span className="text-gray-400"> (bot will join)</span>}
+                </span>
+              </label>
+            ))}
+          </div>
+          <p className="text-xs text-gray-500 mt-1">
+            Private channels appear after you invite the bot with /invite
+          </p>
+
+          <label className="block mt-3">
+            <span className="font-medium text-gray-700">Keywords (optional)</span>
+            <input
+              type="text"
+              value={keywords}
+              onChange={(e) => setKeywords(e.target.value)}
+              placeholder="bug, feature, feedback (empty = every message)"
+              className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md"
+            />
+          </label>
+
+          <div className="flex items-center space-x-2 mt-4">
+            <button
+              onClick={handleSave}
+              disabled={isLoading || channelIds.length === 0}
+              className="px-4 py-2 bg-purple-500 text-white rounded hover:bg-purple-600 disabled:opacity-50"
+            >
+              {isLoading ? 'Saving...' : 'Save channels'}
+            </button>
+            {(config.channel_ids || []).length > 0 && (
+              <button
+                onClick={() => setEditing(false)}
+                disabled={isLoading}
+                className="px-4 py-2 text-gray-600 border border-gray-300 rounded hover:bg-gray-50"
+              >
+                Cancel
+              </button>
+            )}
+          </div>
+        </div>
+      )}
+
+      {isConnected && !editing && (
+        <div className="mt-4 p-4 bg-gray-50 rounded-lg">
+          <h4 className="text-sm font-medium text-gray-900 mb-2">Sync Status</h4>
+          <div className="text-sm text-gray-600 space-y-1">
+            <div>
+              <span className="font-medium">Workspace:</span> {config.team_name || config.team_id}
+            </div>
+            <div>
+              <span className="font-medium">Channels:</span>{' '}
+              {(config.channel_ids || []).map((id) => `#${config.channel_names?.[id] || id}`).join(', ')}
+            </div>
+            <div>
+              <span className="font-medium">Last sync:</span>{' '}
+              {slackIntegration.last_sync
+                ? new Date(slackIntegration.last_sync).toLocaleString()
+                : <span className="text-gray-400">Never</span>}
+            </div>
+          </div>
+
+          {(config.keywords || []).length > 0 && (
+            <div className="mt-3">
+              <span className="text-sm font-medium text-gray-700">Monitoring keywords:</span>
+              <div className="flex flex-wrap gap-1 mt-1">
+                {config.keywords.map((keyword) => (
+                  <span
+                    key={keyword}
+                    className="inline-flex items-center px-2 py-1 rounded-full text-xs bg-purple-100 text-purple-700"
+                  >
+                    {keyword}
+                  </span>
+                ))}
+              </div>
+            </div>
+          )}
+
+          <button
+            onClick={startEditing}
+            disabled={isLoading}
+            className="mt-3 px-3 py-1 text-sm border border-gray-300 text-gray-700 rounded hover:bg-gray-100 disabled:opacity-50"
+          >
+            Edit channels
+          </button>
+        </div>
+      )}
+
+      {isConnected && (
+        <SyncSchedule
+          platform="slack"
+          integration={slackIntegration}
+          onUpdated={setSlackIntegration}
+          refreshKey={syncRunsKey}
+        />
+      )}
+
+      {!isConnected && (
+        <div className="mt-4 p-4 bg-purple-50 border border-purple-200 rounded-lg">
+          <h4 className="text-sm font-medium text-purple-900 mb-2">What will be monitored:</h4>
+          <ul className="text-sm text-purple-700 space-y-1">
+            <li>• New messages in the channels you pick</li>
+            <li>• Thread replies, kept with their message as context</li>
+            <li>• Optional keyword filter (bot and system messages are skipped)</li>
+            <li>• Automatic feedback categorization</li>
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,159 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+
+const INTERVAL_OPTIONS = [
+  { value: 15, label: 'Every 15 minutes' },
+  { value: 30, label: 'Every 30 minutes' },
+  { value: 60, label: 'Every hour' },
+  { value: 360, label: 'Every 6 hours' },
+  { value: 1440, label: 'Once a day' },
+];
+
+const FREQUENCY_MINUTES = { '15min': 15, hourly: 60, '6hours': 360, daily: 1440 };
+
+const RUN_STATUS_STYLES = {
+  succeeded: 'text-green-700 bg-green-100',
+  failed: 'text-red-700 bg-red-100',
+  running: 'text-blue-700 bg-blue-100',
+};
+
+/**
+ * Scheduled sync settings and recent run history for one integration
+ * (see /api/sync/schedule and /api/sync/runs)
+ */
+export default function SyncSchedule({ platform, integration, onUpdated, refreshKey }) {
+  const [runs, setRuns] = useState([]);
+  const [saving, setSaving] = useState(false);
+
+  const config = integration?.config || {};
+  const autoSync = config.auto_sync !== false;
+  const intervalMinutes = Number(config.sync_interval_minutes) || FREQUENCY_MINUTES[config.sync_frequency] || 60;
+
+  // Перезагружаем историю после ручной синхронизации (refreshKey меняется)
+  useEffect(() => {
+    if (integration?.id) {
+      loadRuns();
+    }
+  }, [integration?.id, refreshKey]);
+
+  const loadRuns = async () => {
+    try {
+      const response = await fetch(`/api/sync/runs?platform=${platform}&limit=5`);
+      if (!response.ok) return;
+
+      const result = await response.json();
+      setRuns(result.data || []);
+    } catch (error) {
+      console.error('Error loading sync runs:', error);
+    }
+  };
+
+  const updateSchedule = async (changes) => {
+    try {
+      setSaving(true);
+
+      const response = await fetch('/api/sync/schedule', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ platform, ...changes }),
+      });
+      const result = await response.json();
+
+      if (!response.ok) {
+        throw new Error(result.error || 'Failed to update schedule');
+      }
+
+      onUpdated?.({ ...integration, ...result.data });
+    } catch (error) {
+      console.error('Error updating sync schedule:', error);
+      alert(`Error updating schedule: ${error.message}`);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (!integration) return null;
+
+  return (
+    <div className="mt-4 p-4 bg-gray-50 rounded-lg">
+      <div className="flex items-center justify-between mb-3">
+        <h4 className="text-sm font-medium text-gray-900">Automatic Sync</h4>
+        <label className="flex items-center space-x-2 text-sm text-gray-600">
+          <input
+            type="checkbox"
+            checked={autoSync}
+            disabled={saving}
+            onChange={(e) => updateSchedule({ autoSync: e.target.checked })}
+          />
+          <span>{autoSync ? 'On' : 'Off'}</span>
+        </label>
+      </div>
+
+      {autoSync && (
+        <div className="space-y-2 text-sm text-gray-600">
+          <div className="flex items-center space-x-2">
+            <span className="font-medium">Frequency:</span>
+            <select
+              value={intervalMinutes}
+              disabled={saving}
+              onChange={(e) => updateSchedule({ intervalMinutes: Number(e.target.value) })}
+              className="px-2 py-1 text-sm border border-gray-300 rounded"
+            >
+              {INTERVAL_OPTIONS.some((option) => option.value === intervalMinutes) ? null : (
+                <option value={intervalMinutes}>Every {intervalMinutes} minutes</option>
+              )}
+              {INTERVAL_OPTIONS.map((option) => (
+                <option key={option.value} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <span className="font-medium">Next sync:</span>{' '}
+            {integration.next_sync_at ? new Date(integration.next_sync_at).toLocaleString() : 'Within a few minutes'}
+          </div>
+        </div>
+      )}
+
+      {integration.sync_failures > 0 && (
+        <div className="mt-3 p-2 bg-red-50 rounded border-l-4 border-red-400">
+          <p className="text-xs text-red-700">
+            <strong>{integration.sync_failures} failed sync{integration.sync_failures > 1 ? 's' : ''} in a row</strong>
+            {integration.last_sync_error ? `: ${integration.last_sync_error}` : ''}
+          </p>
+          <p className="text-xs text-red-600 mt-1">Automatic syncs are retried less often until one succeeds.</p>
+        </div>
+      )}
+
+      {runs.length > 0 && (
+        <div className="mt-3">
+          <span className="text-sm font-medium text-gray-700">Recent syncs:</span>
+          <ul className="mt-1 space-y-1">
+            {runs.map((run) => (
+              <li key={run.id} className="flex items-center justify-between text-xs text-gray-600">
+                <span>
+                  {new Date(run.started_at).toLocaleString()} · {run.trigger === 'manual' ? 'Manual' : 'Scheduled'}
+                </span>
+                <span className="flex items-center space-x-2">
+                  {run.status === 'failed' ? (
+                    <span className="truncate max-w-[200px]" title={run.error}>{run.error}</span>
+                  ) : (
+                    <span>
+                      {run.items_imported} new of {run.items_found}
+                      {run.error_count > 0 ? `, ${run.error_count} errors` : ''}
+                    </span>
+                  )}
+                  <span className={`px-2 py-0.5 rounded-full ${RUN_STATUS_STYLES[run.status] || 'text-gray-600 bg-gray-100'}`}>
+                    {run.status}
+                  </span>
+                </span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+}
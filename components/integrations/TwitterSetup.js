@@ -2,6 +2,7 @@
 
 import { useState, useEffect } from 'react';
 import { createClient } from '../../libs/supabase/client.js';
+import SyncSchedule from './SyncSchedule.js';
 
 export default function TwitterSetup() {
   // Состояния компонента
@@ -12,6 +13,8 @@ export default function TwitterSetup() {
   const [isLoading, setIsLoading] = useState(false);
   const [lastSync, setLastSync] = useState(null);
   const [loading, setLoading] = useState(true);
+  const [twitterIntegration, setTwitterIntegration] = useState(null);
+  const [syncRunsKey, setSyncRunsKey] = useState(0);
 
   const supabase = createClient();
 
@@ -51,6 +54,7 @@ export default function TwitterSetup() {
       if (integration) {
         // Устанавливаем isConnected в true
         setIsConnected(true);
+        setTwitterIntegration(integration);
         
         // Обновляем состояния из config
         if (integration.config) {
@@ -66,6 +70,7 @@ export default function TwitterSetup() {
       } else {
         // Нет активной интеграции
         setIsConnected(false);
+        setTwitterIntegration(null);
         setLastSync(null);
       }
     } catch (error) {
@@ -136,6 +141,8 @@ export default function TwitterSetup() {
           platform: 'twitter',
           status: 'connected',
           config: {
+            // Keep the sync schedule when keywords are changed
+            ...(twitterIntegration?.config || {}),
             product_name: productName.trim(),
             handle: handle.trim(),
             custom_keywords: customKeywords.trim(),
@@ -152,6 +159,7 @@ export default function TwitterSetup() {
 
       // Установить isConnected: true
       setIsConnected(true);
+      await checkConnection();
       alert('Twitter integration setup successfully!');
       
     } catch (error) {
@@ -179,6 +187,7 @@ export default function TwitterSetup() {
       
       if (!response.ok) {
         const errorData = await response.json();
+        setSyncRunsKey((key) => key + 1);
         
         // Handle rate limiting specifically
         if (response.status === 429) {
@@ -190,8 +199,9 @@ export default function TwitterSetup() {
       
       const data = await response.json();
       
-      // Обновить состояние
+      // Обновить состояние и историю синхронизаций
       await checkConnection();
+      setSyncRunsKey((key) => key + 1);
       
       alert(`Twitter sync completed! Processed ${data.processed || 0} tweets.`);
     } catch (error) {
@@ -419,6 +429,15 @@ export default function TwitterSetup() {
         </div>
       )}
 
+      {isConnected && (
+        <SyncSchedule
+          platform="twitter"
+          integration={twitterIntegration}
+          onUpdated={setTwitterIntegration}
+          refreshKey={syncRunsKey}
+        />
+      )}
+
       {/* Информация о подключении для неподключенных пользователей */}
       {!isConnected && (
         <div className="mt-4 p-4 bg-blue-50 border border-blue-200 rounded-lg">
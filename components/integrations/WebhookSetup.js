@@ -0,0 +1,378 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+
+const SOURCES = ['other', 'website', 'survey', 'support', 'email', 'manual'];
+const PRIORITIES = ['low', 'medium', 'high', 'urgent'];
+const CATEGORIES = ['other', 'feature', 'bug', 'improvement', 'complaint', 'praise', 'question', 'suggestion'];
+
+// Feedback fields a payload path can be mapped to; empty = the field of the same name
+const MAPPING_FIELDS = [
+  { field: 'content', label: 'Content', placeholder: 'content' },
+  { field: 'title', label: 'Title', placeholder: 'title (or first line of content)' },
+  { field: 'userEmail', label: 'User email', placeholder: 'userEmail' },
+  { field: 'source', label: 'Source', placeholder: 'source' },
+  { field: 'priority', label: 'Priority', placeholder: 'priority' },
+  { field: 'category', label: 'Category', placeholder: 'category' },
+  { field: 'tags', label: 'Tags', placeholder: 'tags' },
+  { field: 'externalId', label: 'External ID', placeholder: 'id (retries with the same id are skipped)' },
+  { field: 'items', label: 'Batch array', placeholder: 'items' },
+];
+
+const EMPTY_FORM = {
+  name: '',
+  fieldMapping: {},
+  defaults: { source: 'other', priority: 'medium', category: 'other' },
+  requireSignature: false,
+};
+
+export default function WebhookSetup() {
+  // Состояния компонента
+  const [endpoints, setEndpoints] = useState([]);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [editingId, setEditingId] = useState(null);
+  const [showForm, setShowForm] = useState(false);
+  const [createdUrl, setCreatedUrl] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    loadEndpoints();
+  }, []);
+
+  /**
+   * Загрузить webhook эндпоинты пользователя
+   */
+  const loadEndpoints = async () => {
+    try {
+      const response = await fetch('/api/feedback/ingest-endpoints');
+      const result = await response.json();
+
+      if (!response.ok) {
+        throw new Error(result.message || 'Failed to load webhook endpoints');
+      }
+
+      setEndpoints(result.data);
+    } catch (error) {
+      console.error('Error loading webhook endpoints:', error);
+      setError(error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const startCreating = () => {
+    setForm(EMPTY_FORM);
+    setEditingId(null);
+    setShowForm(true);
+  };
+
+  const startEditing = (endpoint) => {
+    setForm({
+      name: endpoint.name,
+      fieldMapping: endpoint.field_mapping || {},
+      defaults: { ...EMPTY_FORM.defaults, ...(endpoint.defaults || {}) },
+      requireSignature: endpoint.require_signature,
+    });
+    setEditingId(endpoint.id);
+    setShowForm(true);
+  };
+
+  const setMapping = (field, value) => {
+    setForm((prev) => ({ ...prev, fieldMapping: { ...prev.fieldMapping, [field]: value } }));
+  };
+
+  const setDefault = (field, value) => {
+    setForm((prev) => ({ ...prev, defaults: { ...prev.defaults, [field]: value } }));
+  };
+
+  /**
+   * Отправить изменения эндпоинта (создание, настройки, ротация)
+   */
+  const saveEndpoint = async (id, payload) => {
+    const response = await fetch(id ? `/api/feedback/ingest-endpoints/${id}` : '/api/feedback/ingest-endpoints', {
+      method: id ? 'PUT' : 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(payload),
+    });
+    const result = await response.json();
+
+    if (!response.ok) {
+      throw new Error(result.message || 'Failed to save webhook endpoint');
+    }
+
+    if (result.data.url) setCreatedUrl(result.data.url);
+    // The URL is only kept in the one-time notice
+    const endpoint = { ...result.data };
+    delete endpoint.url;
+    setEndpoints((prev) => (id ? prev.map((item) => (item.id === id ? endpoint : item)) : [endpoint, ...prev]));
+  };
+
+  const handleSave = async () => {
+    try {
+      setIsLoading(true);
+      setError(null);
+
+      await saveEndpoint(editingId, form);
+      setShowForm(false);
+    } catch (error) {
+      console.error('Error saving webhook endpoint:', error);
+      setError(error.message);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleUpdate = async (id, payload, confirmMessage) => {
+    if (confirmMessage && !confirm(confirmMessage)) return;
+
+    try {
+      setIsLoading(true);
+      setError(null);
+      await saveEndpoint(id, payload);
+    } catch (error) {
+      console.error('Error updating webhook endpoint:', error);
+      setError(error.message);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  /**
+   * Удалить эндпоинт
+   */
+  const handleDelete = async (id) => {
+    if (!confirm('Delete this endpoint? Tools sending to its URL will get errors. Received feedback is kept.')) return;
+
+    try {
+      setIsLoading(true);
+      setError(null);
+
+      const response = await fetch(`/api/feedback/ingest-endpoints/${id}`, { method: 'DELETE' });
+      const result = await response.json();
+
+      if (!response.ok) {
+        throw new Error(result.message || 'Failed to delete webhook endpoint');
+      }
+
+      setEndpoints((prev) => prev.filter((item) => item.id !== id));
+    } catch (error) {
+      console.error('Error deleting webhook endpoint:', error);
+      setError(error.message);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="p-6 bg-white rounded-lg border">
+        <div className="animate-pulse">
+          <div className="h-4 bg-gray-200 rounded w-1/3 mb-4"></div>
+          <div className="h-4 bg-gray-200 rounded w-2/3"></div>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="p-6 bg-white rounded-lg border">
+      <div className="flex items-center justify-between mb-4">
+        <div className="flex items-center space-x-3">
+          <div className="text-2xl">🔗</div>
+          <div>
+            <h3 className="text-lg font-semibold text-gray-900">Webhooks</h3>
+            <p className="text-sm text-gray-500">
+              Receive feedback from Zapier, Typeform or your own backend
+            </p>
+          </div>
+        </div>
+
+        {!showForm && (
+          <button
+            onClick={startCreating}
+            disabled={isLoading}
+            className="px-3 py-1 text-sm bg-teal-500 text-white rounded hover:bg-teal-600 disabled:opacity-50"
+          >
+            New endpoint
+          </button>
+        )}
+      </div>
+
+      {error && (
+        <div className="mt-4 p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">{error}</div>
+      )}
+
+      {createdUrl && (
+        <div className="mt-4 p-3 bg-teal-50 border border-teal-200 rounded-lg text-sm">
+          <div className="font-medium text-teal-900 mb-1">Endpoint URL - copy it now, it is not shown again:</div>
+          <code className="block break-all text-teal-800">{createdUrl}</code>
+          <button onClick={() => setCreatedUrl(null)} className="mt-2 text-xs text-teal-700 underline">
+            Done
+          </button>
+        </div>
+      )}
+
+      {showForm && (
+        <div className="mt-4 p-4 bg-gray-50 rounded-lg text-sm space-y-4">
+          <label className="block">
+            <span className="font-medium text-gray-700">Name *</span>
+            <input
+              type="text"
+              value={form.name}
+              onChange={(e) => setForm((prev) => ({ ...prev, name: e.target.value }))}
+              placeholder="Typeform NPS survey"
+              className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md"
+            />
+          </label>
+
+          <div>
+            <span className="font-medium text-gray-700">Field mapping</span>
+            <p className="text-xs text-gray-500 mb-2">
+              Dot paths into each JSON item, e.g. <code>form_response.answers.0.text</code>
+            </p>
+            <div className="grid grid-cols-2 gap-2">
+              {MAPPING_FIELDS.map(({ field, label, placeholder }) => (
+                <label key={field} className="block">
+                  <span className="text-xs text-gray-600">{label}</span>
+                  <input
+                    type="text"
+                    value={form.fieldMapping[field] || ''}
+                    onChange={(e) => setMapping(field, e.target.value)}
+                    placeholder={placeholder}
+                    className="w-full px-2 py-1 border border-gray-300 rounded-md"
+                  />
+                </label>
+              ))}
+            </div>
+          </div>
+
+          <div className="grid grid-cols-3 gap-2">
+            {[
+              ['source', 'Default source', SOURCES],
+              ['priority', 'Default priority', PRIORITIES],
+              ['category', 'Default category', CATEGORIES],
+            ].map(([field, label, options]) => (
+              <label key={field} className="block">
+                <span className="text-xs text-gray-600">{label}</span>
+                <select
+                  value={form.defaults[field]}
+                  onChange={(e) => setDefault(field, e.target.value)}
+                  className="w-full px-2 py-1 border border-gray-300 rounded-md"
+                >
+                  {options.map((option) => (
+                    <option key={option} value={option}>{option}</option>
+                  ))}
+                </select>
+              </label>
+            ))}
+          </div>
+
+          <label className="flex items-center space-x-2 text-gray-600">
+            <input
+              type="checkbox"
+              checked={form.requireSignature}
+              onChange={(e) => setForm((prev) => ({ ...prev, requireSignature: e.target.checked }))}
+            />
+            <span>Require an HMAC-SHA256 signature (X-FeedbackSpec-Signature header)</span>
+          </label>
+
+          <div className="flex items-center space-x-2">
+            <button
+              onClick={handleSave}
+              disabled={isLoading || !form.name.trim()}
+              className="px-4 py-2 bg-teal-500 text-white rounded hover:bg-teal-600 disabled:opacity-50"
+            >
+              {isLoading ? 'Saving...' : editingId ? 'Save endpoint' : 'Create endpoint'}
+            </button>
+            <button
+              onClick={() => setShowForm(false)}
+              disabled={isLoading}
+              className="px-4 py-2 text-gray-600 border border-gray-300 rounded hover:bg-gray-50"
+            >
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+
+      {endpoints.length > 0 && (
+        <div className="mt-4 space-y-3">
+          {endpoints.map((endpoint) => (
+            <div key={endpoint.id} className="p-4 bg-gray-50 rounded-lg text-sm">
+              <div className="flex items-center justify-between">
+                <div>
+                  <span className="font-medium text-gray-900">{endpoint.name}</span>{' '}
+                  <code className="text-xs text-gray-500">/api/ingest/{endpoint.token_prefix}…</code>
+                  {!endpoint.enabled && (
+                    <span className="ml-2 px-2 py-0.5 text-xs text-gray-600 bg-gray-200 rounded-full">Disabled</span>
+                  )}
+                </div>
+                <div className="text-xs text-gray-500">
+                  {endpoint.items_received} received
+                  {endpoint.last_used_at && ` · last ${new Date(endpoint.last_used_at).toLocaleString()}`}
+                </div>
+              </div>
+
+              <div className="mt-2 text-xs text-gray-600">
+                Signing secret: <code className="break-all">{endpoint.signing_secret}</code>
+                {endpoint.require_signature ? ' (required)' : ' (optional)'}
+              </div>
+
+              <div className="flex flex-wrap gap-2 mt-3">
+                <button
+                  onClick={() => startEditing(endpoint)}
+                  disabled={isLoading}
+                  className="px-3 py-1 border border-gray-300 text-gray-700 rounded hover:bg-gray-100 disabled:opacity-50"
+                >
+                  Edit mapping
+                </button>
+                <button
+                  onClick={() => handleUpdate(endpoint.id, { enabled: !endpoint.enabled })}
+                  disabled={isLoading}
+                  className="px-3 py-1 border border-gray-300 text-gray-700 rounded hover:bg-gray-100 disabled:opacity-50"
+                >
+                  {endpoint.enabled ? 'Disable' : 'Enable'}
+                </button>
+                <button
+                  onClick={() => handleUpdate(endpoint.id, { rotate: 'token' }, 'Create a new URL? The current URL stops working.')}
+                  disabled={isLoading}
+                  className="px-3 py-1 border border-gray-300 text-gray-700 rounded hover:bg-gray-100 disabled:opacity-50"
+                >
+                  New URL
+                </button>
+                <button
+                  onClick={() => handleUpdate(endpoint.id, { rotate: 'secret' }, 'Create a new signing secret? Requests signed with the current one will be rejected.')}
+                  disabled={isLoading}
+                  className="px-3 py-1 border border-gray-300 text-gray-700 rounded hover:bg-gray-100 disabled:opacity-50"
+                >
+                  New secret
+                </button>
+                <button
+                  onClick={() => handleDelete(endpoint.id)}
+                  disabled={isLoading}
+                  className="px-3 py-1 text-red-600 border border-red-300 rounded hover:bg-red-50 disabled:opacity-50"
+                >
+                  Delete
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {endpoints.length === 0 && !showForm && (
+        <div className="mt-4 p-4 bg-teal-50 border border-teal-200 rounded-lg">
+          <h4 className="text-sm font-medium text-teal-900 mb-2">How it works:</h4>
+          <ul className="text-sm text-teal-700 space-y-1">
+            <li>• Each endpoint gets a private URL to POST JSON to (one item or up to 100)</li>
+            <li>• Map your payload fields onto title, content, priority, category and more</li>
+            <li>• Optional HMAC signatures; retries with the same external ID are skipped</li>
+            <li>• Items get the same AI analysis and duplicate check as the feedback form</li>
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+}
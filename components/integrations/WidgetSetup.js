@@ -0,0 +1,389 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+
+const EMPTY_FORM = {
+  name: '',
+  allowedOrigins: '',
+  settings: {
+    title: 'Send us feedback',
+    button_label: 'Feedback',
+    color: '#570df8',
+    position: 'bottom-right',
+    collect_email: true,
+    screenshots: true,
+  },
+};
+
+export default function WidgetSetup() {
+  // Состояния компонента
+  const [widgets, setWidgets] = useState([]);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [editingId, setEditingId] = useState(null);
+  const [showForm, setShowForm] = useState(false);
+  const [copiedId, setCopiedId] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    loadWidgets();
+  }, []);
+
+  /**
+   * Загрузить виджеты пользователя
+   */
+  const loadWidgets = async () => {
+    try {
+      const response = await fetch('/api/feedback/widgets');
+      const result = await response.json();
+
+      if (!response.ok) {
+        throw new Error(result.message || 'Failed to load feedback widgets');
+      }
+
+      setWidgets(result.data);
+    } catch (error) {
+      console.error('Error loading feedback widgets:', error);
+      setError(error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const embedSnippet = (widget) =>
+    `<script src="${window.location.origin}/widget.js" data-key="${widget.public_key}" async></script>`;
+
+  const copySnippet = async (widget) => {
+    try {
+      await navigator.clipboard.writeText(embedSnippet(widget));
+      setCopiedId(widget.id);
+      setTimeout(() => setCopiedId(null), 2000);
+    } catch (error) {
+      setError('Could not copy to clipboard');
+    }
+  };
+
+  const startCreating = () => {
+    setForm(EMPTY_FORM);
+    setEditingId(null);
+    setShowForm(true);
+  };
+
+  const startEditing = (widget) => {
+    setForm({
+      name: widget.name,
+      allowedOrigins: (widget.allowed_origins || []).join('\n'),
+      settings: { ...EMPTY_FORM.settings, ...(widget.settings || {}) },
+    });
+    setEditingId(widget.id);
+    setShowForm(true);
+  };
+
+  const setSetting = (field, value) => {
+    setForm((prev) => ({ ...prev, settings: { ...prev.settings, [field]: value } }));
+  };
+
+  /**
+   * Отправить изменения виджета (создание, настройки, включение)
+   */
+  const saveWidget = async (id, payload) => {
+    const response = await fetch(id ? `/api/feedback/widgets/${id}` : '/api/feedback/widgets', {
+      method: id ? 'PUT' : 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(payload),
+    });
+    const result = await response.json();
+
+    if (!response.ok) {
+      throw new Error(result.message || 'Failed to save feedback widget');
+    }
+
+    setWidgets((prev) => (id ? prev.map((item) => (item.id === id ? result.data : item)) : [result.data, ...prev]));
+  };
+
+  const handleSave = async () => {
+    try {
+      setIsLoading(true);
+      setError(null);
+
+      await saveWidget(editingId, {
+        name: form.name,
+        allowedOrigins: form.allowedOrigins.split(/[\s,]+/).filter(Boolean),
+        settings: form.settings,
+      });
+      setShowForm(false);
+    } catch (error) {
+      console.error('Error saving feedback widget:', error);
+      setError(error.message);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleToggle = async (widget) => {
+    try {
+      setIsLoading(true);
+      setError(null);
+      await saveWidget(widget.id, { enabled: !widget.enabled });
+    } catch (error) {
+      console.error('Error updating feedback widget:', error);
+      setError(error.message);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  /**
+   * Удалить виджет
+   */
+  const handleDelete = async (id) => {
+    if (!confirm('Delete this widget? Sites embedding it stop showing the feedback button. Received feedback is kept.')) return;
+
+    try {
+      setIsLoading(true);
+      setError(null);
+
+      const response = await fetch(`/api/feedback/widgets/${id}`, { method: 'DELETE' });
+      const result = await response.json();
+
+      if (!response.ok) {
+        throw new Error(result.message || 'Failed to delete feedback widget');
+      }
+
+      setWidgets((prev) => prev.filter((item) => item.id !== id));
+    } catch (error) {
+      console.error('Error deleting feedback widget:', error);
+      setError(error.message);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="p-6 bg-white rounded-lg border">
+        <div className="animate-pulse">
+          <div className="h-4 bg-gray-200 rounded w-1/3 mb-4"></div>
+          <div className="h-4 bg-gray-200 rounded w-2/3"></div>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="p-6 bg-white rounded-lg border">
+      <div className="flex items-center justify-between mb-4">
+        <div className="flex items-center space-x-3">
+          <div className="text-2xl">🌐</div>
+          <div>
+            <h3 className="text-lg font-semibold text-gray-900">Feedback widget</h3>
+            <p className="text-sm text-gray-500">
+              Let your users send feedback with a screenshot right from your product
+            </p>
+          </div>
+        </div>
+
+        {!showForm && (
+          <button
+            onClick={startCreating}
+            disabled={isLoading}
+            className="px-3 py-1 text-sm bg-indigo-500 text-white rounded hover:bg-indigo-600 disabled:opacity-50"
+          >
+            New widget
+          </button>
+        )}
+      </div>
+
+      {error && (
+        <div className="mt-4 p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">{error}</div>
+      )}
+
+      {showForm && (
+        <div className="mt-4 p-4 bg-gray-50 rounded-lg text-sm space-y-4">
+          <label className="block">
+            <span className="font-medium text-gray-700">Name *</span>
+            <input
+              type="text"
+              value={form.name}
+              onChange={(e) => setForm((prev) => ({ ...prev, name: e.target.value }))}
+              placeholder="Web app"
+              className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md"
+            />
+          </label>
+
+          <div className="grid grid-cols-2 gap-2">
+            <label className="block">
+              <span className="text-xs text-gray-600">Panel title</span>
+              <input
+                type="text"
+                value={form.settings.title}
+                onChange={(e) => setSetting('title', e.target.value)}
+                className="w-full px-2 py-1 border border-gray-300 rounded-md"
+              />
+            </label>
+            <label className="block">
+              <span className="text-xs text-gray-600">Button label</span>
+              <input
+                type="text"
+                value={form.settings.button_label}
+                onChange={(e) => setSetting('button_label', e.target.value)}
+                className="w-full px-2 py-1 border border-gray-300 rounded-md"
+              />
+            </label>
+            <label className="block">
+              <span className="text-xs text-gray-600">Color</span>
+              <input
+                type="color"
+                value={form.settings.color}
+                onChange={(e) => setSetting('color', e.target.value)}
+                className="w-full h-8 border border-gray-300 rounded-md"
+              />
+            </label>
+            <label className="block">
+              <span className="text-xs text-gray-600">Position</span>
+              <select
+                value={form.settings.position}
+                onChange={(e) => setSetting('position', e.target.value)}
+                className="w-full px-2 py-1 border border-gray-300 rounded-md"
+              >
+                <option value="bottom-right">Bottom right</option>
+                <option value="bottom-left">Bottom left</option>
+              </select>
+            </label>
+          </div>
+
+          <div className="flex flex-wrap gap-4 text-gray-600">
+            <label className="flex items-center space-x-2">
+              <input
+                type="checkbox"
+                checked={form.settings.collect_email}
+                onChange={(e) => setSetting('collect_email', e.target.checked)}
+              />
+              <span>Ask for an email (optional for users)</span>
+            </label>
+            <label className="flex items-center space-x-2">
+              <input
+                type="checkbox"
+                checked={form.settings.screenshots}
+                onChange={(e) => setSetting('screenshots', e.target.checked)}
+              />
+              <span>Allow screenshots</span>
+            </label>
+          </div>
+
+          <label className="block">
+            <span className="font-medium text-gray-700">Allowed sites</span>
+            <p className="text-xs text-gray-500 mb-1">
+              One per line, e.g. <code>https://app.example.com</code>. Empty = any site
+            </p>
+            <textarea
+              rows={3}
+              value={form.allowedOrigins}
+              onChange={(e) => setForm((prev) => ({ ...prev, allowedOrigins: e.target.value }))}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md font-mono text-xs"
+            />
+          </label>
+
+          <div className="flex items-center space-x-2">
+            <button
+              onClick={handleSave}
+              disabled={isLoading || !form.name.trim()}
+              className="px-4 py-2 bg-indigo-500 text-white rounded hover:bg-indigo-600 disabled:opacity-50"
+            >
+              {isLoading ? 'Saving...' : editingId ? 'Save widget' : 'Create widget'}
+            </button>
+            <button
+              onClick={() => setShowForm(false)}
+              disabled={isLoading}
+              className="px-4 py-2 text-gray-600 border border-gray-300 rounded hover:bg-gray-50"
+            >
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+
+      {widgets.length > 0 && (
+        <div className="mt-4 space-y-3">
+          {widgets.map((widget) => (
+            <div key={widget.id} className="p-4 bg-gray-50 rounded-lg text-sm">
+              <div className="flex items-center justify-between">
+                <div>
+                  <span className="font-medium text-gray-900">{widget.name}</span>
+                  {!widget.enabled && (
+                    <span className="ml-2 px-2 py-0.5 text-xs text-gray-600 bg-gray-200 rounded-full">Disabled</span>
+                  )}
+                </div>
+                <div className="text-xs text-gray-500">
+                  {widget.submissions_count} received
+                  {widget.last_submission_at && ` · last ${new Date(widget.last_submission_at).toLocaleString()}`}
+                </div>
+              </div>
+
+              <div className="mt-2 text-xs text-gray-600">
+                Add before <code>&lt;/body&gt;</code> on your site:
+                <code className="block mt-1 p-2 bg-white border border-gray-200 rounded break-all">
+                  {embedSnippet(widget)}
+                </code>
+                {widget.allowed_origins?.length > 0 && (
+                  <div className="mt-1">Allowed on: {widget.allowed_origins.join(', ')}</div>
+                )}
+              </div>
+
+              <div className="flex flex-wrap gap-2 mt-3">
+                <button
+                  onClick={() => copySnippet(widget)}
+                  className="px-3 py-1 bg-indigo-500 text-white rounded hover:bg-indigo-600"
+                >
+                  {copiedId === widget.id ? 'Copied!' : 'Copy snippet'}
+                </button>
+                <a
+                  href={`/widget/${widget.public_key}`}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  className="px-3 py-1 border border-gray-300 text-gray-700 rounded hover:bg-gray-100"
+                >
+                  Preview
+                </a>
+                <button
+                  onClick={() => startEditing(widget)}
+                  disabled={isLoading}
+                  className="px-3 py-1 border border-gray-300 text-gray-700 rounded hover:bg-gray-100 disabled:opacity-50"
+                >
+                  Edit
+                </button>
+                <button
+                  onClick={() => handleToggle(widget)}
+                  disabled={isLoading}
+                  className="px-3 py-1 border border-gray-300 text-gray-700 rounded hover:bg-gray-100 disabled:opacity-50"
+                >
+                  {widget.enabled ? 'Disable' : 'Enable'}
+                </button>
+                <button
+                  onClick={() => handleDelete(widget.id)}
+                  disabled={isLoading}
+                  className="px-3 py-1 text-red-600 border border-red-300 rounded hover:bg-red-50 disabled:opacity-50"
+                >
+                  Delete
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {widgets.length === 0 && !showForm && (
+        <div className="mt-4 p-4 bg-indigo-50 border border-indigo-200 rounded-lg">
+          <h4 className="text-sm font-medium text-indigo-900 mb-2">How it works:</h4>
+          <ul className="text-sm text-indigo-700 space-y-1">
+            <li>• Add one script tag to your site - a feedback button appears in the corner</li>
+            <li>• Users write a message, optionally leave an email and mark up a screenshot</li>
+            <li>• Page URL and browser details are attached automatically</li>
+            <li>• Spam is filtered and submissions are rate limited per user</li>
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+}
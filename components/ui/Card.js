@@ -152,6 +152,18 @@ export function FeedbackCard({
             <span>From {feedback.source}</span>
             <span>•</span>
             <span>{new Date(feedback.submittedAt).toLocaleDateString()}</span>
+            {feedback.duplicateCount > 0 && (
+              <>
+                <span>•</span>
+                <span className="font-medium text-purple-700">+{feedback.duplicateCount} similar</span>
+              </>
+            )}
+            {typeof feedback.priorityScore === 'number' && !feedback.duplicateOf && (
+              <>
+                <span>•</span>
+                <span className="font-medium text-blue-700" title="Priority score">⚡ {Math.round(feedback.priorityScore)}</span>
+              </>
+            )}
           </div>
         }
         action={
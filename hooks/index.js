@@ -25,6 +25,7 @@ export {
 // Feedback-specific hooks
 export {
   useFeedback,
+  useFeedbackPages,
   useFeedbackFilters,
 } from './useFeedback';
 
@@ -1,12 +1,18 @@
 'use client';
 
-import { useState, useCallback } from 'react';
+import { useState, useCallback, useEffect, useMemo, useRef } from 'react';
 import { useGet, usePost, usePut, useDelete } from './useAPI';
+import {
+  DEFAULT_FEEDBACK_FILTERS,
+  feedbackFiltersToParams,
+  matchesFeedbackFilters,
+} from '../libs/feedback-filters.js';
 
 /**
  * Custom hook for feedback operations
+ * @param {Object} options - autoFetch: false when the list comes from useFeedbackPages
  */
-export function useFeedback() {
+export function useFeedback({ autoFetch = true } = {}) {
   // Get all feedback
   const {
     data: feedbackData,
@@ -14,7 +20,7 @@ export function useFeedback() {
     error: feedbackError,
     refetch: refetchFeedback,
     mutate: mutateFeedback,
-  } = useGet('/api/feedback');
+  } = useGet('/api/feedback', { autoFetch });
 
   // Create feedback
   const {
@@ -45,6 +51,7 @@ export function useFeedback() {
       ...feedbackData,
       submittedAt: new Date().toISOString(),
       processed: false,
+      status: "new",
     };
 
     try {
@@ -181,66 +188,121 @@ export function useFeedback() {
 }
 
 /**
- * Hook for feedback filtering and searching
+ * Hook for feedback filtered and sorted on the server, loaded page by page
+ * (GET /api/feedback with a cursor). Clusters and stats come with the first page.
  */
-export function useFeedbackFilters(feedback = []) {
-  const [filters, setFilters] = useState({
-    search: '',
-    category: 'all',
-    priority: 'all',
-    source: 'all',
-    processed: 'all',
-  });
-
-  const filteredFeedback = feedback.filter(item => {
-    // Search filter
-    if (filters.search) {
-      const searchTerm = filters.search.toLowerCase();
-      const matchesSearch = 
-        item.title?.toLowerCase().includes(searchTerm) ||
-        item.content?.toLowerCase().includes(searchTerm) ||
-        item.tags?.some(tag => tag.toLowerCase().includes(searchTerm));
-      
-      if (!matchesSearch) return false;
+export function useFeedbackPages(filters = DEFAULT_FEEDBACK_FILTERS, options = {}) {
+  const { sortBy = 'created_at', sortOrder = 'desc', limit = 50, debounce = 300 } = options;
+
+  const [feedback, setFeedback] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [total, setTotal] = useState(null);
+  const [feedbackGroups, setFeedbackGroups] = useState(null);
+  const [aiStats, setAiStats] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Responses for outdated filters are dropped
+  const requestId = useRef(0);
+
+  const query = useMemo(() => {
+    const params = feedbackFiltersToParams(filters);
+    params.set('sortBy', sortBy);
+    params.set('sortOrder', sortOrder);
+    params.set('limit', String(limit));
+    return params.toString();
+  }, [filters, sortBy, sortOrder, limit]);
+
+  const fetchPage = useCallback(async (cursor) => {
+    const url = `/api/feedback?${query}${cursor ? `&cursor=${encodeURIComponent(cursor)}` : ''}`;
+    const response = await fetch(url);
+    const result = await response.json().catch(() => ({}));
+
+    if (!response.ok || !result.success) {
+      throw new Error(result.message || `HTTP ${response.status}: ${response.statusText}`);
     }
+    return result;
+  }, [query]);
 
-    // Category filter
-    if (filters.category !== 'all' && item.category !== filters.category) {
-      return false;
-    }
+  const refetch = useCallback(async () => {
+    const id = ++requestId.current;
+    setLoading(true);
+    setError(null);
 
-    // Priority filter
-    if (filters.priority !== 'all' && item.priority !== filters.priority) {
-      return false;
+    try {
+      const result = await fetchPage(null);
+      if (id !== requestId.current) return;
+
+      setFeedback(result.data || []);
+      setPagination(result.pagination);
+      setTotal(result.pagination?.total ?? null);
+      setFeedbackGroups(result.feedbackGroups || null);
+      setAiStats(result.aiStats || null);
+    } catch (err) {
+      if (id === requestId.current) setError(err);
+    } finally {
+      if (id === requestId.current) setLoading(false);
     }
+  }, [fetchPage]);
 
-    // Source filter
-    if (filters.source !== 'all' && item.source !== filters.source) {
-      return false;
-    }
+  const loadMore = useCallback(async () => {
+    if (!pagination?.nextCursor || loadingMore) return;
 
-    // Processed filter
-    if (filters.processed !== 'all') {
-      const isProcessed = item.processed === true;
-      if (filters.processed === 'processed' && !isProcessed) return false;
-      if (filters.processed === 'unprocessed' && isProcessed) return false;
+    const id = requestId.current;
+    setLoadingMore(true);
+
+    try {
+      const result = await fetchPage(pagination.nextCursor);
+      if (id !== requestId.current) return;
+
+      setFeedback(prev => {
+        const loaded = new Set(prev.map(item => item.id));
+        return [...prev, ...result.data.filter(item => !loaded.has(item.id))];
+      });
+      setPagination(result.pagination);
+    } catch (err) {
+      if (id === requestId.current) setError(err);
+    } finally {
+      setLoadingMore(false);
     }
+  }, [fetchPage, pagination, loadingMore]);
+
+  // Reload from the first page when filters or sorting change (debounced for typing)
+  useEffect(() => {
+    const timer = setTimeout(refetch, debounce);
+    return () => clearTimeout(timer);
+  }, [refetch, debounce]);
+
+  return {
+    feedback,
+    feedbackGroups,
+    aiStats,
+    total,
+    hasMore: Boolean(pagination?.hasMore),
+    loading,
+    loadingMore,
+    error,
+    loadMore,
+    refetch,
+    setFeedback,
+  };
+}
+
+/**
+ * Hook for feedback filtering and searching
+ */
+export function useFeedbackFilters(feedback = []) {
+  const [filters, setFilters] = useState(DEFAULT_FEEDBACK_FILTERS);
 
-    return true;
-  });
+  const filteredFeedback = feedback.filter(item => matchesFeedbackFilters(item, filters));
 
   const updateFilter = useCallback((key, value) => {
     setFilters(prev => ({ ...prev, [key]: value }));
   }, []);
 
   const resetFilters = useCallback(() => {
-    setFilters({
-      search: '',
-      category: 'all',
-      priority: 'all',
-      source: 'all',
-      processed: 'all',
-    });
+    setFilters(DEFAULT_FEEDBACK_FILTERS);
   }, []);
 
   return {
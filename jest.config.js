@@ -0,0 +1,9 @@
+const nextJest = require("next/jest");
+
+// Transforms the app's ES modules with Next's compiler and loads .env files
+const createJestConfig = nextJest({ dir: "./" });
+
+module.exports = createJestConfig({
+  testEnvironment: "node",
+  testPathIgnorePatterns: ["/node_modules/", "/.next/"],
+});
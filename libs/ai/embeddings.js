@@ -0,0 +1,141 @@
+/**
+ * Vector helpers for feedback embeddings
+ */
+
+export const HASH_EMBEDDING_DIMENSIONS = 256;
+export const HASH_EMBEDDING_MODEL = `local-hash-${HASH_EMBEDDING_DIMENSIONS}`;
+
+const STOP_WORDS = new Set([
+  "the", "a", "an", "and", "or", "but", "is", "are", "was", "were", "to", "of", "in", "on", "for",
+  "with", "it", "this", "that", "i", "we", "you", "my", "our", "be", "have", "has", "not", "can",
+  "would", "could", "should", "when", "there", "from", "at", "as", "so", "if", "do", "does", "me",
+  "your", "its", "they", "them", "just", "very", "also", "all", "any", "some", "been", "will",
+]);
+
+/**
+ * Lowercase word tokens without stop words
+ */
+export function tokenize(text = "") {
+  return String(text)
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, " ")
+    .split(/\s+/)
+    .filter((word) => word.length > 2 && !STOP_WORDS.has(word));
+}
+
+/**
+ * Crude suffix stripping so "crashes"/"crashing"/"crashed" share a bucket
+ */
+function stem(word) {
+  return word.replace(/(ing|ed|es|s)$/, "") || word;
+}
+
+function hashToken(token) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < token.length; i++) {
+    hash ^= token.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Deterministic feature-hashing embedding (unigrams + bigrams).
+ * Used by the mock provider and by providers without an embeddings API.
+ */
+export function hashEmbedding(text, dimensions = HASH_EMBEDDING_DIMENSIONS) {
+  const vector = new Array(dimensions).fill(0);
+  const words = tokenize(text).map(stem);
+  const features = [...words];
+  for (let i = 0; i < words.length - 1; i++) {
+    features.push(`${words[i]}_${words[i + 1]}`);
+  }
+
+  features.forEach((feature) => {
+    const hash = hashToken(feature);
+    const sign = hash & 1 ? 1 : -1;
+    const weight = feature.includes("_") ? 0.5 : 1;
+    vector[hash % dimensions] += sign * weight;
+  });
+
+  return normalizeVector(vector);
+}
+
+/**
+ * Scale vector to unit length
+ */
+export function normalizeVector(vector) {
+  const length = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+  if (!length) return vector.slice();
+  return vector.map((value) => value / length);
+}
+
+/**
+ * Cosine similarity between two vectors
+ */
+export function cosineSimilarity(a, b) {
+  if (!a || !b || a.length !== b.length) return 0;
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  if (!normA || !normB) return 0;
+  return dot / (Math.sqrt(normA) * Math.sqrt(normB));
+}
+
+/**
+ * Mean of vectors (normalized)
+ */
+export function centroid(vectors) {
+  const valid = vectors.filter(Boolean);
+  if (valid.length === 0) return null;
+  const sum = new Array(valid[0].length).fill(0);
+  valid.forEach((vector) => {
+    for (let i = 0; i < sum.length; i++) sum[i] += vector[i];
+  });
+  return normalizeVector(sum.map((value) => value / valid.length));
+}
+
+/**
+ * Parse a pgvector value - Supabase returns vectors as "[0.1,0.2,...]" strings
+ */
+export function parseVector(value) {
+  if (!value) return null;
+  if (Array.isArray(value)) return value.map(Number);
+  if (typeof value === "string") {
+    try {
+      const parsed = JSON.parse(value);
+      return Array.isArray(parsed) ? parsed.map(Number) : null;
+    } catch {
+      return null;
+    }
+  }
+  return null;
+}
+
+/**
+ * Serialize vector for a pgvector column
+ */
+export function formatVector(vector) {
+  return vector ? `[${vector.map((value) => Number(value.toFixed(6))).join(",")}]` : null;
+}
+
+/**
+ * Most frequent terms across texts, ties broken alphabetically
+ */
+export function topTerms(texts, limit = 5) {
+  const counts = {};
+  texts.forEach((text) => {
+    new Set(tokenize(text)).forEach((word) => {
+      counts[word] = (counts[word] || 0) + 1;
+    });
+  });
+  return Object.entries(counts)
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, limit)
+    .map(([word]) => word);
+}
@@ -1,14 +1,14 @@
-import OpenAI from 'openai';
+import { openAIClient } from './openai-client.js';
+import { feedbackClusterer } from './feedback-clusterer.js';
 
 /**
  * Enhanced Feedback Analyzer with improved AI analysis capabilities
  * Provides detailed analysis including sentiment, priority, impact, and clustering
  */
 export class EnhancedFeedbackAnalyzer {
-  constructor() {
-    this.openai = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY,
-    });
+  constructor(client = openAIClient, clusterer = feedbackClusterer) {
+    this.client = client;
+    this.clusterer = clusterer;
   }
 
   /**
@@ -16,9 +16,10 @@ export class EnhancedFeedbackAnalyzer {
    * @param {string} feedback - The feedback content to analyze
    * @param {string} platform - Platform source (gmail, twitter, etc.)
    * @param {Object} metadata - Additional metadata about the feedback
+   * @param {string|null} userId - User whose AI provider and rate limit apply
    * @returns {Promise<Object>} Enhanced analysis results
    */
-  async analyzeFeedback(feedback, platform, metadata = {}) {
+  async analyzeFeedback(feedback, platform, metadata = {}, userId = null) {
     try {
       // Build context from platform and metadata
       let platformContext = `Platform: ${platform}`;
@@ -39,6 +40,9 @@ export class EnhancedFeedbackAnalyzer {
         if (metadata.from) {
           platformContext += `\nFrom: ${metadata.from}`;
         }
+        if (metadata.reports > 1) {
+          platformContext += `\nReported by: ${metadata.reports} users (merged duplicates)`;
+        }
       }
 
       const prompt = `You are an advanced feedback analyst. Analyze the following user feedback and provide a comprehensive analysis.
@@ -86,26 +90,33 @@ Analysis Guidelines:
 - Marketing emails should ALWAYS be "general" with low confidence
 - Automated system emails should ALWAYS be "general" with low confidence
 - Only high-confidence genuine feedback should get specific categories
+- Feedback reported by several users has more demand - weigh that in priority and business_impact
 - Confidence should be between 0.0 and 1.0`;
 
-      const completion = await this.openai.chat.completions.create({
+      const messages = [
+        {
+          role: "system",
+          content: "You are an expert feedback analyst. Always respond with valid JSON that matches the requested schema exactly."
+        },
+        {
+          role: "user",
+          content: prompt
+        }
+      ];
+
+      const response = await this.client.makeRequest(messages, {
         model: "gpt-4o-mini",
-        messages: [
-          {
-            role: "system",
-            content: "You are an expert feedback analyst. Always respond with valid JSON that matches the requested schema exactly."
-          },
-          {
-            role: "user",
-            content: prompt
-          }
-        ],
-        response_format: { type: "json_object" },
+        responseFormat: "json",
         temperature: 0.3,
-        max_tokens: 1000
+        max_tokens: 1000,
+        userId,
+        context: "Enhanced feedback analysis",
       });
 
-      const analysis = JSON.parse(completion.choices[0].message.content);
+      const analysis = this.client.parseJsonResponse(response, null);
+      if (!analysis) {
+        throw new Error('AI returned invalid JSON');
+      }
       
       // Validate and ensure all required fields are present
       const enhancedAnalysis = {
@@ -150,11 +161,13 @@ Analysis Guidelines:
   }
 
   /**
-   * Cluster feedback items into related groups with enhanced business context
+   * Cluster feedback items into related groups with enhanced business context.
+   * Groups come from embedding clustering; the LLM only names and summarizes them.
    * @param {Array} feedbackList - Array of feedback objects to cluster
+   * @param {string|null} userId - User whose AI provider and rate limit apply
    * @returns {Promise<Object>} Clustering results with business insights
    */
-  async clusterFeedback(feedbackList) {
+  async clusterFeedback(feedbackList, userId = null) {
     try {
       // Check minimum required items for clustering
       if (!feedbackList || feedbackList.length < 2) {
@@ -171,101 +184,41 @@ Analysis Guidelines:
 
       console.log(`📊 Starting enhanced clustering for ${feedbackList.length} feedback items`);
 
-      // Prepare feedback data with enhanced context
-      const feedbackData = feedbackList.map((f, index) => {
-        const platformInfo = f.platform ? `[${f.platform.toUpperCase()}]` : '[UNKNOWN]';
-        const priority = f.ai_analysis?.priority || f.priority || 'N/A';
-        const sentiment = f.ai_analysis?.sentiment || 'N/A';
-        const businessImpact = f.ai_analysis?.business_impact || 'N/A';
-        
-        return `${index + 1}. ${platformInfo} "${f.content}" (Priority: ${priority}, Sentiment: ${sentiment}, Impact: ${businessImpact})`;
-      }).join('\n');
+      const { groups } = await this.clusterer.groupFeedback(feedbackList, userId);
+      const priorityRank = { critical: 0, high: 1, medium: 2, low: 3 };
 
-      const prompt = `You are an expert product manager analyzing user feedback. Group the following feedback items into logical clusters that will help prioritize product development.
+      const enhancedGroups = groups.map((group, index) => ({
+        id: `cluster_${index + 1}`,
+        theme: group.theme,
+        description: group.description || 'No description provided',
+        // 1-based positions in feedbackList, plus the real ids
+        feedback_ids: group.indices.map((position) => position + 1),
+        feedbackIds: group.feedbackIds,
+        priority: group.severity === 'critical' ? 'high' : group.severity || 'medium',
+        business_impact: group.business_impact || 'medium',
+        estimated_effort: group.estimated_effort || '3 story points',
+        suggested_solution: group.suggestedAction || 'Needs analysis',
+        affected_platforms: [...new Set(group.members.map((member) => member.platform).filter(Boolean))],
+        item_count: group.feedbackIds.length
+      }));
 
-Feedback Items:
-${feedbackData}
+      const clusteredItems = enhancedGroups.reduce((sum, group) => sum + group.item_count, 0);
+      const recommendedOrder = enhancedGroups
+        .map((group, index) => ({ index: index + 1, rank: priorityRank[group.priority] ?? 2, size: group.item_count }))
+        .sort((a, b) => a.rank - b.rank || b.size - a.size)
+        .map((entry) => entry.index);
 
-Please analyze and group this feedback into clusters, returning a JSON object with this structure:
-{
-  "groups": [
-    {
-      "id": "cluster_1",
-      "theme": "Brief theme description",
-      "description": "Detailed description of what this cluster represents",
-      "feedback_ids": [1, 3, 5],
-      "priority": "high|medium|low",
-      "business_impact": "high|medium|low",
-      "estimated_effort": "1-5 story points",
-      "suggested_solution": "High-level solution approach",
-      "affected_platforms": ["twitter", "gmail"]
-    }
-  ],
-  "summary": {
-    "totalGroups": 3,
-    "recommendedOrder": [1, 2, 3],
-    "insights": "Key insights about the feedback patterns"
-  }
-}
-
-Clustering Guidelines:
-- Group by product components, features, or user workflows
-- Consider business impact and technical feasibility
-- Prioritize based on frequency and user impact
-- Look for patterns across different platforms
-- Identify quick wins vs major initiatives
-- Consider user types and use cases
-- Group similar pain points together
-- Separate bugs from feature requests
-- Consider implementation complexity
-
-Effort Estimation:
-- 1 point: Minor fixes, copy changes
-- 2 points: Small features, UI improvements  
-- 3 points: Medium features, integrations
-- 4 points: Major features, complex workflows
-- 5 points: Large initiatives, architectural changes`;
-
-      const completion = await this.openai.chat.completions.create({
-        model: "gpt-4o",
-        messages: [
-          {
-            role: "system",
-            content: "You are an expert product manager and data analyst. Always respond with valid JSON that matches the requested schema exactly."
-          },
-          {
-            role: "user",
-            content: prompt
-          }
-        ],
-        response_format: { type: "json_object" },
-        temperature: 0.4,
-        max_tokens: 3000
-      });
-
-      const clusterResult = JSON.parse(completion.choices[0].message.content);
-      
-      // Validate and enhance cluster results
       const enhancedResult = {
-        groups: (clusterResult.groups || []).map((group, index) => ({
-          id: group.id || `cluster_${index + 1}`,
-          theme: group.theme || `Theme ${index + 1}`,
-          description: group.description || 'No description provided',
-          feedback_ids: group.feedback_ids || [],
-          priority: group.priority || 'medium',
-          business_impact: group.business_impact || 'medium',
-          estimated_effort: group.estimated_effort || '3 story points',
-          suggested_solution: group.suggested_solution || 'Needs analysis',
-          affected_platforms: group.affected_platforms || [],
-          item_count: (group.feedback_ids || []).length
-        })),
+        groups: enhancedGroups,
         summary: {
-          totalGroups: (clusterResult.groups || []).length,
+          totalGroups: enhancedGroups.length,
           totalItems: feedbackList.length,
-          recommendedOrder: clusterResult.summary?.recommendedOrder || [],
-          insights: clusterResult.summary?.insights || 'Clustering completed successfully',
-          clustered_items: (clusterResult.groups || []).reduce((sum, g) => sum + (g.feedback_ids || []).length, 0),
-          unclustered_items: feedbackList.length - (clusterResult.groups || []).reduce((sum, g) => sum + (g.feedback_ids || []).length, 0)
+          recommendedOrder,
+          insights: enhancedGroups.length > 0
+            ? `Largest theme: ${enhancedGroups[0].theme} (${enhancedGroups[0].item_count} items)`
+            : 'No recurring themes found',
+          clustered_items: clusteredItems,
+          unclustered_items: feedbackList.length - clusteredItems
         }
       };
 
@@ -1,4 +1,5 @@
 import { openAIClient } from "./openai-client.js";
+import { feedbackClusterer } from "./feedback-clusterer.js";
 import { createValidationError } from "../errors/error-handler.js";
 
 /**
@@ -44,6 +45,7 @@ Be precise and objective in your analysis. Focus on extracting actionable insigh
         temperature: 0.3,
         userId,
         context: "Feedback analysis",
+        responseFormat: "json",
       });
 
       const analysis = this.client.parseJsonResponse(response, {
@@ -119,6 +121,7 @@ Provide meaningful aggregated insights that help understand overall user sentime
         temperature: 0.3,
         userId,
         context: "Batch feedback analysis",
+        responseFormat: "json",
       });
 
       const analysis = this.client.parseJsonResponse(response, {
@@ -152,75 +155,37 @@ Provide meaningful aggregated insights that help understand overall user sentime
   }
 
   /**
-   * Group similar feedback entries by themes
+   * Group similar feedback entries by themes.
+   * Groups come from embedding clustering (stable for the same input);
+   * the LLM only names each group.
    */
   async groupSimilarFeedback(feedbackList, userId = null) {
     if (!Array.isArray(feedbackList) || feedbackList.length < 2) {
       throw createValidationError("At least 2 feedback entries are required for grouping");
     }
 
-    const systemPrompt = `You are an expert at analyzing user feedback and identifying patterns. Group similar feedback entries that address the same underlying issues, even if they are worded differently.
-
-Return a JSON response with the following format:
-{
-  "groups": [
-    {
-      "theme": "Main theme/issue this group addresses",
-      "description": "Brief description of the common issue",
-      "severity": "low" | "medium" | "high" | "critical",
-      "category": "bug" | "feature_request" | "ui" | "performance" | "general",
-      "feedbackIds": [array of feedback IDs that belong to this group],
-      "commonKeywords": [array of key terms that appear across these feedback items],
-      "suggestedAction": "What should be done to address this group of feedback"
-    }
-  ],
-  "ungrouped": [array of feedback IDs that don't fit into any group],
-  "summary": {
-    "totalGroups": number,
-    "largestGroupSize": number,
-    "mostCommonTheme": "theme of the largest group"
-  }
-}
-
-Focus on semantic similarity rather than exact word matches. Group feedback that addresses the same user need or problem.`;
-
-    const feedbackText = feedbackList
-      .map(
-        (fb, index) =>
-          `${index + 1}. "${fb.content || fb}" (ID: ${fb.id || index + 1})`
-      )
-      .join("\n");
-
-    const userPrompt = `Analyze and group these feedback entries by similarity:
-
-${feedbackText}
-
-Group feedback items that address the same underlying issues, problems, or requests, even if worded differently.`;
-
-    const messages = [
-      { role: "system", content: systemPrompt },
-      { role: "user", content: userPrompt },
-    ];
-
     try {
-      const response = await this.client.makeRequest(messages, {
-        max_tokens: 1200,
-        temperature: 0.3,
-        userId,
-        context: "Feedback grouping",
-      });
+      const { groups, ungrouped } = await feedbackClusterer.groupFeedback(feedbackList, userId);
+
+      const formattedGroups = groups.map((group) => ({
+        theme: group.theme,
+        description: group.description,
+        severity: group.severity,
+        category: group.category,
+        feedbackIds: group.feedbackIds,
+        commonKeywords: group.commonKeywords,
+        suggestedAction: group.suggestedAction,
+      }));
 
-      const grouping = this.client.parseJsonResponse(response, {
-        groups: [],
-        ungrouped: feedbackList.map((fb, index) => fb.id || index + 1),
+      return {
+        groups: formattedGroups,
+        ungrouped,
         summary: {
-          totalGroups: 0,
-          largestGroupSize: 0,
-          mostCommonTheme: "None",
+          totalGroups: formattedGroups.length,
+          largestGroupSize: formattedGroups[0]?.feedbackIds.length || 0,
+          mostCommonTheme: formattedGroups[0]?.theme || "None",
         },
-      });
-
-      return grouping;
+      };
     } catch (error) {
       console.error("Error grouping similar feedback:", error);
       throw error;
@@ -276,6 +241,7 @@ Is the new feedback a duplicate or very similar to any existing feedback?`;
         temperature: 0.2,
         userId,
         context: "Duplicate detection",
+        responseFormat: "json",
         enableCache: false, // Don't cache duplicate detection as it's context-specific
       });
 
@@ -0,0 +1,778 @@
+import { openAIClient } from "./openai-client.js";
+import {
+  centroid,
+  cosineSimilarity,
+  formatVector,
+  parseVector,
+  topTerms,
+} from "./embeddings.js";
+import { createDatabaseError, createValidationError } from "../errors/error-handler.js";
+
+// Upper bound for one clustering pass (similarity matrix is n²); users with
+// more feedback get their newest items clustered
+const MAX_CLUSTER_ITEMS = 2000;
+
+/**
+ * Agglomerative clustering (average linkage) over cosine similarity.
+ * Merges the most similar pair of clusters until no pair is above the threshold.
+ * Deterministic: same vectors in the same order always give the same groups.
+ * @param {number[][]} vectors - embeddings
+ * @param {Object} options - { threshold } minimum average similarity to merge
+ * @returns {number[][]} groups of vector indices, largest first
+ */
+export function agglomerativeCluster(vectors, { threshold = 0.5 } = {}) {
+  const n = vectors.length;
+  if (n === 0) return [];
+  if (n === 1) return [[0]];
+
+  const similarity = new Float32Array(n * n);
+  for (let i = 0; i < n; i++) {
+    for (let j = i + 1; j < n; j++) {
+      const value = cosineSimilarity(vectors[i], vectors[j]);
+      similarity[i * n + j] = value;
+      similarity[j * n + i] = value;
+    }
+  }
+
+  const active = new Array(n).fill(true);
+  const members = vectors.map((_, index) => [index]);
+  const best = new Int32Array(n).fill(-1);
+  const bestSimilarity = new Float32Array(n).fill(-Infinity);
+
+  const findBest = (i) => {
+    best[i] = -1;
+    bestSimilarity[i] = -Infinity;
+    for (let k = 0; k < n; k++) {
+      if (k === i || !active[k]) continue;
+      if (similarity[i * n + k] > bestSimilarity[i]) {
+        bestSimilarity[i] = similarity[i * n + k];
+        best[i] = k;
+      }
+    }
+  };
+
+  for (let i = 0; i < n; i++) findBest(i);
+
+  for (;;) {
+    let i = -1;
+    for (let k = 0; k < n; k++) {
+      if (active[k] && best[k] !== -1 && (i === -1 || bestSimilarity[k] > bestSimilarity[i])) {
+        i = k;
+      }
+    }
+    if (i === -1 || bestSimilarity[i] < threshold) break;
+
+    const j = best[i];
+    const sizeI = members[i].length;
+    const sizeJ = members[j].length;
+
+    // Lance-Williams update for average linkage
+    for (let k = 0; k < n; k++) {
+      if (!active[k] || k === i || k === j) continue;
+      const value = (sizeI * similarity[i * n + k] + sizeJ * similarity[j * n + k]) / (sizeI + sizeJ);
+      similarity[i * n + k] = value;
+      similarity[k * n + i] = value;
+    }
+
+    active[j] = false;
+    members[i] = members[i].concat(members[j]);
+    members[j] = [];
+
+    findBest(i);
+    for (let k = 0; k < n; k++) {
+      if (!active[k] || k === i) continue;
+      if (best[k] === i || best[k] === j) {
+        findBest(k);
+      } else if (similarity[k * n + i] > bestSimilarity[k]) {
+        best[k] = i;
+        bestSimilarity[k] = similarity[k * n + i];
+      }
+    }
+  }
+
+  return members
+    .filter((group, index) => active[index] && group.length > 0)
+    .map((group) => group.sort((a, b) => a - b))
+    .sort((a, b) => b.length - a.length || a[0] - b[0]);
+}
+
+/**
+ * Jaccard overlap of two id lists
+ */
+function overlap(a, b) {
+  const setA = new Set(a);
+  const setB = new Set(b);
+  let intersection = 0;
+  setA.forEach((id) => {
+    if (setB.has(id)) intersection++;
+  });
+  const union = setA.size + setB.size - intersection;
+  return union === 0 ? 0 : intersection / union;
+}
+
+function sameMembers(a, b) {
+  if (a.length !== b.length) return false;
+  const setB = new Set(b);
+  return a.every((id) => setB.has(id));
+}
+
+/**
+ * Embedding-based feedback clustering.
+ * Clusters are computed from vectors; the LLM only names and summarizes them.
+ */
+export class FeedbackClusterer {
+  constructor(client = openAIClient) {
+    this.client = client;
+    this.minClusterSize = 2;
+    // Re-name a cluster once it has grown by this ratio since it was last named
+    this.renameGrowthRatio = 0.5;
+  }
+
+  /**
+   * Similarity threshold for merging; hashed embeddings are sparser than model embeddings
+   */
+  getThreshold(embeddingModel = "") {
+    const configured = Number(process.env.CLUSTER_SIMILARITY_THRESHOLD);
+    if (configured > 0 && configured < 1) return configured;
+    return embeddingModel.includes("hash") ? 0.3 : 0.55;
+  }
+
+  /**
+   * Ask the LLM to name and summarize one cluster
+   * @param {Array} items - [{ id, content }] ordered by representativeness
+   */
+  async nameCluster(items, userId = null) {
+    const sample = items.slice(0, 10);
+    const keywords = topTerms(items.map((item) => item.content));
+
+    const systemPrompt = `You are an expert product manager. You are given a group of user feedback that was already clustered by semantic similarity. Name and summarize the group.
+
+Return a JSON response with the following format:
+{
+  "theme": "Short name of the common issue or request (max 8 words)",
+  "description": "One or two sentences describing the common issue",
+  "severity": "low" | "medium" | "high" | "critical",
+  "category": "bug" | "feature_request" | "ui" | "performance" | "general",
+  "commonKeywords": [array of key terms shared by the feedback],
+  "suggestedAction": "What should be done to address this group of feedback",
+  "business_impact": "low" | "medium" | "high",
+  "estimated_effort": "1-5 story points"
+}`;
+
+    const feedbackText = sample
+      .map((item, index) => `${index + 1}. "${String(item.content || "").replace(/"/g, "'")}" (ID: ${item.id})`)
+      .join("\n");
+
+    const userPrompt = `This cluster has ${items.length} feedback items. The ${sample.length} most representative are:
+
+${feedbackText}
+
+Name and summarize this cluster.`;
+
+    const fallback = {
+      theme: keywords.length ? `Feedback about ${keywords.slice(0, 3).join(", ")}` : "Related feedback",
+      description: `${items.length} similar feedback items`,
+      severity: "medium",
+      category: "general",
+      commonKeywords: keywords,
+      suggestedAction: "Review this group of feedback",
+      business_impact: "medium",
+      estimated_effort: "3 story points",
+    };
+
+    try {
+      const response = await this.client.makeRequest(
+        [
+          { role: "system", content: systemPrompt },
+          { role: "user", content: userPrompt },
+        ],
+        {
+          max_tokens: 400,
+          temperature: 0.2,
+          userId,
+          context: "Cluster naming",
+          responseFormat: "json",
+        }
+      );
+
+      const named = this.client.parseJsonResponse(response, fallback) || fallback;
+      return {
+        ...fallback,
+        ...named,
+        commonKeywords: Array.isArray(named.commonKeywords) && named.commonKeywords.length > 0
+          ? named.commonKeywords
+          : keywords,
+      };
+    } catch (error) {
+      console.error("Error naming cluster:", error.message);
+      return fallback;
+    }
+  }
+
+  /**
+   * Order items by similarity to the cluster centroid (most representative first)
+   */
+  rankByCentroid(items, center) {
+    return [...items].sort(
+      (a, b) => cosineSimilarity(b.vector, center) - cosineSimilarity(a.vector, center)
+    );
+  }
+
+  /**
+   * Cluster an in-memory feedback list (no persistence)
+   * @param {Array} feedbackList - [{ id, content }] or strings
+   * @returns {Promise<{groups: Array, ungrouped: Array, embeddingModel: string}>}
+   */
+  async groupFeedback(feedbackList, userId = null) {
+    if (!Array.isArray(feedbackList) || feedbackList.length < 2) {
+      throw createValidationError("At least 2 feedback entries are required for grouping");
+    }
+
+    const items = feedbackList.slice(0, MAX_CLUSTER_ITEMS).map((fb, index) => ({
+      id: fb.id || index + 1,
+      index,
+      content: fb.content || String(fb),
+      source: fb,
+    }));
+
+    const { embeddings, model } = await this.client.createEmbeddings(
+      items.map((item) => item.content),
+      { userId, context: "Feedback grouping" }
+    );
+    items.forEach((item, index) => {
+      item.vector = embeddings[index];
+    });
+
+    const indexGroups = agglomerativeCluster(embeddings, { threshold: this.getThreshold(model) });
+    const groups = [];
+    const ungrouped = [];
+
+    for (const indices of indexGroups) {
+      const members = indices.map((index) => items[index]);
+      if (members.length < this.minClusterSize) {
+        ungrouped.push(...members.map((member) => member.id));
+        continue;
+      }
+
+      const center = centroid(members.map((member) => member.vector));
+      const named = await this.nameCluster(this.rankByCentroid(members, center), userId);
+      groups.push({
+        ...named,
+        feedbackIds: members.map((member) => member.id),
+        indices,
+        members: members.map((member) => member.source),
+      });
+    }
+
+    return { groups, ungrouped, embeddingModel: model };
+  }
+
+  /**
+   * Make sure every row has an embedding from the current model; store new ones
+   * @returns {Promise<{items: Array, embedded: Set}>} items with parsed vectors and ids that were (re)embedded
+   */
+  async ensureEmbeddings(supabase, userId, rows, embeddingModel) {
+    const items = rows.map((row) => ({
+      id: row.id,
+      content: row.content || "",
+      vector: row.embedding_model === embeddingModel ? parseVector(row.embedding) : null,
+    }));
+
+    const missing = items.filter((item) => !item.vector);
+    const embedded = new Set();
+    if (missing.length === 0) {
+      return { items, embedded };
+    }
+
+    const { embeddings, model } = await this.client.createEmbeddings(
+      missing.map((item) => item.content),
+      { userId, context: "Feedback embeddings" }
+    );
+
+    missing.forEach((item, index) => {
+      item.vector = embeddings[index];
+      embedded.add(item.id);
+    });
+
+    // Persist in small chunks; a failed write only costs a re-embed next time
+    const embeddedAt = new Date().toISOString();
+    for (let i = 0; i < missing.length; i += 20) {
+      const chunk = missing.slice(i, i + 20);
+      const results = await Promise.all(
+        chunk.map((item) =>
+          supabase
+            .from("raw_feedback")
+            .update({ embedding: formatVector(item.vector), embedding_model: model, embedded_at: embeddedAt })
+            .eq("id", item.id)
+            .eq("user_id", userId)
+        )
+      );
+      const failed = results.filter((result) => result.error);
+      if (failed.length > 0) {
+        console.error(`⚠️ Failed to store ${failed.length} embeddings:`, failed[0].error.message);
+      }
+    }
+
+    console.log(`🧮 Embedded ${missing.length} feedback items with ${model}`);
+    return { items, embedded };
+  }
+
+  /**
+   * The user's newest MAX_CLUSTER_ITEMS feedback rows, oldest first (the
+   * order clustering is deterministic in). `truncated` is true when older
+   * feedback was left out - it drops out of its clusters.
+   * @returns {Promise<{rows: Array, truncated: boolean}>}
+   */
+  async loadClusterWindow(supabase, userId, columns) {
+    const { data, error } = await supabase
+      .from("raw_feedback")
+      .select(columns)
+      .eq("user_id", userId)
+      .order("created_at", { ascending: false })
+      .limit(MAX_CLUSTER_ITEMS + 1);
+
+    if (error) {
+      throw createDatabaseError("Failed to fetch feedback for clustering", error.message);
+    }
+
+    const rows = data || [];
+    return { rows: rows.slice(0, MAX_CLUSTER_ITEMS).reverse(), truncated: rows.length > MAX_CLUSTER_ITEMS };
+  }
+
+  /**
+   * Cheap snapshot of the stored clusters: feedback ids and embedding models only.
+   * `current` is true when nothing was added, deleted or re-embedded since the
+   * last update - clustering is deterministic, so the result can't change.
+   */
+  async loadClusterState(supabase, userId) {
+    const { rows: index, truncated } = await this.loadClusterWindow(supabase, userId, "id, embedding_model");
+
+    const { data: existingClusters, error: clustersError } = await supabase
+      .from("feedback_clusters")
+      .select("*")
+      .eq("user_id", userId)
+      .order("created_at", { ascending: true });
+
+    if (clustersError) {
+      throw createDatabaseError("Failed to fetch existing clusters", clustersError.message);
+    }
+
+    const embeddingModel = this.client.getEmbeddingModel(userId);
+    const feedbackIds = new Set(index.map((row) => row.id));
+    const previous = (existingClusters || []).map((cluster) => ({
+      id: cluster.id,
+      data: cluster.cluster_data || {},
+      originalIds: cluster.feedback_ids || [],
+    }));
+
+    const modelChanged = previous.some((cluster) => cluster.data.embeddingModel !== embeddingModel);
+    const current =
+      !modelChanged &&
+      index.every((row) => row.embedding_model === embeddingModel) &&
+      previous.every((cluster) => cluster.originalIds.every((id) => feedbackIds.has(id)));
+
+    const grouped = new Set(previous.flatMap((cluster) => cluster.originalIds));
+
+    return {
+      existingClusters: existingClusters || [],
+      previous,
+      embeddingModel,
+      modelChanged,
+      current,
+      truncated,
+      ungrouped: [...feedbackIds].filter((id) => !grouped.has(id)),
+    };
+  }
+
+  /**
+   * Stored clusters as they are, without updating them
+   * (summary.stale tells the caller an update is due)
+   */
+  async getClusters(supabase, userId) {
+    const state = await this.loadClusterState(supabase, userId);
+    return this.formatResult([...state.existingClusters].reverse(), state.ungrouped, {
+      mode: "stored",
+      stale: !state.current,
+      truncated: state.truncated,
+    });
+  }
+
+  /**
+   * Incrementally update the user's stored clusters.
+   *
+   * - Existing clusters keep their row id; deleted feedback is pruned from them
+   * - New feedback joins the nearest cluster centroid if similar enough
+   * - Remaining feedback is clustered among itself to form new clusters
+   * - Only new or substantially grown clusters are (re)named by the LLM
+   * - Past MAX_CLUSTER_ITEMS, the oldest feedback leaves its clusters
+   *   (summary.truncated)
+   *
+   * With `rebuild: true` (or when the embedding model changed) everything is
+   * re-clustered, and new clusters inherit the id/name of the old cluster they
+   * overlap most with.
+   *
+   * `signal` (a job's AbortSignal) stops the update between LLM calls,
+   * before anything is written.
+   */
+  async updateClusters(supabase, userId, { rebuild = false, signal } = {}) {
+    const { existingClusters, previous, embeddingModel, modelChanged, current, truncated, ungrouped } =
+      await this.loadClusterState(supabase, userId);
+    const fullRebuild = rebuild || modelChanged;
+
+    if (!fullRebuild && current) {
+      return this.formatResult([...existingClusters].reverse(), ungrouped, {
+        mode: "cached",
+        created: 0,
+        updated: 0,
+        deleted: 0,
+        unchanged: previous.length,
+        truncated,
+      });
+    }
+
+    const recent = await this.loadClusterWindow(supabase, userId, "id, content, embedding, embedding_model");
+    const { items, embedded } = await this.ensureEmbeddings(supabase, userId, recent.rows, embeddingModel);
+    const itemById = new Map(items.map((item) => [item.id, item]));
+    const threshold = this.getThreshold(embeddingModel);
+
+    const clusters = fullRebuild
+      ? this.rebuildClusters(items, previous, threshold)
+      : this.assignIncrementally(items, itemById, previous, embedded, threshold);
+
+    // Name new clusters and those that grew enough to deserve a fresh summary
+    for (const cluster of clusters.active) {
+      const namedAtSize = cluster.data.namedAtSize || 0;
+      const needsName =
+        !cluster.data.theme ||
+        cluster.memberIds.length >= Math.ceil(namedAtSize * (1 + this.renameGrowthRatio));
+
+      const members = cluster.memberIds.map((id) => itemById.get(id));
+      const center = centroid(members.map((member) => member.vector));
+      cluster.centroid = center;
+
+      cluster.dirty =
+        !cluster.id ||
+        needsName ||
+        cluster.data.embeddingModel !== embeddingModel ||
+        !sameMembers(cluster.memberIds, cluster.originalIds);
+
+      if (needsName) {
+        signal?.throwIfAborted();
+        const named = await this.nameCluster(this.rankByCentroid(members, center), userId);
+        cluster.data = { ...cluster.data, ...named, namedAtSize: cluster.memberIds.length };
+      }
+
+      cluster.data = {
+        ...cluster.data,
+        feedbackIds: cluster.memberIds,
+        size: cluster.memberIds.length,
+        embeddingModel,
+      };
+    }
+
+    // Stopped before writing anything when the job ran out of time
+    signal?.throwIfAborted();
+    const stats = await this.persistClusters(supabase, userId, clusters, items.length);
+
+    const { data: storedClusters } = await supabase
+      .from("feedback_clusters")
+      .select("*")
+      .eq("user_id", userId)
+      .order("created_at", { ascending: false });
+
+    const grouped = new Set(clusters.active.flatMap((cluster) => cluster.memberIds));
+
+    console.log(
+      `✅ Clusters updated (${fullRebuild ? "rebuild" : "incremental"}): ${stats.created} created, ${stats.updated} updated, ${stats.deleted} deleted, ${stats.unchanged} unchanged`
+    );
+
+    return this.formatResult(
+      storedClusters || [],
+      items.filter((item) => !grouped.has(item.id)).map((item) => item.id),
+      { mode: fullRebuild ? "rebuild" : "incremental", ...stats, truncated: recent.truncated }
+    );
+  }
+
+  /**
+   * Move feedback into a cluster by hand (bulk "merge into cluster").
+   *
+   * The items leave their other clusters; a cluster left below the minimum
+   * size is deleted. Centroids are recomputed from the stored embeddings.
+   * Incremental updates keep existing membership, so the move sticks until
+   * a rebuild.
+   * @returns {Promise<{clusterId: string, moved: number, deletedClusters: number}>}
+   */
+  async moveToCluster(supabase, userId, clusterId, feedbackIds) {
+    const { data: clusters, error } = await supabase
+      .from("feedback_clusters")
+      .select("id, cluster_data, feedback_ids")
+      .eq("user_id", userId);
+
+    if (error) {
+      throw createDatabaseError("Failed to fetch clusters", error.message);
+    }
+
+    const target = (clusters || []).find((cluster) => cluster.id === clusterId);
+    if (!target) {
+      throw createValidationError("Cluster not found or unauthorized");
+    }
+
+    const moving = new Set(feedbackIds);
+    const changed = [];
+    const removed = [];
+
+    (clusters || []).forEach((cluster) => {
+      const originalIds = cluster.feedback_ids || [];
+      const memberIds =
+        cluster.id === clusterId
+          ? [...originalIds, ...feedbackIds.filter((id) => !originalIds.includes(id))]
+          : originalIds.filter((id) => !moving.has(id));
+
+      if (sameMembers(memberIds, originalIds)) return;
+      if (memberIds.length < this.minClusterSize) {
+        removed.push(cluster);
+      } else {
+        changed.push({ ...cluster, memberIds });
+      }
+    });
+
+    const { data: rows, error: rowsError } = await supabase
+      .from("raw_feedback")
+      .select("id, embedding, embedding_model")
+      .eq("user_id", userId)
+      .in("id", [...new Set(changed.flatMap((cluster) => cluster.memberIds))]);
+
+    if (rowsError) {
+      throw createDatabaseError("Failed to fetch feedback embeddings", rowsError.message);
+    }
+
+    const rowById = new Map((rows || []).map((row) => [row.id, row]));
+    const now = new Date().toISOString();
+
+    for (const cluster of changed) {
+      const data = cluster.cluster_data || {};
+      const vectors = cluster.memberIds
+        .map((id) => rowById.get(id))
+        .filter((row) => row?.embedding && row.embedding_model === data.embeddingModel)
+        .map((row) => parseVector(row.embedding));
+
+      const { error: updateError } = await supabase
+        .from("feedback_clusters")
+        .update({
+          cluster_data: { ...data, feedbackIds: cluster.memberIds, size: cluster.memberIds.length },
+          feedback_ids: cluster.memberIds,
+          centroid: vectors.length > 0 ? formatVector(centroid(vectors)) : null,
+          updated_at: now,
+        })
+        .eq("id", cluster.id)
+        .eq("user_id", userId);
+      if (updateError) {
+        throw createDatabaseError("Failed to update cluster", updateError.message);
+      }
+    }
+
+    if (removed.length > 0) {
+      const { error: deleteError } = await supabase
+        .from("feedback_clusters")
+        .delete()
+        .eq("user_id", userId)
+        .in("id", removed.map((cluster) => cluster.id));
+      if (deleteError) {
+        throw createDatabaseError("Failed to delete emptied clusters", deleteError.message);
+      }
+    }
+
+    const targetIds = new Set(target.feedback_ids || []);
+    return {
+      clusterId,
+      moved: feedbackIds.filter((id) => !targetIds.has(id)).length,
+      deletedClusters: removed.length,
+    };
+  }
+
+  /**
+   * Shape stored clusters the way the feedback API returns groups
+   */
+  formatResult(storedClusters, ungrouped, stats) {
+    const groups = storedClusters.map((cluster) => ({
+      ...cluster.cluster_data,
+      clusterId: cluster.id,
+    }));
+    const largest = groups.reduce(
+      (max, group) => ((group.feedbackIds?.length || 0) > (max?.feedbackIds?.length || 0) ? group : max),
+      null
+    );
+
+    return {
+      groups,
+      ungrouped,
+      summary: {
+        totalGroups: groups.length,
+        largestGroupSize: largest?.feedbackIds?.length || 0,
+        mostCommonTheme: largest?.theme || "None",
+        ...stats,
+      },
+      storedClusters,
+    };
+  }
+
+  /**
+   * Keep existing clusters, prune deleted feedback, attach new feedback
+   */
+  assignIncrementally(items, itemById, previous, embedded, threshold) {
+    const active = [];
+    const removed = [];
+
+    previous.forEach((cluster) => {
+      const memberIds = cluster.originalIds.filter((id) => itemById.has(id) && !embedded.has(id));
+      if (memberIds.length < this.minClusterSize) {
+        removed.push(cluster);
+      } else {
+        active.push({ ...cluster, memberIds });
+      }
+    });
+
+    const assigned = new Set(active.flatMap((cluster) => cluster.memberIds));
+    active.forEach((cluster) => {
+      cluster.centroid = centroid(cluster.memberIds.map((id) => itemById.get(id).vector));
+    });
+
+    // Attach unassigned feedback to the nearest existing cluster
+    const pool = [];
+    items
+      .filter((item) => !assigned.has(item.id))
+      .forEach((item) => {
+        let bestCluster = null;
+        let bestSimilarity = -Infinity;
+        active.forEach((cluster) => {
+          const value = cosineSimilarity(item.vector, cluster.centroid);
+          if (value > bestSimilarity) {
+            bestSimilarity = value;
+            bestCluster = cluster;
+          }
+        });
+
+        if (bestCluster && bestSimilarity >= threshold) {
+          bestCluster.memberIds.push(item.id);
+          bestCluster.centroid = centroid(bestCluster.memberIds.map((id) => itemById.get(id).vector));
+        } else {
+          pool.push(item);
+        }
+      });
+
+    // Whatever is left may form new clusters among itself
+    agglomerativeCluster(pool.map((item) => item.vector), { threshold })
+      .filter((indices) => indices.length >= this.minClusterSize)
+      .forEach((indices) => {
+        active.push({
+          id: null,
+          data: {},
+          originalIds: [],
+          memberIds: indices.map((index) => pool[index].id),
+        });
+      });
+
+    return { active, removed };
+  }
+
+  /**
+   * Re-cluster everything, then map new clusters onto old ids by overlap
+   */
+  rebuildClusters(items, previous, threshold) {
+    const groups = agglomerativeCluster(items.map((item) => item.vector), { threshold })
+      .filter((indices) => indices.length >= this.minClusterSize)
+      .map((indices) => indices.map((index) => items[index].id));
+
+    const candidates = [];
+    groups.forEach((memberIds, groupIndex) => {
+      previous.forEach((cluster, clusterIndex) => {
+        const score = overlap(memberIds, cluster.originalIds);
+        if (score >= 0.5) candidates.push({ groupIndex, clusterIndex, score });
+      });
+    });
+    candidates.sort((a, b) => b.score - a.score || a.groupIndex - b.groupIndex);
+
+    const matchedGroups = new Map();
+    const usedClusters = new Set();
+    candidates.forEach(({ groupIndex, clusterIndex }) => {
+      if (matchedGroups.has(groupIndex) || usedClusters.has(clusterIndex)) return;
+      matchedGroups.set(groupIndex, clusterIndex);
+      usedClusters.add(clusterIndex);
+    });
+
+    const active = groups.map((memberIds, groupIndex) => {
+      if (matchedGroups.has(groupIndex)) {
+        const cluster = previous[matchedGroups.get(groupIndex)];
+        return { ...cluster, memberIds };
+      }
+      return { id: null, data: {}, originalIds: [], memberIds };
+    });
+
+    const removed = previous.filter((_, index) => !usedClusters.has(index));
+    return { active, removed };
+  }
+
+  /**
+   * Write cluster changes: insert new, update changed, delete removed
+   */
+  async persistClusters(supabase, userId, { active, removed }, totalFeedbackCount) {
+    const stats = { created: 0, updated: 0, deleted: 0, unchanged: 0 };
+    const now = new Date().toISOString();
+
+    if (removed.length > 0) {
+      const { error } = await supabase
+        .from("feedback_clusters")
+        .delete()
+        .eq("user_id", userId)
+        .in("id", removed.map((cluster) => cluster.id));
+      if (error) {
+        throw createDatabaseError("Failed to delete stale clusters", error.message);
+      }
+      stats.deleted = removed.length;
+    }
+
+    const inserts = [];
+    for (const cluster of active) {
+      const row = {
+        cluster_data: cluster.data,
+        feedback_ids: cluster.memberIds,
+        total_feedback_count: totalFeedbackCount,
+        centroid: formatVector(cluster.centroid),
+        updated_at: now,
+      };
+
+      if (!cluster.id) {
+        inserts.push({ ...row, user_id: userId, expires_at: null });
+        continue;
+      }
+
+      if (!cluster.dirty) {
+        stats.unchanged++;
+        continue;
+      }
+
+      const { error } = await supabase
+        .from("feedback_clusters")
+        .update(row)
+        .eq("id", cluster.id)
+        .eq("user_id", userId);
+      if (error) {
+        throw createDatabaseError("Failed to update cluster", error.message);
+      }
+      stats.updated++;
+    }
+
+    if (inserts.length > 0) {
+      const { error } = await supabase.from("feedback_clusters").insert(inserts);
+      if (error) {
+        throw createDatabaseError("Failed to create clusters", error.message);
+      }
+      stats.created = inserts.length;
+    }
+
+    return stats;
+  }
+}
+
+// Export singleton instance
+export const feedbackClusterer = new FeedbackClusterer();
@@ -8,6 +8,24 @@
 // Core AI client
 export { openAIClient, OpenAIClient } from "./openai-client.js";
 
+// AI providers (OpenAI, Anthropic, Azure OpenAI, OpenAI-compatible, mock)
+export {
+  AI_PROVIDERS,
+  createProvider,
+  getEnvironmentProviderConfig,
+  loadUserProviderConfig,
+  OpenAIProvider,
+  OpenAICompatibleProvider,
+  AzureOpenAIProvider,
+  AnthropicProvider,
+  MockProvider,
+} from "./providers/index.js";
+
+// Enhanced analysis and clustering
+export { EnhancedFeedbackAnalyzer } from "./enhanced-analyzer.js";
+export { feedbackClusterer, FeedbackClusterer, agglomerativeCluster } from "./feedback-clusterer.js";
+export { cosineSimilarity, hashEmbedding, parseVector } from "./embeddings.js";
+
 // Feedback analysis utilities
 export { feedbackAnalyzer, FeedbackAnalyzer } from "./feedback-analyzer.js";
 
@@ -51,9 +69,19 @@ export const generateSpec = async (theme, feedbackList, userId = null) => {
   return specGenerator.generateSpec(theme, feedbackList, userId);
 };
 
-export const generateImplementationSpec = async (issueType, description, priority, userId = null) => {
+export const generateImplementationSpec = async (issueType, description, priority, userId = null, options = {}) => {
+  const { specGenerator } = await import("./spec-generator.js");
+  return specGenerator.generateImplementationSpec(issueType, description, priority, userId, options);
+};
+
+export const generateSpecWithTemplate = async (template, input, userId = null) => {
   const { specGenerator } = await import("./spec-generator.js");
-  return specGenerator.generateImplementationSpec(issueType, description, priority, userId);
+  return specGenerator.generateWithTemplate(template, input, userId);
+};
+
+export const rewriteSpecSection = async (section, action, options = {}, userId = null) => {
+  const { specGenerator } = await import("./spec-generator.js");
+  return specGenerator.rewriteSection(section, action, options, userId);
 };
 
 // New utilities
@@ -73,7 +101,13 @@ export const getAIStats = () => {
   return openAIClient.getStats();
 };
 
-export const isAIConfigured = () => {
+export const isAIConfigured = (userId = null) => {
   const { openAIClient } = require("./openai-client.js");
-  return openAIClient.isConfigured();
+  return openAIClient.isConfigured(userId);
+};
+
+// Load the user's own AI provider settings (if any) before making requests
+export const configureAIForUser = async (supabase, userId) => {
+  const { openAIClient } = await import("./openai-client.js");
+  return openAIClient.configureForUser(supabase, userId);
 };
\ No newline at end of file
@@ -1,24 +1,89 @@
-import axios from "axios";
-import { createExternalServiceError, logErrorToMonitoring } from "../errors/error-handler.js";
+import { AppError, createExternalServiceError, logErrorToMonitoring } from "../errors/error-handler.js";
+import {
+  createProvider,
+  getEnvironmentProviderConfig,
+  loadUserProviderConfig,
+} from "./providers/index.js";
+import { hashEmbedding, HASH_EMBEDDING_MODEL } from "./embeddings.js";
 
 /**
- * Centralized OpenAI client with rate limiting, caching, and error handling
+ * Centralized AI client with rate limiting, caching, and error handling.
+ * Requests are delegated to a pluggable provider (OpenAI, Anthropic, Azure,
+ * OpenAI-compatible server or the offline mock) - see ./providers/index.js
  */
 export class OpenAIClient {
-  constructor() {
-    this.apiKey = process.env.OPENAI_API_KEY;
-    this.baseUrl = "https://api.openai.com/v1";
-    this.defaultModel = "gpt-4";
+  constructor(providerConfig = getEnvironmentProviderConfig()) {
+    try {
+      this.provider = createProvider(providerConfig);
+    } catch (error) {
+      // Misconfigured AI_PROVIDER: report AI as unavailable instead of crashing imports
+      console.error("❌ AI provider setup failed:", error.message);
+      this.provider = createProvider({ provider: "openai" });
+    }
+    this.userProviders = new Map();
     this.cache = new Map();
     this.rateLimitTracker = new Map();
     this.defaultTimeout = 30000; // 30 seconds
   }
 
   /**
-   * Check if OpenAI API key is configured
+   * Get the provider for a user, falling back to the environment provider
+   */
+  getProvider(userId = null) {
+    if (userId && this.userProviders.has(userId)) {
+      return this.userProviders.get(userId).provider;
+    }
+    return this.provider;
+  }
+
+  /**
+   * Use a specific provider for one user
+   */
+  setUserProvider(userId, providerConfig) {
+    this.userProviders.set(userId, {
+      provider: createProvider(providerConfig),
+      loadedAt: Date.now(),
+    });
+  }
+
+  /**
+   * Drop per-user provider (user falls back to the environment provider)
+   */
+  clearUserProvider(userId) {
+    this.userProviders.delete(userId);
+  }
+
+  /**
+   * Load user's provider settings from the database (cached for 5 minutes)
+   */
+  async configureForUser(supabase, userId) {
+    if (!userId) return this.provider;
+
+    const existing = this.userProviders.get(userId);
+    if (existing && Date.now() - existing.loadedAt < 300000) {
+      return existing.provider;
+    }
+
+    const config = await loadUserProviderConfig(supabase, userId);
+    if (config) {
+      try {
+        this.setUserProvider(userId, config);
+      } catch (error) {
+        console.error(`Invalid AI provider settings for user ${userId}:`, error.message);
+        this.clearUserProvider(userId);
+      }
+    } else {
+      this.clearUserProvider(userId);
+    }
+
+    return this.getProvider(userId);
+  }
+
+  /**
+   * Check if the active provider is usable
    */
-  isConfigured() {
-    return !!this.apiKey;
+  isConfigured(userId = null) {
+    return this.getProvider(userId).isConfigured();
   }
 
   /**
@@ -26,10 +91,12 @@ export class OpenAIClient {
    */
   generateCacheKey(messages, options = {}) {
     const key = JSON.stringify({
+      provider: options.provider,
       messages,
-      model: options.model || this.defaultModel,
+      model: options.model,
       temperature: options.temperature || 0.7,
       max_tokens: options.max_tokens || 1000,
+      responseFormat: options.responseFormat || "text",
     });
     return Buffer.from(key).toString('base64');
   }
@@ -103,32 +170,37 @@ export class OpenAIClient {
   createTimeoutPromise(timeoutMs) {
     return new Promise((_, reject) => {
       setTimeout(
-        () => reject(new Error(`OpenAI request timeout after ${timeoutMs}ms`)),
+        () => reject(new Error(`AI request timeout after ${timeoutMs}ms`)),
         timeoutMs
       );
     });
   }
 
   /**
-   * Make OpenAI API request with comprehensive error handling
+   * Make AI request through the active provider with comprehensive error handling
+   * @param {Array} messages - chat messages ({ role, content })
+   * @param {Object} options - model, max_tokens, temperature, userId, timeout,
+   *   enableCache, context, responseFormat ("text" | "json")
    */
   async makeRequest(messages, options = {}) {
+    const provider = this.getProvider(options.userId);
     const {
-      model = this.defaultModel,
+      model = null,
       max_tokens = 1000,
       temperature = 0.7,
       userId = null,
       timeout = this.defaultTimeout,
       enableCache = true,
-      context = "OpenAI request",
+      context = "AI request",
+      responseFormat = "text",
     } = options;
 
-    // Check if API key is configured
-    if (!this.isConfigured()) {
+    // Check if provider is configured
+    if (!provider.isConfigured()) {
       throw createExternalServiceError(
         "openai",
-        "OpenAI API key not configured",
-        "OPENAI_API_KEY environment variable is missing"
+        `${provider.label} is not configured`,
+        `Missing credentials for AI provider "${provider.name}" (set AI_PROVIDER and its API key)`
       );
     }
 
@@ -137,114 +209,122 @@ export class OpenAIClient {
       throw createExternalServiceError(
         "openai",
         "Rate limit exceeded",
-        "User has exceeded OpenAI rate limit (100 requests per hour)"
+        "User has exceeded AI rate limit (100 requests per hour)"
       );
     }
 
+    const resolvedModel = provider.resolveModel(model);
+    const cacheKey = this.generateCacheKey(messages, {
+      provider: provider.name,
+      model: resolvedModel,
+      temperature,
+      max_tokens,
+      responseFormat,
+    });
+
     // Check cache if enabled
     if (enableCache) {
-      const cacheKey = this.generateCacheKey(messages, { model, temperature, max_tokens });
       const cachedResponse = this.getCachedResponse(cacheKey);
       if (cachedResponse) {
-        console.log(`📦 Using cached OpenAI response for ${context}`);
+        console.log(`📦 Using cached AI response for ${context}`);
         return cachedResponse;
       }
     }
 
     // Log request details
-    console.log(`🤖 Making OpenAI request for ${context}:`);
-    console.log(`  Model: ${model}`);
+    console.log(`🤖 Making AI request for ${context}:`);
+    console.log(`  Provider: ${provider.name}`);
+    console.log(`  Model: ${resolvedModel}`);
     console.log(`  Messages: ${messages.length}`);
     console.log(`  User ID: ${userId || "anonymous"}`);
     console.log(`  Temperature: ${temperature}`);
     console.log(`  Max tokens: ${max_tokens}`);
 
-    // Prepare request
-    const requestBody = {
-      model,
-      messages,
-      max_tokens,
-      temperature,
-      user: userId,
-    };
-
-    const requestOptions = {
-      headers: {
-        Authorization: `Bearer ${this.apiKey}`,
-        "Content-Type": "application/json",
-      },
-      timeout: timeout,
-    };
-
     try {
       // Make request with timeout
-      const response = await Promise.race([
-        axios.post(`${this.baseUrl}/chat/completions`, requestBody, requestOptions),
+      const result = await Promise.race([
+        provider.complete({
+          messages,
+          model: resolvedModel,
+          max_tokens,
+          temperature,
+          userId,
+          timeout,
+          responseFormat,
+          context,
+        }),
         this.createTimeoutPromise(timeout),
       ]);
 
-      // Extract response data
-      const content = response.data.choices[0]?.message?.content;
-      const usage = response.data.usage;
+      const content = result?.content;
+      const usage = result?.usage;
 
       if (!content) {
         throw createExternalServiceError(
           "openai",
-          "Empty response from OpenAI",
-          "OpenAI returned no content in response"
+          `Empty response from ${provider.label}`,
+          `${provider.label} returned no content in response`
         );
       }
 
       // Log usage information
-      console.log(`✅ OpenAI response received for ${context}:`);
+      console.log(`✅ AI response received for ${context}:`);
       console.log(`  Response length: ${content.length} characters`);
       console.log(`  Tokens used: ${usage?.total_tokens || 0} (prompt: ${usage?.prompt_tokens || 0}, completion: ${usage?.completion_tokens || 0})`);
 
       // Cache response if enabled
       if (enableCache) {
-        const cacheKey = this.generateCacheKey(messages, { model, temperature, max_tokens });
         this.setCachedResponse(cacheKey, content);
       }
 
       return content;
 
     } catch (error) {
+      // Already structured (e.g. empty response)
+      if (error instanceof AppError) {
+        throw error;
+      }
+
       // Handle different types of errors
-      let errorMessage = "Unknown OpenAI error";
+      const label = provider.label;
+      let errorMessage = `Unknown ${label} error`;
       let errorDetails = error.message;
 
       if (error.response) {
-        // HTTP error from OpenAI API
+        // HTTP error from provider API
         const status = error.response.status;
         const data = error.response.data;
+        const apiMessage = data?.error?.message || (typeof data?.error === "string" ? data.error : null);
 
         switch (status) {
           case 400:
-            errorMessage = "Invalid request to OpenAI";
-            errorDetails = data?.error?.message || "Bad request";
+            errorMessage = `Invalid request to ${label}`;
+            errorDetails = apiMessage || "Bad request";
             break;
           case 401:
-            errorMessage = "OpenAI authentication failed";
+          case 403:
+            errorMessage = `${label} authentication failed`;
             errorDetails = "Invalid API key or unauthorized access";
             break;
           case 429:
-            errorMessage = "OpenAI rate limit exceeded";
-            errorDetails = data?.error?.message || "Too many requests";
+            errorMessage = `${label} rate limit exceeded`;
+            errorDetails = apiMessage || "Too many requests";
             break;
           case 500:
-            errorMessage = "OpenAI server error";
-            errorDetails = "Internal server error from OpenAI";
+          case 529:
+            errorMessage = `${label} server error`;
+            errorDetails = `Internal server error from ${label}`;
             break;
           default:
-            errorMessage = `OpenAI API error (${status})`;
-            errorDetails = data?.error?.message || error.message;
+            errorMessage = `${label} API error (${status})`;
+            errorDetails = apiMessage || error.message;
         }
       } else if (error.code === "ECONNABORTED" || error.message.includes("timeout")) {
-        errorMessage = "OpenAI request timeout";
+        errorMessage = `${label} request timeout`;
         errorDetails = `Request timed out after ${timeout}ms`;
       } else if (error.code === "ENOTFOUND" || error.code === "ECONNREFUSED") {
-        errorMessage = "OpenAI connection failed";
-        errorDetails = "Unable to connect to OpenAI API";
+        errorMessage = `${label} connection failed`;
+        errorDetails = `Unable to connect to ${label} API`;
       }
 
       // Log error for monitoring
@@ -255,14 +335,107 @@ export class OpenAIClient {
     }
   }
 
+  /**
+   * Name of the embedding model a user's texts will be embedded with
+   * (embeddings from different models are not comparable)
+   */
+  getEmbeddingModel(userId = null) {
+    const provider = this.getProvider(userId);
+    return provider.supportsEmbeddings() ? provider.embeddingModel : HASH_EMBEDDING_MODEL;
+  }
+
+  /**
+   * Create embeddings through the active provider.
+   * Providers without an embeddings API (Anthropic) fall back to local hashed embeddings.
+   * @returns {Promise<{embeddings: number[][], model: string}>}
+   */
+  async createEmbeddings(texts, options = {}) {
+    const {
+      userId = null,
+      timeout = this.defaultTimeout,
+      context = "Embeddings",
+      batchSize = 100,
+    } = options;
+    const provider = this.getProvider(userId);
+
+    if (!Array.isArray(texts) || texts.length === 0) {
+      return { embeddings: [], model: this.getEmbeddingModel(userId) };
+    }
+
+    // Empty strings are rejected by most embedding APIs
+    const inputs = texts.map((text) => String(text || "").slice(0, 8000) || " ");
+
+    if (!provider.supportsEmbeddings()) {
+      console.log(`🧮 ${provider.label} has no embeddings API - using local hashed embeddings for ${context}`);
+      return {
+        embeddings: inputs.map((text) => hashEmbedding(text)),
+        model: HASH_EMBEDDING_MODEL,
+      };
+    }
+
+    if (!this.checkRateLimit(userId)) {
+      throw createExternalServiceError(
+        "openai",
+        "Rate limit exceeded",
+        "User has exceeded AI rate limit (100 requests per hour)"
+      );
+    }
+
+    console.log(`🧮 Creating ${inputs.length} embeddings for ${context} (${provider.name}/${provider.embeddingModel})`);
+
+    try {
+      const embeddings = [];
+      let model = provider.embeddingModel;
+
+      for (let i = 0; i < inputs.length; i += batchSize) {
+        const batch = inputs.slice(i, i + batchSize);
+        const result = await Promise.race([
+          provider.embed(batch, { timeout }),
+          this.createTimeoutPromise(timeout),
+        ]);
+
+        if (!result?.embeddings || result.embeddings.length !== batch.length) {
+          throw createExternalServiceError(
+            "openai",
+            `Invalid embeddings response from ${provider.label}`,
+            `Expected ${batch.length} embeddings, got ${result?.embeddings?.length || 0}`
+          );
+        }
+
+        embeddings.push(...result.embeddings);
+        model = result.model || model;
+      }
+
+      return { embeddings, model };
+    } catch (error) {
+      if (error instanceof AppError) {
+        throw error;
+      }
+
+      await logErrorToMonitoring(error, context, userId);
+
+      const status = error.response?.status;
+      throw createExternalServiceError(
+        "openai",
+        status ? `${provider.label} embeddings error (${status})` : `${provider.label} embeddings request failed`,
+        error.response?.data?.error?.message || error.message
+      );
+    }
+  }
+
   /**
    * Parse JSON response with fallback
    */
   parseJsonResponse(response, fallbackValue = null) {
     try {
-      return JSON.parse(response);
+      // Some providers wrap JSON in markdown code fences
+      const cleaned = String(response)
+        .trim()
+        .replace(/^```(?:json)?\s*/i, "")
+        .replace(/\s*```$/, "");
+      return JSON.parse(cleaned);
     } catch (parseError) {
-      console.error("Failed to parse OpenAI JSON response:", parseError);
+      console.error("Failed to parse AI JSON response:", parseError);
       console.log("Raw response:", response);
       return fallbackValue;
     }
@@ -281,6 +454,13 @@ export class OpenAIClient {
       }
     }
 
+    // Drop stale per-user providers; they are reloaded on next request
+    for (const [userId, entry] of this.userProviders.entries()) {
+      if (now - entry.loadedAt > 3600000) {
+        this.userProviders.delete(userId);
+      }
+    }
+
     // Clean up rate limit tracking for inactive users
     for (const [userId, data] of this.rateLimitTracker.entries()) {
       if (now - data.lastReset > 7200000) { // 2 hours
@@ -297,6 +477,8 @@ export class OpenAIClient {
       cacheSize: this.cache.size,
       activeUsers: this.rateLimitTracker.size,
       isConfigured: this.isConfigured(),
+      provider: this.provider.describe(),
+      userProviders: this.userProviders.size,
     };
   }
 }
@@ -304,7 +486,7 @@ export class OpenAIClient {
 // Export singleton instance
 export const openAIClient = new OpenAIClient();
 
-// Cleanup cache and rate limits every hour
+// Cleanup cache and rate limits every hour (without keeping scripts and tests running)
 setInterval(() => {
   openAIClient.cleanup();
-}, 3600000);
\ No newline at end of file
+}, 3600000).unref?.();
\ No newline at end of file
@@ -0,0 +1,114 @@
+import axios from "axios";
+
+/**
+ * Anthropic Messages API provider
+ */
+export class AnthropicProvider {
+  constructor({ apiKey, baseUrl, model } = {}) {
+    this.name = "anthropic";
+    this.label = "Anthropic";
+    this.apiKey = apiKey;
+    this.baseUrl = (baseUrl || "https://api.anthropic.com/v1").replace(/\/$/, "");
+    this.defaultModel = model || "claude-3-5-sonnet-latest";
+    this.apiVersion = "2023-06-01";
+  }
+
+  isConfigured() {
+    return !!this.apiKey;
+  }
+
+  /**
+   * Anthropic has no embeddings API - the client falls back to local hashed embeddings
+   */
+  supportsEmbeddings() {
+    return false;
+  }
+
+  /**
+   * Callers speak in OpenAI model names - only honour Claude models
+   */
+  resolveModel(requestedModel) {
+    return requestedModel && requestedModel.startsWith("claude")
+      ? requestedModel
+      : this.defaultModel;
+  }
+
+  /**
+   * Convert chat completions messages: system prompts go to a top-level field
+   */
+  convertMessages(messages, responseFormat) {
+    const system = messages
+      .filter((message) => message.role === "system")
+      .map((message) => message.content);
+
+    if (responseFormat === "json") {
+      system.push("Respond with a single valid JSON object and nothing else.");
+    }
+
+    const conversation = messages
+      .filter((message) => message.role !== "system")
+      .map((message) => ({
+        role: message.role === "assistant" ? "assistant" : "user",
+        content: message.content,
+      }));
+
+    return { system: system.join("\n\n"), messages: conversation };
+  }
+
+  /**
+   * Send message request
+   * @returns {Promise<{content: string, usage: Object, model: string}>}
+   */
+  async complete({ messages, model, max_tokens, temperature, userId, timeout, responseFormat }) {
+    const converted = this.convertMessages(messages, responseFormat);
+
+    const body = {
+      model: this.resolveModel(model),
+      max_tokens,
+      temperature,
+      messages: converted.messages,
+    };
+    if (converted.system) {
+      body.system = converted.system;
+    }
+    if (userId) {
+      body.metadata = { user_id: userId };
+    }
+
+    const response = await axios.post(`${this.baseUrl}/messages`, body, {
+      headers: {
+        "Content-Type": "application/json",
+        "x-api-key": this.apiKey,
+        "anthropic-version": this.apiVersion,
+      },
+      timeout,
+    });
+
+    const content = (response.data.content || [])
+      .filter((block) => block.type === "text")
+      .map((block) => block.text)
+      .join("");
+
+    const inputTokens = response.data.usage?.input_tokens || 0;
+    const outputTokens = response.data.usage?.output_tokens || 0;
+
+    return {
+      content,
+      usage: {
+        prompt_tokens: inputTokens,
+        completion_tokens: outputTokens,
+        total_tokens: inputTokens + outputTokens,
+      },
+      model: response.data.model || body.model,
+    };
+  }
+
+  describe() {
+    return {
+      provider: this.name,
+      model: this.defaultModel,
+      baseUrl: this.baseUrl,
+      configured: this.isConfigured(),
+    };
+  }
+}
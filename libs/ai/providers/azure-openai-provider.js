@@ -0,0 +1,85 @@
+import axios from "axios";
+import { OpenAIProvider } from "./openai-provider.js";
+
+/**
+ * Azure OpenAI provider - requests are routed to a deployment, not a model
+ */
+export class AzureOpenAIProvider extends OpenAIProvider {
+  constructor({ apiKey, endpoint, deployment, apiVersion, embeddingDeployment } = {}) {
+    super({ apiKey, baseUrl: endpoint, model: deployment, embeddingModel: embeddingDeployment });
+    this.name = "azure";
+    this.label = "Azure OpenAI";
+    this.endpoint = (endpoint || "").replace(/\/$/, "");
+    this.deployment = deployment;
+    this.embeddingDeployment = embeddingDeployment || null;
+    this.embeddingModel = this.embeddingDeployment;
+    this.apiVersion = apiVersion || "2024-06-01";
+  }
+
+  /**
+   * Azure needs key, endpoint and deployment
+   */
+  isConfigured() {
+    return !!(this.apiKey && this.endpoint && this.deployment);
+  }
+
+  /**
+   * The deployment decides the model
+   */
+  resolveModel() {
+    return this.deployment;
+  }
+
+  getHeaders() {
+    return {
+      "Content-Type": "application/json",
+      "api-key": this.apiKey,
+    };
+  }
+
+  getUrl() {
+    return `${this.endpoint}/openai/deployments/${encodeURIComponent(this.deployment)}/chat/completions?api-version=${this.apiVersion}`;
+  }
+
+  /**
+   * Embeddings need their own deployment
+   */
+  supportsEmbeddings() {
+    return this.isConfigured() && !!this.embeddingDeployment;
+  }
+
+  getEmbeddingsUrl() {
+    return `${this.endpoint}/openai/deployments/${encodeURIComponent(this.embeddingDeployment)}/embeddings?api-version=${this.apiVersion}`;
+  }
+
+  async embed(texts, options = {}) {
+    const response = await axios.post(this.getEmbeddingsUrl(), { input: texts }, {
+      headers: this.getHeaders(),
+      timeout: options.timeout,
+    });
+
+    return {
+      embeddings: [...(response.data.data || [])]
+        .sort((a, b) => a.index - b.index)
+        .map((item) => item.embedding),
+      model: this.embeddingDeployment,
+      usage: response.data.usage || {},
+    };
+  }
+
+  buildBody(request) {
+    const body = super.buildBody(request);
+    delete body.model;
+    return body;
+  }
+
+  describe() {
+    return {
+      provider: this.name,
+      model: this.deployment,
+      embeddingModel: this.embeddingDeployment,
+      baseUrl: this.endpoint,
+      configured: this.isConfigured(),
+    };
+  }
+}
@@ -0,0 +1,154 @@
+/**
+ * AI provider registry
+ *
+ * Every provider implements the same small interface:
+ *   isConfigured(), resolveModel(model), complete(request) -> { content, usage, model },
+ *   supportsEmbeddings(), embed(texts) -> { embeddings, model }, describe()
+ *
+ * Selection order:
+ *   1. Per-user config (integrations row with platform = 'ai', saved from
+ *      Dashboard → Settings through libs/ai/settings.js)
+ *   2. AI_PROVIDER environment variable (AI_PROVIDER=mock for the offline mock)
+ *   3. First provider with credentials in the environment
+ *   4. Otherwise OpenAI without a key, i.e. AI is reported as not configured
+ */
+
+import { OpenAIProvider } from "./openai-provider.js";
+import { OpenAICompatibleProvider } from "./openai-compatible-provider.js";
+import { AzureOpenAIProvider } from "./azure-openai-provider.js";
+import { AnthropicProvider } from "./anthropic-provider.js";
+import { MockProvider } from "./mock-provider.js";
+
+export { OpenAIProvider, OpenAICompatibleProvider, AzureOpenAIProvider, AnthropicProvider, MockProvider };
+
+export const AI_PROVIDERS = {
+  openai: OpenAIProvider,
+  "openai-compatible": OpenAICompatibleProvider,
+  azure: AzureOpenAIProvider,
+  anthropic: AnthropicProvider,
+  mock: MockProvider,
+};
+
+// Friendly aliases accepted in AI_PROVIDER and user settings
+const PROVIDER_ALIASES = {
+  local: "openai-compatible",
+  ollama: "openai-compatible",
+  compatible: "openai-compatible",
+  "azure-openai": "azure",
+  claude: "anthropic",
+  fake: "mock",
+};
+
+/**
+ * Normalize provider name
+ */
+export function normalizeProviderName(name) {
+  if (!name) return null;
+  const normalized = String(name).trim().toLowerCase();
+  return PROVIDER_ALIASES[normalized] || normalized;
+}
+
+/**
+ * Create provider instance from config
+ * @param {Object} config - { provider, apiKey, baseUrl, model, embeddingModel, endpoint, deployment, apiVersion, embeddingDeployment }
+ */
+export function createProvider(config = {}) {
+  const name = normalizeProviderName(config.provider) || "mock";
+  const Provider = AI_PROVIDERS[name];
+
+  if (!Provider) {
+    throw new Error(`Unknown AI provider "${config.provider}". Supported: ${Object.keys(AI_PROVIDERS).join(", ")}`);
+  }
+
+  return new Provider(config);
+}
+
+/**
+ * Build provider config from environment variables
+ */
+export function getEnvironmentProviderConfig(env = process.env) {
+  const configs = {
+    openai: {
+      provider: "openai",
+      apiKey: env.OPENAI_API_KEY,
+      baseUrl: env.OPENAI_BASE_URL,
+      model: env.AI_MODEL || env.OPENAI_MODEL,
+      organization: env.OPENAI_ORGANIZATION,
+      embeddingModel: env.AI_EMBEDDING_MODEL,
+    },
+    anthropic: {
+      provider: "anthropic",
+      apiKey: env.ANTHROPIC_API_KEY,
+      baseUrl: env.ANTHROPIC_BASE_URL,
+      model: env.AI_MODEL || env.ANTHROPIC_MODEL,
+    },
+    azure: {
+      provider: "azure",
+      apiKey: env.AZURE_OPENAI_API_KEY,
+      endpoint: env.AZURE_OPENAI_ENDPOINT,
+      deployment: env.AZURE_OPENAI_DEPLOYMENT,
+      apiVersion: env.AZURE_OPENAI_API_VERSION,
+      embeddingDeployment: env.AZURE_OPENAI_EMBEDDING_DEPLOYMENT,
+    },
+    "openai-compatible": {
+      provider: "openai-compatible",
+      apiKey: env.AI_API_KEY,
+      baseUrl: env.AI_BASE_URL,
+      model: env.AI_MODEL,
+      embeddingModel: env.AI_EMBEDDING_MODEL,
+    },
+    mock: { provider: "mock" },
+  };
+
+  // Explicit choice wins
+  const explicit = normalizeProviderName(env.AI_PROVIDER);
+  if (explicit) {
+    return configs[explicit] || { provider: explicit };
+  }
+
+  // Otherwise use whatever credentials are present
+  if (env.OPENAI_API_KEY) return configs.openai;
+  if (env.ANTHROPIC_API_KEY) return configs.anthropic;
+  if (env.AZURE_OPENAI_API_KEY && env.AZURE_OPENAI_ENDPOINT) return configs.azure;
+  if (env.AI_BASE_URL) return configs["openai-compatible"];
+
+  // No credentials: AI stays off. The mock is only used when asked for, so a
+  // missing key never turns into fake answers
+  return configs.openai;
+}
+
+/**
+ * Load per-user provider settings stored as an 'ai' integration
+ * @returns {Promise<Object|null>} provider config or null if the user has none
+ */
+export async function loadUserProviderConfig(supabase, userId) {
+  if (!supabase || !userId) return null;
+
+  const { data, error } = await supabase
+    .from("integrations")
+    .select("access_token, config, status")
+    .eq("user_id", userId)
+    .eq("platform", "ai")
+    .maybeSingle();
+
+  if (error) {
+    console.error("Failed to load AI provider settings:", error.message);
+    return null;
+  }
+
+  if (!data || data.status !== "connected" || !data.config?.provider) {
+    return null;
+  }
+
+  return {
+    provider: data.config.provider,
+    apiKey: data.access_token,
+    baseUrl: data.config.base_url,
+    model: data.config.model,
+    endpoint: data.config.endpoint,
+    deployment: data.config.deployment,
+    apiVersion: data.config.api_version,
+    embeddingModel: data.config.embedding_model,
+    embeddingDeployment: data.config.embedding_deployment,
+  };
+}
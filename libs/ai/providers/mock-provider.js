@@ -0,0 +1,455 @@
+import { hashEmbedding, HASH_EMBEDDING_DIMENSIONS } from "../embeddings.js";
+
+/**
+ * Deterministic offline provider for local development and CI.
+ * Produces schema-shaped answers from simple keyword heuristics so the whole
+ * pipeline (analysis, clustering, specs) runs without an API key.
+ * The same input always yields the same output.
+ */
+
+const CATEGORY_KEYWORDS = {
+  bug: ["bug", "error", "crash", "broken", "fail", "doesn't work", "does not work", "not working", "exception", "500"],
+  feature: ["add", "would like", "would love", "wish", "feature", "support for", "integration", "please", "could you"],
+  improvement: ["improve", "better", "faster", "slow", "easier", "confusing", "ux", "ui"],
+  complaint: ["hate", "terrible", "awful", "annoying", "frustrat", "disappoint", "worst", "refund"],
+  praise: ["love", "great", "awesome", "amazing", "excellent", "thank", "fantastic", "perfect"],
+  question: ["how do", "how can", "is it possible", "?", "where is", "what is"],
+};
+
+const POSITIVE_WORDS = ["love", "great", "awesome", "amazing", "excellent", "thank", "fantastic", "perfect", "nice", "good"];
+const NEGATIVE_WORDS = ["bug", "error", "crash", "broken", "fail", "hate", "terrible", "awful", "annoying", "slow", "worst", "frustrat", "disappoint"];
+const URGENT_WORDS = ["urgent", "asap", "critical", "production", "data loss", "security", "cannot login", "can't login", "down"];
+
+const STOP_WORDS = new Set([
+  "the", "a", "an", "and", "or", "but", "is", "are", "was", "were", "to", "of", "in", "on", "for",
+  "with", "it", "this", "that", "i", "we", "you", "my", "our", "be", "have", "has", "not", "can",
+  "would", "could", "should", "when", "there", "from", "at", "as", "so", "if", "do", "does", "me",
+]);
+
+/**
+ * Small stable string hash (FNV-1a)
+ */
+function hashString(value) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+function countMatches(text, words) {
+  return words.reduce((count, word) => count + (text.includes(word) ? 1 : 0), 0);
+}
+
+/**
+ * Heuristic classification shared by all mock handlers
+ */
+export function classifyText(text = "") {
+  const lower = String(text).toLowerCase();
+
+  let category = "general";
+  let bestScore = 0;
+  for (const [name, words] of Object.entries(CATEGORY_KEYWORDS)) {
+    const score = countMatches(lower, words);
+    if (score > bestScore) {
+      bestScore = score;
+      category = name;
+    }
+  }
+
+  const positive = countMatches(lower, POSITIVE_WORDS);
+  const negative = countMatches(lower, NEGATIVE_WORDS);
+  const sentiment = positive > negative ? "positive" : negative > positive ? "negative" : "neutral";
+  const sentimentScore = Math.max(-1, Math.min(1, (positive - negative) / 3));
+
+  let priority = "medium";
+  if (countMatches(lower, URGENT_WORDS) > 0) priority = "urgent";
+  else if (category === "bug" || category === "complaint") priority = "high";
+  else if (category === "praise" || category === "question" || category === "general") priority = "low";
+
+  return {
+    category,
+    sentiment,
+    sentimentScore: Math.round(sentimentScore * 100) / 100,
+    priority,
+    keywords: extractKeywords(lower),
+    confidence: bestScore > 0 ? Math.min(0.99, 0.8 + bestScore * 0.05) : 0.5,
+  };
+}
+
+/**
+ * Most frequent meaningful words, ties broken alphabetically
+ */
+export function extractKeywords(text = "", limit = 5) {
+  const counts = {};
+  String(text)
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, " ")
+    .split(/\s+/)
+    .filter((word) => word.length > 2 && !STOP_WORDS.has(word))
+    .forEach((word) => {
+      counts[word] = (counts[word] || 0) + 1;
+    });
+
+  return Object.entries(counts)
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, limit)
+    .map(([word]) => word);
+}
+
+function tokenSet(text) {
+  return new Set(extractKeywords(text, 50));
+}
+
+function jaccard(a, b) {
+  const setA = tokenSet(a);
+  const setB = tokenSet(b);
+  if (setA.size === 0 || setB.size === 0) return 0;
+  let intersection = 0;
+  setA.forEach((word) => {
+    if (setB.has(word)) intersection++;
+  });
+  return intersection / (setA.size + setB.size - intersection);
+}
+
+function summarize(text, maxLength = 120) {
+  const clean = String(text).replace(/\s+/g, " ").trim();
+  return clean.length > maxLength ? `${clean.slice(0, maxLength - 1)}…` : clean;
+}
+
+function lastUserMessage(messages) {
+  const userMessages = messages.filter((message) => message.role === "user");
+  return userMessages.length > 0 ? String(userMessages[userMessages.length - 1].content) : "";
+}
+
+/**
+ * Extract the first quoted string, which is how every prompt embeds feedback
+ */
+function firstQuoted(text) {
+  const match = text.match(/"([\s\S]*?)"/);
+  return match ? match[1] : text;
+}
+
+/**
+ * Parse numbered feedback lines: `1. [GMAIL] "content" (ID: abc)`
+ */
+function parseNumberedItems(text) {
+  const items = [];
+  const pattern = /^(\d+)\.\s*(?:\[[^\]]*\]\s*)?"([\s\S]*?)"(?:\s*\((?:ID:\s*([^)]+)|[^)]*)\))?\s*$/gm;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    items.push({
+      index: Number(match[1]),
+      content: match[2],
+      id: match[3] ? match[3].trim() : match[1],
+    });
+  }
+  return items;
+}
+
+function groupByCategory(items) {
+  const groups = {};
+  items.forEach((item) => {
+    const { category } = classifyText(item.content);
+    if (!groups[category]) groups[category] = [];
+    groups[category].push(item);
+  });
+  return Object.entries(groups).sort((a, b) => b[1].length - a[1].length || a[0].localeCompare(b[0]));
+}
+
+const CATEGORY_THEMES = {
+  bug: "Bugs and errors",
+  feature: "Feature requests",
+  improvement: "Usability improvements",
+  complaint: "Customer complaints",
+  praise: "Positive feedback",
+  question: "Questions and how-to",
+  general: "General feedback",
+};
+
+const SEVERITY_BY_CATEGORY = {
+  bug: "high",
+  complaint: "high",
+  feature: "medium",
+  improvement: "medium",
+  question: "low",
+  praise: "low",
+  general: "low",
+};
+
+/**
+ * Handlers keyed by the `context` the callers pass to makeRequest
+ */
+const HANDLERS = {
+  "Feedback analysis": (messages) => {
+    const text = firstQuoted(lastUserMessage(messages));
+    const result = classifyText(text);
+    return {
+      sentiment: result.sentiment,
+      sentimentScore: result.sentimentScore,
+      themes: result.keywords.slice(0, 3),
+      categories: [result.category === "feature" ? "feature_request" : result.category],
+      priority: result.priority === "urgent" ? "high" : result.priority,
+      actionableInsights: [`Review ${result.category} feedback: ${summarize(text, 60)}`],
+      summary: summarize(text),
+      suggestedActions: [result.category === "bug" ? "Reproduce and fix the issue" : "Add to product backlog for review"],
+    };
+  },
+
+  "Enhanced feedback analysis": (messages) => {
+    const prompt = lastUserMessage(messages);
+    const contentMatch = prompt.match(/Feedback Content:\s*"([\s\S]*?)"\s*\n\s*\nIMPORTANT/);
+    const text = contentMatch ? contentMatch[1] : firstQuoted(prompt);
+    const result = classifyText(text);
+    return {
+      sentiment: result.sentiment,
+      priority: result.priority,
+      category: result.category,
+      confidence: result.confidence,
+      keywords: result.keywords,
+      user_intent: summarize(text, 80),
+      business_impact: result.priority === "urgent" || result.priority === "high" ? "high" : "medium",
+      urgency: result.priority === "urgent" ? "high" : result.priority === "high" ? "medium" : "low",
+      reasoning: `Mock analysis based on keywords: ${result.keywords.join(", ") || "none"}`,
+      suggested_action: result.category === "bug" ? "Reproduce and fix" : "Review and categorize",
+    };
+  },
+
+  "Batch feedback analysis": (messages) => {
+    const items = parseNumberedItems(lastUserMessage(messages));
+    const results = items.map((item) => classifyText(item.content));
+    const distribution = { positive: 0, negative: 0, neutral: 0 };
+    const categoryBreakdown = {};
+    const priorityBreakdown = { high: 0, medium: 0, low: 0 };
+    results.forEach((result) => {
+      distribution[result.sentiment]++;
+      categoryBreakdown[result.category] = (categoryBreakdown[result.category] || 0) + 1;
+      const priority = result.priority === "urgent" ? "high" : result.priority;
+      priorityBreakdown[priority]++;
+    });
+    const average = results.length
+      ? results.reduce((sum, result) => sum + result.sentimentScore, 0) / results.length
+      : 0;
+    const overall = distribution.positive > distribution.negative
+      ? "positive"
+      : distribution.negative > distribution.positive ? "negative" : "neutral";
+    return {
+      overallSentiment: overall,
+      averageSentimentScore: Math.round(average * 100) / 100,
+      totalFeedback: items.length,
+      sentimentDistribution: distribution,
+      topThemes: extractKeywords(items.map((item) => item.content).join(" ")),
+      categoryBreakdown,
+      priorityBreakdown,
+      keyInsights: [`${items.length} feedback items analyzed offline`],
+      recommendedActions: ["Review high priority items first"],
+      summary: `Mock batch analysis of ${items.length} feedback items`,
+    };
+  },
+
+  "Cluster naming": (messages) => {
+    const items = parseNumberedItems(lastUserMessage(messages));
+    const text = items.map((item) => item.content).join(" ");
+    const { category } = classifyText(text);
+    const keywords = extractKeywords(text, 5);
+    return {
+      theme: keywords.length ? `${CATEGORY_THEMES[category]}: ${keywords.slice(0, 2).join(", ")}` : CATEGORY_THEMES[category],
+      description: `${items.length} similar items mentioning ${keywords.slice(0, 3).join(", ") || "various topics"}`,
+      severity: SEVERITY_BY_CATEGORY[category],
+      category: category === "feature" ? "feature_request" : category,
+      commonKeywords: keywords,
+      suggestedAction: `Triage ${CATEGORY_THEMES[category].toLowerCase()}`,
+      business_impact: SEVERITY_BY_CATEGORY[category],
+      estimated_effort: "3 story points",
+    };
+  },
+
+  "Duplicate detection": (messages) => {
+    const prompt = lastUserMessage(messages);
+    const newFeedback = firstQuoted(prompt);
+    const existingSection = prompt.split("Existing feedback:")[1] || "";
+    const existing = [];
+    const pattern = /^([^\s.]+)\.\s*"([\s\S]*?)"\s*$/gm;
+    let match;
+    while ((match = pattern.exec(existingSection)) !== null) {
+      existing.push({ id: match[1], content: match[2] });
+    }
+    let best = { id: null, score: 0 };
+    existing.forEach((item) => {
+      const score = jaccard(newFeedback, item.content);
+      if (score > best.score) best = { id: item.id, score };
+    });
+    const score = Math.round(best.score * 100) / 100;
+    return {
+      isDuplicate: score >= 0.6,
+      similarityScore: score,
+      mostSimilarId: best.id,
+      explanation: `Keyword overlap of ${Math.round(score * 100)}% with the closest existing feedback`,
+      suggestedAction: score >= 0.8 ? "merge" : score >= 0.6 ? "flag_for_review" : "keep_separate",
+    };
+  },
+
+  "Action items generation": (messages) => {
+    const items = parseNumberedItems(lastUserMessage(messages));
+    const actionItems = groupByCategory(items).map(([category, members]) => ({
+      title: CATEGORY_THEMES[category],
+      description: `Address ${members.length} ${category} feedback items`,
+      priority: SEVERITY_BY_CATEGORY[category],
+      category: ["bug", "feature", "improvement"].includes(category) ? category : "research",
+      estimatedEffort: members.length > 3 ? "weeks" : "days",
+      relatedFeedbackIds: members.map((member) => member.id),
+      acceptanceCriteria: members.slice(0, 3).map((member) => `Resolved: ${summarize(member.content, 60)}`),
+    }));
+    const priorityBreakdown = { urgent: 0, high: 0, medium: 0, low: 0 };
+    const categoryBreakdown = { bug: 0, feature: 0, improvement: 0, research: 0 };
+    actionItems.forEach((item) => {
+      priorityBreakdown[item.priority]++;
+      categoryBreakdown[item.category]++;
+    });
+    return {
+      actionItems,
+      summary: { totalActions: actionItems.length, priorityBreakdown, categoryBreakdown },
+    };
+  },
+};
+
+/**
+ * Markdown answer for free-form prompts (specs, rewrites)
+ */
+function markdownResponse(messages, context) {
+  const prompt = lastUserMessage(messages);
+  const themeMatch = prompt.match(/\*\*(?:Theme\/Issue|Theme|Description)\*\*:\s*(.+)/);
+  const quoted = (prompt.match(/"([^"\n]+)"/g) || []).map((value) => value.slice(1, -1));
+  const source = quoted.length ? quoted.join(" ") : themeMatch ? themeMatch[1] : prompt;
+  const keywords = extractKeywords(source, 5);
+  const { category } = classifyText(source);
+  const title = themeMatch ? summarize(themeMatch[1], 80) : keywords.slice(0, 3).join(" ") || "feedback";
+
+  // Section rewrites of the spec editor send one section between <section> tags
+  const section = prompt.match(/<section>\n([\s\S]*?)\n<\/section>/);
+  if (section) {
+    return `${section[1]}\n- Revised offline by the mock AI provider (${context}).`;
+  }
+
+  // Spec templates list their sections as "- ## Heading (required)" (libs/spec-templates)
+  const sections = [...String(messages.find((message) => message.role === "user")?.content || "").matchAll(
+    /^- ## (.+?) \((?:required|optional)\)/gm
+  )].map((match) => match[1]);
+
+  if (sections.length > 0) {
+    return `# ${title}
+
+> Generated offline by the mock AI provider (${context}).
+
+${sections
+  .map((heading) => `## ${heading}\nCovers the reported ${category} feedback: ${keywords.join(", ") || "no specific keywords"}.`)
+  .join("\n\n")}
+`;
+  }
+
+  return `# Specification: ${title}
+
+> Generated offline by the mock AI provider (${context}).
+
+## Problem Statement
+Users reported ${category} feedback mentioning: ${keywords.join(", ") || "no specific keywords"}.
+
+## Technical Requirements
+- Address the reported ${category} behaviour
+- Keep existing functionality backwards compatible
+
+## Implementation Plan
+1. Reproduce the scenario described in the feedback
+2. Implement the change
+3. Add monitoring for regressions
+
+## Acceptance Criteria
+- [ ] The reported scenario is resolved
+- [ ] No regressions in related flows
+
+## Testing Strategy
+- Unit tests for the changed logic
+- Manual verification against the original feedback
+`;
+}
+
+/**
+ * Mock provider
+ */
+export class MockProvider {
+  constructor({ model } = {}) {
+    this.name = "mock";
+    this.label = "Mock AI";
+    this.defaultModel = model || "mock-1";
+    this.embeddingModel = `mock-hash-${HASH_EMBEDDING_DIMENSIONS}`;
+  }
+
+  /**
+   * Always available - that's the point
+   */
+  isConfigured() {
+    return true;
+  }
+
+  resolveModel() {
+    return this.defaultModel;
+  }
+
+  /**
+   * @returns {Promise<{content: string, usage: Object, model: string}>}
+   */
+  async complete({ messages, context = "", responseFormat }) {
+    const handler = HANDLERS[context];
+    let content;
+
+    if (handler) {
+      content = JSON.stringify(handler(messages));
+    } else if (responseFormat === "json") {
+      const text = lastUserMessage(messages);
+      content = JSON.stringify({ ...classifyText(text), summary: summarize(text) });
+    } else {
+      content = markdownResponse(messages, context || "request");
+    }
+
+    const promptLength = messages.reduce((sum, message) => sum + String(message.content).length, 0);
+    const promptTokens = Math.ceil(promptLength / 4);
+    const completionTokens = Math.ceil(content.length / 4);
+
+    return {
+      content,
+      usage: {
+        prompt_tokens: promptTokens,
+        completion_tokens: completionTokens,
+        total_tokens: promptTokens + completionTokens,
+      },
+      model: this.defaultModel,
+      fingerprint: hashString(content).toString(16),
+    };
+  }
+
+  supportsEmbeddings() {
+    return true;
+  }
+
+  /**
+   * Feature-hashing embeddings - similar wording gives similar vectors
+   */
+  async embed(texts) {
+    return {
+      embeddings: texts.map((text) => hashEmbedding(text)),
+      model: this.embeddingModel,
+      usage: {},
+    };
+  }
+
+  describe() {
+    return {
+      provider: this.name,
+      model: this.defaultModel,
+      embeddingModel: this.embeddingModel,
+      baseUrl: null,
+      configured: true,
+    };
+  }
+}
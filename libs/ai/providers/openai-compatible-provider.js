@@ -0,0 +1,51 @@
+import { OpenAIProvider } from "./openai-provider.js";
+
+/**
+ * Any server speaking the OpenAI chat completions API
+ * (Ollama, LM Studio, vLLM, LocalAI, OpenRouter, ...)
+ */
+export class OpenAICompatibleProvider extends OpenAIProvider {
+  constructor({ apiKey, baseUrl, model, embeddingModel } = {}) {
+    super({
+      apiKey,
+      baseUrl: baseUrl || "http://localhost:11434/v1",
+      model,
+      embeddingModel: embeddingModel || "nomic-embed-text",
+    });
+    this.name = "openai-compatible";
+    this.label = "OpenAI-compatible server";
+    this.defaultModel = model || "llama3.1";
+    this.pinModel = !!model;
+  }
+
+  /**
+   * Local servers usually have no key - a base URL is enough
+   */
+  isConfigured() {
+    return !!this.baseUrl;
+  }
+
+  supportsEmbeddings() {
+    return this.isConfigured() && !!this.embeddingModel;
+  }
+
+  /**
+   * Local servers serve the models they have, not gpt-* names,
+   * so a configured model always wins over the caller's request
+   */
+  resolveModel(requestedModel) {
+    if (this.pinModel) return this.defaultModel;
+    return requestedModel && !requestedModel.startsWith("gpt-")
+      ? requestedModel
+      : this.defaultModel;
+  }
+
+  /**
+   * Not every server supports response_format; JSON is requested in the prompt anyway
+   */
+  buildBody(request) {
+    const body = super.buildBody(request);
+    delete body.response_format;
+    return body;
+  }
+}
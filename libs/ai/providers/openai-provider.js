@@ -0,0 +1,146 @@
+import axios from "axios";
+
+/**
+ * OpenAI chat completions and embeddings provider
+ */
+export class OpenAIProvider {
+  constructor({ apiKey, baseUrl, model, organization, embeddingModel } = {}) {
+    this.name = "openai";
+    this.label = "OpenAI";
+    this.apiKey = apiKey;
+    this.baseUrl = (baseUrl || "https://api.openai.com/v1").replace(/\/$/, "");
+    this.defaultModel = model || "gpt-4";
+    this.organization = organization || null;
+    this.embeddingModel = embeddingModel || "text-embedding-3-small";
+  }
+
+  /**
+   * Check if provider has credentials
+   */
+  isConfigured() {
+    return !!this.apiKey;
+  }
+
+  /**
+   * Pick the model for a request; callers may ask for a specific OpenAI model
+   */
+  resolveModel(requestedModel) {
+    return requestedModel || this.defaultModel;
+  }
+
+  /**
+   * Build request headers
+   */
+  getHeaders() {
+    const headers = { "Content-Type": "application/json" };
+    if (this.apiKey) {
+      headers.Authorization = `Bearer ${this.apiKey}`;
+    }
+    if (this.organization) {
+      headers["OpenAI-Organization"] = this.organization;
+    }
+    return headers;
+  }
+
+  /**
+   * Build request URL
+   */
+  getUrl() {
+    return `${this.baseUrl}/chat/completions`;
+  }
+
+  /**
+   * Build request body in chat completions format
+   */
+  buildBody({ messages, model, max_tokens, temperature, userId, responseFormat }) {
+    const body = {
+      model: this.resolveModel(model),
+      messages,
+      max_tokens,
+      temperature,
+    };
+    if (userId) {
+      body.user = userId;
+    }
+    if (responseFormat === "json") {
+      body.response_format = { type: "json_object" };
+    }
+    return body;
+  }
+
+  /**
+   * Send chat completion request
+   * @returns {Promise<{content: string, usage: Object, model: string}>}
+   */
+  async complete(request) {
+    const body = this.buildBody(request);
+
+    const response = await axios.post(this.getUrl(), body, {
+      headers: this.getHeaders(),
+      timeout: request.timeout,
+    });
+
+    return {
+      content: response.data.choices?.[0]?.message?.content,
+      usage: {
+        prompt_tokens: response.data.usage?.prompt_tokens || 0,
+        completion_tokens: response.data.usage?.completion_tokens || 0,
+        total_tokens: response.data.usage?.total_tokens || 0,
+      },
+      model: response.data.model || body.model,
+    };
+  }
+
+  /**
+   * Whether embeddings can be requested from this provider
+   */
+  supportsEmbeddings() {
+    return this.isConfigured() && !!this.embeddingModel;
+  }
+
+  /**
+   * Build embeddings URL
+   */
+  getEmbeddingsUrl() {
+    return `${this.baseUrl}/embeddings`;
+  }
+
+  /**
+   * Create embeddings for a list of texts
+   * @returns {Promise<{embeddings: number[][], model: string, usage: Object}>}
+   */
+  async embed(texts, { timeout } = {}) {
+    const body = { input: texts };
+    if (this.embeddingModel) {
+      body.model = this.embeddingModel;
+    }
+
+    const response = await axios.post(this.getEmbeddingsUrl(), body, {
+      headers: this.getHeaders(),
+      timeout,
+    });
+
+    const embeddings = [...(response.data.data || [])]
+      .sort((a, b) => a.index - b.index)
+      .map((item) => item.embedding);
+
+    return {
+      embeddings,
+      model: this.embeddingModel || response.data.model,
+      usage: response.data.usage || {},
+    };
+  }
+
+  /**
+   * Public description for stats (never includes credentials)
+   */
+  describe() {
+    return {
+      provider: this.name,
+      model: this.defaultModel,
+      embeddingModel: this.embeddingModel,
+      baseUrl: this.baseUrl,
+      configured: this.isConfigured(),
+    };
+  }
+}
@@ -0,0 +1,239 @@
+/**
+ * Per-user AI provider (an 'ai' integration)
+ *
+ * A user can run analysis, clustering and spec generation on their own
+ * OpenAI, Anthropic, Azure OpenAI or OpenAI-compatible account instead of the
+ * environment provider. The key is kept in the integration's access_token and
+ * the rest in its config, the shape loadUserProviderConfig reads. Settings
+ * are checked with a tiny completion before they are saved.
+ */
+
+import {
+  createDatabaseError,
+  createExternalServiceError,
+  createValidationError,
+} from "../errors/error-handler.js";
+import { createProvider, normalizeProviderName } from "./providers/index.js";
+import { openAIClient } from "./openai-client.js";
+
+/**
+ * Providers a user can pick, with the settings each one needs
+ */
+export const USER_AI_PROVIDERS = {
+  openai: { label: "OpenAI", keyRequired: true },
+  anthropic: { label: "Anthropic", keyRequired: true },
+  azure: { label: "Azure OpenAI", keyRequired: true },
+  "openai-compatible": { label: "OpenAI-compatible server", keyRequired: false },
+};
+
+// Integration columns returned to the dashboard (never the key)
+const SETTINGS_COLUMNS = "id, status, config, created_at, updated_at";
+
+const VERIFY_TIMEOUT = 15000;
+
+function cleanText(value, maxLength) {
+  return typeof value === "string" ? value.trim().slice(0, maxLength) : "";
+}
+
+/**
+ * An https URL on a public host. Requests to it are made from the server, so
+ * local and private addresses are refused.
+ */
+export function parsePublicUrl(value) {
+  let url;
+  try {
+    url = new URL(cleanText(value, 500));
+  } catch {
+    return null;
+  }
+
+  const host = url.hostname.toLowerCase();
+  const internal =
+    host === "localhost" ||
+    host.endsWith(".localhost") ||
+    host.endsWith(".local") ||
+    host.endsWith(".internal") ||
+    !host.includes(".") ||
+    /^[\d.]+$/.test(host) ||
+    host.startsWith("[");
+
+  if (url.protocol !== "https:" || url.username || url.password || internal) {
+    return null;
+  }
+  return `${url.origin}${url.pathname}`.replace(/\/$/, "");
+}
+
+async function getAIIntegration(supabase, userId) {
+  const { data, error } = await supabase
+    .from("integrations")
+    .select(`${SETTINGS_COLUMNS}, access_token`)
+    .eq("user_id", userId)
+    .eq("platform", "ai")
+    .maybeSingle();
+
+  if (error) {
+    throw createDatabaseError("Failed to read AI provider settings", error.message);
+  }
+  return data;
+}
+
+// integrations row → API shape
+function formatSettings(row) {
+  const config = row.config || {};
+  return {
+    provider: config.provider,
+    label: USER_AI_PROVIDERS[config.provider]?.label || config.provider,
+    connected: row.status === "connected",
+    model: config.model || null,
+    baseUrl: config.base_url || null,
+    endpoint: config.endpoint || null,
+    deployment: config.deployment || null,
+    apiVersion: config.api_version || null,
+    embeddingModel: config.embedding_model || null,
+    embeddingDeployment: config.embedding_deployment || null,
+    updatedAt: row.updated_at || row.created_at,
+  };
+}
+
+/**
+ * The user's own provider (null when they use the environment one) and the
+ * environment provider it replaces
+ */
+export async function getAISettings(supabase, userId) {
+  const integration = await getAIIntegration(supabase, userId);
+  const environment = openAIClient.provider;
+  return {
+    settings: integration ? formatSettings(integration) : null,
+    environment: { provider: environment.name, label: environment.label, configured: environment.isConfigured() },
+  };
+}
+
+// Validated config in the integration's shape
+function buildConfig(provider, data) {
+  const config = { provider };
+  const errors = [];
+
+  const model = cleanText(data.model, 100);
+  if (model) config.model = model;
+
+  if (provider === "azure") {
+    config.endpoint = parsePublicUrl(data.endpoint);
+    config.deployment = cleanText(data.deployment, 100);
+    if (!config.endpoint) errors.push("Enter the https endpoint of your Azure OpenAI resource");
+    if (!config.deployment) errors.push("Enter the name of the chat deployment");
+    const apiVersion = cleanText(data.apiVersion, 20);
+    if (apiVersion) config.api_version = apiVersion;
+    const embeddingDeployment = cleanText(data.embeddingDeployment, 100);
+    if (embeddingDeployment) config.embedding_deployment = embeddingDeployment;
+  } else {
+    if (cleanText(data.baseUrl, 500)) {
+      config.base_url = parsePublicUrl(data.baseUrl);
+      if (!config.base_url) errors.push("The base URL must be an https URL on a public host");
+    } else if (provider === "openai-compatible") {
+      errors.push("Enter the https base URL of the server (e.g. https://openrouter.ai/api/v1)");
+    }
+    const embeddingModel = cleanText(data.embeddingModel, 100);
+    if (embeddingModel && provider !== "anthropic") config.embedding_model = embeddingModel;
+  }
+
+  if (errors.length > 0) {
+    throw createValidationError(errors.join(", "), errors);
+  }
+  return config;
+}
+
+// One short completion with the settings, so bad keys fail on save
+async function verifyProvider(provider) {
+  try {
+    await provider.complete({
+      messages: [{ role: "user", content: "Reply with OK" }],
+      model: provider.resolveModel(null),
+      max_tokens: 5,
+      temperature: 0,
+      timeout: VERIFY_TIMEOUT,
+    });
+  } catch (error) {
+    const status = error.response?.status;
+    if (status === 401 || status === 403) {
+      throw createValidationError(`${provider.label} rejected the API key`);
+    }
+    if (status === 404) {
+      throw createValidationError(`${provider.label} has no model or deployment "${provider.resolveModel(null)}"`);
+    }
+    throw createExternalServiceError("ai", `${provider.label} request failed: ${error.message}`);
+  }
+}
+
+/**
+ * Check and save the user's provider: { provider, apiKey?, model?, baseUrl?,
+ * endpoint?, deployment?, apiVersion?, embeddingModel?, embeddingDeployment? }.
+ * Without apiKey the saved key is kept when the provider doesn't change.
+ * @returns {Promise<Object>} The settings, without the key
+ */
+export async function saveAISettings(supabase, userId, data = {}) {
+  const name = normalizeProviderName(data.provider);
+  if (!USER_AI_PROVIDERS[name]) {
+    throw createValidationError(`Provider must be one of: ${Object.keys(USER_AI_PROVIDERS).join(", ")}`);
+  }
+
+  const config = buildConfig(name, data);
+  const existing = await getAIIntegration(supabase, userId);
+  const apiKey =
+    cleanText(data.apiKey, 500) || (existing?.config?.provider === name ? existing.access_token : null) || null;
+  if (!apiKey && USER_AI_PROVIDERS[name].keyRequired) {
+    throw createValidationError(`Enter your ${USER_AI_PROVIDERS[name].label} API key`);
+  }
+
+  const provider = createProvider({
+    provider: name,
+    apiKey,
+    baseUrl: config.base_url,
+    model: config.model,
+    endpoint: config.endpoint,
+    deployment: config.deployment,
+    apiVersion: config.api_version,
+    embeddingModel: config.embedding_model,
+    embeddingDeployment: config.embedding_deployment,
+  });
+  await verifyProvider(provider);
+
+  const { data: saved, error } = await supabase
+    .from("integrations")
+    .upsert(
+      {
+        user_id: userId,
+        platform: "ai",
+        status: "connected",
+        access_token: apiKey,
+        config,
+        updated_at: new Date().toISOString(),
+      },
+      { onConflict: "user_id,platform" }
+    )
+    .select(SETTINGS_COLUMNS)
+    .single();
+
+  if (error) {
+    throw createDatabaseError("Failed to save AI provider settings", error.message);
+  }
+
+  // This instance picks the new provider up right away, others within 5 minutes
+  openAIClient.clearUserProvider(userId);
+  return formatSettings(saved);
+}
+
+/**
+ * Remove the user's provider; AI requests go to the environment provider again
+ */
+export async function deleteAISettings(supabase, userId) {
+  const { error } = await supabase
+    .from("integrations")
+    .delete()
+    .eq("user_id", userId)
+    .eq("platform", "ai");
+
+  if (error) {
+    throw createDatabaseError("Failed to remove AI provider settings", error.message);
+  }
+  openAIClient.clearUserProvider(userId);
+}
@@ -1,5 +1,40 @@
 import { openAIClient } from "./openai-client.js";
 import { createValidationError } from "../errors/error-handler.js";
+import { findMissingSections, templateSectionsPrompt, templateSystemPrompt } from "../spec-templates/index.js";
+import { SECTION_ACTIONS } from "../spec-sections.js";
+
+// Re-prompts when a templated spec lacks required sections
+const MAX_SECTION_RETRIES = 2;
+
+// Longest section the editor's section actions send
+export const MAX_SECTION_LENGTH = 20000;
+
+// Marks requirements added by an update with new feedback
+export const NEW_REQUIREMENT_MARK = "🆕";
+
+// Items are strings or { content, reports }; reports > 1 counts merged duplicates
+function formatFeedbackList(feedbackList) {
+  return feedbackList
+    .map((fb, index) => {
+      const text = typeof fb === "string" ? fb : fb.content;
+      const reports = fb?.reports > 1 ? ` (reported by ${fb.reports} users)` : "";
+      return `${index + 1}. "${text}"${reports}`;
+    })
+    .join("\n");
+}
+
+// Instructions for updating a previous version with new feedback
+function updatePrompt(previous) {
+  return `**Previous version of this specification** (v${previous.version}):
+<previous_spec>
+${previous.content}
+</previous_spec>
+
+**New feedback since that version**:
+${formatFeedbackList(previous.newFeedback)}
+
+Update the previous specification for the new feedback instead of starting over: keep what still applies and add or change the requirements the new feedback calls for. Mark every new or changed requirement with "${NEW_REQUIREMENT_MARK}". End with a "## What Changed" section that lists the new requirements as bullet points.`;
+}
 
 /**
  * Centralized specification generation utilities
@@ -10,9 +45,9 @@ export class SpecGenerator {
   }
 
   /**
-   * Generate detailed development specification based on feedback theme
+   * Messages of the standard spec prompt for a feedback theme
    */
-  async generateSpec(theme, feedbackList, userId = null) {
+  specMessages(theme, feedbackList) {
     if (!theme || typeof theme !== "string" || !theme.trim()) {
       throw createValidationError("Theme is required for spec generation");
     }
@@ -33,15 +68,13 @@ Your specification should be comprehensive, actionable, and formatted as markdow
 
 Use modern web development best practices and be specific about technologies, patterns, and approaches.`;
 
-    const feedbackText = feedbackList
-      .map((fb, index) => `${index + 1}. "${fb}"`)
-      .join("\n");
+    const feedbackText = formatFeedbackList(feedbackList);
 
     const userPrompt = `Create a detailed specification for Cursor/Claude Code based on the following:
 
 **Theme/Issue**: ${theme}
 
-**User Feedback**:
+**User Feedback** (items reported by more users show more demand - prioritize them):
 ${feedbackText}
 
 Please create a comprehensive development specification that includes:
@@ -84,10 +117,17 @@ Please create a comprehensive development specification that includes:
 
 Format the response as markdown that can be easily consumed by AI coding assistants.`;
 
-    const messages = [
+    return [
       { role: "system", content: systemPrompt },
       { role: "user", content: userPrompt },
     ];
+  }
+
+  /**
+   * Generate detailed development specification based on feedback theme
+   */
+  async generateSpec(theme, feedbackList, userId = null) {
+    const messages = this.specMessages(theme, feedbackList);
 
     try {
       const response = await this.client.makeRequest(messages, {
@@ -105,9 +145,9 @@ Format the response as markdown that can be easily consumed by AI coding assista
   }
 
   /**
-   * Generate focused implementation spec for individual feedback
+   * Messages of the standard implementation spec prompt for one feedback item
    */
-  async generateImplementationSpec(issueType, description, priority, userId = null) {
+  implementationMessages(issueType, description, priority, { reports = 1 } = {}) {
     if (!issueType || typeof issueType !== "string" || !issueType.trim()) {
       throw createValidationError("Issue type is required");
     }
@@ -124,7 +164,7 @@ Your specification should be concise, actionable, and immediately implementable.
 
 **Type**: ${issueType}
 **Description**: ${description}
-**Priority**: ${priority || "medium"}
+**Priority**: ${priority || "medium"}${reports > 1 ? `\n**Demand**: reported by ${reports} users` : ""}
 
 Please create a specification that includes:
 
@@ -153,10 +193,17 @@ Please create a specification that includes:
 
 Format as markdown optimized for AI coding assistants with clear, actionable instructions.`;
 
-    const messages = [
+    return [
       { role: "system", content: systemPrompt },
       { role: "user", content: userPrompt },
     ];
+  }
+
+  /**
+   * Generate focused implementation spec for individual feedback
+   */
+  async generateImplementationSpec(issueType, description, priority, userId = null, { reports = 1 } = {}) {
+    const messages = this.implementationMessages(issueType, description, priority, { reports });
 
     try {
       const response = await this.client.makeRequest(messages, {
@@ -173,6 +220,180 @@ Format as markdown optimized for AI coding assistants with clear, actionable ins
     }
   }
 
+  /**
+   * Messages of a template's prompt (libs/spec-templates)
+   */
+  templateMessages(template, input) {
+    let subject;
+    if (input.feedbackList !== undefined) {
+      if (!input.theme || typeof input.theme !== "string" || !input.theme.trim()) {
+        throw createValidationError("Theme is required for spec generation");
+      }
+      if (!Array.isArray(input.feedbackList) || input.feedbackList.length === 0) {
+        throw createValidationError("Feedback list is required and cannot be empty");
+      }
+      subject = `**Theme/Issue**: ${input.theme}
+
+**User Feedback** (items reported by more users show more demand - prioritize them):
+${formatFeedbackList(input.feedbackList)}`;
+    } else {
+      if (!input.description || typeof input.description !== "string" || !input.description.trim()) {
+        throw createValidationError("Description is required");
+      }
+      subject = `**Type**: ${input.issueType || "feedback"}
+**Description**: ${input.description}
+**Priority**: ${input.priority || "medium"}${input.reports > 1 ? `\n**Demand**: reported by ${input.reports} users` : ""}`;
+    }
+
+    return [
+      { role: "system", content: templateSystemPrompt(template) },
+      {
+        role: "user",
+        content: `Write the ${template.name} document for the following:
+
+${subject}
+
+${templateSectionsPrompt(template)}
+
+Format the response as markdown.`,
+      },
+    ];
+  }
+
+  /**
+   * Generate a spec with a template (libs/spec-templates), or with the
+   * standard prompts when there is none. Required sections missing from the
+   * answer are asked for again, up to MAX_SECTION_RETRIES times.
+   *
+   * With input.previous, the previous version is updated for the feedback
+   * that arrived since: new requirements are marked and listed under
+   * "## What Changed" (libs/specs).
+   *
+   * Responses aren't cached - every generation is saved as a new version.
+   * @param {Object|null} template - resolveSpecTemplate result
+   * @param {Object} input - { theme, feedbackList } for a theme, or
+   *   { issueType, description, priority, reports } for one feedback item;
+   *   previous?: { version, content, newFeedback }
+   * @returns {Promise<{content: string, missingSections: string[], attempts: number, provider: string, model: string, prompt: Array}>}
+   *   prompt: the messages of the first request
+   */
+  async generateWithTemplate(template, input, userId = null) {
+    const forTheme = input.feedbackList !== undefined;
+
+    let messages;
+    let options;
+    if (template) {
+      messages = this.templateMessages(template, input);
+      options = { max_tokens: 2500, temperature: 0.6, context: "Template spec generation" };
+    } else if (forTheme) {
+      messages = this.specMessages(input.theme, input.feedbackList);
+      options = { max_tokens: 2000, temperature: 0.7, context: "Spec generation" };
+    } else {
+      messages = this.implementationMessages(input.issueType, input.description, input.priority, {
+        reports: input.reports,
+      });
+      options = { max_tokens: 1200, temperature: 0.5, context: "Implementation spec generation" };
+    }
+
+    if (input.previous) {
+      messages[1] = { role: "user", content: `${messages[1].content}\n\n${updatePrompt(input.previous)}` };
+      options.max_tokens += 500;
+    }
+
+    const prompt = messages.map((message) => ({ ...message }));
+    const provider = this.client.getProvider(userId);
+    let best = null;
+    let attempts = 0;
+
+    try {
+      while (attempts <= MAX_SECTION_RETRIES) {
+        attempts += 1;
+        const content = await this.client.makeRequest(messages, { ...options, userId, enableCache: false });
+        const missingSections = template ? findMissingSections(content, template) : [];
+
+        // Keep the most complete answer
+        if (!best || missingSections.length < best.missingSections.length) {
+          best = { content, missingSections };
+        }
+        if (missingSections.length === 0) break;
+
+        messages.push(
+          { role: "assistant", content },
+          {
+            role: "user",
+            content: `The document is missing these required sections: ${missingSections
+              .map((heading) => `"${heading}"`)
+              .join(", ")}. Return the complete document again, with every required section as a "## " heading titled exactly as given.`,
+          }
+        );
+      }
+    } catch (error) {
+      console.error("Error generating spec:", error);
+      throw error;
+    }
+
+    return { ...best, attempts, provider: provider.name, model: provider.resolveModel(null), prompt };
+  }
+
+  /**
+   * Rewrite one section of a spec for a section action of the spec editor
+   * (libs/spec-sections), with only that section as context
+   * @param {string} section - The section's Markdown, starting with its heading
+   * @param {string} action - SECTION_ACTIONS key
+   * @param {Object} options - { title }: the spec's title
+   * @returns {Promise<string>} The new section, starting with the same heading
+   */
+  async rewriteSection(section, action, { title } = {}, userId = null) {
+    const sectionAction = SECTION_ACTIONS.find((candidate) => candidate.key === action);
+    if (!sectionAction) {
+      throw createValidationError(`Action must be one of: ${SECTION_ACTIONS.map((candidate) => candidate.key).join(", ")}`);
+    }
+
+    if (!section || typeof section !== "string" || !section.trim()) {
+      throw createValidationError("Section is required");
+    }
+
+    if (section.length > MAX_SECTION_LENGTH) {
+      throw createValidationError(`Section must be ${MAX_SECTION_LENGTH} characters or less`);
+    }
+
+    const text = section.trim();
+    const [heading] = text.split("\n");
+
+    const systemPrompt = `You are an expert software engineer and technical writer editing one section of a development specification for AI coding assistants.
+
+Return only the rewritten section as markdown. Keep its heading line unchanged and don't add other sections, code fences around the answer or commentary.`;
+
+    const userPrompt = `${title ? `This section is part of the specification "${title}".\n\n` : ""}${sectionAction.instruction}
+
+<section>
+${text}
+</section>`;
+
+    try {
+      const response = await this.client.makeRequest(
+        [
+          { role: "system", content: systemPrompt },
+          { role: "user", content: userPrompt },
+        ],
+        { max_tokens: 1500, temperature: 0.5, userId, context: "Spec section rewrite", enableCache: false }
+      );
+
+      const rewritten = String(response || "")
+        .trim()
+        .replace(/^```(?:markdown|md)?\n([\s\S]*)\n```$/, "$1")
+        .trim();
+
+      if (!rewritten) return text;
+      return /^#{1,6}\s/.test(heading) && !rewritten.startsWith(heading) && !/^#{1,6}\s/.test(rewritten)
+        ? `${heading}\n${rewritten}`
+        : rewritten;
+    } catch (error) {
+      console.error("Error rewriting spec section:", error);
+      throw error;
+    }
+  }
+
   /**
    * Generate specification for a cluster of related feedback
    */
@@ -311,6 +532,7 @@ Create specific, actionable items that can be implemented by a development team.
         temperature: 0.4,
         userId,
         context: "Action items generation",
+        responseFormat: "json",
       });
 
       const actionItems = this.client.parseJsonResponse(response, {
@@ -39,4 +39,20 @@ export async function getAuthenticatedUser() {
   }
   
   return user;
-}
\ No newline at end of file
+}
+/**
+ * Checks that a request comes from the scheduler (Vercel Cron sends
+ * `Authorization: Bearer $CRON_SECRET`). Without CRON_SECRET only local
+ * development requests are accepted.
+ * @param {Request} request
+ * @returns {boolean}
+ */
+export function isAuthorizedCronRequest(request) {
+  const secret = process.env.CRON_SECRET;
+
+  if (!secret) {
+    return process.env.NODE_ENV === "development";
+  }
+
+  return request.headers.get("authorization") === `Bearer ${secret}`;
+}
@@ -0,0 +1,256 @@
+/**
+ * Bulk actions on feedback (POST /api/feedback/batch)
+ *
+ * One request changes many selected items: field changes are saved with
+ * DatabaseUtils.batchUpdate and status changes are recorded in the triage
+ * history. The route refreshes the clusters once for the whole batch instead
+ * of once per item, and queues the jobs for re-analysis and combined specs.
+ */
+
+import { feedbackDB, formatFeedback } from "../database/db-utils.js";
+import { feedbackClusterer } from "../ai/feedback-clusterer.js";
+import { resolveSpecTemplate } from "../spec-templates/index.js";
+import { linkDuplicates } from "../duplicates/index.js";
+import {
+  AppError,
+  ERROR_CODES,
+  createDatabaseError,
+  createValidationError,
+} from "../errors/error-handler.js";
+import { FEEDBACK_STATUSES, feedbackStatus } from "../feedback-filters.js";
+import { recordStatusChanges, resolveTriageStatus } from "../triage/index.js";
+import { VALIDATION_PATTERNS, VALIDATION_RULES } from "../validation/validators.js";
+
+export const MAX_BATCH_SIZE = 200;
+
+const PRIORITIES = VALIDATION_RULES.feedback.priority.enum;
+const CATEGORIES = VALIDATION_RULES.feedback.category.enum;
+const TAG_MAX_LENGTH = VALIDATION_RULES.feedback.tags.itemMaxLength;
+
+// Actions that change raw_feedback columns, with the change for one row
+const UPDATE_ACTIONS = {
+  mark_processed: (row) => resolveTriageStatus(row, { processed: true }),
+  set_status: (row, { status }) => resolveTriageStatus(row, { status }),
+  set_priority: (row, { priority }) => ({ metadata: { ...(row.metadata || {}), priority } }),
+  set_category: (row, { category }) => ({ metadata: { ...(row.metadata || {}), category } }),
+  add_tags: (row, { tags }) => {
+    const current = row.metadata?.tags || [];
+    return { metadata: { ...(row.metadata || {}), tags: [...current, ...tags.filter((tag) => !current.includes(tag))] } };
+  },
+  remove_tags: (row, { tags }) => ({
+    metadata: { ...(row.metadata || {}), tags: (row.metadata?.tags || []).filter((tag) => !tags.includes(tag)) },
+  }),
+};
+
+export const BATCH_ACTIONS = [
+  ...Object.keys(UPDATE_ACTIONS),
+  "merge_cluster",
+  "merge_duplicates",
+  "delete",
+  "reanalyze",
+  "generate_spec",
+];
+
+function validateTags(tags, errors) {
+  if (!Array.isArray(tags) || tags.length === 0) {
+    errors.push("Tags must be a non-empty array");
+    return [];
+  }
+  const cleaned = [...new Set(tags.map((tag) => (typeof tag === "string" ? tag.trim() : "")))];
+  if (cleaned.some((tag) => !tag || tag.length > TAG_MAX_LENGTH)) {
+    errors.push(`Tags must be 1-${TAG_MAX_LENGTH} characters`);
+  }
+  return cleaned;
+}
+
+/**
+ * Validate a bulk request: { ids, action, status?, priority?, category?, tags?, clusterId?, title?, templateId? }
+ * @returns {{ids: string[], action: string, params: Object}}
+ */
+export function validateBatchRequest(body) {
+  const errors = [];
+  const params = {};
+  const { action } = body;
+
+  if (!Array.isArray(body.ids) || body.ids.length === 0) {
+    errors.push("ids must be a non-empty array of feedback IDs");
+  } else if (body.ids.length > MAX_BATCH_SIZE) {
+    errors.push(`At most ${MAX_BATCH_SIZE} feedback items can be changed at once`);
+  } else if (!body.ids.every((id) => typeof id === "string" && VALIDATION_PATTERNS.UUID.test(id))) {
+    errors.push("ids must be feedback IDs");
+  }
+
+  if (!BATCH_ACTIONS.includes(action)) {
+    errors.push(`Action must be one of: ${BATCH_ACTIONS.join(", ")}`);
+  }
+
+  if (action === "set_status") {
+    if (!FEEDBACK_STATUSES.includes(body.status)) errors.push(`Status must be one of: ${FEEDBACK_STATUSES.join(", ")}`);
+    params.status = body.status;
+  }
+  if (action === "set_priority") {
+    if (!PRIORITIES.includes(body.priority)) errors.push(`Priority must be one of: ${PRIORITIES.join(", ")}`);
+    params.priority = body.priority;
+  }
+  if (action === "set_category") {
+    if (!CATEGORIES.includes(body.category)) errors.push(`Category must be one of: ${CATEGORIES.join(", ")}`);
+    params.category = body.category;
+  }
+  if (action === "add_tags" || action === "remove_tags") {
+    params.tags = validateTags(body.tags, errors);
+  }
+  if (action === "merge_cluster") {
+    if (typeof body.clusterId !== "string" || !VALIDATION_PATTERNS.UUID.test(body.clusterId)) {
+      errors.push("clusterId must be a cluster ID");
+    }
+    params.clusterId = body.clusterId;
+  }
+  if (action === "generate_spec" && body.title !== undefined) {
+    const title = typeof body.title === "string" ? body.title.trim() : "";
+    if (title.length < 1 || title.length > 100) errors.push("Title must be 1-100 characters");
+    params.title = title;
+  }
+  // Checked when the template is resolved
+  if (action === "generate_spec" && body.templateId !== undefined) {
+    params.templateId = body.templateId;
+  }
+
+  if (errors.length > 0) {
+    throw createValidationError(errors.join(", "), errors);
+  }
+
+  return { ids: [...new Set(body.ids)], action, params };
+}
+
+async function loadRows(supabase, userId, ids) {
+  const { data, error } = await supabase
+    .from("raw_feedback")
+    .select("id, content, metadata, status, processed, duplicate_of, duplicate_count, created_at")
+    .eq("user_id", userId)
+    .in("id", ids);
+
+  if (error) {
+    throw createDatabaseError("Failed to read feedback", error.message);
+  }
+
+  // Selection order, e.g. for the spec's feedback list
+  const rowById = new Map((data || []).map((row) => [row.id, row]));
+  return ids.map((id) => rowById.get(id)).filter(Boolean);
+}
+
+async function updateRows(userId, rows, action, params) {
+  const now = new Date().toISOString();
+  const updates = rows.map((row) => ({ id: row.id, ...UPDATE_ACTIONS[action](row, params), updated_at: now }));
+
+  const saved = await feedbackDB.instance.batchUpdate("raw_feedback", updates, userId, `Bulk ${action}`);
+  return { saved, updates };
+}
+
+/**
+ * Id of the item the others are merged into: the selected canonical item
+ * reported most (then the oldest), or the canonical item of the first
+ * selected duplicate when only duplicates were selected
+ */
+function mergeTargetId(rows) {
+  const [target] = rows
+    .filter((row) => !row.duplicate_of)
+    .sort(
+      (a, b) =>
+        (b.duplicate_count || 0) - (a.duplicate_count || 0) || new Date(a.created_at) - new Date(b.created_at)
+    );
+  return target ? target.id : rows[0].duplicate_of;
+}
+
+/**
+ * Run a validated bulk action on the user's feedback. IDs that don't exist
+ * (or aren't the user's) are reported in `missing`, items whose update failed
+ * in `failed`.
+ * @returns {Promise<Object>} { action, requested, succeeded, missing, failed, feedback?, feedbackIds?, spec?, cluster?, canonicalId?, refreshClusters }
+ */
+export async function runBatchAction(supabase, userId, { ids, action, params }) {
+  const rows = await loadRows(supabase, userId, ids);
+  if (rows.length === 0) {
+    throw new AppError(ERROR_CODES.RECORD_NOT_FOUND, "None of the selected feedback was found");
+  }
+
+  const found = new Set(rows.map((row) => row.id));
+  const result = {
+    action,
+    requested: ids.length,
+    succeeded: 0,
+    missing: ids.filter((id) => !found.has(id)),
+    failed: [],
+    refreshClusters: false,
+  };
+
+  if (UPDATE_ACTIONS[action]) {
+    const { saved, updates } = await updateRows(userId, rows, action, params);
+    const savedIds = new Set(saved.map((row) => row.id));
+
+    const statusChanges = rows
+      .map((row, index) => ({ feedbackId: row.id, fromStatus: feedbackStatus(row), toStatus: updates[index].status }))
+      .filter((change) => savedIds.has(change.feedbackId) && change.toStatus && change.toStatus !== change.fromStatus);
+    await recordStatusChanges(supabase, userId, statusChanges);
+
+    return {
+      ...result,
+      succeeded: saved.length,
+      failed: rows.filter((row) => !savedIds.has(row.id)).map((row) => row.id),
+      feedback: saved.map(formatFeedback),
+      refreshClusters: true,
+    };
+  }
+
+  if (action === "delete") {
+    const { data, error } = await supabase
+      .from("raw_feedback")
+      .delete()
+      .eq("user_id", userId)
+      .in("id", [...found])
+      .select("id");
+
+    if (error) {
+      throw createDatabaseError("Failed to delete feedback", error.message);
+    }
+
+    return { ...result, succeeded: (data || []).length, deleted: (data || []).map((row) => row.id), refreshClusters: true };
+  }
+
+  if (action === "merge_cluster") {
+    const cluster = await feedbackClusterer.moveToCluster(supabase, userId, params.clusterId, [...found]);
+    return { ...result, succeeded: found.size, cluster };
+  }
+
+  if (action === "merge_duplicates") {
+    if (rows.length < 2) {
+      throw createValidationError("Select at least 2 feedback items to merge");
+    }
+    const targetId = mergeTargetId(rows);
+    const duplicates = await linkDuplicates(
+      supabase,
+      userId,
+      targetId,
+      rows.filter((row) => row.id !== targetId).map((row) => row.id)
+    );
+    return {
+      ...result,
+      succeeded: found.size,
+      feedback: duplicates.linked,
+      canonicalId: duplicates.canonicalId,
+    };
+  }
+
+  if (action === "generate_spec") {
+    // Unknown templates fail here rather than in the job
+    const template = await resolveSpecTemplate(supabase, userId, params.templateId);
+    return {
+      ...result,
+      succeeded: rows.length,
+      feedbackIds: rows.map((row) => row.id),
+      spec: { theme: params.title || `${rows.length} selected feedback items`, templateId: template?.id || null },
+    };
+  }
+
+  // reanalyze: the route queues the analysis jobs
+  return { ...result, succeeded: found.size, feedbackIds: [...found] };
+}
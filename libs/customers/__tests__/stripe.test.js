@@ -0,0 +1,113 @@
+import { customersFromSubscriptions, monthlyAmount } from "../index.js";
+
+const stripeCustomer = (id, email, name = null) => ({ id, object: "customer", email, name });
+
+const price = (id, unitAmount, interval = "month", extra = {}) => ({
+  id,
+  unit_amount: unitAmount,
+  recurring: { interval, interval_count: 1 },
+  ...extra,
+});
+
+const subscription = (customer, items, overrides = {}) => ({
+  customer,
+  status: "active",
+  currency: "usd",
+  cancel_at_period_end: false,
+  items: { data: items },
+  ...overrides,
+});
+
+describe("monthlyAmount", () => {
+  it("converts prices to monthly major units", () => {
+    expect(monthlyAmount({ price: price("p", 2500), quantity: 2 })).toBe(50);
+    expect(monthlyAmount({ price: price("p", 120000, "year") })).toBe(100);
+  });
+});
+
+describe("customersFromSubscriptions", () => {
+  const acme = stripeCustomer("cus_1", "Ana@Acme.com", "Acme");
+
+  it("sums the MRR and seats of a customer's billed subscriptions", () => {
+    const rows = customersFromSubscriptions([
+      subscription(acme, [{ price: price("price_pro", 4900, "month", { nickname: "Pro" }), quantity: 3 }]),
+      subscription(acme, [{ price: price("price_addon", 1000), quantity: 1 }], { status: "past_due" }),
+    ]);
+
+    expect(rows).toEqual([
+      {
+        email: "ana@acme.com",
+        domain: "acme.com",
+        name: "Acme",
+        source: "stripe",
+        external_id: "cus_1",
+        plan: "Pro",
+        mrr: 157,
+        account_size: 4,
+        churn_risk: "high",
+        metadata: { currency: "usd", subscription_status: "active" },
+      },
+    ]);
+  });
+
+  it("gives customers without a billed subscription no plan and zero MRR", () => {
+    const rows = customersFromSubscriptions([
+      subscription(stripeCustomer("cus_2", "bo@globex.com"), [{ price: price("p", 9900), quantity: 1 }], {
+        status: "canceled",
+      }),
+    ]);
+
+    expect(rows).toEqual([
+      expect.objectContaining({
+        email: "bo@globex.com",
+        plan: null,
+        mrr: 0,
+        account_size: 0,
+        churn_risk: "high",
+        metadata: { currency: null, subscription_status: "canceled" },
+      }),
+    ]);
+  });
+
+  it("keeps a billed subscription over a cancelled one in either order", () => {
+    const cancelled = subscription(acme, [{ price: price("old", 1000), quantity: 1 }], { status: "canceled" });
+    const active = subscription(acme, [{ price: price("new", 2000), quantity: 1 }]);
+
+    [
+      [cancelled, active],
+      [active, cancelled],
+    ].forEach((subscriptions) => {
+      const rows = customersFromSubscriptions(subscriptions);
+      expect(rows).toHaveLength(1);
+      expect(rows[0]).toMatchObject({ plan: "new", mrr: 20, churn_risk: "low" });
+    });
+  });
+
+  it("refuses billed subscriptions in several currencies", () => {
+    expect(() =>
+      customersFromSubscriptions([
+        subscription(acme, [{ price: price("p", 1000), quantity: 1 }]),
+        subscription(stripeCustomer("cus_3", "cy@initech.com"), [{ price: price("p", 1000), quantity: 1 }], {
+          currency: "EUR",
+        }),
+      ])
+    ).toThrow("Stripe subscriptions are billed in usd, eur; MRR can only be synced in one currency");
+  });
+
+  it("ignores the currency of subscriptions that aren't billed", () => {
+    const rows = customersFromSubscriptions([
+      subscription(acme, [{ price: price("p", 1000), quantity: 1 }]),
+      subscription(stripeCustomer("cus_3", "cy@initech.com"), [], { status: "canceled", currency: "eur" }),
+    ]);
+    expect(rows.map((row) => row.mrr)).toEqual([10, 0]);
+  });
+
+  it("skips deleted customers and customers without an email", () => {
+    const rows = customersFromSubscriptions([
+      subscription({ id: "cus_4", deleted: true }, []),
+      subscription(stripeCustomer("cus_5", null), []),
+      subscription("cus_6", []),
+    ]);
+    expect(rows).toEqual([]);
+  });
+});
@@ -0,0 +1,624 @@
+/**
+ * Customers of the user's product (customers, CUSTOMERS_TABLE.sql)
+ *
+ * A customer has a plan, MRR, account size and churn risk, and is added by
+ * hand, imported from a CSV/JSON file or synced from the user's Stripe account
+ * (a 'stripe' integration holding a restricted API key). Customers are keyed by
+ * email, or by domain for company-wide accounts, so importing or syncing again
+ * updates them.
+ *
+ * Feedback is matched to a customer by the reporter's email and otherwise by
+ * its company domain - free mail domains never match a company.
+ */
+
+import Stripe from "stripe";
+import {
+  AppError,
+  ERROR_CODES,
+  createDatabaseError,
+  createExternalServiceError,
+  createValidationError,
+} from "../errors/error-handler.js";
+import { VALIDATION_PATTERNS } from "../validation/validators.js";
+
+export const CHURN_RISKS = ["low", "medium", "high"];
+export const CUSTOMER_SOURCES = ["manual", "import", "stripe"];
+
+export const MAX_IMPORT_CUSTOMERS = 1000;
+
+// Customers loaded to match feedback against
+const MAX_CUSTOMERS = 10000;
+
+// Subscriptions read by one Stripe sync
+const MAX_STRIPE_SUBSCRIPTIONS = 5000;
+
+const UPSERT_BATCH_SIZE = 500;
+
+// Subscriptions that still bring in revenue
+const BILLED_STATUSES = ["active", "trialing", "past_due", "unpaid"];
+
+export const CUSTOMER_COLUMNS =
+  "id, email, domain, name, plan, mrr, account_size, churn_risk, source, external_id, metadata, created_at, updated_at";
+
+const FREE_EMAIL_DOMAINS = new Set([
+  "gmail.com", "googlemail.com", "yahoo.com", "yahoo.co.uk", "hotmail.com", "outlook.com", "live.com",
+  "msn.com", "icloud.com", "me.com", "mac.com", "aol.com", "proton.me", "protonmail.com", "gmx.com",
+  "gmx.de", "yandex.ru", "yandex.com", "mail.ru", "zoho.com", "fastmail.com", "hey.com",
+]);
+
+const DOMAIN = /^(?=.{3,253}$)([a-z0-9](?:[a-z0-9-]*[a-z0-9])?\.)+[a-z]{2,}$/;
+
+// Import column names that hold each field, compared lowercased without spaces/underscores
+const IMPORT_COLUMN_ALIASES = {
+  email: ["email", "customeremail", "billingemail", "contactemail"],
+  domain: ["domain", "website", "companydomain", "url"],
+  name: ["name", "company", "companyname", "customer", "customername", "account", "accountname"],
+  plan: ["plan", "tier", "subscription", "planname", "product"],
+  mrr: ["mrr", "monthlyrevenue", "revenue", "monthlyrecurringrevenue", "amount"],
+  accountSize: ["accountsize", "seats", "users", "employees", "size", "licenses"],
+  churnRisk: ["churnrisk", "risk", "health", "churn"],
+};
+
+function cleanText(value, max) {
+  if (value === undefined || value === null) return null;
+  const text = String(value).trim();
+  return text ? text.slice(0, max) : null;
+}
+
+/**
+ * Lowercased address of an email or "Name <email>" sender, or null
+ */
+export function normalizeEmail(value) {
+  const match = typeof value === "string" ? value.match(/[^\s<>"]+@[^\s<>"]+\.[^\s<>"]+/) : null;
+  return match ? match[0].toLowerCase() : null;
+}
+
+/**
+ * Company domain of an email address (null for free mail providers)
+ */
+export function companyDomain(email) {
+  const domain = normalizeEmail(email)?.split("@")[1];
+  return domain && !FREE_EMAIL_DOMAINS.has(domain) ? domain : null;
+}
+
+// "https://www.Acme.com/pricing" → "acme.com"
+function normalizeDomain(value) {
+  const text = cleanText(value, 300);
+  if (!text) return null;
+  return text.toLowerCase().replace(/^[a-z]+:\/\//, "").replace(/^www\./, "").split(/[/?#:]/)[0];
+}
+
+// "$1,200.50" → 1200.5
+function parseAmount(value) {
+  if (typeof value === "number") return value;
+  const text = cleanText(value, 50);
+  if (!text) return null;
+  return Number(text.replace(/[^\d.-]/g, ""));
+}
+
+/**
+ * Validate a customer from the dashboard or an import record
+ * @param {Object} options
+ * @param {boolean} options.partial - only validate the fields that were sent (updates)
+ * @returns {Object} Columns to save
+ */
+export function validateCustomer(data, { partial = false } = {}) {
+  const errors = [];
+  const row = {};
+
+  if (!partial || data.email !== undefined) {
+    const email = cleanText(data.email, 320);
+    if (email && !VALIDATION_PATTERNS.EMAIL.test(email)) errors.push("Email must be a valid email address");
+    row.email = email ? email.toLowerCase() : null;
+  }
+
+  if (!partial || data.domain !== undefined) {
+    const domain = normalizeDomain(data.domain);
+    if (domain && !DOMAIN.test(domain)) errors.push("Domain must look like example.com");
+    row.domain = domain;
+  }
+
+  if (!partial && !row.email && !row.domain) {
+    errors.push("Email or domain is required");
+  }
+
+  if (!partial || data.name !== undefined) row.name = cleanText(data.name, 200);
+  if (!partial || data.plan !== undefined) row.plan = cleanText(data.plan, 100);
+
+  if (!partial || data.mrr !== undefined) {
+    const mrr = parseAmount(data.mrr) ?? 0;
+    if (!Number.isFinite(mrr) || mrr < 0 || mrr > 10000000000) {
+      errors.push("MRR must be a non-negative amount");
+    }
+    row.mrr = Math.round(mrr * 100) / 100;
+  }
+
+  if (!partial || data.accountSize !== undefined) {
+    const size = parseAmount(data.accountSize);
+    if (size !== null && (!Number.isInteger(size) || size < 0)) {
+      errors.push("Account size must be a non-negative whole number");
+    }
+    row.account_size = size;
+  }
+
+  if (!partial || data.churnRisk !== undefined) {
+    const risk = cleanText(data.churnRisk, 20)?.toLowerCase() || "low";
+    if (!CHURN_RISKS.includes(risk)) errors.push(`Churn risk must be one of: ${CHURN_RISKS.join(", ")}`);
+    row.churn_risk = risk;
+  }
+
+  if (errors.length > 0) {
+    throw createValidationError(errors.join(", "), errors);
+  }
+
+  // Without a domain of its own, a company email's domain is the account's
+  if (row.email && !partial && !row.domain) {
+    row.domain = companyDomain(row.email);
+  }
+
+  return row;
+}
+
+/**
+ * The key imports and syncs update a customer by
+ */
+export function customerKey(row) {
+  return row.email || row.domain;
+}
+
+/**
+ * customers row → the shape the dashboard works with
+ */
+export function formatCustomer(row) {
+  return {
+    id: row.id,
+    email: row.email,
+    domain: row.domain,
+    name: row.name,
+    plan: row.plan,
+    mrr: Number(row.mrr) || 0,
+    accountSize: row.account_size ?? null,
+    churnRisk: row.churn_risk || "low",
+    source: row.source,
+    externalId: row.external_id || null,
+    metadata: row.metadata || {},
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+/**
+ * Insert or update customers by their key
+ * @param {Array} rows - validated rows (validateCustomer) with source/external_id
+ * @returns {Promise<Array>} The saved customers, formatted
+ */
+export async function upsertCustomers(supabase, userId, rows) {
+  const now = new Date().toISOString();
+  const byKey = new Map(
+    rows.map((row) => [customerKey(row), { ...row, user_id: userId, customer_key: customerKey(row), updated_at: now }])
+  );
+  const unique = [...byKey.values()];
+  const saved = [];
+
+  for (let i = 0; i < unique.length; i += UPSERT_BATCH_SIZE) {
+    const { data, error } = await supabase
+      .from("customers")
+      .upsert(unique.slice(i, i + UPSERT_BATCH_SIZE), { onConflict: "user_id,customer_key" })
+      .select(CUSTOMER_COLUMNS);
+
+    if (error) {
+      throw createDatabaseError("Failed to save customers", error.message);
+    }
+    saved.push(...(data || []));
+  }
+
+  return saved.map(formatCustomer);
+}
+
+/**
+ * Update a customer's fields (validateCustomer with partial), keeping its key
+ * in step with its email/domain
+ * @returns {Promise<Object>} The customer, formatted
+ */
+export async function updateCustomer(supabase, userId, customerId, data) {
+  const update = validateCustomer(data, { partial: true });
+
+  const { data: current, error: readError } = await supabase
+    .from("customers")
+    .select("id, email, domain")
+    .eq("id", customerId)
+    .eq("user_id", userId)
+    .maybeSingle();
+
+  if (readError) {
+    throw createDatabaseError("Failed to read customer", readError.message);
+  }
+  if (!current) {
+    throw new AppError(ERROR_CODES.RECORD_NOT_FOUND, "Customer not found");
+  }
+
+  const merged = { ...current, ...update };
+  if (!merged.email && !merged.domain) {
+    throw createValidationError("Email or domain is required");
+  }
+
+  const { data: saved, error } = await supabase
+    .from("customers")
+    .update({ ...update, customer_key: customerKey(merged), updated_at: new Date().toISOString() })
+    .eq("id", customerId)
+    .eq("user_id", userId)
+    .select(CUSTOMER_COLUMNS)
+    .single();
+
+  if (error) {
+    if (error.code === "23505") {
+      throw createValidationError("Another customer has this email or domain");
+    }
+    throw createDatabaseError("Failed to update customer", error.message);
+  }
+
+  return formatCustomer(saved);
+}
+
+/**
+ * Delete a customer; its feedback keeps its score until the next scoring run
+ */
+export async function deleteCustomer(supabase, userId, customerId) {
+  const { data, error } = await supabase
+    .from("customers")
+    .delete()
+    .eq("id", customerId)
+    .eq("user_id", userId)
+    .select("id");
+
+  if (error) {
+    throw createDatabaseError("Failed to delete customer", error.message);
+  }
+  if (!data || data.length === 0) {
+    throw new AppError(ERROR_CODES.RECORD_NOT_FOUND, "Customer not found");
+  }
+}
+
+// Import record → validateCustomer input, finding each field by its usual column names
+function mapImportRecord(record) {
+  const columns = new Map(
+    Object.entries(record || {}).map(([column, value]) => [column.toLowerCase().replace(/[\s_-]/g, ""), value])
+  );
+  const input = {};
+
+  Object.entries(IMPORT_COLUMN_ALIASES).forEach(([field, aliases]) => {
+    const column = aliases.find((alias) => columns.has(alias));
+    if (column) input[field] = columns.get(column);
+  });
+
+  return input;
+}
+
+/**
+ * Import customer records (parsed CSV/JSON rows). Columns are recognized by
+ * name (email, domain, company, plan, mrr, seats, churn_risk, ...); invalid
+ * records are reported and skipped.
+ * @param {number} options.offset - row number of the first record, for error messages
+ * @returns {Promise<{customers: Array, errors: Array<{row: number, message: string}>}>}
+ */
+export async function importCustomers(supabase, userId, records, { offset = 0 } = {}) {
+  if (!Array.isArray(records) || records.length === 0) {
+    throw createValidationError("records must be a non-empty array");
+  }
+  if (records.length > MAX_IMPORT_CUSTOMERS) {
+    throw createValidationError(`At most ${MAX_IMPORT_CUSTOMERS} customers can be imported at once`);
+  }
+
+  const rows = [];
+  const errors = [];
+  records.forEach((record, index) => {
+    try {
+      rows.push({ ...validateCustomer(mapImportRecord(record)), source: "import" });
+    } catch (error) {
+      errors.push({ row: offset + index + 1, message: error.message });
+    }
+  });
+
+  const customers = rows.length > 0 ? await upsertCustomers(supabase, userId, rows) : [];
+  return { customers, errors };
+}
+
+/**
+ * All of a user's customers (up to MAX_CUSTOMERS), highest MRR first
+ */
+export async function loadCustomers(supabase, userId) {
+  const { data, error } = await supabase
+    .from("customers")
+    .select(CUSTOMER_COLUMNS)
+    .eq("user_id", userId)
+    .order("mrr", { ascending: false })
+    .limit(MAX_CUSTOMERS);
+
+  if (error) {
+    throw createDatabaseError("Failed to load customers", error.message);
+  }
+  return data || [];
+}
+
+/**
+ * Lookup of customer rows by email and by domain (the highest MRR account
+ * wins when several share a domain)
+ */
+export function buildCustomerIndex(customers) {
+  const byEmail = new Map();
+  const byDomain = new Map();
+
+  customers.forEach((customer) => {
+    if (customer.email) byEmail.set(customer.email, customer);
+    if (customer.domain) {
+      const current = byDomain.get(customer.domain);
+      if (!current || Number(customer.mrr) > Number(current.mrr)) byDomain.set(customer.domain, customer);
+    }
+  });
+
+  return { byEmail, byDomain };
+}
+
+/**
+ * Customer row of a reporter's email (or "Name <email>" sender), or null
+ */
+export function matchCustomer(index, email) {
+  const address = normalizeEmail(email);
+  if (!address) return null;
+
+  const domain = companyDomain(address);
+  return index.byEmail.get(address) || (domain && index.byDomain.get(domain)) || null;
+}
+
+async function getStripeIntegration(supabase, userId) {
+  const { data, error } = await supabase
+    .from("integrations")
+    .select("id, access_token, config, status, last_sync")
+    .eq("user_id", userId)
+    .eq("platform", "stripe")
+    .maybeSingle();
+
+  if (error) {
+    throw createDatabaseError("Failed to read Stripe integration", error.message);
+  }
+  return data;
+}
+
+function stripeError(error) {
+  if (error.type === "StripeAuthenticationError") {
+    return createValidationError("Invalid Stripe API key");
+  }
+  if (error.type === "StripePermissionError") {
+    return createValidationError("The Stripe key can't read customers and subscriptions");
+  }
+  return createExternalServiceError("stripe", `Stripe request failed: ${error.message}`);
+}
+
+/**
+ * Check a Stripe key (read access to subscriptions) and save it as the user's
+ * 'stripe' integration
+ * @returns {Promise<Object>} The integration, without the key
+ */
+export async function connectStripe(supabase, userId, apiKey) {
+  const key = typeof apiKey === "string" ? apiKey.trim() : "";
+  if (!/^(sk|rk)_(live|test)_\w+$/.test(key)) {
+    throw createValidationError("Enter a Stripe secret or restricted key (sk_... or rk_...)");
+  }
+
+  try {
+    await new Stripe(key).subscriptions.list({ limit: 1 });
+  } catch (error) {
+    throw stripeError(error);
+  }
+
+  const now = new Date().toISOString();
+  const { data, error } = await supabase
+    .from("integrations")
+    .upsert(
+      {
+        user_id: userId,
+        platform: "stripe",
+        status: "connected",
+        access_token: key,
+        config: { livemode: key.includes("_live_") },
+        updated_at: now,
+      },
+      { onConflict: "user_id,platform" }
+    )
+    .select("id, platform, status, config, last_sync")
+    .single();
+
+  if (error) {
+    throw createDatabaseError("Failed to save Stripe integration", error.message);
+  }
+  return data;
+}
+
+/**
+ * Remove the Stripe key; synced customers stay
+ */
+export async function disconnectStripe(supabase, userId) {
+  const { error } = await supabase
+    .from("integrations")
+    .delete()
+    .eq("user_id", userId)
+    .eq("platform", "stripe");
+
+  if (error) {
+    throw createDatabaseError("Failed to disconnect Stripe", error.message);
+  }
+}
+
+/**
+ * Stripe connection status for the dashboard (the key never leaves the server)
+ */
+export async function getStripeStatus(supabase, userId) {
+  const integration = await getStripeIntegration(supabase, userId);
+  return {
+    connected: integration?.status === "connected",
+    livemode: !!integration?.config?.livemode,
+    lastSync: integration?.last_sync || null,
+  };
+}
+
+// Monthly amount of a subscription item, in major currency units
+export function monthlyAmount(item) {
+  const price = item.price || {};
+  const unitAmount = Number(price.unit_amount ?? price.unit_amount_decimal) || 0;
+  const total = (unitAmount * (item.quantity ?? 1)) / 100;
+  const interval = price.recurring?.interval || "month";
+  const count = price.recurring?.interval_count || 1;
+  const perMonth = { day: 365 / 12, week: 52 / 12, month: 1, year: 1 / 12 }[interval] ?? 1;
+  return (total * perMonth) / count;
+}
+
+function subscriptionChurnRisk(subscription) {
+  if (["past_due", "unpaid"].includes(subscription.status) || subscription.cancel_at_period_end) return "high";
+  if (subscription.status === "trialing") return "medium";
+  return "low";
+}
+
+/**
+ * Stripe subscriptions → customer rows: MRR summed over each customer's billed
+ * subscriptions (monthly, before discounts), the plan of its largest item and
+ * the worst churn risk. Customers whose subscriptions are all cancelled or
+ * ended get a row with no plan and zero MRR. MRR is only comparable in one
+ * currency, so billed subscriptions in several currencies are refused.
+ */
+export function customersFromSubscriptions(subscriptions) {
+  const riskRank = { low: 0, medium: 1, high: 2 };
+  const customers = new Map();
+  const billedEmails = new Set();
+
+  const currencies = [
+    ...new Set(
+      subscriptions
+        .filter((subscription) => BILLED_STATUSES.includes(subscription.status))
+        .map((subscription) => subscription.currency?.toLowerCase())
+        .filter(Boolean)
+    ),
+  ];
+  if (currencies.length > 1) {
+    throw createValidationError(
+      `Stripe subscriptions are billed in ${currencies.join(", ")}; MRR can only be synced in one currency`
+    );
+  }
+
+  subscriptions.forEach((subscription) => {
+    const stripeCustomer = typeof subscription.customer === "object" ? subscription.customer : null;
+    if (!stripeCustomer || stripeCustomer.deleted) return;
+
+    const email = normalizeEmail(stripeCustomer.email);
+    if (!email) return;
+
+    const customer = {
+      email,
+      domain: companyDomain(email),
+      name: cleanText(stripeCustomer.name, 200),
+      source: "stripe",
+      external_id: stripeCustomer.id,
+    };
+
+    if (!BILLED_STATUSES.includes(subscription.status)) {
+      if (!customers.has(email)) {
+        customers.set(email, {
+          ...customer,
+          plan: null,
+          mrr: 0,
+          account_size: 0,
+          churn_risk: "high",
+          metadata: { currency: null, subscription_status: subscription.status },
+        });
+      }
+      return;
+    }
+
+    const items = subscription.items?.data || [];
+    const largest = [...items].sort((a, b) => monthlyAmount(b) - monthlyAmount(a))[0];
+    const mrr = items.reduce((sum, item) => sum + monthlyAmount(item), 0);
+    const seats = items.reduce((sum, item) => sum + (item.quantity || 0), 0);
+    const risk = subscriptionChurnRisk(subscription);
+
+    if (billedEmails.has(email)) {
+      const current = customers.get(email);
+      current.mrr += mrr;
+      current.account_size += seats;
+      if (riskRank[risk] > riskRank[current.churn_risk]) current.churn_risk = risk;
+      return;
+    }
+
+    billedEmails.add(email);
+    customers.set(email, {
+      ...customer,
+      plan: cleanText(largest?.price?.nickname || largest?.price?.lookup_key || largest?.price?.id, 100),
+      mrr,
+      account_size: seats,
+      churn_risk: risk,
+      metadata: { currency: subscription.currency || null, subscription_status: subscription.status },
+    });
+  });
+
+  return [...customers.values()].map((row) => ({ ...row, mrr: Math.round(row.mrr * 100) / 100 }));
+}
+
+/**
+ * Read the user's Stripe subscriptions and save their customers
+ * @returns {Promise<{customers: Array, ended: number, subscriptions: number, truncated: boolean}>}
+ */
+export async function syncStripeCustomers(supabase, userId) {
+  const integration = await getStripeIntegration(supabase, userId);
+  if (integration?.status !== "connected" || !integration.access_token) {
+    throw new AppError(ERROR_CODES.RECORD_NOT_FOUND, "Stripe is not connected");
+  }
+
+  const stripe = new Stripe(integration.access_token);
+  const subscriptions = [];
+  try {
+    for await (const subscription of stripe.subscriptions.list({ status: "all", limit: 100, expand: ["data.customer"] })) {
+      subscriptions.push(subscription);
+      if (subscriptions.length >= MAX_STRIPE_SUBSCRIPTIONS) break;
+    }
+  } catch (error) {
+    throw stripeError(error);
+  }
+
+  const truncated = subscriptions.length >= MAX_STRIPE_SUBSCRIPTIONS;
+  const syncedAt = new Date().toISOString();
+  const customers = await upsertCustomers(supabase, userId, customersFromSubscriptions(subscriptions));
+
+  // Synced customers Stripe no longer lists (deleted, or without subscriptions)
+  // stop counting. Only a complete read shows who is missing.
+  let ended = 0;
+  if (!truncated) {
+    const { data: endedRows, error: endError } = await supabase
+      .from("customers")
+      .update({
+        plan: null,
+        mrr: 0,
+        churn_risk: "high",
+        metadata: { currency: null, subscription_status: "none" },
+        updated_at: syncedAt,
+      })
+      .eq("user_id", userId)
+      .eq("source", "stripe")
+      .gt("mrr", 0)
+      .lt("updated_at", syncedAt)
+      .select("id");
+
+    if (endError) {
+      throw createDatabaseError("Failed to update customers missing from Stripe", endError.message);
+    }
+    ended = endedRows?.length || 0;
+  }
+
+  const { error } = await supabase
+    .from("integrations")
+    .update({ last_sync: new Date().toISOString() })
+    .eq("id", integration.id);
+
+  if (error) {
+    console.warn("Failed to record Stripe sync time:", error.message);
+  }
+
+  return { customers, ended, subscriptions: subscriptions.length, truncated };
+}
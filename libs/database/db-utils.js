@@ -5,6 +5,10 @@ import {
   logErrorToMonitoring 
 } from "../errors/error-handler.js";
 import { validateUUID, validatePagination } from "../validation/validators.js";
+import { FEEDBACK_SORT_FIELDS, UNASSIGNED, feedbackDateRange, feedbackStatus } from "../feedback-filters.js";
+
+// Records updated at once by batchUpdate
+const BATCH_CHUNK_SIZE = 20;
 
 /**
  * Base database utility class with common operations
@@ -283,23 +287,26 @@ export class DatabaseUtils {
     });
 
     const results = [];
-    
-    // Execute updates in parallel (be careful with rate limits)
-    const updatePromises = updates.map(async (update) => {
-      const { id, ...data } = update;
-      return this.update(table, id, userId, data, `${context} - ID ${id}`);
-    });
 
-    const updateResults = await Promise.allSettled(updatePromises);
-    
-    updateResults.forEach((result, index) => {
-      if (result.status === "fulfilled") {
-        results.push(result.value);
-      } else {
-        console.error(`Batch update failed for record ${index}:`, result.reason);
-        // Continue with other updates
-      }
-    });
+    // Execute updates in parallel, a chunk at a time to stay clear of rate limits
+    for (let start = 0; start < updates.length; start += BATCH_CHUNK_SIZE) {
+      const chunk = updates.slice(start, start + BATCH_CHUNK_SIZE);
+      const updateResults = await Promise.allSettled(
+        chunk.map(async (update) => {
+          const { id, ...data } = update;
+          return this.update(table, id, userId, data, `${context} - ID ${id}`);
+        })
+      );
+
+      updateResults.forEach((result, index) => {
+        if (result.status === "fulfilled") {
+          results.push(result.value);
+        } else {
+          console.error(`Batch update failed for record ${start + index}:`, result.reason);
+          // Continue with other updates
+        }
+      });
+    }
 
     return results;
   }
@@ -370,6 +377,137 @@ export class DatabaseUtils {
   }
 }
 
+// Feedback columns sent to the client (embeddings stay server-side)
+export const FEEDBACK_COLUMNS =
+  "id, user_id, platform, source_id, content, metadata, processed, status, assignee, due_date, notes, " +
+  "duplicate_of, duplicate_score, duplicate_count, customer_id, priority_score, priority_factors, scored_at, " +
+  "ai_analysis, created_at, updated_at";
+
+/**
+ * raw_feedback row → the shape the dashboard works with
+ */
+export function formatFeedback(item) {
+  return {
+    id: item.id,
+    title: item.metadata?.title || "Untitled",
+    content: item.content,
+    source: item.platform || "unknown",
+    priority: item.metadata?.priority || "medium",
+    category: item.metadata?.category || "other",
+    userEmail: item.metadata?.userEmail || null,
+    tags: item.metadata?.tags || [],
+    submittedAt: item.created_at,
+    processed: item.processed,
+    status: feedbackStatus(item),
+    assignee: item.assignee || null,
+    dueDate: item.due_date || null,
+    notes: item.notes || null,
+    duplicateOf: item.duplicate_of || null,
+    duplicateScore: item.duplicate_score ?? null,
+    duplicateCount: item.duplicate_count || 0,
+    customerId: item.customer_id || null,
+    priorityScore: item.scored_at ? Number(item.priority_score) || 0 : null,
+    priorityFactors: item.priority_factors || null,
+    submittedBy: item.user_id,
+    metadata: item.metadata,
+    aiAnalysis: item.ai_analysis || null,
+  };
+}
+
+// Metadata fields with a default in formatFeedback: filtering on the default
+// also has to match rows where the field is missing
+const METADATA_DEFAULTS = { category: "other", priority: "medium" };
+
+function metadataFilter(query, field, value) {
+  const column = `metadata->>${field}`;
+  return value === METADATA_DEFAULTS[field]
+    ? query.or(`${column}.is.null,${column}.eq.${value}`)
+    : query.eq(column, value);
+}
+
+/**
+ * Feedback ids of a cluster, for the cluster filter
+ */
+export async function getClusterFeedbackIds(supabase, userId, clusterId) {
+  validateUUID(clusterId, "Cluster ID");
+
+  const { data: cluster, error } = await supabase
+    .from("feedback_clusters")
+    .select("feedback_ids")
+    .eq("id", clusterId)
+    .eq("user_id", userId)
+    .maybeSingle();
+
+  if (error) {
+    throw createDatabaseError("Failed to read cluster", error.message);
+  }
+
+  return cluster?.feedback_ids || [];
+}
+
+/**
+ * Apply the dashboard's feedback filters (libs/feedback-filters.js) to a
+ * raw_feedback query, so they run in the database instead of the browser.
+ * The cluster filter needs the cluster's ids (getClusterFeedbackIds).
+ */
+export function applyFeedbackFilters(query, filters, { clusterFeedbackIds = null } = {}) {
+  if (filters.search) {
+    // Quoted for PostgREST; quotes and backslashes become single-character wildcards
+    const term = filters.search.replace(/["\\]/g, "_");
+    query = query.or(
+      ["content", "metadata->>title", "metadata->>tags"].map((column) => `${column}.ilike."%${term}%"`).join(",")
+    );
+  }
+
+  if (filters.category !== "all") query = metadataFilter(query, "category", filters.category);
+  if (filters.priority !== "all") query = metadataFilter(query, "priority", filters.priority);
+
+  if (filters.source === "unknown") {
+    query = query.is("platform", null);
+  } else if (filters.source !== "all") {
+    query = query.eq("platform", filters.source);
+  }
+
+  if (filters.processed !== "all") query = query.eq("processed", filters.processed === "processed");
+  if (filters.status && filters.status !== "all") query = query.eq("status", filters.status);
+  if (filters.assignee === UNASSIGNED) {
+    query = query.is("assignee", null);
+  } else if (filters.assignee) {
+    query = query.eq("assignee", filters.assignee);
+  }
+  if (filters.duplicates === "canonical") query = query.is("duplicate_of", null);
+  if (filters.duplicates === "merged") query = query.not("duplicate_of", "is", null);
+  if (filters.sentiment && filters.sentiment !== "all") query = query.eq("ai_analysis->>sentiment", filters.sentiment);
+  if (filters.customer === "paying") query = query.gt("priority_factors->mrr", 0);
+  if (filters.tag) query = query.contains("metadata", { tags: [filters.tag] });
+
+  const { from, to } = feedbackDateRange(filters);
+  if (from) query = query.gte("created_at", from);
+  if (to) query = query.lt("created_at", to);
+
+  if (clusterFeedbackIds) query = query.in("id", clusterFeedbackIds);
+
+  return query;
+}
+
+/**
+ * Opaque cursor: the sort value and id of the last row of a page
+ */
+export function encodeFeedbackCursor(row, sortBy) {
+  return Buffer.from(JSON.stringify([row[sortBy], row.id])).toString("base64url");
+}
+
+export function decodeFeedbackCursor(cursor) {
+  try {
+    const [value, id] = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+    const isDate = typeof value === "string" && /^[\d\-T:.+Z ]+$/.test(value);
+    if (!isDate && !Number.isFinite(value)) throw new Error("Malformed cursor");
+    return { value, id: validateUUID(id, "Cursor") };
+  } catch (error) {
+    throw createValidationError("Invalid cursor");
+  }
+}
+
 /**
  * Specialized database utilities for feedback
  */
@@ -383,28 +521,88 @@ export class FeedbackDatabase extends DatabaseUtils {
    * Get all feedback for a user with enhanced formatting
    */
   async getAllForUser(userId, options = {}) {
-    const result = await this.getMany(this.table, userId, options, "Get user feedback");
+    const result = await this.getMany(
+      this.table,
+      userId,
+      { select: FEEDBACK_COLUMNS, ...options },
+      "Get user feedback"
+    );
     
     // Transform to frontend format
-    result.data = result.data.map(item => ({
-      id: item.id,
-      title: item.metadata?.title || "Untitled",
-      content: item.content,
-      source: item.platform || "unknown",
-      priority: item.metadata?.priority || "medium",
-      category: item.metadata?.category || "other",
-      userEmail: item.metadata?.userEmail || null,
-      tags: item.metadata?.tags || [],
-      submittedAt: item.created_at,
-      processed: item.processed,
-      submittedBy: item.user_id,
-      metadata: item.metadata,
-      aiAnalysis: item.ai_analysis || null,
-    }));
+    result.data = result.data.map(formatFeedback);
 
     return result;
   }
 
+  /**
+   * One page of a user's feedback, filtered and sorted in the database.
+   * Keyset pagination on (sortBy, id): pass the previous page's nextCursor.
+   * @returns {Promise<{data: Object[], pagination: {limit, sortBy, sortOrder, nextCursor, hasMore, total}}>}
+   */
+  async getPageForUser(userId, options = {}, supabase = this.getSupabase()) {
+    validateUUID(userId, "User ID");
+
+    const {
+      filters,
+      cursor = null,
+      limit = 50,
+      sortBy = "created_at",
+      sortOrder = "desc",
+      withTotal = !cursor,
+    } = options;
+
+    if (!Number.isFinite(limit)) {
+      throw createValidationError("Limit must be between 1 and 100");
+    }
+    if (!FEEDBACK_SORT_FIELDS.includes(sortBy)) {
+      throw createValidationError(`Sort must be one of: ${FEEDBACK_SORT_FIELDS.join(", ")}`);
+    }
+    const paginationParams = validatePagination({ limit, sortBy, sortOrder });
+    const ascending = paginationParams.sortOrder === "asc";
+
+    let query = supabase
+      .from(this.table)
+      .select(FEEDBACK_COLUMNS, withTotal ? { count: "exact" } : undefined)
+      .eq("user_id", userId);
+
+    if (filters) {
+      const clusterFeedbackIds =
+        filters.cluster && filters.cluster !== "all"
+          ? await getClusterFeedbackIds(supabase, userId, filters.cluster)
+          : null;
+      query = applyFeedbackFilters(query, filters, { clusterFeedbackIds });
+    }
+
+    if (cursor) {
+      const { value, id } = decodeFeedbackCursor(cursor);
+      const op = ascending ? "gt" : "lt";
+      query = query.or(`${sortBy}.${op}."${value}",and(${sortBy}.eq."${value}",id.${op}.${id})`);
+    }
+
+    // One extra row tells whether there is a next page
+    query = query
+      .order(sortBy, { ascending })
+      .order("id", { ascending })
+      .limit(paginationParams.limit + 1);
+
+    const result = await this.executeQuery(query, "Get feedback page");
+    const rows = result.data || [];
+    const hasMore = rows.length > paginationParams.limit;
+    const page = rows.slice(0, paginationParams.limit);
+
+    return {
+      data: page.map(formatFeedback),
+      pagination: {
+        limit: paginationParams.limit,
+        sortBy,
+        sortOrder: paginationParams.sortOrder,
+        nextCursor: hasMore ? encodeFeedbackCursor(page[page.length - 1], sortBy) : null,
+        hasMore,
+        total: withTotal ? result.count ?? null : null,
+      },
+    };
+  }
+
   /**
    * Get feedback by platform/source
    */
@@ -443,17 +641,36 @@ export class FeedbackDatabase extends DatabaseUtils {
   }
 
   /**
-   * Search feedback content
+   * Ranked full-text (or semantic, options.mode) search of feedback
+   * @see libs/search/index.js searchFeedback
    */
-  async searchContent(userId, searchTerm, options = {}) {
-    return this.search(
-      this.table, 
-      userId, 
-      searchTerm, 
-      ["content", "metadata->title"], 
-      options, 
-      "Search feedback content"
-    );
+  async searchContent(userId, searchTerm, options = {}, supabase = this.getSupabase()) {
+    // Imported lazily: the search module builds on this one
+    const { searchFeedback } = await import("../search/index.js");
+    return searchFeedback(supabase, userId, { ...options, query: searchTerm });
+  }
+
+  /**
+   * Number of a user's feedback items that pass the filters
+   * @param {Object} options - since: only count feedback created after this time
+   */
+  async countMatching(userId, filters, { since = null } = {}, supabase = this.getSupabase()) {
+    validateUUID(userId, "User ID");
+
+    const clusterFeedbackIds =
+      filters.cluster && filters.cluster !== "all"
+        ? await getClusterFeedbackIds(supabase, userId, filters.cluster)
+        : null;
+
+    let query = supabase
+      .from(this.table)
+      .select("id", { count: "exact", head: true })
+      .eq("user_id", userId);
+    query = applyFeedbackFilters(query, filters, { clusterFeedbackIds });
+    if (since) query = query.gt("created_at", since);
+
+    const result = await this.executeQuery(query, "Count feedback");
+    return result.count || 0;
   }
 
   /**
@@ -463,7 +680,7 @@ export class FeedbackDatabase extends DatabaseUtils {
     const supabase = this.getSupabase();
     const query = supabase
       .from(this.table)
-      .select("processed, platform, metadata, ai_analysis")
+      .select("processed, status, platform, metadata, ai_analysis")
       .eq("user_id", userId);
 
     const result = await this.executeQuery(query, "Get feedback statistics");
@@ -473,6 +690,11 @@ export class FeedbackDatabase extends DatabaseUtils {
       total: data.length,
       processed: data.filter(item => item.processed).length,
       unprocessed: data.filter(item => !item.processed).length,
+      byStatus: data.reduce((acc, item) => {
+        const status = feedbackStatus(item);
+        acc[status] = (acc[status] || 0) + 1;
+        return acc;
+      }, {}),
       bySource: data.reduce((acc, item) => {
         const source = item.platform || "unknown";
         acc[source] = (acc[source] || 0) + 1;
@@ -483,6 +705,11 @@ export class FeedbackDatabase extends DatabaseUtils {
         acc[category] = (acc[category] || 0) + 1;
         return acc;
       }, {}),
+      byPriority: data.reduce((acc, item) => {
+        const priority = item.metadata?.priority || "medium";
+        acc[priority] = (acc[priority] || 0) + 1;
+        return acc;
+      }, {}),
       aiAnalyzed: data.filter(item => item.ai_analysis).length,
       sentimentDistribution: data.reduce((acc, item) => {
         if (item.ai_analysis?.sentiment) {
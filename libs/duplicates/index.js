@@ -0,0 +1,302 @@
+/**
+ * Duplicate feedback (FEEDBACK_DUPLICATES_MIGRATION.sql)
+ *
+ * Near-duplicates are linked to one canonical item with duplicate_of, and the
+ * canonical item's duplicate_count (kept up to date by a trigger) says how many
+ * more people reported the same thing. Links are one level deep: merging into
+ * a duplicate merges into its canonical item, and an item that is merged brings
+ * its own duplicates along.
+ *
+ * New feedback is compared with the most similar canonical items of the whole
+ * history (stored embeddings) and linked automatically when the LLM is
+ * confident it's the same request.
+ */
+
+import { feedbackAnalyzer } from "../ai/feedback-analyzer.js";
+import { FEEDBACK_COLUMNS, formatFeedback } from "../database/db-utils.js";
+import {
+  AppError,
+  ERROR_CODES,
+  createDatabaseError,
+  createValidationError,
+} from "../errors/error-handler.js";
+import { findSimilarFeedback } from "../search/index.js";
+import { VALIDATION_PATTERNS } from "../validation/validators.js";
+
+// Similarity the duplicate check must report before feedback is linked automatically
+export const AUTO_LINK_THRESHOLD = 0.8;
+
+export const MAX_MERGE_SIZE = 200;
+
+// Canonical items the LLM compares new feedback with
+const CANDIDATE_LIMIT = 5;
+
+// Without embeddings, new feedback is compared with the most recent canonical items
+const RECENT_FALLBACK_LIMIT = 20;
+
+const EMAIL = /[^\s<>"]+@[^\s<>"]+\.[^\s<>"]+/;
+
+async function loadRows(supabase, userId, ids, columns) {
+  if (ids.length === 0) return [];
+
+  const { data, error } = await supabase
+    .from("raw_feedback")
+    .select(columns)
+    .eq("user_id", userId)
+    .in("id", ids);
+
+  if (error) {
+    throw createDatabaseError("Failed to read feedback", error.message);
+  }
+  return data || [];
+}
+
+async function loadOne(supabase, userId, feedbackId, columns) {
+  const { data, error } = await supabase
+    .from("raw_feedback")
+    .select(columns)
+    .eq("id", feedbackId)
+    .eq("user_id", userId)
+    .maybeSingle();
+
+  if (error) {
+    throw createDatabaseError("Failed to read feedback", error.message);
+  }
+  if (!data) {
+    throw new AppError(ERROR_CODES.RECORD_NOT_FOUND, "Feedback not found");
+  }
+  return data;
+}
+
+/**
+ * Canonical items most similar to a feedback item, best first: [{ id, content }]
+ */
+async function canonicalCandidates(supabase, userId, feedback) {
+  let ranked = null;
+  try {
+    ranked = await findSimilarFeedback(supabase, userId, feedback.id, { limit: CANDIDATE_LIMIT * 4 });
+  } catch (error) {
+    console.warn("Similar feedback lookup failed, comparing with recent feedback:", error.message);
+  }
+
+  if (!ranked) {
+    const { data, error } = await supabase
+      .from("raw_feedback")
+      .select("id, content")
+      .eq("user_id", userId)
+      .neq("id", feedback.id)
+      .is("duplicate_of", null)
+      .order("created_at", { ascending: false })
+      .limit(RECENT_FALLBACK_LIMIT);
+
+    if (error) {
+      throw createDatabaseError("Failed to read feedback", error.message);
+    }
+    return data || [];
+  }
+
+  // A match that is itself a duplicate stands for its canonical item
+  const rows = new Map(
+    (await loadRows(supabase, userId, ranked.map((candidate) => candidate.id), "id, content, duplicate_of"))
+      .map((row) => [row.id, row])
+  );
+  const canonicalIds = [];
+  ranked.forEach((candidate) => {
+    const row = rows.get(candidate.id);
+    const canonicalId = row ? row.duplicate_of || row.id : null;
+    if (canonicalId && canonicalId !== feedback.id && !canonicalIds.includes(canonicalId)) {
+      canonicalIds.push(canonicalId);
+    }
+  });
+
+  const top = canonicalIds.slice(0, CANDIDATE_LIMIT);
+  const missing = top.filter((id) => !rows.has(id));
+  (await loadRows(supabase, userId, missing, "id, content, duplicate_of")).forEach((row) => rows.set(row.id, row));
+
+  return top
+    .filter((id) => rows.get(id)?.content)
+    .map((id) => ({ id, content: rows.get(id).content }));
+}
+
+/**
+ * Duplicate check for new feedback ({ id, content }): compare it with the most
+ * similar canonical items and link it to the closest one when the check is
+ * confident enough (AUTO_LINK_THRESHOLD).
+ * @returns {Promise<Object>} findDuplicateFeedback's result plus linkedTo (the canonical id or null)
+ */
+export async function detectDuplicate(supabase, userId, feedback) {
+  const candidates = await canonicalCandidates(supabase, userId, feedback);
+  const check = await feedbackAnalyzer.findDuplicateFeedback(feedback.content, candidates, userId);
+
+  const match = candidates.find((candidate) => candidate.id === check.mostSimilarId);
+  if (!check.isDuplicate || !match || !(check.similarityScore >= AUTO_LINK_THRESHOLD)) {
+    return { ...check, linkedTo: null };
+  }
+
+  const { canonicalId } = await linkDuplicates(supabase, userId, match.id, [feedback.id], {
+    score: check.similarityScore,
+  });
+  return { ...check, linkedTo: canonicalId };
+}
+
+/**
+ * Validate a manual merge: { canonicalId, ids }
+ * @returns {{canonicalId: string, ids: string[]}}
+ */
+export function validateMergeRequest(body) {
+  const errors = [];
+  const { canonicalId, ids } = body || {};
+
+  if (typeof canonicalId !== "string" || !VALIDATION_PATTERNS.UUID.test(canonicalId)) {
+    errors.push("canonicalId must be a feedback ID");
+  }
+  if (!Array.isArray(ids) || ids.length === 0) {
+    errors.push("ids must be a non-empty array of feedback IDs");
+  } else if (ids.length > MAX_MERGE_SIZE) {
+    errors.push(`At most ${MAX_MERGE_SIZE} feedback items can be merged at once`);
+  } else if (!ids.every((id) => typeof id === "string" && VALIDATION_PATTERNS.UUID.test(id))) {
+    errors.push("ids must be feedback IDs");
+  }
+
+  if (errors.length > 0) {
+    throw createValidationError(errors.join(", "), errors);
+  }
+
+  return { canonicalId, ids: [...new Set(ids)] };
+}
+
+/**
+ * Link feedback items to a canonical item. Their own duplicates move to the
+ * canonical item too, so links stay one level deep; their similarity was
+ * measured against the old canonical item, so it is cleared.
+ * @param {Object} options
+ * @param {number|null} options.score - similarity of an automatic link (null when merged by hand)
+ * @returns {Promise<{canonicalId: string, linked: Array, missing: string[]}>}
+ */
+export async function linkDuplicates(supabase, userId, canonicalId, ids, { score = null } = {}) {
+  const target = await loadOne(supabase, userId, canonicalId, "id, duplicate_of");
+  const rootId = target.duplicate_of || target.id;
+
+  const requested = ids.filter((id) => id !== rootId);
+  if (requested.length === 0) {
+    throw createValidationError("Feedback can't be merged into itself");
+  }
+
+  const foundIds = (await loadRows(supabase, userId, requested, "id")).map((row) => row.id);
+  const missing = requested.filter((id) => !foundIds.includes(id));
+  if (foundIds.length === 0) {
+    throw new AppError(ERROR_CODES.RECORD_NOT_FOUND, "None of the feedback to merge was found");
+  }
+
+  const now = new Date().toISOString();
+
+  const { error: moveError } = await supabase
+    .from("raw_feedback")
+    .update({ duplicate_of: rootId, duplicate_score: null, updated_at: now })
+    .eq("user_id", userId)
+    .in("duplicate_of", foundIds);
+
+  if (moveError) {
+    throw createDatabaseError("Failed to move duplicates", moveError.message);
+  }
+
+  const { data, error } = await supabase
+    .from("raw_feedback")
+    .update({ duplicate_of: rootId, duplicate_score: score, updated_at: now })
+    .eq("user_id", userId)
+    .in("id", foundIds)
+    .select(FEEDBACK_COLUMNS);
+
+  if (error) {
+    throw createDatabaseError("Failed to merge feedback", error.message);
+  }
+
+  return { canonicalId: rootId, linked: (data || []).map(formatFeedback), missing };
+}
+
+/**
+ * Undo a merge: the item becomes canonical again
+ * @returns {Promise<{feedback: Object, canonicalId: string}>} The item and what it was merged into
+ */
+export async function unlinkDuplicate(supabase, userId, feedbackId) {
+  const current = await loadOne(supabase, userId, feedbackId, "id, duplicate_of");
+  if (!current.duplicate_of) {
+    throw createValidationError("Feedback isn't merged into another item");
+  }
+
+  const { data, error } = await supabase
+    .from("raw_feedback")
+    .update({ duplicate_of: null, duplicate_score: null, updated_at: new Date().toISOString() })
+    .eq("id", feedbackId)
+    .eq("user_id", userId)
+    .select(FEEDBACK_COLUMNS)
+    .single();
+
+  if (error) {
+    throw createDatabaseError("Failed to unmerge feedback", error.message);
+  }
+
+  return { feedback: formatFeedback(data), canonicalId: current.duplicate_of };
+}
+
+/**
+ * Who reported a feedback item: the email (or sender address) and author name
+ * stored with it by the source
+ */
+export function feedbackReporter(item) {
+  const metadata = item.metadata || {};
+  const from = typeof metadata.from === "string" ? metadata.from : "";
+
+  return {
+    feedbackId: item.id,
+    email: metadata.userEmail || from.match(EMAIL)?.[0] || null,
+    name: metadata.author || from.replace(EMAIL, "").replace(/[<>"]/g, "").trim() || null,
+    source: item.platform || "unknown",
+    submittedAt: item.created_at,
+  };
+}
+
+/**
+ * The canonical item of a feedback item's duplicate group, its duplicates
+ * (oldest first) and everyone who reported it
+ * @returns {Promise<{canonical: Object, duplicates: Array, reporters: Array}>}
+ */
+export async function getDuplicates(supabase, userId, feedbackId) {
+  const item = await loadOne(supabase, userId, feedbackId, "id, duplicate_of");
+  const canonical = await loadOne(supabase, userId, item.duplicate_of || item.id, FEEDBACK_COLUMNS);
+
+  const { data, error } = await supabase
+    .from("raw_feedback")
+    .select(FEEDBACK_COLUMNS)
+    .eq("user_id", userId)
+    .eq("duplicate_of", canonical.id)
+    .order("created_at", { ascending: true })
+    .limit(MAX_MERGE_SIZE);
+
+  if (error) {
+    throw createDatabaseError("Failed to read duplicates", error.message);
+  }
+
+  const duplicates = data || [];
+  return {
+    canonical: formatFeedback(canonical),
+    duplicates: duplicates.map(formatFeedback),
+    reporters: [canonical, ...duplicates].map(feedbackReporter),
+  };
+}
+
+/**
+ * Feedback rows (id, content, metadata, duplicate_of, duplicate_count) as spec
+ * generator input: { content, reports }. A duplicate whose canonical item is in
+ * the list is left out - the canonical item's report count includes it.
+ */
+export function withReportCounts(rows) {
+  const ids = new Set(rows.map((row) => row.id));
+
+  return rows
+    .filter((row) => !(row.duplicate_of && ids.has(row.duplicate_of)))
+    .map((row) => ({
+      content: row.content || row.metadata?.title || "No content",
+      reports: 1 + (row.duplicate_count || 0),
+    }));
+}
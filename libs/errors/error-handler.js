@@ -18,6 +18,7 @@ export const ERROR_CODES = {
   DATABASE_ERROR: "DATABASE_ERROR",
   RECORD_NOT_FOUND: "RECORD_NOT_FOUND",
   DUPLICATE_RECORD: "DUPLICATE_RECORD",
+  CONFLICT: "CONFLICT",
   
   // External service errors
   EXTERNAL_SERVICE_ERROR: "EXTERNAL_SERVICE_ERROR",
@@ -46,6 +47,7 @@ export const ERROR_MESSAGES = {
   [ERROR_CODES.DATABASE_ERROR]: "Database operation failed",
   [ERROR_CODES.RECORD_NOT_FOUND]: "Record not found",
   [ERROR_CODES.DUPLICATE_RECORD]: "Record already exists",
+  [ERROR_CODES.CONFLICT]: "The record was changed meanwhile",
   [ERROR_CODES.EXTERNAL_SERVICE_ERROR]: "External service error",
   [ERROR_CODES.AI_SERVICE_ERROR]: "AI service is temporarily unavailable",
   [ERROR_CODES.STRIPE_ERROR]: "Payment processing error",
@@ -68,6 +70,7 @@ export const ERROR_STATUS_CODES = {
   [ERROR_CODES.DATABASE_ERROR]: 500,
   [ERROR_CODES.RECORD_NOT_FOUND]: 404,
   [ERROR_CODES.DUPLICATE_RECORD]: 409,
+  [ERROR_CODES.CONFLICT]: 409,
   [ERROR_CODES.EXTERNAL_SERVICE_ERROR]: 502,
   [ERROR_CODES.AI_SERVICE_ERROR]: 503,
   [ERROR_CODES.STRIPE_ERROR]: 502,
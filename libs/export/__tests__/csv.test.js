@@ -0,0 +1,32 @@
+import { csvCell } from "../index.js";
+
+describe("csvCell", () => {
+  it("leaves plain values as they are", () => {
+    expect(csvCell("Login fails")).toBe("Login fails");
+    expect(csvCell(42)).toBe("42");
+    expect(csvCell(false)).toBe("false");
+  });
+
+  it("writes null and undefined as empty fields", () => {
+    expect(csvCell(null)).toBe("");
+    expect(csvCell(undefined)).toBe("");
+  });
+
+  it("joins arrays", () => {
+    expect(csvCell(["ui", "login"])).toBe('"ui, login"');
+  });
+
+  it("quotes commas, quotes and line breaks", () => {
+    expect(csvCell("a, b")).toBe('"a, b"');
+    expect(csvCell('say "hi"')).toBe('"say ""hi"""');
+    expect(csvCell("line 1\nline 2")).toBe('"line 1\nline 2"');
+  });
+
+  it("keeps spreadsheets from running formulas", () => {
+    expect(csvCell("=SUM(A1:A2)")).toBe("'=SUM(A1:A2)");
+    expect(csvCell("+1")).toBe("'+1");
+    expect(csvCell("-1")).toBe("'-1");
+    expect(csvCell("@cmd")).toBe("'@cmd");
+    expect(csvCell('=HYPERLINK("x", "y")')).toBe('"\'=HYPERLINK(""x"", ""y"")"');
+  });
+});
@@ -0,0 +1,70 @@
+import zlib from "zlib";
+import { ZipWriter, crc32 } from "../zip.js";
+
+// Files of an archive, read back through its central directory
+function readZip(archive) {
+  const end = archive.length - 22;
+  expect(archive.readUInt32LE(end)).toBe(0x06054b50);
+
+  const count = archive.readUInt16LE(end + 10);
+  let position = archive.readUInt32LE(end + 16);
+  const files = [];
+
+  for (let i = 0; i < count; i++) {
+    expect(archive.readUInt32LE(position)).toBe(0x02014b50);
+    const crc = archive.readUInt32LE(position + 16);
+    const compressedSize = archive.readUInt32LE(position + 20);
+    const nameLength = archive.readUInt16LE(position + 28);
+    const offset = archive.readUInt32LE(position + 42);
+    const name = archive.toString("utf8", position + 46, position + 46 + nameLength);
+
+    expect(archive.readUInt32LE(offset)).toBe(0x04034b50);
+    const dataStart = offset + 30 + archive.readUInt16LE(offset + 26);
+    const content = zlib.inflateRawSync(archive.subarray(dataStart, dataStart + compressedSize));
+
+    files.push({ name, content: content.toString("utf8"), crc });
+    position += 46 + nameLength;
+  }
+  return files;
+}
+
+describe("crc32", () => {
+  it("matches the standard check value", () => {
+    expect(crc32(Buffer.from("123456789"))).toBe(0xcbf43926);
+  });
+
+  it("is 0 for no data", () => {
+    expect(crc32(Buffer.alloc(0))).toBe(0);
+  });
+});
+
+describe("ZipWriter", () => {
+  it("writes files that can be read back", () => {
+    const zip = new ZipWriter();
+    const archive = Buffer.concat([
+      zip.addFile("feedback.csv", "id,title\r\n1,Login\r\n"),
+      zip.addFile("specs/résumé.md", Buffer.from("# Spec\n\nÜmlaut")),
+      zip.finish(),
+    ]);
+
+    const files = readZip(archive);
+    expect(files.map((file) => file.name)).toEqual(["feedback.csv", "specs/résumé.md"]);
+    expect(files[0].content).toBe("id,title\r\n1,Login\r\n");
+    expect(files[1].content).toBe("# Spec\n\nÜmlaut");
+    files.forEach((file) => expect(file.crc).toBe(crc32(Buffer.from(file.content))));
+  });
+
+  it("stores the date of each file", () => {
+    const zip = new ZipWriter();
+    const header = zip.addFile("a.txt", "a", { date: new Date(2024, 4, 17, 13, 45, 30) });
+
+    expect(header.readUInt16LE(12)).toBe(((2024 - 1980) << 9) | (5 << 5) | 17);
+    expect(header.readUInt16LE(10)).toBe((13 << 11) | (45 << 5) | 15);
+  });
+
+  it("writes an empty archive", () => {
+    const archive = new ZipWriter().finish();
+    expect(archive.length).toBe(22);
+    expect(readZip(archive)).toEqual([]);
+  });
+});
@@ -0,0 +1,378 @@
+/**
+ * Full account export: feedback, clusters and specs as CSV, JSONL or a zipped
+ * Markdown bundle (GET /api/feedback/export).
+ *
+ * Feedback is read page by page and written out as it arrives, so the response
+ * starts right away and large accounts never sit in memory. Feedback filters
+ * are the dashboard's (libs/feedback-filters.js), applied in the database like
+ * GET /api/feedback; clusters and specs follow the feedback that passes them.
+ */
+
+import { FEEDBACK_COLUMNS, feedbackDB, formatFeedback } from "../database/db-utils.js";
+import { DEFAULT_FEEDBACK_FILTERS, hasActiveFeedbackFilters } from "../feedback-filters.js";
+import { createDatabaseError } from "../errors/error-handler.js";
+import { listSpecsFeedbackIds } from "../specs/index.js";
+import { ZipWriter } from "./zip.js";
+
+export const EXPORT_FORMATS = {
+  csv: { contentType: "text/csv; charset=utf-8", extension: "csv" },
+  jsonl: { contentType: "application/x-ndjson; charset=utf-8", extension: "jsonl" },
+  markdown: { contentType: "application/zip", extension: "zip" },
+};
+
+// validatePagination allows up to 100 rows per page
+const PAGE_SIZE = 100;
+const ID_BATCH_SIZE = 100;
+
+const CSV_COLUMNS = [
+  "id",
+  "submitted_at",
+  "title",
+  "content",
+  "source",
+  "priority",
+  "category",
+  "tags",
+  "user_email",
+  "processed",
+  "status",
+  "assignee",
+  "due_date",
+  "duplicate_of",
+  "duplicate_count",
+  "priority_score",
+  "sentiment",
+  "cluster",
+];
+
+/**
+ * Filtered feedback of a user, newest first, in the dashboard's shape
+ */
+export async function* feedbackPages(supabase, userId, filters) {
+  let cursor = null;
+  do {
+    const page = await feedbackDB.instance.getPageForUser(
+      userId,
+      { filters, cursor, limit: PAGE_SIZE, withTotal: false },
+      supabase
+    );
+    if (page.data.length > 0) yield page.data;
+    cursor = page.pagination.nextCursor;
+  } while (cursor);
+}
+
+async function loadClusters(supabase, userId) {
+  const { data, error } = await supabase
+    .from("feedback_clusters")
+    .select("*")
+    .eq("user_id", userId)
+    .order("total_feedback_count", { ascending: false });
+
+  if (error) throw createDatabaseError("Failed to read clusters", error.message);
+
+  return (data || []).map((cluster) => ({
+    ...cluster.cluster_data,
+    id: cluster.id,
+    feedbackIds: cluster.feedback_ids || cluster.cluster_data?.feedbackIds || [],
+    createdAt: cluster.created_at,
+    updatedAt: cluster.updated_at,
+  }));
+}
+
+async function loadSpecs(supabase, userId) {
+  const { data, error } = await supabase
+    .from("generated_specs")
+    .select("*")
+    .eq("user_id", userId)
+    .order("created_at", { ascending: false });
+
+  if (error) throw createDatabaseError("Failed to read specs", error.message);
+
+  // The spec's sources as its page lists them, merged duplicates included
+  const feedbackIds = await listSpecsFeedbackIds(supabase, userId, (data || []).map((spec) => spec.id));
+
+  return (data || []).map((spec) => ({
+    id: spec.id,
+    clusterId: spec.cluster_id,
+    feedbackIds: feedbackIds.get(spec.id) || [],
+    title: spec.title || "Untitled spec",
+    content: spec.content || "",
+    createdAt: spec.created_at,
+  }));
+}
+
+/**
+ * Clusters and specs that belong to the exported feedback: a spec is kept with
+ * its cluster or when one of its sources is exported. Without filters
+ * everything is exported, including specs of since-deleted feedback.
+ */
+function selectRelated(clusters, specs, exportedIds, filtered) {
+  if (!filtered) return { clusters, specs };
+
+  const keptClusters = clusters.filter((cluster) => cluster.feedbackIds.some((id) => exportedIds.has(id)));
+  const keptClusterIds = new Set(keptClusters.map((cluster) => cluster.id));
+
+  return {
+    clusters: keptClusters,
+    specs: specs.filter(
+      (spec) => keptClusterIds.has(spec.clusterId) || spec.feedbackIds.some((id) => exportedIds.has(id))
+    ),
+  };
+}
+
+// Cluster theme per feedback id
+function clusterIndex(clusters) {
+  const index = new Map();
+  clusters.forEach((cluster) => cluster.feedbackIds.forEach((id) => index.set(id, cluster.theme || "")));
+  return index;
+}
+
+/**
+ * One CSV field. Values starting with = + - @ are prefixed with ' so
+ * spreadsheets don't run them as formulas.
+ */
+export function csvCell(value) {
+  if (value === null || value === undefined) return "";
+
+  let text = Array.isArray(value) ? value.join(", ") : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function csvRow(values) {
+  return `${values.map(csvCell).join(",")}\r\n`;
+}
+
+// Feedback only - one row per item, with the theme of its cluster
+async function* csvChunks(supabase, userId, filters) {
+  const clusterThemes = clusterIndex(await loadClusters(supabase, userId));
+
+  // BOM so Excel opens the file as UTF-8
+  yield `\uFEFF${csvRow(CSV_COLUMNS)}`;
+
+  for await (const items of feedbackPages(supabase, userId, filters)) {
+    yield items
+      .map((item) =>
+        csvRow([
+          item.id,
+          item.submittedAt,
+          item.title,
+          item.content,
+          item.source,
+          item.priority,
+          item.category,
+          item.tags,
+          item.userEmail,
+          item.processed ? "yes" : "no",
+          item.status,
+          item.assignee || "",
+          item.dueDate || "",
+          item.duplicateOf || "",
+          item.duplicateCount,
+          item.priorityScore ?? "",
+          item.aiAnalysis?.sentiment || "",
+          clusterThemes.get(item.id) || "",
+        ])
+      )
+      .join("");
+  }
+}
+
+function jsonLine(type, data) {
+  return `${JSON.stringify({ type, ...data })}\n`;
+}
+
+// Feedback lines first, then the clusters and specs they belong to
+async function* jsonlChunks(supabase, userId, filters) {
+  const exportedIds = new Set();
+
+  for await (const items of feedbackPages(supabase, userId, filters)) {
+    yield items
+      .map((item) => {
+        exportedIds.add(item.id);
+        return jsonLine("feedback", { ...item, submittedBy: undefined });
+      })
+      .join("");
+  }
+
+  const related = selectRelated(
+    await loadClusters(supabase, userId),
+    await loadSpecs(supabase, userId),
+    exportedIds,
+    hasActiveFeedbackFilters(filters)
+  );
+
+  for (const cluster of related.clusters) yield jsonLine("cluster", cluster);
+  for (const spec of related.specs) yield jsonLine("spec", spec);
+}
+
+/**
+ * File-name-safe slug, unique within the archive
+ */
+function uniqueSlug(text, used) {
+  const base =
+    String(text || "")
+      .toLowerCase()
+      .normalize("NFKD")
+      .replace(/[\u0300-\u036f]/g, "")
+      .replace(/[^\p{L}\p{N}]+/gu, "-")
+      .replace(/^-+|-+$/g, "")
+      .slice(0, 60) || "untitled";
+
+  let slug = base;
+  for (let n = 2; used.has(slug); n++) slug = `${base}-${n}`;
+  used.add(slug);
+  return slug;
+}
+
+function formatDate(value) {
+  return value ? new Date(value).toISOString().slice(0, 10) : "";
+}
+
+function specMarkdown(spec, cluster) {
+  const origin = cluster ? ` from cluster "${cluster.theme}"` : "";
+  return `# ${spec.title}\n\n_Generated ${formatDate(spec.createdAt)}${origin}_\n\n${spec.content.trim()}\n`;
+}
+
+function clusterMarkdown(cluster, feedback) {
+  const details = [
+    cluster.severity && `**Severity:** ${cluster.severity}`,
+    cluster.category && `**Category:** ${cluster.category}`,
+    `**Feedback:** ${feedback.length}`,
+  ].filter(Boolean);
+
+  const lines = [`# ${cluster.theme || "Untitled cluster"}`, ""];
+  if (cluster.description) lines.push(cluster.description, "");
+  lines.push(`- ${details.join(" · ")}`);
+  if (cluster.suggestedAction) lines.push(`- **Suggested action:** ${cluster.suggestedAction}`);
+  if (cluster.business_impact) lines.push(`- **Business impact:** ${cluster.business_impact}`);
+  if (cluster.estimated_effort) lines.push(`- **Estimated effort:** ${cluster.estimated_effort}`);
+  if (cluster.commonKeywords?.length) lines.push(`- **Keywords:** ${cluster.commonKeywords.join(", ")}`);
+  lines.push("", "## Feedback", "");
+
+  feedback.forEach((item) => {
+    const meta = [item.source, item.priority, item.category, formatDate(item.submittedAt), item.userEmail]
+      .filter(Boolean)
+      .join(" · ");
+    lines.push(`### ${item.title}`, "", `_${meta}_`, "", item.content.trim(), "");
+  });
+
+  return `${lines.join("\n").trim()}\n`;
+}
+
+// Members of a cluster that pass the filters, newest first
+async function clusterFeedback(supabase, userId, cluster, exportedIds) {
+  const ids = cluster.feedbackIds.filter((id) => exportedIds.has(id));
+  const feedback = [];
+
+  for (let i = 0; i < ids.length; i += ID_BATCH_SIZE) {
+    const { data, error } = await supabase
+      .from("raw_feedback")
+      .select(FEEDBACK_COLUMNS)
+      .eq("user_id", userId)
+      .in("id", ids.slice(i, i + ID_BATCH_SIZE));
+
+    if (error) throw createDatabaseError("Failed to read cluster feedback", error.message);
+    feedback.push(...(data || []).map(formatFeedback));
+  }
+
+  return feedback.sort((a, b) => new Date(b.submittedAt) - new Date(a.submittedAt));
+}
+
+/**
+ * Zip with README.md, specs/<title>.md per spec and clusters/<theme>.md per
+ * cluster with its feedback. Each file is compressed and sent as it's built.
+ */
+async function* markdownChunks(supabase, userId, filters) {
+  const zip = new ZipWriter();
+  const filtered = hasActiveFeedbackFilters(filters);
+
+  // Only ids are kept: cluster files read their feedback one cluster at a time
+  const exportedIds = new Set();
+  for await (const items of feedbackPages(supabase, userId, filters)) {
+    items.forEach((item) => exportedIds.add(item.id));
+  }
+
+  const allClusters = await loadClusters(supabase, userId);
+  const related = selectRelated(allClusters, await loadSpecs(supabase, userId), exportedIds, filtered);
+  const clusterById = new Map(allClusters.map((cluster) => [cluster.id, cluster]));
+  const used = new Set();
+
+  const specFiles = [];
+  for (const spec of related.specs) {
+    const path = `specs/${uniqueSlug(spec.title, used)}.md`;
+    specFiles.push({ path, title: spec.title });
+    yield zip.addFile(path, specMarkdown(spec, clusterById.get(spec.clusterId)), {
+      date: spec.createdAt ? new Date(spec.createdAt) : undefined,
+    });
+  }
+
+  const clusterFiles = [];
+  for (const cluster of related.clusters) {
+    const feedback = await clusterFeedback(supabase, userId, cluster, exportedIds);
+    const path = `clusters/${uniqueSlug(cluster.theme, used)}.md`;
+    clusterFiles.push({ path, title: cluster.theme || "Untitled cluster", count: feedback.length });
+    yield zip.addFile(path, clusterMarkdown(cluster, feedback));
+  }
+
+  const readme = [
+    "# FeedbackSpec export",
+    "",
+    `Exported ${new Date().toISOString()}`,
+    "",
+    `- Feedback: ${exportedIds.size}`,
+    `- Clusters: ${clusterFiles.length}`,
+    `- Specs: ${specFiles.length}`,
+  ];
+  if (filtered) {
+    const active = Object.entries(filters).filter(([key, value]) => value !== DEFAULT_FEEDBACK_FILTERS[key]);
+    readme.push(`- Filters: ${active.map(([key, value]) => `${key}=${value}`).join(", ")}`);
+  }
+  readme.push("", "## Specs", "");
+  specFiles.forEach((file) => readme.push(`- [${file.title}](${file.path})`));
+  readme.push("", "## Clusters", "");
+  clusterFiles.forEach((file) => readme.push(`- [${file.title}](${file.path}) - ${file.count} feedback`));
+
+  yield zip.addFile("README.md", `${readme.join("\n")}\n`);
+  yield zip.finish();
+}
+
+/**
+ * Attachment name, e.g. feedbackspec-export-2026-10-18.zip
+ */
+export function exportFileName(format) {
+  return `feedbackspec-export-${new Date().toISOString().slice(0, 10)}.${EXPORT_FORMATS[format].extension}`;
+}
+
+/**
+ * Export as a byte stream; rows are read from the database as the client reads.
+ * The first chunk is read up front so database errors still fail the request.
+ */
+export async function createExportStream(supabase, userId, format, filters = DEFAULT_FEEDBACK_FILTERS) {
+  const generators = { csv: csvChunks, jsonl: jsonlChunks, markdown: markdownChunks };
+  const chunks = generators[format](supabase, userId, filters);
+  const encoder = new TextEncoder();
+  let pending = await chunks.next();
+
+  return new ReadableStream({
+    async pull(controller) {
+      try {
+        const { value, done } = pending || (await chunks.next());
+        pending = null;
+
+        if (done) {
+          controller.close();
+        } else {
+          controller.enqueue(typeof value === "string" ? encoder.encode(value) : new Uint8Array(value));
+        }
+      } catch (error) {
+        console.error(`Error exporting feedback (${format}):`, error);
+        controller.error(error);
+      }
+    },
+    async cancel() {
+      await chunks.return();
+    },
+  });
+}
@@ -0,0 +1,121 @@
+/**
+ * Minimal streaming ZIP writer for exports: each file is deflated and written
+ * as soon as it is added, the central directory at the end. Enough for the
+ * Markdown bundle (no ZIP64, so under 65535 files and 4 GB).
+ */
+
+import zlib from "zlib";
+
+const CRC_TABLE = new Uint32Array(256).map((_, index) => {
+  let value = index;
+  for (let bit = 0; bit < 8; bit++) {
+    value = value & 1 ? 0xedb88320 ^ (value >>> 1) : value >>> 1;
+  }
+  return value >>> 0;
+});
+
+export function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < buffer.length; i++) {
+    crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// MS-DOS date and time fields used by ZIP headers
+function dosDateTime(date) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+  };
+}
+
+// Bit 11: file names are UTF-8
+const UTF8_FLAG = 0x0800;
+const DEFLATE = 8;
+const VERSION = 20;
+
+export class ZipWriter {
+  constructor() {
+    this.entries = [];
+    this.offset = 0;
+  }
+
+  /**
+   * Add a file
+   * @param {string} name - Path inside the archive ("specs/checkout.md")
+   * @param {string|Buffer} content
+   * @returns {Buffer} Bytes to write: local header and compressed data
+   */
+  addFile(name, content, { date = new Date() } = {}) {
+    const nameBytes = Buffer.from(name, "utf8");
+    const data = Buffer.isBuffer(content) ? content : Buffer.from(String(content), "utf8");
+    const compressed = zlib.deflateRawSync(data);
+    const { time, date: day } = dosDateTime(date);
+
+    const entry = {
+      nameBytes,
+      crc: crc32(data),
+      compressedSize: compressed.length,
+      size: data.length,
+      time,
+      date: day,
+      offset: this.offset,
+    };
+
+    if (this.entries.length >= 0xffff || this.offset + 30 + nameBytes.length + compressed.length > 0xffffffff) {
+      throw new Error("Export is too large for a ZIP archive");
+    }
+
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(0x04034b50, 0);
+    header.writeUInt16LE(VERSION, 4);
+    header.writeUInt16LE(UTF8_FLAG, 6);
+    header.writeUInt16LE(DEFLATE, 8);
+    header.writeUInt16LE(time, 10);
+    header.writeUInt16LE(day, 12);
+    header.writeUInt32LE(entry.crc, 14);
+    header.writeUInt32LE(entry.compressedSize, 18);
+    header.writeUInt32LE(entry.size, 22);
+    header.writeUInt16LE(nameBytes.length, 26);
+    header.writeUInt16LE(0, 28);
+
+    const bytes = Buffer.concat([header, nameBytes, compressed]);
+    this.entries.push(entry);
+    this.offset += bytes.length;
+    return bytes;
+  }
+
+  /**
+   * @returns {Buffer} Central directory and end record - the last bytes of the archive
+   */
+  finish() {
+    const records = this.entries.map((entry) => {
+      const record = Buffer.alloc(46);
+      record.writeUInt32LE(0x02014b50, 0);
+      record.writeUInt16LE(VERSION, 4);
+      record.writeUInt16LE(VERSION, 6);
+      record.writeUInt16LE(UTF8_FLAG, 8);
+      record.writeUInt16LE(DEFLATE, 10);
+      record.writeUInt16LE(entry.time, 12);
+      record.writeUInt16LE(entry.date, 14);
+      record.writeUInt32LE(entry.crc, 16);
+      record.writeUInt32LE(entry.compressedSize, 20);
+      record.writeUInt32LE(entry.size, 24);
+      record.writeUInt16LE(entry.nameBytes.length, 28);
+      // Extra field, comment, disk number, internal and external attributes stay 0
+      record.writeUInt32LE(entry.offset, 42);
+      return Buffer.concat([record, entry.nameBytes]);
+    });
+
+    const directory = Buffer.concat(records);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(this.entries.length, 8);
+    end.writeUInt16LE(this.entries.length, 10);
+    end.writeUInt32LE(directory.length, 12);
+    end.writeUInt32LE(this.offset, 16);
+
+    return Buffer.concat([directory, end]);
+  }
+}
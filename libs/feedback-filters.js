@@ -0,0 +1,276 @@
+// Feedback list filters, shared by the dashboard (useFeedbackFilters), GET /api/feedback and exports
+
+export const DEFAULT_FEEDBACK_FILTERS = {
+  search: "",
+  category: "all",
+  priority: "all",
+  source: "all",
+  processed: "all",
+  status: "all",
+  assignee: "",
+  duplicates: "all",
+  sentiment: "all",
+  cluster: "all",
+  customer: "all",
+  tag: "",
+  from: "",
+  to: "",
+};
+
+export const FEEDBACK_SENTIMENTS = ["positive", "negative", "neutral"];
+
+// Triage workflow, in board order. Every status but "new" counts as processed.
+export const FEEDBACK_STATUSES = ["new", "triaged", "planned", "in_progress", "shipped", "wont_do"];
+
+export const FEEDBACK_STATUS_LABELS = {
+  new: "New",
+  triaged: "Triaged",
+  planned: "Planned",
+  in_progress: "In progress",
+  shipped: "Shipped",
+  wont_do: "Won't do",
+};
+
+// Assignee filter value for feedback nobody is assigned to
+export const UNASSIGNED = "unassigned";
+
+/**
+ * Triage status of a feedback item, derived from processed for rows saved
+ * before the triage workflow
+ */
+export function feedbackStatus(item) {
+  if (FEEDBACK_STATUSES.includes(item?.status)) return item.status;
+  return item?.processed ? "triaged" : "new";
+}
+
+// Duplicates filter: "canonical" hides feedback merged into another item, "merged" shows only that
+export const FEEDBACK_DUPLICATE_FILTERS = ["canonical", "merged"];
+
+// Customer filter: "paying" keeps feedback whose reporters include customers
+// with MRR (the mrr factor of the priority score, libs/scoring)
+export const FEEDBACK_CUSTOMER_FILTERS = ["paying"];
+
+// Sortable columns of GET /api/feedback (ties are broken by id);
+// duplicate_count puts the most reported feedback first, priority_score the
+// highest scored (libs/scoring)
+export const FEEDBACK_SORT_FIELDS = ["created_at", "updated_at", "duplicate_count", "priority_score"];
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+// Relative "from" values, so saved views roll forward: "today" or "<n>d" (the last n days)
+const RELATIVE_FROM = /^(today|(\d{1,3})d)$/;
+
+export const RELATIVE_DATE_OPTIONS = [
+  { value: "today", label: "Today" },
+  { value: "7d", label: "Last 7 days" },
+  { value: "30d", label: "Last 30 days" },
+  { value: "90d", label: "Last 90 days" },
+];
+
+function resolveFrom(value, now) {
+  const relative = value.match(RELATIVE_FROM);
+  if (!relative) return new Date(value);
+
+  const from = new Date(now);
+  if (relative[2]) {
+    from.setUTCDate(from.getUTCDate() - Number(relative[2]));
+  } else {
+    from.setUTCHours(0, 0, 0, 0);
+  }
+  return from;
+}
+
+function isValidDateFilter(key, value) {
+  if (key === "from" && RELATIVE_FROM.test(value)) return true;
+  return !Number.isNaN(new Date(value).getTime());
+}
+
+/**
+ * The from/to filters as an ISO range: from is inclusive, to is exclusive.
+ * A date without time covers the whole day ("to=2024-03-31" includes March 31).
+ * A relative from ("7d", "today") is resolved against now.
+ */
+export function feedbackDateRange(filters, now = new Date()) {
+  const range = { from: null, to: null };
+
+  if (filters.from) range.from = resolveFrom(filters.from, now).toISOString();
+  if (filters.to) {
+    const to = new Date(filters.to);
+    if (DATE_ONLY.test(filters.to)) to.setUTCDate(to.getUTCDate() + 1);
+    range.to = to.toISOString();
+  }
+
+  return range;
+}
+
+/**
+ * Whether any filter differs from its default
+ */
+export function hasActiveFeedbackFilters(filters) {
+  return Object.entries(DEFAULT_FEEDBACK_FILTERS).some(([key, value]) => filters[key] !== value);
+}
+
+/**
+ * Filters from URL search params; missing or empty values mean "all"
+ * @param {URLSearchParams} searchParams
+ */
+export function parseFeedbackFilters(searchParams) {
+  const filters = { ...DEFAULT_FEEDBACK_FILTERS };
+
+  Object.keys(DEFAULT_FEEDBACK_FILTERS).forEach((key) => {
+    const value = searchParams.get(key);
+    if (value !== null && value.trim() !== "") filters[key] = value.trim();
+  });
+
+  if (!["all", "processed", "unprocessed"].includes(filters.processed)) {
+    filters.processed = "all";
+  }
+  if (!["all", ...FEEDBACK_STATUSES].includes(filters.status)) {
+    filters.status = "all";
+  }
+  if (!["all", ...FEEDBACK_DUPLICATE_FILTERS].includes(filters.duplicates)) {
+    filters.duplicates = "all";
+  }
+  if (!["all", ...FEEDBACK_SENTIMENTS].includes(filters.sentiment)) {
+    filters.sentiment = "all";
+  }
+  if (!["all", ...FEEDBACK_CUSTOMER_FILTERS].includes(filters.customer)) {
+    filters.customer = "all";
+  }
+  ["from", "to"].forEach((key) => {
+    if (filters[key] && !isValidDateFilter(key, filters[key])) filters[key] = "";
+  });
+
+  return filters;
+}
+
+/**
+ * Filters that differ from the defaults, as URL search params
+ */
+export function feedbackFiltersToParams(filters) {
+  const params = new URLSearchParams();
+
+  Object.entries(DEFAULT_FEEDBACK_FILTERS).forEach(([key, fallback]) => {
+    const value = filters?.[key];
+    if (value !== undefined && value !== null && value !== fallback) params.set(key, value);
+  });
+
+  return params;
+}
+
+// Sort and layout of the feedback page besides its filters (saved in feedback views)
+export const DEFAULT_FEEDBACK_VIEW = { sortBy: "created_at", sortOrder: "desc", viewMode: "list" };
+
+export const FEEDBACK_VIEW_MODES = ["list", "groups", "board"];
+
+/**
+ * Filters, sort and layout from URL search params (?priority=urgent&sortOrder=asc&mode=groups)
+ * @returns {{filters: Object, sortBy: string, sortOrder: string, viewMode: string}}
+ */
+export function parseFeedbackView(searchParams) {
+  const sortBy = searchParams.get("sortBy");
+  const sortOrder = searchParams.get("sortOrder");
+  const viewMode = searchParams.get("mode");
+
+  return {
+    filters: parseFeedbackFilters(searchParams),
+    sortBy: FEEDBACK_SORT_FIELDS.includes(sortBy) ? sortBy : DEFAULT_FEEDBACK_VIEW.sortBy,
+    sortOrder: ["asc", "desc"].includes(sortOrder) ? sortOrder : DEFAULT_FEEDBACK_VIEW.sortOrder,
+    viewMode: FEEDBACK_VIEW_MODES.includes(viewMode) ? viewMode : DEFAULT_FEEDBACK_VIEW.viewMode,
+  };
+}
+
+/**
+ * A view as URL search params - the feedback page's shareable URL.
+ * Only what differs from the defaults is included.
+ */
+export function feedbackViewToParams({ filters, sortBy, sortOrder, viewMode }) {
+  const params = feedbackFiltersToParams(filters);
+
+  if (sortBy && sortBy !== DEFAULT_FEEDBACK_VIEW.sortBy) params.set("sortBy", sortBy);
+  if (sortOrder && sortOrder !== DEFAULT_FEEDBACK_VIEW.sortOrder) params.set("sortOrder", sortOrder);
+  if (viewMode && viewMode !== DEFAULT_FEEDBACK_VIEW.viewMode) params.set("mode", viewMode);
+
+  return params;
+}
+
+/**
+ * Whether a feedback item (in the dashboard's shape: title, content, tags,
+ * category, priority, source, processed, status, assignee, duplicateOf,
+ * aiAnalysis, priorityFactors, submittedAt) passes the
+ * filters. The cluster filter needs the cluster's members, so it only applies
+ * on the server (applyFeedbackFilters in libs/database/db-utils.js).
+ */
+export function matchesFeedbackFilters(item, filters) {
+  // Search filter
+  if (filters.search) {
+    const searchTerm = filters.search.toLowerCase();
+    const matchesSearch =
+      item.title?.toLowerCase().includes(searchTerm) ||
+      item.content?.toLowerCase().includes(searchTerm) ||
+      item.tags?.some((tag) => tag.toLowerCase().includes(searchTerm));
+
+    if (!matchesSearch) return false;
+  }
+
+  // Category filter
+  if (filters.category !== "all" && item.category !== filters.category) {
+    return false;
+  }
+
+  // Priority filter
+  if (filters.priority !== "all" && item.priority !== filters.priority) {
+    return false;
+  }
+
+  // Source filter
+  if (filters.source !== "all" && item.source !== filters.source) {
+    return false;
+  }
+
+  // Processed filter
+  if (filters.processed !== "all") {
+    const isProcessed = item.processed === true;
+    if (filters.processed === "processed" && !isProcessed) return false;
+    if (filters.processed === "unprocessed" && isProcessed) return false;
+  }
+
+  // Triage status filter
+  if (filters.status && filters.status !== "all" && feedbackStatus(item) !== filters.status) {
+    return false;
+  }
+
+  // Assignee filter ("unassigned" = nobody)
+  if (filters.assignee) {
+    if (filters.assignee === UNASSIGNED ? item.assignee : item.assignee !== filters.assignee) return false;
+  }
+
+  // Duplicates filter
+  if (filters.duplicates === "canonical" && item.duplicateOf) return false;
+  if (filters.duplicates === "merged" && !item.duplicateOf) return false;
+
+  // Sentiment filter (from AI analysis)
+  if (filters.sentiment && filters.sentiment !== "all" && item.aiAnalysis?.sentiment !== filters.sentiment) {
+    return false;
+  }
+
+  // Customer filter (MRR of the customers who reported it)
+  if (filters.customer === "paying" && !(item.priorityFactors?.mrr > 0)) {
+    return false;
+  }
+
+  // Tag filter (exact tag)
+  if (filters.tag && !item.tags?.includes(filters.tag)) {
+    return false;
+  }
+
+  // Date range filter
+  if (filters.from || filters.to) {
+    const { from, to } = feedbackDateRange(filters);
+    const submittedAt = new Date(item.submittedAt).toISOString();
+    if (from && submittedAt < from) return false;
+    if (to && submittedAt >= to) return false;
+  }
+
+  return true;
+}
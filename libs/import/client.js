@@ -0,0 +1,193 @@
+// Browser-side parsing of feedback import files (see /api/feedback/imports)
+
+// Field → column names that usually hold it, for the suggested mapping
+const COLUMN_HINTS = {
+  content: ["content", "description", "body", "message", "text", "comment", "feedback", "answer", "details"],
+  title: ["title", "subject", "summary", "name", "headline"],
+  source: ["source", "channel", "platform", "via"],
+  priority: ["priority", "severity", "urgency"],
+  category: ["category", "type", "kind"],
+  tags: ["tags", "labels", "label", "tag"],
+  userEmail: ["useremail", "user_email", "email", "requester", "requester_email", "customer_email", "author_email"],
+  date: ["date", "created_at", "createdat", "created", "timestamp", "submitted_at", "time"],
+};
+
+/**
+ * Format from the file name, falling back to the first character of the text
+ */
+export function detectFormat(fileName, text) {
+  const extension = (fileName || "").split(".").pop().toLowerCase();
+  if (["csv", "tsv", "txt"].includes(extension)) return "csv";
+  if (["jsonl", "ndjson"].includes(extension)) return "jsonl";
+  if (extension === "json") return "json";
+
+  const start = (text || "").trimStart();
+  if (start.startsWith("[")) return "json";
+  if (start.startsWith("{")) return start.split("\n")[0].trim().endsWith("}") ? "jsonl" : "json";
+  return "csv";
+}
+
+// The delimiter that splits the header line into the most columns
+function detectDelimiter(headerLine) {
+  const counts = [",", ";", "\t"].map((delimiter) => [delimiter, headerLine.split(delimiter).length]);
+  return counts.sort((a, b) => b[1] - a[1])[0][0];
+}
+
+/**
+ * CSV text → records keyed by the header row. Handles quoted fields with
+ * delimiters, quotes ("") and line breaks; comma, semicolon or tab separated.
+ */
+export function parseCsv(text) {
+  const source = text.replace(/^﻿/, "");
+  const delimiter = detectDelimiter(source.split(/\r?\n/)[0] || "");
+
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === "") {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && source[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [header = [], ...data] = rows.filter((cells) => cells.some((cell) => cell.trim() !== ""));
+  const columns = header.map((name, index) => name.trim() || `Column ${index + 1}`);
+
+  return data.map((cells) =>
+    Object.fromEntries(columns.map((column, index) => [column, cells[index] ?? ""]))
+  );
+}
+
+/**
+ * JSON text → records: an array, or the first array property ({ "tickets": [...] })
+ */
+export function parseJson(text) {
+  const data = JSON.parse(text.replace(/^﻿/, ""));
+  if (Array.isArray(data)) return data;
+
+  const items = data && typeof data === "object"
+    ? Object.values(data).find((value) => Array.isArray(value))
+    : null;
+  if (!items) {
+    throw new Error("The JSON file must contain an array of feedback items");
+  }
+  return items;
+}
+
+/**
+ * JSON Lines text → records (one JSON object per line)
+ */
+export function parseJsonl(text) {
+  return text
+    .replace(/^﻿/, "")
+    .split(/\r?\n/)
+    .map((line, index) => ({ line: line.trim(), number: index + 1 }))
+    .filter(({ line }) => line)
+    .map(({ line, number }) => {
+      try {
+        return JSON.parse(line);
+      } catch (error) {
+        throw new Error(`Line ${number} is not valid JSON`);
+      }
+    });
+}
+
+/**
+ * Read and parse an import file
+ * @param {File} file
+ * @returns {Promise<{format: string, records: Object[], columns: string[], fingerprint: string}>}
+ */
+export async function parseImportFile(file) {
+  const text = await file.text();
+  const format = detectFormat(file.name, text);
+
+  let records;
+  try {
+    records = format === "csv" ? parseCsv(text) : format === "jsonl" ? parseJsonl(text) : parseJson(text);
+  } catch (error) {
+    throw new Error(`Could not read ${file.name}: ${error.message}`);
+  }
+
+  return {
+    format,
+    records,
+    columns: listColumns(records),
+    // Recognizes the same file when an interrupted import is resumed
+    fingerprint: `${file.name}:${file.size}:${file.lastModified}:${records.length}`,
+  };
+}
+
+/**
+ * Column names of the records; nested JSON objects as dot paths ("user.email")
+ */
+export function listColumns(records, { sample = 200 } = {}) {
+  const columns = new Set();
+
+  const visit = (value, prefix) => {
+    Object.entries(value).forEach(([key, child]) => {
+      const path = prefix ? `${prefix}.${key}` : key;
+      if (child && typeof child === "object" && !Array.isArray(child)) {
+        visit(child, path);
+      } else {
+        columns.add(path);
+      }
+    });
+  };
+
+  records.slice(0, sample).forEach((record) => {
+    if (record && typeof record === "object" && !Array.isArray(record)) visit(record, "");
+  });
+
+  return [...columns];
+}
+
+/**
+ * Best guess of the column for each field, by column name
+ * @returns {Object} { content: "Description", date: "Created at", ... }
+ */
+export function suggestMapping(columns) {
+  const normalized = columns.map((column) => [column, column.toLowerCase().replace(/[\s.-]+/g, "_")]);
+  const mapping = {};
+  const used = new Set();
+
+  Object.entries(COLUMN_HINTS).forEach(([field, hints]) => {
+    for (const hint of hints) {
+      const match = normalized.find(([column, name]) => !used.has(column) && (name === hint || name.endsWith(`_${hint}`)));
+      if (match) {
+        mapping[field] = match[0];
+        used.add(match[0]);
+        return;
+      }
+    }
+  });
+
+  return mapping;
+}
@@ -0,0 +1,242 @@
+/**
+ * Bulk import of historical feedback (CSV, JSON, JSONL)
+ *
+ * The browser parses the file (libs/import/client.js) and sends its records in
+ * chunks to POST /api/feedback/imports/:id/rows. Each chunk is mapped with the
+ * import's column mapping, validated like the dashboard form, checked against
+ * existing feedback and inserted in batches. The import row keeps the progress,
+ * so an interrupted upload continues at processed_rows.
+ */
+
+import crypto from "crypto";
+import { validateFeedback } from "../validation/validators.js";
+import { createValidationError } from "../errors/error-handler.js";
+import { feedbackDB } from "../database/db-utils.js";
+import { mapItem, DEFAULT_VALUES } from "../ingest/index.js";
+
+export const IMPORT_FORMATS = ["csv", "json", "jsonl"];
+export const IMPORT_FIELDS = ["title", "content", "source", "priority", "category", "tags", "userEmail", "date"];
+
+export const MAX_IMPORT_ROWS = 50000;
+export const MAX_CHUNK_ROWS = 500;
+const INSERT_BATCH_SIZE = 100;
+const MAX_STORED_ERRORS = 500;
+
+// Dates more than a day ahead are typos (or a day/month mix-up)
+const MAX_FUTURE_MS = 24 * 60 * 60 * 1000;
+
+export const IMPORT_COLUMNS =
+  "id, file_name, file_fingerprint, format, total_rows, mapping, status, processed_rows, created_count, duplicate_count, error_count, errors, created_at, updated_at, completed_at";
+
+/**
+ * Hash of the content with whitespace collapsed - the same as the generated
+ * raw_feedback.content_hash column (FEEDBACK_IMPORTS_TABLE.sql)
+ */
+export function contentHash(content) {
+  const normalized = String(content || "").replace(/\s+/g, " ").trim();
+  return crypto.createHash("md5").update(normalized, "utf8").digest("hex");
+}
+
+/**
+ * Validate a new import: file details and the column for each field
+ * @returns {Object} Columns to save
+ */
+export function validateImportRequest(data) {
+  const errors = [];
+
+  const fileName = typeof data.fileName === "string" ? data.fileName.trim() : "";
+  if (fileName.length < 1 || fileName.length > 255) errors.push("File name must be 1-255 characters");
+
+  const fingerprint = typeof data.fingerprint === "string" ? data.fingerprint.slice(0, 500) : "";
+  if (!fingerprint) errors.push("File fingerprint is required");
+
+  if (!IMPORT_FORMATS.includes(data.format)) errors.push(`Format must be one of: ${IMPORT_FORMATS.join(", ")}`);
+
+  const totalRows = Number(data.totalRows);
+  if (!Number.isInteger(totalRows) || totalRows < 1 || totalRows > MAX_IMPORT_ROWS) {
+    errors.push(`The file must have 1-${MAX_IMPORT_ROWS} rows`);
+  }
+
+  const fields = {};
+  Object.entries(data.mapping || {}).forEach(([field, column]) => {
+    if (!IMPORT_FIELDS.includes(field)) {
+      errors.push(`Unknown field "${field}"`);
+    } else if (typeof column === "string" && column.trim()) {
+      fields[field] = column.trim();
+    }
+  });
+  if (!fields.content) errors.push("Choose the column with the feedback content");
+
+  const defaults = { ...DEFAULT_VALUES };
+  Object.entries(data.defaults || {}).forEach(([field, value]) => {
+    if (field in DEFAULT_VALUES && typeof value === "string") defaults[field] = value;
+  });
+
+  if (errors.length > 0) {
+    throw createValidationError(errors.join(", "), errors);
+  }
+
+  return {
+    file_name: fileName,
+    file_fingerprint: fingerprint,
+    format: data.format,
+    total_rows: totalRows,
+    mapping: { fields, defaults },
+  };
+}
+
+/**
+ * Date cell → ISO timestamp: ISO/RFC strings, "2024-03-01", or unix seconds/milliseconds
+ * @returns {string|null} null for an empty cell
+ */
+export function parseImportDate(value) {
+  if (value === null || value === undefined || value === "") return null;
+
+  let date;
+  const text = String(value).trim();
+  if (/^\d{9,13}$/.test(text)) {
+    const number = Number(text);
+    date = new Date(text.length <= 10 ? number * 1000 : number);
+  } else {
+    date = new Date(text);
+  }
+
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`Date "${text.slice(0, 40)}" is not a valid date`);
+  }
+  if (date.getTime() > Date.now() + MAX_FUTURE_MS) {
+    throw new Error(`Date "${text.slice(0, 40)}" is in the future`);
+  }
+
+  return date.toISOString();
+}
+
+/**
+ * One file record → raw_feedback row (throws with the row's errors)
+ */
+function buildImportRow(record, feedbackImport, rowNumber) {
+  if (!record || typeof record !== "object" || Array.isArray(record)) {
+    throw createValidationError("Row must be an object", ["Row must be an object"]);
+  }
+
+  const { fields, defaults } = feedbackImport.mapping || {};
+  const mapped = mapItem(record, { field_mapping: { ...fields, externalId: null }, defaults });
+  // Tickets often start with "Hi," - use the start of the text as the title then
+  if (!mapped.title || mapped.title.trim().length < 3) {
+    const text = (mapped.content || "").replace(/\s+/g, " ").trim();
+    mapped.title = text.length > 80 ? `${text.slice(0, 79).trimEnd()}…` : text;
+  }
+  const sanitized = validateFeedback({ ...mapped, metadata: null });
+
+  let createdAt = null;
+  if (fields?.date) {
+    try {
+      createdAt = parseImportDate(record[fields.date]);
+    } catch (error) {
+      throw createValidationError(error.message, [error.message]);
+    }
+  }
+
+  const row = {
+    user_id: feedbackImport.user_id,
+    platform: sanitized.source,
+    content: sanitized.content,
+    metadata: {
+      title: sanitized.title.trim(),
+      priority: sanitized.priority,
+      category: sanitized.category,
+      userEmail: sanitized.userEmail || null,
+      tags: sanitized.tags,
+      import: {
+        import_id: feedbackImport.id,
+        file_name: feedbackImport.file_name,
+        row: rowNumber,
+      },
+    },
+    processed: false,
+  };
+  if (createdAt) row.created_at = createdAt;
+
+  return row;
+}
+
+/**
+ * Import one chunk of records starting at `offset` (0-based record index).
+ * Rows whose content already exists for the user, or appears earlier in the
+ * file, are skipped as duplicates.
+ * @returns {Promise<{createdIds: string[], duplicates: number, errors: Array<{row: number, errors: string[]}>}>}
+ */
+export async function importChunk(supabase, feedbackImport, records, { offset, db = feedbackDB.instance }) {
+  const errors = [];
+  const candidates = [];
+
+  records.forEach((record, index) => {
+    // Row numbers as people see them: the first data row is 1
+    const rowNumber = offset + index + 1;
+    try {
+      const row = buildImportRow(record, feedbackImport, rowNumber);
+      candidates.push({ row, hash: contentHash(row.content) });
+    } catch (error) {
+      errors.push({ row: rowNumber, errors: error.details || [error.message] });
+    }
+  });
+
+  const existing = new Set();
+  const hashes = [...new Set(candidates.map((candidate) => candidate.hash))];
+  for (let start = 0; start < hashes.length; start += INSERT_BATCH_SIZE) {
+    const { data, error } = await supabase
+      .from("raw_feedback")
+      .select("content_hash")
+      .eq("user_id", feedbackImport.user_id)
+      .in("content_hash", hashes.slice(start, start + INSERT_BATCH_SIZE));
+
+    if (error) {
+      throw new Error(`Failed to check existing feedback: ${error.message}`);
+    }
+    (data || []).forEach((row) => existing.add(row.content_hash));
+  }
+
+  const rows = [];
+  let duplicates = 0;
+  candidates.forEach((candidate) => {
+    if (existing.has(candidate.hash)) {
+      duplicates++;
+      return;
+    }
+    existing.add(candidate.hash);
+    rows.push(candidate.row);
+  });
+
+  const createdIds = [];
+  for (let start = 0; start < rows.length; start += INSERT_BATCH_SIZE) {
+    const created = await db.batchCreate(
+      "raw_feedback",
+      rows.slice(start, start + INSERT_BATCH_SIZE),
+      "Import feedback"
+    );
+    createdIds.push(...created.map((row) => row.id));
+  }
+
+  return { createdIds, duplicates, errors };
+}
+
+/**
+ * Import progress after a chunk
+ * @returns {Object} Columns to update
+ */
+export function importProgress(feedbackImport, processedCount, { createdIds, duplicates, errors }) {
+  const processedRows = feedbackImport.processed_rows + processedCount;
+  const completed = processedRows >= feedbackImport.total_rows;
+  const now = new Date().toISOString();
+
+  return {
+    processed_rows: processedRows,
+    created_count: feedbackImport.created_count + createdIds.length,
+    duplicate_count: feedbackImport.duplicate_count + duplicates,
+    error_count: feedbackImport.error_count + errors.length,
+    errors: [...(feedbackImport.errors || []), ...errors].slice(0, MAX_STORED_ERRORS),
+    status: completed ? "completed" : "in_progress",
+    completed_at: completed ? now : null,
+    updated_at: now,
+  };
+}
@@ -0,0 +1,142 @@
+import { prepareIngestBatch } from "../index.js";
+
+const endpoint = {
+  id: "ep1",
+  user_id: "user1",
+  name: "Typeform",
+  field_mapping: {},
+  defaults: {},
+};
+
+// Supabase client whose raw_feedback already holds the given rows
+function fakeSupabase(storedRows = [], error = null) {
+  const queries = [];
+  return {
+    queries,
+    from(table) {
+      const query = { table, filters: [] };
+      queries.push(query);
+      const builder = {
+        select: () => builder,
+        eq: (column, value) => {
+          query.filters.push(["eq", column, value]);
+          return builder;
+        },
+        in: (column, values) => {
+          query.filters.push(["in", column, values]);
+          const data = storedRows.filter((row) => values.includes(row[column]));
+          return Promise.resolve(error ? { data: null, error } : { data, error: null });
+        },
+      };
+      return builder;
+    },
+  };
+}
+
+const item = (overrides = {}) => ({
+  title: "Export fails",
+  content: "Exporting a board to CSV times out",
+  ...overrides,
+});
+
+describe("prepareIngestBatch", () => {
+  it("maps valid items to feedback rows", async () => {
+    const supabase = fakeSupabase();
+    const { rows, results } = await prepareIngestBatch(supabase, endpoint, [
+      item({ id: "r1", priority: "HIGH", category: "bug", tags: "export, csv", userEmail: "ana@acme.com" }),
+    ]);
+
+    expect(results).toEqual([]);
+    expect(rows).toEqual([
+      {
+        index: 0,
+        sourceId: "ingest:ep1:r1",
+        row: {
+          user_id: "user1",
+          platform: "other",
+          source_id: "ingest:ep1:r1",
+          content: "Exporting a board to CSV times out",
+          metadata: {
+            title: "Export fails",
+            priority: "high",
+            category: "bug",
+            userEmail: "ana@acme.com",
+            tags: ["export", "csv"],
+            ingest: { endpoint_id: "ep1", endpoint_name: "Typeform", external_id: "r1" },
+          },
+          processed: false,
+        },
+      },
+    ]);
+    expect(supabase.queries[0].filters).toEqual([
+      ["eq", "user_id", "user1"],
+      ["in", "source_id", ["ingest:ep1:r1"]],
+    ]);
+  });
+
+  it("keeps the validated fields over the item's metadata", async () => {
+    const { rows } = await prepareIngestBatch(fakeSupabase(), endpoint, [
+      item({
+        id: "r1",
+        priority: "low",
+        metadata: {
+          plan: "pro",
+          priority: "urgent",
+          userEmail: "ceo@acme.com",
+          ingest: { endpoint_id: "other" },
+        },
+      }),
+    ]);
+
+    expect(rows[0].row.metadata).toMatchObject({
+      plan: "pro",
+      priority: "low",
+      userEmail: null,
+      ingest: { endpoint_id: "ep1", endpoint_name: "Typeform", external_id: "r1" },
+    });
+  });
+
+  it("reports invalid items by index", async () => {
+    const { rows, results } = await prepareIngestBatch(fakeSupabase(), endpoint, [
+      "text",
+      item({ content: "short" }),
+      item(),
+    ]);
+
+    expect(rows.map((row) => row.index)).toEqual([2]);
+    expect(results).toEqual([
+      { index: 0, status: "invalid", errors: ["Item must be a JSON object"] },
+      { index: 1, status: "invalid", errors: [expect.stringContaining("content")] },
+    ]);
+  });
+
+  it("skips items that were delivered before or repeat in the batch", async () => {
+    const supabase = fakeSupabase([{ id: "f1", source_id: "ingest:ep1:r1" }]);
+    const { rows, results } = await prepareIngestBatch(supabase, endpoint, [
+      item({ id: "r1" }),
+      item({ id: "r2" }),
+      item({ id: "r2" }),
+      item(),
+      item(),
+    ]);
+
+    expect(rows.map((row) => row.index)).toEqual([1, 3, 4]);
+    expect(results).toEqual([
+      { index: 0, status: "duplicate", id: "f1" },
+      { index: 2, status: "duplicate", id: null },
+    ]);
+  });
+
+  it("doesn't query without external ids", async () => {
+    const supabase = fakeSupabase();
+    await prepareIngestBatch(supabase, endpoint, [item()]);
+    expect(supabase.queries).toEqual([]);
+  });
+
+  it("fails when existing feedback can't be read", async () => {
+    const supabase = fakeSupabase([], { message: "timeout" });
+    await expect(prepareIngestBatch(supabase, endpoint, [item({ id: "r1" })])).rejects.toThrow(
+      "Failed to check existing feedback: timeout"
+    );
+  });
+});
@@ -0,0 +1,374 @@
+/**
+ * Inbound feedback webhooks
+ *
+ * External tools POST JSON to /api/ingest/<token>. Each ingest endpoint maps
+ * payload fields onto the feedback form's fields (validateFeedback), so the
+ * items are stored and analyzed exactly like feedback added in the dashboard.
+ */
+
+import crypto from "crypto";
+import { validateFeedback, VALIDATION_RULES } from "../validation/validators.js";
+import { createValidationError } from "../errors/error-handler.js";
+
+export const MAX_BATCH_SIZE = 100;
+export const MAX_BODY_BYTES = 1024 * 1024;
+// Signed requests older than this are rejected (replay protection)
+export const SIGNATURE_TOLERANCE_SECONDS = 5 * 60;
+
+// Header with the request timestamp that is signed along with the body
+export const TIMESTAMP_HEADER = "x-feedbackspec-timestamp";
+// Our header first; GitHub and Typeform style headers work for tools that sign their own way
+export const SIGNATURE_HEADERS = ["x-feedbackspec-signature", "x-hub-signature-256", "typeform-signature"];
+
+export const MAPPED_FIELDS = ["title", "content", "source", "priority", "category", "userEmail", "tags", "externalId"];
+
+// Used for every field the endpoint does not map: the payload already has the form's shape
+export const DEFAULT_FIELD_MAPPING = {
+  title: "title",
+  content: "content",
+  source: "source",
+  priority: "priority",
+  category: "category",
+  userEmail: "userEmail",
+  tags: "tags",
+  externalId: "id",
+};
+
+export const DEFAULT_VALUES = {
+  source: "other",
+  priority: "medium",
+  category: "other",
+};
+
+const TITLE_MAX_LENGTH = 80;
+
+// Endpoint columns returned to the dashboard (no token hash)
+export const INGEST_ENDPOINT_COLUMNS =
+  "id, name, token_prefix, signing_secret, require_signature, field_mapping, defaults, enabled, items_received, last_used_at, created_at, updated_at";
+
+/**
+ * New endpoint token: the secret part of the endpoint URL
+ * @returns {{token: string, tokenHash: string, tokenPrefix: string}}
+ */
+export function generateIngestToken() {
+  const token = `fsi_${crypto.randomBytes(24).toString("base64url")}`;
+  return { token, tokenHash: hashIngestToken(token), tokenPrefix: token.slice(0, 10) };
+}
+
+export function hashIngestToken(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+/**
+ * Full webhook URL for a token (only known right after it was created or rotated)
+ */
+export function ingestUrl(request, token) {
+  return `${new URL(request.url).origin}/api/ingest/${token}`;
+}
+
+export function generateSigningSecret() {
+  return `whsec_${crypto.randomBytes(24).toString("hex")}`;
+}
+
+const MAX_PATH_LENGTH = 200;
+const MAX_METADATA_FIELDS = 20;
+
+function validPath(path) {
+  return typeof path === "string" && path.trim().length > 0 && path.length <= MAX_PATH_LENGTH;
+}
+
+/**
+ * Validate endpoint settings from the dashboard (only the fields that were sent)
+ * @returns {Object} Columns to save: name, field_mapping, defaults, require_signature, enabled
+ */
+export function validateEndpointSettings(data) {
+  const settings = {};
+  const errors = [];
+
+  if (data.name !== undefined) {
+    const name = typeof data.name === "string" ? data.name.trim() : "";
+    if (name.length < 1 || name.length > 100) errors.push("Name must be 1-100 characters");
+    settings.name = name;
+  }
+
+  if (data.fieldMapping !== undefined) {
+    const mapping = data.fieldMapping || {};
+    const fieldMapping = {};
+
+    if (typeof mapping !== "object" || Array.isArray(mapping)) {
+      errors.push("Field mapping must be an object");
+    } else {
+      Object.entries(mapping).forEach(([field, path]) => {
+        if (field === "metadata") {
+          const entries = Object.entries(path || {});
+          if (typeof path !== "object" || Array.isArray(path) || entries.length > MAX_METADATA_FIELDS ||
+            !entries.every(([, metadataPath]) => validPath(metadataPath))) {
+            errors.push(`Metadata mapping must be an object of at most ${MAX_METADATA_FIELDS} paths`);
+          } else {
+            fieldMapping.metadata = Object.fromEntries(entries.map(([key, metadataPath]) => [key, metadataPath.trim()]));
+          }
+        } else if (![...MAPPED_FIELDS, "items"].includes(field)) {
+          errors.push(`Unknown mapped field: ${field}`);
+        } else if (path !== null && path !== "" && !validPath(path)) {
+          errors.push(`Path for ${field} must be a string of at most ${MAX_PATH_LENGTH} characters`);
+        } else if (path) {
+          fieldMapping[field] = path.trim();
+        }
+      });
+    }
+    settings.field_mapping = fieldMapping;
+  }
+
+  if (data.defaults !== undefined) {
+    const defaults = {};
+    Object.entries(data.defaults || {}).forEach(([field, value]) => {
+      if (!Object.keys(DEFAULT_VALUES).includes(field)) {
+        errors.push(`Defaults can only set ${Object.keys(DEFAULT_VALUES).join(", ")}`);
+      } else if (!VALIDATION_RULES.feedback[field].enum.includes(value)) {
+        errors.push(`Default ${field} must be one of: ${VALIDATION_RULES.feedback[field].enum.join(", ")}`);
+      } else {
+        defaults[field] = value;
+      }
+    });
+    settings.defaults = defaults;
+  }
+
+  if (data.requireSignature !== undefined) settings.require_signature = data.requireSignature === true;
+  if (data.enabled !== undefined) settings.enabled = data.enabled !== false;
+
+  if (errors.length > 0) {
+    throw createValidationError(errors.join(", "), errors);
+  }
+
+  return settings;
+}
+
+/**
+ * Endpoint for a URL token (null if unknown)
+ * @param {Object} supabase - Service role client
+ */
+export async function findIngestEndpoint(supabase, token) {
+  if (!token || typeof token !== "string") return null;
+
+  const { data, error } = await supabase
+    .from("ingest_endpoints")
+    .select("*")
+    .eq("token_hash", hashIngestToken(token))
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to look up ingest endpoint: ${error.message}`);
+  }
+
+  return data || null;
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(a);
+  const right = Buffer.from(b);
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+/**
+ * Check the HMAC-SHA256 signature of a raw request body.
+ * With a timestamp header `<timestamp>.<body>` is signed, otherwise the body;
+ * the digest may be hex or base64, with or without a "sha256=" prefix.
+ * @param {Headers} headers
+ * @returns {{valid: boolean, signed: boolean, reason?: string}}
+ */
+export function verifySignature(secret, rawBody, headers, { now = Date.now() } = {}) {
+  const header = SIGNATURE_HEADERS.map((name) => headers.get(name)).find(Boolean);
+  if (!header) {
+    return { valid: false, signed: false, reason: "Missing signature" };
+  }
+
+  const timestamp = headers.get(TIMESTAMP_HEADER);
+  if (timestamp) {
+    const age = Math.abs(now / 1000 - Number(timestamp));
+    if (!Number.isFinite(age) || age > SIGNATURE_TOLERANCE_SECONDS) {
+      return { valid: false, signed: true, reason: "Signature timestamp is too old" };
+    }
+  }
+
+  const hmac = crypto.createHmac("sha256", secret).update(timestamp ? `${timestamp}.${rawBody}` : rawBody);
+  const digest = hmac.digest();
+  const signature = header.trim().replace(/^sha256=/, "");
+
+  const valid = safeEqual(signature, digest.toString("hex")) || safeEqual(signature, digest.toString("base64"));
+  return valid ? { valid: true, signed: true } : { valid: false, signed: true, reason: "Invalid signature" };
+}
+
+/**
+ * Value at a dot path ("form_response.answers.0.text") of an object.
+ * A key that itself contains dots (a CSV column "user.email") is matched first.
+ */
+export function getPath(value, path) {
+  if (!path || typeof path !== "string") return undefined;
+  if (value && typeof value === "object" && Object.prototype.hasOwnProperty.call(value, path)) {
+    return value[path];
+  }
+
+  return path.split(".").reduce((current, key) => {
+    if (current === null || current === undefined) return undefined;
+    return current[key];
+  }, value);
+}
+
+/**
+ * Items of a request body: a JSON array, the array at the mapping's `items`
+ * path (e.g. "data.responses"), an `items` array, or a single object
+ */
+export function extractItems(body, mapping = {}) {
+  if (Array.isArray(body)) return body;
+
+  const items = mapping.items ? getPath(body, mapping.items) : body?.items;
+  if (Array.isArray(items)) return items;
+
+  return body && typeof body === "object" ? [body] : [];
+}
+
+function asText(value) {
+  if (value === null || value === undefined) return undefined;
+  if (typeof value === "string") return value;
+  if (typeof value === "number" || typeof value === "boolean") return String(value);
+  return undefined;
+}
+
+// Enum fields take the default when the payload has a value the form does not know
+function enumValue(value, field, fallback) {
+  const text = asText(value)?.trim().toLowerCase();
+  return text && VALIDATION_RULES.feedback[field].enum.includes(text) ? text : fallback;
+}
+
+function titleFromContent(content) {
+  const firstLine = (content || "").trim().split("\n")[0].trim();
+  return firstLine.length > TITLE_MAX_LENGTH ? `${firstLine.slice(0, TITLE_MAX_LENGTH - 1).trimEnd()}…` : firstLine;
+}
+
+/**
+ * Payload item → feedback form fields (before validation)
+ * @param {Object} endpoint - ingest_endpoints row
+ */
+export function mapItem(item, endpoint) {
+  const mapping = { ...DEFAULT_FIELD_MAPPING, ...(endpoint.field_mapping || {}) };
+  const defaults = { ...DEFAULT_VALUES, ...(endpoint.defaults || {}) };
+  const read = (field) => getPath(item, mapping[field]) ?? defaults[field];
+
+  const content = asText(read("content"));
+  const rawTags = read("tags");
+  const tags = Array.isArray(rawTags)
+    ? rawTags.map(asText).filter(Boolean)
+    : (asText(rawTags) || "").split(",");
+
+  // Mapped metadata fields, or the item's own metadata object
+  let metadata = null;
+  if (mapping.metadata && typeof mapping.metadata === "object") {
+    metadata = {};
+    Object.entries(mapping.metadata).forEach(([key, path]) => {
+      const value = getPath(item, path);
+      if (value !== undefined) metadata[key] = value;
+    });
+  } else if (item?.metadata && typeof item.metadata === "object" && !Array.isArray(item.metadata)) {
+    metadata = item.metadata;
+  }
+
+  return {
+    title: asText(read("title")) || titleFromContent(content),
+    content,
+    source: enumValue(read("source"), "source", defaults.source),
+    priority: enumValue(read("priority"), "priority", defaults.priority),
+    category: enumValue(read("category"), "category", defaults.category),
+    userEmail: asText(read("userEmail"))?.trim() || null,
+    tags: [...new Set(tags.map((tag) => tag.trim()).filter(Boolean))],
+    metadata,
+    externalId: asText(getPath(item, mapping.externalId)) || null,
+  };
+}
+
+/**
+ * Source id of an item with an external id - retried deliveries are recognized by it
+ */
+export function ingestSourceId(endpoint, externalId) {
+  return externalId ? `ingest:${endpoint.id}:${externalId}` : null;
+}
+
+/**
+ * Map and validate a batch, and drop items that were delivered before.
+ * @returns {Promise<{rows: Object[], results: Object[]}>} rows to insert (with
+ *   the index of their item) and a result for every item that is not inserted
+ */
+export async function prepareIngestBatch(supabase, endpoint, items) {
+  const results = [];
+  const candidates = [];
+
+  items.forEach((item, index) => {
+    if (!item || typeof item !== "object" || Array.isArray(item)) {
+      results.push({ index, status: "invalid", errors: ["Item must be a JSON object"] });
+      return;
+    }
+
+    const mapped = mapItem(item, endpoint);
+    let sanitized;
+    try {
+      sanitized = validateFeedback(mapped);
+    } catch (error) {
+      results.push({ index, status: "invalid", errors: error.details || [error.message] });
+      return;
+    }
+
+    candidates.push({
+      index,
+      sourceId: ingestSourceId(endpoint, mapped.externalId),
+      row: {
+        user_id: endpoint.user_id,
+        platform: sanitized.source,
+        source_id: ingestSourceId(endpoint, mapped.externalId),
+        content: sanitized.content.trim(),
+        // The item's own metadata goes first so it can't replace the validated fields
+        metadata: {
+          ...(sanitized.metadata || {}),
+          title: sanitized.title.trim(),
+          priority: sanitized.priority,
+          category: sanitized.category,
+          userEmail: sanitized.userEmail || null,
+          tags: sanitized.tags,
+          ingest: {
+            endpoint_id: endpoint.id,
+            endpoint_name: endpoint.name,
+            external_id: mapped.externalId,
+          },
+        },
+        processed: false,
+      },
+    });
+  });
+
+  // Deliveries that were already stored (webhook retries) and repeats within the batch
+  const sourceIds = candidates.map((candidate) => candidate.sourceId).filter(Boolean);
+  const existing = new Map();
+  if (sourceIds.length > 0) {
+    const { data, error } = await supabase
+      .from("raw_feedback")
+      .select("id, source_id")
+      .eq("user_id", endpoint.user_id)
+      .in("source_id", sourceIds);
+
+    if (error) {
+      throw new Error(`Failed to check existing feedback: ${error.message}`);
+    }
+    (data || []).forEach((row) => existing.set(row.source_id, row.id));
+  }
+
+  const rows = [];
+  const seen = new Set();
+  candidates.forEach((candidate) => {
+    if (candidate.sourceId && (existing.has(candidate.sourceId) || seen.has(candidate.sourceId))) {
+      results.push({ index: candidate.index, status: "duplicate", id: existing.get(candidate.sourceId) || null });
+      return;
+    }
+    if (candidate.sourceId) seen.add(candidate.sourceId);
+    rows.push(candidate);
+  });
+
+  return { rows, results };
+}
@@ -0,0 +1,37 @@
+// Browser-side helper for polling background jobs (see /api/jobs)
+
+const PENDING_STATUSES = ["queued", "running"];
+
+/**
+ * Poll until none of the given jobs is queued or running
+ * @param {string[]} jobIds
+ * @param {Object} options
+ * @param {number} options.intervalMs - Delay between polls
+ * @param {number} options.timeoutMs - Give up after this long and return the last known state
+ * @returns {Promise<Object[]>} Latest job states
+ */
+export async function waitForJobs(jobIds, { intervalMs = 1500, timeoutMs = 60000 } = {}) {
+  const ids = (jobIds || []).filter(Boolean);
+  if (ids.length === 0) return [];
+
+  const deadline = Date.now() + timeoutMs;
+  let jobs = [];
+
+  while (Date.now() < deadline) {
+    const response = await fetch(`/api/jobs?ids=${ids.map(encodeURIComponent).join(",")}`);
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+
+    const result = await response.json();
+    jobs = result.data || [];
+
+    if (!jobs.some((job) => PENDING_STATUSES.includes(job.status))) {
+      return jobs;
+    }
+
+    await new Promise((resolve) => setTimeout(resolve, intervalMs));
+  }
+
+  return jobs;
+}
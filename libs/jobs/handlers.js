@@ -0,0 +1,481 @@
+import { generateSpecWithTemplate } from "../ai/index.js";
+import { openAIClient } from "../ai/openai-client.js";
+import { EnhancedFeedbackAnalyzer } from "../ai/enhanced-analyzer.js";
+import { feedbackClusterer } from "../ai/feedback-clusterer.js";
+import {
+  createDatabaseError,
+  createExternalServiceError,
+  createValidationError,
+} from "../errors/error-handler.js";
+import { integrationSyncService } from "../services/integration-sync.js";
+import { clusterSpecFeedback } from "../search/index.js";
+import { detectDuplicate, withReportCounts } from "../duplicates/index.js";
+import { updatePriorityScores } from "../scoring/index.js";
+import { resolveSpecTemplate } from "../spec-templates/index.js";
+import { feedbackSpecInput, saveSpecVersion } from "../specs/index.js";
+import { syncSpecIssues } from "../trackers/index.js";
+import { jobQueue, isRetryableError, JOB_TYPES } from "./queue.js";
+
+/**
+ * Job handlers, keyed by job type.
+ *
+ * Each handler receives the claimed job and a context with the worker's
+ * (service role) Supabase client, so every query must be scoped to
+ * job.user_id, and an AbortSignal that fires when the job's timeout passes.
+ * Handlers check it before each write and pass it to long loops, so a
+ * timed-out attempt stops instead of racing its retry. The return value is
+ * stored as the job result.
+ */
+
+async function requireAI(supabase, userId) {
+  await openAIClient.configureForUser(supabase, userId);
+  if (!openAIClient.isConfigured(userId)) {
+    throw createExternalServiceError("openai", "AI provider is not configured");
+  }
+}
+
+async function fetchFeedback(supabase, userId, feedbackId) {
+  const { data, error } = await supabase
+    .from("raw_feedback")
+    .select("id, platform, content, metadata, ai_analysis, duplicate_of, duplicate_count")
+    .eq("id", feedbackId)
+    .eq("user_id", userId)
+    .maybeSingle();
+
+  if (error) {
+    throw createDatabaseError("Failed to fetch feedback", error.message);
+  }
+  if (!data) {
+    throw createValidationError("Feedback not found");
+  }
+
+  return data;
+}
+
+// Feedback items one analyze_import job works through before handing over to the next
+const IMPORT_ANALYSIS_BATCH_SIZE = 25;
+
+// Selected feedback sent to the LLM for a combined spec, in selection order
+const SELECTION_SPEC_FEEDBACK_LIMIT = 30;
+
+// Analyze one item and save the analysis
+async function analyzeAndSave(supabase, userId, feedback, signal) {
+  // Merged duplicates are a demand signal for the priority
+  const analyzer = new EnhancedFeedbackAnalyzer();
+  const analysis = await analyzer.analyzeFeedback(
+    feedback.content,
+    feedback.platform,
+    { ...(feedback.metadata || {}), reports: 1 + (feedback.duplicate_count || 0) },
+    userId
+  );
+
+  // The analyzer degrades to a placeholder analysis; retry instead of storing it
+  if (!analysis || analysis.error) {
+    throw createExternalServiceError("openai", analysis?.reasoning || "AI analysis returned no result");
+  }
+
+  signal?.throwIfAborted();
+  const { error: updateError } = await supabase
+    .from("raw_feedback")
+    .update({
+      ai_analysis: analysis,
+      updated_at: new Date().toISOString(),
+    })
+    .eq("id", feedback.id)
+    .eq("user_id", userId);
+
+  if (updateError) {
+    throw createDatabaseError("Failed to save AI analysis", updateError.message);
+  }
+
+  return analysis;
+}
+
+/**
+ * AI analysis of one feedback item, plus an optional duplicate check that
+ * merges near-duplicates into their canonical item (libs/duplicates)
+ * payload: { feedbackId, checkDuplicates? }
+ */
+async function analyzeFeedbackJob(job, { supabase, signal }) {
+  const userId = job.user_id;
+  const { feedbackId, checkDuplicates = false } = job.payload || {};
+
+  await requireAI(supabase, userId);
+  const feedback = await fetchFeedback(supabase, userId, feedbackId);
+
+  if (!feedback.content?.trim()) {
+    return { feedbackId, skipped: true, reason: "Empty content" };
+  }
+
+  const analysis = await analyzeAndSave(supabase, userId, feedback, signal);
+
+  let duplicateCheck = null;
+  if (checkDuplicates && !signal?.aborted) {
+    try {
+      // Compared with the whole history; a confident match links it to the canonical item
+      duplicateCheck = await detectDuplicate(supabase, userId, feedback);
+
+      // The canonical item has one more report now, so its priority is re-assessed
+      if (duplicateCheck.linkedTo) {
+        await jobQueue.enqueue(
+          supabase,
+          userId,
+          JOB_TYPES.ANALYZE_FEEDBACK,
+          { feedbackId: duplicateCheck.linkedTo },
+          { dedupeKey: duplicateCheck.linkedTo }
+        );
+      }
+    } catch (error) {
+      console.error("Warning: Duplicate check failed:", error.message);
+      // The analysis is saved - don't retry the whole job for this
+    }
+  }
+
+  // Urgency and sentiment are part of the score of the item's duplicate group
+  let scoring = null;
+  try {
+    scoring = await updatePriorityScores(supabase, userId, { feedbackIds: [feedbackId], signal });
+  } catch (error) {
+    console.error("Warning: Priority scoring failed:", error.message);
+  }
+
+  return { feedbackId, analysis, duplicateCheck, scoring };
+}
+
+/**
+ * AI analysis of the feedback an import created, IMPORT_ANALYSIS_BATCH_SIZE
+ * items per job. While items are left, each job queues the next one, so an
+ * import has one analysis job in the queue instead of one per row. An item
+ * whose analysis fails gets metadata.import.analysis_error and is left out of
+ * later batches; only when a whole batch fails is the job retried, as that
+ * points at the provider rather than the items.
+ * payload: { importId }
+ */
+async function analyzeImportJob(job, { supabase, signal }) {
+  const userId = job.user_id;
+  const { importId } = job.payload || {};
+
+  await requireAI(supabase, userId);
+
+  const { data: rows, error } = await supabase
+    .from("raw_feedback")
+    .select("id, platform, content, metadata, ai_analysis, duplicate_of, duplicate_count")
+    .eq("user_id", userId)
+    .filter("metadata->import->>import_id", "eq", importId)
+    .is("ai_analysis", null)
+    .is("metadata->import->>analysis_error", null)
+    .order("created_at", { ascending: true })
+    .limit(IMPORT_ANALYSIS_BATCH_SIZE);
+
+  if (error) {
+    throw createDatabaseError("Failed to fetch imported feedback", error.message);
+  }
+
+  const analyzedIds = [];
+  const failures = [];
+  for (const feedback of rows || []) {
+    if (signal?.aborted) break;
+    try {
+      await analyzeAndSave(supabase, userId, feedback, signal);
+      analyzedIds.push(feedback.id);
+    } catch (analysisError) {
+      if (signal?.aborted) break;
+      failures.push({ feedback, error: analysisError });
+    }
+  }
+
+  const firstError = failures[0]?.error;
+  if (analyzedIds.length === 0 && firstError && isRetryableError(firstError) && job.attempts < job.max_attempts) {
+    throw firstError;
+  }
+
+  for (const { feedback, error: analysisError } of failures) {
+    const metadata = feedback.metadata || {};
+    const { error: markError } = await supabase
+      .from("raw_feedback")
+      .update({
+        metadata: {
+          ...metadata,
+          import: { ...metadata.import, analysis_error: (analysisError.message || String(analysisError)).slice(0, 500) },
+        },
+      })
+      .eq("id", feedback.id)
+      .eq("user_id", userId);
+
+    if (markError) {
+      throw createDatabaseError("Failed to record the failed analysis", markError.message);
+    }
+  }
+
+  let scoring = null;
+  if (analyzedIds.length > 0) {
+    try {
+      scoring = await updatePriorityScores(supabase, userId, { feedbackIds: analyzedIds });
+    } catch (scoringError) {
+      console.error("Warning: Priority scoring failed:", scoringError.message);
+    }
+  }
+
+  let nextJob = null;
+  const handled = analyzedIds.length + failures.length;
+  if ((rows || []).length === IMPORT_ANALYSIS_BATCH_SIZE || handled < (rows || []).length) {
+    nextJob = await jobQueue.enqueue(supabase, userId, JOB_TYPES.ANALYZE_IMPORT, { importId }, { dedupeKey: importId });
+  }
+
+  return { importId, analyzed: analyzedIds.length, failed: failures.length, scoring, nextJobId: nextJob?.id || null };
+}
+
+/**
+ * Bring the user's stored clusters up to date
+ * payload: { rebuild? }
+ */
+async function updateClustersJob(job, { supabase, signal }) {
+  const userId = job.user_id;
+
+  await openAIClient.configureForUser(supabase, userId);
+  if (!openAIClient.isConfigured(userId)) {
+    return { skipped: true, reason: "AI provider not configured" };
+  }
+
+  const result = await feedbackClusterer.updateClusters(supabase, userId, {
+    rebuild: !!job.payload?.rebuild,
+    signal,
+  });
+
+  return { summary: result.summary, ungroupedCount: result.ungrouped?.length || 0 };
+}
+
+/**
+ * A new spec from feedback selected on the feedback page (bulk generate_spec)
+ * payload: { feedbackIds, theme, templateId? }
+ */
+async function generateSelectionSpec(job, { supabase, signal }) {
+  const userId = job.user_id;
+  const { feedbackIds, theme, templateId } = job.payload;
+
+  await requireAI(supabase, userId);
+  const template = await resolveSpecTemplate(supabase, userId, templateId);
+
+  const { data, error } = await supabase
+    .from("raw_feedback")
+    .select("id, content, metadata, duplicate_of, duplicate_count")
+    .eq("user_id", userId)
+    .in("id", feedbackIds);
+
+  if (error) {
+    throw createDatabaseError("Failed to fetch feedback", error.message);
+  }
+
+  const rowById = new Map((data || []).map((row) => [row.id, row]));
+  const rows = feedbackIds.map((id) => rowById.get(id)).filter(Boolean);
+  const texts = withReportCounts(rows).slice(0, SELECTION_SPEC_FEEDBACK_LIMIT);
+
+  if (texts.length === 0) {
+    throw createValidationError("None of the selected feedback was found");
+  }
+
+  const generated = await generateSpecWithTemplate(template, { theme, feedbackList: texts }, userId);
+  if (!generated.content) {
+    throw createExternalServiceError("openai", "AI service returned empty response");
+  }
+
+  signal?.throwIfAborted();
+  const { spec, version } = await saveSpecVersion(supabase, userId, {
+    title: `Spec for ${theme}`,
+    generated,
+    template,
+    feedbackIds: rows.map((row) => row.id),
+  });
+
+  return {
+    specId: spec.id,
+    version: version.version,
+    theme,
+    feedbackUsed: texts.length,
+    templateId: template?.id || null,
+    missingSections: generated.missingSections,
+  };
+}
+
+/**
+ * Specification for a stored cluster, or for selected feedback
+ * payload: { clusterId, theme?, feedbackList?, templateId? } - theme/feedbackList override what's stored
+ *   or { feedbackIds, theme, templateId? } (generateSelectionSpec)
+ */
+async function generateSpecJob(job, context) {
+  if (Array.isArray(job.payload?.feedbackIds)) {
+    return generateSelectionSpec(job, context);
+  }
+
+  const { supabase, signal } = context;
+  const userId = job.user_id;
+  const { clusterId, theme, feedbackList, templateId } = job.payload || {};
+
+  await requireAI(supabase, userId);
+  const template = await resolveSpecTemplate(supabase, userId, templateId);
+
+  const { data: cluster, error: clusterError } = await supabase
+    .from("feedback_clusters")
+    .select("id, cluster_data, feedback_ids, centroid")
+    .eq("id", clusterId)
+    .eq("user_id", userId)
+    .maybeSingle();
+
+  if (clusterError) {
+    throw createDatabaseError("Failed to fetch cluster", clusterError.message);
+  }
+  if (!cluster) {
+    throw createValidationError("Cluster not found");
+  }
+
+  const clusterTheme = theme || cluster.cluster_data?.theme || "Untitled";
+  let texts = Array.isArray(feedbackList) && feedbackList.length > 0 ? feedbackList : null;
+  let feedbackIds = [];
+
+  if (!texts) {
+    const rows = await clusterSpecFeedback(supabase, userId, cluster);
+    texts = withReportCounts(rows);
+    feedbackIds = rows.map((row) => row.id);
+  }
+
+  if (texts.length === 0) {
+    throw createValidationError("No feedback found for this cluster");
+  }
+
+  const generated = await generateSpecWithTemplate(template, { theme: clusterTheme, feedbackList: texts }, userId);
+  if (!generated.content) {
+    throw createExternalServiceError("openai", "AI service returned empty response");
+  }
+
+  signal?.throwIfAborted();
+  const { spec, version } = await saveSpecVersion(supabase, userId, {
+    clusterId: cluster.id,
+    title: `Spec for ${clusterTheme}`,
+    generated,
+    template,
+    feedbackIds,
+  });
+
+  return {
+    specId: spec.id,
+    version: version.version,
+    clusterId: cluster.id,
+    theme: clusterTheme,
+    feedbackUsed: texts.length,
+    templateId: template?.id || null,
+    missingSections: generated.missingSections,
+  };
+}
+
+/**
+ * Implementation specification for a single feedback item
+ * payload: { feedbackId, templateId? }
+ */
+async function generateIndividualSpecJob(job, { supabase, signal }) {
+  const userId = job.user_id;
+  const { feedbackId, templateId } = job.payload || {};
+
+  await requireAI(supabase, userId);
+  const template = await resolveSpecTemplate(supabase, userId, templateId);
+  const feedback = await fetchFeedback(supabase, userId, feedbackId);
+
+  const title = feedback.metadata?.title || "Untitled";
+  const generated = await generateSpecWithTemplate(template, feedbackSpecInput(feedback), userId);
+  if (!generated.content) {
+    throw createExternalServiceError("openai", "AI service returned empty response");
+  }
+
+  signal?.throwIfAborted();
+  const { spec, version } = await saveSpecVersion(supabase, userId, {
+    feedbackId,
+    title: `Spec for ${title}`,
+    generated,
+    template,
+    feedbackIds: [feedbackId],
+  });
+
+  return {
+    specId: spec.id,
+    version: version.version,
+    feedbackId,
+    templateId: template?.id || null,
+    missingSections: generated.missingSections,
+  };
+}
+
+/**
+ * Scheduled sync of one integration; new feedback is queued for analysis.
+ * Enqueued with a single attempt - the integration's own schedule backs off.
+ * payload: { integrationId }
+ */
+async function syncIntegrationJob(job, { supabase, signal }) {
+  const userId = job.user_id;
+  const { integrationId } = job.payload || {};
+
+  const { data: integration, error } = await supabase
+    .from("integrations")
+    .select("*")
+    .eq("id", integrationId)
+    .eq("user_id", userId)
+    .maybeSingle();
+
+  if (error) {
+    throw createDatabaseError("Failed to fetch integration", error.message);
+  }
+  if (!integration) {
+    throw createValidationError("Integration not found");
+  }
+  if (integration.status !== "connected") {
+    return { integrationId, skipped: true, reason: `Integration is ${integration.status}` };
+  }
+
+  const sync = await integrationSyncService.runSync(supabase, integration, { trigger: "schedule" });
+  if (sync.error) {
+    throw sync.error;
+  }
+
+  // Loaded lazily - index.js imports this module
+  const { enqueueImportedFeedback } = await import("./index.js");
+  // Edited items are re-analyzed along with the new ones
+  const queued = await enqueueImportedFeedback(supabase, userId, [...sync.importedIds, ...sync.updatedIds]);
+
+  return {
+    integrationId,
+    platform: integration.platform,
+    runId: sync.run?.id || null,
+    found: sync.found,
+    imported: sync.importedIds.length,
+    updated: sync.updatedIds.length,
+    analysisJobs: queued?.analysisJobs.length || 0,
+  };
+}
+
+/**
+ * Recompute priority scores (libs/scoring) - after customer changes, merges,
+ * or when stored scores are older than a day
+ * payload: { feedbackIds? } (all of the user's feedback without)
+ */
+async function updatePriorityScoresJob(job, { supabase, signal }) {
+  const feedbackIds = job.payload?.feedbackIds || null;
+  const result = await updatePriorityScores(supabase, job.user_id, { feedbackIds, signal });
+  return { ...result, full: !feedbackIds };
+}
+
+/**
+ * Sync the tracker state of the user's open spec issues (libs/trackers) -
+ * queued by /api/cron/trackers
+ */
+async function syncSpecIssuesJob(job, { supabase, signal }) {
+  return syncSpecIssues(supabase, job.user_id, { signal });
+}
+
+export const JOB_HANDLERS = {
+  [JOB_TYPES.ANALYZE_FEEDBACK]: analyzeFeedbackJob,
+  [JOB_TYPES.UPDATE_CLUSTERS]: updateClustersJob,
+  [JOB_TYPES.GENERATE_SPEC]: generateSpecJob,
+  [JOB_TYPES.GENERATE_INDIVIDUAL_SPEC]: generateIndividualSpecJob,
+  [JOB_TYPES.SYNC_INTEGRATION]: syncIntegrationJob,
+  [JOB_TYPES.UPDATE_PRIORITY_SCORES]: updatePriorityScoresJob,
+  [JOB_TYPES.SYNC_SPEC_ISSUES]: syncSpecIssuesJob,
+  [JOB_TYPES.ANALYZE_IMPORT]: analyzeImportJob,
+};
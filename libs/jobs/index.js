@@ -0,0 +1,232 @@
+/**
+ * Background jobs for feedbackspec
+ *
+ * API routes enqueue work and return immediately; the worker
+ * (POST /api/cron/jobs) runs it with retries, backoff and dead-lettering.
+ * The dashboard polls GET /api/jobs for status.
+ */
+
+import { jobQueue, JOB_TYPES } from "./queue.js";
+import { runWorker } from "./worker.js";
+import { openAIClient } from "../ai/openai-client.js";
+import { logErrorToMonitoring } from "../errors/error-handler.js";
+
+export { jobQueue, JobQueue, JOB_TYPES, JOB_STATUS, JOB_COLUMNS, JOB_TIMEOUTS, isRetryableError } from "./queue.js";
+export { JOB_HANDLERS } from "./handlers.js";
+export { runWorker, processJob } from "./worker.js";
+
+/**
+ * Analysis for new or changed feedback, then a cluster refresh.
+ * Items that already have a queued analysis job are skipped (the job's
+ * dedupe key is the feedback id).
+ * @returns {Promise<{analysisJobs: Array, clusterJob: Object}>}
+ */
+export async function enqueueFeedbackProcessing(supabase, userId, feedbackIds, { checkDuplicates = false, priority = 0 } = {}) {
+  let analysisJobs = [];
+
+  if (feedbackIds.length === 1) {
+    analysisJobs = [
+      await jobQueue.enqueue(
+        supabase,
+        userId,
+        JOB_TYPES.ANALYZE_FEEDBACK,
+        { feedbackId: feedbackIds[0], checkDuplicates },
+        { dedupeKey: feedbackIds[0], priority }
+      ),
+    ];
+  } else if (feedbackIds.length > 1) {
+    analysisJobs = await jobQueue.enqueueMany(
+      supabase,
+      userId,
+      JOB_TYPES.ANALYZE_FEEDBACK,
+      feedbackIds.map((feedbackId) => ({ feedbackId, checkDuplicates })),
+      { priority, dedupeKey: (payload) => payload.feedbackId }
+    );
+  }
+
+  // Also starts the inline worker in development
+  const clusterJob = await enqueueClusterUpdate(supabase, userId);
+
+  return { analysisJobs, clusterJob };
+}
+
+/**
+ * Analysis for feedback imported by an integration sync.
+ * Nothing is queued when the user has no AI provider configured.
+ * @returns {Promise<{analysisJobs: Array, clusterJob: Object}|null>}
+ */
+export async function enqueueImportedFeedback(supabase, userId, feedbackIds) {
+  if (!feedbackIds || feedbackIds.length === 0) return null;
+
+  await openAIClient.configureForUser(supabase, userId);
+  if (!openAIClient.isConfigured(userId)) return null;
+
+  return enqueueFeedbackProcessing(supabase, userId, feedbackIds);
+}
+
+/**
+ * Queue the jobs that follow a write which already succeeded: a queue failure
+ * is logged and reported to monitoring rather than failing the request.
+ * @param {Function} enqueue - Queues the jobs
+ * @param {string} context - The route, e.g. "POST /api/feedback"
+ * @returns {Promise<*>} What enqueue returned, or null when it failed
+ */
+export async function enqueueFollowUpJobs(userId, enqueue, context) {
+  try {
+    return await enqueue();
+  } catch (error) {
+    console.error(`❌ Failed to enqueue background jobs (${context}):`, error.message);
+    await logErrorToMonitoring(error, `${context} - enqueue jobs`, userId);
+    return null;
+  }
+}
+
+/**
+ * Analysis for the feedback a file import created: one analyze_import job per
+ * import, which works through its rows in batches. Nothing is queued when the
+ * user has no AI provider configured.
+ * @returns {Promise<{analysisJob: Object, clusterJob: Object}|null>}
+ */
+export async function enqueueImportAnalysis(supabase, userId, importId) {
+  await openAIClient.configureForUser(supabase, userId);
+  if (!openAIClient.isConfigured(userId)) return null;
+
+  const analysisJob = await jobQueue.enqueue(
+    supabase,
+    userId,
+    JOB_TYPES.ANALYZE_IMPORT,
+    { importId },
+    { dedupeKey: importId }
+  );
+  const clusterJob = await enqueueClusterUpdate(supabase, userId);
+
+  return { analysisJob, clusterJob };
+}
+
+/**
+ * Analysis with a duplicate check for feedback people sent in (webhooks, the
+ * feedback widget). Without an AI provider only the clusters are refreshed.
+ * @returns {Promise<{analysisJobs: Array, clusterJob: Object}>}
+ */
+export async function enqueueSubmittedFeedback(supabase, userId, feedbackIds) {
+  await openAIClient.configureForUser(supabase, userId);
+  if (!openAIClient.isConfigured(userId)) {
+    return { analysisJobs: [], clusterJob: await enqueueClusterUpdate(supabase, userId) };
+  }
+
+  return enqueueFeedbackProcessing(supabase, userId, feedbackIds, { checkDuplicates: true });
+}
+
+/**
+ * Re-analysis of canonical items whose duplicates were merged or unmerged -
+ * the number of reports is part of their priority. Their scores are updated
+ * either way; nothing else is queued when the user has no AI provider configured.
+ * @returns {Promise<{analysisJobs: Array, clusterJob: Object}|null>}
+ */
+export async function enqueueDuplicateUpdate(supabase, userId, canonicalIds) {
+  const feedbackIds = [...new Set(canonicalIds.filter(Boolean))];
+  if (feedbackIds.length === 0) return null;
+
+  await enqueuePriorityScoring(supabase, userId, { feedbackIds });
+
+  await openAIClient.configureForUser(supabase, userId);
+  if (!openAIClient.isConfigured(userId)) return null;
+
+  return enqueueFeedbackProcessing(supabase, userId, feedbackIds);
+}
+
+/**
+ * Refresh the user's clusters; repeated requests collapse into one queued job
+ */
+export async function enqueueClusterUpdate(supabase, userId, { rebuild = false } = {}) {
+  const job = await jobQueue.enqueue(
+    supabase,
+    userId,
+    JOB_TYPES.UPDATE_CLUSTERS,
+    { rebuild },
+    { dedupeKey: rebuild ? "rebuild" : "incremental" }
+  );
+
+  kickWorker();
+
+  return job;
+}
+
+/**
+ * Recompute priority scores of some feedback (with their duplicate groups) or,
+ * without feedbackIds, of all of it. Full runs collapse into one queued job.
+ */
+export async function enqueuePriorityScoring(supabase, userId, { feedbackIds = null } = {}) {
+  const job = await jobQueue.enqueue(
+    supabase,
+    userId,
+    JOB_TYPES.UPDATE_PRIORITY_SCORES,
+    feedbackIds ? { feedbackIds } : {},
+    { dedupeKey: feedbackIds ? null : "all" }
+  );
+
+  kickWorker();
+
+  return job;
+}
+
+/**
+ * Shape a job row for API responses
+ */
+export function formatJob(job) {
+  if (!job) return null;
+
+  return {
+    id: job.id,
+    type: job.type,
+    status: job.status,
+    attempts: job.attempts,
+    maxAttempts: job.max_attempts,
+    runAt: job.run_at,
+    lastError: job.last_error,
+    result: job.result,
+    payload: job.payload,
+    createdAt: job.created_at,
+    startedAt: job.started_at,
+    completedAt: job.completed_at,
+  };
+}
+
+let inlineRun = null;
+let inlineRerun = false;
+
+/**
+ * Without a scheduler (local `next dev`) nothing would ever drain the queue,
+ * so outside production enqueueing also starts an in-process worker run.
+ * Opt out with JOBS_INLINE_WORKER=false; opt in on production with =true.
+ */
+export function kickWorker() {
+  const mode = process.env.JOBS_INLINE_WORKER;
+  const enabled = mode === "true" || (mode !== "false" && process.env.NODE_ENV !== "production");
+
+  if (!enabled || !process.env.SUPABASE_SERVICE_ROLE_KEY) {
+    return;
+  }
+
+  // A run is in progress - it may have already seen an empty queue, so go again after it
+  if (inlineRun) {
+    inlineRerun = true;
+    return;
+  }
+
+  inlineRun = (async () => {
+    const { createAdminClient } = await import("../supabase/admin.js");
+    const stats = await runWorker(createAdminClient());
+    if (stats.claimed > 0) {
+      console.log(`⚙️ Inline worker processed ${stats.claimed} jobs`, stats);
+    }
+  })()
+    .catch((error) => console.error("Inline job worker failed:", error.message))
+    .finally(() => {
+      inlineRun = null;
+      if (inlineRerun) {
+        inlineRerun = false;
+        kickWorker();
+      }
+    });
+}
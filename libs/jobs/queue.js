@@ -0,0 +1,419 @@
+import {
+  AppError,
+  createDatabaseError,
+  createValidationError,
+} from "../errors/error-handler.js";
+
+export const JOB_STATUS = {
+  QUEUED: "queued",
+  RUNNING: "running",
+  SUCCEEDED: "succeeded",
+  DEAD: "dead",
+  CANCELLED: "cancelled",
+};
+
+export const JOB_TYPES = {
+  ANALYZE_FEEDBACK: "analyze_feedback",
+  UPDATE_CLUSTERS: "update_clusters",
+  GENERATE_SPEC: "generate_spec",
+  GENERATE_INDIVIDUAL_SPEC: "generate_individual_spec",
+  SYNC_INTEGRATION: "sync_integration",
+  UPDATE_PRIORITY_SCORES: "update_priority_scores",
+  SYNC_SPEC_ISSUES: "sync_spec_issues",
+  ANALYZE_IMPORT: "analyze_import",
+};
+
+// Time a job of each type may run before its handler is aborted, sized to
+// the work: LLM calls, embedding and clustering up to 2000 items, paging
+// through a platform's API. The lock timeout (10 minutes) must stay above
+// the longest one plus ABORT_GRACE_MS (libs/jobs/worker.js).
+export const JOB_TIMEOUTS = {
+  [JOB_TYPES.ANALYZE_FEEDBACK]: 60000,
+  [JOB_TYPES.UPDATE_CLUSTERS]: 240000,
+  [JOB_TYPES.GENERATE_SPEC]: 180000,
+  [JOB_TYPES.GENERATE_INDIVIDUAL_SPEC]: 180000,
+  [JOB_TYPES.SYNC_INTEGRATION]: 240000,
+  [JOB_TYPES.UPDATE_PRIORITY_SCORES]: 120000,
+  [JOB_TYPES.SYNC_SPEC_ISSUES]: 120000,
+  [JOB_TYPES.ANALYZE_IMPORT]: 240000,
+};
+
+export const DEFAULT_JOB_TIMEOUT_MS = 60000;
+
+// Columns returned to API callers (no worker lock details)
+export const JOB_COLUMNS =
+  "id, user_id, type, payload, status, priority, attempts, max_attempts, run_at, last_error, result, created_at, updated_at, started_at, completed_at";
+
+const UNIQUE_VIOLATION = "23505";
+
+// Dedupe keys per lookup (they end up in the request URL)
+const DEDUPE_KEY_BATCH_SIZE = 100;
+
+/**
+ * Client errors (bad input, missing records) will fail the same way on every
+ * attempt, so they are dead-lettered immediately instead of retried
+ */
+export function isRetryableError(error) {
+  if (error instanceof AppError) {
+    return error.statusCode >= 500 || error.statusCode === 429;
+  }
+  return true;
+}
+
+/**
+ * Postgres-backed job queue (see JOBS_TABLE.sql)
+ *
+ * Writes go through whichever Supabase client the caller has: API routes
+ * enqueue with the user's client (RLS), the worker claims and completes with
+ * the service role client.
+ */
+export class JobQueue {
+  constructor({
+    retryBaseSeconds = 30,
+    retryMaxSeconds = 3600,
+    lockTimeoutSeconds = 600,
+    defaultMaxAttempts = 5,
+  } = {}) {
+    this.retryBaseSeconds = retryBaseSeconds;
+    this.retryMaxSeconds = retryMaxSeconds;
+    this.lockTimeoutSeconds = lockTimeoutSeconds;
+    this.defaultMaxAttempts = defaultMaxAttempts;
+  }
+
+  /**
+   * Exponential backoff with +/-20% jitter so failed jobs don't retry in lockstep
+   * @param {number} attempts - Attempts made so far (1 after the first failure)
+   * @returns {number} Delay in seconds
+   */
+  getRetryDelay(attempts, random = Math.random) {
+    const exponential = this.retryBaseSeconds * Math.pow(2, Math.max(attempts - 1, 0));
+    const capped = Math.min(exponential, this.retryMaxSeconds);
+    return Math.round(capped * (0.8 + random() * 0.4));
+  }
+
+  /**
+   * Add a job. With a dedupeKey, an already queued job with the same
+   * user/type/key is returned instead of creating a second one.
+   * @returns {Promise<Object>} The job row
+   */
+  async enqueue(supabase, userId, type, payload = {}, options = {}) {
+    if (!userId) {
+      throw createValidationError("User ID is required to enqueue a job");
+    }
+    if (!type) {
+      throw createValidationError("Job type is required");
+    }
+
+    const { dedupeKey = null, runAt = null, priority = 0, maxAttempts = this.defaultMaxAttempts } = options;
+
+    if (dedupeKey) {
+      const existing = await this.findQueued(supabase, userId, type, dedupeKey);
+      if (existing) {
+        return existing;
+      }
+    }
+
+    const { data, error } = await supabase
+      .from("jobs")
+      .insert({
+        user_id: userId,
+        type,
+        payload,
+        priority,
+        max_attempts: maxAttempts,
+        dedupe_key: dedupeKey,
+        run_at: (runAt ? new Date(runAt) : new Date()).toISOString(),
+      })
+      .select(JOB_COLUMNS)
+      .single();
+
+    if (error) {
+      // Lost a race with another request enqueueing the same key
+      if (error.code === UNIQUE_VIOLATION && dedupeKey) {
+        const existing = await this.findQueued(supabase, userId, type, dedupeKey);
+        if (existing) {
+          return existing;
+        }
+      }
+      throw createDatabaseError("Failed to enqueue job", error.message);
+    }
+
+    return data;
+  }
+
+  /**
+   * Enqueue several jobs of one type in a single insert. With a dedupeKey
+   * function (payload => key), payloads whose key already has a queued job
+   * (or repeats an earlier payload's key) are skipped.
+   * @returns {Promise<Array>} The created job rows
+   */
+  async enqueueMany(supabase, userId, type, payloads, options = {}) {
+    if (!payloads || payloads.length === 0) {
+      return [];
+    }
+
+    const { priority = 0, maxAttempts = this.defaultMaxAttempts, dedupeKey = null } = options;
+    const now = new Date().toISOString();
+
+    let rows = payloads.map((payload) => ({
+      user_id: userId,
+      type,
+      payload,
+      priority,
+      max_attempts: maxAttempts,
+      dedupe_key: dedupeKey ? dedupeKey(payload) : null,
+      run_at: now,
+    }));
+
+    if (dedupeKey) {
+      const taken = await this.findQueuedKeys(supabase, userId, type, rows.map((row) => row.dedupe_key));
+      rows = rows.filter((row) => {
+        if (taken.has(row.dedupe_key)) return false;
+        taken.add(row.dedupe_key);
+        return true;
+      });
+      if (rows.length === 0) {
+        return [];
+      }
+    }
+
+    const { data, error } = await supabase.from("jobs").insert(rows).select(JOB_COLUMNS);
+
+    if (error) {
+      // Lost a race with another request enqueueing some of the keys; the
+      // insert is all or nothing, so look up the queued keys again
+      if (error.code === UNIQUE_VIOLATION && dedupeKey) {
+        return this.enqueueMany(supabase, userId, type, payloads, options);
+      }
+      throw createDatabaseError("Failed to enqueue jobs", error.message);
+    }
+
+    return data || [];
+  }
+
+  /**
+   * Which of the dedupe keys have a queued job
+   * @returns {Promise<Set<string>>}
+   */
+  async findQueuedKeys(supabase, userId, type, dedupeKeys) {
+    const keys = [...new Set(dedupeKeys.filter(Boolean))];
+    const queued = new Set();
+
+    for (let i = 0; i < keys.length; i += DEDUPE_KEY_BATCH_SIZE) {
+      const { data, error } = await supabase
+        .from("jobs")
+        .select("dedupe_key")
+        .eq("user_id", userId)
+        .eq("type", type)
+        .eq("status", JOB_STATUS.QUEUED)
+        .in("dedupe_key", keys.slice(i, i + DEDUPE_KEY_BATCH_SIZE));
+
+      if (error) {
+        throw createDatabaseError("Failed to check queued jobs", error.message);
+      }
+      (data || []).forEach((job) => queued.add(job.dedupe_key));
+    }
+
+    return queued;
+  }
+
+  async findQueued(supabase, userId, type, dedupeKey) {
+    const { data, error } = await supabase
+      .from("jobs")
+      .select(JOB_COLUMNS)
+      .eq("user_id", userId)
+      .eq("type", type)
+      .eq("dedupe_key", dedupeKey)
+      .eq("status", JOB_STATUS.QUEUED)
+      .limit(1)
+      .maybeSingle();
+
+    if (error) {
+      throw createDatabaseError("Failed to look up queued job", error.message);
+    }
+
+    return data;
+  }
+
+  /**
+   * Get one of the user's jobs
+   */
+  async getJob(supabase, userId, jobId) {
+    const { data, error } = await supabase
+      .from("jobs")
+      .select(JOB_COLUMNS)
+      .eq("id", jobId)
+      .eq("user_id", userId)
+      .maybeSingle();
+
+    if (error) {
+      throw createDatabaseError("Failed to fetch job", error.message);
+    }
+
+    return data;
+  }
+
+  /**
+   * List the user's jobs, newest first
+   */
+  async listJobs(supabase, userId, { ids, status, type, limit = 50 } = {}) {
+    let query = supabase
+      .from("jobs")
+      .select(JOB_COLUMNS)
+      .eq("user_id", userId)
+      .order("created_at", { ascending: false })
+      .limit(Math.min(limit, 200));
+
+    if (ids && ids.length > 0) {
+      query = query.in("id", ids);
+    }
+    if (status) {
+      query = Array.isArray(status) ? query.in("status", status) : query.eq("status", status);
+    }
+    if (type) {
+      query = query.eq("type", type);
+    }
+
+    const { data, error } = await query;
+
+    if (error) {
+      throw createDatabaseError("Failed to fetch jobs", error.message);
+    }
+
+    return data || [];
+  }
+
+  /**
+   * Lock up to `limit` due jobs for a worker (claim_jobs uses SKIP LOCKED).
+   * Jobs whose worker died are reclaimed after the lock timeout.
+   */
+  async claim(supabase, workerId, { limit = 5, types = null } = {}) {
+    const { data, error } = await supabase.rpc("claim_jobs", {
+      p_worker_id: workerId,
+      p_limit: limit,
+      p_types: types,
+      p_lock_timeout_seconds: this.lockTimeoutSeconds,
+    });
+
+    if (error) {
+      throw createDatabaseError("Failed to claim jobs", error.message);
+    }
+
+    return data || [];
+  }
+
+  async complete(supabase, job, result = null) {
+    const now = new Date().toISOString();
+    const { error } = await supabase
+      .from("jobs")
+      .update({
+        status: JOB_STATUS.SUCCEEDED,
+        result,
+        last_error: null,
+        locked_by: null,
+        locked_at: null,
+        completed_at: now,
+        updated_at: now,
+      })
+      .eq("id", job.id)
+      .eq("locked_by", job.locked_by);
+
+    if (error) {
+      throw createDatabaseError("Failed to complete job", error.message);
+    }
+  }
+
+  /**
+   * Record a failed attempt: requeue with backoff, or dead-letter once the
+   * job is out of attempts or the error is not worth retrying
+   * @returns {Promise<{status: string, retryAt: string|null}>}
+   */
+  async fail(supabase, job, error) {
+    const now = new Date();
+    const retry = isRetryableError(error) && job.attempts < job.max_attempts;
+    const retryAt = retry
+      ? new Date(now.getTime() + this.getRetryDelay(job.attempts) * 1000).toISOString()
+      : null;
+
+    const update = {
+      status: retry ? JOB_STATUS.QUEUED : JOB_STATUS.DEAD,
+      last_error: (error?.message || String(error)).slice(0, 2000),
+      locked_by: null,
+      locked_at: null,
+      updated_at: now.toISOString(),
+    };
+    if (retry) {
+      update.run_at = retryAt;
+    } else {
+      update.completed_at = now.toISOString();
+    }
+
+    const { error: updateError } = await supabase
+      .from("jobs")
+      .update(update)
+      .eq("id", job.id)
+      .eq("locked_by", job.locked_by);
+
+    if (updateError) {
+      throw createDatabaseError("Failed to record job failure", updateError.message);
+    }
+
+    return { status: update.status, retryAt };
+  }
+
+  /**
+   * Hand a claimed job back without counting the attempt
+   */
+  async release(supabase, job) {
+    const { error } = await supabase
+      .from("jobs")
+      .update({
+        status: JOB_STATUS.QUEUED,
+        attempts: Math.max(job.attempts - 1, 0),
+        locked_by: null,
+        locked_at: null,
+        updated_at: new Date().toISOString(),
+      })
+      .eq("id", job.id)
+      .eq("locked_by", job.locked_by);
+
+    if (error) {
+      throw createDatabaseError("Failed to release job", error.message);
+    }
+  }
+
+  /**
+   * Put one of the signed-in user's dead or cancelled jobs back in the queue
+   * with a fresh set of attempts (retry_job, JOBS_TABLE.sql)
+   * @returns {Promise<Object|null>} The job, or null when it can't be retried
+   */
+  async retry(supabase, jobId) {
+    const { data, error } = await supabase.rpc("retry_job", { p_job_id: jobId }).maybeSingle();
+
+    if (error) {
+      if (error.code === UNIQUE_VIOLATION) {
+        throw createValidationError("An identical job is already queued");
+      }
+      throw createDatabaseError("Failed to retry job", error.message);
+    }
+
+    return data;
+  }
+
+  /**
+   * Cancel one of the signed-in user's jobs that hasn't started yet
+   * (cancel_job, JOBS_TABLE.sql)
+   * @returns {Promise<Object|null>} The job, or null when it can't be cancelled
+   */
+  async cancel(supabase, jobId) {
+    const { data, error } = await supabase.rpc("cancel_job", { p_job_id: jobId }).maybeSingle();
+
+    if (error) {
+      throw createDatabaseError("Failed to cancel job", error.message);
+    }
+
+    return data;
+  }
+}
+
+export const jobQueue = new JobQueue();
@@ -0,0 +1,163 @@
+import { randomUUID } from "crypto";
+import { jobQueue as defaultQueue, JOB_STATUS, JOB_TIMEOUTS, DEFAULT_JOB_TIMEOUT_MS } from "./queue.js";
+import { JOB_HANDLERS } from "./handlers.js";
+
+const jobTimeout = (type, timeouts = JOB_TIMEOUTS) => timeouts[type] ?? DEFAULT_JOB_TIMEOUT_MS;
+
+// How long a timed-out handler gets to notice the abort before the worker
+// moves on without it
+const ABORT_GRACE_MS = 10000;
+
+/**
+ * Wait for a promise for at most `ms`
+ * @returns {Promise<{settled: boolean, value?: any, error?: Error}>}
+ */
+async function settleWithin(promise, ms) {
+  let timer;
+  const timeout = new Promise((resolve) => {
+    timer = setTimeout(() => resolve({ settled: false }), ms);
+  });
+
+  try {
+    return await Promise.race([
+      promise.then(
+        (value) => ({ settled: true, value }),
+        (error) => ({ settled: true, error })
+      ),
+      timeout,
+    ]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// Record a finished attempt; failures are requeued or dead-lettered by fail()
+async function recordOutcome(supabase, queue, job, outcome) {
+  if (!outcome.error) {
+    await queue.complete(supabase, job, outcome.value ?? null);
+    console.log(`✅ Job ${job.id} (${job.type}) succeeded`);
+    return JOB_STATUS.SUCCEEDED;
+  }
+
+  const { status, retryAt } = await queue.fail(supabase, job, outcome.error);
+  if (status === JOB_STATUS.DEAD) {
+    console.error(`💀 Job ${job.id} (${job.type}) dead-lettered: ${outcome.error.message}`);
+  } else {
+    console.warn(`🔁 Job ${job.id} (${job.type}) failed, retrying at ${retryAt}: ${outcome.error.message}`);
+  }
+  return status;
+}
+
+/**
+ * Process one claimed job and record the outcome.
+ *
+ * Handlers get an AbortSignal that fires after `timeoutMs` and check it
+ * between steps. A handler that doesn't stop within ABORT_GRACE_MS keeps the
+ * job locked, so it isn't requeued while it still runs: its outcome is
+ * recorded when it settles, or the lock expires and the job is reclaimed.
+ * @returns {Promise<string>} Resulting job status (RUNNING when left running)
+ */
+export async function processJob(supabase, job, { queue = defaultQueue, handlers = JOB_HANDLERS, timeoutMs = jobTimeout(job.type) } = {}) {
+  const handler = handlers[job.type];
+
+  if (!handler) {
+    const { status } = await queue.fail(supabase, { ...job, attempts: job.max_attempts }, new Error(`Unknown job type: ${job.type}`));
+    return status;
+  }
+
+  // Reclaimed after its worker died on the final attempt
+  if (job.attempts > job.max_attempts) {
+    const { status } = await queue.fail(supabase, job, new Error(job.last_error || "Worker stopped before the job finished"));
+    return status;
+  }
+
+  console.log(`⚙️ Running job ${job.id} (${job.type}), attempt ${job.attempts}/${job.max_attempts}`);
+
+  const controller = new AbortController();
+  const timeoutError = new Error(`Job ${job.type} timed out after ${Math.round(timeoutMs / 1000)} seconds`);
+  const running = Promise.resolve().then(() => handler(job, { supabase, signal: controller.signal }));
+
+  let outcome = await settleWithin(running, timeoutMs);
+  if (!outcome.settled) {
+    controller.abort(timeoutError);
+    outcome = await settleWithin(running, ABORT_GRACE_MS);
+
+    if (!outcome.settled) {
+      console.warn(`⏳ Job ${job.id} (${job.type}) is still running after its timeout; leaving it locked`);
+      running
+        .then(
+          (value) => recordOutcome(supabase, queue, job, { value }),
+          () => recordOutcome(supabase, queue, job, { error: timeoutError })
+        )
+        .catch((error) => console.error(`Failed to record the outcome of job ${job.id}:`, error.message));
+      return JOB_STATUS.RUNNING;
+    }
+
+    // An abort surfaces as the timeout, not as whatever the handler threw
+    if (outcome.error) {
+      outcome = { settled: true, error: timeoutError };
+    }
+  }
+
+  return recordOutcome(supabase, queue, job, outcome);
+}
+
+/**
+ * Claim and run jobs until the queue is empty or the time budget is spent.
+ * Meant to be called from a cron-triggered route, so it returns instead of
+ * polling forever.
+ *
+ * Each job type has its own timeout (JOB_TIMEOUTS); a job is only started
+ * when its timeout and the abort grace period fit in the remaining budget,
+ * otherwise it is released for the next run.
+ *
+ * @param {Object} supabase - Service role client (jobs belong to many users)
+ * @returns {Promise<Object>} Counts of processed jobs by outcome
+ */
+export async function runWorker(supabase, {
+  workerId = `worker-${randomUUID()}`,
+  batchSize = 5,
+  maxRuntimeMs = 290000,
+  timeouts = JOB_TIMEOUTS,
+  types = null,
+  queue = defaultQueue,
+  handlers = JOB_HANDLERS,
+} = {}) {
+  const startedAt = Date.now();
+  const stats = { workerId, claimed: 0, succeeded: 0, retried: 0, dead: 0, released: 0, running: 0 };
+  const remaining = () => maxRuntimeMs - (Date.now() - startedAt);
+  const shortestTimeout = Math.min(...Object.values(timeouts), DEFAULT_JOB_TIMEOUT_MS);
+
+  while (remaining() >= shortestTimeout + ABORT_GRACE_MS) {
+    const jobs = await queue.claim(supabase, workerId, { limit: batchSize, types });
+    if (jobs.length === 0) break;
+
+    stats.claimed += jobs.length;
+    let started = 0;
+
+    for (const job of jobs) {
+      const timeoutMs = jobTimeout(job.type, timeouts);
+
+      if (remaining() < timeoutMs + ABORT_GRACE_MS) {
+        await queue.release(supabase, job);
+        stats.released++;
+        continue;
+      }
+
+      started++;
+      const status = await processJob(supabase, job, { queue, handlers, timeoutMs });
+
+      if (status === JOB_STATUS.SUCCEEDED) stats.succeeded++;
+      else if (status === JOB_STATUS.DEAD) stats.dead++;
+      else if (status === JOB_STATUS.RUNNING) stats.running++;
+      else stats.retried++;
+    }
+
+    // Everything claimed was too long for what's left; claiming again would
+    // hand back the same jobs
+    if (started === 0) break;
+  }
+
+  stats.durationMs = Date.now() - startedAt;
+  return stats;
+}
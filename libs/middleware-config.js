@@ -8,6 +8,15 @@ export const middlewareConfig = {
     "/settings",
     "/api/user/**", // Protected API routes
     "/api/feedback", // Feedback API routes
+    "/api/jobs/**", // Background job status
+    "/api/sync/**", // Integration syncs and schedule
+    "/api/customers", // Customers and their Stripe sync
+    "/api/customers/**",
+    "/api/spec-templates", // Spec templates
+    "/api/spec-templates/**",
+    "/api/specs/**", // Spec versions
+    "/api/trackers", // Issue trackers specs are sent to
+    "/api/trackers/**",
   ],
 
   // Routes that should redirect authenticated users away (login, register, etc.)
@@ -24,12 +33,16 @@ export const middlewareConfig = {
     "/privacy-policy",
     "/tos",
     "/terms-of-service",
+    "/widget/**", // Embeddable feedback widget (loaded in an iframe on customer sites)
   ],
 
   // API routes that don't require authentication
   publicApiRoutes: [
     "/api/auth/**",
     "/api/webhook/**",
+    "/api/cron/**", // Scheduler routes (checked against CRON_SECRET)
+    "/api/ingest/**", // Inbound feedback webhooks (checked against the endpoint token)
+    "/api/widget/**", // Feedback widget submissions (spam checks and rate limits)
     "/api/health",
     "/api/status",
   ],
@@ -0,0 +1,102 @@
+import { buildCustomerIndex } from "../../customers/index.js";
+import { MRR_CAP, SCORE_WEIGHTS, scoreFeedback } from "../index.js";
+
+const NOW = new Date("2024-06-01T00:00:00Z");
+
+const feedback = (id, overrides = {}) => ({
+  id,
+  platform: "email",
+  metadata: {},
+  ai_analysis: null,
+  duplicate_of: null,
+  duplicate_count: 0,
+  created_at: NOW.toISOString(),
+  ...overrides,
+});
+
+const customers = buildCustomerIndex([
+  { id: "c1", email: "ana@acme.com", domain: "acme.com", mrr: 500, churn_risk: "low" },
+  { id: "c2", email: "bo@globex.com", domain: "globex.com", mrr: MRR_CAP * 2, churn_risk: "high" },
+]);
+
+describe("scoreFeedback", () => {
+  it("weights sum to 1", () => {
+    const total = Object.values(SCORE_WEIGHTS).reduce((sum, weight) => sum + weight, 0);
+    expect(total).toBeCloseTo(1);
+  });
+
+  it("scores a lone report from an unknown reporter", () => {
+    const { score, factors, customerIds } = scoreFeedback(feedback("f1"), [], customers, NOW);
+
+    expect(factors).toEqual({
+      value: 0,
+      frequency: 0,
+      urgency: 0.4,
+      sentiment: 0.5,
+      recency: 1,
+      mrr: 0,
+      customers: 0,
+      reports: 1,
+    });
+    expect(score).toBe(23);
+    expect(customerIds).toEqual(new Map([["f1", null]]));
+  });
+
+  it("counts the MRR of every reporter in the group once", () => {
+    const item = feedback("f1", { metadata: { userEmail: "ana@acme.com" } });
+    const duplicates = [
+      feedback("f2", { metadata: { from: "Sam <sam@acme.com>" } }),
+      feedback("f3", { metadata: { userEmail: "someone@gmail.com" } }),
+    ];
+    const { factors, customerIds } = scoreFeedback(item, duplicates, customers, NOW);
+
+    expect(factors.mrr).toBe(500);
+    expect(factors.customers).toBe(1);
+    expect(factors.reports).toBe(3);
+    expect(factors.value).toBeCloseTo(Math.log10(501) / Math.log10(MRR_CAP + 1), 2);
+    expect(customerIds).toEqual(
+      new Map([
+        ["f1", "c1"],
+        ["f2", "c1"],
+        ["f3", null],
+      ])
+    );
+  });
+
+  it("caps customer value", () => {
+    const item = feedback("f1", { metadata: { userEmail: "bo@globex.com" } });
+    const { factors } = scoreFeedback(item, [], customers, NOW);
+
+    expect(factors.value).toBe(1);
+    expect(factors.mrr).toBe(MRR_CAP * 2);
+  });
+
+  it("uses merged duplicates for frequency when they weren't loaded", () => {
+    const { factors } = scoreFeedback(feedback("f1", { duplicate_count: 15 }), [], customers, NOW);
+    expect(factors.reports).toBe(16);
+    expect(factors.frequency).toBe(1);
+  });
+
+  it("ranks urgent negative feedback above positive low-priority feedback", () => {
+    const urgent = feedback("f1", { ai_analysis: { priority: "critical", urgency: "high", sentiment: "negative" } });
+    const minor = feedback("f2", { ai_analysis: { priority: "low", urgency: "low", sentiment: "positive" } });
+
+    const urgentScore = scoreFeedback(urgent, [], customers, NOW);
+    expect(urgentScore.factors.urgency).toBe(1);
+    expect(urgentScore.factors.sentiment).toBe(1);
+    expect(urgentScore.score).toBeGreaterThan(scoreFeedback(minor, [], customers, NOW).score);
+  });
+
+  it("falls back to the metadata priority before analysis", () => {
+    const { factors } = scoreFeedback(feedback("f1", { metadata: { priority: "high" } }), [], customers, NOW);
+    expect(factors.urgency).toBe(0.75);
+  });
+
+  it("halves recency every 30 days since the latest report", () => {
+    const old = feedback("f1", { created_at: "2024-05-02T00:00:00Z" });
+    expect(scoreFeedback(old, [], customers, NOW).factors.recency).toBe(0.5);
+
+    const renewed = [feedback("f2", { created_at: NOW.toISOString() })];
+    expect(scoreFeedback(old, renewed, customers, NOW).factors.recency).toBe(1);
+  });
+});
@@ -0,0 +1,264 @@
+/**
+ * Priority scores (raw_feedback.priority_score, CUSTOMERS_TABLE.sql)
+ *
+ * Each canonical feedback item gets a 0-100 score from five factors, each
+ * 0-1, weighted by SCORE_WEIGHTS:
+ * - value: MRR of the customers who reported it (the item and its merged
+ *   duplicates), log-scaled up to MRR_CAP and raised by their churn risk
+ * - frequency: number of reports (1 + duplicate_count)
+ * - urgency: the analysis' priority and urgency (metadata priority before analysis)
+ * - sentiment: negative feedback scores higher
+ * - recency: halves every RECENCY_HALF_LIFE_DAYS since the latest report
+ *
+ * Duplicates are scored through their canonical item and stay at 0. Reporters
+ * are matched to customers while scoring, which also sets customer_id.
+ * Because recency decays, scores older than SCORE_MAX_AGE_HOURS are refreshed.
+ */
+
+import { createDatabaseError } from "../errors/error-handler.js";
+import { buildCustomerIndex, loadCustomers, matchCustomer } from "../customers/index.js";
+import { feedbackReporter } from "../duplicates/index.js";
+
+export const SCORE_WEIGHTS = { value: 0.35, frequency: 0.25, urgency: 0.2, sentiment: 0.1, recency: 0.1 };
+
+// MRR that counts as full customer value
+export const MRR_CAP = 10000;
+
+// Reports that count as full frequency
+const FREQUENCY_CAP = 16;
+
+const RECENCY_HALF_LIFE_DAYS = 30;
+
+export const SCORE_MAX_AGE_HOURS = 24;
+
+// Feedback rows read by one full scoring run
+const MAX_SCORED_ROWS = 20000;
+const PAGE_SIZE = 1000;
+const ID_BATCH_SIZE = 200;
+// Scores written per save_priority_scores call
+const SAVE_BATCH_SIZE = 500;
+
+const CHURN_BOOST = { low: 1, medium: 1.1, high: 1.25 };
+const PRIORITY_LEVELS = { low: 0.1, medium: 0.4, high: 0.75, urgent: 1, critical: 1 };
+const URGENCY_LEVELS = { low: 0.1, medium: 0.5, high: 1 };
+const SENTIMENT_LEVELS = { negative: 1, neutral: 0.5, positive: 0.2 };
+
+const SCORING_COLUMNS =
+  "id, platform, metadata, ai_analysis, duplicate_of, duplicate_count, created_at, customer_id, priority_score, priority_factors";
+
+const round = (value, digits = 2) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+function valueFactor(customers) {
+  const mrr = customers.reduce((sum, customer) => sum + (Number(customer.mrr) || 0), 0);
+  if (mrr <= 0) return { value: 0, mrr: 0 };
+
+  const risk = customers.reduce(
+    (worst, customer) => Math.max(worst, CHURN_BOOST[customer.churn_risk] || 1),
+    1
+  );
+  const scaled = Math.log10(1 + Math.min(mrr, MRR_CAP)) / Math.log10(1 + MRR_CAP);
+  return { value: Math.min(1, scaled * risk), mrr: round(mrr) };
+}
+
+function urgencyFactor(item) {
+  const analysis = item.ai_analysis || {};
+  const priority = PRIORITY_LEVELS[analysis.priority || item.metadata?.priority] ?? PRIORITY_LEVELS.medium;
+  const urgency = URGENCY_LEVELS[analysis.urgency];
+  return urgency === undefined ? priority : (priority + urgency) / 2;
+}
+
+/**
+ * Score of a canonical item and its duplicates
+ * @param {Object} item - raw_feedback row (SCORING_COLUMNS)
+ * @param {Array} duplicates - rows merged into it
+ * @param {Object} customerIndex - buildCustomerIndex(customers)
+ * @returns {{score: number, factors: Object, customerIds: Map<string, string|null>}}
+ *   customerIds: feedback id → matched customer id
+ */
+export function scoreFeedback(item, duplicates, customerIndex, now = new Date()) {
+  const reports = [item, ...duplicates];
+  const customerIds = new Map();
+  const customers = new Map();
+
+  reports.forEach((row) => {
+    const customer = matchCustomer(customerIndex, feedbackReporter(row).email);
+    customerIds.set(row.id, customer?.id || null);
+    if (customer) customers.set(customer.id, customer);
+  });
+
+  const { value, mrr } = valueFactor([...customers.values()]);
+  const reportCount = Math.max(reports.length, 1 + (item.duplicate_count || 0));
+  const latest = Math.max(...reports.map((row) => new Date(row.created_at).getTime() || 0));
+  const ageDays = Math.max(0, (now.getTime() - latest) / (24 * 60 * 60 * 1000));
+
+  const factors = {
+    value,
+    frequency: Math.min(1, Math.log2(reportCount) / Math.log2(FREQUENCY_CAP)),
+    urgency: urgencyFactor(item),
+    sentiment: SENTIMENT_LEVELS[item.ai_analysis?.sentiment] ?? SENTIMENT_LEVELS.neutral,
+    recency: Math.pow(0.5, ageDays / RECENCY_HALF_LIFE_DAYS),
+  };
+
+  const score = Object.entries(SCORE_WEIGHTS).reduce((sum, [factor, weight]) => sum + factors[factor] * weight, 0);
+
+  return {
+    score: round(score * 100, 1),
+    factors: {
+      ...Object.fromEntries(Object.entries(factors).map(([factor, level]) => [factor, round(level)])),
+      mrr,
+      customers: customers.size,
+      reports: reportCount,
+    },
+    customerIds,
+  };
+}
+
+async function loadAllRows(supabase, userId) {
+  const rows = [];
+  for (let from = 0; from < MAX_SCORED_ROWS; from += PAGE_SIZE) {
+    const { data, error } = await supabase
+      .from("raw_feedback")
+      .select(SCORING_COLUMNS)
+      .eq("user_id", userId)
+      .order("id", { ascending: true })
+      .range(from, from + PAGE_SIZE - 1);
+
+    if (error) {
+      throw createDatabaseError("Failed to read feedback", error.message);
+    }
+    rows.push(...(data || []));
+    if (!data || data.length < PAGE_SIZE) break;
+  }
+  return rows;
+}
+
+// The groups (canonical item + duplicates) the given items belong to
+async function loadGroupRows(supabase, userId, feedbackIds) {
+  const select = async (column, ids) => {
+    const rows = [];
+    for (let i = 0; i < ids.length; i += ID_BATCH_SIZE) {
+      const { data, error } = await supabase
+        .from("raw_feedback")
+        .select(SCORING_COLUMNS)
+        .eq("user_id", userId)
+        .in(column, ids.slice(i, i + ID_BATCH_SIZE));
+
+      if (error) {
+        throw createDatabaseError("Failed to read feedback", error.message);
+      }
+      rows.push(...(data || []));
+    }
+    return rows;
+  };
+
+  const requested = await select("id", feedbackIds);
+  const canonicalIds = [...new Set(requested.map((row) => row.duplicate_of || row.id))];
+  const rows = new Map();
+  [...(await select("id", canonicalIds)), ...(await select("duplicate_of", canonicalIds))].forEach((row) =>
+    rows.set(row.id, row)
+  );
+  return [...rows.values()];
+}
+
+/**
+ * Score feedback and save the scores, matched customers and scored_at
+ * @param {Object} options
+ * @param {string[]|null} options.feedbackIds - items to score (with their whole duplicate group); null for all
+ * @param {AbortSignal} [options.signal] - stops between writes (a job's timeout)
+ * @returns {Promise<{scored: number, updated: number}>}
+ */
+export async function updatePriorityScores(supabase, userId, { feedbackIds = null, now = new Date(), signal } = {}) {
+  const rows = feedbackIds ? await loadGroupRows(supabase, userId, feedbackIds) : await loadAllRows(supabase, userId);
+  if (rows.length === 0) return { scored: 0, updated: 0 };
+
+  const customerIndex = buildCustomerIndex(await loadCustomers(supabase, userId));
+  const byId = new Map(rows.map((row) => [row.id, row]));
+  const duplicates = new Map();
+  rows.forEach((row) => {
+    // A duplicate whose canonical item wasn't read is scored as its own item
+    if (row.duplicate_of && byId.has(row.duplicate_of)) {
+      duplicates.set(row.duplicate_of, [...(duplicates.get(row.duplicate_of) || []), row]);
+    }
+  });
+
+  const changes = [];
+  rows
+    .filter((row) => !(row.duplicate_of && byId.has(row.duplicate_of)))
+    .forEach((item) => {
+      const group = duplicates.get(item.id) || [];
+      const { score, factors, customerIds } = scoreFeedback(item, group, customerIndex, now);
+
+      changes.push({ row: item, update: { priority_score: score, priority_factors: factors, customer_id: customerIds.get(item.id) } });
+      group.forEach((duplicate) => {
+        changes.push({
+          row: duplicate,
+          update: { priority_score: 0, priority_factors: null, customer_id: customerIds.get(duplicate.id) },
+        });
+      });
+    });
+
+  const scoredAt = now.toISOString();
+  const unchangedIds = [];
+  const scores = [];
+
+  changes.forEach(({ row, update }) => {
+    const unchanged =
+      Number(row.priority_score) === update.priority_score &&
+      (row.customer_id || null) === update.customer_id &&
+      JSON.stringify(row.priority_factors || null) === JSON.stringify(update.priority_factors);
+
+    if (unchanged) {
+      unchangedIds.push(row.id);
+    } else {
+      scores.push({ id: row.id, ...update });
+    }
+  });
+
+  let updated = 0;
+  for (let i = 0; i < scores.length; i += SAVE_BATCH_SIZE) {
+    signal?.throwIfAborted();
+    const { data, error } = await supabase.rpc("save_priority_scores", {
+      p_user_id: userId,
+      p_scores: scores.slice(i, i + SAVE_BATCH_SIZE),
+      p_scored_at: scoredAt,
+    });
+
+    if (error) {
+      throw createDatabaseError("Failed to save priority scores", error.message);
+    }
+    updated += data || 0;
+  }
+
+  for (let i = 0; i < unchangedIds.length; i += ID_BATCH_SIZE) {
+    const { error } = await supabase
+      .from("raw_feedback")
+      .update({ scored_at: scoredAt })
+      .eq("user_id", userId)
+      .in("id", unchangedIds.slice(i, i + ID_BATCH_SIZE));
+
+    if (error) {
+      throw createDatabaseError("Failed to save priority score", error.message);
+    }
+  }
+
+  return { scored: changes.length, updated };
+}
+
+/**
+ * Whether any of the user's feedback is unscored or scored more than
+ * SCORE_MAX_AGE_HOURS ago
+ */
+export async function hasStaleScores(supabase, userId, now = new Date()) {
+  const cutoff = new Date(now.getTime() - SCORE_MAX_AGE_HOURS * 60 * 60 * 1000).toISOString();
+
+  const { count, error } = await supabase
+    .from("raw_feedback")
+    .select("id", { count: "exact", head: true })
+    .eq("user_id", userId)
+    .or(`scored_at.is.null,scored_at.lt.${cutoff}`);
+
+  if (error) {
+    throw createDatabaseError("Failed to check priority scores", error.message);
+  }
+  return count > 0;
+}
@@ -0,0 +1,86 @@
+import { buildTsQuery, highlight, parseSearchQuery, queryTerms } from "../index.js";
+
+describe("parseSearchQuery", () => {
+  it("splits words, phrases and excluded words", () => {
+    expect(parseSearchQuery('Login "dark mode" -android')).toEqual({
+      terms: ["login"],
+      phrases: [["dark", "mode"]],
+      excluded: ["android"],
+    });
+  });
+
+  it("treats a one-word phrase as a word", () => {
+    expect(parseSearchQuery('"crash"')).toEqual({ terms: ["crash"], phrases: [], excluded: [] });
+  });
+
+  it("excludes every word of a negated phrase", () => {
+    expect(parseSearchQuery('export -"csv file"').excluded).toEqual(["csv", "file"]);
+  });
+
+  it("drops punctuation and keeps letters of any script", () => {
+    expect(parseSearchQuery("can't & café!").terms).toEqual(["can", "t", "café"]);
+  });
+
+  it("returns nothing for an empty query", () => {
+    expect(parseSearchQuery()).toEqual({ terms: [], phrases: [], excluded: [] });
+    expect(parseSearchQuery('  "" - ')).toEqual({ terms: [], phrases: [], excluded: [] });
+  });
+});
+
+describe("buildTsQuery", () => {
+  it("matches words as prefixes and phrases as adjacent words", () => {
+    expect(buildTsQuery('slow "dark mode" -android')).toBe("slow:* & (dark:* <-> mode:*) & !android:*");
+  });
+
+  it("can't be broken by tsquery syntax", () => {
+    expect(buildTsQuery("a|b & !c:* (d)")).toBe("a:* & b:* & c:* & d:*");
+  });
+
+  it("is null without anything to search for", () => {
+    expect(buildTsQuery("")).toBeNull();
+    expect(buildTsQuery("-android")).toBeNull();
+  });
+});
+
+describe("queryTerms", () => {
+  it("lists words and phrase words once, without excluded words", () => {
+    expect(queryTerms('mode "dark mode" -light')).toEqual(["mode", "dark"]);
+  });
+});
+
+describe("highlight", () => {
+  it("marks words starting with a term", () => {
+    expect(highlight("The app crashes on login", ["crash", "login"])).toEqual([
+      { text: "The app ", match: false },
+      { text: "crashes", match: true },
+      { text: " on ", match: false },
+      { text: "login", match: true },
+    ]);
+  });
+
+  it("ignores terms inside words", () => {
+    expect(highlight("Recrash", ["crash"])).toEqual([{ text: "Recrash", match: false }]);
+  });
+
+  it("escapes terms", () => {
+    expect(highlight("a+b and ab", ["a+b"])).toEqual([
+      { text: "a+b", match: true },
+      { text: " and ab", match: false },
+    ]);
+  });
+
+  it("shows the text around a late match", () => {
+    const text = `${"word ".repeat(40)}crash ${"tail ".repeat(40)}`;
+    const segments = highlight(text, ["crash"], 60);
+
+    expect(segments[0]).toEqual({ text: "…", match: false });
+    expect(segments.at(-1)).toEqual({ text: "…", match: false });
+    expect(segments).toContainEqual({ text: "crash", match: true });
+    expect(segments.map((segment) => segment.text).join("").length).toBeLessThanOrEqual(62);
+  });
+
+  it("returns the start of the text without terms", () => {
+    expect(highlight("Short text")).toEqual([{ text: "Short text", match: false }]);
+    expect(highlight("", ["x"])).toEqual([]);
+  });
+});
@@ -0,0 +1,431 @@
+/**
+ * Feedback search (GET /api/feedback/search).
+ *
+ * - text: Postgres full-text search over title, content and tags, ranked by
+ *   ts_rank_cd (search_feedback, FEEDBACK_SEARCH.sql)
+ * - semantic: the query is embedded and compared with the stored feedback
+ *   embeddings (match_feedback)
+ * - similarTo: feedback closest to one feedback item ("find similar")
+ *
+ * The database returns ranked ids; the dashboard filters (libs/feedback-filters.js)
+ * are then applied to those ids and the page is loaded in rank order. Snippets
+ * are returned as plain text segments so the client can highlight them without HTML.
+ */
+
+import { openAIClient } from "../ai/openai-client.js";
+import { formatVector, parseVector } from "../ai/embeddings.js";
+import {
+  FEEDBACK_COLUMNS,
+  applyFeedbackFilters,
+  formatFeedback,
+  getClusterFeedbackIds,
+} from "../database/db-utils.js";
+import {
+  createDatabaseError,
+  createExternalServiceError,
+  createValidationError,
+} from "../errors/error-handler.js";
+import { DEFAULT_FEEDBACK_FILTERS, hasActiveFeedbackFilters } from "../feedback-filters.js";
+import { validateUUID } from "../validation/validators.js";
+
+export const SEARCH_MODES = ["text", "semantic"];
+
+// Ranked candidates considered per search (filters and pages apply to these)
+const CANDIDATE_LIMIT = 500;
+const ID_BATCH_SIZE = 100;
+const MAX_QUERY_LENGTH = 200;
+const SNIPPET_LENGTH = 200;
+
+// Cluster feedback a spec is written from, with its report count (merged duplicates)
+const SPEC_FEEDBACK_COLUMNS = "id, content, metadata, duplicate_of, duplicate_count";
+
+// Minimum cosine similarity of a semantic match. Hashed embeddings score lower
+// than provider embeddings for the same relatedness (see FeedbackClusterer.getThreshold)
+function minSimilarity(embeddingModel = "") {
+  return embeddingModel.includes("hash") ? 0.15 : 0.35;
+}
+
+const WORD = /[\p{L}\p{N}]+/gu;
+
+function words(text) {
+  return String(text).toLowerCase().match(WORD) || [];
+}
+
+/**
+ * Parse a search box query: words, "quoted phrases" and -excluded words
+ * @returns {{terms: string[], phrases: string[][], excluded: string[]}}
+ */
+export function parseSearchQuery(query = "") {
+  const parsed = { terms: [], phrases: [], excluded: [] };
+  const pattern = /(-?)"([^"]*)"|(-?)([^\s"]+)/g;
+  let match;
+
+  while ((match = pattern.exec(String(query))) !== null) {
+    const negated = Boolean(match[1] || match[3]);
+    const tokens = words(match[2] ?? match[4]);
+    if (tokens.length === 0) continue;
+
+    if (negated) {
+      parsed.excluded.push(...tokens);
+    } else if (match[2] !== undefined && tokens.length > 1) {
+      parsed.phrases.push(tokens);
+    } else {
+      parsed.terms.push(...tokens);
+    }
+  }
+
+  return parsed;
+}
+
+/**
+ * to_tsquery expression for a search box query. Every word matches as a
+ * prefix ("crash" finds "crashes"), phrases must be adjacent.
+ * @returns {string|null} null when the query has nothing to search for
+ */
+export function buildTsQuery(query) {
+  const { terms, phrases, excluded } = parseSearchQuery(query);
+  if (terms.length === 0 && phrases.length === 0) return null;
+
+  return [
+    ...terms.map((term) => `${term}:*`),
+    ...phrases.map((phrase) => `(${phrase.map((term) => `${term}:*`).join(" <-> ")})`),
+    ...excluded.map((term) => `!${term}:*`),
+  ].join(" & ");
+}
+
+/**
+ * Words of a query to highlight (excluded words are never in the results)
+ */
+export function queryTerms(query) {
+  const { terms, phrases } = parseSearchQuery(query);
+  return [...new Set([...terms, ...phrases.flat()])];
+}
+
+/**
+ * Snippet of text around the first match, split into segments
+ * @returns {Array<{text: string, match: boolean}>}
+ */
+export function highlight(text, terms = [], maxLength = SNIPPET_LENGTH) {
+  const source = String(text || "");
+  if (!source) return [];
+
+  const escaped = terms.map((term) => term.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"));
+  const pattern = escaped.length
+    ? new RegExp(`(?<![\\p{L}\\p{N}])(?:${escaped.join("|")})[\\p{L}\\p{N}]*`, "giu")
+    : null;
+
+  // Window starts a little before the first match, at a word boundary
+  let start = 0;
+  const first = pattern ? source.search(pattern) : -1;
+  if (first > maxLength / 3) {
+    start = source.lastIndexOf(" ", first - Math.floor(maxLength / 4)) + 1;
+  }
+  const end = Math.min(source.length, start + maxLength);
+  const window = source.slice(start, end);
+
+  const segments = [];
+  if (start > 0) segments.push({ text: "…", match: false });
+
+  let last = 0;
+  if (pattern) {
+    for (const found of window.matchAll(pattern)) {
+      if (found.index > last) segments.push({ text: window.slice(last, found.index), match: false });
+      segments.push({ text: found[0], match: true });
+      last = found.index + found[0].length;
+    }
+  }
+  if (last < window.length) segments.push({ text: window.slice(last), match: false });
+  if (end < source.length) segments.push({ text: "…", match: false });
+
+  return segments;
+}
+
+async function rpc(supabase, name, params) {
+  const { data, error } = await supabase.rpc(name, params);
+  if (error) {
+    throw createDatabaseError("Search failed", error.message);
+  }
+  return data || [];
+}
+
+/**
+ * Ranked [{ id, score }] for a full-text query
+ */
+async function textCandidates(supabase, userId, query) {
+  const tsQuery = buildTsQuery(query);
+  if (!tsQuery) {
+    throw createValidationError("Search query must contain at least one word");
+  }
+
+  const rows = await rpc(supabase, "search_feedback", {
+    p_user_id: userId,
+    p_query: tsQuery,
+    p_limit: CANDIDATE_LIMIT,
+  });
+  return rows.map((row) => ({ id: row.id, score: row.rank }));
+}
+
+/**
+ * Ranked [{ id, score }] of feedback closest to an embedding
+ */
+async function vectorCandidates(
+  supabase,
+  userId,
+  vector,
+  model,
+  { excludeId = null, ids = null, minScore, limit = CANDIDATE_LIMIT } = {}
+) {
+  const rows = await rpc(supabase, "match_feedback", {
+    p_user_id: userId,
+    p_embedding: formatVector(vector),
+    p_model: model,
+    p_limit: ids ? ids.length : limit,
+    p_min_similarity: minScore ?? minSimilarity(model),
+    p_exclude_id: excludeId,
+    p_ids: ids,
+  });
+  return rows.map((row) => ({ id: row.id, score: row.similarity }));
+}
+
+async function requireEmbeddings(supabase, userId) {
+  await openAIClient.configureForUser(supabase, userId);
+  if (!openAIClient.isConfigured(userId)) {
+    throw createExternalServiceError("openai", "AI provider is not configured for semantic search");
+  }
+}
+
+async function semanticCandidates(supabase, userId, query) {
+  await requireEmbeddings(supabase, userId);
+
+  const { embeddings, model } = await openAIClient.createEmbeddings([query], {
+    userId,
+    context: "Feedback search",
+  });
+  return vectorCandidates(supabase, userId, embeddings[0], model);
+}
+
+/**
+ * Feedback closest to one feedback item, which is left out of the results.
+ * The item's stored embedding is reused when it's from the current model.
+ */
+async function similarCandidates(supabase, userId, feedbackId, options = {}) {
+  const { data: source, error } = await supabase
+    .from("raw_feedback")
+    .select("id, content, embedding, embedding_model")
+    .eq("id", feedbackId)
+    .eq("user_id", userId)
+    .maybeSingle();
+
+  if (error) {
+    throw createDatabaseError("Failed to read feedback", error.message);
+  }
+  if (!source) {
+    throw createValidationError("Feedback not found");
+  }
+
+  await requireEmbeddings(supabase, userId);
+
+  const currentModel = openAIClient.getEmbeddingModel(userId);
+  let vector = source.embedding_model === currentModel ? parseVector(source.embedding) : null;
+  let model = currentModel;
+
+  if (!vector) {
+    const result = await openAIClient.createEmbeddings([source.content || ""], {
+      userId,
+      context: "Similar feedback",
+    });
+    vector = result.embeddings[0];
+    model = result.model;
+  }
+
+  return vectorCandidates(supabase, userId, vector, model, { ...options, excludeId: source.id });
+}
+
+/**
+ * Ranked [{ id, score }] of the feedback closest to one feedback item
+ * (used by the duplicate check, libs/duplicates)
+ */
+export async function findSimilarFeedback(supabase, userId, feedbackId, { limit = 20 } = {}) {
+  return similarCandidates(supabase, userId, feedbackId, { limit });
+}
+
+/**
+ * Ids among `ids` that pass the filters
+ */
+async function filterIds(supabase, userId, ids, filters) {
+  const clusterFeedbackIds =
+    filters.cluster !== "all" ? await getClusterFeedbackIds(supabase, userId, filters.cluster) : null;
+  const matching = new Set();
+
+  for (let i = 0; i < ids.length; i += ID_BATCH_SIZE) {
+    const query = supabase
+      .from("raw_feedback")
+      .select("id")
+      .eq("user_id", userId)
+      .in("id", ids.slice(i, i + ID_BATCH_SIZE));
+
+    const { data, error } = await applyFeedbackFilters(query, filters, { clusterFeedbackIds });
+    if (error) {
+      throw createDatabaseError("Failed to filter search results", error.message);
+    }
+    (data || []).forEach((row) => matching.add(row.id));
+  }
+
+  return matching;
+}
+
+async function loadRows(supabase, userId, ids, columns = FEEDBACK_COLUMNS) {
+  if (ids.length === 0) return new Map();
+
+  const { data, error } = await supabase
+    .from("raw_feedback")
+    .select(columns)
+    .eq("user_id", userId)
+    .in("id", ids);
+
+  if (error) {
+    throw createDatabaseError("Failed to load search results", error.message);
+  }
+  return new Map((data || []).map((row) => [row.id, row]));
+}
+
+/**
+ * Search a user's feedback
+ * @param {Object} options
+ * @param {string} options.query - search box text
+ * @param {string} options.mode - "text" (default) or "semantic"
+ * @param {string} options.similarTo - feedback id; ranks by similarity to it instead of a query
+ * @param {Object} options.filters - dashboard filters (their search field is ignored)
+ * @returns {Promise<{data: Array, pagination: Object, mode: string}>} feedback in the
+ *   dashboard's shape, each with search: { score, titleSnippet, snippet }
+ */
+export async function searchFeedback(supabase, userId, options = {}) {
+  const {
+    query = "",
+    mode = "text",
+    similarTo = null,
+    filters = DEFAULT_FEEDBACK_FILTERS,
+    limit = 20,
+    offset = 0,
+  } = options;
+
+  validateUUID(userId, "User ID");
+
+  const text = String(query || "").trim();
+  if (!similarTo && !text) {
+    throw createValidationError("Search query is required");
+  }
+  if (text.length > MAX_QUERY_LENGTH) {
+    throw createValidationError(`Search query must be at most ${MAX_QUERY_LENGTH} characters`);
+  }
+  if (!SEARCH_MODES.includes(mode)) {
+    throw createValidationError(`Search mode must be one of: ${SEARCH_MODES.join(", ")}`);
+  }
+  if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+    throw createValidationError("Limit must be between 1 and 100");
+  }
+  if (!Number.isInteger(offset) || offset < 0) {
+    throw createValidationError("Offset must be a non-negative integer");
+  }
+
+  let candidates;
+  let resultMode = mode;
+  if (similarTo) {
+    candidates = await similarCandidates(supabase, userId, validateUUID(similarTo, "Feedback ID"));
+    resultMode = "similar";
+  } else if (mode === "semantic") {
+    candidates = await semanticCandidates(supabase, userId, text);
+  } else {
+    candidates = await textCandidates(supabase, userId, text);
+  }
+
+  // The query replaces the substring search filter
+  const activeFilters = { ...DEFAULT_FEEDBACK_FILTERS, ...filters, search: "" };
+  if (hasActiveFeedbackFilters(activeFilters) && candidates.length > 0) {
+    const matching = await filterIds(supabase, userId, candidates.map((candidate) => candidate.id), activeFilters);
+    candidates = candidates.filter((candidate) => matching.has(candidate.id));
+  }
+
+  const page = candidates.slice(offset, offset + limit);
+  const rows = await loadRows(supabase, userId, page.map((candidate) => candidate.id));
+  const terms = similarTo ? [] : queryTerms(text);
+
+  const data = page
+    .filter((candidate) => rows.has(candidate.id))
+    .map((candidate) => {
+      const item = formatFeedback(rows.get(candidate.id));
+      return {
+        ...item,
+        search: {
+          score: Number(Number(candidate.score).toFixed(4)),
+          titleSnippet: highlight(item.title, terms),
+          snippet: highlight(item.content, terms),
+        },
+      };
+    });
+
+  return {
+    data,
+    pagination: {
+      limit,
+      offset,
+      total: candidates.length,
+      hasMore: offset + limit < candidates.length,
+    },
+    mode: resultMode,
+  };
+}
+
+/**
+ * Feedback of a cluster to write its spec from: the members closest to the
+ * cluster centroid, or the newest members when the cluster has no centroid
+ * (or it's from another embedding model than the stored feedback)
+ * @returns {Promise<Array<{id, content, metadata, duplicate_of, duplicate_count}>>}
+ */
+export async function clusterSpecFeedback(supabase, userId, cluster, { limit = 20 } = {}) {
+  const ids = cluster.feedback_ids || [];
+  if (ids.length === 0) return [];
+
+  const center = parseVector(cluster.centroid);
+  const model = cluster.cluster_data?.embeddingModel;
+  let ranked = [];
+
+  if (center && model) {
+    try {
+      ranked = await vectorCandidates(supabase, userId, center, model, { ids, minScore: -1 });
+    } catch (error) {
+      console.warn("Ranking cluster feedback by similarity failed:", error.message);
+    }
+  }
+
+  const rankedIds = ranked.slice(0, limit).map((candidate) => candidate.id);
+  if (rankedIds.length > 0) {
+    const rows = await loadRows(supabase, userId, rankedIds, SPEC_FEEDBACK_COLUMNS);
+    return rankedIds.filter((id) => rows.has(id)).map((id) => rows.get(id));
+  }
+
+  const newest = [];
+  for (let i = 0; i < ids.length; i += ID_BATCH_SIZE) {
+    const { data, error } = await supabase
+      .from("raw_feedback")
+      .select(`${SPEC_FEEDBACK_COLUMNS}, created_at`)
+      .eq("user_id", userId)
+      .in("id", ids.slice(i, i + ID_BATCH_SIZE));
+
+    if (error) {
+      throw createDatabaseError("Failed to fetch cluster feedback", error.message);
+    }
+    newest.push(...(data || []));
+  }
+
+  return newest
+    .sort((a, b) => new Date(b.created_at) - new Date(a.created_at))
+    .slice(0, limit)
+    .map(({ id, content, metadata, duplicate_of, duplicate_count }) => ({
+      id,
+      content,
+      metadata,
+      duplicate_of,
+      duplicate_count,
+    }));
+}
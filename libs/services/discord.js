@@ -0,0 +1,191 @@
+/**
+ * Discord Service for reading guild channels and messages with a bot token (REST API v10)
+ * Основные методы для работы с Discord API: серверы, каналы, треды и сообщения
+ */
+const DISCORD_API_URL = 'https://discord.com/api/v10';
+const DISCORD_EPOCH = 1420070400000;
+const MAX_MESSAGES_PER_PAGE = 100;
+// Wait out short rate limits instead of failing the whole sync
+const MAX_RATE_LIMIT_WAIT_MS = 5000;
+const MAX_RATE_LIMIT_RETRIES = 2;
+
+// https://discord.com/developers/docs/resources/channel#channel-object-channel-types
+const CHANNEL_TYPES = {
+  GUILD_TEXT: 0,
+  GUILD_CATEGORY: 4,
+  GUILD_ANNOUNCEMENT: 5,
+  ANNOUNCEMENT_THREAD: 10,
+  PUBLIC_THREAD: 11,
+  PRIVATE_THREAD: 12,
+  GUILD_FORUM: 15,
+};
+
+// Channels whose messages (or threads) can be imported as feedback
+const READABLE_CHANNEL_TYPES = [CHANNEL_TYPES.GUILD_TEXT, CHANNEL_TYPES.GUILD_ANNOUNCEMENT, CHANNEL_TYPES.GUILD_FORUM];
+const THREAD_CHANNEL_TYPES = [CHANNEL_TYPES.ANNOUNCEMENT_THREAD, CHANNEL_TYPES.PUBLIC_THREAD, CHANNEL_TYPES.PRIVATE_THREAD];
+
+// Regular messages and replies - joins, pins, boosts etc. are not feedback
+const USER_MESSAGE_TYPES = [0, 19];
+
+class DiscordService {
+  /**
+   * @param {string} botToken - Bot token of the user's Discord application
+   */
+  constructor(botToken) {
+    this.botToken = botToken;
+  }
+
+  /**
+   * Проверить конфигурацию сервиса
+   * @returns {boolean} Статус конфигурации
+   */
+  isConfigured() {
+    return !!this.botToken;
+  }
+
+  /**
+   * GET request to the Discord API. Errors carry `code` (HTTP status) and,
+   * for rate limits, `retryAfter` in seconds.
+   */
+  async request(path, params = {}, attempt = 0) {
+    if (!this.botToken) {
+      throw new Error('Discord bot token is not configured');
+    }
+
+    const url = new URL(`${DISCORD_API_URL}${path}`);
+    Object.entries(params).forEach(([key, value]) => {
+      if (value !== undefined && value !== null) {
+        url.searchParams.append(key, String(value));
+      }
+    });
+
+    const response = await fetch(url.toString(), {
+      method: 'GET',
+      headers: {
+        'Authorization': `Bot ${this.botToken}`,
+        'Content-Type': 'application/json'
+      }
+    });
+
+    if (response.ok) {
+      return response.json();
+    }
+
+    const errorData = await response.json().catch(() => null);
+
+    if (response.status === 429) {
+      const retryAfter = Number(errorData?.retry_after || response.headers.get('retry-after') || 1);
+      if (attempt < MAX_RATE_LIMIT_RETRIES && retryAfter * 1000 <= MAX_RATE_LIMIT_WAIT_MS) {
+        console.log(`⏳ Discord rate limit: waiting ${retryAfter}s before retrying ${path}`);
+        await new Promise(resolve => setTimeout(resolve, retryAfter * 1000));
+        return this.request(path, params, attempt + 1);
+      }
+    }
+
+    const error = new Error(`Discord API request failed with status ${response.status}: ${errorData?.message || response.statusText}`);
+    error.code = response.status;
+    if (response.status === 429) {
+      error.retryAfter = Number(errorData?.retry_after || 0);
+    }
+    throw error;
+  }
+
+  /**
+   * Bot user the token belongs to (also validates the token)
+   * @returns {Promise<{id: string, username: string}>}
+   */
+  async getCurrentUser() {
+    const user = await this.request('/users/@me');
+    return { id: user.id, username: user.username };
+  }
+
+  /**
+   * Servers the bot was added to
+   * @returns {Promise<{id: string, name: string, icon: string|null}[]>}
+   */
+  async getGuilds() {
+    const guilds = await this.request('/users/@me/guilds');
+    return guilds.map(guild => ({ id: guild.id, name: guild.name, icon: guild.icon || null }));
+  }
+
+  /**
+   * Text, announcement and forum channels of a server, in sidebar order
+   * @returns {Promise<{id: string, name: string, type: number, parentId: string|null, position: number}[]>}
+   */
+  async getChannels(guildId) {
+    const channels = await this.request(`/guilds/${guildId}/channels`);
+    return channels
+      .filter(channel => READABLE_CHANNEL_TYPES.includes(channel.type))
+      .map(channel => ({
+        id: channel.id,
+        name: channel.name,
+        type: channel.type,
+        parentId: channel.parent_id || null,
+        position: channel.position || 0
+      }))
+      .sort((a, b) => a.position - b.position);
+  }
+
+  /**
+   * Active (not archived) threads of a server
+   * @returns {Promise<{id: string, name: string, parentId: string}[]>}
+   */
+  async getActiveThreads(guildId) {
+    const data = await this.request(`/guilds/${guildId}/threads/active`);
+    return (data.threads || [])
+      .filter(thread => THREAD_CHANNEL_TYPES.includes(thread.type))
+      .map(thread => ({ id: thread.id, name: thread.name, parentId: thread.parent_id }));
+  }
+
+  /**
+   * One page of channel messages posted after a message id, oldest first
+   * @param {string} channelId - Channel or thread id
+   * @param {Object} options
+   * @param {string} [options.after] - Only messages newer than this snowflake
+   * @param {number} [options.limit] - Up to 100
+   * @returns {Promise<Object[]>} Raw Discord message objects
+   */
+  async getMessages(channelId, { after, limit = MAX_MESSAGES_PER_PAGE } = {}) {
+    const messages = await this.request(`/channels/${channelId}/messages`, {
+      after,
+      limit: Math.min(limit, MAX_MESSAGES_PER_PAGE)
+    });
+    return messages.sort((a, b) => compareSnowflakes(a.id, b.id));
+  }
+
+  /**
+   * Whether a message was written by a person (not a join/pin/boost notice)
+   */
+  isUserMessage(message) {
+    return USER_MESSAGE_TYPES.includes(message.type);
+  }
+
+  /**
+   * Link that opens the message in Discord
+   */
+  getMessageUrl(guildId, channelId, messageId) {
+    return `https://discord.com/channels/${guildId}/${channelId}/${messageId}`;
+  }
+}
+
+/**
+ * Smallest snowflake for a moment in time (for "messages after <date>")
+ * @param {Date} date
+ * @returns {string}
+ */
+function snowflakeFromDate(date) {
+  return ((BigInt(date.getTime()) - BigInt(DISCORD_EPOCH)) << 22n).toString();
+}
+
+function compareSnowflakes(a, b) {
+  const left = BigInt(a);
+  const right = BigInt(b);
+  return left < right ? -1 : left > right ? 1 : 0;
+}
+
+module.exports = {
+  DiscordService,
+  CHANNEL_TYPES,
+  snowflakeFromDate,
+  compareSnowflakes
+};
@@ -0,0 +1,333 @@
+/**
+ * GitHub Service for reading repository issues, comments and Discussions (REST + GraphQL API),
+ * and for creating the issues specs are sent to (libs/trackers)
+ * Основные методы для работы с GitHub API: репозитории, issues, комментарии и обсуждения
+ */
+const GITHUB_API_URL = 'https://api.github.com';
+const PAGE_SIZE = 100;
+const DISCUSSION_PAGE_SIZE = 25;
+const DISCUSSION_COMMENTS_PER_DISCUSSION = 50;
+
+const DISCUSSIONS_QUERY = `
+  query($owner: String!, $name: String!, $first: Int!, $after: String, $comments: Int!) {
+    repository(owner: $owner, name: $name) {
+      discussions(first: $first, after: $after, orderBy: { field: UPDATED_AT, direction: DESC }) {
+        pageInfo { hasNextPage endCursor }
+        nodes {
+          id
+          number
+          title
+          body
+          url
+          createdAt
+          updatedAt
+          closed
+          closedAt
+          isAnswered
+          upvoteCount
+          author { login __typename }
+          authorAssociation
+          category { name }
+          labels(first: 20) { nodes { name } }
+          reactions { totalCount }
+          comments(first: $comments) {
+            totalCount
+            nodes {
+              id
+              body
+              url
+              createdAt
+              updatedAt
+              isAnswer
+              author { login __typename }
+              authorAssociation
+              reactions { totalCount }
+            }
+          }
+        }
+      }
+    }
+  }
+`;
+
+class GitHubService {
+  /**
+   * @param {string} token - Personal access token with read access to issues and discussions (write access to issues to create them)
+   */
+  constructor(token) {
+    this.token = token;
+  }
+
+  /**
+   * Проверить конфигурацию сервиса
+   * @returns {boolean} Статус конфигурации
+   */
+  isConfigured() {
+    return !!this.token;
+  }
+
+  headers() {
+    return {
+      'Accept': 'application/vnd.github+json',
+      'Authorization': `Bearer ${this.token}`,
+      'X-GitHub-Api-Version': '2022-11-28',
+      'Content-Type': 'application/json'
+    };
+  }
+
+  /**
+   * Error for a failed response: `code` is the HTTP status, or 'ratelimited'
+   * (with `resetAt`) when the token ran out of requests
+   */
+  async toError(response, label) {
+    const errorData = await response.json().catch(() => null);
+    const rateLimited = response.status === 429 ||
+      (response.status === 403 && (response.headers.get('x-ratelimit-remaining') === '0' || /rate limit/i.test(errorData?.message || '')));
+
+    const error = new Error(`GitHub API ${label} failed with status ${response.status}: ${errorData?.message || response.statusText}`);
+    error.code = rateLimited ? 'ratelimited' : response.status;
+    error.authFailed = response.status === 401;
+    if (rateLimited) {
+      const reset = response.headers.get('x-ratelimit-reset');
+      error.resetAt = reset ? new Date(Number(reset) * 1000).toISOString() : null;
+    }
+    return error;
+  }
+
+  /**
+   * GET request to the REST API
+   */
+  async request(path, params = {}) {
+    if (!this.token) {
+      throw new Error('GitHub token is not configured');
+    }
+
+    const url = new URL(`${GITHUB_API_URL}${path}`);
+    Object.entries(params).forEach(([key, value]) => {
+      if (value !== undefined && value !== null) {
+        url.searchParams.append(key, String(value));
+      }
+    });
+
+    const response = await fetch(url.toString(), { method: 'GET', headers: this.headers() });
+    if (!response.ok) {
+      throw await this.toError(response, path);
+    }
+    return response.json();
+  }
+
+  /**
+   * POST/PATCH request with a JSON body to the REST API
+   */
+  async send(method, path, body) {
+    if (!this.token) {
+      throw new Error('GitHub token is not configured');
+    }
+
+    const response = await fetch(`${GITHUB_API_URL}${path}`, {
+      method,
+      headers: this.headers(),
+      body: JSON.stringify(body)
+    });
+    if (!response.ok) {
+      throw await this.toError(response, path);
+    }
+    return response.json();
+  }
+
+  /**
+   * GraphQL query; GraphQL errors are thrown with `code` set to their type (NOT_FOUND, RATE_LIMITED, ...)
+   */
+  async graphql(query, variables = {}) {
+    if (!this.token) {
+      throw new Error('GitHub token is not configured');
+    }
+
+    const response = await fetch(`${GITHUB_API_URL}/graphql`, {
+      method: 'POST',
+      headers: this.headers(),
+      body: JSON.stringify({ query, variables })
+    });
+    if (!response.ok) {
+      throw await this.toError(response, 'graphql');
+    }
+
+    const data = await response.json();
+    if (data.errors?.length) {
+      const [first] = data.errors;
+      const error = new Error(`GitHub GraphQL error: ${first.message}`);
+      error.code = first.type === 'RATE_LIMITED' ? 'ratelimited' : first.type || 'GRAPHQL_ERROR';
+      throw error;
+    }
+    return data.data;
+  }
+
+  /**
+   * Account the token belongs to (also validates the token)
+   * @returns {Promise<{login: string}>}
+   */
+  async getAuthenticatedUser() {
+    const user = await this.request('/user');
+    return { login: user.login };
+  }
+
+  /**
+   * @param {string} fullName - "owner/name"
+   * @returns {Promise<{fullName: string, private: boolean, hasIssues: boolean, hasDiscussions: boolean, url: string}>}
+   */
+  async getRepository(fullName) {
+    const repo = await this.request(`/repos/${fullName}`);
+    return {
+      fullName: repo.full_name,
+      private: !!repo.private,
+      hasIssues: !!repo.has_issues,
+      hasDiscussions: !!repo.has_discussions,
+      url: repo.html_url
+    };
+  }
+
+  /**
+   * Create an issue (needs write access to issues)
+   * @returns {Promise<Object>} The issue as returned by the API
+   */
+  async createIssue(fullName, { title, body, labels = [] }) {
+    return this.send('POST', `/repos/${fullName}/issues`, { title, body, labels });
+  }
+
+  /**
+   * Change an issue's title, body, state or labels
+   */
+  async updateIssue(fullName, number, changes) {
+    return this.send('PATCH', `/repos/${fullName}/issues/${number}`, changes);
+  }
+
+  /**
+   * One issue: state is "open" or "closed", state_reason "completed" or "not_planned" once closed
+   */
+  async getIssue(fullName, number) {
+    return this.request(`/repos/${fullName}/issues/${number}`);
+  }
+
+  /**
+   * Pages of a REST listing sorted by `updated` ascending, from `since` on
+   * @returns {Promise<{items: Object[], truncated: boolean}>}
+   */
+  async listUpdatedSince(path, since, { limit = 500 } = {}) {
+    const items = [];
+    let page = 1;
+
+    while (true) {
+      const batch = await this.request(path, {
+        state: 'all',
+        sort: 'updated',
+        direction: 'asc',
+        since,
+        per_page: PAGE_SIZE,
+        page
+      });
+      items.push(...batch);
+
+      if (batch.length < PAGE_SIZE) {
+        return { items, truncated: false };
+      }
+      if (items.length >= limit) {
+        return { items, truncated: true };
+      }
+      page++;
+    }
+  }
+
+  /**
+   * Issues (not pull requests) created or changed since a time, oldest change first.
+   * Closing, relabeling and new comments all count as changes.
+   */
+  async listIssuesUpdatedSince(fullName, since, options) {
+    const result = await this.listUpdatedSince(`/repos/${fullName}/issues`, since, options);
+    return { ...result, items: result.items.filter(issue => !issue.pull_request) };
+  }
+
+  /**
+   * Issue comments (not pull request comments) created or edited since a time, oldest change first
+   */
+  async listIssueCommentsUpdatedSince(fullName, since, options) {
+    const result = await this.listUpdatedSince(`/repos/${fullName}/issues/comments`, since, options);
+    return { ...result, items: result.items.filter(comment => !/\/pull\/\d+/.test(comment.html_url || '')) };
+  }
+
+  /**
+   * Discussions changed since a time with their first comments, oldest change first.
+   * GraphQL can only sort them, not filter by date, so pages are read newest first
+   * until an older discussion shows up.
+   * @returns {Promise<{items: Object[], truncated: boolean}>}
+   */
+  async listDiscussionsUpdatedSince(fullName, since, { limit = 500 } = {}) {
+    const [owner, name] = fullName.split('/');
+    const sinceTime = new Date(since).getTime();
+    const items = [];
+    let after = null;
+
+    while (true) {
+      const data = await this.graphql(DISCUSSIONS_QUERY, {
+        owner,
+        name,
+        first: DISCUSSION_PAGE_SIZE,
+        after,
+        comments: DISCUSSION_COMMENTS_PER_DISCUSSION
+      });
+      const connection = data.repository?.discussions;
+      if (!connection) {
+        return { items: items.reverse(), truncated: false };
+      }
+
+      for (const discussion of connection.nodes) {
+        if (new Date(discussion.updatedAt).getTime() < sinceTime) {
+          return { items: items.reverse(), truncated: false };
+        }
+        items.push(discussion);
+      }
+
+      if (!connection.pageInfo.hasNextPage) {
+        return { items: items.reverse(), truncated: false };
+      }
+      if (items.length >= limit) {
+        return { items: items.reverse(), truncated: true };
+      }
+      after = connection.pageInfo.endCursor;
+    }
+  }
+}
+
+/**
+ * Reaction counts of a REST issue/comment
+ */
+function formatReactions(reactions = {}) {
+  return {
+    total: reactions.total_count || 0,
+    '+1': reactions['+1'] || 0,
+    '-1': reactions['-1'] || 0,
+    heart: reactions.heart || 0,
+    hooray: reactions.hooray || 0,
+    rocket: reactions.rocket || 0,
+    eyes: reactions.eyes || 0,
+    laugh: reactions.laugh || 0,
+    confused: reactions.confused || 0
+  };
+}
+
+/**
+ * "owner/name" from user input - also accepts github.com URLs
+ * @returns {string|null}
+ */
+function parseRepositoryName(value) {
+  const match = String(value || '')
+    .trim()
+    .replace(/\.git$/, '')
+    .match(/^(?:https?:\/\/github\.com\/)?([A-Za-z0-9_.-]+)\/([A-Za-z0-9_.-]+)\/?$/);
+  return match ? `${match[1]}/${match[2]}` : null;
+}
+
+module.exports = {
+  GitHubService,
+  formatReactions,
+  parseRepositoryName
+};
@@ -0,0 +1,325 @@
+/**
+ * Gmail ingestion rules
+ * Решает, какие письма импортировать как фидбек. Правила хранятся в
+ * integrations.config.rules, выученный фильтр - в integrations.config.learned_filter
+ */
+
+const DEFAULT_GMAIL_RULES = {
+  // Watch messages with any of these label IDs
+  labels: ['INBOX'],
+  // Skip messages with any of these label IDs
+  excludeLabels: [],
+  // Only import from these senders ("jane@acme.com") or domains ("acme.com"); empty = anyone
+  includeSenders: [],
+  excludeSenders: [],
+  // Gmail search query the message must match, e.g. "to:support@acme.com -from:me"
+  query: '',
+  // Case-insensitive regular expressions on the subject
+  subjectPattern: '',
+  excludeSubjectPattern: '',
+  // Subject or body must mention one of these; empty = no keyword filter
+  keywords: ['feedback'],
+  // Skip newsletters, notifications and senders marked as "not feedback"
+  filterNonFeedback: true,
+};
+
+const RULE_LIMITS = {
+  maxListItems: 50,
+  maxQueryLength: 500,
+  maxPatternLength: 200,
+};
+
+// A domain is blocked once this many messages from it were marked "not feedback"
+const LEARNED_DOMAIN_THRESHOLD = 3;
+
+// Shared mailbox providers - learn the address, never the whole domain
+const PUBLIC_EMAIL_DOMAINS = [
+  'gmail.com', 'googlemail.com', 'outlook.com', 'hotmail.com', 'live.com',
+  'yahoo.com', 'icloud.com', 'me.com', 'aol.com', 'proton.me', 'protonmail.com',
+  'yandex.ru', 'mail.ru', 'gmx.com',
+];
+
+// Common marketing/notification patterns
+const NON_FEEDBACK_PATTERNS = [
+  'unsubscribe', 'newsletter', 'promotion', 'sale', 'discount', 'offer',
+  'marketing', 'advertisement', 'spam', 'noreply', 'no-reply',
+  'password reset', 'verify', 'confirmation', 'welcome to',
+  'thank you for signing up', 'activate your account',
+  'privacy policy', 'terms of service', 'terms & conditions',
+  'pinterest.com', 'facebook.com', 'twitter.com', 'instagram.com',
+  'linkedin.com', 'youtube.com', 'tiktok.com',
+  'to view this content', 'open the following url',
+  'help centre', 'support@', 'notifications@'
+];
+
+// Categories of Gmail's own classifier that are never feedback
+const NON_FEEDBACK_LABELS = ['CATEGORY_PROMOTIONS', 'CATEGORY_SOCIAL', 'SPAM'];
+
+// Why a message was skipped (see evaluateGmailMessage)
+const SKIP_REASONS = {
+  EXCLUDED_LABEL: 'excluded_label',
+  LABEL_NOT_WATCHED: 'label_not_watched',
+  LEARNED_NOT_FEEDBACK: 'learned_not_feedback',
+  EXCLUDED_SENDER: 'excluded_sender',
+  SENDER_NOT_INCLUDED: 'sender_not_included',
+  QUERY_NOT_MATCHED: 'query_not_matched',
+  EXCLUDED_SUBJECT: 'excluded_subject',
+  SUBJECT_NOT_MATCHED: 'subject_not_matched',
+  NO_KEYWORDS: 'no_keywords',
+  NON_FEEDBACK: 'non_feedback',
+};
+
+class RuleValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RuleValidationError';
+  }
+}
+
+function toList(value) {
+  if (Array.isArray(value)) return value;
+  if (typeof value === 'string') return value.split(',');
+  return [];
+}
+
+function cleanList(value, { lowercase = false } = {}) {
+  const items = toList(value)
+    .filter(item => typeof item === 'string')
+    .map(item => (lowercase ? item.trim().toLowerCase() : item.trim()))
+    .filter(Boolean);
+
+  return [...new Set(items)].slice(0, RULE_LIMITS.maxListItems);
+}
+
+/**
+ * Rules for an integration, filled in with defaults.
+ * Integrations created before rules existed only have config.keywords.
+ */
+function getGmailRules(config = {}) {
+  const stored = config.rules || {};
+  const rules = { ...DEFAULT_GMAIL_RULES, ...stored };
+
+  if (!config.rules && Array.isArray(config.keywords)) {
+    rules.keywords = config.keywords;
+  }
+
+  return {
+    labels: cleanList(rules.labels).length > 0 ? cleanList(rules.labels) : [...DEFAULT_GMAIL_RULES.labels],
+    excludeLabels: cleanList(rules.excludeLabels),
+    includeSenders: cleanList(rules.includeSenders, { lowercase: true }),
+    excludeSenders: cleanList(rules.excludeSenders, { lowercase: true }),
+    query: typeof rules.query === 'string' ? rules.query.trim() : '',
+    subjectPattern: typeof rules.subjectPattern === 'string' ? rules.subjectPattern.trim() : '',
+    excludeSubjectPattern: typeof rules.excludeSubjectPattern === 'string' ? rules.excludeSubjectPattern.trim() : '',
+    keywords: cleanList(rules.keywords),
+    filterNonFeedback: rules.filterNonFeedback !== false,
+  };
+}
+
+function compilePattern(pattern, field) {
+  if (!pattern) return null;
+
+  try {
+    return new RegExp(pattern, 'i');
+  } catch (error) {
+    throw new RuleValidationError(`${field} is not a valid regular expression: ${error.message}`);
+  }
+}
+
+/**
+ * Validate rules coming from the UI and return them normalized
+ * @throws {RuleValidationError}
+ */
+function validateGmailRules(input = {}) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw new RuleValidationError('rules must be an object');
+  }
+
+  const rules = getGmailRules({ rules: input });
+
+  if (rules.query.length > RULE_LIMITS.maxQueryLength) {
+    throw new RuleValidationError(`query must be at most ${RULE_LIMITS.maxQueryLength} characters`);
+  }
+
+  for (const field of ['subjectPattern', 'excludeSubjectPattern']) {
+    if (rules[field].length > RULE_LIMITS.maxPatternLength) {
+      throw new RuleValidationError(`${field} must be at most ${RULE_LIMITS.maxPatternLength} characters`);
+    }
+    compilePattern(rules[field], field);
+  }
+
+  for (const sender of [...rules.includeSenders, ...rules.excludeSenders]) {
+    if (!/^[^\s@]*@?[^\s@]+\.[^\s@]+$/.test(sender)) {
+      throw new RuleValidationError(`"${sender}" is not an email address or domain`);
+    }
+  }
+
+  return rules;
+}
+
+/**
+ * Lowercased address from a From header ("Jane <jane@acme.com>" -> "jane@acme.com")
+ */
+function parseSender(from = '') {
+  const match = from.match(/<([^>]+)>/);
+  const address = (match ? match[1] : from).trim().toLowerCase();
+  const domain = address.includes('@') ? address.split('@').pop() : '';
+  return { address, domain };
+}
+
+/**
+ * "jane@acme.com" matches that address; "acme.com" / "@acme.com" match the domain and its subdomains
+ */
+function senderMatches(sender, entries) {
+  return entries.some(entry => {
+    if (entry.includes('@') && !entry.startsWith('@')) {
+      return sender.address === entry;
+    }
+    const domain = entry.replace(/^@/, '');
+    return sender.domain === domain || sender.domain.endsWith(`.${domain}`);
+  });
+}
+
+/**
+ * Built-in check for newsletters, notifications and other mail that is obviously not feedback
+ */
+function isLikelyNonFeedback(email) {
+  const subject = (email.subject || '').toLowerCase();
+  const body = (email.body || email.snippet || '').toLowerCase();
+  const from = (email.from || '').toLowerCase();
+
+  if ((email.labelIds || []).some(label => NON_FEEDBACK_LABELS.includes(label))) {
+    return true;
+  }
+
+  // Check subject and body for marketing patterns
+  const hasMarketingPattern = NON_FEEDBACK_PATTERNS.some(pattern =>
+    subject.includes(pattern) || body.includes(pattern) || from.includes(pattern)
+  );
+
+  // Check for excessive URLs (typical in marketing emails)
+  const urlCount = (body.match(/https?:\/\//g) || []).length;
+  const hasExcessiveUrls = urlCount > 5;
+
+  // Check if it's mostly links with little actual content
+  const textContent = body.replace(/https?:\/\/[^\s]+/g, '').trim();
+  const isMainlyLinks = urlCount > 3 && textContent.length < 200;
+
+  return hasMarketingPattern || hasExcessiveUrls || isMainlyLinks;
+}
+
+/**
+ * Whether the learned filter blocks this sender
+ */
+function isLearnedNonFeedback(sender, learned = {}) {
+  return (learned.senders || []).includes(sender.address) ||
+    (!!sender.domain && (learned.domains || []).includes(sender.domain));
+}
+
+/**
+ * Decide whether one email should be imported
+ * @param {Object} email - GmailService.getEmail() result
+ * @param {Object} rules - getGmailRules() result
+ * @param {Object} options
+ * @param {Set<string>} options.queryMatches - IDs matching rules.query; omit when the listing already applied it
+ * @param {Object} options.learned - integrations.config.learned_filter
+ * @returns {{include: boolean, reason: string, keywordsMatched: string[]}}
+ */
+function evaluateGmailMessage(email, rules, { queryMatches, learned } = {}) {
+  const labels = email.labelIds || [];
+  const sender = parseSender(email.from);
+  const subject = email.subject || '';
+  const skip = reason => ({ include: false, reason, keywordsMatched: [] });
+
+  if (labels.some(label => rules.excludeLabels.includes(label))) {
+    return skip(SKIP_REASONS.EXCLUDED_LABEL);
+  }
+  if (labels.length > 0 && !labels.some(label => rules.labels.includes(label))) {
+    return skip(SKIP_REASONS.LABEL_NOT_WATCHED);
+  }
+  if (rules.filterNonFeedback && isLearnedNonFeedback(sender, learned)) {
+    return skip(SKIP_REASONS.LEARNED_NOT_FEEDBACK);
+  }
+  if (rules.excludeSenders.length > 0 && senderMatches(sender, rules.excludeSenders)) {
+    return skip(SKIP_REASONS.EXCLUDED_SENDER);
+  }
+  if (rules.includeSenders.length > 0 && !senderMatches(sender, rules.includeSenders)) {
+    return skip(SKIP_REASONS.SENDER_NOT_INCLUDED);
+  }
+  if (rules.query && queryMatches && !queryMatches.has(email.id)) {
+    return skip(SKIP_REASONS.QUERY_NOT_MATCHED);
+  }
+
+  const excludeSubject = compilePattern(rules.excludeSubjectPattern, 'excludeSubjectPattern');
+  if (excludeSubject && excludeSubject.test(subject)) {
+    return skip(SKIP_REASONS.EXCLUDED_SUBJECT);
+  }
+  const includeSubject = compilePattern(rules.subjectPattern, 'subjectPattern');
+  if (includeSubject && !includeSubject.test(subject)) {
+    return skip(SKIP_REASONS.SUBJECT_NOT_MATCHED);
+  }
+
+  // Simple keyword filtering
+  const content = `${subject} ${email.body || email.snippet || ''}`.toLowerCase();
+  const keywordsMatched = rules.keywords.filter(keyword => content.includes(keyword.toLowerCase()));
+  if (rules.keywords.length > 0 && keywordsMatched.length === 0) {
+    return skip(SKIP_REASONS.NO_KEYWORDS);
+  }
+
+  if (rules.filterNonFeedback && isLikelyNonFeedback(email)) {
+    return skip(SKIP_REASONS.NON_FEEDBACK);
+  }
+
+  return { include: true, reason: 'matched', keywordsMatched };
+}
+
+/**
+ * Record that an email from `from` was not feedback.
+ * The address is blocked right away; a company domain after LEARNED_DOMAIN_THRESHOLD marks.
+ * @returns {Object} Updated learned_filter
+ */
+function learnNonFeedbackSender(learned = {}, from) {
+  const sender = parseSender(from);
+  const next = {
+    senders: [...(learned.senders || [])],
+    domains: [...(learned.domains || [])],
+    domain_marks: { ...(learned.domain_marks || {}) },
+  };
+
+  if (!sender.address.includes('@')) {
+    return next;
+  }
+
+  if (!next.senders.includes(sender.address)) {
+    next.senders.push(sender.address);
+  }
+
+  if (sender.domain && !PUBLIC_EMAIL_DOMAINS.includes(sender.domain)) {
+    next.domain_marks[sender.domain] = (next.domain_marks[sender.domain] || 0) + 1;
+    if (next.domain_marks[sender.domain] >= LEARNED_DOMAIN_THRESHOLD && !next.domains.includes(sender.domain)) {
+      next.domains.push(sender.domain);
+    }
+  }
+
+  return next;
+}
+
+/**
+ * Gmail search query for listing: the rule query plus an extra clause (e.g. a date range)
+ */
+function buildGmailQuery(rules, extra = '') {
+  return [rules.query ? `(${rules.query})` : '', extra].filter(Boolean).join(' ');
+}
+
+module.exports = {
+  DEFAULT_GMAIL_RULES,
+  SKIP_REASONS,
+  RuleValidationError,
+  getGmailRules,
+  validateGmailRules,
+  evaluateGmailMessage,
+  isLikelyNonFeedback,
+  learnNonFeedbackSender,
+  buildGmailQuery,
+  parseSender
+};
@@ -137,7 +137,68 @@ class GmailService {
       };
     } catch (error) {
       console.error('Failed to fetch emails from Gmail:', error);
-      throw new Error('Failed to fetch emails');
+      // Keep the API status so callers can tell expired tokens from other failures
+      const fetchError = new Error('Failed to fetch emails');
+      fetchError.code = error.code;
+      fetchError.cause = error;
+      throw fetchError;
+    }
+  }
+
+  /**
+   * Get IDs of messages added since a history ID (one page of users.history.list)
+   * @param {Object} options - History options
+   * @param {string} options.startHistoryId - historyId from getProfile() or a previous call
+   * @param {string|null} options.labelId - Only messages added to this label (null = any label)
+   * @returns {Object} { messageIds, messages: [{ id, labelIds }], historyId, nextPageToken }
+   * @throws {Error} with historyExpired = true when startHistoryId is too old (full resync needed)
+   */
+  async getHistory(options = {}) {
+    const {
+      startHistoryId,
+      labelId = 'INBOX',
+      pageToken,
+      maxResults = 500
+    } = options;
+
+    if (!startHistoryId) {
+      throw new Error('startHistoryId is required to fetch history');
+    }
+
+    try {
+      const response = await this.gmail.users.history.list({
+        userId: 'me',
+        startHistoryId,
+        labelId: labelId || undefined,
+        historyTypes: ['messageAdded'],
+        pageToken,
+        maxResults,
+      });
+
+      // Один и тот же message может встречаться в нескольких записях истории
+      const messages = [];
+      for (const record of response.data.history || []) {
+        for (const added of record.messagesAdded || []) {
+          if (added.message?.id && !messages.some(message => message.id === added.message.id)) {
+            messages.push({ id: added.message.id, labelIds: added.message.labelIds || [] });
+          }
+        }
+      }
+
+      return {
+        messageIds: messages.map(message => message.id),
+        messages,
+        historyId: response.data.historyId,
+        nextPageToken: response.data.nextPageToken
+      };
+    } catch (error) {
+      console.error('Failed to fetch Gmail history:', error);
+      const historyError = new Error('Failed to fetch Gmail history');
+      historyError.code = error.code;
+      historyError.cause = error;
+      // Gmail keeps history for about a week; older IDs return 404
+      historyError.historyExpired = error.code === 404;
+      throw historyError;
     }
   }
 
@@ -394,6 +455,30 @@ class GmailService {
     }
   }
 
+  /**
+   * Get the mailbox labels (system and user-created)
+   * @returns {Array} [{ id, name, type }]
+   */
+  async getLabels() {
+    try {
+      const response = await this.gmail.users.labels.list({
+        userId: 'me'
+      });
+
+      return (response.data.labels || []).map(label => ({
+        id: label.id,
+        name: label.name,
+        type: label.type
+      }));
+    } catch (error) {
+      console.error('Failed to fetch Gmail labels:', error);
+      const labelsError = new Error('Failed to fetch Gmail labels');
+      labelsError.code = error.code;
+      labelsError.cause = error;
+      throw labelsError;
+    }
+  }
+
   /**
    * Get user's Gmail profile information
    * @returns {Object} Profile information
@@ -412,7 +497,10 @@ class GmailService {
       };
     } catch (error) {
       console.error('Failed to fetch Gmail profile:', error);
-      throw new Error('Failed to fetch Gmail profile');
+      const profileError = new Error('Failed to fetch Gmail profile');
+      profileError.code = error.code;
+      profileError.cause = error;
+      throw profileError;
     }
   }
 
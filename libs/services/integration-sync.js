@@ -0,0 +1,1722 @@
+const { google } = require('googleapis');
+const { GmailService } = require('./gmail.js');
+const { TwitterService } = require('./twitter.js');
+const { DiscordService, CHANNEL_TYPES, snowflakeFromDate } = require('./discord.js');
+const { SlackService, compareTs, tsFromDate } = require('./slack.js');
+const { GitHubService, formatReactions } = require('./github.js');
+const { getGmailRules, evaluateGmailMessage, buildGmailQuery } = require('./gmail-rules.js');
+
+const DEFAULT_SYNC_INTERVAL_MINUTES = 60;
+const MIN_SYNC_INTERVAL_MINUTES = 5;
+const MAX_BACKOFF_MINUTES = 24 * 60;
+
+// Gmail sync limits
+const GMAIL_PAGE_SIZE = 100;
+const GMAIL_MAX_MESSAGES_PER_LISTING = 1000;
+const GMAIL_MAX_PENDING_MESSAGES = 2000;
+const GMAIL_INITIAL_SYNC_DAYS = 7;
+const GMAIL_RESYNC_OVERLAP_SECONDS = 60 * 60;
+// How far back search-query matches are looked up for incremental syncs
+const GMAIL_QUERY_MATCH_WINDOW_SECONDS = 24 * 60 * 60;
+// Keeps a scheduled sync inside the job worker's per-job timeout
+const GMAIL_SYNC_TIME_BUDGET_MS = 20000;
+
+// Discord: how far back a channel's first sync goes, and how much one run reads per channel
+const DISCORD_INITIAL_SYNC_DAYS = 7;
+const DISCORD_PAGE_SIZE = 100;
+const DISCORD_MAX_MESSAGES_PER_CHANNEL = 500;
+const DISCORD_SYNC_TIME_BUDGET_MS = 20000;
+
+// Slack: first sync window, how long threads keep being checked for new replies, and read limits
+const SLACK_INITIAL_SYNC_DAYS = 7;
+const SLACK_THREAD_REFRESH_HOURS = 48;
+const SLACK_MAX_MESSAGES_PER_CHANNEL = 1000;
+const SLACK_MAX_THREAD_REPLIES = 50;
+const SLACK_SYNC_TIME_BUDGET_MS = 20000;
+
+// GitHub: how far back a repository's first sync goes and how many changes one run reads per listing
+const GITHUB_INITIAL_SYNC_DAYS = 90;
+const GITHUB_MAX_ITEMS_PER_LISTING = 300;
+const GITHUB_SYNC_TIME_BUDGET_MS = 20000;
+
+// raw_feedback source_id lookups per query
+const SOURCE_ID_BATCH_SIZE = 100;
+
+// Older integrations store a named frequency instead of minutes
+const SYNC_FREQUENCY_MINUTES = {
+  '15min': 15,
+  hourly: 60,
+  '6hours': 360,
+  daily: 1440,
+};
+
+/**
+ * Error raised by a platform sync. `statusCode` is what the manual sync
+ * routes respond with; `authFailed` means the user has to reconnect.
+ */
+class SyncError extends Error {
+  constructor(message, { statusCode = 500, authFailed = false, cause } = {}) {
+    super(message);
+    this.name = 'SyncError';
+    this.statusCode = statusCode;
+    this.authFailed = authFailed;
+    this.cause = cause;
+  }
+}
+
+function isAuthError(error) {
+  const message = `${error?.message || ''} ${error?.cause?.message || ''}`;
+  return error?.code === 401 || error?.cause?.code === 401 || /invalid_grant|unauthorized|401/i.test(message);
+}
+
+function toIsoDate(value, fallback = new Date()) {
+  try {
+    const date = value ? new Date(value) : fallback;
+    return isNaN(date.getTime()) ? fallback.toISOString() : date.toISOString();
+  } catch {
+    return fallback.toISOString();
+  }
+}
+
+/**
+ * Gmail client authorized with the integration's tokens
+ */
+function createGmailService(integration) {
+  const gmailService = new GmailService(integration.access_token, integration.refresh_token);
+
+  // Integration tokens are issued for the integration OAuth app, not the sign-in one
+  if (process.env.GMAIL_INTEGRATION_CLIENT_ID && process.env.GMAIL_INTEGRATION_CLIENT_SECRET) {
+    gmailService.oauth2Client = new google.auth.OAuth2(
+      process.env.GMAIL_INTEGRATION_CLIENT_ID,
+      process.env.GMAIL_INTEGRATION_CLIENT_SECRET,
+      process.env.GMAIL_INTEGRATION_REDIRECT_URI || 'http://localhost:3000/api/auth/gmail/callback'
+    );
+
+    const tokens = {};
+    if (integration.access_token) tokens.access_token = integration.access_token;
+    if (integration.refresh_token) tokens.refresh_token = integration.refresh_token;
+    gmailService.oauth2Client.setCredentials(tokens);
+    gmailService.gmail = google.gmail({ version: 'v1', auth: gmailService.oauth2Client });
+    gmailService.isAuthenticated = true;
+  }
+
+  return gmailService;
+}
+
+/**
+ * Source ids (out of sourceIds) this user already imported from the integration's platform
+ * @returns {Promise<Set<string>>}
+ */
+async function findImportedSourceIds(supabase, integration, sourceIds) {
+  const imported = new Set();
+
+  for (let i = 0; i < sourceIds.length; i += SOURCE_ID_BATCH_SIZE) {
+    const { data, error } = await supabase
+      .from('raw_feedback')
+      .select('source_id')
+      .eq('user_id', integration.user_id)
+      .eq('platform', integration.platform)
+      .in('source_id', sourceIds.slice(i, i + SOURCE_ID_BATCH_SIZE));
+
+    if (error) {
+      throw new Error(`Failed to check existing feedback: ${error.message}`);
+    }
+
+    (data || []).forEach(row => imported.add(row.source_id));
+  }
+
+  return imported;
+}
+
+/**
+ * Insert a feedback row and return its id (null on failure)
+ */
+async function importFeedback(supabase, row) {
+  const { data, error } = await supabase
+    .from('raw_feedback')
+    .insert(row)
+    .select('id')
+    .single();
+
+  if (error) {
+    console.error(`Error inserting ${row.platform} feedback:`, error);
+    return null;
+  }
+
+  return data.id;
+}
+
+/**
+ * Already imported rows (out of sourceIds) for syncs that update what they imported
+ * @returns {Promise<Map<string, {id: string, source_id: string, content: string, metadata: Object}>>}
+ */
+async function findExistingFeedback(supabase, integration, sourceIds) {
+  const rows = new Map();
+
+  for (let i = 0; i < sourceIds.length; i += SOURCE_ID_BATCH_SIZE) {
+    const { data, error } = await supabase
+      .from('raw_feedback')
+      .select('id, source_id, content, metadata')
+      .eq('user_id', integration.user_id)
+      .eq('platform', integration.platform)
+      .in('source_id', sourceIds.slice(i, i + SOURCE_ID_BATCH_SIZE));
+
+    if (error) {
+      throw new Error(`Failed to check existing feedback: ${error.message}`);
+    }
+
+    (data || []).forEach(row => rows.set(row.source_id, row));
+  }
+
+  return rows;
+}
+
+/**
+ * Deep equality for JSON values (jsonb does not keep key order)
+ */
+function sameJson(a, b) {
+  if (a === b) return true;
+  if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false;
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+
+  const keys = Object.keys(a);
+  return keys.length === Object.keys(b).length && keys.every(key => sameJson(a[key], b[key]));
+}
+
+/**
+ * Bring an imported row up to date with its source.
+ * Changed content drops the stored embedding so clustering re-embeds it.
+ * @returns {Promise<'unchanged'|'metadata'|'content'>} What changed
+ */
+async function updateSyncedFeedback(supabase, row, { content, metadata }) {
+  const merged = { ...(row.metadata || {}), ...metadata };
+  const contentChanged = content !== row.content;
+
+  if (!contentChanged && sameJson(merged, row.metadata || {})) {
+    return 'unchanged';
+  }
+
+  const update = { metadata: merged, updated_at: new Date().toISOString() };
+  if (contentChanged) {
+    update.content = content;
+    update.embedding = null;
+    update.embedding_model = null;
+  }
+
+  const { error } = await supabase
+    .from('raw_feedback')
+    .update(update)
+    .eq('id', row.id);
+
+  if (error) {
+    throw new Error(`Failed to update ${row.source_id}: ${error.message}`);
+  }
+
+  return contentChanged ? 'content' : 'metadata';
+}
+
+function gmailAuthError(error) {
+  return new SyncError('Gmail access token expired. Please reconnect your Gmail account.', {
+    statusCode: 401,
+    authFailed: true,
+    cause: error
+  });
+}
+
+/**
+ * IDs of messages matching a Gmail search, following pagination
+ * @returns {Promise<Set<string>>}
+ */
+async function searchGmailIds(gmailService, query, { labelIds = [], limit = GMAIL_MAX_MESSAGES_PER_LISTING } = {}) {
+  const ids = new Set();
+  let pageToken;
+
+  do {
+    const page = await gmailService.getEmails({
+      query,
+      maxResults: GMAIL_PAGE_SIZE,
+      labelIds,
+      pageToken
+    });
+    page.messages.forEach(message => ids.add(message.id));
+    pageToken = page.nextPageToken;
+  } while (pageToken && ids.size < limit);
+
+  return ids;
+}
+
+function gmailDateClause(date, overlapSeconds) {
+  return `after:${Math.floor(new Date(date).getTime() / 1000) - overlapSeconds}`;
+}
+
+/**
+ * Messages added since historyId to any watched label, following every history page.
+ * Not capped: the returned historyId covers all pages, so stopping early would lose messages.
+ * @returns {Promise<{messageIds: string[], historyId: string}>}
+ */
+async function listGmailHistory(gmailService, historyId, rules) {
+  const messageIds = [];
+  let latestHistoryId = historyId;
+  let pageToken;
+
+  // history.list filters by a single label; several labels are filtered here
+  const labelId = rules.labels.length === 1 ? rules.labels[0] : null;
+
+  do {
+    const page = await gmailService.getHistory({ startHistoryId: historyId, labelId, pageToken });
+    page.messages.forEach(message => {
+      const watched = message.labelIds.length === 0 || message.labelIds.some(label => rules.labels.includes(label));
+      if (watched && !messageIds.includes(message.id)) messageIds.push(message.id);
+    });
+    latestHistoryId = page.historyId || latestHistoryId;
+    pageToken = page.nextPageToken;
+  } while (pageToken);
+
+  return { messageIds, historyId: latestHistoryId };
+}
+
+/**
+ * Full listing of recent messages in the watched labels, following pagination.
+ * Resyncs continue from the last successful sync; first syncs look back GMAIL_INITIAL_SYNC_DAYS.
+ * The rules' search query is applied here.
+ * @returns {Promise<{messageIds: string[], historyId: string, query: string}>}
+ */
+async function listGmailInbox(gmailService, integration, rules) {
+  // Read the historyId before listing so nothing arriving mid-listing is missed
+  const profile = await gmailService.getProfile();
+
+  const query = buildGmailQuery(rules, integration.last_sync
+    ? gmailDateClause(integration.last_sync, GMAIL_RESYNC_OVERLAP_SECONDS)
+    : `newer_than:${GMAIL_INITIAL_SYNC_DAYS}d`);
+
+  // labelIds in messages.list means "all of", so each watched label is listed separately
+  const messageIds = new Set();
+  for (const label of rules.labels) {
+    const ids = await searchGmailIds(gmailService, query, {
+      labelIds: [label],
+      limit: GMAIL_MAX_MESSAGES_PER_LISTING - messageIds.size
+    });
+    ids.forEach(id => messageIds.add(id));
+    if (messageIds.size >= GMAIL_MAX_MESSAGES_PER_LISTING) break;
+  }
+
+  return { messageIds: [...messageIds], historyId: profile.historyId, query };
+}
+
+/**
+ * IDs of messages since `since` (minus a day) that match the rules' search query.
+ * History results can't be searched directly, so recent matches are listed and intersected.
+ */
+async function findQueryMatches(gmailService, rules, since) {
+  if (!rules.query) return undefined;
+  return searchGmailIds(gmailService, buildGmailQuery(rules, gmailDateClause(since, GMAIL_QUERY_MATCH_WINDOW_SECONDS)));
+}
+
+function gmailFeedbackRow(integration, email, decision) {
+  return {
+    user_id: integration.user_id,
+    platform: 'gmail',
+    source_id: email.id,
+    content: email.body || email.snippet || '',
+    metadata: {
+      subject: email.subject || 'No Subject',
+      from: email.from || 'Unknown Sender',
+      to: email.to || '',
+      date: toIsoDate(email.date || (email.internalDate && parseInt(email.internalDate))),
+      threadId: email.threadId,
+      labels: email.labelIds || [],
+      keywords_matched: decision.keywordsMatched
+    }
+  };
+}
+
+/**
+ * Import emails that pass the integration's ingestion rules (libs/services/gmail-rules.js).
+ *
+ * Incremental: integration.sync_state.history_id is the Gmail historyId of the
+ * last sync, and only messages added since then are fetched. Without one (first
+ * sync, reconnect) or when Gmail no longer has that history, the watched labels
+ * are listed again. Messages that don't fit in the time budget are kept in
+ * sync_state.pending_message_ids for the next run.
+ */
+async function syncGmail(supabase, integration, { timeBudgetMs = GMAIL_SYNC_TIME_BUDGET_MS } = {}) {
+  if (!integration.access_token) {
+    throw new SyncError('No access token found. Please reconnect Gmail.', { statusCode: 400, authFailed: true });
+  }
+
+  const startedAt = Date.now();
+  const gmailService = createGmailService(integration);
+  const rules = getGmailRules(integration.config);
+  const learned = integration.config?.learned_filter;
+  const state = integration.sync_state || {};
+
+  let listing;
+  let queryMatches;
+  let mode = 'incremental';
+  let historyExpired = false;
+
+  try {
+    if (state.history_id) {
+      try {
+        listing = await listGmailHistory(gmailService, state.history_id, rules);
+      } catch (historyError) {
+        if (!historyError.historyExpired) throw historyError;
+        console.log(`Gmail history ${state.history_id} expired for integration ${integration.id}, running a full resync`);
+        historyExpired = true;
+      }
+    }
+
+    if (!listing) {
+      mode = 'full';
+      listing = await listGmailInbox(gmailService, integration, rules);
+    }
+
+    // History results and leftovers weren't listed with the query - check them against it
+    if (rules.query && (mode === 'incremental' || (state.pending_message_ids || []).length > 0)) {
+      const since = integration.last_sync || new Date(Date.now() - GMAIL_INITIAL_SYNC_DAYS * 24 * 60 * 60 * 1000);
+      queryMatches = await findQueryMatches(gmailService, rules, since);
+      if (mode === 'full') {
+        listing.messageIds.forEach(id => queryMatches.add(id));
+      }
+    }
+  } catch (gmailError) {
+    if (isAuthError(gmailError)) {
+      throw gmailAuthError(gmailError);
+    }
+    throw gmailError;
+  }
+
+  // Leftovers from the previous run first, then new messages
+  const queue = [...new Set([...(state.pending_message_ids || []), ...listing.messageIds])];
+  const imported = await findImportedSourceIds(supabase, integration, queue);
+  const toProcess = queue.filter(id => !imported.has(id));
+
+  const importedIds = [];
+  const skipped = {};
+  let errors = 0;
+  let processed = 0;
+
+  for (const messageId of toProcess) {
+    if (Date.now() - startedAt > timeBudgetMs) break;
+    processed++;
+
+    try {
+      const email = await gmailService.getEmail(messageId);
+      const decision = evaluateGmailMessage(email, rules, { queryMatches, learned });
+
+      if (!decision.include) {
+        skipped[decision.reason] = (skipped[decision.reason] || 0) + 1;
+        continue;
+      }
+
+      const feedbackId = await importFeedback(supabase, gmailFeedbackRow(integration, email, decision));
+
+      if (feedbackId) {
+        importedIds.push(feedbackId);
+      } else {
+        errors++;
+      }
+    } catch (emailError) {
+      console.error('Error processing email:', emailError);
+      errors++;
+      // Continue with next email instead of failing the entire sync
+    }
+  }
+
+  const remaining = toProcess.slice(processed);
+  const pending = remaining.slice(0, GMAIL_MAX_PENDING_MESSAGES);
+  if (remaining.length > pending.length) {
+    console.warn(`Gmail sync for integration ${integration.id} dropped ${remaining.length - pending.length} messages over the pending limit`);
+  }
+
+  return {
+    found: queue.length,
+    importedIds,
+    errorCount: errors,
+    hasMore: pending.length > 0,
+    syncState: {
+      history_id: listing.historyId || state.history_id || null,
+      pending_message_ids: pending
+    },
+    details: {
+      mode,
+      historyExpired,
+      query: listing.query,
+      labels: rules.labels,
+      skippedExisting: queue.length - toProcess.length,
+      skipped,
+      pending: pending.length,
+      dropped: remaining.length - pending.length
+    }
+  };
+}
+
+/**
+ * Dry run of ingestion rules against the most recent messages in the watched labels.
+ * Nothing is written.
+ * @param {Object} rules - Normalized rules (possibly unsaved)
+ * @returns {Promise<{messages: Array, summary: Object}>}
+ */
+async function previewGmailImport(supabase, integration, rules, { limit = 25 } = {}) {
+  if (!integration.access_token) {
+    throw new SyncError('No access token found. Please reconnect Gmail.', { statusCode: 400, authFailed: true });
+  }
+
+  const gmailService = createGmailService(integration);
+  const learned = integration.config?.learned_filter;
+
+  let emails;
+  let queryMatches;
+  try {
+    // Latest messages across the watched labels, without the query, so query misses show up too
+    const candidates = [];
+    for (const label of rules.labels) {
+      const page = await gmailService.getEmails({ maxResults: limit, labelIds: [label] });
+      page.messages.forEach(message => {
+        if (!candidates.includes(message.id)) candidates.push(message.id);
+      });
+    }
+
+    emails = [];
+    for (const messageId of candidates) {
+      emails.push(await gmailService.getEmail(messageId));
+    }
+    emails.sort((a, b) => Number(b.internalDate || 0) - Number(a.internalDate || 0));
+    emails = emails.slice(0, limit);
+
+    if (rules.query && emails.length > 0) {
+      const oldest = Math.min(...emails.map(email => Number(email.internalDate) || Date.now()));
+      queryMatches = await findQueryMatches(gmailService, rules, new Date(oldest));
+    }
+  } catch (gmailError) {
+    if (isAuthError(gmailError)) {
+      throw gmailAuthError(gmailError);
+    }
+    throw gmailError;
+  }
+
+  const imported = await findImportedSourceIds(supabase, integration, emails.map(email => email.id));
+  const summary = { total: emails.length, wouldImport: 0, alreadyImported: 0, skipped: {} };
+
+  const messages = emails.map(email => {
+    const decision = evaluateGmailMessage(email, rules, { queryMatches, learned });
+    const alreadyImported = imported.has(email.id);
+
+    if (alreadyImported) {
+      summary.alreadyImported++;
+    } else if (decision.include) {
+      summary.wouldImport++;
+    } else {
+      summary.skipped[decision.reason] = (summary.skipped[decision.reason] || 0) + 1;
+    }
+
+    return {
+      id: email.id,
+      subject: email.subject || 'No Subject',
+      from: email.from || '',
+      date: toIsoDate(email.date || (email.internalDate && parseInt(email.internalDate))),
+      snippet: email.snippet || '',
+      labels: email.labelIds || [],
+      include: decision.include,
+      reason: decision.reason,
+      keywordsMatched: decision.keywordsMatched,
+      alreadyImported
+    };
+  });
+
+  return { messages, summary };
+}
+
+/**
+ * Import recent tweets matching the configured keywords
+ */
+async function syncTwitter(supabase, integration) {
+  const keywords = integration.config?.keywords || [];
+  if (keywords.length === 0) {
+    throw new SyncError('No keywords configured for Twitter monitoring', { statusCode: 400 });
+  }
+
+  const twitterService = new TwitterService();
+  if (!twitterService.isConfigured()) {
+    throw new SyncError('Twitter service not configured. Please set TWITTER_BEARER_TOKEN in environment variables.');
+  }
+
+  let tweetsResult;
+  try {
+    tweetsResult = await twitterService.searchTweets(keywords, 50);
+  } catch (twitterError) {
+    const message = twitterError.message || '';
+    if (message.includes('rate limit exceeded')) {
+      throw new SyncError('Twitter API rate limit exceeded', { statusCode: 429, cause: twitterError });
+    }
+    if (message.includes('401')) {
+      throw new SyncError('Twitter authentication failed. Please check TWITTER_BEARER_TOKEN.', { statusCode: 401, cause: twitterError });
+    }
+    if (message.includes('403')) {
+      throw new SyncError('Twitter API access forbidden. Please check your Twitter API permissions.', { statusCode: 403, cause: twitterError });
+    }
+    throw twitterError;
+  }
+
+  const tweets = tweetsResult?.tweets || [];
+  const importedIds = [];
+  let existing = 0;
+  let errors = 0;
+
+  const imported = await findImportedSourceIds(supabase, integration, tweets.map(tweet => tweet.id));
+
+  for (const tweet of tweets) {
+    try {
+      if (imported.has(tweet.id)) {
+        existing++;
+        continue;
+      }
+
+      const feedbackId = await importFeedback(supabase, {
+        user_id: integration.user_id,
+        platform: 'twitter',
+        source_id: tweet.id,
+        content: tweet.text || '',
+        metadata: {
+          author: tweet.author?.username || 'unknown',
+          author_id: tweet.author?.id || '',
+          followers: tweet.author?.followers || 0,
+          created_at: toIsoDate(tweet.created_at),
+          retweets: tweet.metrics?.retweet_count || 0,
+          likes: tweet.metrics?.like_count || 0,
+          replies: tweet.metrics?.reply_count || 0,
+          quotes: tweet.metrics?.quote_count || 0,
+          keywords_searched: keywords
+        }
+      });
+
+      if (feedbackId) {
+        importedIds.push(feedbackId);
+      } else {
+        errors++;
+      }
+    } catch (tweetError) {
+      console.error('Error processing tweet:', tweetError);
+      errors++;
+      // Continue with next tweet instead of failing the entire sync
+    }
+  }
+
+  return {
+    found: tweets.length,
+    importedIds,
+    errorCount: errors,
+    details: { keywords, searchQuery: tweetsResult?.searchQuery, skippedExisting: existing }
+  };
+}
+
+function discordSyncError(error) {
+  if (error.code === 401) {
+    return new SyncError('Discord bot token is invalid or was reset. Please reconnect Discord.', {
+      statusCode: 401,
+      authFailed: true,
+      cause: error
+    });
+  }
+  if (error.code === 429) {
+    return new SyncError('Discord API rate limit exceeded', { statusCode: 429, cause: error });
+  }
+  return error;
+}
+
+/**
+ * Channels and threads to read: the selected text/announcement channels, plus
+ * active threads under the selected channels (forum posts are always threads)
+ */
+async function listDiscordChannels(discordService, config) {
+  const channelIds = config.channel_ids || [];
+  const guildChannels = await discordService.getChannels(config.guild_id);
+  const selected = guildChannels.filter(channel => channelIds.includes(channel.id));
+
+  const sources = selected
+    .filter(channel => channel.type !== CHANNEL_TYPES.GUILD_FORUM)
+    .map(channel => ({ id: channel.id, name: channel.name, parentId: null }));
+
+  const threadParents = new Set(
+    selected
+      .filter(channel => config.include_threads !== false || channel.type === CHANNEL_TYPES.GUILD_FORUM)
+      .map(channel => channel.id)
+  );
+
+  if (threadParents.size > 0) {
+    const threads = await discordService.getActiveThreads(config.guild_id);
+    threads
+      .filter(thread => threadParents.has(thread.parentId))
+      .forEach(thread => sources.push({
+        id: thread.id,
+        name: thread.name,
+        parentId: thread.parentId,
+        parentName: selected.find(channel => channel.id === thread.parentId).name
+      }));
+  }
+
+  return {
+    sources,
+    missingChannelIds: channelIds.filter(id => !selected.some(channel => channel.id === id))
+  };
+}
+
+function discordKeywordsMatched(content, keywords) {
+  const text = content.toLowerCase();
+  return keywords.filter(keyword => text.includes(keyword.toLowerCase()));
+}
+
+function discordFeedbackRow(integration, discordService, message, source, keywordsMatched) {
+  const config = integration.config || {};
+  return {
+    user_id: integration.user_id,
+    platform: 'discord',
+    source_id: message.id,
+    content: message.content,
+    metadata: {
+      author: message.author?.global_name || message.author?.username || 'unknown',
+      author_id: message.author?.id || '',
+      author_username: message.author?.username || '',
+      guild_id: config.guild_id,
+      guild_name: config.guild_name || '',
+      channel_id: source.parentId || source.id,
+      channel_name: source.parentName || source.name,
+      thread_id: source.parentId ? source.id : null,
+      thread_name: source.parentId ? source.name : null,
+      url: discordService.getMessageUrl(config.guild_id, source.id, message.id),
+      created_at: toIsoDate(message.timestamp),
+      edited_at: message.edited_timestamp || null,
+      reply_to: message.message_reference?.message_id || null,
+      attachments: (message.attachments || []).map(attachment => ({ name: attachment.filename, url: attachment.url })),
+      reactions: (message.reactions || []).reduce((sum, reaction) => sum + (reaction.count || 0), 0),
+      keywords_matched: keywordsMatched
+    }
+  };
+}
+
+/**
+ * Import messages from the selected Discord channels with the user's bot token.
+ *
+ * Incremental per channel: integration.sync_state.channels maps a channel or
+ * thread id to the last message id read, and only newer messages are fetched.
+ * A channel's first sync goes back DISCORD_INITIAL_SYNC_DAYS. Whatever doesn't
+ * fit in one run (message cap, time budget, rate limit) is picked up by an
+ * early next run from the saved cursors.
+ */
+async function syncDiscord(supabase, integration, { timeBudgetMs = DISCORD_SYNC_TIME_BUDGET_MS } = {}) {
+  const config = integration.config || {};
+  if (!integration.access_token) {
+    throw new SyncError('No bot token found. Please reconnect Discord.', { statusCode: 400, authFailed: true });
+  }
+  if (!config.guild_id || (config.channel_ids || []).length === 0) {
+    throw new SyncError('No Discord channels selected', { statusCode: 400 });
+  }
+
+  const startedAt = Date.now();
+  const discordService = new DiscordService(integration.access_token);
+  const keywords = config.keywords || [];
+  const cursors = { ...(integration.sync_state?.channels || {}) };
+  const initialAfter = snowflakeFromDate(new Date(startedAt - DISCORD_INITIAL_SYNC_DAYS * 24 * 60 * 60 * 1000));
+
+  let listing;
+  try {
+    listing = await listDiscordChannels(discordService, config);
+  } catch (discordError) {
+    throw discordSyncError(discordError);
+  }
+
+  const importedIds = [];
+  const skipped = {};
+  const channelErrors = [];
+  let found = 0;
+  let existing = 0;
+  let errors = 0;
+  let hasMore = false;
+  let rateLimited = false;
+
+  for (const source of listing.sources) {
+    if (rateLimited || Date.now() - startedAt > timeBudgetMs) {
+      hasMore = true;
+      break;
+    }
+
+    let after = cursors[source.id] || initialAfter;
+    let read = 0;
+
+    try {
+      while (read < DISCORD_MAX_MESSAGES_PER_CHANNEL) {
+        const page = await discordService.getMessages(source.id, { after, limit: DISCORD_PAGE_SIZE });
+        if (page.length === 0) break;
+
+        read += page.length;
+        found += page.length;
+        const imported = await findImportedSourceIds(supabase, integration, page.map(message => message.id));
+
+        for (const message of page) {
+          try {
+            if (imported.has(message.id)) {
+              existing++;
+              continue;
+            }
+
+            let reason = null;
+            let keywordsMatched = [];
+            if (!discordService.isUserMessage(message)) {
+              reason = 'system_message';
+            } else if (message.author?.bot && !config.include_bots) {
+              reason = 'bot';
+            } else if (!message.content?.trim()) {
+              // Also what bots without the Message Content intent see
+              reason = 'empty';
+            } else if (keywords.length > 0) {
+              keywordsMatched = discordKeywordsMatched(message.content, keywords);
+              if (keywordsMatched.length === 0) reason = 'no_keywords';
+            }
+
+            if (reason) {
+              skipped[reason] = (skipped[reason] || 0) + 1;
+              continue;
+            }
+
+            const feedbackId = await importFeedback(
+              supabase,
+              discordFeedbackRow(integration, discordService, message, source, keywordsMatched)
+            );
+
+            if (feedbackId) {
+              importedIds.push(feedbackId);
+            } else {
+              errors++;
+            }
+          } catch (messageError) {
+            console.error('Error processing Discord message:', messageError);
+            errors++;
+            // Continue with next message instead of failing the entire sync
+          }
+        }
+
+        after = page[page.length - 1].id;
+        cursors[source.id] = after;
+
+        if (page.length < DISCORD_PAGE_SIZE) break;
+        if (read >= DISCORD_MAX_MESSAGES_PER_CHANNEL || Date.now() - startedAt > timeBudgetMs) {
+          hasMore = true;
+          break;
+        }
+      }
+
+      if (!cursors[source.id]) {
+        // Nothing posted yet - start from here instead of re-reading the initial window
+        cursors[source.id] = snowflakeFromDate(new Date(startedAt));
+      }
+    } catch (channelError) {
+      if (channelError.code === 401) {
+        throw discordSyncError(channelError);
+      }
+      if (channelError.code === 429) {
+        // Keep what this run read; the early next run picks up from the cursors
+        rateLimited = true;
+        hasMore = true;
+        continue;
+      }
+      // Missing Access / Unknown Channel - skip the channel, keep the others
+      console.error(`Error reading Discord channel ${source.id}:`, channelError.message);
+      channelErrors.push({ channelId: source.id, name: source.name, error: channelError.message });
+    }
+  }
+
+  if (listing.sources.length > 0 && channelErrors.length === listing.sources.length) {
+    throw new SyncError(`Discord channels could not be read: ${channelErrors[0].error}`, { statusCode: 403 });
+  }
+
+  // Drop cursors of channels that were deselected and threads that were archived
+  const sourceIds = new Set(listing.sources.map(source => source.id));
+  Object.keys(cursors).forEach(id => {
+    if (!sourceIds.has(id)) delete cursors[id];
+  });
+
+  return {
+    found,
+    importedIds,
+    errorCount: errors,
+    hasMore,
+    syncState: { channels: cursors },
+    details: {
+      guildId: config.guild_id,
+      channels: listing.sources.filter(source => !source.parentId).length,
+      threads: listing.sources.filter(source => source.parentId).length,
+      keywords,
+      skippedExisting: existing,
+      skipped,
+      channelErrors,
+      missingChannelIds: listing.missingChannelIds,
+      rateLimited
+    }
+  };
+}
+
+function slackSyncError(error) {
+  if (error.authFailed) {
+    return new SyncError('Slack access was revoked or expired. Please reconnect Slack.', {
+      statusCode: 401,
+      authFailed: true,
+      cause: error
+    });
+  }
+  if (error.code === 'ratelimited') {
+    return new SyncError('Slack API rate limit exceeded', { statusCode: 429, cause: error });
+  }
+  return error;
+}
+
+/**
+ * Display names for Slack user ids, cached for the run
+ */
+function createSlackUserResolver(slackService) {
+  const names = {};
+
+  return {
+    names,
+    async resolve(userIds) {
+      for (const userId of userIds) {
+        if (!userId || names[userId]) continue;
+        try {
+          names[userId] = (await slackService.getUser(userId)).name;
+        } catch (userError) {
+          if (userError.authFailed || userError.code === 'ratelimited') throw userError;
+          names[userId] = userId;
+        }
+      }
+    }
+  };
+}
+
+function slackMentionedUsers(messages) {
+  const ids = new Set();
+  messages.forEach(message => {
+    if (message.user) ids.add(message.user);
+    (message.text || '').replace(/<@([A-Z0-9]+)/g, (match, id) => ids.add(id));
+  });
+  return [...ids];
+}
+
+function slackTsToIso(ts) {
+  return toIsoDate(Number(String(ts).split('.')[0]) * 1000);
+}
+
+/**
+ * Thread context stored with the root message: replies as plain text, oldest first
+ */
+function slackThreadContext(slackService, root, replies, users) {
+  if (!root.reply_count) return null;
+
+  return {
+    ts: root.ts,
+    reply_count: root.reply_count,
+    reply_users_count: root.reply_users_count || 0,
+    latest_reply: root.latest_reply || null,
+    truncated: root.reply_count > replies.length,
+    replies: replies.map(reply => ({
+      author: users.names[reply.user] || reply.user || 'unknown',
+      author_id: reply.user || '',
+      text: slackService.formatText(reply.text, users.names),
+      ts: reply.ts,
+      created_at: slackTsToIso(reply.ts)
+    }))
+  };
+}
+
+function slackFeedbackRow(integration, slackService, channel, root, thread, users, keywordsMatched) {
+  const config = integration.config || {};
+  return {
+    user_id: integration.user_id,
+    platform: 'slack',
+    source_id: `${channel.id}:${root.ts}`,
+    content: slackService.formatText(root.text, users.names),
+    metadata: {
+      author: users.names[root.user] || root.user || 'unknown',
+      author_id: root.user || '',
+      team_id: config.team_id,
+      team_name: config.team_name || '',
+      channel_id: channel.id,
+      channel_name: channel.name,
+      ts: root.ts,
+      url: slackService.getMessageUrl(config.workspace_url, channel.id, root.ts),
+      created_at: slackTsToIso(root.ts),
+      edited_at: root.edited?.ts ? slackTsToIso(root.edited.ts) : null,
+      files: (root.files || []).map(file => ({ name: file.name, url: file.permalink })),
+      reactions: (root.reactions || []).reduce((sum, reaction) => sum + (reaction.count || 0), 0),
+      keywords_matched: keywordsMatched,
+      thread
+    }
+  };
+}
+
+/**
+ * Import top-level messages of the selected Slack channels, each with its thread
+ * replies as context in metadata.thread.
+ *
+ * integration.sync_state.channels maps a channel to the newest message ts read.
+ * Every run re-reads the last SLACK_THREAD_REFRESH_HOURS so threads that got new
+ * replies have their context refreshed (content is left alone). A channel's first
+ * sync goes back SLACK_INITIAL_SYNC_DAYS; what doesn't fit in the time budget is
+ * picked up by an early next run.
+ */
+async function syncSlack(supabase, integration, { timeBudgetMs = SLACK_SYNC_TIME_BUDGET_MS } = {}) {
+  const config = integration.config || {};
+  if (!integration.access_token) {
+    throw new SyncError('No access token found. Please reconnect Slack.', { statusCode: 400, authFailed: true });
+  }
+  if ((config.channel_ids || []).length === 0) {
+    throw new SyncError('No Slack channels selected', { statusCode: 400 });
+  }
+
+  const startedAt = Date.now();
+  const slackService = new SlackService(integration.access_token);
+  const users = createSlackUserResolver(slackService);
+  const keywords = config.keywords || [];
+  const cursors = { ...(integration.sync_state?.channels || {}) };
+  const refreshFrom = tsFromDate(new Date(startedAt - SLACK_THREAD_REFRESH_HOURS * 60 * 60 * 1000));
+  const initialFrom = tsFromDate(new Date(startedAt - SLACK_INITIAL_SYNC_DAYS * 24 * 60 * 60 * 1000));
+
+  const importedIds = [];
+  const skipped = {};
+  const channelErrors = [];
+  const truncatedChannels = [];
+  let found = 0;
+  let existingCount = 0;
+  let threadsUpdated = 0;
+  let errors = 0;
+  let hasMore = false;
+  let rateLimited = false;
+
+  for (const channelId of config.channel_ids) {
+    if (rateLimited || Date.now() - startedAt > timeBudgetMs) {
+      hasMore = true;
+      break;
+    }
+
+    const channel = { id: channelId, name: config.channel_names?.[channelId] || channelId };
+    const cursor = cursors[channelId];
+    const oldest = !cursor ? initialFrom : compareTs(cursor, refreshFrom) < 0 ? cursor : refreshFrom;
+
+    try {
+      let history;
+      try {
+        history = await slackService.getHistory(channelId, { oldest, limit: SLACK_MAX_MESSAGES_PER_CHANNEL });
+      } catch (historyError) {
+        if (historyError.code !== 'not_in_channel') throw historyError;
+        // Public channels can be joined with channels:join; private ones need an /invite
+        await slackService.joinChannel(channelId);
+        history = await slackService.getHistory(channelId, { oldest, limit: SLACK_MAX_MESSAGES_PER_CHANNEL });
+      }
+
+      if (history.truncated) {
+        truncatedChannels.push(channelId);
+      }
+
+      // Replies are imported as context of their root, not on their own
+      const roots = history.messages.filter(message => !message.thread_ts || message.thread_ts === message.ts);
+      found += roots.length;
+
+      const existing = await findExistingFeedback(supabase, integration, roots.map(root => `${channelId}:${root.ts}`));
+      let lastTs = cursor;
+
+      for (const root of roots) {
+        if (Date.now() - startedAt > timeBudgetMs) {
+          hasMore = true;
+          break;
+        }
+
+        try {
+          const row = existing.get(`${channelId}:${root.ts}`);
+
+          if (row) {
+            existingCount++;
+            const known = row.metadata?.thread?.latest_reply;
+            if (root.reply_count && root.latest_reply && (!known || compareTs(root.latest_reply, known) > 0)) {
+              const replies = await slackService.getReplies(channelId, root.ts, { limit: SLACK_MAX_THREAD_REPLIES });
+              await users.resolve(slackMentionedUsers(replies));
+
+              await updateSyncedFeedback(supabase, row, {
+                content: row.content,
+                metadata: { thread: slackThreadContext(slackService, root, replies, users) }
+              });
+              threadsUpdated++;
+            }
+          } else {
+            let reason = null;
+            if (root.bot_id && !config.include_bots) {
+              reason = 'bot';
+            } else if (!slackService.isUserMessage(root) && !root.bot_id) {
+              reason = 'system_message';
+            } else if (!root.text?.trim()) {
+              reason = 'empty';
+            }
+
+            if (reason) {
+              skipped[reason] = (skipped[reason] || 0) + 1;
+            } else {
+              const replies = root.reply_count
+                ? await slackService.getReplies(channelId, root.ts, { limit: SLACK_MAX_THREAD_REPLIES })
+                : [];
+
+              // Keywords may be in the thread rather than the root message
+              const threadText = [root.text, ...replies.map(reply => reply.text)].join('\n').toLowerCase();
+              const keywordsMatched = keywords.filter(keyword => threadText.includes(keyword.toLowerCase()));
+
+              if (keywords.length > 0 && keywordsMatched.length === 0) {
+                skipped.no_keywords = (skipped.no_keywords || 0) + 1;
+              } else {
+                await users.resolve(slackMentionedUsers([root, ...replies]));
+                const thread = slackThreadContext(slackService, root, replies, users);
+                const feedbackId = await importFeedback(
+                  supabase,
+                  slackFeedbackRow(integration, slackService, channel, root, thread, users, keywordsMatched)
+                );
+
+                if (feedbackId) {
+                  importedIds.push(feedbackId);
+                } else {
+                  errors++;
+                }
+              }
+            }
+          }
+        } catch (messageError) {
+          if (messageError.authFailed || messageError.code === 'ratelimited') throw messageError;
+          console.error('Error processing Slack message:', messageError);
+          errors++;
+          // Continue with next message instead of failing the entire sync
+        }
+
+        lastTs = !lastTs || compareTs(root.ts, lastTs) > 0 ? root.ts : lastTs;
+      }
+
+      if (!hasMore) {
+        // Whole channel read - replies and skipped messages count as read too
+        const newest = history.messages[history.messages.length - 1]?.ts;
+        lastTs = newest && (!lastTs || compareTs(newest, lastTs) > 0) ? newest : lastTs;
+      }
+      cursors[channelId] = lastTs || tsFromDate(new Date(startedAt));
+    } catch (channelError) {
+      if (channelError.authFailed) {
+        throw slackSyncError(channelError);
+      }
+      if (channelError.code === 'ratelimited') {
+        // Keep what this run read; the early next run picks up from the cursors
+        rateLimited = true;
+        hasMore = true;
+        continue;
+      }
+      // channel_not_found, not_in_channel for private channels, ... - skip it, keep the others
+      console.error(`Error reading Slack channel ${channelId}:`, channelError.message);
+      channelErrors.push({ channelId, name: channel.name, error: channelError.code || channelError.message });
+    }
+  }
+
+  if (channelErrors.length === config.channel_ids.length) {
+    throw new SyncError(`Slack channels could not be read: ${channelErrors[0].error}`, { statusCode: 403 });
+  }
+
+  // Drop cursors of channels that were deselected
+  Object.keys(cursors).forEach(id => {
+    if (!config.channel_ids.includes(id)) delete cursors[id];
+  });
+
+  return {
+    found,
+    importedIds,
+    errorCount: errors,
+    hasMore,
+    syncState: { channels: cursors },
+    details: {
+      teamId: config.team_id,
+      channels: config.channel_ids.length,
+      keywords,
+      skippedExisting: existingCount,
+      threadsUpdated,
+      skipped,
+      channelErrors,
+      truncatedChannels,
+      rateLimited
+    }
+  };
+}
+
+function githubSyncError(error) {
+  if (error.authFailed) {
+    return new SyncError('GitHub token is invalid or was revoked. Please reconnect GitHub.', {
+      statusCode: 401,
+      authFailed: true,
+      cause: error
+    });
+  }
+  if (error.code === 'ratelimited') {
+    return new SyncError('GitHub API rate limit exceeded', { statusCode: 429, cause: error });
+  }
+  return error;
+}
+
+function githubIssueEntry(repo, issue) {
+  return {
+    sourceId: `${repo}#${issue.number}`,
+    updatedAt: issue.updated_at,
+    isBot: issue.user?.type === 'Bot',
+    labels: (issue.labels || []).map(label => (typeof label === 'string' ? label : label.name)),
+    content: `${issue.title}\n\n${issue.body || ''}`.trim(),
+    metadata: {
+      type: 'issue',
+      repository: repo,
+      number: issue.number,
+      title: issue.title,
+      url: issue.html_url,
+      author: issue.user?.login || 'ghost',
+      author_association: issue.author_association || null,
+      labels: (issue.labels || []).map(label => (typeof label === 'string' ? label : label.name)),
+      state: issue.state,
+      state_reason: issue.state_reason || null,
+      closed_at: issue.closed_at || null,
+      comments: issue.comments || 0,
+      reactions: formatReactions(issue.reactions),
+      created_at: issue.created_at,
+      updated_at: issue.updated_at
+    }
+  };
+}
+
+function githubCommentEntry(repo, comment, issueNumber, issueTitle) {
+  return {
+    sourceId: `${repo}#${issueNumber}/comment/${comment.id}`,
+    parentSourceId: `${repo}#${issueNumber}`,
+    updatedAt: comment.updated_at,
+    isBot: comment.user?.type === 'Bot',
+    content: (comment.body || '').trim(),
+    metadata: {
+      type: 'issue_comment',
+      repository: repo,
+      issue_number: issueNumber,
+      issue_title: issueTitle || null,
+      url: comment.html_url,
+      author: comment.user?.login || 'ghost',
+      author_association: comment.author_association || null,
+      reactions: formatReactions(comment.reactions),
+      created_at: comment.created_at,
+      updated_at: comment.updated_at
+    }
+  };
+}
+
+function githubDiscussionEntries(repo, discussion) {
+  const discussionId = `${repo}/discussions/${discussion.number}`;
+  const labels = (discussion.labels?.nodes || []).map(label => label.name);
+
+  const entries = [{
+    sourceId: discussionId,
+    updatedAt: discussion.updatedAt,
+    isBot: discussion.author?.__typename === 'Bot',
+    labels,
+    category: discussion.category?.name || null,
+    content: `${discussion.title}\n\n${discussion.body || ''}`.trim(),
+    metadata: {
+      type: 'discussion',
+      repository: repo,
+      number: discussion.number,
+      title: discussion.title,
+      url: discussion.url,
+      author: discussion.author?.login || 'ghost',
+      author_association: discussion.authorAssociation || null,
+      category: discussion.category?.name || null,
+      labels,
+      state: discussion.closed ? 'closed' : 'open',
+      closed_at: discussion.closedAt || null,
+      answered: !!discussion.isAnswered,
+      upvotes: discussion.upvoteCount || 0,
+      comments: discussion.comments?.totalCount || 0,
+      reactions: { total: discussion.reactions?.totalCount || 0 },
+      created_at: discussion.createdAt,
+      updated_at: discussion.updatedAt
+    }
+  }];
+
+  (discussion.comments?.nodes || []).forEach(comment => entries.push({
+    sourceId: `${discussionId}/comment/${comment.id}`,
+    parentSourceId: discussionId,
+    // Ordered (and checkpointed) with their discussion
+    updatedAt: discussion.updatedAt,
+    isBot: comment.author?.__typename === 'Bot',
+    content: (comment.body || '').trim(),
+    metadata: {
+      type: 'discussion_comment',
+      repository: repo,
+      discussion_number: discussion.number,
+      discussion_title: discussion.title,
+      url: comment.url,
+      author: comment.author?.login || 'ghost',
+      author_association: comment.authorAssociation || null,
+      is_answer: !!comment.isAnswer,
+      reactions: { total: comment.reactions?.totalCount || 0 },
+      created_at: comment.createdAt,
+      updated_at: comment.updatedAt
+    }
+  }));
+
+  return entries;
+}
+
+/**
+ * Import issues, issue comments and Discussions of the linked repositories, and
+ * keep what was imported up to date: edits, closures, relabels and reaction
+ * changes update the existing row (edited text is re-analyzed and re-embedded).
+ *
+ * integration.sync_state.repos holds, per repository, the `updated_at` of the
+ * last issue, comment and discussion processed. GitHub lists issues and comments
+ * oldest change first, so a run cut short (limits, time budget, rate limit)
+ * resumes exactly where it stopped on an early next run.
+ */
+async function syncGithub(supabase, integration, { timeBudgetMs = GITHUB_SYNC_TIME_BUDGET_MS } = {}) {
+  const config = integration.config || {};
+  if (!integration.access_token) {
+    throw new SyncError('No access token found. Please reconnect GitHub.', { statusCode: 400, authFailed: true });
+  }
+  if ((config.repositories || []).length === 0) {
+    throw new SyncError('No GitHub repositories linked', { statusCode: 400 });
+  }
+
+  const startedAt = Date.now();
+  const githubService = new GitHubService(integration.access_token);
+  const labelFilter = (config.labels || []).map(label => label.toLowerCase());
+  const categoryFilter = (config.discussion_categories || []).map(category => category.toLowerCase());
+  const cursors = { ...(integration.sync_state?.repos || {}) };
+  const initialSince = new Date(startedAt - GITHUB_INITIAL_SYNC_DAYS * 24 * 60 * 60 * 1000).toISOString();
+
+  const importedIds = [];
+  const updatedIds = [];
+  const skipped = {};
+  const repoErrors = [];
+  const truncated = [];
+  let found = 0;
+  let unchanged = 0;
+  let metadataUpdates = 0;
+  let errors = 0;
+  let hasMore = false;
+  let rateLimited = false;
+  let resetAt = null;
+
+  const outOfTime = () => Date.now() - startedAt > timeBudgetMs;
+
+  // Labels filter issues, categories filter discussions; comments follow their parent
+  const skipReason = (entry, trackedParents) => {
+    if (entry.isBot && !config.include_bots) return 'bot';
+    if (!entry.content) return 'empty';
+
+    const isDiscussion = entry.metadata.type.startsWith('discussion');
+    const filtered = isDiscussion ? categoryFilter.length > 0 : labelFilter.length > 0;
+    if (!filtered) return null;
+
+    if (entry.parentSourceId) {
+      return trackedParents.has(entry.parentSourceId) ? null : 'parent_not_tracked';
+    }
+    if (isDiscussion) {
+      return categoryFilter.includes((entry.category || '').toLowerCase()) ? null : 'category_not_matched';
+    }
+    return entry.labels.some(label => labelFilter.includes(label.toLowerCase())) ? null : 'label_not_matched';
+  };
+
+  /**
+   * Import or update entries in order; returns the updatedAt of the last one
+   * processed (entries left over when time runs out are not)
+   */
+  const applyEntries = async (entries) => {
+    found += entries.length;
+    const existing = await findExistingFeedback(supabase, integration, entries.map(entry => entry.sourceId));
+    const parentIds = [...new Set(entries.map(entry => entry.parentSourceId).filter(Boolean))];
+    const trackedParents = await findImportedSourceIds(supabase, integration, parentIds);
+    let lastUpdatedAt = null;
+
+    for (const entry of entries) {
+      if (outOfTime()) {
+        hasMore = true;
+        break;
+      }
+
+      try {
+        const row = existing.get(entry.sourceId);
+
+        if (row) {
+          const change = await updateSyncedFeedback(supabase, row, { content: entry.content, metadata: entry.metadata });
+          if (change === 'content') updatedIds.push(row.id);
+          else if (change === 'metadata') metadataUpdates++;
+          else unchanged++;
+        } else {
+          const reason = skipReason(entry, trackedParents);
+          if (reason) {
+            skipped[reason] = (skipped[reason] || 0) + 1;
+          } else {
+            const feedbackId = await importFeedback(supabase, {
+              user_id: integration.user_id,
+              platform: 'github',
+              source_id: entry.sourceId,
+              content: entry.content,
+              metadata: entry.metadata
+            });
+
+            if (feedbackId) {
+              importedIds.push(feedbackId);
+              trackedParents.add(entry.sourceId);
+            } else {
+              errors++;
+            }
+          }
+        }
+      } catch (entryError) {
+        console.error(`Error processing GitHub item ${entry.sourceId}:`, entryError);
+        errors++;
+        // Continue with next item instead of failing the entire sync
+      }
+
+      lastUpdatedAt = entry.updatedAt;
+    }
+
+    return lastUpdatedAt;
+  };
+
+  for (const repo of config.repositories) {
+    if (rateLimited || outOfTime()) {
+      hasMore = true;
+      break;
+    }
+
+    const cursor = { ...(cursors[repo] || {}) };
+
+    try {
+      // Issues (also brings in issue titles for their comments)
+      const issues = await githubService.listIssuesUpdatedSince(repo, cursor.issues || initialSince, {
+        limit: GITHUB_MAX_ITEMS_PER_LISTING
+      });
+      const issueTitles = new Map(issues.items.map(issue => [issue.number, issue.title]));
+      const lastIssue = await applyEntries(issues.items.map(issue => githubIssueEntry(repo, issue)));
+      if (lastIssue) cursor.issues = lastIssue;
+      if (issues.truncated) hasMore = true;
+
+      if (config.include_comments !== false && !outOfTime()) {
+        const comments = await githubService.listIssueCommentsUpdatedSince(repo, cursor.comments || initialSince, {
+          limit: GITHUB_MAX_ITEMS_PER_LISTING
+        });
+        const lastComment = await applyEntries(comments.items.map(comment => {
+          const issueNumber = Number((comment.issue_url || '').split('/').pop());
+          return githubCommentEntry(repo, comment, issueNumber, issueTitles.get(issueNumber));
+        }));
+        if (lastComment) cursor.comments = lastComment;
+        if (comments.truncated) hasMore = true;
+      }
+
+      if (config.include_discussions !== false && !outOfTime()) {
+        const discussions = await githubService.listDiscussionsUpdatedSince(repo, cursor.discussions || initialSince, {
+          limit: GITHUB_MAX_ITEMS_PER_LISTING
+        });
+        const lastDiscussion = await applyEntries(
+          discussions.items.flatMap(discussion => githubDiscussionEntries(repo, discussion))
+        );
+        if (lastDiscussion) cursor.discussions = lastDiscussion;
+        // Listed newest first, so the oldest changes past the limit are not read
+        if (discussions.truncated) truncated.push(`${repo}/discussions`);
+      }
+    } catch (repoError) {
+      if (repoError.authFailed) {
+        throw githubSyncError(repoError);
+      }
+      if (repoError.code === 'ratelimited') {
+        // Keep what this run read; the early next run picks up from the cursors
+        rateLimited = true;
+        hasMore = true;
+        resetAt = repoError.resetAt || null;
+      } else {
+        // Deleted/renamed repository or no access - skip it, keep the others
+        console.error(`Error reading GitHub repository ${repo}:`, repoError.message);
+        repoErrors.push({ repository: repo, error: repoError.message });
+      }
+    }
+
+    cursors[repo] = cursor;
+  }
+
+  if (repoErrors.length === config.repositories.length) {
+    throw new SyncError(`GitHub repositories could not be read: ${repoErrors[0].error}`, { statusCode: 403 });
+  }
+
+  // Drop cursors of repositories that were unlinked
+  Object.keys(cursors).forEach(repo => {
+    if (!config.repositories.includes(repo)) delete cursors[repo];
+  });
+
+  return {
+    found,
+    importedIds,
+    updatedIds,
+    errorCount: errors,
+    hasMore,
+    syncState: { repos: cursors },
+    details: {
+      repositories: config.repositories,
+      labels: config.labels || [],
+      updated: updatedIds.length,
+      metadataUpdates,
+      unchanged,
+      skipped,
+      repoErrors,
+      truncated,
+      rateLimited,
+      resetAt
+    }
+  };
+}
+
+/**
+ * Platform syncers: (supabase, integration) => { found, importedIds, updatedIds?,
+ * errorCount, details, syncState?, hasMore? }. syncState is saved to integrations.sync_state
+ * after a successful run; hasMore schedules the next run early.
+ */
+const SYNCERS = {
+  gmail: syncGmail,
+  twitter: syncTwitter,
+  discord: syncDiscord,
+  slack: syncSlack,
+  github: syncGithub,
+};
+
+/**
+ * Runs integration syncs, records their history and schedules the next run
+ * Основной сервис для синхронизации интеграций (вручную и по расписанию)
+ */
+class IntegrationSyncService {
+  constructor(syncers = SYNCERS) {
+    this.syncers = syncers;
+  }
+
+  /**
+   * Platforms that can be synced
+   * @returns {string[]}
+   */
+  getPlatforms() {
+    return Object.keys(this.syncers);
+  }
+
+  isSupported(platform) {
+    return !!this.syncers[platform];
+  }
+
+  /**
+   * Scheduled syncs are on unless the integration turned them off
+   */
+  isAutoSyncEnabled(integration) {
+    return integration.config?.auto_sync !== false;
+  }
+
+  /**
+   * Sync interval from integration.config (sync_interval_minutes, or the older sync_frequency)
+   * @returns {number} Minutes between scheduled syncs
+   */
+  getIntervalMinutes(integration) {
+    const config = integration.config || {};
+    const minutes = Number(config.sync_interval_minutes) || SYNC_FREQUENCY_MINUTES[config.sync_frequency] || DEFAULT_SYNC_INTERVAL_MINUTES;
+    return Math.max(minutes, MIN_SYNC_INTERVAL_MINUTES);
+  }
+
+  /**
+   * Next scheduled sync: one interval after success, exponentially later
+   * (capped at a day) after consecutive failures
+   * @returns {Date}
+   */
+  getNextSyncAt(integration, { failures = 0, from = new Date() } = {}) {
+    const interval = this.getIntervalMinutes(integration);
+    const delay = failures > 0
+      ? Math.min(interval * Math.pow(2, failures), Math.max(MAX_BACKOFF_MINUTES, interval))
+      : interval;
+    return new Date(from.getTime() + delay * 60 * 1000);
+  }
+
+  /**
+   * Whether the scheduler should sync this integration now
+   */
+  isDue(integration, now = new Date()) {
+    if (integration.status !== 'connected' || !this.isSupported(integration.platform)) return false;
+    if (!this.isAutoSyncEnabled(integration)) return false;
+
+    if (integration.next_sync_at) {
+      return new Date(integration.next_sync_at) <= now;
+    }
+    if (integration.last_sync) {
+      return this.getNextSyncAt(integration, { from: new Date(integration.last_sync) }) <= now;
+    }
+    return true;
+  }
+
+  /**
+   * Connected integrations (any user) whose scheduled sync is due
+   * @param {Object} supabase - Service role client
+   */
+  async findDueIntegrations(supabase, { now = new Date(), limit = 100 } = {}) {
+    const { data, error } = await supabase
+      .from('integrations')
+      .select('*')
+      .eq('status', 'connected')
+      .in('platform', this.getPlatforms())
+      .or(`next_sync_at.is.null,next_sync_at.lte.${now.toISOString()}`)
+      .order('next_sync_at', { ascending: true, nullsFirst: true })
+      .limit(limit);
+
+    if (error) {
+      throw new Error(`Failed to fetch integrations: ${error.message}`);
+    }
+
+    return (data || []).filter(integration => this.isDue(integration, now));
+  }
+
+  /**
+   * Sync one integration and record the run.
+   * Never throws for sync failures - they are recorded on the run and the
+   * integration, and returned as `error`.
+   * @returns {Promise<{run: Object|null, importedIds: string[], updatedIds: string[], found: number, error: SyncError|Error|null}>}
+   */
+  async runSync(supabase, integration, { trigger = 'manual' } = {}) {
+    const syncer = this.syncers[integration.platform];
+    if (!syncer) {
+      throw new SyncError(`Sync is not supported for ${integration.platform}`, { statusCode: 400 });
+    }
+
+    const startedAt = new Date();
+    const { data: run, error: runError } = await supabase
+      .from('integration_sync_runs')
+      .insert({
+        user_id: integration.user_id,
+        integration_id: integration.id,
+        platform: integration.platform,
+        trigger,
+        status: 'running',
+        started_at: startedAt.toISOString()
+      })
+      .select('*')
+      .single();
+
+    if (runError) {
+      // History is best-effort - a missing table must not stop the sync
+      console.error('Failed to record sync run:', runError.message);
+    }
+
+    let result = null;
+    let syncError = null;
+    try {
+      console.log(`🔄 Syncing ${integration.platform} integration ${integration.id} (${trigger})`);
+      result = await syncer(supabase, integration);
+    } catch (error) {
+      syncError = error;
+      console.error(`❌ ${integration.platform} sync failed for integration ${integration.id}:`, error.message);
+    }
+
+    const finishedAt = new Date();
+    const importedIds = result?.importedIds || [];
+
+    if (run) {
+      const { error: updateRunError } = await supabase
+        .from('integration_sync_runs')
+        .update({
+          status: syncError ? 'failed' : 'succeeded',
+          finished_at: finishedAt.toISOString(),
+          items_found: result?.found || 0,
+          items_imported: importedIds.length,
+          error_count: result?.errorCount || 0,
+          error: syncError ? syncError.message : null,
+          details: result?.details || {}
+        })
+        .eq('id', run.id);
+
+      if (updateRunError) {
+        console.error('Failed to update sync run:', updateRunError.message);
+      }
+    }
+
+    const failures = syncError ? (integration.sync_failures || 0) + 1 : 0;
+    const integrationUpdate = {
+      next_sync_at: this.getNextSyncAt(integration, { failures, from: finishedAt }).toISOString(),
+      sync_failures: failures,
+      last_sync_status: syncError ? 'failed' : 'succeeded',
+      last_sync_error: syncError ? syncError.message : null,
+      updated_at: finishedAt.toISOString()
+    };
+    if (!syncError) {
+      integrationUpdate.last_sync = finishedAt.toISOString();
+    }
+    if (result?.syncState) {
+      // Platform cursor (e.g. Gmail historyId) - only advanced by successful syncs
+      integrationUpdate.sync_state = result.syncState;
+    }
+    if (result?.hasMore) {
+      // Work left over from this run - come back soon instead of after a full interval
+      integrationUpdate.next_sync_at = new Date(finishedAt.getTime() + MIN_SYNC_INTERVAL_MINUTES * 60 * 1000).toISOString();
+    }
+    if (syncError?.authFailed) {
+      // Stop scheduling until the user reconnects
+      integrationUpdate.status = 'expired';
+    }
+
+    const { error: integrationError } = await supabase
+      .from('integrations')
+      .update(integrationUpdate)
+      .eq('id', integration.id);
+
+    if (integrationError) {
+      console.error('Failed to update integration sync state:', integrationError.message);
+    }
+
+    if (!syncError) {
+      console.log(`✅ ${integration.platform} sync imported ${importedIds.length} of ${result.found} items`);
+    }
+
+    return {
+      run: run ? { ...run, status: syncError ? 'failed' : 'succeeded' } : null,
+      found: result?.found || 0,
+      importedIds,
+      // Rows whose text changed at the source (syncers that keep imports up to date)
+      updatedIds: result?.updatedIds || [],
+      details: result?.details || {},
+      error: syncError
+    };
+  }
+
+  /**
+   * Recent sync runs for a user, newest first
+   */
+  async getRuns(supabase, userId, { integrationId, platform, limit = 20 } = {}) {
+    let query = supabase
+      .from('integration_sync_runs')
+      .select('*')
+      .eq('user_id', userId)
+      .order('started_at', { ascending: false })
+      .limit(Math.min(limit, 100));
+
+    if (integrationId) query = query.eq('integration_id', integrationId);
+    if (platform) query = query.eq('platform', platform);
+
+    const { data, error } = await query;
+
+    if (error) {
+      throw new Error(`Failed to fetch sync runs: ${error.message}`);
+    }
+
+    return data || [];
+  }
+}
+
+// Create and export a singleton instance
+const integrationSyncService = new IntegrationSyncService();
+
+module.exports = {
+  IntegrationSyncService,
+  integrationSyncService,
+  previewGmailImport,
+  createGmailService,
+  SyncError,
+  DEFAULT_SYNC_INTERVAL_MINUTES,
+  MIN_SYNC_INTERVAL_MINUTES
+};
@@ -0,0 +1,138 @@
+/**
+ * Jira Service for creating issues from specs and reading their status with an API token (Jira Cloud REST API v2)
+ * Основные методы для работы с Jira API: проекты и задачи
+ */
+
+// Resolutions of a done issue that mean it was not shipped
+const UNSHIPPED_RESOLUTIONS = /won'?t|cancel|duplicate|declined|cannot reproduce|not a bug|obsolete/i;
+
+class JiraService {
+  /**
+   * @param {string} siteUrl - "https://your-team.atlassian.net"
+   * @param {string} email - Account email the API token belongs to
+   * @param {string} apiToken - API token (id.atlassian.com → Security → API tokens)
+   */
+  constructor(siteUrl, email, apiToken) {
+    this.siteUrl = siteUrl;
+    this.email = email;
+    this.apiToken = apiToken;
+  }
+
+  /**
+   * Проверить конфигурацию сервиса
+   * @returns {boolean} Статус конфигурации
+   */
+  isConfigured() {
+    return !!(this.siteUrl && this.email && this.apiToken);
+  }
+
+  /**
+   * Request to the REST API. Errors carry `code` (HTTP status).
+   */
+  async request(method, path, body) {
+    if (!this.isConfigured()) {
+      throw new Error('Jira site, email and API token are required');
+    }
+
+    const response = await fetch(`${this.siteUrl}/rest/api/2${path}`, {
+      method,
+      headers: {
+        'Authorization': `Basic ${Buffer.from(`${this.email}:${this.apiToken}`).toString('base64')}`,
+        'Accept': 'application/json',
+        'Content-Type': 'application/json'
+      },
+      ...(body && { body: JSON.stringify(body) })
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => null);
+      const details = errorData?.errorMessages?.join(', ') ||
+        Object.values(errorData?.errors || {}).join(', ') ||
+        response.statusText;
+      const error = new Error(`Jira API ${path} failed with status ${response.status}: ${details}`);
+      error.code = response.status;
+      error.authFailed = response.status === 401;
+      throw error;
+    }
+    return response.status === 204 ? null : response.json();
+  }
+
+  /**
+   * Account the token belongs to (also validates the token)
+   * @returns {Promise<{name: string}>}
+   */
+  async getMyself() {
+    const user = await this.request('GET', '/myself');
+    return { name: user.displayName || user.emailAddress };
+  }
+
+  /**
+   * @returns {Promise<{key: string, name: string, issueTypes: string[]}>}
+   */
+  async getProject(key) {
+    const project = await this.request('GET', `/project/${encodeURIComponent(key)}`);
+    return {
+      key: project.key,
+      name: project.name,
+      issueTypes: (project.issueTypes || []).filter(type => !type.subtask).map(type => type.name)
+    };
+  }
+
+  /**
+   * Create an issue; parentKey puts it under an epic
+   * @returns {Promise<{id: string, key: string, url: string}>}
+   */
+  async createIssue({ projectKey, issueType, summary, description, parentKey }) {
+    const issue = await this.request('POST', '/issue', {
+      fields: {
+        project: { key: projectKey },
+        issuetype: { name: issueType },
+        summary,
+        description,
+        ...(parentKey && { parent: { key: parentKey } })
+      }
+    });
+    return { id: issue.id, key: issue.key, url: this.browseUrl(issue.key) };
+  }
+
+  /**
+   * One issue's status: statusCategory is "new", "indeterminate" or "done";
+   * shipped is false for done issues resolved as won't do, duplicate etc.
+   * @returns {Promise<{key: string, status: string, statusCategory: string, resolution: string|null, resolvedAt: string|null, shipped: boolean}>}
+   */
+  async getIssue(key) {
+    const issue = await this.request('GET', `/issue/${encodeURIComponent(key)}?fields=status,resolution,resolutiondate`);
+    const resolution = issue.fields.resolution?.name || null;
+    return {
+      key: issue.key,
+      status: issue.fields.status?.name || null,
+      statusCategory: issue.fields.status?.statusCategory?.key || 'new',
+      resolution,
+      resolvedAt: issue.fields.resolutiondate || null,
+      shipped: !UNSHIPPED_RESOLUTIONS.test(resolution || '')
+    };
+  }
+
+  browseUrl(key) {
+    return `${this.siteUrl}/browse/${key}`;
+  }
+}
+
+/**
+ * "https://team.atlassian.net" from user input - also accepts a bare host or a link into the site
+ * @returns {string|null}
+ */
+function parseSiteUrl(value) {
+  const text = String(value || '').trim();
+  try {
+    const url = new URL(/^https?:\/\//.test(text) ? text : `https://${text}`);
+    return url.hostname.includes('.') ? `https://${url.host}` : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+module.exports = {
+  JiraService,
+  parseSiteUrl
+};
@@ -0,0 +1,98 @@
+/**
+ * Linear Service for creating issues from specs and reading their state with a personal API key (GraphQL API)
+ * Основные методы для работы с Linear API: команды и задачи
+ */
+const LINEAR_API_URL = 'https://api.linear.app/graphql';
+
+const ISSUE_FIELDS = 'id identifier url completedAt canceledAt state { name type }';
+
+class LinearService {
+  /**
+   * @param {string} apiKey - Personal API key (Settings → Security & access)
+   */
+  constructor(apiKey) {
+    this.apiKey = apiKey;
+  }
+
+  /**
+   * Проверить конфигурацию сервиса
+   * @returns {boolean} Статус конфигурации
+   */
+  isConfigured() {
+    return !!this.apiKey;
+  }
+
+  /**
+   * GraphQL request. Errors carry `code`: the HTTP status, or the GraphQL
+   * error's type (AUTHENTICATION_ERROR, RATELIMITED, ...)
+   */
+  async graphql(query, variables = {}) {
+    if (!this.apiKey) {
+      throw new Error('Linear API key is not configured');
+    }
+
+    const response = await fetch(LINEAR_API_URL, {
+      method: 'POST',
+      headers: {
+        'Authorization': this.apiKey,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ query, variables })
+    });
+
+    const data = await response.json().catch(() => null);
+    const [first] = data?.errors || [];
+    if (!response.ok || first) {
+      const error = new Error(`Linear API request failed: ${first?.message || `status ${response.status}`}`);
+      error.code = first?.extensions?.code || response.status;
+      error.authFailed = response.status === 401 || error.code === 'AUTHENTICATION_ERROR';
+      throw error;
+    }
+    return data.data;
+  }
+
+  /**
+   * User the key belongs to (also validates the key)
+   * @returns {Promise<{name: string}>}
+   */
+  async getViewer() {
+    const { viewer } = await this.graphql('query { viewer { name } }');
+    return { name: viewer.name };
+  }
+
+  /**
+   * Team by its key ("ENG")
+   * @returns {Promise<{id: string, key: string, name: string}|null>}
+   */
+  async getTeamByKey(key) {
+    const { teams } = await this.graphql(
+      'query($key: String!) { teams(filter: { key: { eq: $key } }) { nodes { id key name } } }',
+      { key }
+    );
+    return teams.nodes[0] || null;
+  }
+
+  /**
+   * Create an issue; parentId makes it a sub-issue
+   * @returns {Promise<Object>} id, identifier, url, state { name, type }
+   */
+  async createIssue({ teamId, title, description, parentId }) {
+    const { issueCreate } = await this.graphql(
+      `mutation($input: IssueCreateInput!) { issueCreate(input: $input) { success issue { ${ISSUE_FIELDS} } } }`,
+      { input: { teamId, title, description, ...(parentId && { parentId }) } }
+    );
+    return issueCreate.issue;
+  }
+
+  /**
+   * One issue: state.type is triage, backlog, unstarted, started, completed or canceled
+   */
+  async getIssue(id) {
+    const { issue } = await this.graphql(`query($id: String!) { issue(id: $id) { ${ISSUE_FIELDS} } }`, { id });
+    return issue;
+  }
+}
+
+module.exports = {
+  LinearService
+};
@@ -0,0 +1,303 @@
+/**
+ * Slack Service for reading workspace channels and threads with a bot token (Web API)
+ * Основные методы для работы с Slack API: каналы, сообщения, треды и пользователи
+ */
+const SLACK_API_URL = 'https://slack.com/api';
+const SLACK_OAUTH_URL = 'https://slack.com/oauth/v2/authorize';
+// Wait out short rate limits instead of failing the whole sync
+const MAX_RATE_LIMIT_WAIT_MS = 5000;
+const MAX_RATE_LIMIT_RETRIES = 2;
+
+// Bot scopes requested when connecting a workspace
+const SLACK_BOT_SCOPES = [
+  'channels:read',
+  'channels:history',
+  'channels:join',
+  'groups:read',
+  'groups:history',
+  'users:read'
+];
+
+// Errors that mean the token no longer works and the workspace has to be reconnected
+const SLACK_AUTH_ERRORS = ['invalid_auth', 'not_authed', 'token_revoked', 'token_expired', 'account_inactive', 'missing_scope'];
+
+// Message subtypes that are people talking - joins, topic changes, bot posts etc. are not feedback
+const USER_MESSAGE_SUBTYPES = [undefined, 'file_share', 'thread_broadcast', 'me_message'];
+
+class SlackService {
+  /**
+   * @param {string} botToken - xoxb- token from the workspace's OAuth install
+   */
+  constructor(botToken) {
+    this.botToken = botToken;
+  }
+
+  /**
+   * Проверить конфигурацию сервиса
+   * @returns {boolean} Статус конфигурации
+   */
+  isConfigured() {
+    return !!this.botToken;
+  }
+
+  /**
+   * Call a Web API method. Slack reports most failures as `{ ok: false, error }`
+   * with HTTP 200 - those are thrown with `code` set to Slack's error string and
+   * `authFailed` for token errors.
+   */
+  async request(method, params = {}, attempt = 0) {
+    if (!this.botToken) {
+      throw new Error('Slack bot token is not configured');
+    }
+
+    const body = new URLSearchParams();
+    Object.entries(params).forEach(([key, value]) => {
+      if (value !== undefined && value !== null) {
+        body.append(key, String(value));
+      }
+    });
+
+    const response = await fetch(`${SLACK_API_URL}/${method}`, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${this.botToken}`,
+        'Content-Type': 'application/x-www-form-urlencoded'
+      },
+      body
+    });
+
+    if (response.status === 429) {
+      const retryAfter = Number(response.headers.get('retry-after') || 1);
+      if (attempt < MAX_RATE_LIMIT_RETRIES && retryAfter * 1000 <= MAX_RATE_LIMIT_WAIT_MS) {
+        console.log(`⏳ Slack rate limit: waiting ${retryAfter}s before retrying ${method}`);
+        await new Promise(resolve => setTimeout(resolve, retryAfter * 1000));
+        return this.request(method, params, attempt + 1);
+      }
+
+      const error = new Error(`Slack API rate limit exceeded for ${method}`);
+      error.code = 'ratelimited';
+      error.retryAfter = retryAfter;
+      throw error;
+    }
+
+    const data = await response.json().catch(() => null);
+
+    if (!response.ok || !data?.ok) {
+      const code = data?.error || `http_${response.status}`;
+      const error = new Error(`Slack API ${method} failed: ${code}`);
+      error.code = code;
+      error.authFailed = SLACK_AUTH_ERRORS.includes(code);
+      throw error;
+    }
+
+    return data;
+  }
+
+  /**
+   * Workspace and bot the token belongs to (also validates the token)
+   * @returns {Promise<{teamId: string, team: string, url: string, botUserId: string}>}
+   */
+  async authTest() {
+    const data = await this.request('auth.test');
+    return { teamId: data.team_id, team: data.team, url: data.url, botUserId: data.user_id };
+  }
+
+  /**
+   * Public and private channels the bot can see, following pagination
+   * @returns {Promise<{id: string, name: string, isPrivate: boolean, isMember: boolean, members: number}[]>}
+   */
+  async listChannels() {
+    const channels = [];
+    let cursor;
+
+    do {
+      const data = await this.request('conversations.list', {
+        types: 'public_channel,private_channel',
+        exclude_archived: true,
+        limit: 200,
+        cursor
+      });
+      (data.channels || []).forEach(channel => channels.push({
+        id: channel.id,
+        name: channel.name,
+        isPrivate: !!channel.is_private,
+        isMember: !!channel.is_member,
+        members: channel.num_members || 0
+      }));
+      cursor = data.response_metadata?.next_cursor || null;
+    } while (cursor);
+
+    return channels.sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Add the bot to a public channel (private channels need an /invite from a member)
+   */
+  async joinChannel(channelId) {
+    await this.request('conversations.join', { channel: channelId });
+  }
+
+  /**
+   * Top-level channel messages newer than `oldest`, following pagination, oldest first
+   * @param {string} channelId
+   * @param {Object} options
+   * @param {string} options.oldest - Slack ts (seconds.micros), exclusive
+   * @param {number} [options.limit] - Stop after this many messages (newest are kept)
+   * @returns {Promise<{messages: Object[], truncated: boolean}>}
+   */
+  async getHistory(channelId, { oldest, limit = 1000 } = {}) {
+    const messages = [];
+    let cursor;
+    let truncated = false;
+
+    do {
+      const data = await this.request('conversations.history', {
+        channel: channelId,
+        oldest,
+        limit: 200,
+        cursor
+      });
+      messages.push(...(data.messages || []));
+      cursor = data.has_more ? data.response_metadata?.next_cursor || null : null;
+
+      if (cursor && messages.length >= limit) {
+        truncated = true;
+        break;
+      }
+    } while (cursor);
+
+    // Slack pages newest first
+    return { messages: messages.sort((a, b) => compareTs(a.ts, b.ts)), truncated };
+  }
+
+  /**
+   * Replies of a thread (without the root message), oldest first
+   * @param {number} [limit] - Maximum replies returned (the oldest are kept)
+   */
+  async getReplies(channelId, threadTs, { limit = 200 } = {}) {
+    const replies = [];
+    let cursor;
+
+    do {
+      const data = await this.request('conversations.replies', {
+        channel: channelId,
+        ts: threadTs,
+        limit: Math.min(limit + 1, 200),
+        cursor
+      });
+      (data.messages || []).forEach(message => {
+        if (message.ts !== threadTs) replies.push(message);
+      });
+      cursor = data.has_more ? data.response_metadata?.next_cursor || null : null;
+    } while (cursor && replies.length < limit);
+
+    return replies.slice(0, limit);
+  }
+
+  /**
+   * Display name of a user
+   * @returns {Promise<{id: string, name: string, isBot: boolean}>}
+   */
+  async getUser(userId) {
+    const data = await this.request('users.info', { user: userId });
+    const user = data.user || {};
+    return {
+      id: user.id || userId,
+      name: user.profile?.display_name || user.real_name || user.name || userId,
+      isBot: !!user.is_bot
+    };
+  }
+
+  /**
+   * Whether a message was written by a person (not a join/topic/bot notice)
+   */
+  isUserMessage(message) {
+    return USER_MESSAGE_SUBTYPES.includes(message.subtype) && !message.bot_id;
+  }
+
+  /**
+   * Link that opens the message in Slack
+   * @param {string} workspaceUrl - e.g. https://acme.slack.com/ (from auth.test)
+   */
+  getMessageUrl(workspaceUrl, channelId, ts, threadTs) {
+    const base = `${(workspaceUrl || 'https://slack.com/').replace(/\/$/, '')}/archives/${channelId}/p${ts.replace('.', '')}`;
+    return threadTs && threadTs !== ts ? `${base}?thread_ts=${threadTs}&cid=${channelId}` : base;
+  }
+
+  /**
+   * Plain text from Slack's mrkdwn: user mentions, links and escaped characters
+   * @param {Object} userNames - user id → display name
+   */
+  formatText(text, userNames = {}) {
+    return (text || '')
+      .replace(/<@([A-Z0-9]+)(?:\|[^>]*)?>/g, (match, id) => `@${userNames[id] || id}`)
+      .replace(/<#[A-Z0-9]+\|([^>]*)>/g, '#$1')
+      .replace(/<!(here|channel|everyone)>/g, '@$1')
+      .replace(/<(https?:[^|>]+)\|([^>]+)>/g, '$2 ($1)')
+      .replace(/<(https?:[^>]+)>/g, '$1')
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&amp;/g, '&');
+  }
+}
+
+/**
+ * Slack "Add to Slack" URL for the integration OAuth app
+ */
+function getSlackAuthUrl({ clientId, redirectUri, state }) {
+  const params = new URLSearchParams({
+    client_id: clientId,
+    scope: SLACK_BOT_SCOPES.join(','),
+    redirect_uri: redirectUri,
+    state
+  });
+  return `${SLACK_OAUTH_URL}?${params.toString()}`;
+}
+
+/**
+ * Exchange an OAuth code for the workspace bot token (oauth.v2.access)
+ * @returns {Promise<Object>} Slack's response: access_token, bot_user_id, team, scope, ...
+ */
+async function exchangeSlackCode({ clientId, clientSecret, code, redirectUri }) {
+  const response = await fetch(`${SLACK_API_URL}/oauth.v2.access`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams({
+      client_id: clientId,
+      client_secret: clientSecret,
+      code,
+      redirect_uri: redirectUri
+    })
+  });
+
+  const data = await response.json().catch(() => null);
+  if (!data?.ok || !data.access_token) {
+    throw new Error(`Slack OAuth failed: ${data?.error || response.status}`);
+  }
+  return data;
+}
+
+/**
+ * Slack message timestamps ("1700000000.000100") in order
+ */
+function compareTs(a, b) {
+  const [aSeconds, aMicros = '0'] = String(a).split('.');
+  const [bSeconds, bMicros = '0'] = String(b).split('.');
+  return Number(aSeconds) - Number(bSeconds) || Number(aMicros) - Number(bMicros);
+}
+
+/**
+ * Slack ts for a moment in time
+ */
+function tsFromDate(date) {
+  return `${Math.floor(date.getTime() / 1000)}.000000`;
+}
+
+module.exports = {
+  SlackService,
+  SLACK_BOT_SCOPES,
+  getSlackAuthUrl,
+  exchangeSlackCode,
+  compareTs,
+  tsFromDate
+};
@@ -0,0 +1,103 @@
+// Line diff between two spec versions, for the version history of the specs dashboard (SpecVersions)
+
+// Larger changed regions (old lines × new lines) are shown as replaced
+// without the LCS table, which grows with their product
+const MAX_DIFF_CELLS = 1000000;
+
+/**
+ * Lines of `after` compared with `before`
+ * @returns {Array<{type: "same"|"added"|"removed", text: string}>}
+ */
+export function diffLines(before, after) {
+  const a = String(before || "").split("\n");
+  const b = String(after || "").split("\n");
+
+  // Common head and tail are the same whatever the middle holds
+  let head = 0;
+  while (head < a.length && head < b.length && a[head] === b[head]) head++;
+  let tail = 0;
+  while (tail < a.length - head && tail < b.length - head && a[a.length - 1 - tail] === b[b.length - 1 - tail]) tail++;
+
+  const oldLines = a.slice(head, a.length - tail);
+  const newLines = b.slice(head, b.length - tail);
+  const same = (text) => ({ type: "same", text });
+  let middle;
+
+  if (oldLines.length * newLines.length > MAX_DIFF_CELLS) {
+    middle = [
+      ...oldLines.map((text) => ({ type: "removed", text })),
+      ...newLines.map((text) => ({ type: "added", text })),
+    ];
+  } else {
+    // lcs[i][j]: longest common subsequence of oldLines[i..] and newLines[j..]
+    const lcs = Array.from({ length: oldLines.length + 1 }, () => new Array(newLines.length + 1).fill(0));
+    for (let i = oldLines.length - 1; i >= 0; i--) {
+      for (let j = newLines.length - 1; j >= 0; j--) {
+        lcs[i][j] = oldLines[i] === newLines[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+      }
+    }
+
+    middle = [];
+    let i = 0;
+    let j = 0;
+    while (i < oldLines.length || j < newLines.length) {
+      if (i < oldLines.length && j < newLines.length && oldLines[i] === newLines[j]) {
+        middle.push(same(oldLines[i]));
+        i++;
+        j++;
+      } else if (i < oldLines.length && (j === newLines.length || lcs[i + 1][j] >= lcs[i][j + 1])) {
+        middle.push({ type: "removed", text: oldLines[i++] });
+      } else {
+        middle.push({ type: "added", text: newLines[j++] });
+      }
+    }
+  }
+
+  return [...a.slice(0, head).map(same), ...middle, ...a.slice(a.length - tail).map(same)];
+}
+
+/**
+ * Number of added and removed lines
+ */
+export function diffStats(lines) {
+  return lines.reduce(
+    (stats, line) => {
+      if (line.type !== "same") stats[line.type] += 1;
+      return stats;
+    },
+    { added: 0, removed: 0 }
+  );
+}
+
+/**
+ * Unchanged stretches longer than 2 × context lines folded into
+ * { type: "skip", count } entries
+ */
+export function foldUnchanged(lines, context = 3) {
+  const folded = [];
+  let run = [];
+
+  const flush = (atStart, atEnd) => {
+    const keepHead = atStart ? 0 : context;
+    const keepTail = atEnd ? 0 : context;
+    if (run.length > keepHead + keepTail + 1) {
+      folded.push(...run.slice(0, keepHead), { type: "skip", count: run.length - keepHead - keepTail });
+      folded.push(...run.slice(run.length - keepTail));
+    } else {
+      folded.push(...run);
+    }
+    run = [];
+  };
+
+  lines.forEach((line) => {
+    if (line.type === "same") {
+      run.push(line);
+    } else {
+      flush(folded.length === 0, false);
+      folded.push(line);
+    }
+  });
+  flush(folded.length === 0, true);
+
+  return folded;
+}
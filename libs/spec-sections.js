@@ -0,0 +1,72 @@
+// Markdown sections of a spec and the AI actions on one section, for the spec editor (SpecEditor)
+
+// Section actions (SpecGenerator.rewriteSection): the instruction is sent with the section
+export const SECTION_ACTIONS = [
+  {
+    key: "expand_acceptance_criteria",
+    label: "Expand acceptance criteria",
+    instruction:
+      "Expand the acceptance criteria of this section. Make every criterion specific and testable, cover the main flows, error states and permissions, and write them as a Markdown checklist (- [ ]).",
+  },
+  {
+    key: "add_edge_cases",
+    label: "Add edge cases",
+    instruction:
+      "Add the edge cases this section misses - empty, invalid and extreme input, concurrent changes, failing external services, missing permissions - each with the expected behaviour.",
+  },
+  {
+    key: "shorten",
+    label: "Shorten",
+    instruction:
+      "Shorten this section to about half its length. Keep every requirement, number and code identifier; drop repetition and filler.",
+  },
+  {
+    key: "rewrite_for_claude_code",
+    label: "Rewrite for Claude Code",
+    instruction:
+      "Rewrite this section as instructions for Claude Code, an AI coding agent working in the repository: imperative steps, the files and functions to change, the commands that verify the change, and explicit constraints. No background prose.",
+  },
+];
+
+const HEADING = /^(#{1,6})\s+(.+?)\s*#*\s*$/;
+const FENCE = /^\s*(```|~~~)/;
+
+/**
+ * Sections of a Markdown document, one per heading: the heading and the
+ * lines up to the next heading of the same or a higher level, so a section
+ * includes its subsections. Headings in code blocks don't count.
+ * @returns {Array<{heading: string, level: number, text: string}>} In document order
+ */
+export function splitSections(markdown) {
+  const lines = String(markdown || "").split("\n");
+  const headings = [];
+  let inFence = false;
+
+  lines.forEach((line, index) => {
+    if (FENCE.test(line)) inFence = !inFence;
+    const match = !inFence && line.match(HEADING);
+    if (match) headings.push({ index, level: match[1].length, heading: match[2] });
+  });
+
+  return headings.map((current, position) => {
+    const next = headings.slice(position + 1).find((heading) => heading.level <= current.level);
+    return {
+      heading: current.heading,
+      level: current.level,
+      text: lines
+        .slice(current.index, next ? next.index : lines.length)
+        .join("\n")
+        .trimEnd(),
+    };
+  });
+}
+
+/**
+ * The document with a section's text replaced, or null when the section is no
+ * longer in it (edited meanwhile)
+ */
+export function replaceSection(markdown, section, replacement) {
+  const index = markdown.indexOf(section);
+  if (index < 0) return null;
+  return markdown.slice(0, index) + replacement.trimEnd() + markdown.slice(index + section.length);
+}
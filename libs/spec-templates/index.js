@@ -0,0 +1,341 @@
+/**
+ * Spec templates (spec_templates, SPEC_TEMPLATES_TABLE.sql)
+ *
+ * A template says what a generated spec looks like: its sections (in order,
+ * each with instructions and a required flag), the tone, extra instructions
+ * and the target format - a generic spec, Cursor rules, a CLAUDE.md, a PRD, a
+ * user story or an RFC. Each target also comes as a built-in template that can
+ * be used without saving it (templateId = the target key).
+ *
+ * The spec generator asks for every section as a Markdown heading and checks
+ * the answer with findMissingSections; required sections that are missing get
+ * a re-prompt (libs/ai/spec-generator.js).
+ */
+
+import {
+  AppError,
+  ERROR_CODES,
+  createDatabaseError,
+  createValidationError,
+} from "../errors/error-handler.js";
+import { VALIDATION_PATTERNS } from "../validation/validators.js";
+
+export const MAX_TEMPLATES = 25;
+export const MAX_SECTIONS = 20;
+
+export const TEMPLATE_COLUMNS =
+  "id, name, description, target, tone, sections, instructions, is_default, created_at, updated_at";
+
+const section = (heading, instructions, required = true) => ({ heading, instructions, required });
+
+/**
+ * Output formats, each with its guidance for the model and the sections of
+ * its built-in template
+ */
+export const SPEC_TARGETS = {
+  generic: {
+    label: "Development spec",
+    guidance:
+      "Write a development specification for AI coding assistants like Cursor or Claude Code. Be specific about technologies, patterns and files, and include code examples where they help.",
+    sections: [
+      section("Problem Description", "What needs to be addressed, the user impact and business value, with context from the feedback"),
+      section("Technical Requirements", "Functional and non-functional requirements, technology considerations"),
+      section("Implementation Steps", "Step-by-step approach with code examples and file structure"),
+      section("Acceptance Criteria", "Definition of done, success metrics, expected user experience"),
+      section("Testing Strategy", "Unit, integration and user acceptance tests"),
+      section("Edge Cases & Error Handling", "Failure scenarios, error recovery and what users see"),
+      section("Additional Considerations", "Performance, security, scalability and future extensibility", false),
+    ],
+  },
+  cursor_rules: {
+    label: "Cursor rules (.mdc)",
+    guidance:
+      "Write a Cursor project rule file (.cursor/rules/*.mdc). Start with YAML front matter (description, globs, alwaysApply: false), then terse, imperative rules the agent must follow while implementing the change. Prefer bullet lists over prose.",
+    sections: [
+      section("Goal", "One or two sentences on what to build and why"),
+      section("Rules", "Imperative do/don't rules for the implementation: patterns, files, naming, libraries"),
+      section("Implementation Steps", "Ordered steps the agent should take"),
+      section("Acceptance Criteria", "Checks the result must pass"),
+      section("Out of Scope", "What not to change", false),
+    ],
+  },
+  claude_md: {
+    label: "CLAUDE.md",
+    guidance:
+      "Write a CLAUDE.md section that briefs Claude Code on this task. Use short, direct instructions, name the files and commands involved, and state how to verify the work.",
+    sections: [
+      section("Task", "What to build and why, in a few sentences"),
+      section("Context", "Relevant files, modules and conventions to follow"),
+      section("Steps", "Ordered implementation steps"),
+      section("Verification", "Commands to run and behaviour to check"),
+      section("Constraints", "Things to avoid or keep unchanged", false),
+    ],
+  },
+  prd: {
+    label: "Product requirements document (PRD)",
+    guidance:
+      "Write a product requirements document for product managers, designers and engineers. Focus on the problem, users and outcomes rather than code.",
+    sections: [
+      section("Overview", "Summary of the problem and the proposed solution"),
+      section("Problem Statement", "Who is affected, how, and the evidence from feedback"),
+      section("Goals & Success Metrics", "Measurable outcomes"),
+      section("User Stories", "Key user stories in the form 'As a ..., I want ..., so that ...'"),
+      section("Requirements", "Functional and non-functional requirements, prioritized"),
+      section("Out of Scope", "What this release won't do"),
+      section("Open Questions", "Decisions still to be made", false),
+    ],
+  },
+  user_story: {
+    label: "User story",
+    guidance:
+      "Write an agile user story ready for a sprint board: the story, acceptance criteria in Given/When/Then form, and enough notes for estimation.",
+    sections: [
+      section("User Story", "As a <user>, I want <capability>, so that <benefit>"),
+      section("Acceptance Criteria", "Given/When/Then scenarios"),
+      section("Notes", "Design, technical notes and dependencies", false),
+      section("Definition of Done", "Checklist for completion"),
+    ],
+  },
+  rfc: {
+    label: "RFC",
+    guidance:
+      "Write an engineering RFC for design review: motivation, the proposed design with its trade-offs, and the alternatives considered.",
+    sections: [
+      section("Summary", "One paragraph description of the proposal"),
+      section("Motivation", "Why this is needed, with evidence from feedback"),
+      section("Detailed Design", "Architecture, data model, APIs and key algorithms"),
+      section("Alternatives Considered", "Other approaches and why they were not chosen"),
+      section("Risks & Drawbacks", "What could go wrong and the costs of this design"),
+      section("Rollout Plan", "Migration, feature flags and rollback"),
+      section("Unresolved Questions", "Open points for reviewers", false),
+    ],
+  },
+};
+
+/**
+ * Built-in template of a target (templateId = target key)
+ */
+export function builtInTemplate(target) {
+  const definition = SPEC_TARGETS[target];
+  if (!definition) return null;
+
+  return {
+    id: target,
+    name: definition.label,
+    description: null,
+    target,
+    tone: null,
+    sections: definition.sections,
+    instructions: null,
+    isDefault: false,
+    builtIn: true,
+  };
+}
+
+export const BUILT_IN_TEMPLATES = Object.keys(SPEC_TARGETS).map(builtInTemplate);
+
+function cleanText(value, max) {
+  if (value === undefined || value === null) return null;
+  return typeof value === "string" && value.trim() ? value.trim().slice(0, max) : null;
+}
+
+// "## 2. Acceptance criteria:" → "acceptance criteria"
+function normalizeHeading(heading) {
+  return heading
+    .toLowerCase()
+    .replace(/[*_`]/g, "")
+    .replace(/^[\s\d.)\-:]+/, "")
+    .replace(/[^\p{L}\p{N}&/ ]/gu, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+function validateSections(sections, errors) {
+  if (!Array.isArray(sections) || sections.length === 0) {
+    errors.push("A template needs at least one section");
+    return [];
+  }
+  if (sections.length > MAX_SECTIONS) {
+    errors.push(`A template can have at most ${MAX_SECTIONS} sections`);
+    return [];
+  }
+
+  const seen = new Set();
+  const cleaned = sections.map((item, index) => {
+    const heading = cleanText(item?.heading, 100);
+    if (!heading) {
+      errors.push(`Section ${index + 1} needs a heading`);
+    } else if (seen.has(normalizeHeading(heading))) {
+      errors.push(`Section "${heading}" is listed twice`);
+    } else {
+      seen.add(normalizeHeading(heading));
+    }
+    return {
+      heading: heading || "",
+      instructions: cleanText(item?.instructions, 1000),
+      required: item?.required !== false,
+    };
+  });
+
+  if (!cleaned.some((item) => item.required)) {
+    errors.push("At least one section must be required");
+  }
+  return cleaned;
+}
+
+/**
+ * Validate a template from the dashboard (only the fields that were sent when partial)
+ * @returns {Object} Columns to save
+ */
+export function validateSpecTemplate(data, { partial = false } = {}) {
+  const errors = [];
+  const row = {};
+
+  if (!partial || data.name !== undefined) {
+    row.name = cleanText(data.name, 100);
+    if (!row.name) errors.push("Name must be 1-100 characters");
+  }
+  if (!partial || data.description !== undefined) row.description = cleanText(data.description, 500);
+
+  if (!partial || data.target !== undefined) {
+    row.target = data.target || "generic";
+    if (!SPEC_TARGETS[row.target]) errors.push(`Target must be one of: ${Object.keys(SPEC_TARGETS).join(", ")}`);
+  }
+
+  if (!partial || data.tone !== undefined) row.tone = cleanText(data.tone, 200);
+  if (!partial || data.instructions !== undefined) row.instructions = cleanText(data.instructions, 4000);
+
+  if (!partial || data.sections !== undefined) {
+    // New templates start from their target's sections
+    const sections = data.sections === undefined && SPEC_TARGETS[row.target] ? SPEC_TARGETS[row.target].sections : data.sections;
+    row.sections = validateSections(sections, errors);
+  }
+
+  if (data.isDefault !== undefined) {
+    if (typeof data.isDefault !== "boolean") errors.push("isDefault must be true or false");
+    row.is_default = data.isDefault;
+  }
+
+  if (errors.length > 0) {
+    throw createValidationError(errors.join(", "), errors);
+  }
+
+  return row;
+}
+
+/**
+ * spec_templates row → the shape the dashboard works with
+ */
+export function formatSpecTemplate(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    description: row.description || null,
+    target: row.target,
+    tone: row.tone || null,
+    sections: row.sections || [],
+    instructions: row.instructions || null,
+    isDefault: !!row.is_default,
+    builtIn: false,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+/**
+ * Unset the user's default template before another one becomes the default
+ * (one default per user, idx_spec_templates_default)
+ */
+export async function clearDefaultSpecTemplate(supabase, userId, keepId = null) {
+  let query = supabase.from("spec_templates").update({ is_default: false }).eq("user_id", userId).eq("is_default", true);
+  if (keepId) query = query.neq("id", keepId);
+
+  const { error } = await query;
+
+  if (error) {
+    throw createDatabaseError("Failed to update default spec template", error.message);
+  }
+}
+
+/**
+ * The template a spec is generated with:
+ * - a built-in target key ("prd", "cursor_rules", ...) → its built-in template
+ * - a template id → the user's template
+ * - nothing → the user's default template, or null for the standard prompts
+ * @returns {Promise<Object|null>} Formatted template
+ */
+export async function resolveSpecTemplate(supabase, userId, templateId) {
+  if (templateId !== undefined && templateId !== null && templateId !== "") {
+    if (typeof templateId === "string" && SPEC_TARGETS[templateId]) {
+      return builtInTemplate(templateId);
+    }
+    if (typeof templateId !== "string" || !VALIDATION_PATTERNS.UUID.test(templateId)) {
+      throw createValidationError("templateId must be a spec template ID or a built-in template");
+    }
+  }
+
+  let query = supabase.from("spec_templates").select(TEMPLATE_COLUMNS).eq("user_id", userId);
+  query = templateId ? query.eq("id", templateId) : query.eq("is_default", true);
+
+  const { data, error } = await query.limit(1).maybeSingle();
+
+  if (error) {
+    throw createDatabaseError("Failed to read spec template", error.message);
+  }
+  if (!data && templateId) {
+    throw new AppError(ERROR_CODES.RECORD_NOT_FOUND, "Spec template not found");
+  }
+
+  return data ? formatSpecTemplate(data) : null;
+}
+
+/**
+ * System prompt for a template: the target's guidance and the tone
+ */
+export function templateSystemPrompt(template) {
+  const target = SPEC_TARGETS[template.target] || SPEC_TARGETS.generic;
+  const tone = template.tone ? `\n\nTone: ${template.tone}.` : "";
+
+  return `You are an expert software architect and technical writer. ${target.guidance}${tone}
+
+Follow the section structure you are given exactly: every section is a "## " Markdown heading with exactly the given title, in the given order.`;
+}
+
+/**
+ * Section instructions for the user prompt. The "- ## Heading (required)"
+ * lines are also what the mock AI provider builds its answer from.
+ */
+export function templateSectionsPrompt(template) {
+  const sections = template.sections
+    .map(
+      (item) =>
+        `- ## ${item.heading} (${item.required ? "required" : "optional"})${item.instructions ? `: ${item.instructions}` : ""}`
+    )
+    .join("\n");
+  const instructions = template.instructions ? `\n\nAdditional instructions:\n${template.instructions}` : "";
+
+  return `Use exactly these sections, in this order, each as a "## " Markdown heading. Optional sections may be left out when they don't apply.
+${sections}${instructions}`;
+}
+
+/**
+ * Required sections of the template that the Markdown has no heading for.
+ * Headings match case-insensitively, ignoring numbering and punctuation, and
+ * may add words after the title ("Acceptance Criteria (Gherkin)").
+ * @returns {string[]} Missing section headings
+ */
+export function findMissingSections(markdown, template) {
+  const headings = String(markdown || "")
+    .split("\n")
+    .map((line) => line.match(/^\s{0,3}#{1,6}\s+(.+?)\s*#*\s*$/)?.[1])
+    .filter(Boolean)
+    .map(normalizeHeading);
+
+  return template.sections
+    .filter((item) => item.required)
+    .map((item) => item.heading)
+    .filter((heading) => {
+      const expected = normalizeHeading(heading);
+      return !headings.some((found) => found === expected || found.startsWith(`${expected} `));
+    });
+}
@@ -0,0 +1,724 @@
+/**
+ * Spec versions (spec_versions, SPEC_VERSIONS_TABLE.sql)
+ *
+ * A generated spec (generated_specs) is one row per cluster, per feedback item
+ * or per bulk selection, holding the latest content. Every generation is
+ * saved as a new version with the model, the prompt and template, and the
+ * feedback it was generated from, so regenerating never loses the previous
+ * text. One version can be pinned as approved.
+ *
+ * regenerateSpec either generates the spec again ("full") or updates the
+ * approved (else latest) version with the feedback that arrived since it
+ * ("changes"); the new requirements are kept in the version's change_summary.
+ *
+ * Specs are edited in the spec editor: edits are autosaved to the spec, and
+ * saveSpecEdit with asVersion keeps the edited text as a version of its own.
+ *
+ * The feedback of every version is also linked to the spec (spec_feedback,
+ * SPEC_FEEDBACK_TABLE.sql), which is what a spec's sources and a feedback
+ * item's specs are read from. Merged duplicates are resolved when reading, so
+ * merging, unmerging and deleting feedback change the provenance right away.
+ */
+
+import { specGenerator, NEW_REQUIREMENT_MARK } from "../ai/spec-generator.js";
+import { openAIClient } from "../ai/openai-client.js";
+import { feedbackReporter, withReportCounts } from "../duplicates/index.js";
+import {
+  AppError,
+  ERROR_CODES,
+  createDatabaseError,
+  createExternalServiceError,
+  createValidationError,
+} from "../errors/error-handler.js";
+import { clusterSpecFeedback } from "../search/index.js";
+import { findMissingSections, resolveSpecTemplate } from "../spec-templates/index.js";
+
+export const SPEC_COLUMNS =
+  "id, cluster_id, feedback_id, title, content, template_id, missing_sections, current_version, approved_version_id, approved_at, created_at, updated_at";
+
+export const VERSION_COLUMNS =
+  "id, spec_id, version, title, content, provider, model, template_id, template_name, prompt, feedback_ids, missing_sections, change_summary, created_at";
+
+export const REGENERATE_MODES = ["full", "changes"];
+
+export const MAX_SPEC_LENGTH = 100000;
+
+const MAX_LISTED_VERSIONS = 50;
+const ID_BATCH_SIZE = 200;
+
+// Feedback sent to the LLM, like a combined spec (libs/batch)
+const SPEC_FEEDBACK_LIMIT = 30;
+
+const FEEDBACK_COLUMNS = "id, platform, content, metadata, duplicate_of, duplicate_count, created_at";
+
+const LINK_COLUMNS = "spec_id, feedback_id, first_version, last_version, created_at";
+
+/**
+ * generated_specs row → API shape
+ */
+export function formatSpec(row) {
+  return {
+    id: row.id,
+    clusterId: row.cluster_id || null,
+    feedbackId: row.feedback_id || null,
+    title: row.title,
+    content: row.content,
+    templateId: row.template_id || null,
+    missingSections: row.missing_sections || [],
+    currentVersion: row.current_version || 1,
+    approvedVersionId: row.approved_version_id || null,
+    approvedAt: row.approved_at || null,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at || row.created_at,
+  };
+}
+
+/**
+ * spec_versions row → API shape
+ */
+export function formatSpecVersion(row) {
+  return {
+    id: row.id,
+    specId: row.spec_id,
+    version: row.version,
+    title: row.title,
+    content: row.content,
+    provider: row.provider || null,
+    model: row.model || null,
+    templateId: row.template_id || null,
+    templateName: row.template_name || null,
+    prompt: row.prompt || null,
+    feedbackIds: row.feedback_ids || [],
+    missingSections: row.missing_sections || [],
+    changeSummary: row.change_summary || null,
+    createdAt: row.created_at,
+  };
+}
+
+/**
+ * Spec generator input for one feedback item
+ */
+export function feedbackSpecInput(feedback) {
+  return {
+    issueType: feedback.metadata?.category || "general",
+    description: feedback.content || "No description provided",
+    priority: feedback.metadata?.priority || "medium",
+    reports: 1 + (feedback.duplicate_count || 0),
+  };
+}
+
+/**
+ * New requirements of an updated spec: the "What Changed" bullets, else the
+ * lines marked with NEW_REQUIREMENT_MARK
+ */
+export function extractNewRequirements(markdown) {
+  const lines = String(markdown || "").split("\n");
+  const start = lines.findIndex((line) => /^#{1,6}\s+.*what changed/i.test(line));
+  const clean = (line) =>
+    line
+      .replace(/^\s*(?:[-*+]|\d+[.)])\s+/, "")
+      .replace(NEW_REQUIREMENT_MARK, "")
+      .trim();
+
+  if (start >= 0) {
+    const end = lines.findIndex((line, index) => index > start && /^#{1,6}\s/.test(line));
+    const items = lines
+      .slice(start + 1, end < 0 ? undefined : end)
+      .filter((line) => /^\s*(?:[-*+]|\d+[.)])\s+/.test(line))
+      .map(clean)
+      .filter(Boolean);
+    if (items.length > 0) return items;
+  }
+
+  return lines.filter((line) => line.includes(NEW_REQUIREMENT_MARK)).map(clean).filter(Boolean);
+}
+
+/**
+ * The user's spec, or RECORD_NOT_FOUND
+ */
+export async function loadSpec(supabase, userId, specId) {
+  const { data, error } = await supabase
+    .from("generated_specs")
+    .select(SPEC_COLUMNS)
+    .eq("id", specId)
+    .eq("user_id", userId)
+    .maybeSingle();
+
+  if (error) {
+    throw createDatabaseError("Failed to read spec", error.message);
+  }
+  if (!data) {
+    throw new AppError(ERROR_CODES.RECORD_NOT_FOUND, "Spec not found");
+  }
+  return data;
+}
+
+// The latest spec of a cluster or feedback item
+async function findSpec(supabase, userId, { clusterId, feedbackId }) {
+  if (!clusterId && !feedbackId) return null;
+
+  const { data, error } = await supabase
+    .from("generated_specs")
+    .select(SPEC_COLUMNS)
+    .eq("user_id", userId)
+    .eq(clusterId ? "cluster_id" : "feedback_id", clusterId || feedbackId)
+    .order("created_at", { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  if (error) {
+    throw createDatabaseError("Failed to read spec", error.message);
+  }
+  return data;
+}
+
+/**
+ * Versions of a spec, newest first
+ */
+export async function listSpecVersions(supabase, userId, specId) {
+  const { data, error } = await supabase
+    .from("spec_versions")
+    .select(VERSION_COLUMNS)
+    .eq("spec_id", specId)
+    .eq("user_id", userId)
+    .order("version", { ascending: false })
+    .limit(MAX_LISTED_VERSIONS);
+
+  if (error) {
+    throw createDatabaseError("Failed to read spec versions", error.message);
+  }
+  return (data || []).map(formatSpecVersion);
+}
+
+async function loadVersion(supabase, userId, specId, versionId) {
+  let query = supabase.from("spec_versions").select(VERSION_COLUMNS).eq("spec_id", specId).eq("user_id", userId);
+  query = versionId ? query.eq("id", versionId) : query.order("version", { ascending: false }).limit(1);
+
+  const { data, error } = await query.maybeSingle();
+
+  if (error) {
+    throw createDatabaseError("Failed to read spec version", error.message);
+  }
+  return data;
+}
+
+// Link the feedback of a new version to its spec: items already linked are
+// carried forward to the version, the others start at it
+async function linkSpecFeedback(supabase, userId, specId, version, feedbackIds) {
+  const ids = [...new Set(feedbackIds)];
+  const linked = new Set();
+
+  for (let i = 0; i < ids.length; i += ID_BATCH_SIZE) {
+    const { data, error } = await supabase
+      .from("spec_feedback")
+      .update({ last_version: version })
+      .eq("spec_id", specId)
+      .eq("user_id", userId)
+      .in("feedback_id", ids.slice(i, i + ID_BATCH_SIZE))
+      .select("feedback_id");
+
+    if (error) {
+      throw createDatabaseError("Failed to link spec feedback", error.message);
+    }
+    (data || []).forEach((row) => linked.add(row.feedback_id));
+  }
+
+  // Feedback deleted since the version it went into has no row to link
+  const rows = await loadFeedbackRows(supabase, userId, "id", ids.filter((id) => !linked.has(id)));
+  if (rows.length === 0) return;
+
+  const { error } = await supabase.from("spec_feedback").insert(
+    rows.map((row) => ({
+      spec_id: specId,
+      feedback_id: row.id,
+      user_id: userId,
+      first_version: version,
+      last_version: version,
+    }))
+  );
+
+  if (error) {
+    throw createDatabaseError("Failed to link spec feedback", error.message);
+  }
+}
+
+/**
+ * Save a generation as the next version of its spec, creating the spec for
+ * the first one. The spec is found by specId, else by cluster or feedback
+ * item; bulk selections (neither) always get a new spec.
+ * @param {Object} generated - SpecGenerator.generateWithTemplate result
+ * @param {string[]} feedbackIds - feedback the spec was generated from
+ * @returns {Promise<{spec: Object, version: Object}>} Formatted
+ */
+export async function saveSpecVersion(
+  supabase,
+  userId,
+  { specId = null, clusterId = null, feedbackId = null, title, generated, template = null, feedbackIds = [], changeSummary = null }
+) {
+  const existing = specId
+    ? await loadSpec(supabase, userId, specId)
+    : await findSpec(supabase, userId, { clusterId, feedbackId });
+  const now = new Date().toISOString();
+  const columns = {
+    title,
+    content: generated.content,
+    template_id: template?.id || null,
+    missing_sections: template ? generated.missingSections : null,
+  };
+
+  let spec = existing;
+  if (!spec) {
+    const { data, error } = await supabase
+      .from("generated_specs")
+      .insert({ ...columns, user_id: userId, cluster_id: clusterId, feedback_id: feedbackId, current_version: 0 })
+      .select(SPEC_COLUMNS)
+      .single();
+
+    if (error) {
+      throw createDatabaseError("Failed to save generated spec", error.message);
+    }
+    spec = data;
+  }
+
+  // Numbered on the spec row, so concurrent saves never get the same number
+  const { data: number, error: numberError } = await supabase.rpc("next_spec_version", {
+    p_user_id: userId,
+    p_spec_id: spec.id,
+  });
+
+  if (numberError) {
+    throw createDatabaseError("Failed to number spec version", numberError.message);
+  }
+  if (!number) {
+    throw new AppError(ERROR_CODES.RECORD_NOT_FOUND, "Spec not found");
+  }
+
+  const { data: version, error: versionError } = await supabase
+    .from("spec_versions")
+    .insert({
+      spec_id: spec.id,
+      user_id: userId,
+      version: number,
+      title,
+      content: generated.content,
+      provider: generated.provider || null,
+      model: generated.model || null,
+      template_id: template?.id || null,
+      template_name: template?.name || null,
+      prompt: generated.prompt || null,
+      feedback_ids: [...new Set(feedbackIds)],
+      missing_sections: template ? generated.missingSections : null,
+      change_summary: changeSummary,
+    })
+    .select(VERSION_COLUMNS)
+    .single();
+
+  if (versionError) {
+    throw createDatabaseError("Failed to save spec version", versionError.message);
+  }
+
+  await linkSpecFeedback(supabase, userId, spec.id, number, feedbackIds);
+
+  // Only the latest version's content goes on the spec; a save numbered after
+  // this one may already have written its own
+  const { data: updated, error: updateError } = await supabase
+    .from("generated_specs")
+    .update({ ...columns, updated_at: now })
+    .eq("id", spec.id)
+    .eq("user_id", userId)
+    .eq("current_version", number)
+    .select(SPEC_COLUMNS)
+    .maybeSingle();
+
+  if (updateError) {
+    throw createDatabaseError("Failed to save generated spec", updateError.message);
+  }
+
+  return {
+    spec: formatSpec(updated || (await loadSpec(supabase, userId, spec.id))),
+    version: formatSpecVersion(version),
+  };
+}
+
+/**
+ * Pin a version as the approved one (null unpins)
+ */
+export async function approveSpecVersion(supabase, userId, specId, versionId) {
+  if (versionId && !(await loadVersion(supabase, userId, specId, versionId))) {
+    throw new AppError(ERROR_CODES.RECORD_NOT_FOUND, "Spec version not found");
+  }
+
+  const { data, error } = await supabase
+    .from("generated_specs")
+    .update({ approved_version_id: versionId, approved_at: versionId ? new Date().toISOString() : null })
+    .eq("id", specId)
+    .eq("user_id", userId)
+    .select(SPEC_COLUMNS)
+    .maybeSingle();
+
+  if (error) {
+    throw createDatabaseError("Failed to approve spec version", error.message);
+  }
+  if (!data) {
+    throw new AppError(ERROR_CODES.RECORD_NOT_FOUND, "Spec not found");
+  }
+  return formatSpec(data);
+}
+
+/**
+ * Save an edit of a spec's content. With asVersion, the edit is also saved as
+ * the next version, with the template and feedback of the latest version and
+ * change_summary { editedFromVersion }.
+ *
+ * expectedUpdatedAt is the spec's updatedAt the edit was made on. When the
+ * spec was saved since (a regeneration, another tab), the edit is rejected
+ * with CONFLICT instead of overwriting the newer content.
+ * @returns {Promise<{spec: Object, version: Object|null}>} Formatted
+ */
+export async function saveSpecEdit(supabase, userId, specId, content, { asVersion = false, expectedUpdatedAt = null } = {}) {
+  if (typeof content !== "string" || !content.trim()) {
+    throw createValidationError("Content is required");
+  }
+  if (content.length > MAX_SPEC_LENGTH) {
+    throw createValidationError(`Content must be ${MAX_SPEC_LENGTH} characters or less`);
+  }
+
+  const spec = await loadSpec(supabase, userId, specId);
+  const changed = () => new AppError(ERROR_CODES.CONFLICT, "The spec was changed since it was opened. Reload it to continue.");
+
+  if (expectedUpdatedAt && Date.parse(expectedUpdatedAt) !== Date.parse(spec.updated_at || spec.created_at)) {
+    throw changed();
+  }
+
+  if (asVersion) {
+    const latest = await loadVersion(supabase, userId, specId, null);
+    // A deleted template leaves the edit without one
+    const template = latest?.template_id
+      ? await resolveSpecTemplate(supabase, userId, latest.template_id).catch((error) => {
+          if (error.code !== ERROR_CODES.RECORD_NOT_FOUND) throw error;
+          return null;
+        })
+      : null;
+    return saveSpecVersion(supabase, userId, {
+      specId,
+      title: spec.title,
+      generated: { content, missingSections: template ? findMissingSections(content, template) : [] },
+      template,
+      feedbackIds: latest?.feedback_ids || [],
+      changeSummary: { editedFromVersion: latest?.version || spec.current_version },
+    });
+  }
+
+  // Only if nothing saved the spec since it was loaded
+  let query = supabase
+    .from("generated_specs")
+    .update({ content, updated_at: new Date().toISOString() })
+    .eq("id", specId)
+    .eq("user_id", userId);
+  query = spec.updated_at ? query.eq("updated_at", spec.updated_at) : query.is("updated_at", null);
+
+  const { data, error } = await query.select(SPEC_COLUMNS).maybeSingle();
+
+  if (error) {
+    throw createDatabaseError("Failed to save spec", error.message);
+  }
+  if (!data) {
+    throw changed();
+  }
+  return { spec: formatSpec(data), version: null };
+}
+
+async function loadFeedbackRows(supabase, userId, column, ids) {
+  const rows = [];
+  for (let i = 0; i < ids.length; i += ID_BATCH_SIZE) {
+    const { data, error } = await supabase
+      .from("raw_feedback")
+      .select(FEEDBACK_COLUMNS)
+      .eq("user_id", userId)
+      .in(column, ids.slice(i, i + ID_BATCH_SIZE));
+
+    if (error) {
+      throw createDatabaseError("Failed to read feedback", error.message);
+    }
+    rows.push(...(data || []));
+  }
+  return rows;
+}
+
+// What a spec is generated from: its cluster, its feedback item, or the
+// feedback of its first version (bulk selections)
+async function specSource(supabase, userId, spec, base) {
+  if (spec.cluster_id) {
+    const { data: cluster, error } = await supabase
+      .from("feedback_clusters")
+      .select("id, cluster_data, feedback_ids, centroid")
+      .eq("id", spec.cluster_id)
+      .eq("user_id", userId)
+      .maybeSingle();
+
+    if (error) {
+      throw createDatabaseError("Failed to fetch cluster", error.message);
+    }
+    if (!cluster) {
+      throw createValidationError("The spec's cluster no longer exists");
+    }
+
+    const rows = await clusterSpecFeedback(supabase, userId, cluster);
+    return {
+      input: { theme: cluster.cluster_data?.theme || "Untitled", feedbackList: withReportCounts(rows) },
+      feedbackIds: rows.map((row) => row.id),
+      sourceIds: cluster.feedback_ids || [],
+    };
+  }
+
+  if (spec.feedback_id) {
+    const [feedback] = await loadFeedbackRows(supabase, userId, "id", [spec.feedback_id]);
+    if (!feedback) {
+      throw createValidationError("The spec's feedback no longer exists");
+    }
+    return { input: feedbackSpecInput(feedback), feedbackIds: [feedback.id], sourceIds: [feedback.id] };
+  }
+
+  const ids = base?.feedback_ids || [];
+  const rowById = new Map((await loadFeedbackRows(supabase, userId, "id", ids)).map((row) => [row.id, row]));
+  const rows = ids.map((id) => rowById.get(id)).filter(Boolean);
+  if (rows.length === 0) {
+    throw createValidationError("The spec's feedback no longer exists");
+  }
+
+  return {
+    input: {
+      theme: spec.title.replace(/^Spec for /, ""),
+      feedbackList: withReportCounts(rows).slice(0, SPEC_FEEDBACK_LIMIT),
+    },
+    feedbackIds: rows.map((row) => row.id),
+    sourceIds: rows.map((row) => row.id),
+  };
+}
+
+// Feedback of the source (items and their merged duplicates) created after the version
+async function feedbackSince(supabase, userId, sourceIds, since) {
+  const rows = new Map();
+  [
+    ...(await loadFeedbackRows(supabase, userId, "id", sourceIds)),
+    ...(await loadFeedbackRows(supabase, userId, "duplicate_of", sourceIds)),
+  ]
+    .filter((row) => new Date(row.created_at) > new Date(since))
+    .forEach((row) => rows.set(row.id, row));
+
+  return [...rows.values()].sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+}
+
+/**
+ * Generate a new version of a spec
+ * - "full": from its current feedback, like the first generation
+ * - "changes": the approved (else latest) version updated with the feedback
+ *   that arrived since it; fails when there is none
+ * The template is the given one, else the base version's (the user's default
+ * when that was deleted).
+ * @returns {Promise<{spec: Object, version: Object}>}
+ */
+export async function regenerateSpec(supabase, userId, specId, { mode = "full", templateId } = {}) {
+  if (!REGENERATE_MODES.includes(mode)) {
+    throw createValidationError(`Mode must be one of: ${REGENERATE_MODES.join(", ")}`);
+  }
+
+  await openAIClient.configureForUser(supabase, userId);
+  if (!openAIClient.isConfigured(userId)) {
+    throw createExternalServiceError("openai", "AI provider is not configured for spec generation");
+  }
+
+  const spec = await loadSpec(supabase, userId, specId);
+  const base =
+    (spec.approved_version_id && (await loadVersion(supabase, userId, specId, spec.approved_version_id))) ||
+    (await loadVersion(supabase, userId, specId, null));
+
+  let template;
+  if (templateId !== undefined) {
+    template = await resolveSpecTemplate(supabase, userId, templateId);
+  } else {
+    template = await resolveSpecTemplate(supabase, userId, base?.template_id || spec.template_id).catch((error) => {
+      if (error.code !== ERROR_CODES.RECORD_NOT_FOUND) throw error;
+      return resolveSpecTemplate(supabase, userId, null);
+    });
+  }
+
+  const source = await specSource(supabase, userId, spec, base);
+  let changeSummary = null;
+  let feedbackIds = source.feedbackIds;
+
+  if (mode === "changes") {
+    if (!base) {
+      throw createValidationError("The spec has no version to update yet");
+    }
+
+    const newFeedback = await feedbackSince(supabase, userId, source.sourceIds, base.created_at);
+    if (newFeedback.length === 0) {
+      throw createValidationError(`No new feedback since version ${base.version}`);
+    }
+
+    source.input.previous = {
+      version: base.version,
+      content: base.content,
+      newFeedback: newFeedback
+        .slice(0, SPEC_FEEDBACK_LIMIT)
+        .map((row) => ({ content: row.content || row.metadata?.title || "No content", reports: 1 })),
+    };
+    feedbackIds = [...(base.feedback_ids || []), ...newFeedback.map((row) => row.id)];
+    changeSummary = {
+      baseVersionId: base.id,
+      baseVersion: base.version,
+      newFeedbackIds: newFeedback.map((row) => row.id),
+    };
+  }
+
+  const generated = await specGenerator.generateWithTemplate(template, source.input, userId);
+  if (!generated.content) {
+    throw createExternalServiceError("openai", "AI service returned empty response");
+  }
+  if (changeSummary) {
+    changeSummary.newRequirements = extractNewRequirements(generated.content);
+  }
+
+  return saveSpecVersion(supabase, userId, {
+    specId: spec.id,
+    title: spec.title,
+    generated,
+    template,
+    feedbackIds,
+    changeSummary,
+  });
+}
+
+// Feedback row → a quote of the spec's sources
+function sourceQuote(row) {
+  return {
+    id: row.id,
+    title: row.metadata?.title || null,
+    content: row.content,
+    duplicateOf: row.duplicate_of || null,
+    duplicateCount: row.duplicate_count || 0,
+    reporter: feedbackReporter(row),
+  };
+}
+
+async function loadLinks(supabase, userId, column, ids) {
+  const links = [];
+  for (let i = 0; i < ids.length; i += ID_BATCH_SIZE) {
+    const { data, error } = await supabase
+      .from("spec_feedback")
+      .select(LINK_COLUMNS)
+      .eq("user_id", userId)
+      .in(column, ids.slice(i, i + ID_BATCH_SIZE))
+      .order("created_at", { ascending: true });
+
+    if (error) {
+      throw createDatabaseError("Failed to read spec feedback", error.message);
+    }
+    links.push(...(data || []));
+  }
+  return links;
+}
+
+/**
+ * Feedback a spec was generated from, in the order it was linked, with the
+ * versions it went into; then the feedback merged into those items since
+ * (mergedInto: the linked item), which the spec speaks for as well
+ */
+export async function listSpecFeedback(supabase, userId, specId) {
+  const links = await loadLinks(supabase, userId, "spec_id", [specId]);
+  const ids = links.map((link) => link.feedback_id);
+  const rowById = new Map((await loadFeedbackRows(supabase, userId, "id", ids)).map((row) => [row.id, row]));
+  const linkedIds = new Set(ids);
+  const merged = (await loadFeedbackRows(supabase, userId, "duplicate_of", ids))
+    .filter((row) => !linkedIds.has(row.id))
+    .sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+
+  return [
+    ...links
+      .filter((link) => rowById.has(link.feedback_id))
+      .map((link) => ({
+        ...sourceQuote(rowById.get(link.feedback_id)),
+        firstVersion: link.first_version,
+        lastVersion: link.last_version,
+        mergedInto: null,
+      })),
+    ...merged.map((row) => ({ ...sourceQuote(row), firstVersion: null, lastVersion: null, mergedInto: row.duplicate_of })),
+  ];
+}
+
+/**
+ * Feedback ids of many specs at once, as listSpecFeedback lists them: the
+ * linked items, then the items merged into them since
+ * @returns {Promise<Map<string, string[]>>} Spec id → feedback ids
+ */
+export async function listSpecsFeedbackIds(supabase, userId, specIds) {
+  const links = await loadLinks(supabase, userId, "spec_id", specIds);
+  const linkedIds = [...new Set(links.map((link) => link.feedback_id))];
+
+  const mergedInto = new Map();
+  (await loadFeedbackRows(supabase, userId, "duplicate_of", linkedIds))
+    .sort((a, b) => new Date(a.created_at) - new Date(b.created_at))
+    .forEach((row) => mergedInto.set(row.duplicate_of, [...(mergedInto.get(row.duplicate_of) || []), row.id]));
+
+  const linkedBySpec = new Map(specIds.map((specId) => [specId, []]));
+  links.forEach((link) => linkedBySpec.get(link.spec_id)?.push(link.feedback_id));
+
+  return new Map(
+    [...linkedBySpec].map(([specId, ids]) => {
+      const linked = new Set(ids);
+      const merged = ids.flatMap((id) => mergedInto.get(id) || []).filter((id) => !linked.has(id));
+      return [specId, [...ids, ...new Set(merged)]];
+    })
+  );
+}
+
+/**
+ * Specs generated from a feedback item or from another item of its duplicate
+ * group, most recently updated first. via: "feedback" (the item itself),
+ * "canonical" (the item it's merged into) or "duplicate" (an item merged with it)
+ */
+export async function listFeedbackSpecs(supabase, userId, feedbackId) {
+  const [item] = await loadFeedbackRows(supabase, userId, "id", [feedbackId]);
+  if (!item) {
+    throw new AppError(ERROR_CODES.RECORD_NOT_FOUND, "Feedback not found");
+  }
+
+  const canonicalId = item.duplicate_of || item.id;
+  const groupIds = [
+    canonicalId,
+    ...(await loadFeedbackRows(supabase, userId, "duplicate_of", [canonicalId])).map((row) => row.id),
+  ];
+  const links = await loadLinks(supabase, userId, "feedback_id", groupIds);
+  const specIds = [...new Set(links.map((link) => link.spec_id))];
+  if (specIds.length === 0) return [];
+
+  const { data, error } = await supabase
+    .from("generated_specs")
+    .select(SPEC_COLUMNS)
+    .eq("user_id", userId)
+    .in("id", specIds)
+    .order("updated_at", { ascending: false });
+
+  if (error) {
+    throw createDatabaseError("Failed to read specs", error.message);
+  }
+
+  const via = (link) => {
+    if (link.feedback_id === item.id) return "feedback";
+    return link.feedback_id === canonicalId ? "canonical" : "duplicate";
+  };
+  const rank = { feedback: 0, canonical: 1, duplicate: 2 };
+
+  return (data || []).map((spec) => {
+    const [link] = links
+      .filter((candidate) => candidate.spec_id === spec.id)
+      .sort((a, b) => rank[via(a)] - rank[via(b)]);
+    return {
+      ...formatSpec(spec),
+      via: via(link),
+      firstVersion: link.first_version,
+      lastVersion: link.last_version,
+    };
+  });
+}
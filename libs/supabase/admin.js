@@ -0,0 +1,22 @@
+import { createClient as createSupabaseClient } from "@supabase/supabase-js";
+
+/**
+ * Service role client for server-only work that isn't tied to a request
+ * (job worker, cron routes). Bypasses RLS - always scope queries by user_id.
+ */
+export function createAdminClient() {
+  if (!process.env.NEXT_PUBLIC_SUPABASE_URL || !process.env.SUPABASE_SERVICE_ROLE_KEY) {
+    throw new Error("NEXT_PUBLIC_SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY are required");
+  }
+
+  return createSupabaseClient(
+    process.env.NEXT_PUBLIC_SUPABASE_URL,
+    process.env.SUPABASE_SERVICE_ROLE_KEY,
+    {
+      auth: {
+        persistSession: false,
+        autoRefreshToken: false,
+      },
+    }
+  );
+}
@@ -0,0 +1,799 @@
+/**
+ * Issue trackers (spec_issues, SPEC_ISSUES_TABLE.sql)
+ *
+ * A spec can be sent to GitHub Issues, Linear or Jira as one issue, or as an
+ * epic with child tasks the AI derives from the spec's feedback
+ * (SpecGenerator.generateActionItems). Each tracker is an integration of the
+ * user holding its token and the repo, team or project issues go to, like
+ * the Stripe key of libs/customers.
+ *
+ * The issues' tracker state is synced back by syncSpecIssues - on demand and
+ * every 30 minutes through the sync_spec_issues job (/api/cron/trackers).
+ * When a spec's issue (or epic) is done, the feedback the spec was generated
+ * from, including duplicates merged into it since, moves to "shipped".
+ */
+
+import config from "../../config.js";
+import {
+  AppError,
+  createDatabaseError,
+  createExternalServiceError,
+  createValidationError,
+} from "../errors/error-handler.js";
+import { VALIDATION_PATTERNS } from "../validation/validators.js";
+import { specGenerator } from "../ai/spec-generator.js";
+import { openAIClient } from "../ai/openai-client.js";
+import { feedbackStatus } from "../feedback-filters.js";
+import { recordStatusChanges } from "../triage/index.js";
+import { listSpecFeedback, loadSpec } from "../specs/index.js";
+import { GitHubService, parseRepositoryName } from "../services/github.js";
+import { LinearService } from "../services/linear.js";
+import { JiraService, parseSiteUrl } from "../services/jira.js";
+
+/**
+ * Trackers specs can be sent to, by integration platform
+ */
+export const TRACKER_PROVIDERS = {
+  github_issues: { label: "GitHub Issues", bodyLimit: 65000 },
+  linear: { label: "Linear", bodyLimit: 50000 },
+  jira: { label: "Jira", bodyLimit: 32000 },
+};
+
+export const SEND_MODES = ["issue", "epic"];
+
+// Child tasks of an epic
+export const MAX_CHILD_TASKS = 15;
+
+// Open issues are polled at most this often by the scheduler
+export const ISSUE_SYNC_INTERVAL_MINUTES = 30;
+
+// Issues polled by one sync run
+const MAX_SYNCED_ISSUES = 50;
+
+// Feedback the tasks are derived from, like a combined spec (libs/batch)
+const TASK_FEEDBACK_LIMIT = 30;
+
+// Statuses a closed issue doesn't change
+const FINAL_STATUSES = ["shipped", "wont_do"];
+
+// A send reserves its spec_issues row as "pending" before creating the issue.
+// A reservation older than this was left by a send that died and is replaced.
+const PENDING_TIMEOUT_MS = 10 * 60 * 1000;
+
+const UNIQUE_VIOLATION = "23505";
+
+// Tries at saving an issue the tracker created. A lost save leaves the
+// reservation pending, and the spec could be sent again once it expires.
+const SAVE_ATTEMPTS = 3;
+
+// Integration columns returned to the dashboard (never the token)
+export const TRACKER_COLUMNS = "id, platform, status, config, created_at, updated_at";
+
+export const ISSUE_COLUMNS =
+  "id, spec_id, provider, kind, parent_id, external_id, external_key, url, title, spec_version, state, external_status, closed_at, synced_at, sync_error, created_at, updated_at";
+
+function validateProvider(provider) {
+  if (!TRACKER_PROVIDERS[provider]) {
+    throw createValidationError(`Tracker must be one of: ${Object.keys(TRACKER_PROVIDERS).join(", ")}`);
+  }
+}
+
+function cleanText(value, max) {
+  return typeof value === "string" ? value.trim().slice(0, max) : "";
+}
+
+/**
+ * integrations row → the tracker the dashboard shows
+ */
+export function formatTracker(row) {
+  const settings = row.config || {};
+  return {
+    id: row.id,
+    provider: row.platform,
+    label: TRACKER_PROVIDERS[row.platform]?.label || row.platform,
+    connected: row.status === "connected",
+    repo: settings.repo || null,
+    labels: settings.labels || [],
+    teamKey: settings.teamKey || null,
+    teamName: settings.teamName || null,
+    siteUrl: settings.siteUrl || null,
+    email: settings.email || null,
+    projectKey: settings.projectKey || null,
+    projectName: settings.projectName || null,
+    issueType: settings.issueType || null,
+    epicIssueType: settings.epicIssueType || null,
+    connectedAt: row.created_at,
+    updatedAt: row.updated_at || row.created_at,
+  };
+}
+
+/**
+ * spec_issues row → API shape; top-level issues carry their child tasks
+ */
+export function formatSpecIssue(row, tasks = []) {
+  return {
+    id: row.id,
+    specId: row.spec_id,
+    provider: row.provider,
+    kind: row.kind,
+    parentId: row.parent_id || null,
+    externalId: row.external_id,
+    key: row.external_key,
+    url: row.url,
+    title: row.title,
+    specVersion: row.spec_version || null,
+    state: row.state,
+    status: row.external_status || null,
+    closedAt: row.closed_at || null,
+    syncedAt: row.synced_at || null,
+    syncError: row.sync_error || null,
+    createdAt: row.created_at,
+    ...(!row.parent_id && { tasks: tasks.map((task) => formatSpecIssue(task)) }),
+  };
+}
+
+/**
+ * Error of a failed tracker request: a rejected token or a missing repo,
+ * team or project is the user's to fix, the rest is the tracker's
+ */
+function trackerError(provider, error) {
+  if (error instanceof AppError) return error;
+
+  const { label } = TRACKER_PROVIDERS[provider];
+  if (error.authFailed) {
+    return createValidationError(`${label} rejected the token - check it and connect again`);
+  }
+  if (error.code === 403) {
+    return createValidationError(`The ${label} token isn't allowed to do this: ${error.message}`);
+  }
+  if (error.code === 404) {
+    return createValidationError(`Not found in ${label}: ${error.message}`);
+  }
+  return createExternalServiceError(provider, `${label} request failed: ${error.message}`);
+}
+
+/**
+ * Same calls for every tracker: createIssue({ kind, title, body, parent })
+ * → { externalId, key, url }, getIssue(externalId) → { state, status, closedAt },
+ * and finishEpic(epic, body, tasks) for trackers without sub-issues
+ */
+function trackerClient(integration) {
+  const settings = integration.config || {};
+
+  if (integration.platform === "github_issues") {
+    const github = new GitHubService(integration.access_token);
+    return {
+      async createIssue({ title, body, parent }) {
+        const issue = await github.createIssue(settings.repo, {
+          title,
+          body: parent ? `Part of ${parent.external_key}\n\n${body}` : body,
+          labels: settings.labels || [],
+        });
+        return { externalId: `${settings.repo}#${issue.number}`, key: `#${issue.number}`, url: issue.html_url };
+      },
+      async getIssue(externalId) {
+        const separator = externalId.lastIndexOf("#");
+        const issue = await github.getIssue(externalId.slice(0, separator), externalId.slice(separator + 1));
+        if (issue.state !== "closed") {
+          return { state: "open", status: "Open", closedAt: null };
+        }
+        const notPlanned = issue.state_reason === "not_planned";
+        return {
+          state: notPlanned ? "canceled" : "done",
+          status: notPlanned ? "Closed as not planned" : "Closed",
+          closedAt: issue.closed_at || null,
+        };
+      },
+      // The epic lists its tasks as a task list, which GitHub tracks
+      async finishEpic(epic, body, tasks) {
+        const taskList = tasks.map((task) => `- [ ] ${task.external_key}`).join("\n");
+        const separator = epic.external_id.lastIndexOf("#");
+        await github.updateIssue(epic.external_id.slice(0, separator), epic.external_id.slice(separator + 1), {
+          body: `${body}\n\n## Tasks\n\n${taskList}`,
+        });
+      },
+    };
+  }
+
+  if (integration.platform === "linear") {
+    const linear = new LinearService(integration.access_token);
+    return {
+      async createIssue({ title, body, parent }) {
+        const issue = await linear.createIssue({
+          teamId: settings.teamId,
+          title,
+          description: body,
+          parentId: parent?.external_id,
+        });
+        return { externalId: issue.id, key: issue.identifier, url: issue.url };
+      },
+      async getIssue(externalId) {
+        const issue = await linear.getIssue(externalId);
+        const type = issue.state?.type;
+        return {
+          state: type === "completed" ? "done" : type === "canceled" ? "canceled" : "open",
+          status: issue.state?.name || null,
+          closedAt: issue.completedAt || issue.canceledAt || null,
+        };
+      },
+    };
+  }
+
+  const jira = new JiraService(settings.siteUrl, settings.email, integration.access_token);
+  return {
+    async createIssue({ kind, title, body, parent }) {
+      const issue = await jira.createIssue({
+        projectKey: settings.projectKey,
+        issueType: kind === "epic" ? settings.epicIssueType : settings.issueType,
+        summary: title,
+        description: body,
+        parentKey: parent?.external_key,
+      });
+      return { externalId: issue.id, key: issue.key, url: issue.url };
+    },
+    async getIssue(externalId) {
+      const issue = await jira.getIssue(externalId);
+      if (issue.statusCategory !== "done") {
+        return { state: "open", status: issue.status, closedAt: null };
+      }
+      return { state: issue.shipped ? "done" : "canceled", status: issue.status, closedAt: issue.resolvedAt };
+    },
+  };
+}
+
+async function getTrackerIntegration(supabase, userId, provider) {
+  const { data, error } = await supabase
+    .from("integrations")
+    .select("id, platform, status, access_token, config, created_at, updated_at")
+    .eq("user_id", userId)
+    .eq("platform", provider)
+    .maybeSingle();
+
+  if (error) {
+    throw createDatabaseError("Failed to read tracker", error.message);
+  }
+  return data;
+}
+
+/**
+ * The user's trackers (no tokens)
+ */
+export async function listTrackers(supabase, userId) {
+  const { data, error } = await supabase
+    .from("integrations")
+    .select(TRACKER_COLUMNS)
+    .eq("user_id", userId)
+    .in("platform", Object.keys(TRACKER_PROVIDERS))
+    .order("created_at", { ascending: true });
+
+  if (error) {
+    throw createDatabaseError("Failed to read trackers", error.message);
+  }
+  return (data || []).map(formatTracker);
+}
+
+// Check the settings against the tracker; returns the integration config
+async function verifyTracker(provider, token, data) {
+  if (provider === "github_issues") {
+    const repo = parseRepositoryName(data.repo);
+    if (!repo) {
+      throw createValidationError("Enter the repository as owner/name");
+    }
+    const labels = Array.isArray(data.labels)
+      ? [...new Set(data.labels.map((label) => cleanText(label, 50)).filter(Boolean))]
+      : [];
+    if (labels.length > 10) {
+      throw createValidationError("Add at most 10 labels");
+    }
+
+    const repository = await new GitHubService(token).getRepository(repo);
+    if (!repository.hasIssues) {
+      throw createValidationError(`Issues are disabled for ${repository.fullName}`);
+    }
+    return { repo: repository.fullName, labels };
+  }
+
+  if (provider === "linear") {
+    const teamKey = cleanText(data.teamKey, 20).toUpperCase();
+    if (!teamKey) {
+      throw createValidationError("Enter the key of the Linear team issues go to (e.g. ENG)");
+    }
+    const team = await new LinearService(token).getTeamByKey(teamKey);
+    if (!team) {
+      throw createValidationError(`No Linear team with the key ${teamKey}`);
+    }
+    return { teamId: team.id, teamKey: team.key, teamName: team.name };
+  }
+
+  const siteUrl = parseSiteUrl(data.siteUrl);
+  const email = cleanText(data.email, 254).toLowerCase();
+  const projectKey = cleanText(data.projectKey, 20).toUpperCase();
+  const issueType = cleanText(data.issueType, 50) || "Task";
+  const errors = [];
+  if (!siteUrl) errors.push("Enter your Jira site (your-team.atlassian.net)");
+  if (!VALIDATION_PATTERNS.EMAIL.test(email)) errors.push("Enter the email of the Jira account the token belongs to");
+  if (!projectKey) errors.push("Enter the key of the Jira project issues go to");
+  if (errors.length > 0) {
+    throw createValidationError(errors.join(", "), errors);
+  }
+
+  const project = await new JiraService(siteUrl, email, token).getProject(projectKey);
+  const typeNamed = (name) => project.issueTypes.find((type) => type.toLowerCase() === name.toLowerCase());
+  if (!typeNamed(issueType)) {
+    throw createValidationError(
+      `${project.key} has no issue type "${issueType}" - use one of: ${project.issueTypes.join(", ")}`
+    );
+  }
+  return {
+    siteUrl,
+    email,
+    projectKey: project.key,
+    projectName: project.name,
+    issueType: typeNamed(issueType),
+    epicIssueType: typeNamed("Epic") || null,
+  };
+}
+
+/**
+ * Check a tracker's token and target (GitHub: { repo, labels }, Linear:
+ * { teamKey }, Jira: { siteUrl, email, projectKey, issueType }) and save it as
+ * the user's integration. Without a token the saved one is kept; GitHub Issues
+ * can also use the token of the GitHub feedback sync.
+ * @returns {Promise<Object>} The tracker, without the token
+ */
+export async function connectTracker(supabase, userId, provider, data = {}) {
+  validateProvider(provider);
+
+  const existing = await getTrackerIntegration(supabase, userId, provider);
+  let token = cleanText(data.token, 500) || existing?.access_token || null;
+  if (!token && provider === "github_issues") {
+    token = (await getTrackerIntegration(supabase, userId, "github"))?.access_token || null;
+  }
+  if (!token) {
+    throw createValidationError(`Enter a ${TRACKER_PROVIDERS[provider].label} token`);
+  }
+
+  let settings;
+  try {
+    settings = await verifyTracker(provider, token, data);
+  } catch (error) {
+    throw trackerError(provider, error);
+  }
+
+  const { data: saved, error } = await supabase
+    .from("integrations")
+    .upsert(
+      {
+        user_id: userId,
+        platform: provider,
+        status: "connected",
+        access_token: token,
+        config: settings,
+        updated_at: new Date().toISOString(),
+      },
+      { onConflict: "user_id,platform" }
+    )
+    .select(TRACKER_COLUMNS)
+    .single();
+
+  if (error) {
+    throw createDatabaseError("Failed to save tracker", error.message);
+  }
+  return formatTracker(saved);
+}
+
+/**
+ * Remove a tracker's token; the issues already sent stay, but aren't synced
+ */
+export async function disconnectTracker(supabase, userId, provider) {
+  validateProvider(provider);
+
+  const { error } = await supabase
+    .from("integrations")
+    .delete()
+    .eq("user_id", userId)
+    .eq("platform", provider);
+
+  if (error) {
+    throw createDatabaseError("Failed to disconnect tracker", error.message);
+  }
+}
+
+/**
+ * Issues created from a spec, oldest first, with the tasks of each epic
+ */
+export async function listSpecIssues(supabase, userId, specId) {
+  await loadSpec(supabase, userId, specId);
+
+  const { data, error } = await supabase
+    .from("spec_issues")
+    .select(ISSUE_COLUMNS)
+    .eq("spec_id", specId)
+    .eq("user_id", userId)
+    .neq("state", "pending")
+    .order("created_at", { ascending: true });
+
+  if (error) {
+    throw createDatabaseError("Failed to read spec issues", error.message);
+  }
+
+  const rows = data || [];
+  return rows
+    .filter((row) => !row.parent_id)
+    .map((row) => formatSpecIssue(row, rows.filter((task) => task.parent_id === row.id)));
+}
+
+function truncate(text, limit) {
+  return text.length > limit ? `${text.slice(0, limit)}\n\n… (truncated)` : text;
+}
+
+// The spec as an issue body, with a link back to it
+function specIssueBody(spec, provider) {
+  const link = `https://${config.domainName}/dashboard/specs?spec=${spec.id}`;
+  const footer = `\n\n---\nSent from ${config.appName} (spec v${spec.current_version || 1}): ${link}`;
+  return truncate(spec.content || "", TRACKER_PROVIDERS[provider].bodyLimit - footer.length - 20) + footer;
+}
+
+function taskBody(item) {
+  const criteria = (item.acceptanceCriteria || []).filter(Boolean);
+  const details = [item.priority && `Priority: ${item.priority}`, item.category && `Category: ${item.category}`,
+    item.estimatedEffort && `Effort: ${item.estimatedEffort}`].filter(Boolean);
+  return [
+    item.description || "",
+    criteria.length > 0 && `Acceptance criteria:\n${criteria.map((criterion) => `- [ ] ${criterion}`).join("\n")}`,
+    details.length > 0 && details.join(" · "),
+  ]
+    .filter(Boolean)
+    .join("\n\n");
+}
+
+// Child tasks of an epic, from the spec's feedback (else from the spec itself)
+async function specTasks(supabase, userId, spec) {
+  await openAIClient.configureForUser(supabase, userId);
+  if (!openAIClient.isConfigured(userId)) {
+    throw createExternalServiceError("openai", "AI provider is not configured for task generation");
+  }
+
+  const sources = (await listSpecFeedback(supabase, userId, spec.id))
+    .filter((source) => !source.mergedInto)
+    .slice(0, TASK_FEEDBACK_LIMIT)
+    .map((source) => ({ id: source.id, content: source.content }));
+  const feedbackList = sources.length > 0 ? sources : [{ id: spec.id, content: (spec.content || "").slice(0, 8000) }];
+
+  const { actionItems } = await specGenerator.generateActionItems(feedbackList, userId);
+  const tasks = (actionItems || []).filter((item) => cleanText(item?.title, 255)).slice(0, MAX_CHILD_TASKS);
+  if (tasks.length === 0) {
+    throw createExternalServiceError("openai", "AI service returned no tasks for the spec");
+  }
+  return tasks;
+}
+
+// Drop a pending reservation (only while it is still pending)
+async function releaseReservation(supabase, userId, id) {
+  const { error } = await supabase
+    .from("spec_issues")
+    .delete()
+    .eq("id", id)
+    .eq("user_id", userId)
+    .eq("state", "pending");
+
+  if (error) {
+    console.warn("Failed to release the spec issue reservation:", error.message);
+  }
+}
+
+// Fill the reservation in with the created issue, retrying failed saves
+async function saveCreatedIssue(supabase, userId, reservationId, fields) {
+  let lastError = null;
+  for (let attempt = 1; attempt <= SAVE_ATTEMPTS; attempt++) {
+    const { data, error } = await supabase
+      .from("spec_issues")
+      .update(fields)
+      .eq("id", reservationId)
+      .eq("user_id", userId)
+      .select(ISSUE_COLUMNS)
+      .single();
+
+    if (!error) return { issue: data, error: null };
+    lastError = error;
+    if (attempt < SAVE_ATTEMPTS) {
+      await new Promise((resolve) => setTimeout(resolve, 1000 * attempt));
+    }
+  }
+  return { issue: null, error: lastError };
+}
+
+/**
+ * Reserve the spec's issue for a tracker: a pending row taken by the unique
+ * (spec_id, provider) index, so concurrent sends can't both create an issue.
+ * @returns {Promise<Object>} The pending row
+ */
+async function reserveSpecIssue(supabase, userId, reservation, label, retried = false) {
+  const { data, error } = await supabase.from("spec_issues").insert(reservation).select("id").single();
+  if (!error) return data;
+
+  if (error.code !== UNIQUE_VIOLATION) {
+    throw createDatabaseError("Failed to save spec issue", error.message);
+  }
+
+  const { data: sent, error: sentError } = await supabase
+    .from("spec_issues")
+    .select("id, state, external_key, created_at")
+    .eq("spec_id", reservation.spec_id)
+    .eq("user_id", reservation.user_id)
+    .eq("provider", reservation.provider)
+    .is("parent_id", null)
+    .maybeSingle();
+
+  if (sentError) {
+    throw createDatabaseError("Failed to read spec issues", sentError.message);
+  }
+  // Released meanwhile
+  if (!sent && !retried) {
+    return reserveSpecIssue(supabase, userId, reservation, label, true);
+  }
+  if (sent && sent.state !== "pending") {
+    throw createValidationError(`This spec is already in ${label} as ${sent.external_key}`);
+  }
+  if (!sent || retried || Date.now() - new Date(sent.created_at).getTime() < PENDING_TIMEOUT_MS) {
+    throw createValidationError(`This spec is already being sent to ${label}`);
+  }
+
+  await releaseReservation(supabase, userId, sent.id);
+  return reserveSpecIssue(supabase, userId, reservation, label, true);
+}
+
+/**
+ * Create an issue from a spec in one of the user's trackers, or an epic with
+ * child tasks (mode "epic"). The spec's row is reserved first (state
+ * "pending") and filled in once the tracker created the issue, so a spec is
+ * sent once per tracker even when sent twice at the same time. A task that
+ * fails to be created is reported in failedTasks; the epic and the other
+ * tasks are kept.
+ * @returns {Promise<{issue: Object, failedTasks: Array}>}
+ */
+export async function sendSpecToTracker(supabase, userId, specId, { provider, mode = "issue" } = {}) {
+  validateProvider(provider);
+  if (!SEND_MODES.includes(mode)) {
+    throw createValidationError(`Mode must be one of: ${SEND_MODES.join(", ")}`);
+  }
+
+  const { label } = TRACKER_PROVIDERS[provider];
+  const spec = await loadSpec(supabase, userId, specId);
+  const integration = await getTrackerIntegration(supabase, userId, provider);
+  if (integration?.status !== "connected") {
+    throw createValidationError(`Connect ${label} first`);
+  }
+  if (mode === "epic" && provider === "jira" && !integration.config?.epicIssueType) {
+    throw createValidationError(`The Jira project ${integration.config?.projectKey} has no Epic issue type`);
+  }
+
+  const client = trackerClient(integration);
+  const title = spec.title.slice(0, 255);
+  const body = specIssueBody(spec, provider);
+  const kind = mode === "epic" ? "epic" : "issue";
+  const row = (created, fields) => ({
+    user_id: userId,
+    spec_id: specId,
+    provider,
+    external_id: created.externalId,
+    external_key: created.key,
+    url: created.url,
+    spec_version: spec.current_version || 1,
+    state: "open",
+    synced_at: new Date().toISOString(),
+    ...fields,
+  });
+
+  const reservation = await reserveSpecIssue(
+    supabase,
+    userId,
+    { user_id: userId, spec_id: specId, provider, kind, title, spec_version: spec.current_version || 1, state: "pending" },
+    label
+  );
+
+  // Tasks first, so a failed generation doesn't leave an empty epic behind
+  let tasks;
+  let created;
+  try {
+    tasks = mode === "epic" ? await specTasks(supabase, userId, spec) : [];
+    try {
+      created = await client.createIssue({ kind, title, body });
+    } catch (error) {
+      throw trackerError(provider, error);
+    }
+  } catch (error) {
+    await releaseReservation(supabase, userId, reservation.id);
+    throw error;
+  }
+
+  const { issue, error } = await saveCreatedIssue(
+    supabase,
+    userId,
+    reservation.id,
+    row(created, { kind, title, updated_at: new Date().toISOString() })
+  );
+
+  if (error) {
+    console.error(`Created ${created.key} (${created.url}) in ${label} for spec ${specId} but failed to save it:`, error.message);
+    throw createDatabaseError(`Created ${created.key} in ${label} but failed to save it`, error.message);
+  }
+
+  const createdTasks = [];
+  const failedTasks = [];
+  for (const task of tasks) {
+    const taskTitle = cleanText(task.title, 255);
+    try {
+      const createdTask = await client.createIssue({ kind: "task", title: taskTitle, body: taskBody(task), parent: issue });
+      createdTasks.push(row(createdTask, { kind: "task", title: taskTitle, parent_id: issue.id }));
+    } catch (taskError) {
+      console.warn(`Failed to create ${label} task "${taskTitle}":`, taskError.message);
+      failedTasks.push({ title: taskTitle, error: trackerError(provider, taskError).message });
+    }
+  }
+
+  let taskRows = [];
+  if (createdTasks.length > 0) {
+    const { data: savedTasks, error: tasksError } = await supabase
+      .from("spec_issues")
+      .insert(createdTasks)
+      .select(ISSUE_COLUMNS);
+
+    if (tasksError) {
+      throw createDatabaseError(`Created ${created.key} in ${label} but failed to save its tasks`, tasksError.message);
+    }
+    taskRows = savedTasks || [];
+
+    if (client.finishEpic) {
+      try {
+        await client.finishEpic(issue, body, taskRows);
+      } catch (epicError) {
+        console.warn(`Failed to list the tasks on ${created.key}:`, epicError.message);
+      }
+    }
+  }
+
+  return { issue: formatSpecIssue(issue, taskRows), failedTasks };
+}
+
+// Move the spec's feedback to shipped; returns how many items moved
+async function shipSpecFeedback(supabase, userId, issue) {
+  const ids = (await listSpecFeedback(supabase, userId, issue.spec_id)).map((source) => source.id);
+  if (ids.length === 0) return 0;
+
+  const { data: rows, error: readError } = await supabase
+    .from("raw_feedback")
+    .select("id, status, processed")
+    .eq("user_id", userId)
+    .in("id", ids);
+
+  if (readError) {
+    throw createDatabaseError("Failed to read feedback", readError.message);
+  }
+
+  const open = (rows || []).filter((row) => !FINAL_STATUSES.includes(feedbackStatus(row)));
+  if (open.length === 0) return 0;
+
+  const { error } = await supabase
+    .from("raw_feedback")
+    .update({ status: "shipped", processed: true, updated_at: new Date().toISOString() })
+    .eq("user_id", userId)
+    .in("id", open.map((row) => row.id));
+
+  if (error) {
+    throw createDatabaseError("Failed to mark feedback as shipped", error.message);
+  }
+
+  const note = `${TRACKER_PROVIDERS[issue.provider].label} ${issue.external_key} closed`;
+  await recordStatusChanges(
+    supabase,
+    userId,
+    open.map((row) => ({ feedbackId: row.id, fromStatus: feedbackStatus(row), toStatus: "shipped", note }))
+  );
+  return open.length;
+}
+
+/**
+ * Poll the tracker state of the user's open spec issues (of one spec, or the
+ * ones synced longest ago). A spec whose issue or epic is now done ships its
+ * feedback. Failures are recorded on the issue (sync_error), not thrown.
+ * Once `signal` aborts, the issues not checked yet are left for the next sync.
+ * @returns {Promise<{checked: number, closed: number, shipped: number, failed: number}>}
+ */
+export async function syncSpecIssues(supabase, userId, { specId = null, limit = MAX_SYNCED_ISSUES, signal } = {}) {
+  let query = supabase
+    .from("spec_issues")
+    .select(ISSUE_COLUMNS)
+    .eq("user_id", userId)
+    .eq("state", "open");
+  if (specId) {
+    query = query.eq("spec_id", specId);
+  }
+
+  const { data: issues, error } = await query.order("synced_at", { ascending: true, nullsFirst: true }).limit(limit);
+  if (error) {
+    throw createDatabaseError("Failed to read spec issues", error.message);
+  }
+
+  const result = { checked: 0, closed: 0, shipped: 0, failed: 0 };
+  if (!issues || issues.length === 0) return result;
+
+  const clients = {};
+  // A rejected token fails the tracker's remaining issues without more requests
+  const trackerFailures = {};
+  for (const provider of [...new Set(issues.map((issue) => issue.provider))]) {
+    const integration = await getTrackerIntegration(supabase, userId, provider);
+    if (integration?.status === "connected") {
+      clients[provider] = trackerClient(integration);
+    } else {
+      trackerFailures[provider] = `${TRACKER_PROVIDERS[provider].label} is not connected`;
+    }
+  }
+
+  for (const issue of issues) {
+    if (signal?.aborted) break;
+    const now = new Date().toISOString();
+    let update;
+    try {
+      if (trackerFailures[issue.provider]) {
+        throw createValidationError(trackerFailures[issue.provider]);
+      }
+      const tracked = await clients[issue.provider].getIssue(issue.external_id);
+      update = {
+        state: tracked.state,
+        external_status: tracked.status,
+        closed_at: tracked.closedAt,
+        sync_error: null,
+      };
+    } catch (syncError) {
+      const message = trackerError(issue.provider, syncError).message;
+      if (syncError.authFailed) {
+        trackerFailures[issue.provider] = message;
+      }
+      update = { sync_error: message };
+      result.failed++;
+    }
+
+    const { error: updateError } = await supabase
+      .from("spec_issues")
+      .update({ ...update, synced_at: now, updated_at: now })
+      .eq("id", issue.id)
+      .eq("user_id", userId);
+
+    if (updateError) {
+      console.warn(`Failed to save the state of ${issue.external_key}:`, updateError.message);
+      continue;
+    }
+    result.checked++;
+
+    if (update.state && update.state !== "open") {
+      result.closed++;
+      if (update.state === "done" && !issue.parent_id) {
+        result.shipped += await shipSpecFeedback(supabase, userId, issue);
+      }
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Users with open spec issues not synced for ISSUE_SYNC_INTERVAL_MINUTES,
+ * for the scheduler (admin client)
+ * @returns {Promise<string[]>} User IDs
+ */
+export async function findDueIssueSyncs(supabase, { now = new Date(), limit = 1000 } = {}) {
+  const syncedBefore = new Date(now.getTime() - ISSUE_SYNC_INTERVAL_MINUTES * 60 * 1000).toISOString();
+
+  const { data, error } = await supabase
+    .from("spec_issues")
+    .select("user_id")
+    .eq("state", "open")
+    .or(`synced_at.is.null,synced_at.lte.${syncedBefore}`)
+    .limit(limit);
+
+  if (error) {
+    throw createDatabaseError("Failed to read spec issues", error.message);
+  }
+  return [...new Set((data || []).map((row) => row.user_id))];
+}
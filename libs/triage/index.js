@@ -0,0 +1,208 @@
+/**
+ * Feedback triage workflow (FEEDBACK_TRIAGE_MIGRATION.sql)
+ *
+ * Feedback moves New → Triaged → Planned → In progress → Shipped or Won't do,
+ * and can carry an assignee, a due date and internal notes. Every status change
+ * is recorded in feedback_status_history. The older processed flag is kept in
+ * step with the status: it is true for every status except "new".
+ */
+
+import { FEEDBACK_COLUMNS } from "../database/db-utils.js";
+import {
+  AppError,
+  ERROR_CODES,
+  createDatabaseError,
+  createValidationError,
+} from "../errors/error-handler.js";
+import { FEEDBACK_STATUSES, UNASSIGNED, feedbackStatus } from "../feedback-filters.js";
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+// Status history columns returned to the dashboard
+export const STATUS_HISTORY_COLUMNS = "id, feedback_id, from_status, to_status, note, created_at";
+
+function optionalText(value, field, maxLength, errors) {
+  if (value === null) return null;
+  if (typeof value !== "string") {
+    errors.push(`${field} must be a string or null`);
+    return null;
+  }
+  const text = value.trim();
+  if (text.length > maxLength) errors.push(`${field} must be at most ${maxLength} characters`);
+  return text || null;
+}
+
+/**
+ * Validate the triage fields of PUT /api/feedback (only the fields that were sent):
+ * status, processed, assignee, dueDate (YYYY-MM-DD), notes and statusNote
+ * (a note recorded with the status change).
+ * @returns {{update: Object, statusNote: string|null}} Columns to save
+ */
+export function validateTriageUpdate(data) {
+  const update = {};
+  const errors = [];
+
+  if (data.status !== undefined) {
+    if (!FEEDBACK_STATUSES.includes(data.status)) {
+      errors.push(`Status must be one of: ${FEEDBACK_STATUSES.join(", ")}`);
+    }
+    update.status = data.status;
+  }
+
+  if (data.processed !== undefined) {
+    if (typeof data.processed !== "boolean") errors.push("Processed must be true or false");
+    update.processed = data.processed;
+  }
+
+  if (data.assignee !== undefined) {
+    update.assignee = optionalText(data.assignee, "Assignee", 100, errors);
+    if (update.assignee?.toLowerCase() === UNASSIGNED) {
+      errors.push(`Assignee can't be "${UNASSIGNED}"`);
+    }
+  }
+
+  if (data.dueDate !== undefined) {
+    if (data.dueDate !== null && data.dueDate !== "" &&
+        (!DATE_ONLY.test(data.dueDate) || Number.isNaN(new Date(data.dueDate).getTime()))) {
+      errors.push("Due date must be a date (YYYY-MM-DD)");
+    }
+    update.due_date = data.dueDate || null;
+  }
+
+  if (data.notes !== undefined) {
+    update.notes = optionalText(data.notes, "Notes", 5000, errors);
+  }
+
+  const statusNote = data.statusNote !== undefined ? optionalText(data.statusNote, "Status note", 500, errors) : null;
+
+  if (errors.length > 0) {
+    throw createValidationError(errors.join(", "), errors);
+  }
+
+  return { update, statusNote };
+}
+
+/**
+ * Status and processed flag after an update, kept in step: setting a status
+ * sets processed, marking new feedback processed triages it and marking it
+ * unprocessed moves it back to new.
+ */
+export function resolveTriageStatus(current, update) {
+  const currentStatus = feedbackStatus(current);
+  let status = update.status ?? currentStatus;
+
+  if (update.status === undefined && update.processed !== undefined) {
+    if (update.processed && status === "new") status = "triaged";
+    if (!update.processed) status = "new";
+  }
+
+  return { status, processed: status !== "new" };
+}
+
+/**
+ * Update a feedback item and record its status change, if any
+ * @param {Object} update - Columns to save (validateTriageUpdate, plus e.g. metadata)
+ * @returns {Promise<{feedback: Object, statusChange: Object|null}>} The raw_feedback row and history entry
+ */
+export async function updateFeedbackTriage(supabase, userId, feedbackId, update, { statusNote = null } = {}) {
+  const { data: current, error: readError } = await supabase
+    .from("raw_feedback")
+    .select("id, status, processed")
+    .eq("id", feedbackId)
+    .eq("user_id", userId)
+    .maybeSingle();
+
+  if (readError) {
+    throw createDatabaseError("Failed to read feedback", readError.message);
+  }
+  if (!current) {
+    throw new AppError(ERROR_CODES.RECORD_NOT_FOUND, "Feedback not found");
+  }
+
+  const fromStatus = feedbackStatus(current);
+  const { status, processed } = resolveTriageStatus(current, update);
+
+  const { data: feedback, error } = await supabase
+    .from("raw_feedback")
+    .update({ ...update, status, processed, updated_at: new Date().toISOString() })
+    .eq("id", feedbackId)
+    .eq("user_id", userId)
+    .select(FEEDBACK_COLUMNS)
+    .single();
+
+  if (error) {
+    throw createDatabaseError("Failed to update feedback", error.message);
+  }
+
+  if (status === fromStatus) {
+    return { feedback, statusChange: null };
+  }
+
+  const [statusChange = null] = await recordStatusChanges(supabase, userId, [
+    { feedbackId, fromStatus, toStatus: status, note: statusNote },
+  ]);
+
+  return { feedback, statusChange };
+}
+
+/**
+ * Add status changes to the history ([{ feedbackId, fromStatus, toStatus, note }]).
+ * The feedback is already updated, so a failed insert is only logged.
+ * @returns {Promise<Array>} The recorded entries
+ */
+export async function recordStatusChanges(supabase, userId, changes) {
+  if (changes.length === 0) return [];
+
+  const { data, error } = await supabase
+    .from("feedback_status_history")
+    .insert(
+      changes.map((change) => ({
+        feedback_id: change.feedbackId,
+        user_id: userId,
+        from_status: change.fromStatus,
+        to_status: change.toStatus,
+        note: change.note || null,
+      }))
+    )
+    .select(STATUS_HISTORY_COLUMNS);
+
+  if (error) {
+    console.warn(`Failed to record ${changes.length} status changes:`, error.message);
+    return [];
+  }
+
+  return (data || []).map(formatStatusChange);
+}
+
+/**
+ * feedback_status_history row → the shape the dashboard works with
+ */
+export function formatStatusChange(entry) {
+  return {
+    id: entry.id,
+    feedbackId: entry.feedback_id,
+    fromStatus: entry.from_status,
+    toStatus: entry.to_status,
+    note: entry.note,
+    changedAt: entry.created_at,
+  };
+}
+
+/**
+ * Status changes of a feedback item, newest first
+ */
+export async function getStatusHistory(supabase, userId, feedbackId, { limit = 50 } = {}) {
+  const { data, error } = await supabase
+    .from("feedback_status_history")
+    .select(STATUS_HISTORY_COLUMNS)
+    .eq("feedback_id", feedbackId)
+    .eq("user_id", userId)
+    .order("created_at", { ascending: false })
+    .limit(limit);
+
+  if (error) {
+    throw createDatabaseError("Failed to read status history", error.message);
+  }
+
+  return (data || []).map(formatStatusChange);
+}
@@ -0,0 +1,176 @@
+/**
+ * Saved feedback views (feedback_views, FEEDBACK_VIEWS_TABLE.sql)
+ *
+ * A view is a named filter + sort + list/groups layout of the feedback page.
+ * Views store only the filters that differ from the defaults and are queried
+ * live, so one with a relative date ("from": "7d") is a smart segment: its
+ * count follows new feedback without being updated.
+ */
+
+import { feedbackDB } from "../database/db-utils.js";
+import { createValidationError } from "../errors/error-handler.js";
+import {
+  DEFAULT_FEEDBACK_FILTERS,
+  DEFAULT_FEEDBACK_VIEW,
+  FEEDBACK_SORT_FIELDS,
+  FEEDBACK_VIEW_MODES,
+  feedbackFiltersToParams,
+  parseFeedbackFilters,
+} from "../feedback-filters.js";
+import { VALIDATION_PATTERNS } from "../validation/validators.js";
+
+export const MAX_VIEWS = 25;
+
+// View columns returned to the dashboard
+export const VIEW_COLUMNS =
+  "id, name, filters, sort_by, sort_order, view_mode, show_in_nav, position, last_viewed_at, created_at, updated_at";
+
+/**
+ * Ready-made smart segments the dashboard offers to save as views.
+ * "Paying customers" is the customer filter: feedback reported by customers
+ * with MRR (libs/customers), as of the last priority scoring.
+ */
+export const SMART_SEGMENTS = [
+  {
+    key: "urgent-negative-paying-week",
+    name: "Urgent negative from paying customers this week",
+    filters: { priority: "urgent", sentiment: "negative", customer: "paying", from: "7d" },
+  },
+  {
+    key: "urgent-negative-week",
+    name: "Urgent and negative this week",
+    filters: { priority: "urgent", sentiment: "negative", from: "7d" },
+  },
+  {
+    key: "bugs-today",
+    name: "New bugs today",
+    filters: { category: "bug", from: "today" },
+  },
+  {
+    key: "unprocessed-week",
+    name: "Unprocessed this week",
+    filters: { processed: "unprocessed", from: "7d" },
+  },
+  {
+    key: "praise-month",
+    name: "Praise this month",
+    filters: { category: "praise", from: "30d" },
+  },
+];
+
+/**
+ * Filters as stored: only what differs from the defaults, invalid values dropped
+ */
+export function normalizeViewFilters(filters) {
+  const params = new URLSearchParams();
+  Object.entries(filters || {}).forEach(([key, value]) => {
+    if (key in DEFAULT_FEEDBACK_FILTERS && value !== undefined && value !== null) {
+      params.set(key, String(value));
+    }
+  });
+  return Object.fromEntries(feedbackFiltersToParams(parseFeedbackFilters(params)));
+}
+
+/**
+ * Validate a view from the dashboard (only the fields that were sent)
+ * @returns {Object} Columns to save
+ */
+export function validateView(data) {
+  const update = {};
+  const errors = [];
+
+  if (data.name !== undefined) {
+    const name = typeof data.name === "string" ? data.name.trim() : "";
+    if (name.length < 1 || name.length > 100) errors.push("Name must be 1-100 characters");
+    update.name = name;
+  }
+
+  if (data.filters !== undefined) {
+    if (!data.filters || typeof data.filters !== "object" || Array.isArray(data.filters)) {
+      errors.push("Filters must be an object");
+    } else {
+      update.filters = normalizeViewFilters(data.filters);
+      if (update.filters.cluster && !VALIDATION_PATTERNS.UUID.test(update.filters.cluster)) {
+        errors.push("Cluster filter must be a cluster ID");
+      }
+    }
+  }
+
+  if (data.sortBy !== undefined) {
+    if (!FEEDBACK_SORT_FIELDS.includes(data.sortBy)) {
+      errors.push(`Sort must be one of: ${FEEDBACK_SORT_FIELDS.join(", ")}`);
+    }
+    update.sort_by = data.sortBy;
+  }
+
+  if (data.sortOrder !== undefined) {
+    if (!["asc", "desc"].includes(data.sortOrder)) errors.push("Sort order must be asc or desc");
+    update.sort_order = data.sortOrder;
+  }
+
+  if (data.viewMode !== undefined) {
+    if (!FEEDBACK_VIEW_MODES.includes(data.viewMode)) {
+      errors.push(`View mode must be one of: ${FEEDBACK_VIEW_MODES.join(", ")}`);
+    }
+    update.view_mode = data.viewMode;
+  }
+
+  if (data.showInNav !== undefined) {
+    if (typeof data.showInNav !== "boolean") errors.push("showInNav must be true or false");
+    update.show_in_nav = data.showInNav;
+  }
+
+  if (data.position !== undefined) {
+    if (!Number.isInteger(data.position) || data.position < 0) errors.push("Position must be a non-negative integer");
+    update.position = data.position;
+  }
+
+  if (errors.length > 0) {
+    throw createValidationError(errors.join(", "), errors);
+  }
+
+  return update;
+}
+
+/**
+ * feedback_views row → the shape the dashboard works with
+ */
+export function formatView(view) {
+  return {
+    id: view.id,
+    name: view.name,
+    filters: { ...DEFAULT_FEEDBACK_FILTERS, ...(view.filters || {}) },
+    sortBy: view.sort_by || DEFAULT_FEEDBACK_VIEW.sortBy,
+    sortOrder: view.sort_order || DEFAULT_FEEDBACK_VIEW.sortOrder,
+    viewMode: view.view_mode || DEFAULT_FEEDBACK_VIEW.viewMode,
+    showInNav: view.show_in_nav !== false,
+    position: view.position || 0,
+    lastViewedAt: view.last_viewed_at,
+    createdAt: view.created_at,
+    updatedAt: view.updated_at,
+  };
+}
+
+/**
+ * Views with their live counts: count (all matching feedback) and newCount
+ * (created since the view was last opened). A view whose count fails (e.g. its
+ * cluster was deleted) gets null counts instead of failing the list.
+ */
+export async function withViewCounts(supabase, userId, views) {
+  return Promise.all(
+    views.map(async (view) => {
+      try {
+        const [count, newCount] = await Promise.all([
+          feedbackDB.instance.countMatching(userId, view.filters, {}, supabase),
+          view.lastViewedAt
+            ? feedbackDB.instance.countMatching(userId, view.filters, { since: view.lastViewedAt }, supabase)
+            : 0,
+        ]);
+        return { ...view, count, newCount };
+      } catch (error) {
+        console.warn(`Failed to count feedback view ${view.id}:`, error.message);
+        return { ...view, count: null, newCount: null };
+      }
+    })
+  );
+}
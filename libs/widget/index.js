@@ -0,0 +1,406 @@
+/**
+ * Embeddable feedback widget
+ *
+ * End users open the widget from a product (public/widget.js loads /widget/<key>
+ * in an iframe) and submit to POST /api/widget/<key>. Submissions are stored as
+ * raw_feedback with platform "website" and analyzed like dashboard feedback.
+ */
+
+import crypto from "crypto";
+import { validateFeedback } from "../validation/validators.js";
+import { createValidationError, createRateLimitError } from "../errors/error-handler.js";
+
+export const SCREENSHOT_BUCKET = "feedback-screenshots";
+export const MAX_SCREENSHOT_BYTES = 2 * 1024 * 1024;
+const SCREENSHOT_TYPES = { "image/png": "png", "image/jpeg": "jpg", "image/webp": "webp" };
+
+// Per client IP, and per widget across everyone
+export const RATE_LIMITS = {
+  perClient: { max: 5, windowMinutes: 10 },
+  perWidget: { max: 500, windowMinutes: 24 * 60 },
+};
+
+// How long the embed token widget.js gets for its site is valid
+const EMBED_TOKEN_TTL_SECONDS = 24 * 60 * 60;
+
+// A person needs a few seconds to write feedback; faster submissions are bots
+const MIN_FILL_SECONDS = 3;
+const MAX_LINKS = 5;
+
+export const DEFAULT_WIDGET_SETTINGS = {
+  title: "Send us feedback",
+  button_label: "Feedback",
+  color: "#570df8",
+  position: "bottom-right",
+  collect_email: true,
+  screenshots: true,
+};
+
+// Widget columns returned to the dashboard
+export const WIDGET_COLUMNS =
+  "id, name, public_key, allowed_origins, settings, enabled, submissions_count, last_submission_at, created_at, updated_at";
+
+export function generateWidgetKey() {
+  return `fsw_${crypto.randomBytes(12).toString("base64url")}`;
+}
+
+/**
+ * Widget settings with defaults for anything not set
+ */
+export function widgetSettings(widget) {
+  return { ...DEFAULT_WIDGET_SETTINGS, ...(widget?.settings || {}) };
+}
+
+/**
+ * "https://app.example.com/path" → "https://app.example.com" (null if not an http(s) URL)
+ */
+export function normalizeOrigin(value) {
+  try {
+    const url = new URL(String(value || "").trim());
+    return ["http:", "https:"].includes(url.protocol) ? url.origin : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Validate widget settings from the dashboard (only the fields that were sent)
+ * @returns {Object} Columns to save: name, allowed_origins, settings, enabled
+ */
+export function validateWidgetSettings(data) {
+  const update = {};
+  const errors = [];
+
+  if (data.name !== undefined) {
+    const name = typeof data.name === "string" ? data.name.trim() : "";
+    if (name.length < 1 || name.length > 100) errors.push("Name must be 1-100 characters");
+    update.name = name;
+  }
+
+  if (data.allowedOrigins !== undefined) {
+    const origins = Array.isArray(data.allowedOrigins) ? data.allowedOrigins : [];
+    const normalized = origins.map(normalizeOrigin);
+    if (normalized.some((origin) => !origin)) {
+      errors.push("Allowed origins must be URLs like https://app.example.com");
+    }
+    if (origins.length > 20) errors.push("At most 20 allowed origins");
+    update.allowed_origins = [...new Set(normalized.filter(Boolean))];
+  }
+
+  if (data.settings !== undefined) {
+    const settings = data.settings || {};
+    const clean = {};
+
+    ["title", "button_label"].forEach((field) => {
+      if (settings[field] === undefined) return;
+      const text = typeof settings[field] === "string" ? settings[field].trim() : "";
+      if (text.length < 1 || text.length > 60) errors.push(`${field} must be 1-60 characters`);
+      clean[field] = text;
+    });
+    if (settings.color !== undefined) {
+      if (!/^#[0-9a-fA-F]{6}$/.test(settings.color)) errors.push("color must be a hex color like #570df8");
+      clean.color = settings.color;
+    }
+    if (settings.position !== undefined) {
+      if (!["bottom-right", "bottom-left"].includes(settings.position)) {
+        errors.push("position must be bottom-right or bottom-left");
+      }
+      clean.position = settings.position;
+    }
+    ["collect_email", "screenshots"].forEach((field) => {
+      if (settings[field] !== undefined) clean[field] = settings[field] !== false;
+    });
+
+    update.settings = clean;
+  }
+
+  if (data.enabled !== undefined) update.enabled = data.enabled !== false;
+
+  if (errors.length > 0) {
+    throw createValidationError(errors.join(", "), errors);
+  }
+
+  return update;
+}
+
+/**
+ * Widget for a public key (null if unknown)
+ * @param {Object} supabase - Service role client
+ */
+export async function findWidget(supabase, publicKey) {
+  if (!publicKey || typeof publicKey !== "string") return null;
+
+  const { data, error } = await supabase
+    .from("feedback_widgets")
+    .select("*")
+    .eq("public_key", publicKey)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to look up widget: ${error.message}`);
+  }
+
+  return data || null;
+}
+
+/**
+ * Whether a site may use the widget (no allowed origins = any site)
+ */
+export function isOriginAllowed(widget, origin) {
+  const allowed = widget.allowed_origins || [];
+  if (allowed.length === 0) return true;
+  return !!origin && allowed.includes(normalizeOrigin(origin));
+}
+
+function embedSigningKey() {
+  const secret = process.env.WIDGET_EMBED_SECRET || process.env.SUPABASE_SERVICE_ROLE_KEY;
+  if (!secret) {
+    throw new Error("WIDGET_EMBED_SECRET or SUPABASE_SERVICE_ROLE_KEY must be set to sign widget embed tokens");
+  }
+  return crypto.createHmac("sha256", secret).update("feedback-widget-embed").digest();
+}
+
+function signEmbedPayload(payload) {
+  return crypto.createHmac("sha256", embedSigningKey()).update(payload).digest("base64url");
+}
+
+/**
+ * Token naming the site a widget is embedded on. GET /api/widget/<key> issues
+ * it to widget.js for the request's Origin (set by the browser), and the
+ * iframe, which posts from this app's origin, sends it with submissions.
+ * @returns {{token: string, expiresAt: string}}
+ */
+export function createEmbedToken(widget, origin, { now = Date.now() } = {}) {
+  const expiresAt = Math.floor(now / 1000) + EMBED_TOKEN_TTL_SECONDS;
+  const payload = Buffer.from(
+    JSON.stringify({ widget: widget.id, origin: normalizeOrigin(origin), exp: expiresAt })
+  ).toString("base64url");
+
+  return { token: `${payload}.${signEmbedPayload(payload)}`, expiresAt: new Date(expiresAt * 1000).toISOString() };
+}
+
+/**
+ * Site origin of a valid, unexpired embed token for this widget
+ * @returns {string|null}
+ */
+export function verifyEmbedToken(widget, token, { now = Date.now() } = {}) {
+  if (typeof token !== "string") return null;
+
+  const [payload, signature = ""] = token.split(".");
+  const expected = Buffer.from(signEmbedPayload(payload || ""));
+  const received = Buffer.from(signature);
+  if (!payload || received.length !== expected.length || !crypto.timingSafeEqual(received, expected)) {
+    return null;
+  }
+
+  try {
+    const claims = JSON.parse(Buffer.from(payload, "base64url").toString("utf8"));
+    if (claims.widget !== widget.id || !(claims.exp * 1000 > now)) return null;
+    return normalizeOrigin(claims.origin);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * CORS headers for sites that call the API directly instead of through the iframe
+ */
+export function corsHeaders(origin) {
+  return {
+    "Access-Control-Allow-Origin": origin || "*",
+    "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+    "Access-Control-Allow-Headers": "Content-Type",
+    "Access-Control-Max-Age": "86400",
+    Vary: "Origin",
+  };
+}
+
+/**
+ * Client IP as the platform's proxy saw it. The first X-Forwarded-For entry is
+ * whatever the client sent; the last one was appended by the nearest proxy.
+ */
+export function clientIp(request) {
+  const forwarded = (request.headers.get("x-forwarded-for") || "").split(",").map((hop) => hop.trim()).filter(Boolean);
+  return request.ip || forwarded[forwarded.length - 1] || request.headers.get("x-real-ip") || "unknown";
+}
+
+/**
+ * Client IP, hashed per widget - raw addresses are not stored
+ */
+export function hashClientIp(request, widget) {
+  const ip = clientIp(request);
+  return crypto.createHash("sha256").update(`${widget.id}:${ip}`).digest("hex").slice(0, 32);
+}
+
+/**
+ * Spam signals of a submission: the hidden honeypot field, a form sent faster
+ * than a person can type, or a message that is mostly links
+ * @returns {string|null} Reason, or null for a normal submission
+ */
+export function detectSpam(body, { now = Date.now() } = {}) {
+  if (body.website) return "honeypot";
+
+  const openedAt = Number(body.openedAt);
+  if (Number.isFinite(openedAt) && openedAt > 0 && now - openedAt < MIN_FILL_SECONDS * 1000) {
+    return "too_fast";
+  }
+
+  const links = String(body.message || "").match(/https?:\/\//gi) || [];
+  if (links.length > MAX_LINKS) return "links";
+
+  return null;
+}
+
+async function countRecentSubmissions(supabase, widget, { ipHash = null, windowMinutes }) {
+  let query = supabase
+    .from("raw_feedback")
+    .select("id", { count: "exact", head: true })
+    .eq("user_id", widget.user_id)
+    .eq("platform", "website")
+    .filter("metadata->widget->>widget_id", "eq", widget.id)
+    .gte("created_at", new Date(Date.now() - windowMinutes * 60 * 1000).toISOString());
+
+  if (ipHash) {
+    query = query.filter("metadata->widget->>ip_hash", "eq", ipHash);
+  }
+
+  const { count, error } = await query;
+  if (error) {
+    throw new Error(`Failed to check widget rate limit: ${error.message}`);
+  }
+  return count || 0;
+}
+
+/**
+ * Throw a rate limit error when the client or the widget sent too much recently
+ */
+export async function checkRateLimit(supabase, widget, ipHash) {
+  const { perClient, perWidget } = RATE_LIMITS;
+
+  if (await countRecentSubmissions(supabase, widget, { ipHash, windowMinutes: perClient.windowMinutes }) >= perClient.max) {
+    throw createRateLimitError("Too many feedback submissions, please try again in a few minutes");
+  }
+  if (await countRecentSubmissions(supabase, widget, { windowMinutes: perWidget.windowMinutes }) >= perWidget.max) {
+    throw createRateLimitError("This feedback widget received too many submissions today");
+  }
+}
+
+function text(value, maxLength) {
+  return typeof value === "string" ? value.slice(0, maxLength) : null;
+}
+
+/**
+ * Browser details sent by the widget, limited to known fields
+ */
+function browserInfo(browser = {}, request) {
+  return {
+    user_agent: text(browser.userAgent, 500) || text(request.headers.get("user-agent"), 500),
+    language: text(browser.language, 20),
+    platform: text(browser.platform, 50),
+    viewport: text(browser.viewport, 20),
+    screen: text(browser.screen, 20),
+    timezone: text(browser.timezone, 60),
+  };
+}
+
+/**
+ * raw_feedback row for a widget submission (validated like the dashboard form)
+ */
+export function buildWidgetFeedback(widget, body, { request, ipHash }) {
+  const settings = widgetSettings(widget);
+  const message = typeof body.message === "string" ? body.message.trim() : "";
+  const firstLine = message.split("\n")[0].trim();
+  const email = settings.collect_email && typeof body.email === "string" && body.email.trim()
+    ? body.email.trim()
+    : null;
+
+  let title = firstLine.length > 80 ? `${firstLine.slice(0, 79).trimEnd()}…` : firstLine;
+  if (title.length < 3) title = `Feedback from ${widget.name}`;
+
+  const sanitized = validateFeedback({
+    title,
+    content: message,
+    source: "website",
+    priority: "medium",
+    category: "other",
+    userEmail: email,
+    tags: ["widget"],
+  });
+
+  return {
+    user_id: widget.user_id,
+    platform: "website",
+    content: sanitized.content,
+    metadata: {
+      title: sanitized.title,
+      priority: sanitized.priority,
+      category: sanitized.category,
+      userEmail: sanitized.userEmail || null,
+      tags: sanitized.tags,
+      widget: {
+        widget_id: widget.id,
+        widget_name: widget.name,
+        page_url: text(body.pageUrl, 2000),
+        page_title: text(body.pageTitle, 300),
+        referrer: text(body.referrer, 2000),
+        browser: browserInfo(body.browser, request),
+        screenshot_path: null,
+        ip_hash: ipHash,
+      },
+    },
+    processed: false,
+  };
+}
+
+/**
+ * Decode a screenshot data URL ("data:image/png;base64,...")
+ * @returns {{buffer: Buffer, contentType: string, extension: string}|null}
+ */
+export function decodeScreenshot(dataUrl) {
+  if (!dataUrl) return null;
+
+  const match = String(dataUrl).match(/^data:(image\/(?:png|jpeg|webp));base64,([A-Za-z0-9+/=]+)$/);
+  if (!match) {
+    throw createValidationError("Screenshot must be a PNG, JPEG or WebP data URL");
+  }
+
+  const buffer = Buffer.from(match[2], "base64");
+  if (buffer.length > MAX_SCREENSHOT_BYTES) {
+    throw createValidationError(`Screenshot must be smaller than ${MAX_SCREENSHOT_BYTES / 1024 / 1024} MB`);
+  }
+
+  return { buffer, contentType: match[1], extension: SCREENSHOT_TYPES[match[1]] };
+}
+
+/**
+ * Upload a screenshot to storage
+ * @returns {Promise<string>} Storage path
+ */
+export async function uploadScreenshot(supabase, widget, screenshot) {
+  const path = `${widget.user_id}/${widget.id}/${crypto.randomUUID()}.${screenshot.extension}`;
+
+  const { error } = await supabase.storage
+    .from(SCREENSHOT_BUCKET)
+    .upload(path, screenshot.buffer, { contentType: screenshot.contentType, upsert: false });
+
+  if (error) {
+    throw new Error(`Failed to upload screenshot: ${error.message}`);
+  }
+
+  return path;
+}
+
+/**
+ * Short-lived link to a stored screenshot
+ */
+export async function getScreenshotUrl(supabase, path, { expiresIn = 60 * 60 } = {}) {
+  const { data, error } = await supabase.storage
+    .from(SCREENSHOT_BUCKET)
+    .createSignedUrl(path, expiresIn);
+
+  if (error) {
+    throw new Error(`Failed to sign screenshot URL: ${error.message}`);
+  }
+
+  return data.signedUrl;
+}
@@ -0,0 +1,148 @@
+/**
+ * FeedbackSpec feedback widget loader
+ *
+ *   <script src="https://your-domain.com/widget.js" data-key="fsw_..." async></script>
+ *
+ * Adds the widget iframe (/widget/<key>) to the page, sends it the page URL,
+ * browser details and an embed token for this site (GET /api/widget/<key>),
+ * and resizes it as it opens and closes. Open it from your own
+ * button with window.FeedbackSpec.open().
+ */
+(function () {
+  "use strict";
+
+  if (window.FeedbackSpec && window.FeedbackSpec.loaded) return;
+
+  var script =
+    document.currentScript ||
+    document.querySelector('script[src*="widget.js"][data-key]');
+  if (!script) return;
+
+  var key = script.getAttribute("data-key");
+  if (!key) {
+    console.warn("[FeedbackSpec] The widget script needs a data-key attribute");
+    return;
+  }
+
+  var appOrigin = new URL(script.src, window.location.href).origin;
+
+  // Iframe size for each widget state
+  var SIZES = {
+    button: { width: "180px", height: "64px" },
+    panel: { width: "380px", height: "560px" },
+    full: { width: "100%", height: "100%" },
+  };
+
+  var iframe = document.createElement("iframe");
+  iframe.src = appOrigin + "/widget/" + encodeURIComponent(key);
+  iframe.title = "Feedback";
+  iframe.setAttribute("allow", "display-capture");
+  iframe.setAttribute("allowtransparency", "true");
+  iframe.style.cssText =
+    "position:fixed;bottom:0;right:0;border:0;background:transparent;" +
+    "color-scheme:normal;z-index:2147483000;max-width:100%;max-height:100%;";
+
+  var position = "bottom-right";
+
+  // Embed token naming this site, refreshed shortly before it expires
+  var embed = null;
+
+  function embedToken() {
+    if (embed && embed.expiresAt - 5 * 60 * 1000 > Date.now()) {
+      return Promise.resolve(embed.token);
+    }
+    return fetch(appOrigin + "/api/widget/" + encodeURIComponent(key), { credentials: "omit" })
+      .then(function (response) {
+        return response.json();
+      })
+      .then(function (result) {
+        if (!result.success) {
+          console.warn("[FeedbackSpec] " + (result.message || "This widget is not enabled for this site"));
+          return null;
+        }
+        embed = { token: result.data.embedToken, expiresAt: new Date(result.data.expiresAt).getTime() };
+        return embed.token;
+      })
+      .catch(function () {
+        return null;
+      });
+  }
+
+  function resize(size) {
+    var dimensions = SIZES[size] || SIZES.button;
+    iframe.style.width = dimensions.width;
+    iframe.style.height = dimensions.height;
+    iframe.style.left = position === "bottom-left" ? "0" : "auto";
+    iframe.style.right = position === "bottom-left" ? "auto" : "0";
+  }
+
+  function send(message) {
+    if (!iframe.contentWindow) return;
+    message.source = "feedbackspec";
+    iframe.contentWindow.postMessage(message, appOrigin);
+  }
+
+  // Page context, sent on load and again on open (single page apps change URL)
+  function sendContext() {
+    return embedToken().then(function (token) {
+      send({ type: "context", embedToken: token, context: pageContext() });
+    });
+  }
+
+  function pageContext() {
+    return {
+      pageUrl: window.location.href,
+      pageTitle: document.title,
+      referrer: document.referrer || null,
+      browser: {
+        userAgent: navigator.userAgent,
+        language: navigator.language,
+        platform: navigator.platform,
+        viewport: window.innerWidth + "x" + window.innerHeight,
+        screen: window.screen.width + "x" + window.screen.height,
+        timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+      },
+    };
+  }
+
+  window.addEventListener("message", function (event) {
+    if (event.origin !== appOrigin || event.source !== iframe.contentWindow) return;
+    var data = event.data || {};
+    if (data.source !== "feedbackspec") return;
+
+    if (data.position) position = data.position;
+
+    if (data.type === "ready") {
+      resize("button");
+      sendContext();
+    } else if (data.type === "resize") {
+      if (data.size !== "button") sendContext();
+      resize(data.size);
+    }
+  });
+
+  resize("button");
+  iframe.style.visibility = "hidden";
+  iframe.addEventListener("load", function () {
+    iframe.style.visibility = "visible";
+  });
+
+  function mount() {
+    document.body.appendChild(iframe);
+  }
+
+  if (document.body) {
+    mount();
+  } else {
+    document.addEventListener("DOMContentLoaded", mount);
+  }
+
+  window.FeedbackSpec = {
+    loaded: true,
+    open: function () {
+      sendContext().then(function () {
+        send({ type: "open" });
+      });
+    },
+  };
+})();
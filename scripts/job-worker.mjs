@@ -0,0 +1,34 @@
+// Keeps draining the job queue by calling the worker route in a loop.
+// For self-hosted deployments without a scheduler:
+//   CRON_SECRET=... APP_URL=https://your-domain.com npm run worker
+
+const appUrl = (process.env.APP_URL || "http://localhost:3000").replace(/\/$/, "");
+const idleDelayMs = Number(process.env.JOB_POLL_INTERVAL_MS || 5000);
+
+let stopping = false;
+process.on("SIGINT", () => (stopping = true));
+process.on("SIGTERM", () => (stopping = true));
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+while (!stopping) {
+  try {
+    const response = await fetch(`${appUrl}/api/cron/jobs`, {
+      method: "POST",
+      headers: process.env.CRON_SECRET ? { Authorization: `Bearer ${process.env.CRON_SECRET}` } : {},
+    });
+    const stats = await response.json();
+
+    if (!response.ok) {
+      console.error(`Worker run failed (${response.status}):`, stats.error || stats);
+      await sleep(idleDelayMs);
+    } else if (stats.claimed > 0) {
+      console.log(`Processed ${stats.claimed} jobs: ${stats.succeeded} succeeded, ${stats.retried} retried, ${stats.dead} dead`);
+    } else {
+      await sleep(idleDelayMs);
+    }
+  } catch (error) {
+    console.error("Worker run failed:", error.message);
+    await sleep(idleDelayMs);
+  }
+}